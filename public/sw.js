@@ -0,0 +1,67 @@
+// Service worker for the installable app: keeps the app shell (HTML, scripts,
+// styles, icons) cached so the app opens without a connection. API calls are
+// never cached here; the REST adapter keeps its own offline copy in IndexedDB
+// (see src/storage/offlineAdapter.js).
+//
+// Pages are fetched from the network first, falling back to the cached shell.
+// Other files are served from the cache and refreshed in the background, which
+// suits Vite's content-hashed asset names.
+//
+// The build fills in ASSETS with the scripts, styles and images it emitted,
+// and VERSION with a hash of that list (see vite.config.js), so every release
+// installs into a fresh cache and the old one is dropped. Development builds
+// do not register the worker and keep the placeholders.
+
+const ASSETS = [];
+const VERSION = "dev";
+const CACHE_NAME = `fedf-shell-${VERSION}`;
+const SHELL = ["./", "./manifest.webmanifest", "./icon.svg", "./vite.svg", "./wards.json", ...ASSETS];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put("./", response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match("./");
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(event.request);
+  const fresh = fetch(event.request).then((response) => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(fresh.catch(() => undefined));
+    return cached;
+  }
+  return fresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  if (event.request.mode === "navigate") {
+    event.respondWith(networkFirst(event.request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
@@ -0,0 +1,58 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { can, permissionMessage } from "../src/domain/permissions.js";
+import { HttpError } from "./http.js";
+
+// Password hashing and bearer-token sessions for the API server.
+
+const scryptAsync = promisify(scrypt);
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, 64);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [salt, hex] = stored.split(":");
+  const hash = await scryptAsync(password, salt, 64);
+  return timingSafeEqual(hash, Buffer.from(hex, "hex"));
+}
+
+export function createSession(data, userId) {
+  const token = randomBytes(32).toString("hex");
+  data.sessions = (data.sessions || []).filter((s) => s.expiresAt > Date.now());
+  data.sessions.push({ token, userId, expiresAt: Date.now() + SESSION_TTL_MS });
+  return token;
+}
+
+export function destroySession(data, token) {
+  data.sessions = (data.sessions || []).filter((s) => s.token !== token);
+}
+
+export function sessionToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : null;
+}
+
+// The account holding a live session `token`, or null.
+export function sessionUser(db, token) {
+  if (!token) return null;
+  const session = (db.data.sessions || []).find((s) => s.token === token && s.expiresAt > Date.now());
+  if (!session) return null;
+  return db.data.users.find((u) => u.id === session.userId) || null;
+}
+
+// Resolves the logged-in account for a request, or null for anonymous callers.
+export function authenticate(db, req) {
+  return sessionUser(db, sessionToken(req));
+}
+
+// Like authenticate, but rejects the request unless the user may perform `action`.
+export function authorize(db, req, action) {
+  const user = authenticate(db, req);
+  if (!user) throw new HttpError(401, "Please log in to continue.");
+  if (!can(user.role, action)) throw new HttpError(403, permissionMessage(action));
+  return user;
+}
@@ -0,0 +1,81 @@
+import { copyFile, readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+import { SCHEMA_VERSION, upgradeIssues } from "../src/domain/schema.js";
+import { DEFAULT_CATEGORIES } from "../src/domain/categories.js";
+
+// Tiny JSON-file database. The whole document is held in memory and written
+// back atomically (temp file + rename) after every mutation. Writes are
+// chained so concurrent requests can never interleave partial files.
+//
+// Files written by an older schema (or before `schemaVersion` existed) are
+// migrated on open; records that fail migration or validation are moved to
+// `quarantine` for manual review rather than aborting the server.
+
+export async function openDatabase(file) {
+  let data = { schemaVersion: SCHEMA_VERSION };
+  try {
+    data = JSON.parse(await readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    await mkdir(dirname(file), { recursive: true });
+  }
+  data = {
+    issues: [], users: [], sessions: [], attachments: [], subscriptions: [], notifications: [], constituencies: [], quarantine: [],
+    categories: structuredClone(DEFAULT_CATEGORIES),
+    ...data,
+  };
+
+  const storedVersion = data.schemaVersion || 1;
+  let migrated = false;
+  if (storedVersion !== SCHEMA_VERSION) {
+    const { issues, quarantined } = upgradeIssues(data.issues, storedVersion);
+    const at = new Date().toISOString();
+    data.issues = issues;
+    data.quarantine.push(...quarantined.map((entry) => ({ ...entry, at })));
+    data.schemaVersion = SCHEMA_VERSION;
+    migrated = true;
+    await copyFile(file, `${file}.v${storedVersion}.bak`);
+    console.log(`Migrated ${file} from schema v${storedVersion} to v${SCHEMA_VERSION}` +
+      ` (${quarantined.length} record(s) quarantined).`);
+  }
+
+  let pending = Promise.resolve();
+
+  function persist() {
+    const snapshot = JSON.stringify(data, null, 2);
+    pending = pending.then(async () => {
+      const tmp = `${file}.tmp`;
+      await writeFile(tmp, snapshot);
+      await rename(tmp, file);
+    });
+    return pending;
+  }
+
+  if (migrated) await persist();
+
+  const listeners = new Set();
+
+  return {
+    // Directory holding the data file; uploads are stored beneath it
+    dir: dirname(file),
+
+    get data() {
+      return data;
+    },
+
+    // Runs `mutate` against the live document and persists the result.
+    async update(mutate) {
+      const result = mutate(data);
+      await persist();
+      for (const listener of listeners) listener(data);
+      return result;
+    },
+
+    // Calls `listener(data)` after every persisted update (see ./events.js).
+    // Returns a function that removes it again.
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
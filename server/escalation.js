@@ -0,0 +1,22 @@
+import { SLA_CHECK_MS, escalateOverdue } from "../src/domain/sla.js";
+import { bumpRevision } from "../src/domain/sync.js";
+import { schedule, systemClock } from "../src/utils/clock.js";
+import { notify } from "./notify.js";
+
+// Scheduled check of report deadlines (see domain/sla). Runs at startup and
+// then every `everyMs`; pass a fake clock (src/utils/clock.js) to drive it
+// from a test. Nothing is written unless a report escalates. Returns a
+// function that stops the schedule.
+export function startEscalation(db, { clock = systemClock, everyMs = SLA_CHECK_MS } = {}) {
+  return schedule((nowMs) => {
+    const now = new Date(nowMs).toISOString();
+    if (escalateOverdue(db.data, now).escalated.length === 0) return;
+    db.update((data) => {
+      const { escalated, events } = escalateOverdue(data, now);
+      for (const item of escalated) {
+        Object.assign(data.issues.find((it) => it.id === item.id), bumpRevision(item));
+      }
+      for (const event of events) notify(data, event);
+    }).catch((err) => console.error(`Deadline check failed: ${err.message}`));
+  }, { everyMs, clock });
+}
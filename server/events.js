@@ -0,0 +1,99 @@
+import { toPublicUser } from "../src/domain/permissions.js";
+import { redactFor } from "../src/domain/moderation.js";
+import { sessionUser } from "./auth.js";
+import { CORS_HEADERS } from "./http.js";
+
+// Live updates for connected clients over Server-Sent Events (GET /api/events).
+// After every database write the hub compares a small snapshot of the data
+// with the previous one and pushes what changed to each open stream, redacted
+// for the account behind it:
+//   { kind: "issue", issue }          a report, broadcast or poll was added or changed
+//   { kind: "issueRemoved", id }      deleted, or no longer visible to the user
+//   { kind: "constituencies", constituencies }
+//   { kind: "categories", categories }
+//   { kind: "notifications" }         the user's inbox or follows changed
+//   { kind: "account" }               the user's role or constituencies changed
+// EventSource cannot send headers, so the stream takes the session token as
+// the `token` query parameter. Events missed while disconnected are not
+// replayed; clients reload their data after reconnecting instead.
+
+const HEARTBEAT_MS = 25_000;
+
+// Notifications as one string per recipient, so a new one or a change in
+// read state shows up as that user's entry changing.
+function inboxes(notifications) {
+  const byUser = new Map();
+  for (const n of notifications) byUser.set(n.userId, `${byUser.get(n.userId) || ""}|${n.id}:${n.read ? 1 : 0}`);
+  return byUser;
+}
+
+function snapshot(data) {
+  return {
+    revisions: new Map(data.issues.map((it) => [it.id, it.revision || 0])),
+    constituencies: JSON.stringify(data.constituencies),
+    categories: JSON.stringify(data.categories),
+    inboxes: inboxes(data.notifications),
+    follows: new Map(data.subscriptions.map((s) => [s.userId, JSON.stringify(s)])),
+    accounts: new Map(data.users.map((u) => [u.id, JSON.stringify(toPublicUser(u))])),
+  };
+}
+
+function changedKeys(before, after) {
+  return new Set([...before.keys(), ...after.keys()].filter((key) => before.get(key) !== after.get(key)));
+}
+
+function write(res, event) {
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+export function createEventHub(db) {
+  const clients = new Set();
+  let previous = snapshot(db.data);
+
+  db.subscribe((data) => {
+    const current = snapshot(data);
+    const changed = data.issues.filter((it) => previous.revisions.get(it.id) !== (it.revision || 0));
+    const removed = [...previous.revisions.keys()].filter((id) => !current.revisions.has(id));
+    const constituencies = previous.constituencies !== current.constituencies;
+    const categories = previous.categories !== current.categories;
+    const notified = new Set([
+      ...changedKeys(previous.inboxes, current.inboxes),
+      ...changedKeys(previous.follows, current.follows),
+    ]);
+    const accounts = changedKeys(previous.accounts, current.accounts);
+    previous = current;
+
+    for (const { res, token } of clients) {
+      const user = sessionUser(db, token);
+      for (const item of changed) {
+        const issue = redactFor(item, user);
+        write(res, issue ? { kind: "issue", issue } : { kind: "issueRemoved", id: item.id });
+      }
+      for (const id of removed) write(res, { kind: "issueRemoved", id });
+      if (constituencies) write(res, { kind: "constituencies", constituencies: data.constituencies });
+      if (categories) write(res, { kind: "categories", categories: data.categories });
+      if (user && notified.has(user.id)) write(res, { kind: "notifications" });
+      if (user && accounts.has(user.id)) write(res, { kind: "account" });
+    }
+  });
+
+  // Comment lines keep idle connections open through proxies.
+  setInterval(() => {
+    for (const { res } of clients) res.write(": ping\n\n");
+  }, HEARTBEAT_MS).unref();
+
+  return {
+    connect(req, res) {
+      const client = { res, token: new URL(req.url, "http://localhost").searchParams.get("token") };
+      res.writeHead(200, {
+        ...CORS_HEADERS,
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.write(": connected\n\n");
+      clients.add(client);
+      req.on("close", () => clients.delete(client));
+    },
+  };
+}
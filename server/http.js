@@ -0,0 +1,71 @@
+// Shared HTTP helpers for the API server.
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET,POST,PATCH,DELETE,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
+
+export function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS_HEADERS });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// A handler result that is sent as-is instead of being JSON-encoded.
+export class RawResponse {
+  constructor(body, headers = {}, status = 200) {
+    this.body = body;
+    this.headers = headers;
+    this.status = status;
+  }
+}
+
+const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+// The limit is in bytes. Chunks are decoded together at the end, so a
+// multi-byte character split across two of them survives.
+export async function readJson(req, { limit = DEFAULT_BODY_LIMIT } = {}) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.byteLength;
+    if (size > limit) throw new HttpError(413, "Request body is too large.");
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString("utf8");
+  if (!raw) return {};
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, "Request body is not valid JSON.");
+  }
+  // Handlers read fields off the body, so null, arrays and bare values are refused
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Request body must be a JSON object.");
+  }
+  return body;
+}
+
+// A path parameter as the route handlers take it; a malformed escape is a 400.
+export function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `Malformed path segment "${value}".`);
+  }
+}
+
+export function requireText(value, field) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new HttpError(400, `Field "${field}" is required.`);
+  }
+  return value.trim();
+}
@@ -0,0 +1,103 @@
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { DomainError } from "../src/domain/errors.js";
+import { openDatabase } from "./db.js";
+import { createEventHub } from "./events.js";
+import { startEscalation } from "./escalation.js";
+import { startPublishing } from "./publishing.js";
+import { CORS_HEADERS, HttpError, RawResponse, decodeParam, send } from "./http.js";
+import { attachmentRoutes, startUploadExpiry } from "./routes/attachments.js";
+import { authRoutes } from "./routes/auth.js";
+import { categoryRoutes } from "./routes/categories.js";
+import { constituencyRoutes } from "./routes/constituencies.js";
+import { issueRoutes } from "./routes/issues.js";
+import { notificationRoutes } from "./routes/notifications.js";
+
+// Small shared backend for the app. Run with `npm run server` and build the
+// client with VITE_STORAGE=rest. Data lives in a JSON file (DATA_FILE), and the
+// built client in dist/ is served too, so one process is enough on a LAN.
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_FILE = resolve(process.env.DATA_FILE || join(ROOT, "server/data/db.json"));
+const STATIC_DIR = join(ROOT, "dist");
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+};
+
+// Shared domain rules throw DomainError; map its kind onto an HTTP status.
+const DOMAIN_ERROR_STATUS = { forbidden: 403, invalid: 400, conflict: 409 };
+
+// Each route is [method, pathPattern, handler(db, req, ...pathParams)].
+// Handlers return the response body; `undefined` means 204 No Content.
+const routes = [...authRoutes, ...constituencyRoutes, ...categoryRoutes, ...issueRoutes, ...attachmentRoutes, ...notificationRoutes];
+
+async function handleApi(db, req, res, pathname) {
+  for (const [method, pattern, handler] of routes) {
+    const match = pathname.match(pattern);
+    if (!match || req.method !== method) continue;
+    const result = await handler(db, req, ...match.slice(1).map(decodeParam));
+    if (result instanceof RawResponse) {
+      res.writeHead(result.status, { ...CORS_HEADERS, ...result.headers });
+      return res.end(result.body);
+    }
+    const status = result === undefined ? 204 : req.method === "POST" ? 201 : 200;
+    return send(res, status, result);
+  }
+  throw new HttpError(404, `No route for ${req.method} ${pathname}.`);
+}
+
+async function serveStatic(res, pathname) {
+  const file = normalize(join(STATIC_DIR, pathname === "/" ? "index.html" : pathname));
+  if (!file.startsWith(STATIC_DIR)) throw new HttpError(403, "Forbidden.");
+  let body;
+  try {
+    body = await readFile(file);
+  } catch {
+    // Unknown paths fall back to the SPA entry point.
+    body = await readFile(join(STATIC_DIR, "index.html")).catch(() => null);
+    if (!body) throw new HttpError(404, "Client not built. Run `npm run build` first.");
+    res.writeHead(200, { "Content-Type": MIME_TYPES[".html"] });
+    return res.end(body);
+  }
+  res.writeHead(200, { "Content-Type": MIME_TYPES[extname(file)] || "application/octet-stream" });
+  res.end(body);
+}
+
+const db = await openDatabase(DATA_FILE);
+const events = createEventHub(db);
+
+// Deadline checks, scheduled broadcasts and unclaimed uploads; SLA_CHECK_MS
+// shortens the deadline interval for trying them out
+startEscalation(db, { everyMs: Number(process.env.SLA_CHECK_MS) || undefined });
+startPublishing(db);
+startUploadExpiry(db);
+
+createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  try {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS_HEADERS);
+      return res.end();
+    }
+    // The live event stream holds its response open, so it bypasses the routes
+    if (pathname === "/api/events" && req.method === "GET") return events.connect(req, res);
+    if (pathname.startsWith("/api/")) return await handleApi(db, req, res, pathname);
+    await serveStatic(res, pathname);
+  } catch (err) {
+    const status = err.status || DOMAIN_ERROR_STATUS[err instanceof DomainError && err.kind] || 500;
+    if (status === 500) console.error(err);
+    send(res, status, { error: status === 500 ? "Internal server error." : err.message });
+  }
+}).listen(PORT, () => {
+  console.log(`API listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
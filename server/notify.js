@@ -0,0 +1,128 @@
+import { connect } from "node:net";
+import { appendNotifications, buildNotifications, subscriptionFor } from "../src/domain/notifications.js";
+
+// Notification fan-out. Every notification is stored in `data.notifications`
+// for the in-app bell. Optionally each one is also POSTed as JSON to
+// NOTIFY_WEBHOOK_URL, and mailed through a plain (no TLS, no auth) SMTP relay at
+// NOTIFY_SMTP_HOST:NOTIFY_SMTP_PORT to recipients who gave an email address.
+// Both hooks are meant for a local sink such as MailHog or a request bin;
+// delivery failures are logged and never fail the request that caused them.
+
+const WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL || "";
+const SMTP_HOST = process.env.NOTIFY_SMTP_HOST || "";
+const SMTP_PORT = Number(process.env.NOTIFY_SMTP_PORT) || 1025;
+const MAIL_FROM = process.env.NOTIFY_FROM || "notifications@localhost";
+const DELIVERY_TIMEOUT_MS = 10_000;
+
+// Non-ASCII header values (the messages use curly quotes) need RFC 2047 encoding.
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+function sendMail({ to, subject, text }) {
+  const body = text.split(/\r?\n/).map((line) => (line.startsWith(".") ? `.${line}` : line)).join("\r\n");
+  const message = [
+    `From: ${MAIL_FROM}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body,
+    ".",
+  ].join("\r\n");
+
+  // Each step is [expected reply code, command to send once it arrives].
+  const steps = [
+    [220, "EHLO localhost"],
+    [250, `MAIL FROM:<${MAIL_FROM}>`],
+    [250, `RCPT TO:<${to}>`],
+    [250, "DATA"],
+    [354, message],
+    [250, "QUIT"],
+    [221, null],
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = connect(SMTP_PORT, SMTP_HOST);
+    let buffer = "";
+    socket.setEncoding("utf8");
+    socket.setTimeout(DELIVERY_TIMEOUT_MS, () => socket.destroy(new Error("SMTP server timed out.")));
+    socket.on("error", reject);
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (line[3] === "-") continue; // Continuation of a multi-line reply
+        const [expected, command] = steps.shift();
+        if (Number(line.slice(0, 3)) !== expected) {
+          socket.destroy();
+          return reject(new Error(`SMTP server replied "${line}".`));
+        }
+        if (command === null) {
+          socket.end();
+          return resolve();
+        }
+        socket.write(`${command}\r\n`);
+      }
+    });
+  });
+}
+
+async function postWebhook(payload) {
+  const res = await fetch(WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Webhook replied with status ${res.status}.`);
+}
+
+// Why a mail went to its recipient, by notification kind
+const REASONS = {
+  overdue: "you are responsible for this report",
+  rate: "you filed this report",
+  broadcast: "you are in the broadcast's audience",
+  retract: "you are in the broadcast's audience",
+  default: "you follow this report or its category",
+};
+
+async function deliver(outgoing) {
+  const jobs = outgoing.flatMap(({ notification, recipient, email }) => [
+    WEBHOOK_URL && postWebhook({ event: notification.kind, notification, recipient }),
+    SMTP_HOST && email && sendMail({
+      to: email,
+      subject: `[Citizen-Politician Platform] ${notification.itemTitle}`,
+      text: `${notification.message}\n\nSent at ${notification.at} because ${REASONS[notification.kind] || REASONS.default}.`,
+    }),
+  ]).filter(Boolean);
+  for (const result of await Promise.allSettled(jobs)) {
+    if (result.status === "rejected") console.error(`Notification delivery failed: ${result.reason.message}`);
+  }
+}
+
+// Records the notifications `event` produces (see domain/notifications) and
+// hands them to the configured hooks. Call inside db.update so they are saved.
+export function notify(data, event) {
+  const fresh = buildNotifications(event, data.subscriptions);
+  if (fresh.length === 0) return fresh;
+  data.notifications = appendNotifications(data.notifications, fresh);
+
+  if (WEBHOOK_URL || SMTP_HOST) {
+    const outgoing = fresh.map((notification) => {
+      const user = data.users.find((u) => u.id === notification.userId);
+      return {
+        notification,
+        recipient: user ? { id: user.id, username: user.username, displayName: user.displayName } : null,
+        email: subscriptionFor(data.subscriptions, notification.userId).email,
+      };
+    });
+    deliver(outgoing);
+  }
+  return fresh;
+}
@@ -0,0 +1,22 @@
+import { PUBLISH_CHECK_MS, broadcastEvent, publishDue } from "../src/domain/broadcasts.js";
+import { bumpRevision } from "../src/domain/sync.js";
+import { schedule, systemClock } from "../src/utils/clock.js";
+import { notify } from "./notify.js";
+
+// Publishes scheduled broadcasts once they fall due (see domain/broadcasts),
+// at startup and then every `everyMs`, and tells their audience. Takes a
+// clock like the deadline checks in ./escalation.js. Returns a function that
+// stops the schedule.
+export function startPublishing(db, { clock = systemClock, everyMs = PUBLISH_CHECK_MS } = {}) {
+  return schedule((nowMs) => {
+    const now = new Date(nowMs).toISOString();
+    if (publishDue(db.data.issues, now).length === 0) return;
+    db.update((data) => {
+      for (const item of publishDue(data.issues, now)) {
+        const stored = Object.assign(data.issues.find((it) => it.id === item.id), bumpRevision(item));
+        const author = { id: stored.reporterId, displayName: stored.reporterName, role: stored.reporterRole };
+        notify(data, broadcastEvent("broadcast", stored, author, data));
+      }
+    }).catch((err) => console.error(`Publishing scheduled broadcasts failed: ${err.message}`));
+  }, { everyMs, clock });
+}
@@ -0,0 +1,191 @@
+import { mkdir, readFile, unlink, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { randomBytes } from "node:crypto";
+import { ALLOWED_TYPES, ATTACHMENT_LIMITS, attachmentProblem } from "../../src/domain/attachments.js";
+import { redactFor } from "../../src/domain/moderation.js";
+import { schedule, systemClock } from "../../src/utils/clock.js";
+import { authenticate, authorize } from "../auth.js";
+import { HttpError, RawResponse, readJson } from "../http.js";
+
+// Upload and download of report/comment/broadcast attachments. Files live in
+// <data dir>/uploads; their metadata lives in `data.attachments` so records
+// can reference an upload by id and the server can check who uploaded it.
+// Each upload belongs to one record; one that no record claims within
+// UPLOAD_TTL_MS is deleted.
+
+// Base64 inflates by 4/3; leave headroom for the thumbnail and JSON framing.
+const UPLOAD_BODY_LIMIT = Math.ceil(ATTACHMENT_LIMITS.maxBytes * 1.5);
+
+// How long an upload waits for the report, comment or broadcast it was made
+// for, and how often unclaimed ones are swept
+export const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const UPLOAD_SWEEP_MS = 60 * 60 * 1000;
+
+// Leading bytes of each allowed type, so a renamed file cannot pass as another.
+const SIGNATURES = {
+  "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/png": (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/gif": (b) => b.subarray(0, 4).toString("latin1") === "GIF8",
+  "image/webp": (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  "application/pdf": (b) => b.subarray(0, 5).toString("latin1") === "%PDF-",
+};
+
+function decodeDataUrl(dataUrl, field) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(String(dataUrl || ""));
+  if (!match) throw new HttpError(400, `Field "${field}" must be a base64 data URL.`);
+  return { type: match[1], bytes: Buffer.from(match[2], "base64") };
+}
+
+function uploadsDir(db) {
+  return join(db.dir, "uploads");
+}
+
+function toPublicAttachment(meta) {
+  return {
+    id: meta.id,
+    name: meta.name,
+    type: meta.type,
+    size: meta.size,
+    url: `/api/attachments/${meta.id}`,
+    thumbnailUrl: meta.thumbnailFile ? `/api/attachments/${meta.id}/thumbnail` : null,
+  };
+}
+
+function hasAttachment(list, id) {
+  return (list || []).some((a) => a.id === id);
+}
+
+// The report, broadcast or poll that upload `id` is attached to, itself or
+// through one of its comments, or undefined while it is unclaimed.
+function ownerOf(data, id) {
+  return data.issues.find((it) => hasAttachment(it.attachments, id) || it.comments.some((c) => hasAttachment(c.attachments, id)));
+}
+
+function isExpired(meta, now) {
+  return Date.parse(meta.createdAt) + UPLOAD_TTL_MS <= now;
+}
+
+// Maps the attachments a client put on a new record to stored uploads made by
+// the same user, so records can only reference files that really exist. An
+// upload can only be claimed once, and not after it expired.
+export function resolveAttachments(data, list, user) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new HttpError(400, `Field "attachments" must be a list.`);
+  if (list.length > ATTACHMENT_LIMITS.maxFiles) {
+    throw new HttpError(400, `At most ${ATTACHMENT_LIMITS.maxFiles} attachments are allowed.`);
+  }
+  const ids = list.map((item) => (typeof item === "string" ? item : item && item.id));
+  return ids.map((id, i) => {
+    const meta = data.attachments.find((a) => a.id === id && a.uploaderId === user.id);
+    if (!meta || isExpired(meta, Date.now())) throw new HttpError(400, `Attachment ${id} was not found. Upload it again.`);
+    if (ids.indexOf(id) !== i || ownerOf(data, id)) throw new HttpError(400, `Attachment ${id} is already in use. Upload it again.`);
+    return toPublicAttachment(meta);
+  });
+}
+
+async function deleteFiles(db, metas) {
+  for (const meta of metas) {
+    for (const file of [meta.file, meta.thumbnailFile].filter(Boolean)) {
+      await unlink(join(uploadsDir(db), file)).catch(() => {});
+    }
+  }
+}
+
+// Deletes the stored files behind every attachment on `item` and its comments.
+export async function releaseAttachments(db, item) {
+  const ids = new Set([
+    ...(item.attachments || []),
+    ...item.comments.flatMap((c) => c.attachments || []),
+  ].map((a) => a.id));
+  if (ids.size === 0) return;
+
+  const released = db.data.attachments.filter((a) => ids.has(a.id));
+  await db.update((data) => {
+    data.attachments = data.attachments.filter((a) => !ids.has(a.id));
+  });
+  await deleteFiles(db, released);
+}
+
+// Deletes the uploads nobody attached to anything within UPLOAD_TTL_MS, at
+// startup and then every `everyMs`. Takes a clock like ../escalation.js.
+// Returns a function that stops the schedule.
+export function startUploadExpiry(db, { clock = systemClock, everyMs = UPLOAD_SWEEP_MS } = {}) {
+  const expired = (data, now) => data.attachments.filter((a) => isExpired(a, now) && !ownerOf(data, a.id));
+  return schedule((now) => {
+    if (expired(db.data, now).length === 0) return;
+    db.update((data) => {
+      const gone = expired(data, now);
+      data.attachments = data.attachments.filter((a) => !gone.includes(a));
+      return gone;
+    })
+      .then((gone) => deleteFiles(db, gone))
+      .catch((err) => console.error(`Expiring uploads failed: ${err.message}`));
+  }, { everyMs, clock });
+}
+
+// Files are served to whoever may see the record or comment they are on (see
+// domain/moderation); an unclaimed upload only to its uploader. Anything else
+// is reported missing, like a hidden report.
+async function serveFile(db, req, id, variant) {
+  const user = authenticate(db, req);
+  const meta = db.data.attachments.find((a) => a.id === id);
+  const owner = meta && ownerOf(db.data, id);
+  const shown = owner ? redactFor(owner, user) : null;
+  const visible = owner
+    ? Boolean(shown) && (hasAttachment(shown.attachments, id) || shown.comments.some((c) => hasAttachment(c.attachments, id)))
+    : Boolean(meta) && Boolean(user) && meta.uploaderId === user.id;
+  const file = visible && (variant === "thumbnail" ? meta.thumbnailFile : meta.file);
+  if (!file) throw new HttpError(404, `Attachment ${id} not found.`);
+  const body = await readFile(join(uploadsDir(db), file));
+  return new RawResponse(body, {
+    "Content-Type": variant === "thumbnail" ? "image/jpeg" : meta.type,
+    "Content-Disposition": `inline; filename="${encodeURIComponent(meta.name)}"`,
+    "Cache-Control": "private, max-age=300",
+    "X-Content-Type-Options": "nosniff",
+  });
+}
+
+export const attachmentRoutes = [
+  ["POST", /^\/api\/attachments$/, async (db, req) => {
+    const user = authorize(db, req, "comment:create");
+    const body = await readJson(req, { limit: UPLOAD_BODY_LIMIT });
+    const name = String(body.name || "attachment").slice(0, 200);
+    const { type, bytes } = decodeDataUrl(body.data, "data");
+
+    const problem = attachmentProblem({ name, type, size: bytes.length });
+    if (problem) throw new HttpError(400, problem);
+    if (!SIGNATURES[type](bytes)) throw new HttpError(400, `"${name}" does not look like a ${type} file.`);
+
+    let thumbnail = null;
+    if (body.thumbnail) {
+      thumbnail = decodeDataUrl(body.thumbnail, "thumbnail");
+      if (thumbnail.type !== "image/jpeg" || !SIGNATURES["image/jpeg"](thumbnail.bytes)) {
+        throw new HttpError(400, "Thumbnails must be JPEG images.");
+      }
+    }
+
+    const id = `${Date.now()}-${randomBytes(4).toString("hex")}`;
+    const meta = {
+      id,
+      name,
+      type,
+      size: bytes.length,
+      file: `${id}${ALLOWED_TYPES[type]}`,
+      thumbnailFile: thumbnail ? `${id}.thumb.jpg` : null,
+      uploaderId: user.id,
+      createdAt: new Date().toISOString(),
+    };
+    await mkdir(uploadsDir(db), { recursive: true });
+    await writeFile(join(uploadsDir(db), meta.file), bytes);
+    if (thumbnail) await writeFile(join(uploadsDir(db), meta.thumbnailFile), thumbnail.bytes);
+
+    return db.update((data) => {
+      data.attachments.push(meta);
+      return toPublicAttachment(meta);
+    });
+  }],
+
+  ["GET", /^\/api\/attachments\/([^/]+)$/, (db, req, id) => serveFile(db, req, id, "file")],
+
+  ["GET", /^\/api\/attachments\/([^/]+)\/thumbnail$/, (db, req, id) => serveFile(db, req, id, "thumbnail")],
+];
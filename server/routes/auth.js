@@ -0,0 +1,94 @@
+import { randomUUID } from "node:crypto";
+import { ROLES, toPublicUser } from "../../src/domain/permissions.js";
+import { assignmentIds, homeConstituencyId } from "../../src/domain/constituencies.js";
+import {
+  authenticate, authorize, createSession, destroySession, hashPassword, sessionToken, verifyPassword,
+} from "../auth.js";
+import { HttpError, readJson, requireText } from "../http.js";
+
+// Account, session and role-assignment routes.
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+
+export const authRoutes = [
+  ["POST", /^\/api\/auth\/register$/, async (db, req) => {
+    const body = await readJson(req);
+    const username = requireText(body.username, "username").toLowerCase();
+    // Kept as typed: login compares the password untrimmed
+    const { password } = body;
+    if (typeof password !== "string" || !password) throw new HttpError(400, 'Field "password" is required.');
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new HttpError(400, "Usernames are 3-32 characters: letters, digits, dot, dash or underscore.");
+    }
+    if (password.length < 8) throw new HttpError(400, "Passwords must be at least 8 characters.");
+    const passwordHash = await hashPassword(password);
+
+    return db.update((data) => {
+      if (data.users.some((u) => u.username === username)) {
+        throw new HttpError(409, `The username "${username}" is already taken.`);
+      }
+      const user = {
+        id: randomUUID(),
+        username,
+        displayName: (body.displayName || "").trim() || username,
+        // The first account bootstraps the instance and becomes its Admin
+        role: data.users.length === 0 ? "Admin" : "Citizen",
+        passwordHash,
+      };
+      data.users.push(user);
+      return { token: createSession(data, user.id), user: toPublicUser(user) };
+    });
+  }],
+
+  ["POST", /^\/api\/auth\/login$/, async (db, req) => {
+    const { username, password } = await readJson(req);
+    const user = db.data.users.find((u) => u.username === String(username || "").trim().toLowerCase());
+    if (!user || !(await verifyPassword(String(password || ""), user.passwordHash))) {
+      throw new HttpError(401, "Incorrect username or password.");
+    }
+    return db.update((data) => ({ token: createSession(data, user.id), user: toPublicUser(user) }));
+  }],
+
+  ["POST", /^\/api\/auth\/logout$/, (db, req) =>
+    db.update((data) => {
+      destroySession(data, sessionToken(req));
+    })
+  ],
+
+  ["GET", /^\/api\/auth\/me$/, (db, req) => ({ user: toPublicUser(authenticate(db, req)) })],
+
+  // Body { homeConstituency }: the constituency the user lives in (null to clear).
+  ["PATCH", /^\/api\/auth\/me$/, async (db, req) => {
+    const user = authenticate(db, req);
+    if (!user) throw new HttpError(401, "Please log in to continue.");
+    const { homeConstituency } = await readJson(req);
+    return db.update((data) => {
+      user.homeConstituency = homeConstituencyId(data.constituencies, homeConstituency);
+      return { user: toPublicUser(user) };
+    });
+  }],
+
+  ["GET", /^\/api\/users$/, (db, req) => {
+    authorize(db, req, "user:manage");
+    return db.data.users.map(toPublicUser);
+  }],
+
+  // Body { role } and/or { constituencies } (the ids a staff account serves).
+  ["PATCH", /^\/api\/users\/([^/]+)$/, async (db, req, id) => {
+    authorize(db, req, "user:manage");
+    const { role, constituencies } = await readJson(req);
+    if (role !== undefined && !ROLES.includes(role)) throw new HttpError(400, `Unknown role "${role}".`);
+    return db.update((data) => {
+      const user = data.users.find((u) => u.id === id);
+      if (!user) throw new HttpError(404, `Account ${id} not found.`);
+      if (role !== undefined) {
+        if (user.role === "Admin" && role !== "Admin" && data.users.filter((u) => u.role === "Admin").length === 1) {
+          throw new HttpError(400, "At least one Admin account must remain.");
+        }
+        user.role = role;
+      }
+      if (constituencies !== undefined) user.constituencies = assignmentIds(data.constituencies, user, constituencies);
+      return toPublicUser(user);
+    });
+  }],
+];
@@ -0,0 +1,54 @@
+import { randomUUID } from "node:crypto";
+import { categoryFields, isOfficial, renameCategory, requireRemovable } from "../../src/domain/categories.js";
+import { toPublicUser } from "../../src/domain/permissions.js";
+import { authorize } from "../auth.js";
+import { HttpError, readJson } from "../http.js";
+
+// Category list (public) and its Admin management, plus the accounts reports
+// can be assigned to. Reports are reassigned through /api/issues/:id/assignee.
+
+function findCategory(data, id) {
+  const category = data.categories.find((c) => c.id === id);
+  if (!category) throw new HttpError(404, `Category ${id} not found.`);
+  return category;
+}
+
+export const categoryRoutes = [
+  ["GET", /^\/api\/categories$/, (db) => db.data.categories],
+
+  ["POST", /^\/api\/categories$/, async (db, req) => {
+    authorize(db, req, "category:manage");
+    const body = await readJson(req);
+    return db.update((data) => {
+      const category = { id: randomUUID(), ...categoryFields(body, data.categories, data.users) };
+      data.categories.push(category);
+      return category;
+    });
+  }],
+
+  // A rename also renames the category on its reports and follows.
+  ["PATCH", /^\/api\/categories\/([^/]+)$/, async (db, req, id) => {
+    authorize(db, req, "category:manage");
+    const body = await readJson(req);
+    return db.update((data) => {
+      const category = findCategory(data, id);
+      const fields = categoryFields({ ...category, ...body }, data.categories, data.users, id);
+      Object.assign(data, renameCategory(category.name, fields.name, data));
+      return Object.assign(category, fields);
+    });
+  }],
+
+  // Its reports keep their category name and assignee.
+  ["DELETE", /^\/api\/categories\/([^/]+)$/, (db, req, id) => {
+    authorize(db, req, "category:manage");
+    return db.update((data) => {
+      requireRemovable(data.categories, id);
+      data.categories = data.categories.filter((c) => c.id !== id);
+    });
+  }],
+
+  ["GET", /^\/api\/officials$/, (db, req) => {
+    authorize(db, req, "issue:assign");
+    return db.data.users.filter(isOfficial).map(toPublicUser);
+  }],
+];
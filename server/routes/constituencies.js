@@ -0,0 +1,46 @@
+import { randomUUID } from "node:crypto";
+import { constituencyFields, detachConstituency } from "../../src/domain/constituencies.js";
+import { authorize } from "../auth.js";
+import { HttpError, readJson } from "../http.js";
+
+// Constituency list (public) and its Admin management. Account assignments
+// are set through PATCH /api/users/:id, a citizen's home through /api/auth/me.
+
+function findConstituency(data, id) {
+  const constituency = data.constituencies.find((c) => c.id === id);
+  if (!constituency) throw new HttpError(404, `Constituency ${id} not found.`);
+  return constituency;
+}
+
+export const constituencyRoutes = [
+  ["GET", /^\/api\/constituencies$/, (db) => db.data.constituencies],
+
+  ["POST", /^\/api\/constituencies$/, async (db, req) => {
+    authorize(db, req, "constituency:manage");
+    const body = await readJson(req);
+    return db.update((data) => {
+      const constituency = { id: randomUUID(), ...constituencyFields(body, data.constituencies) };
+      data.constituencies.push(constituency);
+      return constituency;
+    });
+  }],
+
+  ["PATCH", /^\/api\/constituencies\/([^/]+)$/, async (db, req, id) => {
+    authorize(db, req, "constituency:manage");
+    const body = await readJson(req);
+    return db.update((data) => {
+      const constituency = findConstituency(data, id);
+      return Object.assign(constituency, constituencyFields({ ...constituency, ...body }, data.constituencies, id));
+    });
+  }],
+
+  // Its reports become unassigned and accounts stop referring to it.
+  ["DELETE", /^\/api\/constituencies\/([^/]+)$/, (db, req, id) => {
+    authorize(db, req, "constituency:manage");
+    return db.update((data) => {
+      findConstituency(data, id);
+      data.constituencies = data.constituencies.filter((c) => c.id !== id);
+      Object.assign(data, detachConstituency(id, data));
+    });
+  }],
+];
@@ -0,0 +1,539 @@
+import { randomUUID } from "node:crypto";
+import { alreadyApplied, applyTransition } from "../../src/domain/lifecycle.js";
+import { mergeIssues, setSupport } from "../../src/domain/support.js";
+import { validateIssue } from "../../src/domain/schema.js";
+import { setFollow } from "../../src/domain/notifications.js";
+import { importedIssueFields } from "../../src/domain/transfer.js";
+import { reportConstituency } from "../../src/domain/constituencies.js";
+import { ownerFor, reportCategory, rerouted, routeReport } from "../../src/domain/categories.js";
+import { deleteComment, editComment, replyProblem, setOfficialResponse, setReaction } from "../../src/domain/comments.js";
+import { giveFeedback } from "../../src/domain/feedback.js";
+import {
+  broadcastEvent, broadcastFields, editBroadcast, publication, requireDiscardable, retractBroadcast,
+} from "../../src/domain/broadcasts.js";
+import { closePoll, pollFields, respondToPoll } from "../../src/domain/polls.js";
+import { can } from "../../src/domain/permissions.js";
+import { bumpRevision, clientTimestamp } from "../../src/domain/sync.js";
+import { isLanguageTag } from "../../src/i18n/languages.js";
+import {
+  addFlag, assignIssue, commentProblem, editContent, moderate, redactFor, releasedEvent, screenContent, visibleTo,
+} from "../../src/domain/moderation.js";
+import { authorize, authenticate } from "../auth.js";
+import { HttpError, readJson, requireText } from "../http.js";
+import { notify } from "../notify.js";
+import { releaseAttachments, resolveAttachments } from "./attachments.js";
+
+// CRUD routes for reports, their comments, politician broadcasts and polls.
+// All kinds of item share one collection and are told apart by `type`. Mutations
+// notify followers (see ../notify.js); reporters, commenters and the official
+// a report is assigned to follow the report automatically. Responses are redacted for the caller, so hidden and
+// held content only reaches moderators (and held content its author), and
+// commenting on, reacting to, flagging, supporting or changing the status of
+// content the caller cannot see is answered with a 404.
+
+const TYPE_NAMES = { issue: "Report", broadcast: "Broadcast", poll: "Poll" };
+
+export function findIssue(data, id, type = null) {
+  const issue = data.issues.find((it) => it.id === id && (!type || it.type === type));
+  if (!issue) throw new HttpError(404, `${TYPE_NAMES[type] || "Report"} ${id} not found.`);
+  return issue;
+}
+
+// findIssue() for an action on content `user` can see: hidden, held or
+// unpublished items (and comments, with `commentId`) they may not see are
+// answered with the same 404 as missing ones.
+function findVisible(data, id, user, { type = null, commentId = null } = {}) {
+  const issue = findIssue(data, id, type);
+  const shown = redactFor(issue, user);
+  if (!shown) throw new HttpError(404, `${TYPE_NAMES[type] || "Report"} ${id} not found.`);
+  if (commentId && !shown.comments.some((c) => c.id === commentId)) throw new HttpError(404, `Comment ${commentId} not found.`);
+  return issue;
+}
+
+// Applies a domain update to the stored record in place, bumping its
+// revision so clients can tell it from older copies (see domain/sync).
+function save(issue, updated) {
+  return Object.assign(issue, bumpRevision(updated));
+}
+
+function checked(item) {
+  const problem = validateIssue(item);
+  if (problem) throw new HttpError(400, `Invalid ${(TYPE_NAMES[item.type] || "Report").toLowerCase()}: ${problem}.`);
+  return item;
+}
+
+// Fresh moderation state; submissions the automatic screen dislikes are held.
+function moderationState(...texts) {
+  return { flags: [], hidden: false, held: screenContent(...texts) };
+}
+
+function toLocation(loc) {
+  if (!loc || typeof loc !== "object") return null;
+  const coordinate = (value) => (value === null || value === undefined || value === "" ? null : Number(value));
+  return { address: String(loc.address || "").trim(), lat: coordinate(loc.lat), lng: coordinate(loc.lng) };
+}
+
+// Builds stored records from client payloads, keeping only known fields.
+// The author always comes from the session, never from the payload, except
+// for Admin imports of historic reports (see domain/transfer). Dates are the
+// server's, except for imports and writes replayed from the offline outbox,
+// which carry `queued` (see clientTimestamp in domain/sync).
+function toIssue(body, user, data) {
+  const title = requireText(body.title, "title");
+  const description = requireText(body.description, "description");
+  const category = reportCategory(data.categories, body.category, { required: !body.imported });
+  return checked({
+    type: "issue",
+    id: body.id || randomUUID(),
+    title,
+    description,
+    category,
+    language: isLanguageTag(body.language) ? body.language : null,
+    constituencyId: body.imported
+      ? reportConstituency(data.constituencies, body.constituencyId, null, { required: false })
+      : reportConstituency(data.constituencies, body.constituencyId, user),
+    status: "Open",
+    location: toLocation(body.location),
+    attachments: resolveAttachments(data, body.attachments, user),
+    duplicateOf: null,
+    mergedInto: null,
+    supporters: [],
+    history: [],
+    comments: [],
+    officialResponseId: null,
+    assignee: routeReport(data.categories, category),
+    escalations: [],
+    feedback: [],
+    ...moderationState(title, description),
+    locked: false,
+    moderationLog: [],
+    revision: 0,
+    createdAt: clientTimestamp(body.createdAt, { trusted: Boolean(body.imported || body.queued) }),
+    reporterId: user.id,
+    reporterName: user.displayName,
+    reporterRole: user.role,
+    ...(body.imported ? importedIssueFields(body.imported, user) : {}),
+  });
+}
+
+// Body fields as broadcastFields takes them, with an unknown language dropped.
+function broadcastBody(body, data, user) {
+  return broadcastFields({ ...body, language: isLanguageTag(body.language) ? body.language : null }, data, user);
+}
+
+function toBroadcast(body, user, data) {
+  return checked({
+    type: "broadcast",
+    id: body.id || randomUUID(),
+    ...broadcastBody(body, data, user),
+    createdAt: clientTimestamp(body.createdAt, { trusted: Boolean(body.queued) }),
+    ...publication({ state: body.state, publishAt: body.publishAt }),
+    changes: [],
+    attachments: resolveAttachments(data, body.attachments, user),
+    comments: [],
+    flags: [],
+    hidden: false,
+    held: null, // Broadcasts come from politicians and are not screened
+    locked: false,
+    moderationLog: [],
+    revision: 0,
+    reporterId: user.id,
+    reporterName: user.displayName,
+    reporterRole: user.role,
+  });
+}
+
+function toPoll(body, user, data) {
+  return checked({
+    type: "poll",
+    id: body.id || randomUUID(),
+    ...pollFields({ ...body, language: isLanguageTag(body.language) ? body.language : null }, data, user),
+    responses: [],
+    attachments: [],
+    comments: [],
+    flags: [],
+    hidden: false,
+    held: null, // Polls come from politicians and are not screened
+    locked: false,
+    moderationLog: [],
+    revision: 0,
+    createdAt: new Date().toISOString(),
+    reporterId: user.id,
+    reporterName: user.displayName,
+    reporterRole: user.role,
+  });
+}
+
+// The official an assignment names follows the report, so they hear about it.
+function followAssignee(data, issue) {
+  const { assignee } = issue;
+  if (assignee && assignee.kind === "official") {
+    data.subscriptions = setFollow(data.subscriptions, assignee.userId, { issueId: issue.id }, true);
+  }
+}
+
+// The offline outbox (src/storage/offlineAdapter.js) sends a write again,
+// under the id it was given, when the answer to the first attempt was lost.
+// A repeat from the same author gets back what was saved the first time;
+// anyone else reusing the id is a conflict.
+function earlierItem(data, body, user, type) {
+  const item = body.id && data.issues.find((it) => it.id === String(body.id));
+  if (!item) return null;
+  if (item.type !== type || item.reporterId !== user.id) throw new HttpError(409, `${TYPE_NAMES[type]} ${body.id} already exists.`);
+  return redactFor(item, user);
+}
+
+function hasEarlierComment(issue, body, user) {
+  const comment = body.id && issue.comments.find((c) => c.id === String(body.id));
+  if (!comment) return false;
+  if (comment.authorId !== user.id) throw new HttpError(409, `Comment ${body.id} already exists.`);
+  return true;
+}
+
+function toComment(body, user, data, issue) {
+  const text = requireText(body.text, "text");
+  return {
+    id: body.id || randomUUID(),
+    parentId: body.parentId ? String(body.parentId) : null,
+    authorId: user.id,
+    authorName: user.displayName,
+    role: user.role,
+    text,
+    attachments: resolveAttachments(data, body.attachments, user),
+    ...moderationState(text),
+    editedAt: null,
+    deleted: false,
+    reactions: {},
+    at: clientTimestamp(body.at, { trusted: Boolean(body.queued), earliest: issue.createdAt }),
+  };
+}
+
+export const issueRoutes = [
+  ["GET", /^\/api\/issues$/, (db, req) => visibleTo(db.data.issues, authenticate(db, req))],
+
+  // Body { imported } (Admin only) creates a historic report from an import:
+  // no follow, no notifications, createdAt and status taken from the file.
+  ["POST", /^\/api\/issues$/, async (db, req) => {
+    const body = await readJson(req);
+    const user = authorize(db, req, body.imported ? "reports:import" : "issue:create");
+    const earlier = !body.imported && earlierItem(db.data, body, user, "issue");
+    if (earlier) return earlier;
+    const issue = toIssue(body, user, db.data);
+    return db.update((data) => {
+      if (data.issues.some((it) => it.id === issue.id)) throw new HttpError(409, `Report ${issue.id} already exists.`);
+      data.issues.unshift(issue);
+      if (body.imported) return redactFor(issue, user);
+      data.subscriptions = setFollow(data.subscriptions, user.id, { issueId: issue.id }, true);
+      followAssignee(data, issue);
+      if (!issue.held) notify(data, { kind: "report", item: issue, actor: user });
+      return redactFor(issue, user);
+    });
+  }],
+
+  ["GET", /^\/api\/issues\/([^/]+)$/, (db, req, id) => {
+    const issue = redactFor(findIssue(db.data, id), authenticate(db, req));
+    if (!issue) throw new HttpError(404, `Report ${id} not found.`);
+    return issue;
+  }],
+
+  // Moderator edit; `reason` is required and logged with the replaced text.
+  // `constituencyId` moves the report (null leaves it unassigned), a new
+  // `category` reroutes it unless it was assigned by hand, and `expected`
+  // rejects the edit with 409 if the fields changed meanwhile.
+  ["PATCH", /^\/api\/issues\/([^/]+)$/, async (db, req, id) => {
+    const user = authorize(db, req, "issue:edit");
+    const { title, description, category, constituencyId, reason, expected } = await readJson(req);
+    return db.update((data) => {
+      const issue = findIssue(data, id);
+      const moved = constituencyId === undefined
+        ? undefined
+        : reportConstituency(data.constituencies, constituencyId, null, { required: false });
+      const recategorized = category === undefined ? undefined : reportCategory(data.categories, category);
+      const edited = editContent(issue, user, { title, description, category: recategorized, constituencyId: moved, reason, expected });
+      save(issue, checked(rerouted(issue, edited, data.categories)));
+      followAssignee(data, issue);
+      return redactFor(issue, user);
+    });
+  }],
+
+  // Moderator reassignment: { owner, reason }, where owner is
+  // { kind: "department", name }, { kind: "official", userId } or null.
+  ["POST", /^\/api\/issues\/([^/]+)\/assignee$/, async (db, req, id) => {
+    const user = authorize(db, req, "issue:assign");
+    const { owner, reason } = await readJson(req);
+    return db.update((data) => {
+      const issue = findIssue(data, id, "issue");
+      const resolved = ownerFor(owner, { users: data.users, categories: data.categories });
+      save(issue, assignIssue(issue, user, resolved, reason));
+      followAssignee(data, issue);
+      notify(data, { kind: "assign", item: issue, actor: user });
+      return redactFor(issue, user);
+    });
+  }],
+
+  ["DELETE", /^\/api\/issues\/([^/]+)$/, async (db, req, id) => {
+    authorize(db, req, "issue:delete");
+    const removed = await db.update((data) => {
+      const issue = findIssue(data, id);
+      data.issues = data.issues.filter((it) => it.id !== id);
+      return issue;
+    });
+    await releaseAttachments(db, removed);
+  }],
+
+  ["POST", /^\/api\/issues\/([^/]+)\/transitions$/, async (db, req, id) => {
+    const user = authenticate(db, req);
+    if (!user) throw new HttpError(401, "Please log in to continue.");
+    const { id: changeId, to, note, duplicateOf } = await readJson(req);
+    return db.update((data) => {
+      const issue = findVisible(data, id, user, { type: "issue" });
+      // A resent change (its first answer was lost) gets the saved issue back
+      if (alreadyApplied(issue, user, { id: changeId })) return redactFor(issue, user);
+      if (duplicateOf) findVisible(data, duplicateOf, user, { type: "issue" });
+      const from = issue.status;
+      save(issue, applyTransition(issue, user, { id: changeId, to, note, duplicateOf }));
+      notify(data, { kind: "status", item: issue, actor: user, from });
+      if (issue.status === "Resolved" && issue.reporterId) {
+        notify(data, { kind: "rate", item: issue, actor: user, recipients: [issue.reporterId] });
+      }
+      return redactFor(issue, user);
+    });
+  }],
+
+  // The reporter's { rating, verdict, note } on the current resolution; a
+  // dispute reopens the report.
+  ["POST", /^\/api\/issues\/([^/]+)\/feedback$/, async (db, req, id) => {
+    const user = authenticate(db, req);
+    if (!user) throw new HttpError(401, "Please log in to continue.");
+    const { rating, verdict, note } = await readJson(req);
+    return db.update((data) => {
+      const issue = findVisible(data, id, user, { type: "issue" });
+      save(issue, giveFeedback(issue, user, { rating, verdict, note }));
+      const { resolvedById } = issue.feedback[issue.feedback.length - 1];
+      notify(data, { kind: "feedback", item: issue, actor: user, rating: Number(rating), verdict, alsoTo: [resolvedById] });
+      return redactFor(issue, user);
+    });
+  }],
+
+  ["POST", /^\/api\/issues\/([^/]+)\/support$/, (db, req, id) => {
+    const user = authorize(db, req, "issue:support");
+    return db.update((data) => {
+      const issue = findVisible(data, id, user, { type: "issue" });
+      return redactFor(save(issue, setSupport(issue, user, true)), user);
+    });
+  }],
+
+  ["DELETE", /^\/api\/issues\/([^/]+)\/support$/, (db, req, id) => {
+    const user = authorize(db, req, "issue:support");
+    return db.update((data) => {
+      const issue = findVisible(data, id, user, { type: "issue" });
+      return redactFor(save(issue, setSupport(issue, user, false)), user);
+    });
+  }],
+
+  ["POST", /^\/api\/issues\/([^/]+)\/merge$/, async (db, req, id) => {
+    const user = authorize(db, req, "issue:merge");
+    const { into, note } = await readJson(req);
+    return db.update((data) => {
+      const duplicate = findIssue(data, id, "issue");
+      const original = findIssue(data, into, "issue");
+      const merged = mergeIssues(duplicate, original, user, note);
+      save(duplicate, merged.duplicate);
+      save(original, merged.original);
+      notify(data, { kind: "merge", item: original, actor: user });
+      return { duplicate: redactFor(duplicate, user), original: redactFor(original, user) };
+    });
+  }],
+
+  ["POST", /^\/api\/issues\/([^/]+)\/comments$/, async (db, req, id) => {
+    const user = authorize(db, req, "comment:create");
+    const body = await readJson(req);
+    const target = findVisible(db.data, id, user);
+    if (hasEarlierComment(target, body, user)) return redactFor(target, user);
+    const comment = toComment(body, user, db.data, target);
+    return db.update((data) => {
+      const issue = findVisible(data, id, user);
+      if (issue.comments.some((c) => c.id === comment.id)) throw new HttpError(409, `Comment ${comment.id} already exists.`);
+      const problem = commentProblem(issue, user);
+      if (problem) throw new HttpError(403, problem);
+      const badParent = replyProblem(issue, comment.parentId);
+      if (badParent) throw new HttpError(400, badParent);
+      save(issue, { ...issue, comments: [...issue.comments, comment] });
+      data.subscriptions = setFollow(data.subscriptions, user.id, { issueId: issue.id }, true);
+      if (!comment.held) notify(data, { kind: "comment", item: issue, actor: user });
+      return redactFor(issue, user);
+    });
+  }],
+
+  // Edit a comment: { text } for its author, { text, reason } for a moderator,
+  // either with { expected: { text } } to detect a concurrent edit.
+  ["PATCH", /^\/api\/issues\/([^/]+)\/comments\/([^/]+)$/, async (db, req, id, commentId) => {
+    const user = authenticate(db, req);
+    if (!user) throw new HttpError(401, "Please log in to continue.");
+    const { text, reason, expected } = await readJson(req);
+    return db.update((data) => {
+      const issue = findVisible(data, id, user, { commentId });
+      return redactFor(save(issue, checked(editComment(issue, user, { text, commentId, reason, expected }))), user);
+    });
+  }],
+
+  // Authors delete their own comments; replies to it stay in place.
+  ["DELETE", /^\/api\/issues\/([^/]+)\/comments\/([^/]+)$/, async (db, req, id, commentId) => {
+    const user = authenticate(db, req);
+    if (!user) throw new HttpError(401, "Please log in to continue.");
+    const { item, removed } = await db.update((data) => {
+      const issue = findVisible(data, id, user, { commentId });
+      const result = deleteComment(issue, user, commentId);
+      save(issue, result.item);
+      return { item: issue, removed: result.removed };
+    });
+    await releaseAttachments(db, { attachments: removed.attachments, comments: [] });
+    return redactFor(item, user);
+  }],
+
+  // Body { emoji, reacted } adds or removes the caller's reaction.
+  ["POST", /^\/api\/issues\/([^/]+)\/comments\/([^/]+)\/reactions$/, async (db, req, id, commentId) => {
+    const user = authorize(db, req, "comment:react");
+    const { emoji, reacted } = await readJson(req);
+    return db.update((data) => {
+      const issue = findVisible(data, id, user, { commentId });
+      return redactFor(save(issue, setReaction(issue, user, { commentId, emoji, reacted: Boolean(reacted) })), user);
+    });
+  }],
+
+  // Body { commentId } pins a politician's comment as the official response;
+  // null unpins it.
+  ["POST", /^\/api\/issues\/([^/]+)\/official$/, async (db, req, id) => {
+    const user = authorize(db, req, "comment:official");
+    const { commentId } = await readJson(req);
+    return db.update((data) => {
+      const issue = findVisible(data, id, user, { type: "issue" });
+      save(issue, setOfficialResponse(issue, user, commentId || null));
+      if (issue.officialResponseId) notify(data, { kind: "official", item: issue, actor: user });
+      return redactFor(issue, user);
+    });
+  }],
+
+  // Flag the item, or one comment with `commentId`: { reason, note, commentId }.
+  ["POST", /^\/api\/issues\/([^/]+)\/flags$/, async (db, req, id) => {
+    const user = authorize(db, req, "content:flag");
+    const { reason, note, commentId } = await readJson(req);
+    return db.update((data) => {
+      const issue = findVisible(data, id, user, { commentId });
+      return redactFor(save(issue, addFlag(issue, user, { reason, note, commentId })), user);
+    });
+  }],
+
+  // Moderator action: { action: hide | restore | lock | unlock, reason, commentId }.
+  ["POST", /^\/api\/issues\/([^/]+)\/moderation$/, async (db, req, id) => {
+    const user = authorize(db, req, "content:moderate");
+    const { action, reason, commentId } = await readJson(req);
+    return db.update((data) => {
+      const issue = findIssue(data, id);
+      const updated = moderate(issue, user, { action, reason, commentId });
+      const released = releasedEvent(issue, updated, commentId);
+      save(issue, updated);
+      if (released) notify(data, released);
+      return redactFor(issue, user);
+    });
+  }],
+
+  ["GET", /^\/api\/broadcasts$/, (db, req) =>
+    visibleTo(db.data.issues.filter((it) => it.type === "broadcast"), authenticate(db, req))
+  ],
+
+  // Body `state` is "published" (the default), "draft" or "scheduled" with
+  // `publishAt`; `audience` and `relatedIssueIds` are described in
+  // domain/broadcasts.
+  ["POST", /^\/api\/broadcasts$/, async (db, req) => {
+    const user = authorize(db, req, "broadcast:create");
+    const body = await readJson(req);
+    const earlier = earlierItem(db.data, body, user, "broadcast");
+    if (earlier) return earlier;
+    const update = toBroadcast(body, user, db.data);
+    return db.update((data) => {
+      if (data.issues.some((it) => it.id === update.id)) throw new HttpError(409, `Broadcast ${update.id} already exists.`);
+      data.issues.unshift(update);
+      if (update.state === "published") notify(data, broadcastEvent("broadcast", update, user, data));
+      return redactFor(update, user);
+    });
+  }],
+
+  // The author's edit: the content fields, plus `state` and `publishAt` to
+  // publish or reschedule a draft. Edits to a published broadcast are logged
+  // with the optional `reason`.
+  ["PATCH", /^\/api\/broadcasts\/([^/]+)$/, async (db, req, id) => {
+    const user = authorize(db, req, "broadcast:create");
+    const { state, publishAt, reason, ...body } = await readJson(req);
+    return db.update((data) => {
+      const update = findIssue(data, id, "broadcast");
+      const fields = broadcastBody({ ...update, ...body }, data, user);
+      const edited = editBroadcast(update, user, { fields, state, publishAt, reason });
+      save(update, checked(edited.item));
+      if (edited.published) notify(data, broadcastEvent("broadcast", update, user, data));
+      return redactFor(update, user);
+    });
+  }],
+
+  ["POST", /^\/api\/broadcasts\/([^/]+)\/retract$/, async (db, req, id) => {
+    const user = authorize(db, req, "broadcast:create");
+    const { reason } = await readJson(req);
+    return db.update((data) => {
+      const update = findIssue(data, id, "broadcast");
+      save(update, retractBroadcast(update, user, reason));
+      notify(data, broadcastEvent("retract", update, user, data));
+      return redactFor(update, user);
+    });
+  }],
+
+  // Admins may delete any broadcast; authors may discard their unpublished drafts.
+  ["DELETE", /^\/api\/broadcasts\/([^/]+)$/, async (db, req, id) => {
+    const user = authenticate(db, req);
+    const removed = await db.update((data) => {
+      const update = findIssue(data, id, "broadcast");
+      // Checked here so a publish between the check and the delete cannot slip through
+      if (!user || !can(user.role, "issue:delete")) requireDiscardable(update, user);
+      data.issues = data.issues.filter((it) => it.id !== id);
+      return update;
+    });
+    await releaseAttachments(db, removed);
+  }],
+
+  ["GET", /^\/api\/polls$/, (db, req) =>
+    visibleTo(db.data.issues.filter((it) => it.type === "poll"), authenticate(db, req))
+  ],
+
+  // Body { title, description, category, constituencyId, language, questions,
+  // opensAt, closesAt }; see domain/polls.
+  ["POST", /^\/api\/polls$/, async (db, req) => {
+    const user = authorize(db, req, "poll:create");
+    const body = await readJson(req);
+    const earlier = earlierItem(db.data, body, user, "poll");
+    if (earlier) return earlier;
+    const poll = toPoll(body, user, db.data);
+    return db.update((data) => {
+      if (data.issues.some((it) => it.id === poll.id)) throw new HttpError(409, `Poll ${poll.id} already exists.`);
+      data.issues.unshift(poll);
+      notify(data, { kind: "poll", item: poll, actor: user });
+      return redactFor(poll, user);
+    });
+  }],
+
+  // A citizen's one response: { answers: { [questionId]: answer } }.
+  ["POST", /^\/api\/polls\/([^/]+)\/responses$/, async (db, req, id) => {
+    const user = authorize(db, req, "poll:respond");
+    const { answers } = await readJson(req);
+    return db.update((data) => {
+      const poll = findVisible(data, id, user, { type: "poll" });
+      return redactFor(save(poll, checked(respondToPoll(poll, user, answers))), user);
+    });
+  }],
+
+  ["POST", /^\/api\/polls\/([^/]+)\/close$/, (db, req, id) => {
+    const user = authorize(db, req, "poll:create");
+    return db.update((data) => {
+      const poll = findIssue(data, id, "poll");
+      return redactFor(save(poll, closePoll(poll, user)), user);
+    });
+  }],
+];
@@ -0,0 +1,47 @@
+import { markRead, setEmail, setFollow, subscriptionFor } from "../../src/domain/notifications.js";
+import { authorize } from "../auth.js";
+import { HttpError, readJson } from "../http.js";
+import { findIssue } from "./issues.js";
+
+// The logged-in user's follows, notification email and notification inbox.
+
+export const notificationRoutes = [
+  ["GET", /^\/api\/notifications$/, (db, req) => {
+    const user = authorize(db, req, "notification:read");
+    return db.data.notifications.filter((n) => n.userId === user.id);
+  }],
+
+  // Body { ids } marks those notifications read; no ids marks them all read.
+  ["POST", /^\/api\/notifications\/read$/, async (db, req) => {
+    const user = authorize(db, req, "notification:read");
+    const { ids } = await readJson(req);
+    if (ids !== undefined && !Array.isArray(ids)) throw new HttpError(400, `Field "ids" must be a list.`);
+    return db.update((data) => {
+      data.notifications = markRead(data.notifications, user.id, ids);
+      return data.notifications.filter((n) => n.userId === user.id);
+    });
+  }],
+
+  ["GET", /^\/api\/subscription$/, (db, req) => {
+    const user = authorize(db, req, "notification:read");
+    return subscriptionFor(db.data.subscriptions, user.id);
+  }],
+
+  // Body { issueId | category, follow } changes one follow; { email } sets the
+  // address notifications are mailed to ("" to stop emails).
+  ["PATCH", /^\/api\/subscription$/, async (db, req) => {
+    const user = authorize(db, req, "notification:read");
+    const { issueId, category, follow, email } = await readJson(req);
+    return db.update((data) => {
+      if (email !== undefined) {
+        data.subscriptions = setEmail(data.subscriptions, user.id, email);
+      } else if (issueId || category) {
+        if (issueId) findIssue(data, issueId);
+        data.subscriptions = setFollow(data.subscriptions, user.id, { issueId, category: category && String(category) }, Boolean(follow));
+      } else {
+        throw new HttpError(400, `Send "issueId" or "category" with "follow", or "email".`);
+      }
+      return subscriptionFor(data.subscriptions, user.id);
+    });
+  }],
+];
@@ -1,106 +1,725 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useId, useMemo, useRef } from "react";
+import { createStore } from "./storage/index.js";
+import { can, permissionMessage } from "./domain/permissions.js";
+import { DEFAULT_QUERY, PAGE_SIZE, paginate, parseQuery, queryIssues, serializeQuery } from "./domain/search.js";
+import { formatDateTime, fromLocalInput } from "./utils/format.js";
+import { downloadText } from "./utils/download.js";
+import { exportCsv, exportJson } from "./domain/transfer.js";
+import { statusColors, statusLabel, statusSymbol } from "./utils/statusColors.js";
+import { moveFocusInList, prefersHighContrast, saveContrastPreference } from "./utils/a11y.js";
+import { isValidLocation } from "./utils/geo.js";
+import { newId } from "./utils/ids.js";
+import AuthPanel from "./components/AuthPanel.jsx";
+import UserAdmin from "./components/UserAdmin.jsx";
+import TransitionPanel from "./components/TransitionPanel.jsx";
+import FeedbackPanel from "./components/FeedbackPanel.jsx";
+import IssueTimeline from "./components/IssueTimeline.jsx";
+import ReportFilters from "./components/ReportFilters.jsx";
+import Pagination from "./components/Pagination.jsx";
+import MapPanel from "./components/MapPanel.jsx";
+import MapView from "./components/MapView.jsx";
+import LocationPicker from "./components/LocationPicker.jsx";
+import AttachmentInput from "./components/AttachmentInput.jsx";
+import AttachmentList from "./components/AttachmentList.jsx";
+import MergePanel from "./components/MergePanel.jsx";
+import TopConcerns from "./components/TopConcerns.jsx";
+import NotificationBell from "./components/NotificationBell.jsx";
+import FlagButton from "./components/FlagButton.jsx";
+import ModerationPanel from "./components/ModerationPanel.jsx";
+import ModerationQueue from "./components/ModerationQueue.jsx";
+import AnalyticsDashboard from "./components/AnalyticsDashboard.jsx";
+import SatisfactionSummary from "./components/SatisfactionSummary.jsx";
+import DataTransfer from "./components/DataTransfer.jsx";
+import ConstituencySettings from "./components/ConstituencySettings.jsx";
+import CategorySettings from "./components/CategorySettings.jsx";
+import AssigneePanel from "./components/AssigneePanel.jsx";
+import BroadcastPanel from "./components/BroadcastPanel.jsx";
+import RelatedIssuePicker from "./components/RelatedIssuePicker.jsx";
+import PollForm from "./components/PollForm.jsx";
+import PollPanel from "./components/PollPanel.jsx";
+import CommentThread from "./components/CommentThread.jsx";
+import Markdown from "./components/Markdown.jsx";
+import SyncStatus from "./components/SyncStatus.jsx";
+import Dialog from "./components/Dialog.jsx";
+import { hasSupported, supportCount, supportProblem } from "./domain/support.js";
+import { isFollowing } from "./domain/notifications.js";
+import { deadlines, overdueStages } from "./domain/sla.js";
+import { isPublished, relatedUpdates } from "./domain/broadcasts.js";
+import { commentProblem } from "./domain/moderation.js";
+import { broadcastTargets, constituencyName, inScope, serves, viewScope } from "./domain/constituencies.js";
+import { commentThreads } from "./domain/comments.js";
+import { mergeIssueLists, upsertIssue } from "./domain/sync.js";
+import { LANGUAGES, applyDocumentLanguage, getLanguage, languageName, setLanguage, t, tn, translateMessage, translateValue } from "./i18n/index.js";
+import { baseLanguage } from "./i18n/languages.js";
+import { MAP_CONFIG } from "./config/map.js";
 
-// The core functionalities of this application are implemented using local storage 
-// for persistence, which is suitable for a single-user demonstration environment.
+// Persistence goes through a pluggable storage adapter (see src/storage). By default
+// it is localStorage, suitable for a single-user demonstration environment; build
+// with VITE_STORAGE=rest to share data through the bundled Node server instead.
+const store = createStore();
+
+// How often a logged-in user's notifications are refreshed
+const NOTIFICATION_POLL_MS = 30000;
+
+// A new report as IssueForm and the Admin import create it; the adapter
+// stamps the reporter from the session and screens the text.
+function newIssueRecord({ id = newId(), title, description, category, language = null, constituencyId = null, location = null, attachments = [], createdAt = new Date().toISOString(), imported }) {
+  return {
+    type: "issue",
+    id,
+    title,
+    description,
+    category,
+    language,
+    constituencyId,
+    status: "Open",
+    location,
+    attachments,
+    duplicateOf: null,
+    mergedInto: null,
+    supporters: [],
+    history: [],
+    comments: [],
+    officialResponseId: null,
+    assignee: null,
+    escalations: [],
+    feedback: [],
+    flags: [],
+    hidden: false,
+    held: null,
+    locked: false,
+    moderationLog: [],
+    revision: 0,
+    createdAt,
+    ...(imported ? { imported } : {}),
+  };
+}
 
 export default function App() {
-  const [role, setRole] = useState("Citizen");
+  const [user, setUser] = useState(null); // Logged-in account, null for guests
   const [issues, setIssues] = useState([]);
-  const [filter, setFilter] = useState("all");
-  const [selected, setSelected] = useState(null);
+  const [query, setQuery] = useState(() => parseQuery(window.location.search)); // Report list filters, mirrored in the URL
+  const [selectedId, setSelectedId] = useState(null);
   const [modalMessage, setModalMessage] = useState(null); // Custom modal for alerts
+  const [wards, setWards] = useState([]); // GeoJSON ward boundaries for the map filter
+  const [notifications, setNotifications] = useState([]);
+  const [subscription, setSubscription] = useState(null); // Issues and categories the user follows
+  const [constituencies, setConstituencies] = useState([]);
+  const [categories, setCategories] = useState([]); // Configured by Admins; reports are routed by them
+  const [officials, setOfficials] = useState([]); // Accounts reports can be assigned to, for moderators
+  const [outbox, setOutbox] = useState([]); // Changes made offline, not yet sent
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [language, setLanguageState] = useState(getLanguage); // Interface language; t() reads the same setting
+  const [highContrast, setHighContrast] = useState(prefersHighContrast);
+  const [announcement, setAnnouncement] = useState({ text: "", id: 0 }); // Read out by screen readers
+  const [now, setNow] = useState(() => new Date().toISOString()); // Overdue badges are judged against this
+  const listRef = useRef(null);
+
+  // The role always comes from the logged-in account; guests can only browse
+  const role = user ? user.role : "Guest";
+
+  // The selected issue is derived so it always reflects the latest saved data
+  const selected = issues.find((it) => it.id === selectedId) || null;
+
+  // Constituencies the lists default to, and the reports staff may act on
+  const scope = useMemo(() => viewScope(user), [user]);
+  const served = useMemo(() => issues.filter((it) => serves(user, it)), [issues, user]);
+
+  // --- Persistence Handlers ---
+  const reportStoreError = useCallback((err) => {
+    setModalMessage(t("app.error", { message: translateMessage(err.message) }));
+  }, []);
 
-  // --- Persistence Handlers (using localStorage for demo) ---
   useEffect(() => {
-    // Load issues from local storage on component mount
-    const saved = localStorage.getItem("fedf_issues_v1");
-    if (saved) setIssues(JSON.parse(saved));
+    // Mark up the page with the detected language and its text direction
+    applyDocumentLanguage();
+  }, []);
+
+  useEffect(() => {
+    // Reports fall overdue as time passes, not only when they change
+    const timer = setInterval(() => setNow(new Date().toISOString()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Changing the language re-renders the whole app, so every t() call picks it up
+  const changeLanguage = useCallback((code) => {
+    setLanguageState(setLanguage(code));
+  }, []);
+
+  // --- Accessibility ---
+
+  // Messages for the polite live region. The region's text alternates a
+  // trailing space by id, so the same message announced twice is read twice.
+  const announce = useCallback((text) => {
+    setAnnouncement((prev) => ({ text, id: prev.id + 1 }));
   }, []);
 
+  const toggleContrast = useCallback(() => {
+    setHighContrast((prev) => {
+      saveContrastPreference(!prev);
+      return !prev;
+    });
+  }, []);
+
+  // Escape in the detail pane returns to the selected row of the list
+  const focusSelectedRow = useCallback(() => {
+    const row = listRef.current && listRef.current.querySelector(`[data-row-id="${CSS.escape(selectedId || "")}"]`);
+    if (row) row.focus();
+  }, [selectedId]);
+
+  // Status changes to the open report, ours or from live updates, are read
+  // out. Compared during render so the announcement lands in the same update.
+  const selectedStatus = selected ? selected.status : null;
+  const [seenStatus, setSeenStatus] = useState({ id: null, status: null });
+  if (seenStatus.id !== selectedId || seenStatus.status !== selectedStatus) {
+    setSeenStatus({ id: selectedId, status: selectedStatus });
+    if (seenStatus.id === selectedId && seenStatus.status && selectedStatus) {
+      setAnnouncement((prev) => ({ text: t("a11y.statusChanged", { status: translateValue("status", selectedStatus) }), id: prev.id + 1 }));
+    }
+  }
+
+  // Responses and live events can arrive in any order; the newest revision wins
+  const replaceIssue = useCallback((updated) => {
+    setIssues((prev) => upsertIssue(prev, updated));
+  }, []);
+
+  useEffect(() => {
+    // Load issues from the active storage adapter on mount, and again whenever
+    // the account changes since moderators see hidden and held content
+    let cancelled = false;
+    store.listIssues()
+      .then((loaded) => { if (!cancelled) setIssues((prev) => mergeIssueLists(prev, loaded)); })
+      .catch(reportStoreError);
+    return () => { cancelled = true; };
+  }, [user, reportStoreError]);
+
+  useEffect(() => {
+    let cancelled = false;
+    store.listConstituencies()
+      .then((loaded) => { if (!cancelled) setConstituencies(loaded); })
+      .catch(reportStoreError);
+    return () => { cancelled = true; };
+  }, [reportStoreError]);
+
+  useEffect(() => {
+    let cancelled = false;
+    store.listCategories()
+      .then((loaded) => { if (!cancelled) setCategories(loaded); })
+      .catch(reportStoreError);
+    return () => { cancelled = true; };
+  }, [reportStoreError]);
+
+  useEffect(() => {
+    // Only moderators and Admins assign reports, so only they load the officials
+    if (!can(role, "issue:assign")) return;
+    let cancelled = false;
+    store.listOfficials()
+      .then((loaded) => { if (!cancelled) setOfficials(loaded); })
+      .catch(reportStoreError);
+    return () => { cancelled = true; };
+  }, [role, reportStoreError]);
+
   useEffect(() => {
-    // Save issues to local storage whenever they change
-    localStorage.setItem("fedf_issues_v1", JSON.stringify(issues));
-    // Ensure the selected issue updates when issues array changes
-    if (selected) {
-      const updatedSelected = issues.find(i => i.id === selected.id);
-      if (updatedSelected) {
-        setSelected(updatedSelected);
-      } else {
-        setSelected(null); // Issue was deleted
+    // Restore the session, if any, on component mount
+    let cancelled = false;
+    store.currentUser()
+      .then((current) => { if (!cancelled) setUser(current); })
+      .catch(reportStoreError);
+    return () => { cancelled = true; };
+  }, [reportStoreError]);
+
+  const refreshNotifications = useCallback(() => {
+    store.listNotifications().then(setNotifications).catch(reportStoreError);
+    store.getSubscription().then(setSubscription).catch(reportStoreError);
+  }, [reportStoreError]);
+
+  useEffect(() => {
+    // Load the logged-in user's notifications, then keep polling for new ones
+    if (!user) return;
+    let cancelled = false;
+    const load = () => {
+      Promise.all([store.listNotifications(), store.getSubscription()])
+        .then(([loaded, followed]) => {
+          if (cancelled) return;
+          setNotifications(loaded);
+          setSubscription(followed);
+        })
+        .catch(reportStoreError);
+    };
+    load();
+    const timer = setInterval(load, NOTIFICATION_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [user, reportStoreError]);
+
+  useEffect(() => {
+    // Apply changes made in other tabs or by other users as they happen.
+    // Resubscribes when the account changes, since what we may see depends on it.
+    const reloadUser = () => {
+      store.currentUser()
+        .then((current) => setUser((prev) => (JSON.stringify(prev) === JSON.stringify(current) ? prev : current)))
+        .catch(reportStoreError);
+    };
+    return store.subscribe((event) => {
+      if (event.kind === "issue") {
+        setIssues((prev) => upsertIssue(prev, event.issue));
+      } else if (event.kind === "issueRemoved") {
+        setIssues((prev) => prev.filter((it) => it.id !== event.id));
+      } else if (event.kind === "constituencies") {
+        setConstituencies(event.constituencies);
+      } else if (event.kind === "categories") {
+        setCategories(event.categories);
+      } else if (event.kind === "notifications") {
+        if (user) refreshNotifications();
+      } else if (event.kind === "outbox") {
+        setOutbox(event.entries);
+      } else if (event.kind === "account") {
+        reloadUser();
+      } else if (event.kind === "resync") {
+        store.listIssues().then((loaded) => setIssues((prev) => mergeIssueLists(prev, loaded))).catch(reportStoreError);
+        store.listConstituencies().then(setConstituencies).catch(reportStoreError);
+        store.listCategories().then(setCategories).catch(reportStoreError);
+        if (user) refreshNotifications();
+        reloadUser();
       }
+    });
+  }, [user, reportStoreError, refreshNotifications]);
+
+  useEffect(() => {
+    // Changes queued offline by this account, shown on their items until sent
+    let cancelled = false;
+    store.listOutbox()
+      .then((entries) => { if (!cancelled) setOutbox(entries); })
+      .catch(reportStoreError);
+    return () => { cancelled = true; };
+  }, [user, reportStoreError]);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  useEffect(() => {
+    // Ward boundaries are optional; without them the ward picker is hidden
+    let cancelled = false;
+    fetch(MAP_CONFIG.wardsUrl)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((geojson) => {
+        if (!cancelled && geojson && Array.isArray(geojson.features)) {
+          setWards(geojson.features.filter((f) => f.properties && f.properties.name && f.geometry));
+        }
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    // Mirror the list filters into the URL so a filtered view can be shared
+    const search = serializeQuery(query);
+    if (search !== window.location.search) {
+      window.history.replaceState(null, "", `${window.location.pathname}${search}${window.location.hash}`);
     }
-  }, [issues]);
+  }, [query]);
+
+  useEffect(() => {
+    const onPopState = () => setQuery(parseQuery(window.location.search));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // --- Session Handlers ---
+
+  const login = useCallback((username, password) => {
+    store.login(username, password).then(setUser).catch(reportStoreError);
+  }, [reportStoreError]);
+
+  const register = useCallback((account) => {
+    store.register(account).then(setUser).catch(reportStoreError);
+  }, [reportStoreError]);
+
+  const logout = useCallback(() => {
+    store.logout()
+      .then(() => {
+        setUser(null);
+        setNotifications([]);
+        setSubscription(null);
+      })
+      .catch(reportStoreError);
+  }, [reportStoreError]);
+
+  const setHomeConstituency = useCallback((constituencyId) => {
+    store.setHomeConstituency(constituencyId || null)
+      .then((updated) => {
+        setUser(updated);
+        setQuery((prev) => ({ ...prev, constituency: "", page: 1 })); // Show the new home's reports
+      })
+      .catch(reportStoreError);
+  }, [reportStoreError]);
 
   // --- Core Action Functions ---
 
-  const addIssue = useCallback((title, description, category) => {
-    const newIssue = {
-      id: Date.now().toString(),
-      title,
-      description,
-      category,
-      status: "Open",
-      comments: [],
-      createdAt: new Date().toLocaleString(),
-      reporterRole: role,
+  const uploadAttachment = useCallback((file) => store.uploadAttachment(file), []);
+  const loadAttachment = useCallback((url) => store.attachmentUrl(url), []);
+
+  const addIssue = useCallback((title, description, category, location = null, attachments = [], constituencyId = null, language = null) => {
+    const newIssue = newIssueRecord({ title, description, category, language, constituencyId, location, attachments });
+    store.createIssue(newIssue)
+      .then((saved) => {
+        replaceIssue(saved);
+        refreshNotifications(); // Reporters follow their own report
+        announce(t("a11y.reportSubmitted"));
+      })
+      .catch(reportStoreError);
+  }, [replaceIssue, reportStoreError, refreshNotifications, announce]);
+
+  const addComment = useCallback((issueId, text, attachments = [], parentId = null) => {
+    const comment = {
+      id: newId(),
+      parentId,
+      text,
+      attachments,
+      flags: [],
+      hidden: false,
+      held: null,
+      editedAt: null,
+      deleted: false,
+      reactions: {},
+      at: new Date().toISOString()
     };
-    setIssues((prev) => [newIssue, ...prev]);
-  }, [role]);
-
-  const addComment = useCallback((issueId, text) => {
-    setIssues((prev) =>
-      prev.map((it) =>
-        it.id === issueId ? { 
-          ...it, 
-          comments: [...it.comments, { 
-            id: Date.now().toString(), 
-            role, 
-            text, 
-            at: new Date().toLocaleString() 
-          }] 
-        } : it
-      )
-    );
-  }, [role]);
+    store.addComment(issueId, comment)
+      .then((updated) => {
+        replaceIssue(updated);
+        refreshNotifications(); // Commenters follow the discussion
+        announce(t("a11y.commentAdded"));
+      })
+      .catch(reportStoreError);
+  }, [replaceIssue, reportStoreError, refreshNotifications, announce]);
 
-  const postUpdate = useCallback((text, category) => {
-    // Politician posts an update visible in Updates feed
+  // Politician posts an update visible in Updates feed, to one constituency or
+  // all; `state` "draft" or "scheduled" (with `publishAt`) holds it back
+  const postUpdate = useCallback(({ text, category, attachments = [], constituencyId = null, language = null, audience = "followers", relatedIssueIds = [], state = "published", publishAt = null }) => {
     const update = {
-      id: Date.now().toString(),
+      type: "broadcast",
+      id: newId(),
       title: `Broadcast - ${category || 'General'}`,
       description: text,
       category: category || "General",
-      status: "Update", // Custom status for broadcast
+      language,
+      constituencyId,
+      state,
+      publishAt,
+      audience,
+      relatedIssueIds,
+      changes: [],
+      attachments,
       comments: [],
-      createdAt: new Date().toLocaleString(),
-      reporterRole: 'Politician',
+      flags: [],
+      hidden: false,
+      held: null,
+      locked: false,
+      moderationLog: [],
+      revision: 0,
+      createdAt: new Date().toISOString(),
     };
-    setIssues((prev) => [update, ...prev]);
+    store.createBroadcast(update)
+      .then((saved) => {
+        replaceIssue(saved);
+        if (saved.state === "draft") announce(t("a11y.broadcastSaved"));
+        else if (saved.state === "scheduled") announce(t("a11y.broadcastScheduled", { date: formatDateTime(saved.publishAt) }));
+        else announce(t("a11y.broadcastPosted"));
+      })
+      .catch(reportStoreError);
+  }, [replaceIssue, reportStoreError, announce]);
+
+  // The author's edits, publication and retraction (see domain/broadcasts)
+  const updateBroadcast = useCallback((broadcastId, patch) => {
+    store.updateBroadcast(broadcastId, patch).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const retractBroadcast = useCallback((broadcastId, reason) => {
+    store.retractBroadcast(broadcastId, reason).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const discardBroadcast = useCallback((broadcastId) => {
+    store.discardBroadcast(broadcastId)
+      .then(() => {
+        setIssues((prev) => prev.filter((it) => it.id !== broadcastId));
+        setSelectedId(null);
+      })
+      .catch(reportStoreError);
+  }, [reportStoreError]);
+
+  // A politician's poll; resolves to the saved poll, or to nothing when it
+  // was rejected, so the form keeps what was typed
+  const createPoll = useCallback((fields) => {
+    const poll = {
+      ...fields,
+      type: "poll",
+      id: newId(),
+      language: getLanguage(),
+      responses: [],
+      attachments: [],
+      comments: [],
+      flags: [],
+      hidden: false,
+      held: null,
+      locked: false,
+      moderationLog: [],
+      revision: 0,
+      createdAt: new Date().toISOString(),
+    };
+    return store.createPoll(poll)
+      .then((saved) => {
+        replaceIssue(saved);
+        announce(t("a11y.pollCreated"));
+        return saved;
+      })
+      .catch(reportStoreError);
+  }, [replaceIssue, reportStoreError, announce]);
+
+  const respondToPoll = useCallback((pollId, answers) => {
+    store.respondToPoll(pollId, answers)
+      .then((saved) => {
+        replaceIssue(saved);
+        announce(t("a11y.pollResponded"));
+      })
+      .catch(reportStoreError);
+  }, [replaceIssue, reportStoreError, announce]);
+
+  const closePoll = useCallback((pollId) => {
+    store.closePoll(pollId).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const changeStatus = useCallback((issueId, change) => {
+    // change is { to, note, duplicateOf }; the workflow rules live in domain/lifecycle.
+    // The id lets the server recognise the change if the offline outbox resends it.
+    store.transitionIssue(issueId, { ...change, id: newId() }).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  // The reporter's rating of a resolution; a dispute comes back Reopened
+  const giveFeedback = useCallback((issueId, feedback) => {
+    store.giveFeedback(issueId, feedback).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const supportIssue = useCallback((issueId, supported) => {
+    store.supportIssue(issueId, supported).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const mergeIssue = useCallback((duplicateId, originalId, note) => {
+    store.mergeIssue(duplicateId, originalId, note)
+      .then(({ duplicate, original }) => {
+        replaceIssue(duplicate);
+        replaceIssue(original);
+        setSelectedId(original.id);
+      })
+      .catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  // --- Export / Import ---
+
+  const exportReports = useCallback((items, format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "csv") {
+      downloadText(`reports-${stamp}.csv`, exportCsv(items), "text/csv;charset=utf-8");
+    } else {
+      downloadText(`reports-${stamp}.json`, exportJson(items), "application/json");
+    }
   }, []);
 
-  const changeStatus = useCallback((issueId, status) => {
-    setIssues((prev) => prev.map((it) => (it.id === issueId ? { ...it, status } : it)));
+  // Saves validated import rows one by one through the same adapter call as
+  // new reports. Resolves to { created, failed: [{ line, error }] }.
+  const importReports = useCallback(async (rows) => {
+    const batch = Date.now();
+    const created = [];
+    const failed = [];
+    for (const [i, row] of rows.entries()) {
+      try {
+        created.push(await store.createIssue(newIssueRecord({ ...row.fields, id: `${batch}-${i}` })));
+      } catch (err) {
+        failed.push({ line: row.line, error: translateMessage(err.message) });
+      }
+    }
+    setIssues((prev) => created.reduce(upsertIssue, prev));
+    return { created: created.length, failed };
   }, []);
 
+  // --- Moderation ---
+
+  const flagContent = useCallback((issueId, flag) => {
+    store.flagContent(issueId, flag)
+      .then((updated) => {
+        replaceIssue(updated);
+        setModalMessage(t("app.flagged"));
+      })
+      .catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const moderateContent = useCallback((issueId, change) => {
+    store.moderateContent(issueId, change).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const editIssue = useCallback((issueId, patch) => {
+    store.updateIssue(issueId, patch).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const assignIssue = useCallback((issueId, owner, reason) => {
+    store.assignIssue(issueId, owner, reason).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  // --- Discussion ---
+
+  // Authors edit their own comments with { text }; moderators add a reason
+  const editComment = useCallback((issueId, commentId, edit) => {
+    store.updateComment(issueId, commentId, edit).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const deleteComment = useCallback((issueId, commentId) => {
+    store.deleteComment(issueId, commentId).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const reactToComment = useCallback((issueId, commentId, emoji, reacted) => {
+    store.reactToComment(issueId, commentId, emoji, reacted).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
+  const setOfficialResponse = useCallback((issueId, commentId) => {
+    store.setOfficialResponse(issueId, commentId).then(replaceIssue).catch(reportStoreError);
+  }, [replaceIssue, reportStoreError]);
+
   const deleteIssue = useCallback((issueId) => {
-    if (role !== "Admin") {
-      setModalMessage("Error: Only Admin users are authorized to delete reports.");
+    if (!can(role, "issue:delete")) {
+      setModalMessage(t("app.error", { message: permissionMessage("issue:delete") }));
       return;
     }
-    setIssues((prev) => prev.filter((it) => it.id !== issueId));
-    setSelected(null);
-  }, [role]);
+    store.deleteIssue(issueId)
+      .then(() => {
+        setIssues((prev) => prev.filter((it) => it.id !== issueId));
+        setSelectedId(null);
+      })
+      .catch(reportStoreError);
+  }, [role, reportStoreError]);
+
+  // --- Offline Outbox ---
+
+  const retryOutbox = useCallback((seq) => {
+    store.retryOutbox(seq).catch(reportStoreError);
+  }, [reportStoreError]);
+
+  const discardOutbox = useCallback((seq) => {
+    store.discardOutbox(seq).catch(reportStoreError);
+  }, [reportStoreError]);
+
+  // --- Constituencies (Admin) ---
+
+  const createConstituency = useCallback((fields) => {
+    store.createConstituency(fields)
+      .then((saved) => setConstituencies((prev) => [...prev.filter((c) => c.id !== saved.id), saved]))
+      .catch(reportStoreError);
+  }, [reportStoreError]);
 
-  // Filter issues based on the selected status filter
-  const visible = issues.filter((it) => (filter === "all" ? true : it.status === filter));
+  const updateConstituency = useCallback((constituencyId, fields) => {
+    store.updateConstituency(constituencyId, fields)
+      .then((updated) => setConstituencies((prev) => prev.map((c) => (c.id === updated.id ? updated : c))))
+      .catch(reportStoreError);
+  }, [reportStoreError]);
+
+  // Its reports become unassigned and accounts drop it, including our own
+  const deleteConstituency = useCallback((constituencyId) => {
+    store.deleteConstituency(constituencyId)
+      .then(() => {
+        setConstituencies((prev) => prev.filter((c) => c.id !== constituencyId));
+        setIssues((prev) => prev.map((it) => (it.constituencyId === constituencyId ? { ...it, constituencyId: null } : it)));
+        return store.currentUser().then(setUser);
+      })
+      .catch(reportStoreError);
+  }, [reportStoreError]);
+
+  // --- Categories (Admin) ---
+
+  const createCategory = useCallback((fields) => {
+    store.createCategory(fields)
+      .then((saved) => setCategories((prev) => [...prev.filter((c) => c.id !== saved.id), saved]))
+      .catch(reportStoreError);
+  }, [reportStoreError]);
+
+  // A rename also renames the category on its reports, so those are reloaded
+  const updateCategory = useCallback((categoryId, fields) => {
+    store.updateCategory(categoryId, fields)
+      .then((updated) => {
+        setCategories((prev) => prev.map((c) => (c.id === updated.id ? updated : c)));
+        return store.listIssues().then((loaded) => setIssues((prev) => mergeIssueLists(prev, loaded)));
+      })
+      .catch(reportStoreError);
+  }, [reportStoreError]);
+
+  const deleteCategory = useCallback((categoryId) => {
+    store.deleteCategory(categoryId)
+      .then(() => setCategories((prev) => prev.filter((c) => c.id !== categoryId)))
+      .catch(reportStoreError);
+  }, [reportStoreError]);
+
+  // --- Notifications ---
+
+  const follow = useCallback((target, following) => {
+    store.setFollow(target, following).then(setSubscription).catch(reportStoreError);
+  }, [reportStoreError]);
+
+  const markNotificationsRead = useCallback((ids) => {
+    store.markNotificationsRead(ids).then(setNotifications).catch(reportStoreError);
+  }, [reportStoreError]);
+
+  const setNotificationEmail = useCallback((email) => {
+    store.setNotificationEmail(email).then(setSubscription).catch(reportStoreError);
+  }, [reportStoreError]);
+
+  const openNotification = useCallback((itemId) => {
+    if (!issues.some((it) => it.id === itemId)) {
+      setModalMessage(t("app.itemDeleted"));
+      return;
+    }
+    setSelectedId(itemId);
+  }, [issues]);
+
+  // --- Report List Query ---
+
+  // Any filter change starts again from the first page
+  const updateQuery = useCallback((patch) => {
+    setQuery((prev) => ({ ...prev, page: 1, ...patch }));
+  }, []);
+
+  // Configured categories plus any still on reports (removed ones, imports)
+  const categoryNames = useMemo(
+    () => [...new Set([...categories.map((c) => c.name), ...issues.map((it) => it.category)])].sort(),
+    [categories, issues]
+  );
+  // Drafts and scheduled broadcasts stay out of the lists; their author
+  // finds them under the broadcast form
+  const listed = useMemo(() => issues.filter(isPublished), [issues]);
+  const drafts = useMemo(
+    () => issues.filter((it) => !isPublished(it) && user && it.reporterId === user.id),
+    [issues, user]
+  );
+  const matching = useMemo(
+    () => queryIssues(listed, query, { wards, scope, categories, now }),
+    [listed, query, wards, scope, categories, now]
+  );
+  const visible = paginate(matching, query.page);
 
   return (
-    <div className="page-root">
+    <div className={highContrast ? 'page-root high-contrast' : 'page-root'}>
+      <a href="#report-details" className="skip-link">{t('a11y.skipToDetails')}</a>
+      <div className="sr-only" role="status" aria-live="polite">{announcement.text}{announcement.id % 2 ? '\u00a0' : ''}</div>
       <CustomModal message={modalMessage} onClose={() => setModalMessage(null)} />
       
       <style>{`
         /* Core Styling - Inter Font and Color Variables */
-        :root{--bg:#f7fafc;--card:#fff;--muted:#6b7280;--primary:#1d4ed8;--accent:#10b981;--text-dark:#1f2937}
+        :root{--bg:#f7fafc;--card:#fff;--muted:#4b5563;--primary:#1d4ed8;--accent:#10b981;--text-dark:#1f2937}
         *{box-sizing:border-box}
         body,html,#root{height:100%;margin:0;color:var(--text-dark)}
         
@@ -120,17 +739,28 @@ export default function App() {
         /* Header and Role Toggle */
         header{display:flex;align-items:center;justify-content:center;flex-direction:column;gap:12px;margin-bottom:10px}
         h1{margin:0;font-size:24px;font-weight:700;color:var(--primary)}
-        .role-toggle{display:flex;gap:8px;flex-wrap:wrap;justify-content:center}
-        .pill{padding:8px 16px;border-radius:999px;border:1px solid #d1d5db;cursor:pointer;font-weight:600;transition:all 0.2s}
+        .auth-bar{display:flex;gap:8px;flex-wrap:wrap;justify-content:center;align-items:center}
+        .auth-panel{display:grid;gap:8px;width:100%;max-width:420px}
+        .pill{padding:8px 16px;border-radius:999px;border:1px solid #d1d5db;font-weight:600;transition:all 0.2s}
         
-        .pill.active.citizen{background:#10b981;color:white;border-color:#059669}
-        .pill.active.politician{background:#059669;color:white;border-color:#047857}
-        .pill.active.moderator{background:#3b82f6;color:white;border-color:#2563eb}
+        .pill.active.citizen{background:#047857;color:white;border-color:#065f46}
+        .pill.active.politician{background:#065f46;color:white;border-color:#064e3b}
+        .pill.active.moderator{background:#1d4ed8;color:white;border-color:#1e40af}
         .pill.active.admin{background:#6b7280;color:white;border-color:#4b5563}
-        .pill:not(.active):hover {background: #e5e7eb;}
+
+        /* Notifications */
+        .notification-bell{position:relative}
+        .notification-count{display:inline-block;min-width:18px;margin-inline-start:4px;padding:0 5px;border-radius:999px;background:#dc2626;color:#fff;font-size:11px;line-height:18px}
+        .notification-panel{position:absolute;top:calc(100% + 6px);right:50%;transform:translateX(50%);width:340px;max-width:90vw;z-index:500;background:var(--card);padding:12px;border-radius:10px;box-shadow:0 10px 25px rgba(15,23,42,0.18);text-align:start}
+        .notification-list{max-height:320px;overflow-y:auto;margin-top:8px}
+        .notification-item{display:flex;gap:8px;width:100%;padding:8px;border:none;border-radius:8px;background:none;text-align:start;font:inherit;font-size:14px;cursor:pointer}
+        .notification-item:hover{background:#f0f4f7}
+        .notification-item.unread{background:#eef2ff;font-weight:600}
 
         /* Card and Grid Layout (Responsive Breakpoints) */
         .card{background:var(--card);padding:18px;border-radius:10px;box-shadow:0 6px 18px rgba(15,23,42,0.06);margin-top:14px}
+        .card > h2{font-size:1.17em}
+        .card h3{font-size:1em}
         
         /* Default: Single column layout for mobile/small screens */
         .grid{display:grid;grid-template-columns:1fr;gap:18px}
@@ -148,7 +778,7 @@ export default function App() {
         
         /* Form Elements and Buttons */
         label{display:block;font-weight:600;margin-bottom:6px}
-        input[type="text"], textarea, select{
+        input[type="text"], input[type="password"], input[type="search"], input[type="email"], input[type="date"], input[type="datetime-local"], textarea, select{
             width:100%;
             padding:10px 12px;
             border-radius:8px;
@@ -159,7 +789,7 @@ export default function App() {
         }
         textarea{min-height:90px;resize:vertical}
         .btn{padding:8px 14px;border-radius:8px;border:none;background:var(--primary);color:white;font-weight:700;cursor:pointer;transition:background 0.2s}
-        .btn.secondary{background:#60a5fa}
+        .btn.secondary{background:#dbeafe;color:#1e40af}
         .btn:hover:not(:disabled){filter:brightness(1.1)}
         .btn:disabled{background:#9ca3af;cursor:not-allowed}
         
@@ -169,14 +799,70 @@ export default function App() {
         .avatar{width:36px;height:36px;border-radius:999px;display:flex;align-items:center;justify-content:center;font-weight:700;flex-shrink:0;font-size:16px}
         .meta{font-size:12px;color:var(--muted)}
         .title-issue{font-weight:700;margin:0}
-        .category-badge{display:inline-block;padding:3px 7px;border-radius:999px;font-size:11px;font-weight:600;margin-left:8px;text-transform:uppercase}
-        .filters{display:flex;gap:8px;align-items:center;margin-top:10px}
-        .issue-list{max-height:300px;overflow-y:auto;margin-top:8px}
-        .issue-row{padding:10px;border-radius:8px;background:linear-gradient(0deg, rgba(255,255,255,1), rgba(255,255,255,0.8));cursor:pointer;transition:background 0.2s;border:1px solid transparent;}
+        .row-link{display:block;padding:0;border:none;background:none;font:inherit;font-weight:700;color:inherit;text-align:start;cursor:pointer}
+        .row-link::after{content:'';position:absolute;inset:0;border-radius:8px}
+        .issue-row .sync-failed button{position:relative}
+        .language-mark{margin-inline-start:6px;font-size:11px;font-weight:600;color:var(--muted)}
+        .category-badge{display:inline-block;padding:3px 7px;border-radius:999px;font-size:11px;font-weight:600;margin-inline-start:8px;text-transform:uppercase}
+        .filters{display:flex;gap:8px;align-items:center;margin-top:10px;flex-wrap:wrap}
+        .filters select, .filters input[type="date"]{width:auto;max-width:170px}
+        .report-filters{margin-top:8px}
+        .issue-list{max-height:420px;overflow-y:auto;margin-top:8px}
+        .issue-row{position:relative;padding:10px;border-radius:8px;background:linear-gradient(0deg, rgba(255,255,255,1), rgba(255,255,255,0.8));cursor:pointer;transition:background 0.2s;border:1px solid transparent;}
         .issue-row:hover{background:#f0f4f7}
         .issue-row + .issue-row{margin-top:8px}
+        .issue-row.overdue{border-inline-start:4px solid #b91c1c !important}
+        .overdue-note{color:#b91c1c;font-weight:600}
+        .overdue-badge{outline:2px solid #b91c1c;outline-offset:1px}
+        .poll-bar{height:8px;border-radius:999px;background:#eef2f7;overflow:hidden}
+        .poll-bar > div{height:100%;background:var(--primary)}
         .small{font-size:13px;color:var(--muted)}
+        .offline-banner{margin-bottom:12px;padding:8px 12px;border-radius:8px;background:#fef3c7;color:#92400e;font-size:14px}
+        .sync-pending{color:#92400e}
+        .sync-failed{color:#b91c1c}
+        .link-button{padding:0;border:none;background:none;color:var(--primary);font-size:12px;font-weight:600;cursor:pointer}
+        .stat-grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(120px,1fr));gap:8px;margin-top:10px}
+        .stat{padding:10px;border-radius:8px;background:#f9fafb}
+        .stat-value{font-size:20px;font-weight:700;color:var(--primary)}
+        .metrics-table{width:100%;border-collapse:collapse;font-size:13px;margin-top:4px}
+        .metrics-table th, .metrics-table td{padding:4px 6px;text-align:start;border-bottom:1px solid #eef2f7}
+        .metrics-table th{color:var(--muted);font-weight:600}
+        .moderation-note{margin-top:8px;padding:8px 10px;border-radius:8px;background:#fef3c7;color:#92400e;font-size:13px}
         .center{display:flex;justify-content:center}
+        .markdown p{margin:0 0 6px}
+        .markdown p:last-child, .markdown ul:last-child{margin-bottom:0}
+        .markdown ul{margin:0 0 6px;padding-inline-start:20px}
+        .markdown code{padding:0 4px;border-radius:4px;background:#f3f4f6;font-size:12px}
+        .official-response{margin-top:8px;padding:8px 10px;border-radius:8px;background:#ecfdf5;border-inline-start:3px solid #059669}
+        .reaction{padding:1px 8px;border-radius:999px;border:1px solid #e5e7eb;background:#fff;font-size:12px;cursor:pointer}
+        .reaction.mine{background:#eef2ff;border-color:#c7d2fe}
+        .reaction:disabled{cursor:default}
+
+        /* Status Timeline */
+        .timeline{list-style:none;margin:8px 0 0;padding:0;padding-inline-start:14px;border-inline-start:2px solid #e5e7eb}
+        .timeline li{position:relative;padding:4px 0 8px;font-size:14px}
+        .timeline li::before{content:'';position:absolute;inset-inline-start:-20px;top:9px;width:10px;height:10px;border-radius:999px;background:var(--primary)}
+
+        /* Map */
+        .map-view{position:relative;overflow:hidden;border-radius:8px;background:#e5e7eb;touch-action:none;user-select:none;cursor:grab}
+        .map-view.map-pick, .map-view.map-draw{cursor:crosshair}
+        .map-tile{position:absolute;width:256px;height:256px;pointer-events:none}
+        .map-overlay{position:absolute;left:0;top:0;pointer-events:none}
+        .map-shape{fill:rgba(29,78,216,0.06);stroke:#1d4ed8;stroke-width:1}
+        .map-shape.active{fill:rgba(29,78,216,0.18);stroke-width:2}
+        .map-area{fill:rgba(16,185,129,0.15);stroke:#059669;stroke-width:2;stroke-dasharray:6 4}
+        .map-marker{position:absolute;width:16px;height:16px;margin:-8px 0 0 -8px;padding:0;border-radius:999px;border:2px solid #fff;box-shadow:0 1px 4px rgba(0,0,0,0.4);cursor:pointer;color:#fff;font-size:8px;line-height:12px;text-align:center}
+        .map-zoom{position:absolute;top:8px;left:8px;display:flex;flex-direction:column;gap:4px}
+        .map-zoom button{width:28px;height:28px;padding:0;border-radius:6px;border:1px solid #d1d5db;background:#fff;font-weight:700;cursor:pointer}
+        .map-attribution{position:absolute;right:0;bottom:0;padding:1px 6px;font-size:10px;background:rgba(255,255,255,0.8);color:var(--muted)}
+
+        /* Attachments */
+        .attachment-grid{display:flex;gap:8px;flex-wrap:wrap}
+        .attachment-tile{position:relative;width:84px;height:84px;padding:0;border-radius:8px;border:1px solid #e5e7eb;background:#f9fafb;overflow:hidden;cursor:pointer;display:flex;flex-direction:column;align-items:center;justify-content:center;text-decoration:none;color:var(--text-dark)}
+        .attachment-tile img{width:100%;height:100%;object-fit:cover}
+        .attachment-file{font-weight:700;color:#b91c1c}
+        .attachment-name{font-size:10px;max-width:76px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+        .attachment-remove{position:absolute;top:2px;right:2px;width:20px;height:20px;padding:0;border-radius:999px;border:none;background:rgba(0,0,0,0.6);color:#fff;cursor:pointer;line-height:20px}
 
         /* Modal Styles */
         .modal-overlay {
@@ -190,115 +876,378 @@ export default function App() {
             max-width: 400px; width: 90%; text-align: center;
         }
         .modal-close-btn { margin-top: 15px; }
+
+        /* Accessibility */
+        :focus-visible{outline:3px solid #1d4ed8;outline-offset:2px}
+        .sr-only{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0}
+        .rating label:focus-within{outline:3px solid #1d4ed8;outline-offset:2px;border-radius:4px}
+        .skip-link{position:absolute;inset-inline-start:8px;top:-48px;z-index:2000;padding:8px 12px;border-radius:8px;background:var(--primary);color:#fff;font-weight:700}
+        .skip-link:focus{top:8px}
+        @media (prefers-reduced-motion: reduce){*{transition:none !important}}
+
+        /* High-contrast theme */
+        .page-root.high-contrast{--bg:#fff;--card:#fff;--muted:#1f2937;--primary:#0b3d91;--text-dark:#000;color:#000}
+        .high-contrast .card{border:2px solid #000;box-shadow:none}
+        .high-contrast input, .high-contrast textarea, .high-contrast select{border:2px solid #000}
+        .high-contrast .btn{border:2px solid #000;background:#000;color:#fff}
+        .high-contrast .btn.secondary{background:#fff;color:#000}
+        .high-contrast .btn:disabled{background:#fff;color:#4b5563;border-style:dashed}
+        .high-contrast .pill.active{background:#000;color:#fff;border-color:#000}
+        .high-contrast .category-badge, .high-contrast .reaction{border:1px solid #000}
+        .high-contrast .issue-row{border:1px solid #000 !important}
+        .high-contrast a, .high-contrast .link-button{color:#0b3d91;text-decoration:underline}
+        .high-contrast .moderation-note, .high-contrast .offline-banner, .high-contrast .official-response{background:#fff;color:#000;border:2px solid #000}
+        .high-contrast .sync-pending, .high-contrast .sync-failed{color:#000;font-weight:700}
+        .high-contrast .overdue-note{color:#000;font-weight:700;text-decoration:underline}
+        .high-contrast .overdue-badge{outline:3px solid #000}
+        .high-contrast .poll-bar{background:#fff;border:1px solid #000}
+        .high-contrast .poll-bar > div{background:#000}
+        .high-contrast .issue-row.overdue{border-inline-start:6px solid #000 !important}
+        .high-contrast :focus-visible{outline-color:#000;outline-width:4px}
       `}</style>
 
       <div className="container">
         <header>
-          <h1>Citizen-Politician Platform</h1>
-          <p className="small" style={{margin:0}}>Logged in as: <strong>{role}</strong>. Select a role to switch context.</p>
-          <div className="role-toggle">
-            <button className={`pill ${role==='Citizen'?'active citizen':''}`} onClick={()=>setRole('Citizen')}>Citizen</button>
-            <button className={`pill ${role==='Politician'?'active politician':''}`} onClick={()=>setRole('Politician')}>Politician</button>
-            <button className={`pill ${role==='Moderator'?'active moderator':''}`} onClick={()=>setRole('Moderator')}>Moderator</button>
-            <button className={`pill ${role==='Admin'?'active admin':''}`} onClick={()=>setRole('Admin')}>Admin</button>
+          <h1>{t('app.title')}</h1>
+          <div className="auth-bar">
+            <select
+              value={language}
+              onChange={(e)=>changeLanguage(e.target.value)}
+              aria-label={t('app.language')}
+              title={t('app.language')}
+              style={{width:'auto'}}
+            >
+              {LANGUAGES.map(l => <option key={l.code} value={l.code} lang={l.code}>{l.name}</option>)}
+            </select>
+            <button type="button" className="btn secondary" aria-pressed={highContrast} onClick={toggleContrast}>
+              <span aria-hidden="true">◐</span> {t('a11y.highContrast')}
+            </button>
           </div>
+          {user ? (
+            <div className="auth-bar">
+              <span className="small">{t('app.loggedInAs')} <strong>{user.displayName}</strong></span>
+              <span className={`pill active ${user.role.toLowerCase()}`}>{translateValue('role', user.role)}</span>
+              {user.role === 'Citizen' && constituencies.length > 0 && (
+                <select
+                  value={user.homeConstituency || ''}
+                  onChange={(e)=>setHomeConstituency(e.target.value)}
+                  title={t('app.homeConstituencyTitle')}
+                  aria-label={t('app.homeConstituencyTitle')}
+                  style={{width:'auto',maxWidth:200}}
+                >
+                  <option value="">{t('app.homeConstituency')}</option>
+                  {constituencies.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                </select>
+              )}
+              {subscription && (
+                <NotificationBell
+                  key={user.id}
+                  notifications={notifications}
+                  subscription={subscription}
+                  categories={categoryNames}
+                  onOpen={openNotification}
+                  onMarkRead={markNotificationsRead}
+                  onFollowCategory={(category, following) => follow({ category }, following)}
+                  onEmailChange={setNotificationEmail}
+                />
+              )}
+              <button className="btn secondary" onClick={logout}>{t('app.logOut')}</button>
+            </div>
+          ) : (
+            <AuthPanel onLogin={login} onRegister={register} />
+          )}
         </header>
 
-        <div className="grid">
+        {!online && (
+          <div className="offline-banner" role="status">
+            {t('app.offline')} {store.name === 'local' ? t('app.offlineLocal') : t('app.offlineQueued')}
+          </div>
+        )}
+
+        <main className="grid">
           {/* Left Column: Submit Form and All Reports */}
           <div>
             <div className="card">
-              <h3 style={{marginTop:0}}>Submit Issue or Feedback</h3>
+              <h2 style={{marginTop:0}}>{t('submit.heading')}</h2>
               <p className="small" style={{marginTop:-5}}>
-                {role === 'Citizen' ? 'Report a civic issue or provide public feedback.' : 'Not available for non-Citizen roles.'}
+                {can(role, 'issue:create') ? t('submit.intro') : t('submit.unavailable')}
               </p>
-              {role === 'Citizen' ? (
-                <IssueForm onSubmit={addIssue} />
+              {can(role, 'issue:create') ? (
+                <IssueForm
+                  key={user.homeConstituency || ''}
+                  constituencies={constituencies}
+                  categories={categories}
+                  homeConstituency={user.homeConstituency}
+                  onSubmit={addIssue}
+                  onUpload={uploadAttachment}
+                  loadFile={loadAttachment}
+                  setModalMessage={setModalMessage}
+                />
               ) : (
                 <div className="small center" style={{padding: '20px 0'}}>
-                  The reporting form is only accessible to **Citizen** users.
+                  <Markdown inline text={user ? t('submit.citizensOnly') : t('submit.logIn')} />
                 </div>
               )}
 
-              <div style={{marginTop:20}} className="small">Recent Updates & Open Reports</div>
+              <div style={{marginTop:20}} className="small">{t('updates.heading')}</div>
               <div className="updates-list">
-                {issues.filter(i => i.status === 'Update' || i.status === 'Open').slice(0, 6).map(u => (
+                {listed.filter(i => (i.type === 'broadcast' || i.type === 'poll' || i.status === 'Open' || i.status === 'Reopened') && inScope(i, scope)).slice(0, 6).map(u => (
                   <div key={u.id} className="update-item">
                     <div className="avatar" style={{
                       backgroundColor: u.reporterRole === 'Politician' ? '#dcfce7' : '#eef2ff', 
-                      color: u.reporterRole === 'Politician' ? '#16a34a' : '#1e3a8a'
+                      color: u.reporterRole === 'Politician' ? '#166534' : '#1e3a8a'
                     }}>{u.reporterRole ? u.reporterRole[0] : 'C'}</div>
                     <div>
-                      <div style={{fontWeight:700}}>{u.reporterRole} <span className="category-badge">{u.category}</span></div>
-                      <div style={{marginTop:3, fontSize:14}}>{u.description.substring(0, 100)}{u.description.length > 100 ? '...' : ''}</div>
-                      <div className="meta">{u.createdAt} • {u.status === 'Update' ? 'Broadcast' : u.status}</div>
+                      <div style={{fontWeight:700}}>{u.reporterName || u.reporterRole} <CategoryBadge categories={categories} name={u.category} /><LanguageMark tag={u.language} />{u.constituencyId && <span className="meta"> • {constituencyName(constituencies, u.constituencyId)}</span>}</div>
+                      <div style={{marginTop:3, fontSize:14}} lang={u.language || undefined} dir="auto">
+                        {u.type === 'poll' ? <>🗳 <a href="#" onClick={(e)=>{e.preventDefault(); setSelectedId(u.id);}}>{u.title}</a></> : <>{u.description.substring(0, 100)}{u.description.length > 100 ? '...' : ''}</>}
+                      </div>
+                      <div className="meta">{formatDateTime(u.createdAt)} • {translateValue('status', statusLabel(u, now))}</div>
+                      <SyncStatus entries={outbox} itemId={u.id} onRetry={retryOutbox} onDiscard={discardOutbox} />
                     </div>
                   </div>
                 ))}
-                {issues.length === 0 && <div className="small center" style={{padding:10}}>No updates or reports yet.</div>}
+                {listed.length === 0 && <div className="small center" style={{padding:10}}>{t('updates.empty')}</div>}
               </div>
             </div>
 
             <div style={{marginTop:12}} className="card">
-              <h4 style={{marginTop:0}}>All Public Reports</h4>
-              <div style={{marginTop:8}} className="filters">
-                <label style={{margin:0}}>Filter Status:</label>
-                <select value={filter} onChange={(e)=>setFilter(e.target.value)} style={{maxWidth: 150}}>
-                  <option value="all">All</option>
-                  <option value="Open">Open</option>
-                  <option value="In Progress">In Progress</option>
-                  <option value="Resolved">Resolved</option>
-                  <option value="Update">Broadcast Updates</option>
-                </select>
-              </div>
+              <h2 style={{marginTop:0}}>{t('reports.heading')}</h2>
+              <ReportFilters
+                query={query}
+                categories={categoryNames}
+                constituencies={constituencies}
+                scoped={scope.length > 0}
+                onChange={updateQuery}
+                onReset={() => setQuery(DEFAULT_QUERY)}
+              />
 
-              <div className="issue-list">
-                {visible.map(it => (
-                  <div key={it.id} className="issue-row" onClick={()=>setSelected(it)} style={{
+              {/* The title button is each row's only control; it stretches over the row
+                  for the mouse, and keyboard users move between rows with the arrow keys */}
+              <div className="issue-list" role="list" ref={listRef} aria-label={t('reports.heading')} onKeyDown={(e)=>moveFocusInList(e, listRef.current, '[data-row-id]')}>
+                {visible.items.map(it => {
+                  const late = overdueStages(it, categories, now)[0];
+                  return (
+                  <div key={it.id} role="listitem" className={late ? 'issue-row overdue' : 'issue-row'} style={{
                     backgroundColor: selected && selected.id === it.id ? '#eef2f7' : undefined,
                     border: selected && selected.id === it.id ? '1px solid #d1d5db' : undefined
                   }}>
                     <div style={{display:'flex',justifyContent:'space-between',alignItems:'center'}}>
                       <div>
-                        <div className="title-issue">{it.title}</div>
-                        <div className="small">{it.createdAt} by {it.reporterRole}</div>
+                        <button
+                          type="button"
+                          className="title-issue row-link"
+                          data-row-id={it.id}
+                          aria-current={selectedId === it.id ? 'true' : undefined}
+                          onClick={()=>setSelectedId(it.id)}
+                        >
+                          <span lang={it.language || undefined} dir="auto">{it.title}</span><LanguageMark tag={it.language} />
+                        </button>
+                        <div className="small">
+                          {t('reports.byline', { date: formatDateTime(it.createdAt), name: it.reporterName || translateValue('role', it.reporterRole) })}
+                          {it.type === 'issue' && ` • ▲ ${supportCount(it)}`}
+                          {it.type === 'poll' && ` • 🗳 ${it.responses.length}`}
+                          {it.attachments && it.attachments.length > 0 && ` • 📎 ${it.attachments.length}`}
+                          {it.held && ` • ${t('reports.awaitingReview')}`}
+                          {it.hidden && ` • ${t('reports.hidden')}`}
+                          {it.locked && ' • 🔒'}
+                          {late && <span className="overdue-note"> • ⏰ {t(`sla.${late}Overdue`)}</span>}
+                        </div>
+                        <SyncStatus entries={outbox} itemId={it.id} onRetry={retryOutbox} onDiscard={discardOutbox} />
                       </div>
-                      <StatusBadge status={it.status} category={it.category} />
+                      <StatusBadge status={statusLabel(it, now)} overdue={Boolean(late)} />
                     </div>
                   </div>
-                ))}
-                {visible.length === 0 && <div className="small center" style={{padding:10}}>No reports matching filter criteria.</div>}
+                  );
+                })}
               </div>
+              {visible.total === 0 && <div className="small center" style={{padding:10}}>{t('reports.empty')}</div>}
+              <Pagination
+                page={visible.page}
+                pageCount={visible.pageCount}
+                total={visible.total}
+                pageSize={PAGE_SIZE}
+                onPage={(page) => updateQuery({ page })}
+              />
+            </div>
+
+            <div style={{marginTop:12}} className="card">
+              <h2 style={{marginTop:0}}>{t('map.heading')}</h2>
+              <p className="small" style={{marginTop:-5}}>{t('map.intro')}</p>
+              <MapPanel issues={matching} wards={wards} query={query} onQueryChange={updateQuery} onSelect={setSelectedId} />
             </div>
           </div>
 
           {/* Right Column: Detail and Broadcast */}
           <div>
-            <div className="card">
-              <h3 style={{marginTop:0}}>Report Details / Discussion</h3>
+            <section
+              id="report-details"
+              className="card"
+              tabIndex={-1}
+              aria-labelledby="report-details-heading"
+              onKeyDown={(e)=>{ if (e.key === 'Escape' && !modalMessage) focusSelectedRow(); }}
+            >
+              <h2 id="report-details-heading" style={{marginTop:0}}>{t('detail.heading')}</h2>
               {selected ? (
                 <IssueDetail
+                  key={selected.id}
                   issue={selected}
+                  issues={issues}
+                  constituencies={constituencies}
+                  categories={categories}
+                  officials={officials}
+                  now={now}
+                  onSelect={setSelectedId}
+                  currentUser={user}
                   onComment={addComment}
                   onChangeStatus={changeStatus}
+                  onFeedback={giveFeedback}
+                  onUpdateBroadcast={updateBroadcast}
+                  onRetractBroadcast={retractBroadcast}
+                  onDiscardBroadcast={discardBroadcast}
+                  onRespondToPoll={respondToPoll}
+                  onClosePoll={closePoll}
+                  onSupport={supportIssue}
+                  onMerge={mergeIssue}
+                  following={Boolean(subscription) && isFollowing(subscription, { issueId: selected.id })}
+                  onFollow={follow}
+                  onFlag={flagContent}
+                  onModerate={moderateContent}
+                  onEdit={editIssue}
+                  onAssign={assignIssue}
+                  onEditComment={editComment}
+                  onDeleteComment={deleteComment}
+                  onReact={reactToComment}
+                  onMarkOfficial={setOfficialResponse}
                   onDelete={deleteIssue}
+                  onUpload={uploadAttachment}
+                  loadFile={loadAttachment}
                   currentRole={role}
                   setModalMessage={setModalMessage} // Pass modal handler
                 />
               ) : (
-                <div className="small center" style={{padding: '30px 0'}}>Select a report from the left list to view details and engage.</div>
+                <div className="small center" style={{padding: '30px 0'}}>{t('detail.empty')}</div>
               )}
-            </div>
+            </section>
 
             <div style={{marginTop:12}} className="card">
-              <h4 style={{marginTop:0}}>Post Public Broadcast (Politician)</h4>
+              <h2 style={{marginTop:0}}>{t('broadcast.heading')}</h2>
               <p className="small" style={{marginTop:-5}}>
-                Only the **Politician** role can post general updates to all citizens.
+                <Markdown inline text={t('broadcast.intro')} />
               </p>
-              <Broadcast postUpdate={postUpdate} currentRole={role} setModalMessage={setModalMessage} />
+              <Broadcast
+                postUpdate={postUpdate}
+                issues={listed}
+                drafts={drafts}
+                onSelect={setSelectedId}
+                onUpload={uploadAttachment}
+                loadFile={loadAttachment}
+                targets={user ? broadcastTargets(constituencies, user) : [null]}
+                constituencies={constituencies}
+                categories={categories}
+                currentRole={role}
+                setModalMessage={setModalMessage}
+              />
             </div>
+
+            {can(role, 'poll:create') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('poll.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('poll.intro')}</p>
+                <PollForm
+                  targets={broadcastTargets(constituencies, user)}
+                  constituencies={constituencies}
+                  categories={categories}
+                  onCreate={createPoll}
+                />
+              </div>
+            )}
+
+            {can(role, 'content:moderate') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('moderation.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('moderation.intro')}</p>
+                <ModerationQueue issues={served} onSelect={setSelectedId} onModerate={moderateContent} />
+              </div>
+            )}
+
+            {can(role, 'insights:view') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('concerns.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('concerns.intro')}</p>
+                <TopConcerns issues={served} onSelect={setSelectedId} />
+              </div>
+            )}
+
+            {can(role, 'insights:view') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('analytics.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('analytics.intro')}</p>
+                <AnalyticsDashboard issues={served} onSelect={setSelectedId} />
+              </div>
+            )}
+
+            {can(role, 'feedback:summary') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('satisfaction.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('satisfaction.intro')}</p>
+                <SatisfactionSummary issues={issues} />
+              </div>
+            )}
+
+            {can(role, 'reports:export') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('transfer.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('transfer.intro')}</p>
+                <DataTransfer
+                  matching={matching}
+                  issues={issues}
+                  onExport={exportReports}
+                  onImport={importReports}
+                  canImport={can(role, 'reports:import')}
+                  setModalMessage={setModalMessage}
+                />
+              </div>
+            )}
+
+            {can(role, 'user:manage') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('users.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('users.intro')}</p>
+                <UserAdmin store={store} currentUser={user} constituencies={constituencies} onUserChanged={setUser} onError={reportStoreError} />
+              </div>
+            )}
+
+            {can(role, 'constituency:manage') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('constituencies.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('constituencies.intro')}</p>
+                <ConstituencySettings
+                  constituencies={constituencies}
+                  issues={issues}
+                  onCreate={createConstituency}
+                  onUpdate={updateConstituency}
+                  onDelete={deleteConstituency}
+                />
+              </div>
+            )}
+
+            {can(role, 'category:manage') && (
+              <div style={{marginTop:12}} className="card">
+                <h2 style={{marginTop:0}}>{t('categories.heading')}</h2>
+                <p className="small" style={{marginTop:-5}}>{t('categories.intro')}</p>
+                <CategorySettings
+                  categories={categories}
+                  issues={issues}
+                  officials={officials}
+                  onCreate={createCategory}
+                  onUpdate={updateCategory}
+                  onDelete={deleteCategory}
+                />
+              </div>
+            )}
           </div>
-        </div>
+        </main>
       </div>
     </div>
   );
@@ -306,30 +1255,70 @@ export default function App() {
 
 // --- Helper Components ---
 
-function StatusBadge({ status }) {
-  let bgColor = '#e5e7eb';
-  let color = '#4b5563';
-
-  if (status === 'Resolved') {
-    bgColor = '#dcfce7'; // green-100
-    color = '#16a34a'; // green-600
-  } else if (status === 'In Progress') {
-    bgColor = '#fef9c3'; // yellow-100
-    color = '#a16207'; // yellow-700
-  } else if (status === 'Open') {
-    bgColor = '#fee2e2'; // red-100
-    color = '#b91c1c'; // red-700
-  } else if (status === 'Update') {
-    bgColor = '#eff6ff'; // blue-100
-    color = '#2563eb'; // blue-600
-  }
-  
+function StatusBadge({ status, overdue = false }) {
+  const [bgColor, color] = statusColors(status);
+
   return (
-    <div className="category-badge" style={{
+    <div className={overdue ? 'category-badge overdue-badge' : 'category-badge'} style={{
       backgroundColor: bgColor,
       color: color,
-      marginLeft: 0 // Badge should stand alone
-    }}>{status}</div>
+      marginInlineStart: 0 // Badge should stand alone
+    }}>
+      <span aria-hidden="true">{statusSymbol(status)} </span>{translateValue('status', status)}
+      {overdue && <> • <span aria-hidden="true">⏰ </span>{t('sla.overdue')}</>}
+    </div>
+  );
+}
+
+// Dark text on light badge colours and light text on dark ones
+function badgeTextColor(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? '#1f2937' : '#fff';
+}
+
+// A report's category with the colour and icon the Admin gave it; categories
+// removed since keep a plain badge
+function CategoryBadge({ categories, name }) {
+  const category = categories.find((c) => c.name === name);
+  return (
+    <span className="category-badge" style={category ? {backgroundColor: category.color, color: badgeTextColor(category.color)} : undefined}>
+      {category && <span aria-hidden="true">{category.icon} </span>}{translateValue('category', name)}
+    </span>
+  );
+}
+
+// Who handles a report: routed from its category, or reassigned by a moderator
+function AssigneeLine({ assignee }) {
+  if (!assignee) return <div className="small">{t('issue.unassigned')}</div>;
+  const who = assignee.kind === 'department' ? t('issue.assignedToDepartment', { name: assignee.name }) : t('issue.assignedTo', { name: assignee.name });
+  return (
+    <div className="small">
+      📥 {who} • {assignee.byName ? t('issue.reassignedBy', { name: assignee.byName, date: formatDateTime(assignee.at) }) : t('issue.routedByCategory')}
+    </div>
+  );
+}
+
+// The report's running deadlines from its category's targets, and the
+// escalations sent since it fell behind
+function DeadlineLine({ issue, categories, now }) {
+  const due = deadlines(issue, categories);
+  const late = overdueStages(issue, categories, now);
+  const stages = ['acknowledge', 'resolve'].filter((stage) => due[stage]);
+  const escalations = issue.escalations || [];
+  if (stages.length === 0 && escalations.length === 0) return null;
+  return (
+    <div className="small">
+      {stages.map((stage, i) => (
+        <span key={stage} className={late.includes(stage) ? 'overdue-note' : undefined}>
+          {i > 0 && ' • '}⏰ {t(`sla.${stage}By`, { date: formatDateTime(due[stage]) })}{late.includes(stage) && ` (${t('sla.overdue')})`}
+        </span>
+      ))}
+      {escalations.map((e) => (
+        <div key={`${e.since}-${e.stage}-${e.level}`}>
+          ⚠️ {t(e.level === 2 ? 'sla.escalatedAdmins' : 'sla.escalatedOfficials', { stage: t(`sla.${e.stage}Overdue`), date: formatDateTime(e.at) })}
+        </div>
+      ))}
+    </div>
   );
 }
 
@@ -337,132 +1326,321 @@ function CustomModal({ message, onClose }) {
     if (!message) return null;
 
     return (
-        <div className="modal-overlay" onClick={onClose}>
-            <div className="modal-content" onClick={e => e.stopPropagation()}>
-                <h4 style={{marginTop:0, color: '#b91c1c'}}>Authorization Required</h4>
-                <p>{message}</p>
-                <button className="btn modal-close-btn" onClick={onClose}>Understood</button>
-            </div>
-        </div>
+        <Dialog role="alertdialog" title={t('modal.title')} titleStyle={{color: '#b91c1c'}} message={message} onClose={onClose}>
+            <button className="btn modal-close-btn" onClick={onClose}>{t('modal.close')}</button>
+        </Dialog>
     );
 }
 
+// Marks user-written text whose language differs from the interface language
+function LanguageMark({ tag }) {
+  if (!tag || baseLanguage(tag) === baseLanguage(getLanguage())) return null;
+  const name = languageName(tag);
+  return <span className="language-mark" title={t('issue.writtenIn', { language: name })} aria-label={t('issue.writtenIn', { language: name })}>🌐 {baseLanguage(tag).toUpperCase()}</span>;
+}
+
+// Options for the "Written in" selects on new reports and broadcasts
+function LanguageOptions() {
+  return LANGUAGES.map(l => <option key={l.code} value={l.code} lang={l.code}>{l.name}</option>);
+}
 
-function IssueForm({ onSubmit }) {
+function IssueForm({ constituencies, categories, homeConstituency, onSubmit, onUpload, loadFile, setModalMessage }) {
+  const id = useId(); // Prefix for the ids tying labels to fields
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [category, setCategory] = useState("General");
+  const [constituencyId, setConstituencyId] = useState(homeConstituency || "");
+  const [language, setLanguage] = useState(getLanguage); // What the report is written in
+  const [location, setLocation] = useState(null);
+  const [attachments, setAttachments] = useState([]);
+  // The list loads after the form mounts and may change; fall back to its first entry
+  const chosen = categories.find((c) => c.name === category) || categories[0] || null;
 
-  function submit(e) {
-    e.preventDefault();
-    if (!title.trim() || !description.trim()) return; // Form disabled for non-citizens, so no alert needed
-    onSubmit(title.trim(), description.trim(), category);
+  function reset() {
     setTitle("");
     setDescription("");
     setCategory("General");
+    setConstituencyId(homeConstituency || "");
+    setLanguage(getLanguage());
+    setLocation(null);
+    setAttachments([]);
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    if (!title.trim() || !description.trim()) return; // Form disabled for non-citizens, so no alert needed
+    if (constituencies.length > 0 && !constituencyId) {
+      setModalMessage(t("form.chooseConstituency"));
+      return;
+    }
+    onSubmit(title.trim(), description.trim(), chosen ? chosen.name : category, location, attachments, constituencyId || null, language);
+    reset();
   }
 
   return (
     <form onSubmit={submit} style={{display:'grid',gap:10}}>
-      <input value={title} onChange={(e)=>setTitle(e.target.value)} placeholder="Short descriptive title (e.g. Broken street lights on Main St)" type="text" />
-      <textarea value={description} onChange={(e)=>setDescription(e.target.value)} placeholder="Detailed description of the issue or feedback" />
       <div>
-        <label style={{marginBottom:6}}>Category</label>
-        <select value={category} onChange={(e)=>setCategory(e.target.value)}>
-          <option>General</option>
-          <option>Electricity</option>
-          <option>Roads</option>
-          <option>Sanitation</option>
-          <option>Water</option>
-          <option>Other</option>
+        <label htmlFor={`${id}-title`} style={{marginBottom:6}}>{t('form.title')}</label>
+        <input id={`${id}-title`} value={title} onChange={(e)=>setTitle(e.target.value)} placeholder={t('form.titlePlaceholder')} type="text" lang={language} dir="auto" required />
+      </div>
+      <div>
+        <label htmlFor={`${id}-description`} style={{marginBottom:6}}>{t('form.description')}</label>
+        <textarea id={`${id}-description`} value={description} onChange={(e)=>setDescription(e.target.value)} placeholder={t('form.descriptionPlaceholder')} lang={language} dir="auto" required />
+      </div>
+      <div>
+        <label htmlFor={`${id}-category`} style={{marginBottom:6}}>{t('form.category')}</label>
+        <select id={`${id}-category`} value={chosen ? chosen.name : category} onChange={(e)=>setCategory(e.target.value)} aria-describedby={chosen && chosen.description ? `${id}-category-hint` : undefined}>
+          {categories.map(c => <option key={c.id} value={c.name}>{c.icon} {translateValue('category', c.name)}</option>)}
+        </select>
+        {chosen && chosen.description && <div id={`${id}-category-hint`} className="meta" style={{marginTop:4}}>{chosen.description}</div>}
+      </div>
+      <div>
+        <label htmlFor={`${id}-language`} style={{marginBottom:6}}>{t('form.language')}</label>
+        <select id={`${id}-language`} value={language} onChange={(e)=>setLanguage(e.target.value)}>
+          <LanguageOptions />
         </select>
       </div>
+      {constituencies.length > 0 && (
+        <div>
+          <label htmlFor={`${id}-constituency`} style={{marginBottom:6}}>{t('form.constituency')}</label>
+          <select id={`${id}-constituency`} value={constituencyId} onChange={(e)=>setConstituencyId(e.target.value)}>
+            <option value="">{t('form.selectConstituency')}</option>
+            {constituencies.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+        </div>
+      )}
+      <LocationPicker value={location} onChange={setLocation} setModalMessage={setModalMessage} />
+      <AttachmentInput value={attachments} onChange={setAttachments} onUpload={onUpload} loadFile={loadFile} setModalMessage={setModalMessage} />
       <div style={{display:'flex',gap:8}}>
-        <button className="btn" type="submit">Submit New Report</button>
-        <button type="button" className="btn secondary" onClick={() => { setTitle(''); setDescription(''); setCategory('General'); }}>Clear</button>
+        <button className="btn" type="submit">{t('form.submit')}</button>
+        <button type="button" className="btn secondary" onClick={reset}>{t('form.clear')}</button>
       </div>
     </form>
   );
 }
 
-function IssueDetail({ issue, onComment, onChangeStatus, onDelete, currentRole, setModalMessage }) {
+function IssueDetail({ issue, issues, constituencies, categories, officials, now, onSelect, onComment, onChangeStatus, onFeedback, onUpdateBroadcast, onRetractBroadcast, onDiscardBroadcast, onRespondToPoll, onClosePoll, onSupport, onMerge, following, onFollow, onFlag, onModerate, onEdit, onAssign, onEditComment, onDeleteComment, onReact, onMarkOfficial, onDelete, onUpload, loadFile, currentUser, currentRole, setModalMessage }) {
   const [text, setText] = useState("");
-  const isAuthorizedToAct = currentRole === 'Moderator' || currentRole === 'Politician' || currentRole === 'Admin';
-  const isAdmin = currentRole === 'Admin';
+  const [attachments, setAttachments] = useState([]);
+  const isAdmin = can(currentRole, 'issue:delete');
+  const inServedArea = serves(currentUser, issue); // Staff only act within the constituencies they serve
+  const isModerator = can(currentRole, 'content:moderate') && inServedArea;
+  const canFlag = can(currentRole, 'content:flag');
+  const commentBlocked = commentProblem(issue, currentUser);
+  const canComment = !commentBlocked;
+  const edits = (issue.moderationLog || []).filter(entry => entry.action === 'edit');
+  const headingRef = useRef(null);
 
-  const handleStatusChange = (status) => {
-    if (!isAuthorizedToAct) {
-      setModalMessage(`Only Politician, Moderator, or Admin roles can change the status of a report. Current Role: ${currentRole}`);
-      return;
-    }
-    onChangeStatus(issue.id, status);
-  };
+  useEffect(() => {
+    // Opening a report moves focus to it, so keyboard and screen reader
+    // users land on what they selected (the component remounts per report)
+    headingRef.current.focus();
+  }, []);
 
   const handleDelete = () => {
     if (!isAdmin) {
-      setModalMessage("Error: Only Admin users are authorized to delete reports.");
+      setModalMessage(t('app.error', { message: permissionMessage('issue:delete') }));
       return;
     }
     onDelete(issue.id);
   };
   
-  // Disable status buttons if the item is a broadcast update
-  const isBroadcast = issue.status === 'Update';
+  // Broadcasts and polls have no workflow, so no status actions or history
+  const isReport = issue.type === 'issue';
+  const updates = isReport ? relatedUpdates(issues, issue.id) : [];
+  const official = issue.officialResponseId && issue.comments.find(c => c.id === issue.officialResponseId && !c.deleted);
+  const original = issue.duplicateOf && issues.find(it => it.id === issue.duplicateOf);
+  const supported = hasSupported(issue, currentUser);
+  const supportBlocked = supportProblem(issue, currentUser);
 
   return (
     <div>
       <div style={{display:'flex',justifyContent:'space-between',alignItems:'center'}}>
         <div>
-          <h4 style={{margin:0}}>{issue.title}</h4>
-          <div className="small">Reported by **{issue.reporterRole}** on {issue.createdAt}</div>
+          <h3 ref={headingRef} tabIndex={-1} style={{margin:0}} lang={issue.language || undefined} dir="auto">{issue.title}</h3>
+          <div className="small">{isReport ? t('issue.reportedBy') : t('issue.postedBy')} <strong>{issue.reporterName || translateValue('role', issue.reporterRole)}</strong>{issue.reporterName ? ` (${translateValue('role', issue.reporterRole)})` : ''} • {formatDateTime(issue.createdAt)}</div>
+          {constituencies.length > 0 && (
+            <div className="small">🏛 {constituencyName(constituencies, issue.constituencyId) || (isReport ? t('issue.noConstituency') : t('issue.allConstituencies'))}</div>
+          )}
+          {issue.language && <div className="small">{t('issue.writtenIn', { language: languageName(issue.language) })}</div>}
+          <div style={{marginTop:4}}><CategoryBadge categories={categories} name={issue.category} /></div>
+        </div>
+        <div style={{display:'flex',gap:8,alignItems:'center'}}>
+          {currentUser && (
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={()=>onFollow({ issueId: issue.id }, !following)}
+              title={following ? t('issue.unfollowTitle') : t('issue.followTitle')}
+            >
+              {following ? t('issue.unfollow') : t('issue.follow')}
+            </button>
+          )}
+          <StatusBadge status={statusLabel(issue, now)} overdue={overdueStages(issue, categories, now).length > 0} />
         </div>
-        <StatusBadge status={issue.status} />
       </div>
 
-      <p style={{whiteSpace:'pre-wrap',marginTop:10, paddingBottom:10, borderBottom: '1px dashed #eef2f7'}}>**Description:** {issue.description}</p>
+      {isReport && (
+        <div style={{marginTop:6}}>
+          <AssigneeLine assignee={issue.assignee} />
+          <DeadlineLine issue={issue} categories={categories} now={now} />
+          {can(currentRole, 'issue:assign') && inServedArea && (
+            <AssigneePanel issue={issue} categories={categories} officials={officials} onAssign={onAssign} />
+          )}
+        </div>
+      )}
 
-      <div style={{marginTop:12}}>
-        <strong>Discussion ({issue.comments.length})</strong>
-        <div style={{marginTop:8, maxHeight: 200, overflowY: 'auto'}}>
-          {issue.comments.length===0 && <div className="small">No comments yet. Be the first to engage!</div>}
-          {issue.comments.map(c=> (
-            <div key={c.id} style={{padding:8,borderRadius:8,background:'#fafafa',marginTop:8, borderLeft: `3px solid ${c.role === 'Citizen' ? '#1d4ed8' : '#059669'}`}}>
-              <div style={{fontSize:12,color:'#374151'}}>
-                <strong>{c.role}</strong> <span className="meta">• {c.at}</span>
+      {issue.type === 'broadcast' && (
+        <BroadcastPanel
+          issue={issue}
+          issues={issues}
+          categories={categories}
+          currentUser={currentUser}
+          onSelect={onSelect}
+          onUpdate={onUpdateBroadcast}
+          onRetract={onRetractBroadcast}
+          onDiscard={onDiscardBroadcast}
+        />
+      )}
+
+      {issue.held && <div className="moderation-note">{t('issue.held', { reason: issue.held })}</div>}
+      {issue.hidden && <div className="moderation-note">{t('issue.hiddenNote')}</div>}
+      {!inServedArea && <div className="moderation-note">{t('issue.outOfArea')}</div>}
+
+      {issue.status === 'Duplicate' && (
+        <div className="small" style={{marginTop:8}}>
+          {t('issue.duplicateOf')} {original ? <a href="#" onClick={(e)=>{e.preventDefault(); onSelect(original.id);}}>{original.title}</a> : t('issue.deletedReport')}.
+        </div>
+      )}
+
+      <div style={{marginTop:10, marginBottom:edits.length > 0 ? 0 : 16, paddingBottom:10, borderBottom: '1px dashed #eef2f7'}}>
+        <strong>{t('issue.description')}</strong>
+        <div lang={issue.language || undefined} dir="auto"><Markdown text={issue.description} /></div>
+      </div>
+      {edits.filter(entry => !entry.commentId).map(entry => (
+        <div key={entry.id} className="meta" style={{marginTop:4}}>{t('issue.editedBy', { name: entry.byName, role: translateValue('role', entry.byRole), date: formatDateTime(entry.at), reason: entry.reason })}</div>
+      ))}
+      {(canFlag || isModerator) && (
+        <div style={{marginTop:6,marginBottom:10}}>
+          {canFlag && issue.reporterId !== (currentUser && currentUser.id) && (
+            <FlagButton entity={issue} currentUser={currentUser} onFlag={(flag)=>onFlag(issue.id, flag)} />
+          )}
+          {isModerator && <ModerationPanel issue={issue} constituencies={constituencies} categories={categories} onModerate={onModerate} onEdit={onEdit} />}
+        </div>
+      )}
+      {issue.attachments && issue.attachments.length > 0 && (
+        <div style={{marginBottom:10}}><AttachmentList attachments={issue.attachments} loadFile={loadFile} setModalMessage={setModalMessage} /></div>
+      )}
+
+      {issue.location && (
+        <div style={{marginBottom:10}}>
+          <div className="small">
+            📍 {issue.location.address || t('issue.pinnedLocation')}
+            {isValidLocation(issue.location) && ` (${issue.location.lat.toFixed(5)}, ${issue.location.lng.toFixed(5)})`}
+          </div>
+          {isValidLocation(issue.location) && (
+            <div style={{marginTop:6}}>
+              <MapView
+                key={issue.id}
+                height={180}
+                center={issue.location}
+                zoom={16}
+                markers={[{ id: issue.id, lat: issue.location.lat, lng: issue.location.lng, color: statusColors(statusLabel(issue))[1], title: issue.title }]}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {isReport && (
+        <div style={{display:'flex',gap:8,alignItems:'center',paddingBottom:10,borderBottom:'1px dashed #eef2f7'}}>
+          <button
+            type="button"
+            className={supported ? 'btn' : 'btn secondary'}
+            onClick={()=>onSupport(issue.id, !supported)}
+            disabled={Boolean(supportBlocked) && !supported}
+            title={supportBlocked ? translateMessage(supportBlocked) : (supported ? t('issue.withdrawTitle') : t('issue.supportTitle'))}
+          >
+            {supported ? t('issue.supported') : t('issue.support')}
+          </button>
+          <span className="small">{tn('issue.supporters', supportCount(issue))}</span>
+        </div>
+      )}
+
+      {issue.type === 'poll' && (
+        <div style={{paddingBottom:10, borderBottom: '1px dashed #eef2f7'}}>
+          <PollPanel issue={issue} currentUser={currentUser} now={now} onRespond={onRespondToPoll} onClose={onClosePoll} />
+        </div>
+      )}
+
+      {isReport && (
+        <div style={{marginTop:12, paddingBottom:10, borderBottom: '1px dashed #eef2f7'}}>
+          <strong>{t('issue.statusHistory')}</strong>
+          <IssueTimeline issue={issue} issues={issues} />
+          <FeedbackPanel issue={issue} currentUser={currentUser} onFeedback={onFeedback} />
+          <TransitionPanel issue={issue} currentUser={currentUser} issues={issues} onTransition={onChangeStatus} />
+          {can(currentRole, 'issue:merge') && inServedArea && (
+            <MergePanel issue={issue} issues={issues.filter(it => serves(currentUser, it))} onMerge={onMerge} />
+          )}
+        </div>
+      )}
+
+      {updates.length > 0 && (
+        <div style={{marginTop:12}}>
+          <strong>{t('issue.relatedUpdates')}</strong>
+          {updates.map(u => (
+            <div key={u.id} className="official-response">
+              <div className="meta">
+                📢 {u.reporterName} • {formatDateTime(u.createdAt)}{u.state === 'retracted' && ` • ${translateValue('status', 'Retracted')}`}
               </div>
-              <div style={{marginTop:6}}>{c.text}</div>
+              <div style={{marginTop:4,whiteSpace:'pre-wrap',textDecoration:u.state === 'retracted' ? 'line-through' : undefined}} lang={u.language || undefined} dir="auto">{u.description}</div>
+              <a href="#" className="small" onClick={(e)=>{e.preventDefault(); onSelect(u.id);}}>{t('issue.openUpdate')}</a>
             </div>
           ))}
         </div>
+      )}
+
+      <div style={{marginTop:12}}>
+        <strong>{t('issue.discussion', { count: issue.comments.filter(c => !c.deleted).length })}</strong>{issue.locked && <span className="meta"> • {t('issue.locked')}</span>}
+        {official && (
+          <div className="official-response">
+            <div className="meta">{t('issue.officialResponse')} <strong>{official.authorName || official.role}</strong> • {formatDateTime(official.at)}</div>
+            <div style={{marginTop:4}}><Markdown text={official.text} /></div>
+          </div>
+        )}
+        <div style={{marginTop:8, maxHeight: 320, overflowY: 'auto'}}>
+          {issue.comments.length===0 && <div className="small">{t('issue.noComments')}</div>}
+          <CommentThread
+            nodes={commentThreads(issue.comments)}
+            issue={issue}
+            edits={edits}
+            currentUser={currentUser}
+            canReply={canComment}
+            canFlag={canFlag}
+            isModerator={isModerator}
+            canMarkOfficial={can(currentRole, 'comment:official') && inServedArea && isReport}
+            onReply={(issueId, replyText, parentId) => onComment(issueId, replyText, [], parentId)}
+            onEdit={onEditComment}
+            onDelete={onDeleteComment}
+            onReact={onReact}
+            onMarkOfficial={onMarkOfficial}
+            onFlag={onFlag}
+            onModerate={onModerate}
+            onEditComment={onEditComment}
+            loadFile={loadFile}
+            setModalMessage={setModalMessage}
+          />
+        </div>
 
-        <form onSubmit={(e)=>{e.preventDefault(); if(!text.trim()) return; onComment(issue.id, text.trim()); setText('');}} style={{marginTop:10}}>
-          <textarea value={text} onChange={(e)=>setText(e.target.value)} placeholder={`Respond as ${currentRole}...`} rows={3} />
+        <form onSubmit={(e)=>{e.preventDefault(); if(!text.trim()) return; onComment(issue.id, text.trim(), attachments); setText(''); setAttachments([]);}} style={{marginTop:10}}>
+          <textarea value={text} onChange={(e)=>setText(e.target.value)} placeholder={canComment ? t('issue.respondAs', { role: translateValue('role', currentRole) }) : currentUser ? translateMessage(commentBlocked) : t('issue.logInToComment')} rows={3} disabled={!canComment} aria-label={t('issue.commentLabel')} />
+          {canComment && (
+            <div style={{marginTop:8}}>
+              <AttachmentInput value={attachments} onChange={setAttachments} onUpload={onUpload} loadFile={loadFile} setModalMessage={setModalMessage} />
+            </div>
+          )}
           <div style={{display:'flex',gap:8,marginTop:8, flexWrap:'wrap'}}>
-            <button className="btn" type="submit">Add Comment</button>
-            
-            {/* Moderator and Politician/Admin Actions */}
-            {isAuthorizedToAct && !isBroadcast && (
-              <>
-                <button 
-                  type="button" 
-                  className="btn secondary" 
-                  onClick={()=>handleStatusChange('In Progress')} 
-                  disabled={issue.status === 'In Progress'}
-                  title="Moderator/Politician Action"
-                >
-                  Mark In Progress
-                </button>
-                <button 
-                  type="button" 
-                  className="btn secondary" 
-                  onClick={()=>handleStatusChange('Resolved')} 
-                  disabled={issue.status === 'Resolved'}
-                  title="Moderator/Politician Action"
-                >
-                  Mark Resolved
-                </button>
-              </>
-            )}
+            <button className="btn" type="submit" disabled={!canComment}>{t('issue.addComment')}</button>
             
             {/* Admin-Only Action */}
             {isAdmin && (
@@ -470,9 +1648,9 @@ function IssueDetail({ issue, onComment, onChangeStatus, onDelete, currentRole,
                 type="button" 
                 className="btn secondary" 
                 onClick={handleDelete}
-                title="Admin Action: Permanently delete this report."
+                title={t('issue.deleteTitle')}
               >
-                Delete (Admin)
+                {t('issue.delete')}
               </button>
             )}
           </div>
@@ -482,21 +1660,45 @@ function IssueDetail({ issue, onComment, onChangeStatus, onDelete, currentRole,
   );
 }
 
-function Broadcast({ postUpdate, currentRole, setModalMessage }) {
+function Broadcast({ postUpdate, issues, drafts, onSelect, onUpload, loadFile, targets, constituencies, categories, currentRole, setModalMessage }) {
   const [msg, setMsg] = useState("");
   const [category, setCategory] = useState('General');
+  const [audience, setAudience] = useState(""); // A constituency id; "" is the first allowed target
+  const [notifies, setNotifies] = useState('followers'); // The audience told about it (see domain/broadcasts)
+  const [language, setLanguage] = useState(getLanguage); // What the broadcast is written in
+  const [attachments, setAttachments] = useState([]);
+  const [relatedIssueIds, setRelatedIssueIds] = useState([]);
+  const [publishAt, setPublishAt] = useState(""); // datetime-local value; empty posts at once
 
-  const isPolitician = currentRole === 'Politician';
+  const isPolitician = can(currentRole, 'broadcast:create');
+  const chosen = categories.find((c) => c.name === category) || categories[0] || null;
 
-  const send = () => {
+  const send = (asDraft = false) => {
     if (!isPolitician) {
-      setModalMessage(`Access Denied: Only the Politician role can post public broadcasts. Current Role: ${currentRole}`);
+      setModalMessage(t('broadcast.denied', { reason: permissionMessage('broadcast:create'), role: translateValue('role', currentRole) }));
       return;
     }
     if (!msg.trim()) return;
-    postUpdate(msg.trim(), category);
+    if (targets.length === 0) {
+      setModalMessage(t('broadcast.noAudience'));
+      return;
+    }
+    postUpdate({
+      text: msg.trim(),
+      category: chosen ? chosen.name : category,
+      attachments,
+      constituencyId: targets.includes(audience) ? audience : targets[0],
+      language,
+      audience: notifies,
+      relatedIssueIds,
+      state: asDraft ? 'draft' : publishAt ? 'scheduled' : 'published',
+      publishAt: asDraft ? null : fromLocalInput(publishAt),
+    });
     setMsg('');
     setCategory('General');
+    setAttachments([]);
+    setRelatedIssueIds([]);
+    setPublishAt('');
   };
 
   return (
@@ -504,31 +1706,72 @@ function Broadcast({ postUpdate, currentRole, setModalMessage }) {
       <textarea 
         value={msg} 
         onChange={(e)=>setMsg(e.target.value)} 
-        placeholder={isPolitician ? 'Write public broadcast update to citizens...' : 'Only Politician can post updates.'}
+        placeholder={isPolitician ? t('broadcast.placeholder') : t('broadcast.politiciansOnly')}
         disabled={!isPolitician} 
+        aria-label={t('broadcast.message')}
+        lang={language}
+        dir="auto"
         style={{
           backgroundColor: isPolitician ? '#fff' : '#f3f4f6', 
           cursor: isPolitician ? 'auto' : 'not-allowed'
         }}
       />
+      {isPolitician && (
+        <div style={{marginTop:8,display:'grid',gap:8}}>
+          <AttachmentInput value={attachments} onChange={setAttachments} onUpload={onUpload} loadFile={loadFile} setModalMessage={setModalMessage} />
+          <RelatedIssuePicker issues={issues} value={relatedIssueIds} onChange={setRelatedIssueIds} />
+          <div style={{display:'flex',gap:8,flexWrap:'wrap'}}>
+            <select value={notifies} onChange={(e)=>setNotifies(e.target.value)} style={{maxWidth: 230}} title={t('broadcast.notifies')} aria-label={t('broadcast.notifies')}>
+              <option value="followers">{t('broadcast.notifyFollowers')}</option>
+              <option value="constituency">{t('broadcast.notifyResidents')}</option>
+            </select>
+            <input type="datetime-local" value={publishAt} onChange={(e)=>setPublishAt(e.target.value)} style={{maxWidth: 220}} title={t('broadcast.publishAt')} aria-label={t('broadcast.publishAt')} />
+          </div>
+        </div>
+      )}
       <div style={{display:'flex',gap:8,marginTop:8}}>
-        <select value={category} onChange={(e)=>setCategory(e.target.value)} disabled={!isPolitician} style={{maxWidth: 150}}>
-          <option>General</option>
-          <option>Electricity</option>
-          <option>Roads</option>
-          <option>Sanitation</option>
-          <option>Water</option>
+        <select value={chosen ? chosen.name : category} onChange={(e)=>setCategory(e.target.value)} disabled={!isPolitician} style={{maxWidth: 150}} aria-label={t('form.category')}>
+          {categories.map(c => <option key={c.id} value={c.name}>{c.icon} {translateValue('category', c.name)}</option>)}
         </select>
+        {isPolitician && (
+          <select value={language} onChange={(e)=>setLanguage(e.target.value)} style={{maxWidth: 130}} title={t('form.language')} aria-label={t('form.language')}>
+            <LanguageOptions />
+          </select>
+        )}
+        {isPolitician && constituencies.length > 0 && (
+          <select value={audience} onChange={(e)=>setAudience(e.target.value)} style={{maxWidth: 180}} title={t('broadcast.audienceTitle')} aria-label={t('broadcast.audienceTitle')}>
+            {targets.map(id => (
+              <option key={id || 'all'} value={id || ''}>{id ? constituencyName(constituencies, id) : t('issue.allConstituencies')}</option>
+            ))}
+          </select>
+        )}
         <button 
           className="btn" 
-          onClick={send} 
+          onClick={()=>send()} 
           disabled={!isPolitician} 
           style={{backgroundColor: isPolitician ? undefined : '#9ca3af', cursor: isPolitician ? undefined : 'not-allowed'}}
-          title={isPolitician ? 'Send broadcast to all users.' : 'Not authorized to send broadcasts.'}
+          title={isPolitician ? t('broadcast.postTitle') : t('broadcast.notAuthorized')}
         >
-          {isPolitician ? 'Post Broadcast' : 'Not Allowed'}
+          {!isPolitician ? t('broadcast.notAllowed') : publishAt ? t('broadcast.schedule') : t('broadcast.post')}
         </button>
+        {isPolitician && (
+          <button type="button" className="btn secondary" onClick={()=>send(true)}>{t('broadcast.saveDraft')}</button>
+        )}
       </div>
+
+      {drafts.length > 0 && (
+        <div style={{marginTop:12}}>
+          <div className="small">{t('broadcast.drafts')}</div>
+          <ul style={{margin:'4px 0 0',paddingInlineStart:20}}>
+            {drafts.map(d => (
+              <li key={d.id} className="small">
+                <a href="#" onClick={(e)=>{e.preventDefault(); onSelect(d.id);}} dir="auto">{d.description.substring(0, 60)}{d.description.length > 60 ? '...' : ''}</a>
+                {' • '}{d.state === 'scheduled' ? t('broadcast.scheduledFor', { date: formatDateTime(d.publishAt) }) : translateValue('status', 'Draft')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,143 @@
+import React, { useId, useMemo, useState } from "react";
+import { backlogAging, mostDiscussed, responseMetrics, statusTimeline } from "../domain/analytics.js";
+import { formatDuration, formatShortDate } from "../utils/format.js";
+import { statusColors } from "../utils/statusColors.js";
+import { formatNumber, getLanguage, t, tn, translateValue } from "../i18n/index.js";
+import BarChart from "./BarChart.jsx";
+
+// Period options: how far back the charts look and how many points they
+// plot, labelled by the catalog's `analytics.range<days>`
+const RANGES = [
+  { days: 30, steps: 10 },
+  { days: 90, steps: 13 },
+  { days: 365, steps: 12 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_SERIES = [
+  { key: "open", status: "Open" },
+  { key: "inProgress", status: "In Progress" },
+  { key: "resolved", status: "Resolved" },
+].map((s) => ({ ...s, color: statusColors(s.status)[1] }));
+
+// Politician dashboard: status trends per category, response and resolution
+// times, backlog aging and the most discussed reports.
+export default function AnalyticsDashboard({ issues, onSelect }) {
+  const [days, setDays] = useState(90);
+  const [category, setCategory] = useState("");
+  const timelineId = useId();
+  const agingId = useId();
+  const [now] = useState(() => new Date().toISOString()); // Fixed per visit so the charts do not drift
+
+  const range = RANGES.find((r) => r.days === days);
+  const since = new Date(Date.parse(now) - days * DAY_MS).toISOString();
+  const categories = useMemo(
+    () => [...new Set(issues.filter((it) => it.type === "issue").map((it) => it.category))].sort(),
+    [issues]
+  );
+
+  const timeline = useMemo(
+    () => statusTimeline(issues, { now, days, steps: range.steps, category: category || null }),
+    [issues, now, days, range.steps, category]
+  );
+  const recent = useMemo(
+    () => issues.filter((it) => it.createdAt >= since && (!category || it.category === category)),
+    [issues, since, category]
+  );
+  const metrics = useMemo(() => responseMetrics(recent), [recent]);
+  const aging = useMemo(
+    () => backlogAging(issues.filter((it) => !category || it.category === category), now),
+    [issues, category, now]
+  );
+  const discussed = useMemo(() => mostDiscussed(recent), [recent]);
+
+  const { overall } = metrics;
+  const rangeLabel = t(`analytics.range${days}`);
+  const series = STATUS_SERIES.map((s) => ({ ...s, label: translateValue('status', s.status) }));
+
+  return (
+    <div>
+      <div className="filters" style={{marginTop:0}}>
+        <select value={days} onChange={(e)=>setDays(Number(e.target.value))} aria-label={t('analytics.period')}>
+          {RANGES.map(r => <option key={r.days} value={r.days}>{t(`analytics.range${r.days}`)}</option>)}
+        </select>
+        <select value={category} onChange={(e)=>setCategory(e.target.value)} aria-label={t('analytics.category')}>
+          <option value="">{t('analytics.allCategories')}</option>
+          {categories.map(c => <option key={c} value={c}>{translateValue('category', c)}</option>)}
+        </select>
+      </div>
+
+      <div className="stat-grid">
+        <Stat label={t('analytics.filed')} value={formatNumber(overall.total)} />
+        <Stat label={t('analytics.firstResponse')} value={formatDuration(overall.medianFirstResponse)} hint={tn('analytics.responded', overall.responded)} />
+        <Stat label={t('analytics.resolution')} value={formatDuration(overall.medianResolution)} hint={tn('analytics.resolved', overall.resolvedCount)} />
+        <Stat label={t('analytics.stillOpen')} value={formatNumber(overall.open + overall.inProgress)} />
+      </div>
+
+      <div style={{marginTop:14}}>
+        <strong className="small" id={timelineId}>{t('analytics.statusOverTime')}{category ? ` • ${translateValue('category', category)}` : ''}</strong>
+        <BarChart
+          labelledBy={timelineId}
+          series={series}
+          data={timeline.map(p => ({ label: formatShortDate(p.at), values: p }))}
+        />
+      </div>
+
+      <div style={{marginTop:14}}>
+        <strong className="small" id={agingId}>{t('analytics.aging')}</strong>
+        <BarChart
+          labelledBy={agingId}
+          height={130}
+          series={[{ key: 'count', label: t('analytics.reports'), color: '#1d4ed8' }]}
+          data={aging.map(b => ({ label: translateValue('age', b.label), values: { count: b.count } }))}
+        />
+      </div>
+
+      {!category && metrics.categories.length > 0 && (
+        <div style={{marginTop:14,overflowX:'auto'}}>
+          <strong className="small">{t('analytics.byCategory', {range: rangeLabel.toLocaleLowerCase(getLanguage())})}</strong>
+          <table className="metrics-table">
+            <thead>
+              <tr><th>{t('analytics.category')}</th>{series.map(s => <th key={s.key}>{s.label}</th>)}<th>{t('analytics.firstResponseShort')}</th><th>{t('analytics.resolutionShort')}</th></tr>
+            </thead>
+            <tbody>
+              {metrics.categories.map(c => (
+                <tr key={c.category}>
+                  <td>{translateValue('category', c.category)}</td>
+                  <td>{formatNumber(c.open)}</td>
+                  <td>{formatNumber(c.inProgress)}</td>
+                  <td>{formatNumber(c.resolved)}</td>
+                  <td>{formatDuration(c.medianFirstResponse)}</td>
+                  <td>{formatDuration(c.medianResolution)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{marginTop:14}}>
+        <strong className="small">{t('analytics.mostDiscussed')}</strong>
+        {discussed.length === 0 && <div className="small">{t('analytics.noDiscussions')}</div>}
+        <ol style={{margin:'4px 0 0',paddingInlineStart:20}}>
+          {discussed.map(it => (
+            <li key={it.id} style={{marginTop:2}}>
+              <a href="#" onClick={(e)=>{e.preventDefault(); onSelect(it.id);}}>{it.title}</a>
+              <span className="meta"> • 💬 {formatNumber(it.comments.length)} • {translateValue('status', it.status)}</span>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+}
+
+function Stat({ label, value, hint }) {
+  return (
+    <div className="stat">
+      <div className="stat-value">{value}</div>
+      <div className="meta">{label}{hint ? ` • ${hint}` : ''}</div>
+    </div>
+  );
+}
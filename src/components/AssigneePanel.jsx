@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import { departments } from "../domain/categories.js";
+import { t, translateValue } from "../i18n/index.js";
+
+// Moderator control for handing a report to another department or official
+// than the one its category routed it to. The choice is logged with an
+// optional note and stops later category changes from moving it again.
+export default function AssigneePanel({ issue, categories, officials, onAssign }) {
+  const [open, setOpen] = useState(false);
+  const [choice, setChoice] = useState("");
+  const [reason, setReason] = useState("");
+
+  const current = issue.assignee;
+  const departmentNames = departments(categories);
+  // Start from the current assignee while it is still one of the choices
+  const start = () => {
+    const offered = current && (current.kind === "department"
+      ? departmentNames.includes(current.name) && `department:${current.name}`
+      : officials.some((u) => u.id === current.userId) && `official:${current.userId}`);
+    setChoice(offered || "");
+    setReason("");
+    setOpen(true);
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const [kind, value] = choice ? [choice.slice(0, choice.indexOf(':')), choice.slice(choice.indexOf(':') + 1)] : [null, null];
+    const owner = kind === 'department' ? { kind, name: value } : kind === 'official' ? { kind, userId: value } : null;
+    onAssign(issue.id, owner, reason.trim());
+    setOpen(false);
+  };
+
+  if (!open) {
+    return <button type="button" className="link-button" onClick={start}>{t('assignee.reassign')}</button>;
+  }
+
+  return (
+    <form onSubmit={submit} style={{display:'grid',gap:8,marginTop:8,padding:10,borderRadius:8,background:'#f9fafb'}}>
+      <select value={choice} onChange={(e)=>setChoice(e.target.value)} aria-label={t('assignee.assignTo')}>
+        <option value="">{t('assignee.unassigned')}</option>
+        {departmentNames.length > 0 && (
+          <optgroup label={t('assignee.departments')}>
+            {departmentNames.map(name => <option key={name} value={`department:${name}`}>{name}</option>)}
+          </optgroup>
+        )}
+        {officials.length > 0 && (
+          <optgroup label={t('assignee.officials')}>
+            {officials.map(u => <option key={u.id} value={`official:${u.id}`}>{u.displayName} ({translateValue('role', u.role)})</option>)}
+          </optgroup>
+        )}
+      </select>
+      <input type="text" value={reason} onChange={(e)=>setReason(e.target.value)} placeholder={t('assignee.notePlaceholder')} aria-label={t('assignee.note')} />
+      <div style={{display:'flex',gap:8}}>
+        <button className="btn" type="submit">{t('assignee.assign')}</button>
+        <button type="button" className="btn secondary" onClick={()=>setOpen(false)}>{t('assignee.cancel')}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,68 @@
+import React, { useRef, useState } from "react";
+import { ALLOWED_TYPES, ATTACHMENT_LIMITS, formatBytes, isImageType } from "../domain/attachments.js";
+import { t, tn, translateMessage } from "../i18n/index.js";
+import { prepareAttachment } from "../utils/images.js";
+import StoredImage from "./StoredImage.jsx";
+
+// File picker that resizes images, uploads each file straight away through
+// `onUpload` and keeps the resulting attachments in `value`. `onChange` is a
+// state setter: it receives an updater so parallel uploads do not clobber.
+// Previews load through `loadFile` (see StoredImage).
+export default function AttachmentInput({ value, onChange, onUpload, loadFile, setModalMessage, disabled }) {
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(0);
+
+  const remaining = ATTACHMENT_LIMITS.maxFiles - value.length - uploading;
+
+  const addFiles = async (fileList) => {
+    const files = Array.from(fileList);
+    inputRef.current.value = "";
+    if (files.length > remaining) {
+      setModalMessage(tn('attachments.tooMany', ATTACHMENT_LIMITS.maxFiles));
+      return;
+    }
+    setUploading((n) => n + files.length);
+    let added = [];
+    for (const file of files) {
+      try {
+        added = [...added, await onUpload(await prepareAttachment(file))];
+      } catch (err) {
+        setModalMessage(t('app.error', { message: translateMessage(err.message) }));
+      } finally {
+        setUploading((n) => n - 1);
+      }
+    }
+    onChange((prev) => [...prev, ...added]);
+  };
+
+  return (
+    <div>
+      <div style={{display:'flex',gap:8,alignItems:'center',flexWrap:'wrap'}}>
+        <button type="button" className="btn secondary" onClick={()=>inputRef.current.click()} disabled={disabled || remaining <= 0}>
+          {t('attachments.attach')}
+        </button>
+        <span className="small">
+          {uploading > 0 ? tn('attachments.uploading', uploading) : tn('attachments.limits', ATTACHMENT_LIMITS.maxFiles, { size: formatBytes(ATTACHMENT_LIMITS.maxBytes) })}
+        </span>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          accept={Object.keys(ALLOWED_TYPES).join(",")}
+          onChange={(e)=>addFiles(e.target.files)}
+          style={{display:'none'}}
+        />
+      </div>
+      {value.length > 0 && (
+        <div className="attachment-grid" style={{marginTop:8}}>
+          {value.map(a => (
+            <div key={a.id} className="attachment-tile">
+              {isImageType(a.type) ? <StoredImage url={a.thumbnailUrl || a.url} loadFile={loadFile} alt={a.name} /> : <div className="attachment-file">PDF</div>}
+              <button type="button" className="attachment-remove" title={t('attachments.remove', { name: a.name })} aria-label={t('attachments.remove', { name: a.name })} onClick={()=>onChange((prev) => prev.filter(x => x.id !== a.id))}>×</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
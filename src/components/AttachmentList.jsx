@@ -0,0 +1,48 @@
+import React, { useState } from "react";
+import { formatBytes, isImageType } from "../domain/attachments.js";
+import { downloadUrl } from "../utils/download.js";
+import { t, translateMessage } from "../i18n/index.js";
+import Dialog from "./Dialog.jsx";
+import StoredImage from "./StoredImage.jsx";
+
+// Thumbnails of a record's attachments. Images open full size in an overlay;
+// other files are offered as downloads. Files come through `loadFile` (see
+// StoredImage).
+export default function AttachmentList({ attachments, loadFile, setModalMessage }) {
+  const [preview, setPreview] = useState(null);
+  if (!attachments || attachments.length === 0) return null;
+
+  const download = (a) => {
+    loadFile(a.url)
+      .then((url) => {
+        downloadUrl(a.name, url);
+        if (url.startsWith("blob:")) URL.revokeObjectURL(url);
+      })
+      .catch((err) => setModalMessage(t('app.error', { message: translateMessage(err.message) })));
+  };
+
+  return (
+    <>
+      <div className="attachment-grid">
+        {attachments.map(a => isImageType(a.type) ? (
+          <button key={a.id} type="button" className="attachment-tile" onClick={()=>setPreview(a)} title={`${a.name} (${formatBytes(a.size)})`}>
+            <StoredImage url={a.thumbnailUrl || a.url} loadFile={loadFile} alt={a.name} loading="lazy" />
+          </button>
+        ) : (
+          <button key={a.id} type="button" className="attachment-tile" onClick={()=>download(a)} title={`${a.name} (${formatBytes(a.size)})`}>
+            <div className="attachment-file">PDF</div>
+            <div className="attachment-name">{a.name}</div>
+          </button>
+        ))}
+      </div>
+
+      {preview && (
+        <Dialog title={preview.name} titleStyle={{marginBottom:8}} onClose={()=>setPreview(null)} style={{maxWidth:'90vw',padding:16}}>
+          <StoredImage url={preview.url} loadFile={loadFile} alt={preview.name} style={{maxWidth:'100%',maxHeight:'75vh',display:'block',margin:'0 auto'}} />
+          <div className="small" style={{marginTop:8}}>{formatBytes(preview.size)}</div>
+          <button className="btn modal-close-btn" onClick={()=>setPreview(null)}>{t('attachments.close')}</button>
+        </Dialog>
+      )}
+    </>
+  );
+}
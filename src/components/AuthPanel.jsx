@@ -0,0 +1,42 @@
+import React, { useState } from "react";
+import { t } from "../i18n/index.js";
+
+// Login / account creation form shown in the header while logged out.
+export default function AuthPanel({ onLogin, onRegister }) {
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [displayName, setDisplayName] = useState("");
+  const [password, setPassword] = useState("");
+
+  const isRegister = mode === "register";
+
+  function submit(e) {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+    if (isRegister) {
+      onRegister({ username: username.trim(), displayName: displayName.trim(), password });
+    } else {
+      onLogin(username.trim(), password);
+    }
+    setPassword("");
+  }
+
+  return (
+    <form onSubmit={submit} className="auth-panel">
+      <input value={username} onChange={(e)=>setUsername(e.target.value)} placeholder={t('auth.username')} aria-label={t('auth.username')} type="text" autoComplete="username" />
+      {isRegister && (
+        <input value={displayName} onChange={(e)=>setDisplayName(e.target.value)} placeholder={t('auth.displayNamePlaceholder')} aria-label={t('auth.displayName')} type="text" autoComplete="name" />
+      )}
+      <input value={password} onChange={(e)=>setPassword(e.target.value)} placeholder={t('auth.password')} aria-label={t('auth.password')} type="password" autoComplete={isRegister ? "new-password" : "current-password"} />
+      <div style={{display:'flex',gap:8,justifyContent:'center'}}>
+        <button className="btn" type="submit">{isRegister ? t('auth.createAccount') : t('auth.logIn')}</button>
+        <button type="button" className="btn secondary" onClick={() => setMode(isRegister ? 'login' : 'register')}>
+          {isRegister ? t('auth.haveAccount') : t('auth.register')}
+        </button>
+      </div>
+      <p className="small" style={{margin:0}}>
+        {isRegister ? t('auth.registerHint') : t('auth.loginHint')}
+      </p>
+    </form>
+  );
+}
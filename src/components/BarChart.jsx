@@ -0,0 +1,64 @@
+import React from "react";
+
+// Small dependency-free SVG bar chart. Each datum is { label, values } and
+// `series` ([{ key, label, color }]) says which values to draw; with more
+// than one series the bars are stacked. `labelledBy` is the id of the
+// chart's visible title, which names it for screen readers.
+export default function BarChart({ data, series, height = 160, labelledBy }) {
+  const width = 480;
+  const padding = { top: 10, right: 8, bottom: 28, left: 32 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  const totals = data.map((d) => series.reduce((sum, s) => sum + (d.values[s.key] || 0), 0));
+  const max = Math.max(1, ...totals);
+  const slot = plotWidth / Math.max(1, data.length);
+  const barWidth = Math.max(2, slot * 0.7);
+  // Thin the x labels out so they never overlap
+  const labelEvery = Math.ceil(data.length / 8);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%" role="img" aria-labelledby={labelledBy} style={{display:'block'}}>
+        {[0, 0.5, 1].map((f) => {
+          const y = padding.top + plotHeight * (1 - f);
+          return (
+            <g key={f}>
+              <line x1={padding.left} x2={width - padding.right} y1={y} y2={y} stroke="#e5e7eb" />
+              <text x={padding.left - 4} y={y + 4} textAnchor="end" fontSize="10" fill="#4b5563">{Math.round(max * f)}</text>
+            </g>
+          );
+        })}
+        {data.map((d, i) => {
+          const x = padding.left + i * slot + (slot - barWidth) / 2;
+          let y = padding.top + plotHeight;
+          return (
+            <g key={d.label + i}>
+              {series.map((s) => {
+                const value = d.values[s.key] || 0;
+                const h = (value / max) * plotHeight;
+                y -= h;
+                return (
+                  <rect key={s.key} x={x} y={y} width={barWidth} height={h} fill={s.color}>
+                    <title>{`${d.label} • ${s.label}: ${value}`}</title>
+                  </rect>
+                );
+              })}
+              {i % labelEvery === 0 && (
+                <text x={x + barWidth / 2} y={height - 10} textAnchor="middle" fontSize="10" fill="#4b5563">{d.label}</text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {series.length > 1 && (
+        <div className="filters" style={{marginTop:4}}>
+          {series.map((s) => (
+            <span key={s.key} className="small" style={{display:'inline-flex',alignItems:'center',gap:4}}>
+              <span style={{width:10,height:10,borderRadius:2,background:s.color,display:'inline-block'}} />{s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useState } from "react";
+import { formatDateTime, fromLocalInput, toLocalInput } from "../utils/format.js";
+import { formatNumber, t, translateValue } from "../i18n/index.js";
+import RelatedIssuePicker from "./RelatedIssuePicker.jsx";
+
+// Catalog keys for who a broadcast notifies
+const AUDIENCE_KEYS = {
+  followers: "broadcast.notifyFollowers",
+  constituency: "broadcast.notifyResidents",
+};
+
+// What a broadcast's details add to the shared detail view: its publication
+// state, the reports it is about and its change history for everyone, and
+// for its author the controls to edit, publish or reschedule a draft,
+// retract a published broadcast or discard an unpublished one.
+export default function BroadcastPanel({ issue, issues, categories, currentUser, onSelect, onUpdate, onRetract, onDiscard }) {
+  const [mode, setMode] = useState(null); // null, "edit" or "retract"
+  const [reason, setReason] = useState("");
+
+  const isAuthor = Boolean(currentUser) && currentUser.id === issue.reporterId;
+  const unpublished = issue.state === 'draft' || issue.state === 'scheduled';
+  const related = (issue.relatedIssueIds || []).map((id) => issues.find((it) => it.id === id)).filter(Boolean);
+  const changes = issue.changes || [];
+  const last = changes.length ? changes[changes.length - 1] : null;
+
+  return (
+    <div style={{marginTop:8}}>
+      {issue.state === 'draft' && <div className="moderation-note">{t('broadcast.draftNote')}</div>}
+      {issue.state === 'scheduled' && <div className="moderation-note">{t('broadcast.scheduledNote', {date: formatDateTime(issue.publishAt)})}</div>}
+      {issue.state === 'retracted' && (
+        <div className="moderation-note">
+          {last && last.reason
+            ? t('broadcast.retractedWithReason', {name: issue.reporterName, date: formatDateTime(last.at), reason: last.reason})
+            : t('broadcast.retractedOn', {name: issue.reporterName, date: formatDateTime(last ? last.at : issue.createdAt)})}
+        </div>
+      )}
+
+      <div className="small" style={{marginTop:6}}>
+        {t('broadcast.notifiesWho', {audience: t(AUDIENCE_KEYS[issue.audience] || AUDIENCE_KEYS.followers)})}
+        {issue.editedAt && <> • {t('broadcast.editedAt', {date: formatDateTime(issue.editedAt)})}</>}
+      </div>
+
+      {related.length > 0 && (
+        <div className="small" style={{marginTop:6}}>
+          {t('broadcast.about')}{' '}
+          {related.map((it, i) => (
+            <React.Fragment key={it.id}>
+              {i > 0 && ', '}
+              <a href="#" onClick={(e)=>{e.preventDefault(); onSelect(it.id);}}>{it.title}</a>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
+      {isAuthor && issue.state !== 'retracted' && mode === null && (
+        <div style={{display:'flex',gap:8,flexWrap:'wrap',marginTop:10}}>
+          <button type="button" className="btn secondary" onClick={()=>setMode('edit')}>{t('broadcast.edit')}</button>
+          {unpublished && <button type="button" className="btn" onClick={()=>onUpdate(issue.id, { state: 'published' })}>{t('broadcast.publishNow')}</button>}
+          {unpublished && <button type="button" className="btn secondary" onClick={()=>onDiscard(issue.id)}>{t('broadcast.discard')}</button>}
+          {issue.state === 'published' && (
+            <button type="button" className="btn secondary" onClick={()=>{ setReason(''); setMode('retract'); }}>{t('broadcast.retract')}</button>
+          )}
+        </div>
+      )}
+
+      {mode === 'edit' && (
+        <BroadcastEditForm
+          issue={issue}
+          issues={issues}
+          categories={categories}
+          onSave={(patch) => { onUpdate(issue.id, patch); setMode(null); }}
+          onCancel={() => setMode(null)}
+        />
+      )}
+
+      {mode === 'retract' && (
+        <form
+          onSubmit={(e)=>{ e.preventDefault(); onRetract(issue.id, reason.trim()); setMode(null); }}
+          style={{display:'grid',gap:8,marginTop:10,padding:10,borderRadius:8,background:'#f9fafb'}}
+        >
+          <div className="small">{t('broadcast.retractIntro')}</div>
+          <input type="text" value={reason} onChange={(e)=>setReason(e.target.value)} placeholder={t('broadcast.retractReasonPlaceholder')} aria-label={t('broadcast.reason')} />
+          <div style={{display:'flex',gap:8}}>
+            <button className="btn" type="submit">{t('broadcast.retract')}</button>
+            <button type="button" className="btn secondary" onClick={()=>setMode(null)}>{t('broadcast.cancel')}</button>
+          </div>
+        </form>
+      )}
+
+      {changes.length > 0 && (
+        <details style={{marginTop:10}}>
+          <summary className="small">{t('broadcast.history', {count: formatNumber(changes.length)})}</summary>
+          <ol className="timeline">
+            {changes.map(c => (
+              <li key={c.id}>
+                <div><strong>{c.action === 'retract' ? t('broadcast.retracted') : t('broadcast.edited')}</strong></div>
+                <div className="meta">{c.byName} • {formatDateTime(c.at)}</div>
+                {c.reason && <div className="small">{c.reason}</div>}
+                {c.before && c.before.description !== undefined && (
+                  <div className="small" dir="auto" style={{marginTop:2,whiteSpace:'pre-wrap'}}>{t('broadcast.previously', {text: c.before.description})}</div>
+                )}
+                {c.before && Object.keys(c.before).filter(k => k !== 'description').length > 0 && (
+                  <div className="meta">{t('broadcast.alsoChanged', {fields: Object.keys(c.before).filter(k => k !== 'description').map(k => translateValue('broadcastField', k)).join(', ')})}</div>
+                )}
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+    </div>
+  );
+}
+
+function BroadcastEditForm({ issue, issues, categories, onSave, onCancel }) {
+  const [description, setDescription] = useState(issue.description);
+  const [category, setCategory] = useState(issue.category);
+  const [audience, setAudience] = useState(issue.audience || 'followers');
+  const [relatedIssueIds, setRelatedIssueIds] = useState(issue.relatedIssueIds || []);
+  const [publishAt, setPublishAt] = useState(toLocalInput(issue.publishAt));
+  const [reason, setReason] = useState("");
+
+  const published = issue.state === 'published';
+  // A category removed since stays selectable until replaced
+  const names = categories.some((c) => c.name === issue.category) ? categories.map((c) => c.name) : [issue.category, ...categories.map((c) => c.name)];
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!description.trim()) return;
+    const patch = { description: description.trim(), category, audience, relatedIssueIds };
+    if (published) {
+      onSave({ ...patch, reason: reason.trim() });
+    } else {
+      onSave({ ...patch, state: publishAt ? 'scheduled' : 'draft', publishAt: fromLocalInput(publishAt) });
+    }
+  };
+
+  return (
+    <form onSubmit={submit} style={{display:'grid',gap:8,marginTop:10,padding:10,borderRadius:8,background:'#f9fafb'}}>
+      <textarea value={description} onChange={(e)=>setDescription(e.target.value)} aria-label={t('broadcast.message')} dir="auto" rows={3} required />
+      <div style={{display:'flex',gap:8,flexWrap:'wrap'}}>
+        <select value={category} onChange={(e)=>setCategory(e.target.value)} aria-label={t('broadcast.category')} style={{maxWidth:160}}>
+          {names.map(name => <option key={name} value={name}>{translateValue('category', name)}</option>)}
+        </select>
+        <select value={audience} onChange={(e)=>setAudience(e.target.value)} aria-label={t('broadcast.notifies')} style={{maxWidth:220}}>
+          {Object.entries(AUDIENCE_KEYS).map(([value, key]) => <option key={value} value={value}>{t(key)}</option>)}
+        </select>
+        {!published && (
+          <input type="datetime-local" value={publishAt} onChange={(e)=>setPublishAt(e.target.value)} aria-label={t('broadcast.publishAtDraft')} title={t('broadcast.publishAtDraft')} style={{maxWidth:220}} />
+        )}
+      </div>
+      <RelatedIssuePicker issues={issues} value={relatedIssueIds} onChange={setRelatedIssueIds} />
+      {published && (
+        <input type="text" value={reason} onChange={(e)=>setReason(e.target.value)} placeholder={t('broadcast.editReasonPlaceholder')} aria-label={t('broadcast.editReason')} />
+      )}
+      <div style={{display:'flex',gap:8}}>
+        <button className="btn" type="submit">{published ? t('broadcast.saveChanges') : publishAt ? t('broadcast.saveAndSchedule') : t('broadcast.saveDraft')}</button>
+        <button type="button" className="btn secondary" onClick={onCancel}>{t('broadcast.cancel')}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { t, tn, translateValue } from "../i18n/index.js";
+
+// Admin list of report categories: add, edit (name, colour, icon,
+// description, owner, service-level targets) and remove them. New reports in
+// a category are assigned to its owner, a department or an official account.
+export default function CategorySettings({ categories, issues, officials, onCreate, onUpdate, onDelete }) {
+  const [mode, setMode] = useState(null); // null or "add"
+
+  return (
+    <div>
+      {mode === 'add' ? (
+        <CategoryForm
+          officials={officials}
+          submitLabel={t('categories.add')}
+          onSubmit={(fields) => { onCreate(fields); setMode(null); }}
+          onCancel={() => setMode(null)}
+        />
+      ) : (
+        <button type="button" className="btn" onClick={()=>setMode('add')}>{t('categories.add')}</button>
+      )}
+
+      <div className="issue-list">
+        {categories.map(c => (
+          <CategoryRow
+            key={c.id}
+            category={c}
+            officials={officials}
+            reportCount={issues.filter(it => it.type === 'issue' && it.category === c.name).length}
+            canRemove={categories.length > 1}
+            onUpdate={onUpdate}
+            onDelete={onDelete}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Owners are edited as one select value: "" (nobody), "department" (with a
+// name typed next to it) or "official:<userId>".
+function ownerChoice(owner) {
+  if (!owner) return "";
+  return owner.kind === "department" ? "department" : `official:${owner.userId}`;
+}
+
+function CategoryForm({ category = null, officials, submitLabel, onSubmit, onCancel }) {
+  const [name, setName] = useState(category ? category.name : "");
+  const [icon, setIcon] = useState(category ? category.icon : "");
+  const [color, setColor] = useState(category ? category.color : "#e0e7ff");
+  const [description, setDescription] = useState(category ? category.description : "");
+  const [owner, setOwner] = useState(category ? ownerChoice(category.owner) : "");
+  const [department, setDepartment] = useState(category && category.owner && category.owner.kind === "department" ? category.owner.name : "");
+  const [acknowledgeDays, setAcknowledgeDays] = useState(category && category.sla && category.sla.acknowledgeDays ? String(category.sla.acknowledgeDays) : "");
+  const [resolveDays, setResolveDays] = useState(category && category.sla && category.sla.resolveDays ? String(category.sla.resolveDays) : "");
+
+  // An official no longer on the list (role changed) stays selectable until replaced
+  const missingOfficial = owner.startsWith('official:') && !officials.some(u => `official:${u.id}` === owner);
+  const ready = name.trim() && (owner !== 'department' || department.trim());
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!ready) return;
+    onSubmit({
+      name: name.trim(),
+      icon: icon.trim(),
+      color,
+      description: description.trim(),
+      owner: owner === 'department'
+        ? { kind: 'department', name: department.trim() }
+        : owner ? { kind: 'official', userId: owner.slice('official:'.length) } : null,
+      sla: { acknowledgeDays, resolveDays },
+    });
+  };
+
+  return (
+    <form className="issue-row" onSubmit={submit} style={{display:'grid',gap:8,cursor:'default'}}>
+      <div style={{display:'flex',gap:8}}>
+        <input type="text" value={icon} onChange={(e)=>setIcon(e.target.value)} placeholder={t('categories.icon')} aria-label={t('categories.icon')} style={{width:64}} />
+        <input type="text" value={name} onChange={(e)=>setName(e.target.value)} placeholder={t('categories.namePlaceholder')} aria-label={t('categories.name')} />
+        <input type="color" value={color} onChange={(e)=>setColor(e.target.value)} aria-label={t('categories.color')} title={t('categories.color')} style={{width:44,height:40,padding:2}} />
+      </div>
+      <input type="text" value={description} onChange={(e)=>setDescription(e.target.value)} placeholder={t('categories.descriptionPlaceholder')} aria-label={t('categories.description')} />
+      <div style={{display:'flex',gap:8}}>
+        <select value={owner} onChange={(e)=>setOwner(e.target.value)} aria-label={t('categories.owner')}>
+          <option value="">{t('categories.notRouted')}</option>
+          <option value="department">{t('categories.aDepartment')}</option>
+          {officials.map(u => <option key={u.id} value={`official:${u.id}`}>{u.displayName} ({translateValue('role', u.role)})</option>)}
+          {missingOfficial && <option value={owner}>{category.owner.name}</option>}
+        </select>
+        {owner === 'department' && (
+          <input type="text" value={department} onChange={(e)=>setDepartment(e.target.value)} placeholder={t('categories.department')} aria-label={t('categories.department')} />
+        )}
+      </div>
+      <div style={{display:'flex',gap:8}}>
+        <input type="number" min="1" step="any" value={acknowledgeDays} onChange={(e)=>setAcknowledgeDays(e.target.value)} placeholder={t('categories.acknowledgeDays')} aria-label={t('categories.acknowledgeDays')} />
+        <input type="number" min="1" step="any" value={resolveDays} onChange={(e)=>setResolveDays(e.target.value)} placeholder={t('categories.resolveDays')} aria-label={t('categories.resolveDays')} />
+      </div>
+      <div style={{display:'flex',gap:8}}>
+        <button className="btn" type="submit" disabled={!ready}>{submitLabel}</button>
+        <button type="button" className="btn secondary" onClick={onCancel}>{t('categories.cancel')}</button>
+      </div>
+    </form>
+  );
+}
+
+function CategoryRow({ category, officials, reportCount, canRemove, onUpdate, onDelete }) {
+  const [mode, setMode] = useState(null); // null, "edit" or "remove"
+
+  if (mode === 'remove') {
+    return (
+      <div className="issue-row" style={{cursor:'default'}}>
+        <div className="small">
+          {t('categories.confirmRemove', {name: category.name})}
+          {reportCount > 0 && ` ${tn('categories.keepName', reportCount)}`}
+        </div>
+        <div style={{display:'flex',gap:8,marginTop:8}}>
+          <button type="button" className="btn" onClick={()=>onDelete(category.id)}>{t('categories.remove')}</button>
+          <button type="button" className="btn secondary" onClick={()=>setMode(null)}>{t('categories.cancel')}</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (mode === 'edit') {
+    return (
+      <CategoryForm
+        category={category}
+        officials={officials}
+        submitLabel={t('categories.save')}
+        onSubmit={(fields) => { onUpdate(category.id, fields); setMode(null); }}
+        onCancel={() => setMode(null)}
+      />
+    );
+  }
+
+  const owner = category.owner;
+  const sla = category.sla;
+  return (
+    <div className="issue-row" style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:8,cursor:'default'}}>
+      <div>
+        <div className="title-issue">
+          <span aria-hidden="true" style={{display:'inline-block',width:12,height:12,borderRadius:999,marginInlineEnd:6,background:category.color,border:'1px solid #9ca3af'}} />
+          {category.icon} {category.name}
+        </div>
+        <div className="small">
+          {category.description ? `${category.description} • ` : ''}
+          {owner ? t(owner.kind === 'department' ? 'categories.routedToDepartment' : 'categories.routedTo', {name: owner.name}) : t('categories.notRouted')}
+          {sla ? ` • ⏰ ${[sla.acknowledgeDays && tn('categories.acknowledgeIn', sla.acknowledgeDays), sla.resolveDays && tn('categories.resolveIn', sla.resolveDays)].filter(Boolean).join(', ')}` : ` • ${t('categories.noDeadlines')}`}
+          {` • ${tn('categories.reports', reportCount)}`}
+        </div>
+      </div>
+      <div style={{display:'flex',gap:8}}>
+        <button type="button" className="btn secondary" onClick={()=>setMode('edit')}>{t('categories.edit')}</button>
+        <button type="button" className="btn secondary" onClick={()=>setMode('remove')} disabled={!canRemove} title={canRemove ? undefined : t('categories.lastOne')}>{t('categories.remove')}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import { t } from "../i18n/index.js";
+
+// Moderator controls on a single comment: hide, restore/approve, or edit
+// with a reason.
+export default function CommentModeration({ issueId, comment, onModerate, onEditComment }) {
+  const [mode, setMode] = useState(null); // null, "hide" or "edit"
+  const [reason, setReason] = useState("");
+  const [text, setText] = useState(comment.text);
+  const [base, setBase] = useState(null); // The text the edit started from
+
+  const startEdit = () => {
+    setText(comment.text);
+    setBase(comment.text);
+    setMode("edit");
+  };
+
+  const close = () => {
+    setMode(null);
+    setReason("");
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+    if (mode === "hide") {
+      onModerate(issueId, { action: "hide", reason: reason.trim(), commentId: comment.id });
+    } else {
+      onEditComment(issueId, comment.id, { text: text.trim(), reason: reason.trim(), expected: { text: base } });
+    }
+    close();
+  };
+
+  if (mode) {
+    return (
+      <form onSubmit={submit} style={{display:'grid',gap:6,marginTop:6}}>
+        {mode === 'edit' && <textarea value={text} onChange={(e)=>setText(e.target.value)} rows={2} aria-label={t('commentModeration.text')} />}
+        <input type="text" value={reason} onChange={(e)=>setReason(e.target.value)} placeholder={mode === 'hide' ? t('commentModeration.hideReason') : t('commentModeration.editReason')} aria-label={t('commentModeration.reason')} required />
+        <div style={{display:'flex',gap:6}}>
+          <button className="btn" type="submit" disabled={!reason.trim()}>{mode === 'hide' ? t('commentModeration.hide') : t('commentModeration.save')}</button>
+          <button type="button" className="btn secondary" onClick={close}>{t('commentModeration.cancel')}</button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <span style={{display:'inline-flex',gap:8}}>
+      {comment.hidden || comment.held ? (
+        <button type="button" className="link-button" onClick={()=>onModerate(issueId, { action: 'restore', commentId: comment.id })}>
+          {comment.held ? t('commentModeration.approve') : t('commentModeration.restore')}
+        </button>
+      ) : (
+        <button type="button" className="link-button" onClick={()=>setMode('hide')}>{t('commentModeration.hide')}</button>
+      )}
+      <button type="button" className="link-button" onClick={startEdit}>{t('commentModeration.edit')}</button>
+    </span>
+  );
+}
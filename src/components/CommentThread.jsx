@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+import { MAX_THREAD_DEPTH, REACTIONS, reactionCounts } from "../domain/comments.js";
+import { formatDateTime } from "../utils/format.js";
+import { formatNumber, t, tn, translateValue } from "../i18n/index.js";
+import AttachmentList from "./AttachmentList.jsx";
+import CommentModeration from "./CommentModeration.jsx";
+import FlagButton from "./FlagButton.jsx";
+import Markdown from "./Markdown.jsx";
+
+// One level of a report's discussion (see domain/comments.commentThreads):
+// each comment with its reactions, reply/edit/delete controls, flag and
+// moderator tools, followed by its replies indented beneath it.
+export default function CommentThread({ nodes, depth = 0, ...props }) {
+  return nodes.map(({ comment, replies }) => (
+    <div key={comment.id}>
+      <CommentItem comment={comment} {...props} />
+      {replies.length > 0 && (
+        <div style={{marginInlineStart: depth < MAX_THREAD_DEPTH ? 16 : 0}}>
+          <CommentThread nodes={replies} depth={depth + 1} {...props} />
+        </div>
+      )}
+    </div>
+  ));
+}
+
+function CommentItem({
+  comment: c, issue, edits, currentUser, canReply, canFlag, isModerator, canMarkOfficial,
+  onReply, onEdit, onDelete, onReact, onMarkOfficial, onFlag, onModerate, onEditComment, loadFile, setModalMessage,
+}) {
+  const [mode, setMode] = useState(null); // null, "reply", "edit" or "delete"
+  const [draft, setDraft] = useState("");
+  const [base, setBase] = useState(""); // The text an edit started from
+  const [picking, setPicking] = useState(false);
+
+  const isOwn = Boolean(currentUser) && c.authorId === currentUser.id;
+  const author = c.authorName || translateValue('role', c.role);
+  const isOfficial = issue.officialResponseId === c.id;
+  const counts = reactionCounts(c, currentUser);
+  const unused = REACTIONS.filter((emoji) => !counts.some((r) => r.emoji === emoji));
+
+  const open = (next) => {
+    setMode(next);
+    setDraft(next === 'edit' ? c.text : '');
+    setBase(c.text);
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    if (mode === 'reply') onReply(issue.id, draft.trim(), c.id);
+    else onEdit(issue.id, c.id, { text: draft.trim(), expected: { text: base } });
+    setMode(null);
+  };
+
+  const react = (emoji, reacted) => {
+    setPicking(false);
+    onReact(issue.id, c.id, emoji, reacted);
+  };
+
+  return (
+    <div style={{padding:8,borderRadius:8,background:isOfficial ? '#ecfdf5' : '#fafafa',marginTop:8, borderInlineStart: `3px solid ${c.role === 'Citizen' ? '#1d4ed8' : '#059669'}`}}>
+      <div style={{fontSize:12,color:'#374151'}}>
+        <strong>{author}</strong>{c.authorName && <span className="meta"> ({translateValue('role', c.role)})</span>} <span className="meta">• {formatDateTime(c.at)}</span>
+        {isOfficial && <span className="meta" style={{color:'#047857',fontWeight:700}}> • 🏛 {t('comment.official')}</span>}
+        {c.editedAt && <span className="meta" title={t('comment.editedAt', {date: formatDateTime(c.editedAt)})}> • {t('comment.edited')}</span>}
+        {c.mergedFrom && <span className="meta"> • {t('comment.merged')}</span>}
+        {c.held && <span className="meta"> • ⏳ {t('comment.held', {reason: c.held})}</span>}
+        {c.hidden && <span className="meta"> • 🚫 {t('comment.hidden')}</span>}
+        {edits.some(entry => entry.commentId === c.id) && <span className="meta"> • {t('comment.moderatorEdited')}</span>}
+      </div>
+
+      {c.deleted ? (
+        <div className="meta" style={{marginTop:6,fontStyle:'italic'}}>{t('comment.deleted')}</div>
+      ) : mode === 'edit' ? null : (
+        <div style={{marginTop:6}}><Markdown text={c.text} /></div>
+      )}
+      {c.attachments && c.attachments.length > 0 && (
+        <div style={{marginTop:6}}><AttachmentList attachments={c.attachments} loadFile={loadFile} setModalMessage={setModalMessage} /></div>
+      )}
+
+      {!c.deleted && (
+        <div style={{display:'flex',gap:6,flexWrap:'wrap',alignItems:'center',marginTop:6}}>
+          {counts.map(r => (
+            <button
+              key={r.emoji}
+              type="button"
+              className={r.reacted ? 'reaction mine' : 'reaction'}
+              onClick={()=>react(r.emoji, !r.reacted)}
+              disabled={!currentUser}
+              title={r.reacted ? t('comment.unreact') : t('comment.react')}
+              aria-pressed={r.reacted}
+              aria-label={`${r.emoji} ${tn('comment.reactions', r.count)}`}
+            >
+              {r.emoji} {formatNumber(r.count)}
+            </button>
+          ))}
+          {currentUser && unused.length > 0 && (
+            picking
+              ? unused.map(emoji => (
+                <button key={emoji} type="button" className="reaction" onClick={()=>react(emoji, true)}>{emoji}</button>
+              ))
+              : <button type="button" className="reaction" onClick={()=>setPicking(true)} title={t('comment.addReaction')} aria-label={t('comment.addReaction')}>☺ +</button>
+          )}
+          {canReply && <button type="button" className="link-button" onClick={()=>open('reply')}>{t('comment.reply')}</button>}
+          {isOwn && <button type="button" className="link-button" onClick={()=>open('edit')}>{t('comment.edit')}</button>}
+          {isOwn && <button type="button" className="link-button" onClick={()=>open('delete')}>{t('comment.delete')}</button>}
+          {canMarkOfficial && c.role === 'Politician' && !c.hidden && !c.held && (
+            <button type="button" className="link-button" onClick={()=>onMarkOfficial(issue.id, isOfficial ? null : c.id)}>
+              {isOfficial ? t('comment.unpinOfficial') : t('comment.markOfficial')}
+            </button>
+          )}
+        </div>
+      )}
+
+      <div style={{marginTop:4}}>
+        {canFlag && !c.deleted && !isOwn && (
+          <FlagButton entity={c} currentUser={currentUser} onFlag={(flag)=>onFlag(issue.id, { ...flag, commentId: c.id })} />
+        )}
+        {isModerator && !c.deleted && <CommentModeration issueId={issue.id} comment={c} onModerate={onModerate} onEditComment={onEditComment} />}
+      </div>
+
+      {mode === 'delete' && (
+        <div style={{display:'flex',gap:8,alignItems:'center',marginTop:8}}>
+          <span className="small">{t('comment.confirmDelete')}</span>
+          <button type="button" className="btn" onClick={()=>{ onDelete(issue.id, c.id); setMode(null); }}>{t('comment.delete')}</button>
+          <button type="button" className="btn secondary" onClick={()=>setMode(null)}>{t('comment.cancel')}</button>
+        </div>
+      )}
+      {(mode === 'reply' || mode === 'edit') && (
+        <form onSubmit={submit} style={{marginTop:8}}>
+          <textarea
+            value={draft}
+            onChange={(e)=>setDraft(e.target.value)}
+            placeholder={mode === 'reply' ? t('comment.replyPlaceholder', {author}) : t('comment.editLabel')}
+            aria-label={mode === 'reply' ? t('comment.replyTo', {author}) : t('comment.editLabel')}
+            rows={2}
+          />
+          <div style={{display:'flex',gap:8,marginTop:6}}>
+            <button className="btn" type="submit" disabled={!draft.trim()}>{mode === 'reply' ? t('comment.reply') : t('comment.save')}</button>
+            <button type="button" className="btn secondary" onClick={()=>setMode(null)}>{t('comment.cancel')}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
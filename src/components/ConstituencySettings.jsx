@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { t, tn } from "../i18n/index.js";
+
+// Admin list of constituencies: add, rename or describe, and remove them.
+// Who serves each one is set per account in the User Accounts card.
+export default function ConstituencySettings({ constituencies, issues, onCreate, onUpdate, onDelete }) {
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+
+  const add = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onCreate({ name: name.trim(), description: description.trim() });
+    setName("");
+    setDescription("");
+  };
+
+  return (
+    <div>
+      <form onSubmit={add} style={{display:'grid',gap:8}}>
+        <input type="text" value={name} onChange={(e)=>setName(e.target.value)} placeholder={t('constituencies.namePlaceholder')} aria-label={t('constituencies.name')} />
+        <input type="text" value={description} onChange={(e)=>setDescription(e.target.value)} placeholder={t('constituencies.descriptionPlaceholder')} aria-label={t('constituencies.description')} />
+        <div><button className="btn" type="submit" disabled={!name.trim()}>{t('constituencies.add')}</button></div>
+      </form>
+
+      <div className="issue-list">
+        {constituencies.map(c => (
+          <ConstituencyRow
+            key={c.id}
+            constituency={c}
+            reportCount={issues.filter(it => it.type === 'issue' && it.constituencyId === c.id).length}
+            onUpdate={onUpdate}
+            onDelete={onDelete}
+          />
+        ))}
+        {constituencies.length === 0 && (
+          <div className="small center" style={{padding:10}}>{t('constituencies.empty')}</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ConstituencyRow({ constituency, reportCount, onUpdate, onDelete }) {
+  const [mode, setMode] = useState(null); // null, "edit" or "remove"
+  const [name, setName] = useState(constituency.name);
+  const [description, setDescription] = useState(constituency.description);
+
+  const save = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onUpdate(constituency.id, { name: name.trim(), description: description.trim() });
+    setMode(null);
+  };
+
+  if (mode === 'remove') {
+    return (
+      <div className="issue-row" style={{cursor:'default'}}>
+        <div className="small">
+          {t('constituencies.confirmRemove', {name: constituency.name})}
+          {reportCount > 0 && ` ${tn('constituencies.unassigned', reportCount)}`}
+          {' '}{t('constituencies.accountsLose')}
+        </div>
+        <div style={{display:'flex',gap:8,marginTop:8}}>
+          <button type="button" className="btn" onClick={()=>onDelete(constituency.id)}>{t('constituencies.remove')}</button>
+          <button type="button" className="btn secondary" onClick={()=>setMode(null)}>{t('constituencies.cancel')}</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (mode === 'edit') {
+    return (
+      <form className="issue-row" onSubmit={save} style={{display:'grid',gap:8,cursor:'default'}}>
+        <input type="text" value={name} onChange={(e)=>setName(e.target.value)} placeholder={t('constituencies.name')} aria-label={t('constituencies.name')} />
+        <input type="text" value={description} onChange={(e)=>setDescription(e.target.value)} placeholder={t('constituencies.descriptionPlaceholder')} aria-label={t('constituencies.description')} />
+        <div style={{display:'flex',gap:8}}>
+          <button className="btn" type="submit" disabled={!name.trim()}>{t('constituencies.save')}</button>
+          <button type="button" className="btn secondary" onClick={()=>setMode(null)}>{t('constituencies.cancel')}</button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="issue-row" style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:8,cursor:'default'}}>
+      <div>
+        <div className="title-issue">{constituency.name}</div>
+        <div className="small">{constituency.description ? `${constituency.description} • ` : ''}{tn('constituencies.reports', reportCount)}</div>
+      </div>
+      <div style={{display:'flex',gap:8}}>
+        <button type="button" className="btn secondary" onClick={()=>setMode('edit')}>{t('constituencies.edit')}</button>
+        <button type="button" className="btn secondary" onClick={()=>setMode('remove')}>{t('constituencies.remove')}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { prepareImport, readImportFile } from "../domain/transfer.js";
+import { formatNumber, t, tn, translateMessage, translateValue } from "../i18n/index.js";
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+// An earlier row of the same file is "row <line>"; anything else is a saved report
+function duplicateLabel(duplicateOf) {
+  return duplicateOf.startsWith("row ")
+    ? t("transfer.duplicateOfRow", { line: duplicateOf.slice(4) })
+    : t("transfer.duplicateOfExisting");
+}
+
+// Admin export of the filtered reports and bulk import with a per-row preview.
+// Rows with errors are never imported; duplicates (same title on the same
+// day) are skipped unless the Admin chooses to keep them.
+export default function DataTransfer({ matching, issues, onExport, onImport, canImport, setModalMessage }) {
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState(null);
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const reportCount = matching.filter((it) => it.type === "issue").length;
+
+  const pickFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.size > MAX_FILE_BYTES) {
+      setModalMessage(t('app.error', {message: t('transfer.tooLarge', {name: file.name})}));
+      return;
+    }
+    setResult(null);
+    file.text()
+      .then((text) => {
+        setRows(prepareImport(readImportFile(text, file.name), issues));
+        setFileName(file.name);
+      })
+      .catch((err) => setModalMessage(t('app.error', {message: translateMessage(err.message)})));
+  };
+
+  const accepted = rows ? rows.filter((r) => r.errors.length === 0 && (includeDuplicates || !r.duplicateOf)) : [];
+  const invalid = rows ? rows.filter((r) => r.errors.length > 0).length : 0;
+  const duplicates = rows ? rows.filter((r) => r.errors.length === 0 && r.duplicateOf).length : 0;
+
+  const runImport = () => {
+    setBusy(true);
+    onImport(accepted).then((outcome) => {
+      setBusy(false);
+      setResult(outcome);
+      setRows(null);
+    });
+  };
+
+  return (
+    <div>
+      <div className="filters" style={{marginTop:0}}>
+        <button type="button" className="btn" onClick={()=>onExport(matching, 'csv')} disabled={reportCount === 0}>{t('transfer.exportCsv', {count: formatNumber(reportCount)})}</button>
+        <button type="button" className="btn secondary" onClick={()=>onExport(matching, 'json')} disabled={reportCount === 0}>{t('transfer.exportJson')}</button>
+      </div>
+
+      {canImport && (
+        <div style={{marginTop:14}}>
+          <label>{t('transfer.import')}</label>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={pickFile} aria-label={t('transfer.file')} />
+          <div className="small" style={{marginTop:4}}>{t('transfer.columns')}</div>
+
+          {result && (
+            <div className="small" style={{marginTop:8}}>
+              {tn('transfer.imported', result.created)}
+              {result.failed.map(f => <div key={f.line} style={{color:'#b91c1c'}}>{t('transfer.rowError', {line: f.line, error: f.error})}</div>)}
+            </div>
+          )}
+
+          {rows && (
+            <div style={{marginTop:10}}>
+              <div className="small">
+                <strong>{fileName}</strong>: {tn('transfer.rows', rows.length)} • {tn('transfer.invalid', invalid)} • {tn('transfer.duplicates', duplicates)}
+              </div>
+              <div className="issue-list" style={{maxHeight:260}}>
+                <table className="metrics-table">
+                  <thead>
+                    <tr><th>{t('transfer.row')}</th><th>{t('transfer.title')}</th><th>{t('transfer.date')}</th><th>{t('transfer.status')}</th><th>{t('transfer.check')}</th></tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(r => (
+                      <tr key={r.line}>
+                        <td>{r.line}</td>
+                        <td>{r.fields.title || '—'}</td>
+                        <td>{r.fields.createdAt.slice(0, 10)}</td>
+                        <td>{translateValue('status', r.fields.imported.status)}</td>
+                        <td style={{color: r.errors.length ? '#b91c1c' : r.duplicateOf ? '#a16207' : '#15803d'}}>
+                          {r.errors.length ? r.errors.map(translateMessage).join('; ') : r.duplicateOf ? duplicateLabel(r.duplicateOf) : t('transfer.ok')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {duplicates > 0 && (
+                <label className="small" style={{display:'flex',gap:6,alignItems:'center',fontWeight:400,marginTop:8}}>
+                  <input type="checkbox" checked={includeDuplicates} onChange={(e)=>setIncludeDuplicates(e.target.checked)} /> {t('transfer.includeDuplicates')}
+                </label>
+              )}
+              <div style={{display:'flex',gap:8,marginTop:8}}>
+                <button type="button" className="btn" onClick={runImport} disabled={busy || accepted.length === 0}>
+                  {busy ? t('transfer.importing') : tn('transfer.importCount', accepted.length)}
+                </button>
+                <button type="button" className="btn secondary" onClick={()=>setRows(null)} disabled={busy}>{t('transfer.cancel')}</button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React, { useEffect, useId, useRef } from "react";
+import { focusableWithin, trapFocus } from "../utils/a11y.js";
+
+// Modal dialog shell shared by the app's pop-ups. Focus moves into the dialog
+// when it opens and returns to where it was when it closes; Tab stays inside,
+// and Escape or a click outside closes it. `role` is "alertdialog" for
+// messages that must be acknowledged. `message`, when given, is the text
+// screen readers read out with the title.
+export default function Dialog({ title, titleStyle, message, role = "dialog", onClose, style, children }) {
+  const ref = useRef(null);
+  const titleId = useId();
+  const messageId = useId();
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    const [first] = focusableWithin(ref.current);
+    (first || ref.current).focus();
+    return () => {
+      if (previous && previous.isConnected) previous.focus();
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      onClose();
+    } else {
+      trapFocus(e, ref.current);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        ref={ref}
+        className="modal-content"
+        role={role}
+        aria-modal="true"
+        aria-labelledby={titleId}
+        aria-describedby={message ? messageId : undefined}
+        tabIndex={-1}
+        style={style}
+        onKeyDown={handleKeyDown}
+        onClick={e => e.stopPropagation()}
+      >
+        <h2 id={titleId} style={{marginTop:0, fontSize:'1em', ...titleStyle}}>{title}</h2>
+        {message && <p id={messageId}>{message}</p>}
+        {children}
+      </div>
+    </div>
+  );
+}
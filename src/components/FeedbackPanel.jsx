@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { RATINGS, feedbackDue } from "../domain/feedback.js";
+import { formatDateTime } from "../utils/format.js";
+import { formatNumber, t } from "../i18n/index.js";
+
+// The reporter's say on a resolution: while their report is Resolved and not
+// yet rated, a prompt to rate it and confirm the fix or dispute it (which
+// reopens the report). Ratings already given are listed for everyone.
+export default function FeedbackPanel({ issue, currentUser, onFeedback }) {
+  const [rating, setRating] = useState(0);
+  const [verdict, setVerdict] = useState("confirmed");
+  const [note, setNote] = useState("");
+
+  const due = feedbackDue(issue, currentUser);
+  const given = issue.feedback || [];
+  if (!due && given.length === 0) return null;
+
+  const ready = rating > 0 && (verdict === 'confirmed' || note.trim());
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!ready) return;
+    onFeedback(issue.id, { rating, verdict, note: note.trim() });
+  };
+
+  return (
+    <div style={{marginTop:12}}>
+      {given.map(f => (
+        <div key={f.id} className="small">
+          {f.verdict === 'disputed' ? '⚠️' : '✅'} {f.resolvedByName
+            ? t(f.verdict === 'disputed' ? 'feedback.disputedBy' : 'feedback.confirmedBy', {name: f.resolvedByName})
+            : t(f.verdict === 'disputed' ? 'feedback.disputed' : 'feedback.confirmed')}
+          {' • '}<span title={t('feedback.stars', {rating: formatNumber(f.rating)})}>{'★'.repeat(f.rating)}{'☆'.repeat(5 - f.rating)}</span> • {formatDateTime(f.at)}
+          {f.note && <div dir="auto" style={{marginInlineStart:20}}>“{f.note}”</div>}
+        </div>
+      ))}
+
+      {due && (
+        <form onSubmit={submit} className="moderation-note" style={{display:'grid',gap:8}}>
+          <strong>{t('feedback.prompt')}</strong>
+          <fieldset className="rating" style={{border:'none',padding:0,margin:0,display:'flex',gap:4}}>
+            <legend className="small" style={{padding:0}}>{t('feedback.rate')}</legend>
+            {RATINGS.map(r => (
+              <label key={r} title={t('feedback.stars', {rating: formatNumber(r)})} style={{margin:0,cursor:'pointer',fontSize:20}}>
+                <input type="radio" name={`rating-${issue.id}`} value={r} checked={rating === r} onChange={()=>setRating(r)} className="sr-only" />
+                <span aria-hidden="true">{r <= rating ? '★' : '☆'}</span>
+                <span className="sr-only">{t('feedback.stars', {rating: formatNumber(r)})}</span>
+              </label>
+            ))}
+          </fieldset>
+          <div style={{display:'flex',gap:12,flexWrap:'wrap'}}>
+            <label style={{margin:0}}>
+              <input type="radio" name={`verdict-${issue.id}`} checked={verdict === 'confirmed'} onChange={()=>setVerdict('confirmed')} /> {t('feedback.yes')}
+            </label>
+            <label style={{margin:0}}>
+              <input type="radio" name={`verdict-${issue.id}`} checked={verdict === 'disputed'} onChange={()=>setVerdict('disputed')} /> {t('feedback.no')}
+            </label>
+          </div>
+          <textarea
+            value={note}
+            onChange={(e)=>setNote(e.target.value)}
+            placeholder={verdict === 'disputed' ? t('feedback.whatIsWrong') : t('feedback.comments')}
+            aria-label={t('feedback.note')}
+            required={verdict === 'disputed'}
+            rows={2}
+          />
+          <div>
+            <button className="btn" type="submit" disabled={!ready}>{verdict === 'disputed' ? t('feedback.dispute') : t('feedback.send')}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
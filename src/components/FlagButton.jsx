@@ -0,0 +1,39 @@
+import React, { useState } from "react";
+import { FLAG_REASONS, hasFlagged } from "../domain/moderation.js";
+import { t, translateValue } from "../i18n/index.js";
+
+// Lets a citizen flag a report, broadcast or comment for moderator review.
+// `entity` is the flagged item or comment; onFlag receives { reason, note }.
+export default function FlagButton({ entity, currentUser, onFlag }) {
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState("abusive");
+  const [note, setNote] = useState("");
+
+  if (hasFlagged(entity, currentUser)) return <span className="meta">{t('flag.flagged')}</span>;
+
+  if (!open) {
+    return (
+      <button type="button" className="link-button" onClick={()=>setOpen(true)} title={t('flag.title')}>
+        {t('flag.open')}
+      </button>
+    );
+  }
+
+  const submit = (e) => {
+    e.preventDefault();
+    onFlag({ reason, note: note.trim() });
+    setOpen(false);
+    setNote("");
+  };
+
+  return (
+    <form onSubmit={submit} className="filters" style={{marginTop:6}}>
+      <select value={reason} onChange={(e)=>setReason(e.target.value)} aria-label={t('flag.reason')}>
+        {Object.keys(FLAG_REASONS).map(value => <option key={value} value={value}>{translateValue('flagReason', value)}</option>)}
+      </select>
+      <input type="text" value={note} onChange={(e)=>setNote(e.target.value)} placeholder={t('flag.detailsPlaceholder')} aria-label={t('flag.details')} style={{flex:1,minWidth:120}} />
+      <button className="btn" type="submit">{t('flag.submit')}</button>
+      <button type="button" className="btn secondary" onClick={()=>setOpen(false)}>{t('flag.cancel')}</button>
+    </form>
+  );
+}
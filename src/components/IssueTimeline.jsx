@@ -0,0 +1,32 @@
+import React from "react";
+import { t, translateValue } from "../i18n/index.js";
+import { formatDateTime } from "../utils/format.js";
+
+// Audit trail of a report: when it was filed, every status change since, and
+// any duplicates merged into it.
+export default function IssueTimeline({ issue, issues }) {
+  const titleOf = (id) => {
+    const original = issues.find((it) => it.id === id);
+    return original ? original.title : `#${id}`;
+  };
+
+  return (
+    <ol className="timeline">
+      <li>
+        <div><strong>{t('timeline.reported')}</strong> {t('timeline.asStatus', { status: translateValue('status', 'Open') })}</div>
+        <div className="meta">{issue.reporterName || translateValue('role', issue.reporterRole)} • {formatDateTime(issue.createdAt)}</div>
+      </li>
+      {issue.history.map(h => (
+        <li key={h.id}>
+          {h.type === 'merge' ? (
+            <div><strong>{t('timeline.merged')}</strong> {t('timeline.mergedDuplicate', { title: titleOf(h.mergedFrom) })}</div>
+          ) : (
+            <div><strong>{translateValue('status', h.from)} → {translateValue('status', h.to)}</strong>{h.duplicateOf && <> {t('timeline.duplicateOf', { title: titleOf(h.duplicateOf) })}</>}</div>
+          )}
+          <div className="meta">{h.byName} ({translateValue('role', h.byRole)}) • {formatDateTime(h.at)}</div>
+          {h.note && <div className="small" style={{marginTop:2,whiteSpace:'pre-wrap'}}>{h.note}</div>}
+        </li>
+      ))}
+    </ol>
+  );
+}
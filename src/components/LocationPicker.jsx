@@ -0,0 +1,79 @@
+import React, { useId, useState } from "react";
+import MapView from "./MapView.jsx";
+import { t } from "../i18n/index.js";
+
+// Optional report location: a typed address plus coordinates taken from the
+// browser's geolocation or a click on the map. `value` is
+// { address, lat, lng } or null; coordinates stay null until one is chosen.
+export default function LocationPicker({ value, onChange, setModalMessage }) {
+  const [showMap, setShowMap] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const id = useId();
+
+  const location = value || { address: "", lat: null, lng: null };
+  const hasCoordinates = location.lat != null && location.lng != null;
+
+  const update = (patch) => {
+    const next = { ...location, ...patch };
+    onChange(!next.address.trim() && next.lat == null ? null : next);
+  };
+
+  const useMyLocation = () => {
+    if (!navigator.geolocation) {
+      setModalMessage(t("location.unsupported"));
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setLocating(false);
+        update({ lat: pos.coords.latitude, lng: pos.coords.longitude });
+      },
+      (err) => {
+        setLocating(false);
+        setModalMessage(t("location.failed", { message: err.message }));
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  return (
+    <div>
+      <label htmlFor={id} style={{marginBottom:6}}>{t('location.label')}</label>
+      <input
+        id={id}
+        value={location.address}
+        onChange={(e)=>update({ address: e.target.value })}
+        placeholder={t('location.placeholder')}
+        type="text"
+      />
+      <div style={{display:'flex',gap:8,marginTop:8,flexWrap:'wrap',alignItems:'center'}}>
+        <button type="button" className="btn secondary" onClick={useMyLocation} disabled={locating}>
+          {locating ? t('location.locating') : t('location.useMine')}
+        </button>
+        <button type="button" className="btn secondary" onClick={()=>setShowMap(!showMap)}>
+          {showMap ? t('location.hideMap') : t('location.pickOnMap')}
+        </button>
+        {hasCoordinates && (
+          <>
+            <span className="small">{location.lat.toFixed(5)}, {location.lng.toFixed(5)}</span>
+            <button type="button" className="btn secondary" onClick={()=>update({ lat: null, lng: null })}>{t('location.clearPin')}</button>
+          </>
+        )}
+      </div>
+      {showMap && (
+        <div style={{marginTop:8}}>
+          <div className="small" style={{marginBottom:4}}>{t('location.mapHint')}</div>
+          <MapView
+            mode="pick"
+            height={240}
+            center={hasCoordinates ? location : undefined}
+            zoom={hasCoordinates ? 16 : undefined}
+            markers={hasCoordinates ? [{ id: 'pin', lat: location.lat, lng: location.lng, color: '#1d4ed8', title: t('location.pin') }] : []}
+            onPick={(latlng)=>update(latlng)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
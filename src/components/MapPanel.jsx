@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+import MapView from "./MapView.jsx";
+import { OPEN_STATUSES } from "../domain/lifecycle.js";
+import { t, tn, translateValue } from "../i18n/index.js";
+import { formatBounds, isValidLocation, parseBounds } from "../utils/geo.js";
+import { statusColors, statusSymbol } from "../utils/statusColors.js";
+
+// Map of open reports from the current list query, with the area and ward
+// filters that feed back into that query.
+export default function MapPanel({ issues, wards, query, onQueryChange, onSelect }) {
+  const [drawing, setDrawing] = useState(false);
+
+  const markers = issues
+    .filter((it) => it.type === "issue" && OPEN_STATUSES.includes(it.status) && isValidLocation(it.location))
+    .map((it) => ({
+      id: it.id,
+      lat: it.location.lat,
+      lng: it.location.lng,
+      color: statusColors(it.status)[1],
+      symbol: statusSymbol(it.status),
+      title: `${it.title} (${translateValue('status', it.status)})`,
+    }));
+
+  const shapes = wards.map((w) => ({
+    id: w.properties.name,
+    geometry: w.geometry,
+    active: w.properties.name === query.ward,
+  }));
+
+  return (
+    <div>
+      <div className="filters" style={{marginTop:0,marginBottom:8}}>
+        <button type="button" className="btn secondary" onClick={()=>setDrawing(!drawing)}>
+          {drawing ? t('map.cancelDrawing') : t('map.drawArea')}
+        </button>
+        {query.area && (
+          <button type="button" className="btn secondary" onClick={()=>onQueryChange({ area: '' })}>{t('map.clearArea')}</button>
+        )}
+        {wards.length > 0 && (
+          <select value={query.ward} onChange={(e)=>onQueryChange({ ward: e.target.value })} aria-label={t('map.ward')}>
+            <option value="">{t('map.allWards')}</option>
+            {wards.map(w => <option key={w.properties.name}>{w.properties.name}</option>)}
+          </select>
+        )}
+        <span className="small">{tn('map.count', markers.length)}</span>
+      </div>
+      <MapView
+        mode={drawing ? 'draw' : 'browse'}
+        markers={markers}
+        shapes={shapes}
+        area={parseBounds(query.area)}
+        onMarkerClick={onSelect}
+        onArea={(bounds) => { setDrawing(false); onQueryChange({ area: formatBounds(bounds) }); }}
+      />
+      {drawing && <div className="small" style={{marginTop:4}}>{t('map.drawHint')}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MAP_CONFIG } from "../config/map.js";
+import { t } from "../i18n/index.js";
+import { TILE_SIZE, boundsFromPoints, project, unproject } from "../utils/geo.js";
+
+const SUBDOMAINS = ["a", "b", "c"];
+const KEY_PAN_PX = 64; // How far one arrow key press pans
+const PAN_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+function tileUrl(z, x, y) {
+  return MAP_CONFIG.tileUrl
+    .replace("{s}", SUBDOMAINS[(x + y) % SUBDOMAINS.length])
+    .replace("{z}", z)
+    .replace("{x}", x)
+    .replace("{y}", y);
+}
+
+// Minimal slippy map: raster tiles from MAP_CONFIG.tileUrl, drag to pan,
+// +/- to zoom, colored markers and GeoJSON polygon overlays. With keyboard
+// focus on the map, the arrow keys pan and +/- zoom.
+//
+// mode "browse" pans on drag; "pick" also reports clicks through onPick(latlng);
+// "draw" turns a drag into a rectangle reported through onArea(bounds).
+export default function MapView({
+  markers = [], shapes = [], area = null, mode = "browse",
+  onMarkerClick, onPick, onArea, center, zoom, height = 320,
+}) {
+  const containerRef = useRef(null);
+  const gesture = useRef(null);
+  const [width, setWidth] = useState(0);
+  const [view, setView] = useState({ center: center || MAP_CONFIG.center, zoom: zoom || MAP_CONFIG.zoom });
+  const [draft, setDraft] = useState(null); // Rectangle being drawn
+
+  useEffect(() => {
+    const el = containerRef.current;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const centerPx = project(view.center, view.zoom);
+  const origin = { x: centerPx.x - width / 2, y: centerPx.y - height / 2 };
+  const toScreen = (loc) => {
+    const p = project(loc, view.zoom);
+    return { x: p.x - origin.x, y: p.y - origin.y };
+  };
+  const toLatLng = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return unproject({ x: origin.x + e.clientX - rect.left, y: origin.y + e.clientY - rect.top }, view.zoom);
+  };
+
+  const zoomBy = (delta) => {
+    setView((prev) => ({
+      ...prev,
+      zoom: Math.min(MAP_CONFIG.maxZoom, Math.max(MAP_CONFIG.minZoom, prev.zoom + delta)),
+    }));
+  };
+
+  // --- Pointer Gestures ---
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    gesture.current = { x: e.clientX, y: e.clientY, centerPx, start: toLatLng(e), moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const g = gesture.current;
+    if (!g) return;
+    const dx = e.clientX - g.x;
+    const dy = e.clientY - g.y;
+    if (Math.abs(dx) + Math.abs(dy) > 3) g.moved = true;
+    if (!g.moved) return;
+    if (mode === "draw") {
+      setDraft(boundsFromPoints(g.start, toLatLng(e)));
+    } else {
+      setView((prev) => ({ ...prev, center: unproject({ x: g.centerPx.x - dx, y: g.centerPx.y - dy }, prev.zoom) }));
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    const g = gesture.current;
+    gesture.current = null;
+    if (!g) return;
+    if (mode === "draw" && g.moved) {
+      setDraft(null);
+      if (onArea) onArea(boundsFromPoints(g.start, toLatLng(e)));
+    } else if (mode === "pick" && !g.moved && onPick) {
+      onPick(toLatLng(e));
+    }
+  };
+
+  // --- Keyboard ---
+
+  const handleKeyDown = (e) => {
+    if (e.target !== e.currentTarget) return; // Markers and zoom buttons handle their own keys
+    if (e.key === "+" || e.key === "=") zoomBy(1);
+    else if (e.key === "-") zoomBy(-1);
+    else if (PAN_KEYS[e.key]) {
+      const [dx, dy] = PAN_KEYS[e.key];
+      setView((prev) => {
+        const c = project(prev.center, prev.zoom);
+        return { ...prev, center: unproject({ x: c.x + dx * KEY_PAN_PX, y: c.y + dy * KEY_PAN_PX }, prev.zoom) };
+      });
+    } else return;
+    e.preventDefault();
+  };
+
+  // --- Rendering ---
+
+  const tiles = [];
+  if (width > 0) {
+    const count = 2 ** view.zoom;
+    for (let ty = Math.floor(origin.y / TILE_SIZE); ty <= Math.floor((origin.y + height) / TILE_SIZE); ty++) {
+      if (ty < 0 || ty >= count) continue;
+      for (let tx = Math.floor(origin.x / TILE_SIZE); tx <= Math.floor((origin.x + width) / TILE_SIZE); tx++) {
+        const wrapped = ((tx % count) + count) % count;
+        tiles.push(
+          <img
+            key={`${view.zoom}/${tx}/${ty}`}
+            src={tileUrl(view.zoom, wrapped, ty)}
+            alt=""
+            draggable={false}
+            className="map-tile"
+            style={{ left: tx * TILE_SIZE - origin.x, top: ty * TILE_SIZE - origin.y }}
+          />
+        );
+      }
+    }
+  }
+
+  const rect = (bounds) => {
+    const a = toScreen({ lat: bounds.north, lng: bounds.west });
+    const b = toScreen({ lat: bounds.south, lng: bounds.east });
+    return { x: a.x, y: a.y, width: b.x - a.x, height: b.y - a.y };
+  };
+
+  const ringPath = (ring) => ring.map(([lng, lat], i) => {
+    const p = toScreen({ lat, lng });
+    return `${i === 0 ? "M" : "L"}${p.x},${p.y}`;
+  }).join(" ") + " Z";
+
+  const shapePath = (geometry) => {
+    const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+    return polygons.flat().map(ringPath).join(" ");
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={`map-view map-${mode}`}
+      style={{ height }}
+      tabIndex={0}
+      role="application"
+      aria-label={t("map.label")}
+      onKeyDown={handleKeyDown}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onDoubleClick={() => zoomBy(1)}
+    >
+      {tiles}
+
+      <svg className="map-overlay" width={width} height={height}>
+        {shapes.map((shape) => (
+          <path key={shape.id} d={shapePath(shape.geometry)} className={shape.active ? "map-shape active" : "map-shape"} fillRule="evenodd" />
+        ))}
+        {area && <rect {...rect(area)} className="map-area" />}
+        {draft && <rect {...rect(draft)} className="map-area" />}
+      </svg>
+
+      {markers.map((m) => {
+        const p = toScreen(m);
+        return (
+          <button
+            key={m.id}
+            type="button"
+            className="map-marker"
+            title={m.title}
+            aria-label={m.title}
+            style={{ left: p.x, top: p.y, backgroundColor: m.color }}
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={() => onMarkerClick && onMarkerClick(m.id)}
+          >
+            {m.symbol && <span aria-hidden="true">{m.symbol}</span>}
+          </button>
+        );
+      })}
+
+      <div className="map-zoom" onPointerDown={(e) => e.stopPropagation()} onDoubleClick={(e) => e.stopPropagation()}>
+        <button type="button" onClick={() => zoomBy(1)} title={t("map.zoomIn")} aria-label={t("map.zoomIn")}>+</button>
+        <button type="button" onClick={() => zoomBy(-1)} title={t("map.zoomOut")} aria-label={t("map.zoomOut")}>−</button>
+      </div>
+      <div className="map-attribution">{MAP_CONFIG.attribution}</div>
+    </div>
+  );
+}
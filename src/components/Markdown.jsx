@@ -0,0 +1,69 @@
+import React from "react";
+
+// Basic Markdown for user text and UI copy: **bold**, *italic*, `code`,
+// [links](https://...), "- " bullet lists and paragraphs. Builds React
+// elements rather than HTML, so nothing a user types can inject markup.
+// `inline` renders a single run of text without paragraph wrappers.
+
+const INLINE = /\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g;
+const BULLET = /^\s*[-*]\s+/;
+
+function renderInline(text, keyPrefix) {
+  const parts = [];
+  let last = 0;
+  for (const m of text.matchAll(INLINE)) {
+    if (m.index > last) parts.push(text.slice(last, m.index));
+    const key = `${keyPrefix}-${m.index}`;
+    if (m[1]) parts.push(<strong key={key}>{m[1]}</strong>);
+    else if (m[2]) parts.push(<em key={key}>{m[2]}</em>);
+    else if (m[3]) parts.push(<code key={key}>{m[3]}</code>);
+    else parts.push(<a key={key} href={m[5]} target="_blank" rel="noopener noreferrer">{m[4]}</a>);
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) parts.push(text.slice(last));
+  return parts;
+}
+
+function renderLines(lines, keyPrefix) {
+  return lines.flatMap((line, i) => [
+    ...(i > 0 ? [<br key={`${keyPrefix}-br${i}`} />] : []),
+    ...renderInline(line, `${keyPrefix}-${i}`),
+  ]);
+}
+
+// Splits text into paragraphs and bullet lists: blank lines end a block, and
+// a run of bullet lines becomes a list even right after a line of text.
+function toBlocks(source) {
+  const blocks = [];
+  for (const line of source.split("\n")) {
+    const bullet = BULLET.test(line);
+    const last = blocks[blocks.length - 1];
+    if (!line.trim()) {
+      if (last) last.closed = true;
+    } else if (last && !last.closed && last.list === bullet) {
+      last.lines.push(line);
+    } else {
+      blocks.push({ list: bullet, lines: [line], closed: false });
+    }
+  }
+  return blocks;
+}
+
+export default function Markdown({ text, inline = false }) {
+  const source = String(text || "");
+  if (inline) return <>{renderInline(source, "m")}</>;
+
+  return (
+    <div className="markdown">
+      {toBlocks(source).map((block, i) => (
+        block.list ? (
+          <ul key={i}>
+            {block.lines.map((line, j) => <li key={j}>{renderInline(line.replace(BULLET, ""), `b${i}-${j}`)}</li>)}
+          </ul>
+        ) : (
+          <p key={i}>{renderLines(block.lines, `p${i}`)}</p>
+        )
+      ))}
+    </div>
+  );
+}
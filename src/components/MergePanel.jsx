@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import { t, translateValue } from "../i18n/index.js";
+
+// Staff control to fold this (duplicate) report into an original one.
+export default function MergePanel({ issue, issues, onMerge }) {
+  const [open, setOpen] = useState(false);
+  const [into, setInto] = useState("");
+  const [note, setNote] = useState("");
+
+  if (issue.mergedInto) return null;
+  const candidates = issues.filter((it) => it.type === "issue" && it.id !== issue.id && !it.mergedInto);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!into) return;
+    onMerge(issue.id, into, note.trim());
+    setOpen(false);
+    setInto("");
+    setNote("");
+  };
+
+  if (!open) {
+    return (
+      <button type="button" className="btn secondary" onClick={()=>setOpen(true)} style={{marginTop:8}} title={t('merge.title')}>
+        {t('merge.open')}
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} style={{display:'grid',gap:8,marginTop:10,padding:10,borderRadius:8,background:'#f9fafb'}}>
+      <div className="small">{t('merge.intro')}</div>
+      <select value={into} onChange={(e)=>setInto(e.target.value)} aria-label={t('merge.into')}>
+        <option value="">{t('merge.select')}</option>
+        {candidates.map(it => <option key={it.id} value={it.id}>{it.title} ({translateValue('status', it.status)})</option>)}
+      </select>
+      <textarea value={note} onChange={(e)=>setNote(e.target.value)} placeholder={t('merge.notePlaceholder')} aria-label={t('merge.note')} rows={2} />
+      <div style={{display:'flex',gap:8}}>
+        <button className="btn" type="submit" disabled={!into}>{t('merge.submit')}</button>
+        <button type="button" className="btn secondary" onClick={()=>setOpen(false)}>{t('merge.cancel')}</button>
+      </div>
+    </form>
+  );
+}
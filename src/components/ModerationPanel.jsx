@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { t, translateValue } from "../i18n/index.js";
+
+// Moderator controls for one report or broadcast: lock or unlock the
+// discussion, hide or restore it, and edit its text (or move a report to
+// another constituency or category) with a public reason.
+export default function ModerationPanel({ issue, constituencies = [], categories = [], onModerate, onEdit }) {
+  const [mode, setMode] = useState(null); // null, "hide" or "edit"
+  const [reason, setReason] = useState("");
+  const [title, setTitle] = useState(issue.title);
+  const [description, setDescription] = useState(issue.description);
+  const [constituencyId, setConstituencyId] = useState(issue.constituencyId || "");
+  const [category, setCategory] = useState(issue.category);
+  const [base, setBase] = useState(null); // The text the edit started from
+
+  // Start from the latest text, which may have changed since this mounted
+  const startEdit = () => {
+    setTitle(issue.title);
+    setDescription(issue.description);
+    setConstituencyId(issue.constituencyId || "");
+    setCategory(issue.category);
+    setBase({ title: issue.title, description: issue.description });
+    setMode("edit");
+  };
+
+  const close = () => {
+    setMode(null);
+    setReason("");
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+    if (mode === "hide") {
+      onModerate(issue.id, { action: "hide", reason: reason.trim() });
+    } else {
+      const moved = constituencyId !== (issue.constituencyId || "");
+      onEdit(issue.id, {
+        title: title.trim(),
+        description: description.trim(),
+        ...(moved ? { constituencyId: constituencyId || null } : {}),
+        ...(category !== issue.category ? { category } : {}),
+        reason: reason.trim(),
+        expected: base,
+      });
+    }
+    close();
+  };
+
+  const needsRestore = issue.hidden || issue.held;
+
+  return (
+    <div style={{marginTop:8}}>
+      <div style={{display:'flex',gap:8,flexWrap:'wrap'}}>
+        <button type="button" className="btn secondary" onClick={()=>onModerate(issue.id, { action: issue.locked ? 'unlock' : 'lock' })}>
+          {issue.locked ? `🔓 ${t('moderation.unlock')}` : `🔒 ${t('moderation.lock')}`}
+        </button>
+        {needsRestore ? (
+          <button type="button" className="btn secondary" onClick={()=>onModerate(issue.id, { action: 'restore' })}>
+            {issue.held ? t('moderation.approve') : t('moderation.restore')}
+          </button>
+        ) : (
+          <button type="button" className="btn secondary" onClick={()=>setMode('hide')}>{t('moderation.hide')}</button>
+        )}
+        <button type="button" className="btn secondary" onClick={startEdit}>{t('moderation.edit')}</button>
+      </div>
+
+      {mode && (
+        <form onSubmit={submit} style={{display:'grid',gap:8,marginTop:10,padding:10,borderRadius:8,background:'#f9fafb'}}>
+          {mode === 'edit' && (
+            <>
+              <input type="text" value={title} onChange={(e)=>setTitle(e.target.value)} placeholder={t('moderation.title')} aria-label={t('moderation.title')} />
+              <textarea value={description} onChange={(e)=>setDescription(e.target.value)} placeholder={t('moderation.description')} aria-label={t('moderation.description')} rows={3} />
+              {issue.type === 'issue' && constituencies.length > 0 && (
+                <select value={constituencyId} onChange={(e)=>setConstituencyId(e.target.value)} aria-label={t('moderation.constituency')}>
+                  <option value="">{t('moderation.unassigned')}</option>
+                  {constituencies.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                </select>
+              )}
+              {issue.type === 'issue' && categories.length > 0 && (
+                <select value={category} onChange={(e)=>setCategory(e.target.value)} aria-label={t('moderation.category')}>
+                  {!categories.some(c => c.name === issue.category) && <option value={issue.category}>{translateValue('category', issue.category)}</option>}
+                  {categories.map(c => <option key={c.id} value={c.name}>{c.icon} {translateValue('category', c.name)}</option>)}
+                </select>
+              )}
+            </>
+          )}
+          <input
+            type="text"
+            value={reason}
+            onChange={(e)=>setReason(e.target.value)}
+            placeholder={mode === 'hide' ? t('moderation.hideReason') : t('moderation.editReason')}
+            aria-label={t('moderation.reason')}
+            required
+          />
+          <div style={{display:'flex',gap:8}}>
+            <button className="btn" type="submit" disabled={!reason.trim()}>{mode === 'hide' ? t('moderation.hide') : t('moderation.saveEdit')}</button>
+            <button type="button" className="btn secondary" onClick={close}>{t('moderation.cancel')}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+import { moderationQueue } from "../domain/moderation.js";
+import { formatNumber, t, translateValue } from "../i18n/index.js";
+
+// Moderator work list: flagged content and submissions held by the automatic
+// filter, most-flagged first. Content can be approved here or opened to
+// hide, edit or lock it from the detail view.
+export default function ModerationQueue({ issues, onSelect, onModerate }) {
+  const entries = moderationQueue(issues);
+  if (entries.length === 0) return <div className="small center" style={{padding:10}}>{t('queue.empty')}</div>;
+
+  return (
+    <div className="issue-list">
+      {entries.map(({ id, item, comment, flags, counts, held }) => (
+        <div key={id} className="issue-row" style={{cursor:'default'}}>
+          <div className="title-issue">{comment ? t('queue.commentOn', { title: item.title }) : item.title}</div>
+          <div className="small" style={{marginTop:2}}>
+            {(comment ? comment.text : item.description).substring(0, 120)}
+          </div>
+          <div className="small" style={{marginTop:4}}>
+            {held && <span>{t('queue.held', { reason: held })}{flags.length > 0 ? ' • ' : ''}</span>}
+            {Object.entries(counts).map(([reason, n]) => `${translateValue('flagReason', reason)} ×${formatNumber(n)}`).join(', ')}
+          </div>
+          {flags.filter(f => f.note).map(f => (
+            <div key={f.id} className="meta">“{f.note}”</div>
+          ))}
+          <div style={{display:'flex',gap:8,marginTop:6}}>
+            <button type="button" className="btn secondary" onClick={()=>onSelect(item.id)}>{t('queue.open')}</button>
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={()=>onModerate(item.id, { action: 'restore', commentId: comment ? comment.id : null })}
+              title={t('queue.keepTitle')}
+            >
+              {held ? t('queue.approve') : t('queue.keep')}
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { isValidEmail } from "../domain/notifications.js";
+import { formatDateTime } from "../utils/format.js";
+import { formatNumber, t, tn, translateValue } from "../i18n/index.js";
+
+const KIND_ICONS = { report: "📝", status: "🔄", comment: "💬", official: "🏛", broadcast: "📢", retract: "⊘", poll: "🗳", merge: "🔗", assign: "📥", overdue: "⏰", rate: "⭐", feedback: "⭐" };
+const NOTICE_KINDS = ["report", "status", "comment", "official", "broadcast", "retract", "poll", "merge", "rate"];
+
+function noticeKey(kind, params) {
+  if (NOTICE_KINDS.includes(kind)) return `notice.${kind}`;
+  if (kind === "assign") return params.assignee ? "notice.assign" : "notice.unassign";
+  if (kind === "feedback") return params.verdict === "disputed" ? "notice.disputed" : "notice.confirmed";
+  if (kind === "overdue") {
+    const stage = params.stage === "acknowledge" ? "Acknowledge" : "Resolve";
+    return params.level === 2 ? `notice.escalated${stage}` : `notice.overdue${stage}`;
+  }
+  return "notice.updated";
+}
+
+// A notification in the reader's language. Ones stored before notifications
+// carried their params only have the English message.
+function noticeText(n) {
+  const params = n.params;
+  if (!params) return n.message;
+  return t(noticeKey(n.kind, params), {
+    ...params,
+    who: params.who || translateValue("role", params.role),
+    category: translateValue("category", params.category),
+    from: translateValue("status", params.from),
+    to: translateValue("status", params.to),
+    rating: params.rating == null ? "" : formatNumber(params.rating),
+  });
+}
+
+// Header bell with the unread count. Opens a panel listing the user's
+// notifications, the categories they follow and their notification email.
+export default function NotificationBell({ notifications, subscription, categories, onOpen, onMarkRead, onFollowCategory, onEmailChange }) {
+  const [open, setOpen] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [email, setEmail] = useState(subscription ? subscription.email : "");
+
+  const unread = notifications.filter((n) => !n.read).length;
+  const followed = subscription ? subscription.categories : [];
+  const emailChanged = subscription && email.trim() !== subscription.email;
+  const emailOk = email.trim() === "" || isValidEmail(email.trim());
+
+  const openNotification = (n) => {
+    if (!n.read) onMarkRead([n.id]);
+    onOpen(n.itemId);
+    setOpen(false);
+  };
+
+  return (
+    <div className="notification-bell">
+      <button
+        type="button"
+        className="btn secondary"
+        onClick={() => setOpen(!open)}
+        title={t('notifications.title')}
+        aria-label={unread > 0 ? tn('notifications.unread', unread) : t('notifications.title')}
+        aria-expanded={open}
+      >
+        🔔{unread > 0 && <span className="notification-count" aria-hidden="true">{formatNumber(unread)}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:8}}>
+            <strong>{t('notifications.title')}</strong>
+            <div style={{display:'flex',gap:6}}>
+              <button type="button" className="btn secondary" onClick={() => onMarkRead([])} disabled={unread === 0}>{t('notifications.markAllRead')}</button>
+              <button type="button" className="btn secondary" onClick={() => setShowSettings(!showSettings)}>{showSettings ? t('notifications.back') : t('notifications.settings')}</button>
+            </div>
+          </div>
+
+          {showSettings ? (
+            <div style={{marginTop:10}}>
+              <div className="small">{t('notifications.followed')}</div>
+              <div className="filters">
+                {categories.map(c => (
+                  <label key={c} className="small" style={{display:'flex',gap:4,alignItems:'center',fontWeight:400,margin:0}}>
+                    <input type="checkbox" checked={followed.includes(c)} onChange={(e) => onFollowCategory(c, e.target.checked)} /> {translateValue('category', c)}
+                  </label>
+                ))}
+                {categories.length === 0 && <span className="small">{t('notifications.noCategories')}</span>}
+              </div>
+              <form
+                onSubmit={(e) => { e.preventDefault(); if (emailOk) onEmailChange(email.trim()); }}
+                style={{display:'flex',gap:6,marginTop:10}}
+              >
+                <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('notifications.emailPlaceholder')} aria-label={t('notifications.email')} />
+                <button type="submit" className="btn" disabled={!emailChanged || !emailOk}>{t('notifications.save')}</button>
+              </form>
+              <div className="small" style={{marginTop:4}}>{t('notifications.emailHint')}</div>
+            </div>
+          ) : (
+            <div className="notification-list">
+              {notifications.length === 0 && <div className="small center" style={{padding:10}}>{t('notifications.empty')}</div>}
+              {notifications.map(n => (
+                <button key={n.id} type="button" className={n.read ? 'notification-item' : 'notification-item unread'} onClick={() => openNotification(n)}>
+                  <span>{KIND_ICONS[n.kind] || '🔔'}</span>
+                  <span>
+                    <span style={{display:'block'}}>{noticeText(n)}</span>
+                    <span className="meta">{formatDateTime(n.at)}</span>
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
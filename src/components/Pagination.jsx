@@ -0,0 +1,22 @@
+import React from "react";
+import { formatNumber, t } from "../i18n/index.js";
+
+// Previous / next pager with a "showing X-Y of Z" summary.
+export default function Pagination({ page, pageCount, total, pageSize, onPage }) {
+  if (total === 0) return null;
+  const first = (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
+  return (
+    <div className="filters" style={{justifyContent:'space-between'}}>
+      <span className="small">{t('pagination.showing', { first: formatNumber(first), last: formatNumber(last), total: formatNumber(total) })}</span>
+      {pageCount > 1 && (
+        <div style={{display:'flex',gap:8,alignItems:'center'}}>
+          <button type="button" className="btn secondary" onClick={()=>onPage(page - 1)} disabled={page <= 1}>{t('pagination.previous')}</button>
+          <span className="small">{t('pagination.page', { page: formatNumber(page), count: formatNumber(pageCount) })}</span>
+          <button type="button" className="btn secondary" onClick={()=>onPage(page + 1)} disabled={page >= pageCount}>{t('pagination.next')}</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { MAX_QUESTIONS, QUESTION_KINDS } from "../domain/polls.js";
+import { constituencyName } from "../domain/constituencies.js";
+import { fromLocalInput } from "../utils/format.js";
+import { formatNumber, t, translateValue } from "../i18n/index.js";
+
+// Catalog keys for the question kinds
+const KIND_KEYS = {
+  single: "poll.kindSingle",
+  multiple: "poll.kindMultiple",
+  text: "poll.kindText",
+};
+
+const blankQuestion = () => ({ kind: "single", prompt: "", options: "" });
+
+// A politician's new poll: its questions (choice options one per line), who
+// it is for and when it takes responses. `onCreate` resolves to the saved
+// poll, or to nothing when it was rejected (see domain/polls).
+export default function PollForm({ targets, constituencies, categories, onCreate }) {
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const [category, setCategory] = useState("");
+  const [constituencyId, setConstituencyId] = useState(""); // "" is the first allowed target
+  const [questions, setQuestions] = useState([blankQuestion()]);
+  const [opensAt, setOpensAt] = useState(""); // datetime-local values; empty opens at once
+  const [closesAt, setClosesAt] = useState("");
+
+  const chosen = categories.find((c) => c.name === category) || categories[0] || null;
+  const setQuestion = (index, change) => setQuestions(questions.map((q, i) => (i === index ? { ...q, ...change } : q)));
+
+  const submit = (e) => {
+    e.preventDefault();
+    // The form is only cleared once the poll is saved, so a rejected one can be fixed
+    onCreate({
+      title: title.trim(),
+      description: description.trim(),
+      category: chosen ? chosen.name : category,
+      constituencyId: targets.includes(constituencyId) ? constituencyId : targets[0],
+      questions: questions.map((q) => ({ kind: q.kind, prompt: q.prompt.trim(), options: q.kind === 'text' ? [] : q.options.split('\n') })),
+      opensAt: fromLocalInput(opensAt),
+      closesAt: fromLocalInput(closesAt),
+    }).then((saved) => {
+      if (!saved) return;
+      setTitle('');
+      setDescription('');
+      setQuestions([blankQuestion()]);
+      setOpensAt('');
+      setClosesAt('');
+    });
+  };
+
+  return (
+    <form onSubmit={submit} style={{display:'grid',gap:8}}>
+      <input type="text" value={title} onChange={(e)=>setTitle(e.target.value)} placeholder={t('poll.titlePlaceholder')} aria-label={t('poll.title')} required />
+      <textarea value={description} onChange={(e)=>setDescription(e.target.value)} placeholder={t('poll.descriptionPlaceholder')} aria-label={t('poll.description')} rows={3} dir="auto" required />
+
+      {questions.map((q, i) => (
+        <fieldset key={i} style={{border:'1px solid #e5e7eb',borderRadius:8,padding:8,margin:0,display:'grid',gap:6}}>
+          <legend className="small">{t('poll.question', {number: formatNumber(i + 1)})}</legend>
+          <div style={{display:'flex',gap:8}}>
+            <input type="text" value={q.prompt} onChange={(e)=>setQuestion(i, { prompt: e.target.value })} placeholder={t('poll.prompt')} aria-label={t('poll.question', {number: formatNumber(i + 1)})} required />
+            <select value={q.kind} onChange={(e)=>setQuestion(i, { kind: e.target.value })} aria-label={t('poll.questionKind', {number: formatNumber(i + 1)})} style={{maxWidth:150}}>
+              {QUESTION_KINDS.map(kind => <option key={kind} value={kind}>{t(KIND_KEYS[kind])}</option>)}
+            </select>
+          </div>
+          {q.kind !== 'text' && (
+            <textarea value={q.options} onChange={(e)=>setQuestion(i, { options: e.target.value })} placeholder={t('poll.options')} aria-label={t('poll.questionOptions', {number: formatNumber(i + 1)})} rows={3} required />
+          )}
+          {questions.length > 1 && (
+            <div>
+              <button type="button" className="link-button" onClick={()=>setQuestions(questions.filter((_, j) => j !== i))}>{t('poll.removeQuestion')}</button>
+            </div>
+          )}
+        </fieldset>
+      ))}
+      {questions.length < MAX_QUESTIONS && (
+        <div>
+          <button type="button" className="btn secondary" onClick={()=>setQuestions([...questions, blankQuestion()])}>{t('poll.addQuestion')}</button>
+        </div>
+      )}
+
+      <div style={{display:'flex',gap:8,flexWrap:'wrap'}}>
+        <select value={chosen ? chosen.name : category} onChange={(e)=>setCategory(e.target.value)} aria-label={t('poll.category')} style={{maxWidth:150}}>
+          {categories.map(c => <option key={c.id} value={c.name}>{c.icon} {translateValue('category', c.name)}</option>)}
+        </select>
+        {constituencies.length > 0 && (
+          <select value={constituencyId} onChange={(e)=>setConstituencyId(e.target.value)} aria-label={t('poll.audience')} style={{maxWidth:180}}>
+            {targets.map(id => (
+              <option key={id || 'all'} value={id || ''}>{id ? constituencyName(constituencies, id) : t('poll.allConstituencies')}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div style={{display:'flex',gap:8,flexWrap:'wrap'}}>
+        <label className="small" style={{display:'grid',gap:2}}>
+          {t('poll.opensAt')}
+          <input type="datetime-local" value={opensAt} onChange={(e)=>setOpensAt(e.target.value)} />
+        </label>
+        <label className="small" style={{display:'grid',gap:2}}>
+          {t('poll.closesAt')}
+          <input type="datetime-local" value={closesAt} onChange={(e)=>setClosesAt(e.target.value)} required />
+        </label>
+      </div>
+      <div>
+        <button className="btn" type="submit" disabled={targets.length === 0}>{t('poll.start')}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { hasResponded, pollResults, pollStatus, responseProblem, resultsCsv } from "../domain/polls.js";
+import { downloadText } from "../utils/download.js";
+import { formatDateTime } from "../utils/format.js";
+import { formatNumber, getLanguage, t, tn } from "../i18n/index.js";
+
+// What a poll's details add to the shared detail view: its response window,
+// the response form while a citizen may still answer, and the results as
+// they come in, which anyone can download as CSV. Its author may close it early.
+export default function PollPanel({ issue, currentUser, now, onRespond, onClose }) {
+  const status = pollStatus(issue, now);
+  const results = pollResults(issue);
+  const canRespond = !responseProblem(issue, currentUser, now);
+  const isAuthor = Boolean(currentUser) && currentUser.id === issue.reporterId;
+  const own = hasResponded(issue, currentUser) && issue.responses.find((r) => r.userId === currentUser.id);
+
+  const exportResults = () => {
+    downloadText(`poll-${issue.id}-results.csv`, resultsCsv(issue), "text/csv;charset=utf-8");
+  };
+
+  return (
+    <div style={{marginTop:8}}>
+      <div className="small">
+        {status === 'upcoming' && t('poll.upcoming', {opens: formatDateTime(issue.opensAt), closes: formatDateTime(issue.closesAt)})}
+        {status === 'open' && t('poll.openUntil', {date: formatDateTime(issue.closesAt)})}
+        {status === 'closed' && t('poll.closedAt', {date: formatDateTime(issue.closesAt)})}
+        {' • '}{tn('poll.responses', results.total)}
+      </div>
+      {own && <div className="small">{t('poll.youResponded', {date: formatDateTime(own.at)})}</div>}
+      {isAuthor && status === 'open' && (
+        <div style={{marginTop:8}}>
+          <button type="button" className="btn secondary" onClick={()=>onClose(issue.id)}>{t('poll.closeNow')}</button>
+        </div>
+      )}
+
+      {canRespond && <ResponseForm poll={issue} onRespond={onRespond} />}
+
+      <div style={{marginTop:12}}>
+        <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:8}}>
+          <strong>{status === 'closed' ? t('poll.results') : t('poll.resultsSoFar')}</strong>
+          <button type="button" className="link-button" onClick={exportResults} disabled={results.total === 0}>{t('poll.exportCsv')}</button>
+        </div>
+        {results.questions.map(q => (
+          <div key={q.id} style={{marginTop:10}}>
+            <div dir="auto" style={{fontWeight:600}}>{q.prompt}</div>
+            <div className="meta">{q.kind === 'multiple' ? `${t('poll.severalAllowed')} • ` : ''}{tn('poll.answered', q.answered)}</div>
+            {q.kind === 'text' ? <TextAnswers texts={q.texts} /> : <ResultBars options={q.options} />}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ResponseForm({ poll, onRespond }) {
+  const [answers, setAnswers] = useState({});
+
+  const set = (questionId, answer) => setAnswers({ ...answers, [questionId]: answer });
+  const toggle = (questionId, index, on) => {
+    const chosen = answers[questionId] || [];
+    set(questionId, on ? [...chosen, index] : chosen.filter((i) => i !== index));
+  };
+  // Every choice question needs an answer; free text may be left empty
+  const ready = poll.questions.every((q) => q.kind === 'text' || (q.kind === 'single' ? answers[q.id] !== undefined : (answers[q.id] || []).length > 0));
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (ready) onRespond(poll.id, answers);
+  };
+
+  return (
+    <form onSubmit={submit} style={{display:'grid',gap:10,marginTop:10,padding:10,borderRadius:8,background:'#f9fafb'}}>
+      {poll.questions.map(q => (
+        <fieldset key={q.id} style={{border:'none',padding:0,margin:0,display:'grid',gap:4}}>
+          <legend style={{padding:0,fontWeight:600}} dir="auto">{q.prompt}</legend>
+          {q.kind === 'text' ? (
+            <textarea value={answers[q.id] || ''} onChange={(e)=>set(q.id, e.target.value)} rows={2} aria-label={q.prompt} placeholder={t('poll.answerPlaceholder')} dir="auto" />
+          ) : q.options.map((option, i) => (
+            <label key={i} style={{margin:0,display:'flex',gap:6,alignItems:'center'}}>
+              {q.kind === 'single' ? (
+                <input type="radio" name={`${poll.id}-${q.id}`} checked={answers[q.id] === i} onChange={()=>set(q.id, i)} />
+              ) : (
+                <input type="checkbox" checked={(answers[q.id] || []).includes(i)} onChange={(e)=>toggle(q.id, i, e.target.checked)} />
+              )}
+              <span dir="auto">{option}</span>
+            </label>
+          ))}
+        </fieldset>
+      ))}
+      <div>
+        <button className="btn" type="submit" disabled={!ready}>{t('poll.submit')}</button>
+        <span className="small" style={{marginInlineStart:8}}>{t('poll.once')}</span>
+      </div>
+    </form>
+  );
+}
+
+function ResultBars({ options }) {
+  return (
+    <div style={{display:'grid',gap:4,marginTop:4}}>
+      {options.map(o => {
+        const percent = Math.round(o.share * 100);
+        return (
+          <div key={o.label}>
+            <div className="small" style={{display:'flex',justifyContent:'space-between',gap:8}}>
+              <span dir="auto">{o.label}</span>
+              <span>{t('poll.optionCount', {count: formatNumber(o.count), percent: new Intl.NumberFormat(getLanguage(), { style: 'percent' }).format(percent / 100)})}</span>
+            </div>
+            <div className="poll-bar" aria-hidden="true">
+              <div style={{width:`${percent}%`}} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function TextAnswers({ texts }) {
+  if (texts.length === 0) return <div className="small">{t('poll.noWritten')}</div>;
+  return (
+    <details style={{marginTop:4}}>
+      <summary className="small">{tn('poll.showWritten', texts.length)}</summary>
+      <ul style={{margin:'4px 0 0',paddingInlineStart:20}}>
+        {texts.map((text, i) => <li key={i} className="small" dir="auto" style={{whiteSpace:'pre-wrap'}}>{text}</li>)}
+      </ul>
+    </details>
+  );
+}
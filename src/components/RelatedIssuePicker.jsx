@@ -0,0 +1,58 @@
+import React, { useId, useState } from "react";
+import { t, translateValue } from "../i18n/index.js";
+
+const MAX_RESULTS = 6;
+
+// Picks the reports a broadcast is about: chosen ones as removable chips,
+// and a search over titles to add more. `value` holds report ids.
+export default function RelatedIssuePicker({ issues, value, onChange, disabled }) {
+  const id = useId();
+  const [search, setSearch] = useState("");
+
+  const reports = issues.filter((it) => it.type === 'issue');
+  const chosen = value.map((issueId) => reports.find((it) => it.id === issueId) || { id: issueId, title: t('related.fallbackTitle', { id: issueId }) });
+  const terms = search.trim().toLowerCase();
+  const results = terms
+    ? reports.filter((it) => !value.includes(it.id) && it.title.toLowerCase().includes(terms)).slice(0, MAX_RESULTS)
+    : [];
+
+  const add = (issueId) => {
+    onChange([...value, issueId]);
+    setSearch("");
+  };
+
+  return (
+    <div style={{display:'grid',gap:6}}>
+      {chosen.length > 0 && (
+        <div style={{display:'flex',gap:6,flexWrap:'wrap'}}>
+          {chosen.map(it => (
+            <span key={it.id} className="category-badge" style={{marginInlineStart:0,background:'#eef2f7',textTransform:'none'}}>
+              {it.title}
+              <button type="button" className="link-button" onClick={()=>onChange(value.filter(v => v !== it.id))} disabled={disabled} aria-label={t('related.remove', {title: it.title})} style={{marginInlineStart:4}}>✕</button>
+            </span>
+          ))}
+        </div>
+      )}
+      <input
+        type="search"
+        id={`${id}-search`}
+        value={search}
+        onChange={(e)=>setSearch(e.target.value)}
+        placeholder={t('related.placeholder')}
+        aria-label={t('related.search')}
+        disabled={disabled}
+      />
+      {results.length > 0 && (
+        <ul style={{listStyle:'none',margin:0,padding:0}} aria-label={t('related.matching')}>
+          {results.map(it => (
+            <li key={it.id}>
+              <button type="button" className="link-button" onClick={()=>add(it.id)}>+ {it.title}</button>
+              <span className="meta"> • {translateValue('status', it.status)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {terms && results.length === 0 && <div className="small">{t('related.none')}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useId } from "react";
+import { STATUSES } from "../domain/lifecycle.js";
+import { ROLES } from "../domain/permissions.js";
+import { SORT_OPTIONS } from "../domain/search.js";
+import { t, translateValue } from "../i18n/index.js";
+
+// Search box and filter controls for "All Public Reports". Every change goes
+// through onChange(patch) so the caller can keep the URL in sync. `scoped`
+// says whether the viewer has a home or served constituency to default to.
+export default function ReportFilters({ query, categories, constituencies = [], scoped = false, onChange, onReset }) {
+  const id = useId();
+  const field = (key) => ({
+    id: `${id}-${key}`,
+    value: query[key],
+    onChange: (e) => onChange({ [key]: e.target.value }),
+  });
+
+  return (
+    <div className="report-filters">
+      <input type="search" placeholder={t('filters.searchPlaceholder')} aria-label={t('filters.search')} {...field('q')} />
+      <div className="filters">
+        <label htmlFor={`${id}-status`} style={{margin:0}}>{t('filters.status')}</label>
+        <select {...field('status')}>
+          <option value="all">{t('filters.all')}</option>
+          {STATUSES.map(s => <option key={s} value={s}>{translateValue('status', s)}</option>)}
+          <option value="overdue">{t('filters.overdue')}</option>
+          <option value="broadcast">{t('filters.broadcasts')}</option>
+          <option value="poll">{t('filters.polls')}</option>
+        </select>
+        <label htmlFor={`${id}-category`} style={{margin:0}}>{t('filters.category')}</label>
+        <select {...field('category')}>
+          <option value="all">{t('filters.all')}</option>
+          {categories.map(c => <option key={c} value={c}>{translateValue('category', c)}</option>)}
+        </select>
+      </div>
+      {constituencies.length > 0 && (
+        <div className="filters">
+          <label htmlFor={`${id}-constituency`} style={{margin:0}}>{t('filters.constituency')}</label>
+          <select {...field('constituency')}>
+            <option value="">{scoped ? t('filters.mine') : t('filters.all')}</option>
+            {scoped && <option value="all">{t('filters.all')}</option>}
+            {constituencies.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+          </select>
+        </div>
+      )}
+      <div className="filters">
+        <label htmlFor={`${id}-reporterRole`} style={{margin:0}}>{t('filters.reporter')}</label>
+        <select {...field('reporterRole')}>
+          <option value="all">{t('filters.anyRole')}</option>
+          {ROLES.map(r => <option key={r} value={r}>{translateValue('role', r)}</option>)}
+        </select>
+        <label htmlFor={`${id}-responded`} style={{margin:0}}>{t('filters.response')}</label>
+        <select {...field('responded')}>
+          <option value="all">{t('filters.any')}</option>
+          <option value="yes">{t('filters.responded')}</option>
+          <option value="no">{t('filters.awaiting')}</option>
+        </select>
+      </div>
+      <div className="filters">
+        <label htmlFor={`${id}-from`} style={{margin:0}}>{t('filters.from')}</label>
+        <input type="date" {...field('from')} />
+        <label htmlFor={`${id}-to`} style={{margin:0}}>{t('filters.to')}</label>
+        <input type="date" {...field('to')} />
+      </div>
+      <div className="filters">
+        <label htmlFor={`${id}-sort`} style={{margin:0}}>{t('filters.sort')}</label>
+        <select {...field('sort')}>
+          {Object.keys(SORT_OPTIONS).map(value => <option key={value} value={value}>{t(`sort.${value}`)}</option>)}
+        </select>
+        <button type="button" className="btn secondary" onClick={onReset}>{t('filters.reset')}</button>
+      </div>
+    </div>
+  );
+}
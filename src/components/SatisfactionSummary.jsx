@@ -0,0 +1,67 @@
+import React, { useMemo } from "react";
+import { satisfactionSummary } from "../domain/feedback.js";
+import { formatNumber, getLanguage, t, tn, translateValue } from "../i18n/index.js";
+
+// Admin summary of how reporters rated resolutions: overall, per category
+// and per Politician who marked the reports Resolved.
+export default function SatisfactionSummary({ issues }) {
+  const summary = useMemo(() => satisfactionSummary(issues), [issues]);
+  const { overall } = summary;
+
+  if (overall.count === 0) return <div className="small">{t('satisfaction.empty')}</div>;
+
+  return (
+    <div>
+      <div className="stat-grid">
+        <Stat label={t('satisfaction.average')} value={formatAverage(overall.average)} hint={tn('satisfaction.ratedCount', overall.count)} />
+        <Stat label={t('satisfaction.confirmedFixed')} value={percent(overall.confirmed, overall.count)} hint={tn('satisfaction.reports', overall.confirmed)} />
+        <Stat label={t('satisfaction.disputed')} value={formatNumber(overall.disputed)} hint={t('satisfaction.reopened')} />
+      </div>
+      <ScoreTable title={t('satisfaction.byCategory')} heading={t('satisfaction.category')} rows={summary.byCategory} labelOf={(r) => translateValue('category', r.label)} />
+      <ScoreTable title={t('satisfaction.byPolitician')} heading={t('satisfaction.politician')} rows={summary.byPolitician} empty={t('satisfaction.noPoliticians')} />
+    </div>
+  );
+}
+
+function formatAverage(average) {
+  return average === null ? '—' : t('satisfaction.outOfFive', { average: formatNumber(Number(average.toFixed(1))) });
+}
+
+function percent(part, total) {
+  return total ? new Intl.NumberFormat(getLanguage(), { style: 'percent' }).format(part / total) : '—';
+}
+
+function ScoreTable({ title, heading, rows, empty = null, labelOf = (r) => r.label }) {
+  return (
+    <div style={{marginTop:14,overflowX:'auto'}}>
+      <strong className="small">{title}</strong>
+      {rows.length === 0 ? <div className="small">{empty}</div> : (
+        <table className="metrics-table">
+          <thead>
+            <tr><th>{heading}</th><th>{t('satisfaction.rated')}</th><th>{t('satisfaction.averageShort')}</th><th>{t('satisfaction.confirmed')}</th><th>{t('satisfaction.disputed')}</th></tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.key}>
+                <td>{labelOf(r)}</td>
+                <td>{formatNumber(r.count)}</td>
+                <td>{formatAverage(r.average)}</td>
+                <td>{percent(r.confirmed, r.count)}</td>
+                <td>{formatNumber(r.disputed)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function Stat({ label, value, hint }) {
+  return (
+    <div className="stat">
+      <div className="stat-value">{value}</div>
+      <div className="meta">{label}{hint ? ` • ${hint}` : ''}</div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React, { useEffect, useState } from "react";
+
+// An attachment image whose `url` is loaded through the storage backend's
+// `loadFile` (see storage/index attachmentUrl), since the REST server wants
+// the session for it. Object URLs are released once the image goes away.
+export default function StoredImage({ url, loadFile, alt, ...props }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let loaded = null;
+    let cancelled = false;
+    loadFile(url)
+      .then((result) => {
+        loaded = result;
+        if (cancelled) release(result);
+        else setSrc(result);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      if (loaded) release(loaded);
+      setSrc(null);
+    };
+  }, [url, loadFile]);
+
+  return <img src={src || undefined} alt={alt} {...props} />;
+}
+
+function release(src) {
+  if (src.startsWith("blob:")) URL.revokeObjectURL(src);
+}
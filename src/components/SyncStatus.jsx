@@ -0,0 +1,33 @@
+import React from "react";
+import { t, tn } from "../i18n/index.js";
+
+const CHANGE_KEYS = {
+  createIssue: "sync.report",
+  createBroadcast: "sync.broadcast",
+  addComment: "sync.comment",
+  transitionIssue: "sync.statusChange",
+};
+
+// Offline state of one report or broadcast (see storage/offlineAdapter):
+// changes still waiting for a connection, and changes the server rejected,
+// which can be sent again or discarded.
+export default function SyncStatus({ entries, itemId, onRetry, onDiscard }) {
+  const mine = entries.filter((e) => e.itemId === itemId);
+  if (mine.length === 0) return null;
+  const pending = mine.filter((e) => e.status === "pending").length;
+  const failed = mine.filter((e) => e.status === "failed");
+
+  // The buttons sit above the row's stretched title button (see App.jsx)
+  return (
+    <div className="small" style={{marginTop:4}}>
+      {pending > 0 && <span className="sync-pending">{tn('sync.pending', pending)}</span>}
+      {failed.map(entry => (
+        <div key={entry.seq} className="sync-failed">
+          {t('sync.failed', { change: t(CHANGE_KEYS[entry.method] || 'sync.change'), error: entry.error })}{' '}
+          <button type="button" className="link-button" onClick={()=>onRetry(entry.seq)}>{t('sync.retry')}</button>{' '}
+          <button type="button" className="link-button" onClick={()=>onDiscard(entry.seq)}>{t('sync.discard')}</button>
+        </div>
+      ))}
+    </div>
+  );
+}
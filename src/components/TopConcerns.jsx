@@ -0,0 +1,27 @@
+import React from "react";
+import { supportCount, topConcerns } from "../domain/support.js";
+import { formatNumber, t, tn, translateValue } from "../i18n/index.js";
+
+// Most-supported open reports per category, for politicians to prioritise.
+export default function TopConcerns({ issues, onSelect }) {
+  const groups = topConcerns(issues);
+  if (groups.length === 0) return <div className="small center" style={{padding:10}}>{t('concerns.empty')}</div>;
+
+  return (
+    <div className="issue-list">
+      {groups.map(g => (
+        <div key={g.category} style={{marginBottom:10}}>
+          <div style={{fontWeight:700}}>{translateValue('category', g.category)} <span className="meta">• {tn('concerns.supporters', g.total)}</span></div>
+          <ol style={{margin:'4px 0 0',paddingInlineStart:20}}>
+            {g.issues.map(it => (
+              <li key={it.id} style={{marginTop:2}}>
+                <a href="#" onClick={(e)=>{e.preventDefault(); onSelect(it.id);}}>{it.title}</a>
+                <span className="meta"> • ▲ {formatNumber(supportCount(it))} • {translateValue('status', it.status)}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      ))}
+    </div>
+  );
+}
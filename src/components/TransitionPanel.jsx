@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import { availableTransitions } from "../domain/lifecycle.js";
+import { t, translateValue } from "../i18n/index.js";
+
+// Workflow buttons for a report. Transitions that need a note or a duplicate
+// target open a small confirmation form; the rest apply immediately.
+export default function TransitionPanel({ issue, currentUser, issues, onTransition }) {
+  const [pending, setPending] = useState(null);
+  const [note, setNote] = useState("");
+  const [duplicateOf, setDuplicateOf] = useState("");
+
+  const transitions = availableTransitions(issue, currentUser);
+  if (transitions.length === 0) return null;
+
+  const start = (transition) => {
+    if (!transition.requiresNote && !transition.requiresDuplicateOf) {
+      onTransition(issue.id, { to: transition.to });
+      return;
+    }
+    setPending(transition);
+    setNote("");
+    setDuplicateOf("");
+  };
+
+  const confirm = (e) => {
+    e.preventDefault();
+    if (pending.requiresNote && !note.trim()) return;
+    if (pending.requiresDuplicateOf && !duplicateOf) return;
+    onTransition(issue.id, { to: pending.to, note: note.trim(), duplicateOf: duplicateOf || undefined });
+    setPending(null);
+  };
+
+  const candidates = issues.filter((it) => it.type === "issue" && it.id !== issue.id);
+
+  return (
+    <div style={{marginTop:12}}>
+      <div style={{display:'flex',gap:8,flexWrap:'wrap'}}>
+        {transitions.map(tr => (
+          <button
+            key={tr.to}
+            type="button"
+            className="btn secondary"
+            onClick={()=>start(tr)}
+            disabled={pending && pending.to === tr.to}
+            title={t('transition.moveTo', {status: translateValue('status', tr.to)})}
+          >
+            {t(`transition.${tr.to}`)}
+          </button>
+        ))}
+      </div>
+
+      {pending && (
+        <form onSubmit={confirm} style={{display:'grid',gap:8,marginTop:10,padding:10,borderRadius:8,background:'#f9fafb'}}>
+          <div className="small">{t('transition.confirmIntro', {action: t(`transition.${pending.to}`), status: translateValue('status', pending.to)})}</div>
+          {pending.requiresDuplicateOf && (
+            <select value={duplicateOf} onChange={(e)=>setDuplicateOf(e.target.value)} aria-label={t('transition.original')}>
+              <option value="">{t('transition.selectOriginal')}</option>
+              {candidates.map(it => <option key={it.id} value={it.id}>{it.title}</option>)}
+            </select>
+          )}
+          <textarea
+            value={note}
+            onChange={(e)=>setNote(e.target.value)}
+            placeholder={pending.requiresNote ? t('transition.noteRequired') : t('transition.noteOptional')}
+            aria-label={t('transition.note')}
+            required={pending.requiresNote}
+            rows={2}
+          />
+          <div style={{display:'flex',gap:8}}>
+            <button className="btn" type="submit">{t('transition.confirm')}</button>
+            <button type="button" className="btn secondary" onClick={()=>setPending(null)}>{t('transition.cancel')}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
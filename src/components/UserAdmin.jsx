@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from "react";
+import { ROLES } from "../domain/permissions.js";
+import { SCOPED_ROLES } from "../domain/constituencies.js";
+import { t, translateValue } from "../i18n/index.js";
+
+// Admin-only list of accounts with per-account role assignment, and for
+// politicians and moderators the constituencies they serve (none = all).
+export default function UserAdmin({ store, currentUser, constituencies, onUserChanged, onError }) {
+  const [users, setUsers] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    store.listUsers()
+      .then((loaded) => { if (!cancelled) setUsers(loaded); })
+      .catch(onError);
+    return () => { cancelled = true; };
+  }, [store, onError]);
+
+  const applyUpdate = (updated) => {
+    setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
+    if (updated.id === currentUser.id) onUserChanged(updated);
+  };
+
+  const changeRole = (userId, role) => {
+    store.setUserRole(userId, role).then(applyUpdate).catch(onError);
+  };
+
+  const toggleConstituency = (user, constituencyId, serving) => {
+    // Drop ids of constituencies removed since the list was loaded
+    const current = user.constituencies.filter((id) => constituencies.some((c) => c.id === id));
+    const ids = serving ? [...current, constituencyId] : current.filter((id) => id !== constituencyId);
+    store.setUserConstituencies(user.id, ids).then(applyUpdate).catch(onError);
+  };
+
+  return (
+    <div className="issue-list">
+      {users.map(u => (
+        <div key={u.id} className="issue-row" style={{cursor:'default'}}>
+          <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:8}}>
+            <div>
+              <div className="title-issue">{u.displayName}</div>
+              <div className="small">@{u.username}</div>
+            </div>
+            <select value={u.role} onChange={(e)=>changeRole(u.id, e.target.value)} style={{maxWidth: 150}} aria-label={t('users.roleOf', {name: u.displayName})}>
+              {ROLES.map(r => <option key={r} value={r}>{translateValue('role', r)}</option>)}
+            </select>
+          </div>
+          {SCOPED_ROLES.includes(u.role) && constituencies.length > 0 && (
+            <div className="filters" style={{marginTop:6}}>
+              <span className="small">{t('users.serves')}</span>
+              {constituencies.map(c => (
+                <label key={c.id} className="small" style={{display:'flex',alignItems:'center',gap:4,margin:0,fontWeight:400}}>
+                  <input
+                    type="checkbox"
+                    checked={u.constituencies.includes(c.id)}
+                    onChange={(e)=>toggleConstituency(u, c.id, e.target.checked)}
+                  />
+                  {c.name}
+                </label>
+              ))}
+              {u.constituencies.length === 0 && <span className="meta">{t('users.allConstituencies')}</span>}
+            </div>
+          )}
+        </div>
+      ))}
+      {users.length === 0 && <div className="small center" style={{padding:10}}>{t('users.empty')}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+// Map settings, overridable at build time so the app can run against a local
+// tile server and local ward boundaries without internet access:
+//   VITE_MAP_TILE_URL     tile URL template with {z}, {x}, {y} (and optional {s})
+//   VITE_MAP_ATTRIBUTION  credit line shown on the map
+//   VITE_MAP_CENTER       "lat,lng" the map opens on
+//   VITE_MAP_ZOOM         initial zoom level
+//   VITE_MAP_WARDS_URL    GeoJSON FeatureCollection of ward polygons; each
+//                         feature's `properties.name` is shown in the ward picker
+
+const env = import.meta.env;
+
+function parseCenter(text) {
+  const [lat, lng] = String(text || "").split(",").map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+export const MAP_CONFIG = {
+  tileUrl: env.VITE_MAP_TILE_URL || "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+  attribution: env.VITE_MAP_ATTRIBUTION || "© OpenStreetMap contributors",
+  center: parseCenter(env.VITE_MAP_CENTER) || { lat: 20.5937, lng: 78.9629 },
+  zoom: Number(env.VITE_MAP_ZOOM) || 5,
+  minZoom: 2,
+  maxZoom: 19,
+  wardsUrl: env.VITE_MAP_WARDS_URL || "/wards.json",
+};
@@ -0,0 +1,147 @@
+// Metrics for the politician dashboard, computed from the reports themselves:
+// status counts over time (replayed from each report's history), response and
+// resolution times, backlog aging and the most discussed reports. Broadcasts
+// are ignored throughout.
+
+import { OPEN_STATUSES } from "./lifecycle.js";
+import { lastActivity } from "./search.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses are grouped the way the dashboard charts them. Rejected and
+// Duplicate reports are left out of the counts.
+export const STATUS_GROUPS = {
+  open: ["Open", "Reopened", "Acknowledged"],
+  inProgress: ["In Progress"],
+  resolved: ["Resolved", "Closed"],
+};
+
+export const AGE_BUCKETS = [
+  { label: "< 1 week", maxDays: 7 },
+  { label: "1-4 weeks", maxDays: 30 },
+  { label: "1-3 months", maxDays: 90 },
+  { label: "> 3 months", maxDays: Infinity },
+];
+
+// Roles whose comment or status change counts as a response to a citizen
+const RESPONDER_ROLES = ["Politician", "Moderator", "Admin"];
+
+function reportsOnly(items) {
+  return items.filter((it) => it.type === "issue");
+}
+
+function groupOf(status) {
+  return Object.keys(STATUS_GROUPS).find((g) => STATUS_GROUPS[g].includes(status)) || null;
+}
+
+function emptyCounts() {
+  return { open: 0, inProgress: 0, resolved: 0 };
+}
+
+// The status `issue` had at time `at`, or null if it did not exist yet.
+export function statusAt(issue, at) {
+  if (issue.createdAt > at) return null;
+  let status = "Open";
+  for (const h of issue.history) {
+    if (h.at <= at && h.type !== "merge") status = h.to;
+  }
+  return status;
+}
+
+// Open / in-progress / resolved counts at `steps` evenly spaced points over
+// the `days` before `now`, optionally for one category.
+// Returns [{ at, open, inProgress, resolved }], oldest first.
+export function statusTimeline(items, { now = new Date().toISOString(), days = 90, steps = 13, category = null } = {}) {
+  const reports = reportsOnly(items).filter((it) => !category || it.category === category);
+  const end = Date.parse(now);
+  const points = [];
+  for (let i = steps - 1; i >= 0; i--) {
+    const at = new Date(end - (i * days * DAY_MS) / (steps - 1 || 1)).toISOString();
+    const counts = emptyCounts();
+    for (const it of reports) {
+      const group = groupOf(statusAt(it, at));
+      if (group) counts[group]++;
+    }
+    points.push({ at, ...counts });
+  }
+  return points;
+}
+
+// When staff first commented on or moved the report, or null.
+export function firstResponseAt(issue) {
+  const times = [
+    ...issue.comments.filter((c) => RESPONDER_ROLES.includes(c.role)).map((c) => c.at),
+    ...issue.history.filter((h) => RESPONDER_ROLES.includes(h.byRole) && h.type !== "merge").map((h) => h.at),
+  ];
+  return times.length ? times.reduce((a, b) => (a < b ? a : b)) : null;
+}
+
+// When the report was first Resolved (or Closed), or null.
+export function resolvedAt(issue) {
+  const entry = issue.history.find((h) => STATUS_GROUPS.resolved.includes(h.to) && h.type !== "merge");
+  return entry ? entry.at : null;
+}
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function elapsed(issue, at) {
+  return at ? Date.parse(at) - Date.parse(issue.createdAt) : null;
+}
+
+// Current counts plus median first-response and resolution times (in ms) for
+// the given reports, overall and per category (sorted by report count).
+export function responseMetrics(items) {
+  const summarize = (reports) => {
+    const counts = emptyCounts();
+    for (const it of reports) {
+      const group = groupOf(it.status);
+      if (group) counts[group]++;
+    }
+    const response = reports.map((it) => elapsed(it, firstResponseAt(it))).filter((ms) => ms !== null);
+    const resolution = reports.map((it) => elapsed(it, resolvedAt(it))).filter((ms) => ms !== null);
+    return {
+      total: reports.length,
+      ...counts,
+      medianFirstResponse: median(response),
+      responded: response.length,
+      medianResolution: median(resolution),
+      resolvedCount: resolution.length,
+    };
+  };
+
+  const reports = reportsOnly(items);
+  const byCategory = new Map();
+  for (const it of reports) {
+    if (!byCategory.has(it.category)) byCategory.set(it.category, []);
+    byCategory.get(it.category).push(it);
+  }
+  return {
+    overall: summarize(reports),
+    categories: [...byCategory.entries()]
+      .map(([category, list]) => ({ category, ...summarize(list) }))
+      .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category)),
+  };
+}
+
+// Unfinished reports grouped by how long ago they were filed.
+export function backlogAging(items, now = new Date().toISOString()) {
+  const buckets = AGE_BUCKETS.map((b) => ({ ...b, count: 0 }));
+  for (const it of reportsOnly(items)) {
+    if (!OPEN_STATUSES.includes(it.status)) continue;
+    const days = (Date.parse(now) - Date.parse(it.createdAt)) / DAY_MS;
+    buckets.find((b) => days < b.maxDays).count++;
+  }
+  return buckets;
+}
+
+export function mostDiscussed(items, limit = 5) {
+  return reportsOnly(items)
+    .filter((it) => it.comments.length > 0)
+    .sort((a, b) => b.comments.length - a.comments.length || lastActivity(b).localeCompare(lastActivity(a)))
+    .slice(0, limit);
+}
@@ -0,0 +1,53 @@
+// Attachment rules shared by the upload UI and every storage backend.
+//
+// An attachment stored on a report, comment or broadcast looks like
+// { id, name, type, size, url, thumbnailUrl }, where thumbnailUrl is null for
+// non-images. Images are resized in the browser before upload, so `size` is
+// the size after resizing.
+
+export const ALLOWED_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+  "application/pdf": ".pdf",
+};
+
+export const ATTACHMENT_LIMITS = {
+  maxFiles: 4, // per report, comment or broadcast
+  maxBytes: 2 * 1024 * 1024,
+  maxImageDimension: 1600, // longest side after resizing, in pixels
+  thumbnailDimension: 240,
+};
+
+export function isImageType(type) {
+  return type.startsWith("image/");
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Returns why a file cannot be attached, or null when it is acceptable.
+export function attachmentProblem({ name, type, size }) {
+  if (!ALLOWED_TYPES[type]) return `"${name}" is not a supported file type (images or PDF only).`;
+  if (size > ATTACHMENT_LIMITS.maxBytes) {
+    return `"${name}" is ${formatBytes(size)}; the limit is ${formatBytes(ATTACHMENT_LIMITS.maxBytes)}.`;
+  }
+  return null;
+}
+
+// Validates a stored list of attachments; returns a problem string or null.
+export function validateAttachments(list) {
+  if (list === undefined) return null;
+  if (!Array.isArray(list)) return `"attachments" is not a list`;
+  if (list.length > ATTACHMENT_LIMITS.maxFiles) return `more than ${ATTACHMENT_LIMITS.maxFiles} attachments`;
+  for (const a of list) {
+    if (!a || typeof a.id !== "string" || typeof a.name !== "string" || typeof a.url !== "string" || !ALLOWED_TYPES[a.type]) {
+      return "contains a malformed attachment";
+    }
+  }
+  return null;
+}
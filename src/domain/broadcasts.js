@@ -0,0 +1,155 @@
+// Politician broadcasts beyond posting at once: drafts, scheduled
+// publication, who is told about them, the reports they concern, and edits
+// or retraction after publishing with the change history kept. Shared by the
+// client and every storage backend.
+//
+// A broadcast carries:
+//   state            "draft" | "scheduled" | "published" | "retracted"
+//   publishAt        when a scheduled broadcast goes out (ISO), else null
+//   audience         "followers": the followers of its category, or
+//                    "constituency": everyone living in its constituency
+//                    (everyone at all when it addresses every constituency)
+//   relatedIssueIds  reports it concerns; it shows in their discussions and
+//                    their followers are told too
+//   changes          [{ id, action: "edit" | "retract", at, byId, byName, reason, before }]
+//                    where `before` holds the fields an edit replaced
+// Drafts and scheduled broadcasts are only visible to their author. Once
+// published, `createdAt` is the publication time.
+
+import { DomainError } from "./errors.js";
+import { can, permissionMessage } from "./permissions.js";
+import { broadcastConstituency } from "./constituencies.js";
+import { reportCategory } from "./categories.js";
+
+export const BROADCAST_STATES = ["draft", "scheduled", "published", "retracted"];
+
+export const AUDIENCES = ["followers", "constituency"];
+
+// How often the backends publish scheduled broadcasts that fell due
+export const PUBLISH_CHECK_MS = 60 * 1000;
+
+// Fields an edit may change; `before` in the change log holds their old values
+const EDITABLE = ["description", "category", "language", "constituencyId", "audience", "relatedIssueIds"];
+
+// Whether everyone may see `item`. Reports always may.
+export function isPublished(item) {
+  return item.type !== "broadcast" || item.state === "published" || item.state === "retracted";
+}
+
+// Validated content fields for a new or edited broadcast by `user`. `issues`
+// are the reports the related ids must name.
+export function broadcastFields(fields, { categories, constituencies, issues }, user) {
+  const description = String(fields.description || "").trim();
+  if (!description) throw new DomainError("invalid", "A broadcast needs a message.");
+  const category = reportCategory(categories, fields.category);
+  const audience = fields.audience || "followers";
+  if (!AUDIENCES.includes(audience)) throw new DomainError("invalid", `Unknown audience "${audience}".`);
+  const relatedIssueIds = [...new Set((fields.relatedIssueIds || []).map(String))];
+  for (const id of relatedIssueIds) {
+    if (!issues.some((it) => it.id === id && it.type === "issue")) throw new DomainError("invalid", `Report ${id} not found.`);
+  }
+  return {
+    title: `Broadcast - ${category}`,
+    description,
+    category,
+    language: fields.language || null,
+    constituencyId: broadcastConstituency(constituencies, fields.constituencyId, user),
+    audience,
+    relatedIssueIds,
+  };
+}
+
+// The publication fields for saving as a draft, scheduling for `publishAt`
+// or publishing at `now`.
+export function publication({ state = "published", publishAt = null }, now = new Date().toISOString()) {
+  if (state === "draft") return { state, publishAt: null };
+  if (state === "published") return { state, publishAt: null, createdAt: now };
+  if (state !== "scheduled") throw new DomainError("invalid", `A new broadcast cannot be "${state}".`);
+  const at = Date.parse(publishAt);
+  if (Number.isNaN(at)) throw new DomainError("invalid", "Choose when the broadcast should go out.");
+  if (at <= Date.parse(now)) throw new DomainError("invalid", "A broadcast can only be scheduled for a future time.");
+  return { state, publishAt: new Date(at).toISOString() };
+}
+
+function requireAuthor(item, user) {
+  if (item.type !== "broadcast") throw new DomainError("invalid", "Only broadcasts can be changed this way.");
+  if (!user || !can(user.role, "broadcast:create")) throw new DomainError("forbidden", permissionMessage("broadcast:create"));
+  if (item.reporterId !== user.id) throw new DomainError("forbidden", "Only the politician who wrote this broadcast can change it.");
+  if (item.state === "retracted") throw new DomainError("invalid", "A retracted broadcast cannot be changed.");
+}
+
+function logEntry(item, user, action, reason, before, at) {
+  return {
+    id: `${Date.now()}-${(item.changes || []).length}`,
+    action,
+    at,
+    byId: user.id,
+    byName: user.displayName,
+    reason: String(reason || "").trim() || null,
+    before,
+  };
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Applies the author's edit: validated `fields` (see broadcastFields) and,
+// for a draft or scheduled broadcast, `{ state, publishAt }` to keep it,
+// reschedule it or publish it. Edits to a published broadcast are logged with
+// the replaced values and the optional `reason`. Returns
+// { item, published } where `published` says it has just gone out.
+export function editBroadcast(item, user, { fields, state, publishAt, reason }, at = new Date().toISOString()) {
+  requireAuthor(item, user);
+  if (item.state !== "published") {
+    const next = publication({ state: state || item.state, publishAt: publishAt === undefined ? item.publishAt : publishAt }, at);
+    return { item: { ...item, ...fields, ...next }, published: next.state === "published" };
+  }
+  if (state && state !== "published") throw new DomainError("invalid", "Retract a published broadcast instead of unpublishing it.");
+  const changed = EDITABLE.filter((key) => !same(item[key], fields[key]));
+  if (changed.length === 0) throw new DomainError("invalid", "Nothing was changed.");
+  const before = Object.fromEntries(changed.map((key) => [key, item[key]]));
+  return {
+    item: { ...item, ...fields, editedAt: at, changes: [...(item.changes || []), logEntry(item, user, "edit", reason, before, at)] },
+    published: false,
+  };
+}
+
+// Withdraws a published broadcast. It stays listed, marked retracted.
+export function retractBroadcast(item, user, reason, at = new Date().toISOString()) {
+  requireAuthor(item, user);
+  if (item.state !== "published") throw new DomainError("invalid", "Only a published broadcast can be retracted; delete the draft instead.");
+  return { ...item, state: "retracted", changes: [...(item.changes || []), logEntry(item, user, "retract", reason, null, at)] };
+}
+
+// Only unpublished drafts and scheduled broadcasts may be discarded by their author.
+export function requireDiscardable(item, user) {
+  requireAuthor(item, user);
+  if (item.state === "published") throw new DomainError("invalid", "Retract a published broadcast instead of deleting it.");
+}
+
+// Scheduled broadcasts due at `now`, published (dated when they were due).
+export function publishDue(items, now = new Date().toISOString()) {
+  return items
+    .filter((it) => it.type === "broadcast" && it.state === "scheduled" && it.publishAt <= now)
+    .map((it) => ({ ...it, state: "published", createdAt: it.publishAt, publishAt: null }));
+}
+
+// The notification event for a broadcast going out ("broadcast") or being
+// withdrawn ("retract"), addressed to its audience and the followers of its
+// related reports.
+export function broadcastEvent(kind, item, actor, { users, subscriptions }) {
+  const related = subscriptions
+    .filter((s) => s.issues.some((id) => (item.relatedIssueIds || []).includes(id)))
+    .map((s) => s.userId);
+  if (item.audience === "constituency") {
+    const residents = users.filter((u) => !item.constituencyId || u.homeConstituency === item.constituencyId).map((u) => u.id);
+    return { kind, item, actor, recipients: [...new Set([...residents, ...related])] };
+  }
+  return { kind, item, actor, alsoTo: related };
+}
+
+// Published broadcasts about report `issueId`, newest first.
+export function relatedUpdates(items, issueId) {
+  return items
+    .filter((it) => it.type === "broadcast" && isPublished(it) && (it.relatedIssueIds || []).includes(issueId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
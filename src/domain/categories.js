@@ -0,0 +1,137 @@
+// Report categories and the routing of new reports to whoever handles them.
+// Shared by the client and every storage backend.
+//
+// Records carry:
+//   categories      [{ id, name, color, icon, description, owner, sla }]   managed by Admins
+//   category.owner  who handles its reports, or null:
+//                   { kind: "department", name } or { kind: "official", userId, name }
+//   category.sla    response targets, or null (see sla.js)
+//   item.category   the category's name (reports and broadcasts)
+//   item.assignee   a report's current owner plus { at, byId, byName }, or null;
+//                   byId is null when the report was routed automatically
+//
+// New reports are assigned to their category's owner. Moderators may
+// reassign a report to another department or official (see assignIssue in
+// moderation.js); after that a change of category no longer moves it.
+
+import { DomainError } from "./errors.js";
+import { bumpRevision } from "./sync.js";
+import { slaFields } from "./sla.js";
+
+// The set an instance starts with, as the app shipped them before they
+// became configurable. None has service-level targets until an Admin sets
+// them, so an upgraded instance does not find every open report late at once.
+export const DEFAULT_CATEGORIES = [
+  { id: "general", name: "General", color: "#e0e7ff", icon: "📋", description: "Anything that fits no other category.", owner: null, sla: null },
+  { id: "electricity", name: "Electricity", color: "#fef3c7", icon: "💡", description: "Power cuts, street lights and wiring.", owner: null, sla: null },
+  { id: "roads", name: "Roads", color: "#e5e7eb", icon: "🚧", description: "Potholes, signage and footpaths.", owner: null, sla: null },
+  { id: "sanitation", name: "Sanitation", color: "#dcfce7", icon: "🧹", description: "Waste collection, drains and public toilets.", owner: null, sla: null },
+  { id: "water", name: "Water", color: "#dbeafe", icon: "🚰", description: "Supply, leaks and water quality.", owner: null, sla: null },
+  { id: "other", name: "Other", color: "#f3e8ff", icon: "📌", description: "", owner: null, sla: null },
+];
+
+const DEFAULT_COLOR = "#e0e7ff";
+const DEFAULT_ICON = "📋";
+
+// Accounts reports can be assigned to; citizens only ever report.
+export function isOfficial(user) {
+  return Boolean(user) && user.role !== "Citizen";
+}
+
+export function findCategory(categories, name) {
+  return categories.find((c) => c.name === name) || null;
+}
+
+// Department names used by any category, for the reassignment choices.
+export function departments(categories) {
+  const names = categories.map((c) => c.owner && c.owner.kind === "department" && c.owner.name).filter(Boolean);
+  return [...new Set(names)].sort();
+}
+
+// --- Validation ---
+
+// Resolves an owner as sent by a client ({ kind, name } or { kind, userId })
+// against the stored accounts, so an official's name is always current.
+export function ownerFor(owner, { users, categories = null }) {
+  if (!owner) return null;
+  if (owner.kind === "department") {
+    const name = String(owner.name || "").trim();
+    if (!name) throw new DomainError("invalid", "A department needs a name.");
+    if (categories && !departments(categories).includes(name)) {
+      throw new DomainError("invalid", `No category is handled by a department called "${name}".`);
+    }
+    return { kind: "department", name };
+  }
+  if (owner.kind === "official") {
+    const user = users.find((u) => u.id === owner.userId);
+    if (!isOfficial(user)) throw new DomainError("invalid", "Reports can only be assigned to Politician, Moderator or Admin accounts.");
+    return { kind: "official", userId: user.id, name: user.displayName };
+  }
+  throw new DomainError("invalid", `Unknown owner kind "${owner.kind}".`);
+}
+
+// Checks a category against the existing list (ignoring the one being
+// edited) and returns the cleaned fields, with the owner resolved.
+export function categoryFields({ name, color, icon, description = "", owner = null, sla = null }, categories, users, exceptId = null) {
+  const clean = String(name || "").trim();
+  if (!clean) throw new DomainError("invalid", "A category needs a name.");
+  if (categories.some((c) => c.id !== exceptId && c.name.toLowerCase() === clean.toLowerCase())) {
+    throw new DomainError("conflict", `A category called "${clean}" already exists.`);
+  }
+  const previous = categories.find((c) => c.id === exceptId);
+  const hex = String(color || DEFAULT_COLOR).trim();
+  if (!/^#[0-9a-f]{6}$/i.test(hex)) throw new DomainError("invalid", `"${hex}" is not a colour like #e0e7ff.`);
+  return {
+    name: clean,
+    color: hex.toLowerCase(),
+    icon: String(icon || "").trim() || DEFAULT_ICON,
+    description: String(description || "").trim(),
+    owner: ownerFor(owner, { users }),
+    sla: slaFields(sla, previous ? previous.sla : null),
+  };
+}
+
+// The category a new report or broadcast is filed under: one of the
+// configured names. Imports may bring categories no longer configured.
+export function reportCategory(categories, name, { required = true } = {}) {
+  const chosen = String(name || "").trim() || "General";
+  if (required && !findCategory(categories, chosen)) throw new DomainError("invalid", `Unknown category "${chosen}".`);
+  return chosen;
+}
+
+// The assignee of a new report in category `name`, or null when the
+// category has no owner.
+export function routeReport(categories, name, at = new Date().toISOString()) {
+  const category = findCategory(categories, name);
+  if (!category || !category.owner) return null;
+  return { ...category.owner, at, byId: null, byName: null };
+}
+
+// After an edit to `item`, reroutes it when its category changed and nobody
+// assigned it by hand.
+export function rerouted(before, item, categories) {
+  if (item.type !== "issue" || item.category === before.category) return item;
+  if (before.assignee && before.assignee.byId) return item;
+  return { ...item, assignee: routeReport(categories, item.category) };
+}
+
+// --- Admin Management ---
+
+// A rename carries over to the reports filed under the old name and to
+// category follows, so neither is orphaned.
+export function renameCategory(from, to, { issues, subscriptions }) {
+  if (from === to) return { issues, subscriptions };
+  return {
+    issues: issues.map((it) => (it.category === from ? bumpRevision({ ...it, category: to }) : it)),
+    subscriptions: subscriptions.map((s) => (s.categories.includes(from)
+      ? { ...s, categories: s.categories.map((c) => (c === from ? to : c)) }
+      : s)),
+  };
+}
+
+// Removing a category keeps its reports as they are (their category name is
+// just text); only the last one cannot go, or nothing could be reported.
+export function requireRemovable(categories, id) {
+  if (!categories.some((c) => c.id === id)) throw new DomainError("invalid", `Category ${id} not found.`);
+  if (categories.length === 1) throw new DomainError("invalid", "At least one category must remain.");
+}
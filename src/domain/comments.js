@@ -0,0 +1,123 @@
+// Discussion threads: replies, the politician's official response, authors
+// editing or deleting their own comments, and emoji reactions. Shared by the
+// client and every storage backend; moderator edits live in moderation.js.
+//
+// Comments carry, besides { id, authorId, authorName, role, text, at }:
+//   parentId   the comment this one replies to, or null at the top level
+//   editedAt   when the author last changed the text, or null
+//   deleted    true once the author removed it; the text is cleared but the
+//              entry stays so its replies keep their place in the thread
+//   reactions  { emoji: [userId] }
+// Reports carry `officialResponseId`, the comment a politician pinned.
+
+import { DomainError } from "./errors.js";
+import { can, permissionMessage } from "./permissions.js";
+import { requireServes } from "./constituencies.js";
+import { commentProblem, editContent, screenContent } from "./moderation.js";
+import { requireUnchanged } from "./sync.js";
+
+export const REACTIONS = ["👍", "❤️", "🎉", "😮", "😢"];
+
+// Replies nested deeper than this are drawn at this depth
+export const MAX_THREAD_DEPTH = 4;
+
+export function findComment(item, commentId) {
+  const comment = item.comments.find((c) => c.id === commentId);
+  if (!comment) throw new DomainError("invalid", `Comment ${commentId} not found.`);
+  return comment;
+}
+
+function replaceComment(item, commentId, update) {
+  return { ...item, comments: item.comments.map((c) => (c.id === commentId ? { ...c, ...update } : c)) };
+}
+
+// Comments arranged as [{ comment, replies: [...] }] in posting order. A
+// reply whose parent the viewer cannot see is shown at the top level.
+export function commentThreads(comments) {
+  const nodes = new Map(comments.map((c) => [c.id, { comment: c, replies: [] }]));
+  const roots = [];
+  for (const c of comments) {
+    const parent = c.parentId && nodes.get(c.parentId);
+    (parent ? parent.replies : roots).push(nodes.get(c.id));
+  }
+  return roots;
+}
+
+// Why a new comment cannot reply to `parentId`, or null when it can.
+export function replyProblem(item, parentId) {
+  if (!parentId) return null;
+  const parent = item.comments.find((c) => c.id === parentId);
+  if (!parent) return `Comment ${parentId} not found.`;
+  if (parent.deleted) return "You cannot reply to a deleted comment.";
+  return null;
+}
+
+// Changes a comment's text. Authors edit their own freely (marked as edited,
+// and screened again like a new comment); anyone else needs a moderator's
+// edit with a reason (see moderation.editContent). `expected` is { text } as
+// the editor first saw it, so a concurrent change is not silently replaced.
+export function editComment(item, user, { commentId, text, reason = "", expected }, at = new Date().toISOString()) {
+  const comment = findComment(item, commentId);
+  if (!user || comment.authorId !== user.id) {
+    if (!user || !can(user.role, "issue:edit")) throw new DomainError("forbidden", "You can only edit your own comments.");
+    return editContent(item, user, { commentId, text, reason, expected }, at);
+  }
+  if (comment.deleted) throw new DomainError("invalid", "This comment was deleted.");
+  requireUnchanged(comment, expected);
+  const problem = commentProblem(item, user);
+  if (problem) throw new DomainError("forbidden", problem);
+  const clean = String(text || "").trim();
+  if (!clean) throw new DomainError("invalid", "Comment text cannot be empty.");
+  return replaceComment(item, commentId, { text: clean, editedAt: at, held: comment.held || screenContent(clean) });
+}
+
+// Removes the author's own comment. Returns { item, removed } where
+// `removed` is the comment as it was, so its attachments can be released.
+export function deleteComment(item, user, commentId) {
+  const comment = findComment(item, commentId);
+  if (!user || comment.authorId !== user.id) throw new DomainError("forbidden", "You can only delete your own comments.");
+  if (comment.deleted) throw new DomainError("conflict", "This comment was already deleted.");
+  const updated = replaceComment(item, commentId, { text: "", attachments: [], reactions: {}, flags: [], deleted: true });
+  return {
+    item: item.officialResponseId === commentId ? { ...updated, officialResponseId: null } : updated,
+    removed: comment,
+  };
+}
+
+// Pins a politician's comment as the report's official response, replacing
+// any earlier one; a null `commentId` unpins it.
+export function setOfficialResponse(item, user, commentId) {
+  if (!user || !can(user.role, "comment:official")) throw new DomainError("forbidden", permissionMessage("comment:official"));
+  if (item.type !== "issue") throw new DomainError("invalid", "Only reports have an official response.");
+  requireServes(user, item);
+  if (commentId) {
+    const comment = findComment(item, commentId);
+    if (comment.role !== "Politician") throw new DomainError("invalid", "Only a politician's comment can be the official response.");
+    if (comment.deleted || comment.hidden || comment.held) {
+      throw new DomainError("invalid", "That comment is not publicly visible.");
+    }
+  }
+  return { ...item, officialResponseId: commentId || null };
+}
+
+// Adds or removes `user`'s `emoji` reaction on a comment.
+export function setReaction(item, user, { commentId, emoji, reacted }) {
+  if (!user || !can(user.role, "comment:react")) throw new DomainError("forbidden", permissionMessage("comment:react"));
+  if (!REACTIONS.includes(emoji)) throw new DomainError("invalid", `Unknown reaction "${emoji}".`);
+  const comment = findComment(item, commentId);
+  if (comment.deleted) throw new DomainError("invalid", "This comment was deleted.");
+  const others = ((comment.reactions || {})[emoji] || []).filter((id) => id !== user.id);
+  const reactions = { ...(comment.reactions || {}), [emoji]: reacted ? [...others, user.id] : others };
+  if (reactions[emoji].length === 0) delete reactions[emoji];
+  return replaceComment(item, commentId, { reactions });
+}
+
+// [{ emoji, count, reacted }] for every reaction anyone has used on `comment`.
+export function reactionCounts(comment, user) {
+  const reactions = comment.reactions || {};
+  return REACTIONS.filter((emoji) => (reactions[emoji] || []).length > 0).map((emoji) => ({
+    emoji,
+    count: reactions[emoji].length,
+    reacted: Boolean(user) && reactions[emoji].includes(user.id),
+  }));
+}
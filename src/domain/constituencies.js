@@ -0,0 +1,128 @@
+// Constituencies (wards) divide reports between the politicians and
+// moderators who serve them. Shared by the client and every storage backend.
+//
+// Records carry:
+//   constituencies      [{ id, name, description }]   managed by Admins
+//   user.constituencies ids a Politician or Moderator serves
+//   user.homeConstituency id a citizen lives in, or null
+//   item.constituencyId the report's (or broadcast's audience) constituency;
+//                       null means unassigned, which everyone serves
+//
+// Staff with no assignments serve every constituency, so an instance with a
+// single politician keeps working without any setup. Admins always do.
+
+import { DomainError } from "./errors.js";
+import { bumpRevision } from "./sync.js";
+
+export const SCOPED_ROLES = ["Politician", "Moderator"];
+
+const SCOPE_MESSAGE = "This report belongs to a constituency you do not serve.";
+
+// Ids of the constituencies `user` is limited to; empty means everywhere.
+export function servedConstituencies(user) {
+  return user && SCOPED_ROLES.includes(user.role) ? user.constituencies || [] : [];
+}
+
+export function serves(user, item) {
+  const served = servedConstituencies(user);
+  return served.length === 0 || !item.constituencyId || served.includes(item.constituencyId);
+}
+
+export function requireServes(user, item) {
+  if (!serves(user, item)) throw new DomainError("forbidden", SCOPE_MESSAGE);
+}
+
+// Constituencies the report list and updates feed default to: a citizen's
+// home, or the ones a staff member serves. Empty means everything.
+export function viewScope(user) {
+  if (!user) return [];
+  if (SCOPED_ROLES.includes(user.role)) return servedConstituencies(user);
+  return user.role === "Citizen" && user.homeConstituency ? [user.homeConstituency] : [];
+}
+
+export function inScope(item, ids) {
+  return ids.length === 0 || !item.constituencyId || ids.includes(item.constituencyId);
+}
+
+export function constituencyName(constituencies, id) {
+  const found = id && constituencies.find((c) => c.id === id);
+  return found ? found.name : null;
+}
+
+// --- Validation ---
+
+function requireKnown(constituencies, id) {
+  if (!constituencies.some((c) => c.id === id)) throw new DomainError("invalid", `Constituency ${id} not found.`);
+}
+
+// The constituency a new report is filed under. While any constituencies
+// exist a report must name one (falling back to the reporter's home);
+// imports may leave it unassigned.
+export function reportConstituency(constituencies, id, user, { required = true } = {}) {
+  const chosen = id || (user && user.homeConstituency) || null;
+  if (!chosen) {
+    if (required && constituencies.length > 0) throw new DomainError("invalid", "Choose the constituency this report belongs to.");
+    return null;
+  }
+  requireKnown(constituencies, chosen);
+  return chosen;
+}
+
+// Constituencies a politician may address a broadcast to; null stands for
+// "every constituency" and is only offered to staff who serve everywhere.
+export function broadcastTargets(constituencies, user) {
+  const served = servedConstituencies(user);
+  if (served.length === 0) return [null, ...constituencies.map((c) => c.id)];
+  return constituencies.map((c) => c.id).filter((id) => served.includes(id));
+}
+
+export function broadcastConstituency(constituencies, id, user) {
+  const chosen = id || null;
+  if (chosen) requireKnown(constituencies, chosen);
+  if (!broadcastTargets(constituencies, user).includes(chosen)) {
+    throw new DomainError("forbidden", "You can only broadcast to the constituencies you serve.");
+  }
+  return chosen;
+}
+
+// --- Admin Management ---
+
+// Checks a name/description pair against the existing list (ignoring the
+// constituency being renamed) and returns the cleaned fields.
+export function constituencyFields({ name, description = "" }, constituencies, exceptId = null) {
+  const clean = String(name || "").trim();
+  if (!clean) throw new DomainError("invalid", "A constituency needs a name.");
+  if (constituencies.some((c) => c.id !== exceptId && c.name.toLowerCase() === clean.toLowerCase())) {
+    throw new DomainError("conflict", `A constituency called "${clean}" already exists.`);
+  }
+  return { name: clean, description: String(description || "").trim() };
+}
+
+// Validated list of constituency ids for a staff account's assignments.
+export function assignmentIds(constituencies, user, ids) {
+  if (!Array.isArray(ids)) throw new DomainError("invalid", "Assignments must be a list of constituency ids.");
+  if (ids.length > 0 && !SCOPED_ROLES.includes(user.role)) {
+    throw new DomainError("invalid", "Only Politician and Moderator accounts are assigned to constituencies.");
+  }
+  for (const id of ids) requireKnown(constituencies, id);
+  return [...new Set(ids)];
+}
+
+export function homeConstituencyId(constituencies, id) {
+  if (!id) return null;
+  requireKnown(constituencies, id);
+  return id;
+}
+
+// Removing a constituency leaves its reports unassigned and drops it from
+// every account, so nothing is lost and nobody keeps a dangling id.
+export function detachConstituency(id, { issues, users }) {
+  return {
+    issues: issues.map((it) => (it.constituencyId === id ? bumpRevision({ ...it, constituencyId: null }) : it)),
+    users: users.map((u) => ({
+      ...u,
+      constituencies: (u.constituencies || []).filter((c) => c !== id),
+      homeConstituency: u.homeConstituency === id ? null : u.homeConstituency || null,
+    })),
+  };
+}
@@ -0,0 +1,10 @@
+// Error raised by the shared domain rules. `kind` tells callers how to report
+// it: "forbidden" when the acting user's role is the problem, "invalid" when
+// the request itself is, and "conflict" when it clashes with the current state.
+export class DomainError extends Error {
+  constructor(kind, message) {
+    super(message);
+    this.name = "DomainError";
+    this.kind = kind;
+  }
+}
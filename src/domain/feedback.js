@@ -0,0 +1,110 @@
+// Citizen feedback on resolutions. When a report is marked Resolved, the
+// citizen who filed it is asked whether it was really fixed: they rate the
+// resolution from 1 to 5 and confirm or dispute it. A dispute needs a note and
+// reopens the report with it. Each resolution is rated once; a report that is
+// resolved again after reopening can be rated again.
+//
+//   item.feedback  [{ id, resolutionId, resolvedById, resolvedByName,
+//                     resolvedByRole, rating, verdict, note, at }]
+//
+// where `resolutionId` is the history entry that resolved it and verdict is
+// "confirmed" or "disputed". Shared by the client (to prompt the reporter and
+// summarise the scores for Admins) and every storage backend (to enforce).
+
+import { DomainError } from "./errors.js";
+import { applyTransition } from "./lifecycle.js";
+
+export const RATINGS = [1, 2, 3, 4, 5];
+
+export const VERDICTS = ["confirmed", "disputed"];
+
+// The history entry of the latest resolution, or null.
+export function latestResolution(issue) {
+  const resolved = (issue.history || []).filter((h) => h.to === "Resolved" && h.type !== "merge");
+  return resolved.length > 0 ? resolved[resolved.length - 1] : null;
+}
+
+// The feedback given on the current resolution, or null.
+export function currentFeedback(issue) {
+  const resolution = latestResolution(issue);
+  return (resolution && (issue.feedback || []).find((f) => f.resolutionId === resolution.id)) || null;
+}
+
+// Whether `user` should be asked to rate `issue`'s resolution now.
+export function feedbackDue(issue, user) {
+  return Boolean(user) && issue.type === "issue" && issue.status === "Resolved" &&
+    issue.reporterId === user.id && !currentFeedback(issue);
+}
+
+// Records the reporter's `{ rating, verdict, note }` on the current
+// resolution. Returns the updated report, Reopened when disputed.
+export function giveFeedback(issue, user, { rating, verdict, note = "" }, at = new Date().toISOString()) {
+  if (issue.type !== "issue") throw new DomainError("invalid", "Only reports can be rated.");
+  if (!user || issue.reporterId !== user.id) {
+    throw new DomainError("forbidden", "Only the citizen who filed this report can rate its resolution.");
+  }
+  if (issue.status !== "Resolved") throw new DomainError("invalid", "Only a resolved report can be rated.");
+  if (currentFeedback(issue)) throw new DomainError("conflict", "You have already rated this resolution.");
+  const score = Number(rating);
+  if (!RATINGS.includes(score)) throw new DomainError("invalid", "Choose a rating from 1 to 5.");
+  if (!VERDICTS.includes(verdict)) throw new DomainError("invalid", "Say whether the problem was fixed.");
+  const text = String(note || "").trim();
+  if (verdict === "disputed" && !text) throw new DomainError("invalid", "Tell us what is still wrong to dispute the resolution.");
+
+  const resolution = latestResolution(issue);
+  const entry = {
+    id: `${Date.now()}-${(issue.feedback || []).length}`,
+    resolutionId: resolution.id,
+    resolvedById: resolution.byId,
+    resolvedByName: resolution.byName,
+    resolvedByRole: resolution.byRole,
+    rating: score,
+    verdict,
+    note: text || null,
+    at,
+  };
+  const rated = { ...issue, feedback: [...(issue.feedback || []), entry] };
+  return verdict === "disputed"
+    ? applyTransition(rated, user, { to: "Reopened", note: `Resolution disputed: ${text}` }, at)
+    : rated;
+}
+
+// --- Summary ---
+
+function tally(entries) {
+  const count = entries.length;
+  const total = entries.reduce((sum, f) => sum + f.rating, 0);
+  const disputed = entries.filter((f) => f.verdict === "disputed").length;
+  return { count, average: count ? total / count : null, confirmed: count - disputed, disputed };
+}
+
+function grouped(pairs) {
+  const groups = new Map();
+  for (const [key, label, entry] of pairs) {
+    if (!groups.has(key)) groups.set(key, { key, label, entries: [] });
+    groups.get(key).entries.push(entry);
+  }
+  return [...groups.values()]
+    .map(({ key, label, entries }) => ({ key, label, ...tally(entries) }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+// Satisfaction scores for the Admin summary:
+// { overall, byCategory, byPolitician }, where overall is
+// { count, average, confirmed, disputed } and the lists hold the same plus
+// { key, label }, most rated first. Politicians are credited with the
+// resolutions they marked.
+export function satisfactionSummary(items) {
+  const rated = [];
+  for (const it of items) {
+    if (it.type !== "issue") continue;
+    for (const f of it.feedback || []) rated.push({ item: it, f });
+  }
+  return {
+    overall: tally(rated.map(({ f }) => f)),
+    byCategory: grouped(rated.map(({ item, f }) => [item.category, item.category, f])),
+    byPolitician: grouped(rated
+      .filter(({ f }) => f.resolvedByRole === "Politician")
+      .map(({ f }) => [f.resolvedById, f.resolvedByName, f])),
+  };
+}
@@ -0,0 +1,125 @@
+// Issue workflow: the statuses a report can be in, which role may move it
+// between them, and the audit trail each move leaves behind. Shared by the
+// client (to offer only valid actions) and every storage backend (to enforce).
+//
+//   Open ─► Acknowledged ─► In Progress ─► Resolved ─► Closed
+//     │          │               │            │          │
+//     └──────────┴───────────────┴─► Rejected / Duplicate │
+//                                        │            │   │
+//                                        └── Reopened ◄───┘
+//
+// Reopened behaves like Open. "Reporter" in a rule means the citizen who filed
+// that particular report, whatever their role. Staff may only act on reports
+// in the constituencies they serve (see constituencies.js).
+
+import { DomainError } from "./errors.js";
+import { serves } from "./constituencies.js";
+
+export const STATUSES = [
+  "Open", "Acknowledged", "In Progress", "Resolved", "Closed", "Rejected", "Duplicate", "Reopened",
+];
+
+// Statuses that still need action; used for the map and "open" views.
+export const OPEN_STATUSES = ["Open", "Reopened", "Acknowledged", "In Progress"];
+
+const STAFF = ["Politician", "Moderator", "Admin"];
+
+const ACTIONS = {
+  "Acknowledged": { label: "Acknowledge", roles: STAFF },
+  "In Progress": { label: "Mark In Progress", roles: ["Politician", "Admin"] },
+  "Resolved": { label: "Mark Resolved", roles: ["Politician", "Admin"] },
+  "Closed": { label: "Close", roles: [...STAFF, "Reporter"] },
+  "Rejected": { label: "Reject", roles: STAFF, requiresNote: true },
+  "Duplicate": { label: "Mark Duplicate", roles: STAFF, requiresDuplicateOf: true },
+  "Reopened": { label: "Reopen", roles: [...STAFF, "Reporter"], requiresNote: true },
+};
+
+const TRIAGE = ["Acknowledged", "In Progress", "Rejected", "Duplicate"];
+
+const TRANSITIONS = {
+  "Open": TRIAGE,
+  "Reopened": TRIAGE,
+  "Acknowledged": ["In Progress", "Rejected", "Duplicate"],
+  "In Progress": ["Resolved", "Rejected", "Duplicate"],
+  "Resolved": ["Closed", "Reopened"],
+  "Closed": ["Reopened"],
+  "Rejected": ["Reopened"],
+  "Duplicate": ["Reopened"],
+};
+
+// Thrown for a transition that is not allowed (see DomainError for `kind`).
+export class TransitionError extends DomainError {
+  constructor(kind, message) {
+    super(kind, message);
+    this.name = "TransitionError";
+  }
+}
+
+function mayPerform(rule, issue, user) {
+  if (!user) return false;
+  if (rule.roles.includes("Reporter") && issue.reporterId === user.id) return true;
+  return rule.roles.includes(user.role) && serves(user, issue);
+}
+
+// The transitions `user` may apply to `issue` right now, as
+// [{ to, label, requiresNote, requiresDuplicateOf }].
+export function availableTransitions(issue, user) {
+  if (issue.type !== "issue") return [];
+  return (TRANSITIONS[issue.status] || [])
+    .filter((to) => mayPerform(ACTIONS[to], issue, user))
+    .map((to) => ({ to, ...ACTIONS[to] }));
+}
+
+// True when `user` already applied the change with this client-made `id`, so
+// a resent request is answered with the issue as it stands.
+export function alreadyApplied(issue, user, change) {
+  return Boolean(change.id) && (issue.history || []).some((h) => h.id === change.id && h.byId === user.id);
+}
+
+// Validates a status change and returns the updated issue with a new history
+// entry. `change` is { id, to, note, duplicateOf }, where the optional `id`
+// names the entry; `user` is the acting account.
+export function applyTransition(issue, user, change, at = new Date().toISOString()) {
+  const { to } = change;
+  const note = (change.note || "").trim();
+
+  if (issue.type !== "issue") throw new TransitionError("invalid", "Broadcasts do not have a status.");
+  if (!(TRANSITIONS[issue.status] || []).includes(to)) {
+    throw new TransitionError("invalid", `A report cannot move from "${issue.status}" to "${to}".`);
+  }
+  const rule = ACTIONS[to];
+  if (!mayPerform(rule, issue, user)) {
+    if (user && rule.roles.includes(user.role)) {
+      throw new TransitionError("forbidden", "This report belongs to a constituency you do not serve.");
+    }
+    const who = rule.roles.map((r) => (r === "Reporter" ? "the original reporter" : r)).join(", ");
+    throw new TransitionError("forbidden", `Only ${who} can ${rule.label.toLowerCase()} this report.`);
+  }
+  if (rule.requiresNote && !note) {
+    throw new TransitionError("invalid", `A note explaining why is required to ${rule.label.toLowerCase()} a report.`);
+  }
+  if (rule.requiresDuplicateOf && (!change.duplicateOf || change.duplicateOf === issue.id)) {
+    throw new TransitionError("invalid", "Choose the original report this one duplicates.");
+  }
+  if (change.id != null && (typeof change.id !== "string" || !change.id || change.id.length > 100)) {
+    throw new TransitionError("invalid", "A status change id must be a short string.");
+  }
+
+  const entry = {
+    id: change.id || `${Date.now()}-${(issue.history || []).length}`,
+    from: issue.status,
+    to,
+    at,
+    byId: user.id,
+    byName: user.displayName,
+    byRole: user.role,
+    note: note || null,
+    duplicateOf: rule.requiresDuplicateOf ? change.duplicateOf : null,
+  };
+  return {
+    ...issue,
+    status: to,
+    duplicateOf: entry.duplicateOf,
+    history: [...(issue.history || []), entry],
+  };
+}
@@ -0,0 +1,247 @@
+// Content moderation: citizen flags, the automatic profanity/spam screen, and
+// the moderator actions (hide, restore, lock, edit with a reason) that act on
+// them. Shared by the client and every storage backend.
+//
+// Items and their comments carry:
+//   flags   [{ id, userId, reason, note, at }]   open flags awaiting review
+//   hidden  true once a moderator has hidden it
+//   held    reason string while the automatic screen holds it for review
+// Items also carry `locked` (no new comments except from moderators) and a
+// `moderationLog` of every action: { id, action, commentId, at, byId, byName,
+// byRole, reason, before }, where `before` holds the text an edit replaced
+// (or the previous assignee for "assign").
+
+import { DomainError } from "./errors.js";
+import { can, permissionMessage } from "./permissions.js";
+import { requireServes } from "./constituencies.js";
+import { requireUnchanged } from "./sync.js";
+import { isPublished } from "./broadcasts.js";
+import { redactResponses } from "./polls.js";
+
+export const FLAG_REASONS = { abusive: "Abusive", spam: "Spam", "off-topic": "Off-topic" };
+
+export const MODERATION_ACTIONS = ["hide", "restore", "lock", "unlock"];
+
+// --- Automatic Screening ---
+
+const PROFANITY = /\b(fuck|shit|bitch|bastard|asshole|cunt|dickhead|motherf\w*|slut|whore)\w*/i;
+const SPAM_PHRASES = /\b(buy now|click here|free money|limited offer|work from home|crypto giveaway|earn \$\d+)/i;
+const LINK = /\bhttps?:\/\/|\bwww\./gi;
+const MAX_LINKS = 2;
+
+// Returns why `texts` look abusive or spammy, or null when they look fine.
+// Deliberately simple: a match only holds the text for a moderator to review.
+export function screenContent(...texts) {
+  const text = texts.filter(Boolean).join("\n");
+  if (PROFANITY.test(text)) return "possible profanity";
+  if (SPAM_PHRASES.test(text)) return "looks like advertising";
+  if ((text.match(LINK) || []).length > MAX_LINKS) return `more than ${MAX_LINKS} links`;
+  if (/(.)\1{9,}/.test(text)) return "repeated characters";
+  const letters = text.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.8) return "written in capitals";
+  return null;
+}
+
+// --- Visibility ---
+
+function isModerator(user) {
+  return Boolean(user) && can(user.role, "content:moderate");
+}
+
+// Hidden content is only shown to moderators; held content also to its author.
+function isVisible(entity, authorId, user) {
+  if (!entity.hidden && !entity.held) return true;
+  if (isModerator(user)) return true;
+  return Boolean(entity.held) && !entity.hidden && Boolean(user) && authorId === user.id;
+}
+
+// The copy of `item` that `user` may see, or null when they may not see it.
+// Non-moderators only see their own flags, not who else flagged. Unpublished
+// broadcasts are only seen by their author, and poll responses are anonymous
+// to everyone.
+export function redactFor(item, user) {
+  if (!isPublished(item) && !(user && item.reporterId === user.id)) return null;
+  if (!isVisible(item, item.reporterId, user)) return null;
+  const shown = item.type === "poll" ? redactResponses(item, user) : item;
+  if (isModerator(user)) return shown;
+  const ownFlags = (flags) => (flags || []).filter((f) => user && f.userId === user.id);
+  return {
+    ...shown,
+    flags: ownFlags(shown.flags),
+    comments: shown.comments
+      .filter((c) => isVisible(c, c.authorId, user))
+      .map((c) => ({ ...c, flags: ownFlags(c.flags) })),
+  };
+}
+
+export function visibleTo(items, user) {
+  return items.map((it) => redactFor(it, user)).filter(Boolean);
+}
+
+// --- Flags ---
+
+function target(item, commentId) {
+  if (!commentId) return item;
+  const comment = item.comments.find((c) => c.id === commentId);
+  if (!comment) throw new DomainError("invalid", `Comment ${commentId} not found.`);
+  return comment;
+}
+
+function authorOf(item, commentId) {
+  return commentId ? target(item, commentId).authorId : item.reporterId;
+}
+
+function replaceTarget(item, commentId, update) {
+  if (!commentId) return { ...item, ...update(item) };
+  return { ...item, comments: item.comments.map((c) => (c.id === commentId ? { ...c, ...update(c) } : c)) };
+}
+
+export function hasFlagged(entity, user) {
+  return Boolean(user) && (entity.flags || []).some((f) => f.userId === user.id);
+}
+
+// Records `user`'s flag on the item, or on one of its comments when
+// `commentId` is given. Each user can flag each piece of content once.
+export function addFlag(item, user, { reason, note = "", commentId = null }, at = new Date().toISOString()) {
+  if (!user || !can(user.role, "content:flag")) throw new DomainError("forbidden", permissionMessage("content:flag"));
+  if (!FLAG_REASONS[reason]) throw new DomainError("invalid", `Unknown flag reason "${reason}".`);
+  const flagged = target(item, commentId);
+  if (authorOf(item, commentId) === user.id) throw new DomainError("invalid", "You cannot flag your own content.");
+  if (hasFlagged(flagged, user)) throw new DomainError("conflict", "You have already flagged this.");
+
+  const flag = { id: `${Date.now()}-${user.id}`, userId: user.id, reason, note: String(note || "").trim() || null, at };
+  return replaceTarget(item, commentId, (t) => ({ flags: [...(t.flags || []), flag] }));
+}
+
+// --- Moderator Actions ---
+
+function logEntry(item, user, action, { commentId = null, reason = null, before = null }, at) {
+  return {
+    id: `${Date.now()}-${(item.moderationLog || []).length}`,
+    action,
+    commentId,
+    at,
+    byId: user.id,
+    byName: user.displayName,
+    byRole: user.role,
+    reason,
+    before,
+  };
+}
+
+// Applies a moderator `action` to the item, or to one comment for
+// hide/restore. Hiding or restoring settles the content's open flags;
+// restoring also releases content held by the automatic screen.
+export function moderate(item, user, { action, reason = "", commentId = null }, at = new Date().toISOString()) {
+  if (!isModerator(user)) throw new DomainError("forbidden", permissionMessage("content:moderate"));
+  if (!MODERATION_ACTIONS.includes(action)) throw new DomainError("invalid", `Unknown moderation action "${action}".`);
+  requireServes(user, item);
+  const why = String(reason || "").trim() || null;
+  if (action === "hide" && !why) throw new DomainError("invalid", "Give a reason for hiding this content.");
+  if ((action === "lock" || action === "unlock") && commentId) {
+    throw new DomainError("invalid", "Only whole discussions can be locked.");
+  }
+  target(item, commentId);
+
+  let updated;
+  if (action === "lock" || action === "unlock") {
+    updated = { ...item, locked: action === "lock" };
+  } else {
+    updated = replaceTarget(item, commentId, () => ({ hidden: action === "hide", held: null, flags: [] }));
+  }
+  const entry = logEntry(item, user, action, { commentId, reason: why }, at);
+  return { ...updated, moderationLog: [...(item.moderationLog || []), entry] };
+}
+
+// Reassigns a report to `owner`, a department or official already resolved
+// by the caller (see ownerFor in categories.js); null leaves it unassigned.
+export function assignIssue(item, user, owner, reason = "", at = new Date().toISOString()) {
+  if (!user || !can(user.role, "issue:assign")) throw new DomainError("forbidden", permissionMessage("issue:assign"));
+  if (item.type !== "issue") throw new DomainError("invalid", "Only reports can be assigned.");
+  requireServes(user, item);
+  const why = String(reason || "").trim() || null;
+  const entry = logEntry(item, user, "assign", { reason: why, before: { assignee: item.assignee || null } }, at);
+  return {
+    ...item,
+    assignee: owner ? { ...owner, at, byId: user.id, byName: user.displayName } : null,
+    moderationLog: [...(item.moderationLog || []), entry],
+  };
+}
+
+// The notification event for content a moderator just released from the
+// automatic hold (see notifications.js), or null when nothing was released.
+export function releasedEvent(before, after, commentId = null) {
+  if (commentId) {
+    const was = before.comments.find((c) => c.id === commentId);
+    const now = after.comments.find((c) => c.id === commentId);
+    if (!was.held || now.held || now.hidden) return null;
+    return { kind: "comment", item: after, actor: { id: now.authorId, displayName: now.authorName, role: now.role } };
+  }
+  if (!before.held || after.held || after.hidden) return null;
+  return { kind: "report", item: after, actor: { id: after.reporterId, displayName: after.reporterName, role: after.reporterRole } };
+}
+
+// Moderator edit of an item's title/description/category or constituency,
+// or of a comment's text when `commentId` is given. The replaced values are
+// kept in the moderation log. Callers check that a new constituencyId exists.
+// `expected` holds the values the moderator started from (see sync.js).
+export function editContent(item, user, { title, description, category, constituencyId, text, commentId = null, reason = "", expected }, at = new Date().toISOString()) {
+  if (!user || !can(user.role, "issue:edit")) throw new DomainError("forbidden", permissionMessage("issue:edit"));
+  requireServes(user, item);
+  const why = String(reason || "").trim();
+  if (!why) throw new DomainError("invalid", "Give a reason for the edit; it is shown with the content.");
+
+  let patch;
+  if (commentId) {
+    if (typeof text !== "string" || !text.trim()) throw new DomainError("invalid", "Comment text cannot be empty.");
+    patch = { text: text.trim() };
+  } else {
+    patch = Object.fromEntries(
+      Object.entries({ title, description, category }).filter(([, v]) => v !== undefined).map(([k, v]) => [k, String(v).trim()])
+    );
+    if (Object.values(patch).some((v) => !v)) throw new DomainError("invalid", "Title, description and category cannot be empty.");
+    if (constituencyId !== undefined) {
+      patch.constituencyId = constituencyId || null;
+      // A scoped moderator may only move a report to a constituency they serve
+      requireServes(user, { constituencyId: patch.constituencyId });
+    }
+  }
+  const current = target(item, commentId);
+  requireUnchanged(current, expected);
+  const before = Object.fromEntries(Object.keys(patch).map((k) => [k, current[k]]));
+  const updated = replaceTarget(item, commentId, () => patch);
+  const entry = logEntry(item, user, "edit", { commentId, reason: why, before }, at);
+  return { ...updated, moderationLog: [...(item.moderationLog || []), entry] };
+}
+
+// Why `user` cannot comment on `item`, or null when they can.
+export function commentProblem(item, user) {
+  if (!user || !can(user.role, "comment:create")) return permissionMessage("comment:create");
+  if (item.locked && !isModerator(user)) return "A moderator has locked this discussion.";
+  if (item.type === "broadcast" && item.state !== "published") {
+    return item.state === "retracted" ? "This broadcast was retracted." : "This broadcast has not been published yet.";
+  }
+  return null;
+}
+
+// --- Queue ---
+
+function queueEntry(item, comment) {
+  const entity = comment || item;
+  const counts = {};
+  for (const f of entity.flags || []) counts[f.reason] = (counts[f.reason] || 0) + 1;
+  return { id: comment ? `${item.id}/${comment.id}` : item.id, item, comment, flags: entity.flags || [], counts, held: entity.held || null };
+}
+
+// Everything awaiting a moderator: content with open flags or held by the
+// automatic screen, most-flagged first.
+export function moderationQueue(items) {
+  const entries = [];
+  for (const item of items) {
+    if ((item.flags || []).length > 0 || item.held) entries.push(queueEntry(item, null));
+    for (const c of item.comments) {
+      if ((c.flags || []).length > 0 || c.held) entries.push(queueEntry(item, c));
+    }
+  }
+  return entries.sort((a, b) => b.flags.length - a.flags.length || Boolean(b.held) - Boolean(a.held));
+}
@@ -0,0 +1,156 @@
+// Follows and notifications, shared by every storage backend.
+//
+// A subscription is { userId, issues: [itemId], categories: [name], email }. When
+// something happens to an item, everyone following that item or its category
+// gets a notification, except the person who did it:
+//   { id, userId, kind, params, itemId, itemTitle, message, at, read }
+// where kind is "report", "status", "comment", "official", "broadcast",
+// "retract", "poll", "merge", "assign" or "feedback". Broadcasts go to the audience
+// they choose (see broadcasts.js). Deadline alerts ("overdue", see sla.js) go
+// to the staff responsible instead of the followers, and the request to rate
+// a resolution ("rate", see feedback.js) to the reporter alone. `email` is an
+// optional address the server also mails notifications to, if configured.
+//
+// `params` holds what the interface needs to word a notification in the
+// reader's language (the actor, the item's title and category, the statuses
+// involved, ...), with statuses, categories and roles stored in English like
+// everywhere else. `message` is the English wording, used for email and by
+// notifications stored before params existed.
+
+import { DomainError } from "./errors.js";
+
+export const MAX_NOTIFICATIONS_PER_USER = 200;
+
+export function subscriptionFor(subscriptions, userId) {
+  return subscriptions.find((s) => s.userId === userId) || { userId, issues: [], categories: [], email: "" };
+}
+
+export function isValidEmail(email) {
+  return /^[^\s@<>]+@[^\s@<>]+$/.test(email);
+}
+
+// Returns the subscriptions list with `userId`'s notification email replaced.
+export function setEmail(subscriptions, userId, email) {
+  const address = String(email || "").trim();
+  if (address && !isValidEmail(address)) throw new DomainError("invalid", `"${address}" is not a valid email address.`);
+  const updated = { ...subscriptionFor(subscriptions, userId), email: address };
+  return [...subscriptions.filter((s) => s.userId !== userId), updated];
+}
+
+export function isFollowing(subscription, { issueId, category }) {
+  return issueId ? subscription.issues.includes(issueId) : subscription.categories.includes(category);
+}
+
+// Returns the subscriptions list with `userId` following (or unfollowing) one
+// item (`issueId`) or one `category`.
+export function setFollow(subscriptions, userId, { issueId, category }, follow) {
+  const current = subscriptionFor(subscriptions, userId);
+  const key = issueId ? "issues" : "categories";
+  const value = issueId || category;
+  const others = current[key].filter((v) => v !== value);
+  const updated = { ...current, [key]: follow ? [...others, value] : others };
+  return [...subscriptions.filter((s) => s.userId !== userId), updated];
+}
+
+function describe(event) {
+  const { kind, item, actor } = event;
+  const who = actor && (actor.displayName || actor.role);
+  switch (kind) {
+    case "report":
+      return `New ${item.category} report from ${who}: “${item.title}”.`;
+    case "status":
+      return `${who} moved “${item.title}” from ${event.from} to ${item.status}.`;
+    case "comment":
+      return `${who} commented on “${item.title}”.`;
+    case "official":
+      return `${who} posted the official response on “${item.title}”.`;
+    case "broadcast":
+      return `New ${item.category} broadcast from ${who}.`;
+    case "retract":
+      return `${who} retracted a ${item.category} broadcast.`;
+    case "poll":
+      return `${who} asks for your views: “${item.title}”.`;
+    case "merge":
+      return `${who} merged a duplicate report into “${item.title}”.`;
+    case "assign":
+      return item.assignee
+        ? `${who} assigned “${item.title}” to ${item.assignee.name}.`
+        : `${who} unassigned “${item.title}”.`;
+    case "rate":
+      return `${who} marked your report “${item.title}” Resolved. Was it fixed? Rate the resolution.`;
+    case "feedback":
+      return event.verdict === "disputed"
+        ? `${who} disputed the resolution of “${item.title}”, which is reopened.`
+        : `${who} confirmed the resolution of “${item.title}” (${event.rating}/5).`;
+    case "overdue":
+      return `“${item.title}” was not ${event.stage === "acknowledge" ? "acknowledged" : "resolved"} in time` +
+        (event.level === 2 ? " and has been escalated to the Admins." : ".");
+    default:
+      return `“${item.title}” was updated.`;
+  }
+}
+
+// The values a notification's text is built from, see the header comment.
+function noticeParams(event) {
+  const { kind, item, actor } = event;
+  const params = {
+    who: actor ? actor.displayName || null : null,
+    role: actor ? actor.role : null,
+    title: item.title,
+    category: item.category,
+  };
+  if (kind === "status") Object.assign(params, { from: event.from, to: item.status });
+  if (kind === "assign") params.assignee = item.assignee ? item.assignee.name : null;
+  if (kind === "feedback") Object.assign(params, { verdict: event.verdict, rating: event.rating ?? null });
+  if (kind === "overdue") Object.assign(params, { stage: event.stage, level: event.level });
+  return params;
+}
+
+// Builds the notifications an event produces. `event` is
+// { kind, item, actor, from?, rating?, verdict?, recipients?, alsoTo? } where
+// `from` is the old status for "status", `rating` and `verdict` describe
+// "feedback", `alsoTo` (account ids) adds people to the followers, and
+// `recipients` (account ids) addresses the event to those accounts instead of
+// the followers. `actor` is null for scheduled events. Ids carry the kind, as
+// one change can raise several events about the same item at once.
+export function buildNotifications(event, subscriptions, at = new Date().toISOString()) {
+  const { item, actor } = event;
+  // Hidden or held content stays quiet until a moderator releases it
+  if (item.hidden || item.held) return [];
+  const message = describe(event);
+  const params = noticeParams(event);
+  const userIds = event.recipients || [...new Set([
+    ...subscriptions.filter((s) => s.issues.includes(item.id) || s.categories.includes(item.category)).map((s) => s.userId),
+    ...(event.alsoTo || []),
+  ])];
+  return userIds
+    .filter((userId) => !actor || userId !== actor.id)
+    .map((userId) => ({
+      id: `${Date.now()}-${event.kind}-${item.id}-${userId}`,
+      userId,
+      kind: event.kind,
+      params,
+      itemId: item.id,
+      itemTitle: item.title,
+      message,
+      at,
+      read: false,
+    }));
+}
+
+// Appends `fresh` to the stored list, keeping only each user's newest ones.
+export function appendNotifications(stored, fresh) {
+  const all = [...fresh, ...stored];
+  const perUser = new Map();
+  return all.filter((n) => {
+    const count = (perUser.get(n.userId) || 0) + 1;
+    perUser.set(n.userId, count);
+    return count <= MAX_NOTIFICATIONS_PER_USER;
+  });
+}
+
+// Marks `ids` (or every notification when ids is empty) read for `userId`.
+export function markRead(stored, userId, ids = []) {
+  const wanted = new Set(ids);
+  return stored.map((n) => (n.userId === userId && (wanted.size === 0 || wanted.has(n.id)) ? { ...n, read: true } : n));
+}
@@ -0,0 +1,114 @@
+// Role-based permissions shared by the client (to shape the UI) and by every
+// storage backend (to enforce them). Keep this module free of browser and Node
+// specific APIs so both sides can import it. Status changes follow their own
+// per-transition rules in lifecycle.js.
+
+export const ROLES = ["Citizen", "Politician", "Moderator", "Admin"];
+
+const PERMISSIONS = {
+  "issue:create": {
+    roles: ["Citizen"],
+    message: "Only Citizen users can submit new reports.",
+  },
+  "comment:create": {
+    roles: ROLES,
+    message: "Please log in to join the discussion.",
+  },
+  "comment:react": {
+    roles: ROLES,
+    message: "Please log in to react to comments.",
+  },
+  "comment:official": {
+    roles: ["Politician"],
+    message: "Only the Politician role can mark the official response.",
+  },
+  "notification:read": {
+    roles: ROLES,
+    message: "Please log in to follow reports and see your notifications.",
+  },
+  "content:flag": {
+    roles: ["Citizen", "Politician"],
+    message: "Only Citizen or Politician users can flag content.",
+  },
+  "content:moderate": {
+    roles: ["Moderator", "Admin"],
+    message: "Only Moderator or Admin users can moderate content.",
+  },
+  "issue:edit": {
+    roles: ["Moderator", "Admin"],
+    message: "Only Moderator or Admin users can edit reports.",
+  },
+  "issue:assign": {
+    roles: ["Moderator", "Admin"],
+    message: "Only Moderator or Admin users can reassign reports.",
+  },
+  "issue:delete": {
+    roles: ["Admin"],
+    message: "Only Admin users are authorized to delete reports.",
+  },
+  "issue:support": {
+    roles: ["Citizen"],
+    message: "Only Citizen users can support reports.",
+  },
+  "issue:merge": {
+    roles: ["Politician", "Moderator", "Admin"],
+    message: "Only Politician, Moderator, or Admin roles can merge duplicate reports.",
+  },
+  "insights:view": {
+    roles: ["Politician", "Moderator", "Admin"],
+    message: "Only Politician, Moderator, or Admin roles can view report insights.",
+  },
+  "broadcast:create": {
+    roles: ["Politician"],
+    message: "Only the Politician role can post public broadcasts.",
+  },
+  "poll:create": {
+    roles: ["Politician"],
+    message: "Only the Politician role can start polls.",
+  },
+  "poll:respond": {
+    roles: ["Citizen"],
+    message: "Only Citizen users can respond to polls.",
+  },
+  "reports:export": {
+    roles: ["Admin"],
+    message: "Only Admin users can export reports.",
+  },
+  "reports:import": {
+    roles: ["Admin"],
+    message: "Only Admin users can import reports.",
+  },
+  "user:manage": {
+    roles: ["Admin"],
+    message: "Only Admin users can manage accounts.",
+  },
+  "constituency:manage": {
+    roles: ["Admin"],
+    message: "Only Admin users can manage constituencies.",
+  },
+  "category:manage": {
+    roles: ["Admin"],
+    message: "Only Admin users can manage categories.",
+  },
+  "feedback:summary": {
+    roles: ["Admin"],
+    message: "Only Admin users can view the satisfaction summary.",
+  },
+};
+
+export function can(role, action) {
+  const rule = PERMISSIONS[action];
+  if (!rule) throw new Error(`Unknown permission "${action}".`);
+  return rule.roles.includes(role);
+}
+
+export function permissionMessage(action) {
+  return PERMISSIONS[action].message;
+}
+
+// Strips credentials so an account record is safe to hand to the client.
+export function toPublicUser(user) {
+  if (!user) return null;
+  const { id, username, displayName, role } = user;
+  return { id, username, displayName, role, constituencies: user.constituencies || [], homeConstituency: user.homeConstituency || null };
+}
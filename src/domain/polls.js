@@ -0,0 +1,186 @@
+// Polls and consultations: questions a politician puts to citizens for a set
+// window, answered once per citizen, with results tallied as they come in.
+// Shared by the client and every storage backend.
+//
+// A poll carries:
+//   questions  [{ id, kind: "single" | "multiple" | "text", prompt, options: [text] }]
+//              (`options` is empty for free-text questions)
+//   opensAt    when responses open (ISO)
+//   closesAt   when they close (ISO); its author may close it early
+//   responses  [{ id, userId, at, answers: { [questionId]: answer } }] where an
+//              answer is an option index ("single"), a list of option indexes
+//              ("multiple") or text ("text", may be empty)
+// Responses are anonymous: only the respondent sees which one is theirs, and
+// when it was given (see redactResponses), and everyone sees the tallied
+// results.
+
+import { DomainError } from "./errors.js";
+import { can, permissionMessage } from "./permissions.js";
+import { broadcastConstituency } from "./constituencies.js";
+import { reportCategory } from "./categories.js";
+import { toCsv } from "./transfer.js";
+
+export const QUESTION_KINDS = ["single", "multiple", "text"];
+
+export const MAX_QUESTIONS = 10;
+export const MAX_OPTIONS = 10;
+export const MAX_ANSWER_LENGTH = 2000;
+
+export const RESULT_COLUMNS = ["question", "kind", "answer", "responses", "percent"];
+
+function text(value) {
+  return String(value || "").trim();
+}
+
+function timestamp(value, label) {
+  const at = Date.parse(value);
+  if (Number.isNaN(at)) throw new DomainError("invalid", `Choose when the poll ${label}.`);
+  return new Date(at).toISOString();
+}
+
+function toQuestion(question, index) {
+  const kind = question.kind || "single";
+  if (!QUESTION_KINDS.includes(kind)) throw new DomainError("invalid", `Unknown question kind "${kind}".`);
+  const prompt = text(question.prompt);
+  if (!prompt) throw new DomainError("invalid", `Question ${index + 1} needs a prompt.`);
+  if (kind === "text") return { id: `q${index + 1}`, kind, prompt, options: [] };
+  const options = (question.options || []).map(text).filter(Boolean);
+  if (options.length < 2) throw new DomainError("invalid", `Question ${index + 1} needs at least two options.`);
+  if (options.length > MAX_OPTIONS) throw new DomainError("invalid", `Question ${index + 1} has more than ${MAX_OPTIONS} options.`);
+  if (new Set(options).size !== options.length) throw new DomainError("invalid", `Question ${index + 1} repeats an option.`);
+  return { id: `q${index + 1}`, kind, prompt, options };
+}
+
+// Validated fields for a new poll by `user`: its title, description,
+// category, constituency, questions and response window. The window opens at
+// `now` unless `opensAt` is given, and must close after it opens and after `now`.
+export function pollFields(fields, { categories, constituencies }, user, now = new Date().toISOString()) {
+  const title = text(fields.title);
+  if (!title) throw new DomainError("invalid", "A poll needs a title.");
+  const description = text(fields.description);
+  if (!description) throw new DomainError("invalid", "Say what the poll is about.");
+  const questions = fields.questions || [];
+  if (questions.length === 0) throw new DomainError("invalid", "A poll needs at least one question.");
+  if (questions.length > MAX_QUESTIONS) throw new DomainError("invalid", `A poll can have at most ${MAX_QUESTIONS} questions.`);
+  const opensAt = fields.opensAt ? timestamp(fields.opensAt, "opens") : now;
+  const closesAt = timestamp(fields.closesAt, "closes");
+  if (closesAt <= now) throw new DomainError("invalid", "A poll must close in the future.");
+  if (closesAt <= opensAt) throw new DomainError("invalid", "A poll must close after it opens.");
+  return {
+    title,
+    description,
+    category: reportCategory(categories, fields.category),
+    language: fields.language || null,
+    constituencyId: broadcastConstituency(constituencies, fields.constituencyId, user),
+    questions: questions.map(toQuestion),
+    opensAt,
+    closesAt,
+  };
+}
+
+// "upcoming", "open" or "closed" at `now`
+export function pollStatus(poll, now = new Date().toISOString()) {
+  if (now < poll.opensAt) return "upcoming";
+  return now < poll.closesAt ? "open" : "closed";
+}
+
+export function hasResponded(poll, user) {
+  return Boolean(user) && poll.responses.some((r) => r.userId === user.id);
+}
+
+// Why `user` cannot respond to `poll` at `now`, or null when they can.
+export function responseProblem(poll, user, now = new Date().toISOString()) {
+  if (!user || !can(user.role, "poll:respond")) return permissionMessage("poll:respond");
+  const status = pollStatus(poll, now);
+  if (status === "upcoming") return "This poll has not opened yet.";
+  if (status === "closed") return "This poll is closed.";
+  if (hasResponded(poll, user)) return "You have already responded to this poll.";
+  return null;
+}
+
+function toAnswer(question, answer) {
+  if (question.kind === "text") {
+    const value = text(answer);
+    if (value.length > MAX_ANSWER_LENGTH) throw new DomainError("invalid", `Answers are limited to ${MAX_ANSWER_LENGTH} characters.`);
+    return value;
+  }
+  const isOption = (i) => Number.isInteger(i) && i >= 0 && i < question.options.length;
+  if (question.kind === "single") {
+    if (!isOption(answer)) throw new DomainError("invalid", `Choose an answer to “${question.prompt}”.`);
+    return answer;
+  }
+  const chosen = Array.isArray(answer) ? [...new Set(answer)].sort((a, b) => a - b) : [];
+  if (chosen.length === 0 || !chosen.every(isOption)) throw new DomainError("invalid", `Choose at least one answer to “${question.prompt}”.`);
+  return chosen;
+}
+
+// Records `user`'s one response. Every choice question must be answered;
+// free-text ones may be left empty.
+export function respondToPoll(poll, user, answers, at = new Date().toISOString()) {
+  const problem = responseProblem(poll, user, at);
+  if (problem) throw new DomainError(user && can(user.role, "poll:respond") ? "conflict" : "forbidden", problem);
+  const given = answers && typeof answers === "object" ? answers : {};
+  const response = {
+    id: `${Date.now()}-${poll.responses.length}`,
+    userId: user.id,
+    at,
+    answers: Object.fromEntries(poll.questions.map((q) => [q.id, toAnswer(q, given[q.id])])),
+  };
+  return { ...poll, responses: [...poll.responses, response] };
+}
+
+// The author ends an open poll early.
+export function closePoll(poll, user, at = new Date().toISOString()) {
+  if (poll.type !== "poll") throw new DomainError("invalid", "Only polls can be closed.");
+  if (!user || !can(user.role, "poll:create")) throw new DomainError("forbidden", permissionMessage("poll:create"));
+  if (poll.reporterId !== user.id) throw new DomainError("forbidden", "Only the politician who started this poll can close it.");
+  if (pollStatus(poll, at) !== "open") throw new DomainError("invalid", "Only an open poll can be closed.");
+  return { ...poll, closesAt: at };
+}
+
+// The copy of the responses `user` may see: everyone's answers, but only
+// their own response keeps its respondent, id and time. The others lose their
+// time and their id (which is made from it) as well, so they cannot be matched
+// to who was seen answering when.
+export function redactResponses(poll, user) {
+  return {
+    ...poll,
+    responses: poll.responses.map((r) => (user && r.userId === user.id ? r : { ...r, id: null, userId: null, at: null })),
+  };
+}
+
+// Tallies per question: { total, questions: [{ id, kind, prompt, answered,
+// options: [{ label, count, share }], texts: [text] }] } where `share` is the
+// fraction of respondents (0-1) who chose the option.
+export function pollResults(poll) {
+  const total = poll.responses.length;
+  const questions = poll.questions.map((q) => {
+    const answers = poll.responses.map((r) => r.answers[q.id]);
+    if (q.kind === "text") {
+      const texts = answers.filter((a) => typeof a === "string" && a !== "");
+      return { id: q.id, kind: q.kind, prompt: q.prompt, answered: texts.length, options: [], texts };
+    }
+    const counts = q.options.map(() => 0);
+    for (const a of answers) for (const i of Array.isArray(a) ? a : [a]) if (counts[i] !== undefined) counts[i]++;
+    return {
+      id: q.id,
+      kind: q.kind,
+      prompt: q.prompt,
+      answered: answers.filter((a) => a !== undefined).length,
+      options: q.options.map((label, i) => ({ label, count: counts[i], share: total ? counts[i] / total : 0 })),
+      texts: [],
+    };
+  });
+  return { total, questions };
+}
+
+// The results as CSV (RESULT_COLUMNS): a row per option with its count and
+// share, and a row per free-text answer.
+export function resultsCsv(poll) {
+  const rows = pollResults(poll).questions.flatMap((q) =>
+    q.kind === "text"
+      ? q.texts.map((answer) => ({ question: q.prompt, kind: q.kind, answer, responses: 1, percent: "" }))
+      : q.options.map((o) => ({ question: q.prompt, kind: q.kind, answer: o.label, responses: o.count, percent: Math.round(o.share * 100) })),
+  );
+  return toCsv(rows, RESULT_COLUMNS);
+}
@@ -0,0 +1,295 @@
+// Versioned schema for persisted issues, shared by every storage backend.
+//
+// Stored data carries the schema version it was written with. On load, records
+// are passed through each migration newer than that version, in order, and then
+// validated. Records that cannot be migrated or fail validation are returned
+// separately as "quarantined" so the caller can set them aside without losing
+// them, instead of crashing the app or silently dropping user data.
+//
+// To change the issue shape: bump SCHEMA_VERSION, append a migration that
+// upgrades a record from the previous version, and update validateIssue.
+
+import { STATUSES } from "./lifecycle.js";
+import { AUDIENCES, BROADCAST_STATES } from "./broadcasts.js";
+import { QUESTION_KINDS } from "./polls.js";
+import { validateAttachments } from "./attachments.js";
+import { isValidLocation } from "../utils/geo.js";
+import { isLanguageTag } from "../i18n/languages.js";
+
+export const SCHEMA_VERSION = 14;
+
+// Legacy ids are Date.now() strings, which recovers the exact creation time
+// even when a toLocaleString() date was written in a locale we cannot parse.
+function recoverTimestamp(localeString, id) {
+  if (/^\d{12,}$/.test(String(id))) return new Date(Number(id)).toISOString();
+  const parsed = Date.parse(localeString);
+  if (!Number.isNaN(parsed)) return new Date(parsed).toISOString();
+  throw new Error(`Cannot recover a timestamp from "${localeString}".`);
+}
+
+const MIGRATIONS = [
+  {
+    // v1 -> v2: ISO-8601 timestamps, author ids on reports and comments
+    version: 2,
+    up(issue) {
+      return {
+        ...issue,
+        createdAt: recoverTimestamp(issue.createdAt, issue.id),
+        reporterId: issue.reporterId || null,
+        reporterName: issue.reporterName || null,
+        comments: (issue.comments || []).map((c) => ({
+          ...c,
+          at: recoverTimestamp(c.at, c.id),
+          authorId: c.authorId || null,
+          authorName: c.authorName || null,
+        })),
+      };
+    },
+  },
+  {
+    // v2 -> v3: broadcasts become their own item type instead of the fake
+    // "Update" status; reports gain a status history
+    version: 3,
+    up(issue) {
+      if (issue.status === "Update") {
+        const broadcast = { ...issue, type: "broadcast" };
+        delete broadcast.status;
+        return broadcast;
+      }
+      return { ...issue, type: "issue", history: issue.history || [], duplicateOf: issue.duplicateOf || null };
+    },
+  },
+  {
+    // v3 -> v4: citizen support and duplicate merging on reports
+    version: 4,
+    up(issue) {
+      if (issue.type !== "issue") return issue;
+      return { ...issue, supporters: issue.supporters || [], mergedInto: issue.mergedInto || null };
+    },
+  },
+  {
+    // v4 -> v5: moderation state (flags, hidden/held, locked discussions) on
+    // every item and comment
+    version: 5,
+    up(issue) {
+      return {
+        ...issue,
+        flags: issue.flags || [],
+        hidden: Boolean(issue.hidden),
+        held: issue.held || null,
+        locked: Boolean(issue.locked),
+        moderationLog: issue.moderationLog || [],
+        comments: (issue.comments || []).map((c) => ({
+          ...c,
+          flags: c.flags || [],
+          hidden: Boolean(c.hidden),
+          held: c.held || null,
+        })),
+      };
+    },
+  },
+  {
+    // v5 -> v6: reports and broadcasts belong to a constituency; existing
+    // ones start unassigned
+    version: 6,
+    up(issue) {
+      return { ...issue, constituencyId: issue.constituencyId || null };
+    },
+  },
+  {
+    // v6 -> v7: threaded comments with reactions and author edits/deletes;
+    // reports can pin an official response
+    version: 7,
+    up(issue) {
+      return {
+        ...issue,
+        ...(issue.type === "issue" ? { officialResponseId: issue.officialResponseId || null } : {}),
+        comments: (issue.comments || []).map((c) => ({
+          ...c,
+          parentId: c.parentId || null,
+          editedAt: c.editedAt || null,
+          deleted: Boolean(c.deleted),
+          reactions: c.reactions || {},
+        })),
+      };
+    },
+  },
+  {
+    // v7 -> v8: a revision counter bumped on every write, used to merge live
+    // updates from other tabs and clients (see sync.js)
+    version: 8,
+    up(issue) {
+      return { ...issue, revision: issue.revision || 0 };
+    },
+  },
+  {
+    // v8 -> v9: the language a report or broadcast was written in, as a
+    // language tag; unknown for everything written before
+    version: 9,
+    up(issue) {
+      return { ...issue, language: issue.language || null };
+    },
+  },
+  {
+    // v9 -> v10: reports are assigned to the department or official that
+    // handles their category; existing ones start unassigned
+    version: 10,
+    up(issue) {
+      if (issue.type !== "issue") return issue;
+      return { ...issue, assignee: issue.assignee || null };
+    },
+  },
+  {
+    // v10 -> v11: the deadline alerts sent about a report (see sla.js)
+    version: 11,
+    up(issue) {
+      if (issue.type !== "issue") return issue;
+      return { ...issue, escalations: issue.escalations || [] };
+    },
+  },
+  {
+    // v11 -> v12: the reporter's ratings of each resolution (see feedback.js)
+    version: 12,
+    up(issue) {
+      if (issue.type !== "issue") return issue;
+      return { ...issue, feedback: issue.feedback || [] };
+    },
+  },
+  {
+    // v12 -> v13: broadcasts can be drafts, scheduled or retracted, and carry
+    // an audience, related reports and a change log (see broadcasts.js);
+    // existing ones were published to their category's followers
+    version: 13,
+    up(issue) {
+      if (issue.type !== "broadcast") return issue;
+      return {
+        ...issue,
+        state: issue.state || "published",
+        publishAt: issue.publishAt || null,
+        audience: issue.audience || "followers",
+        relatedIssueIds: issue.relatedIssueIds || [],
+        changes: issue.changes || [],
+      };
+    },
+  },
+  {
+    // v13 -> v14: polls join reports and broadcasts as a third item type (see
+    // polls.js); existing items are unchanged, but older apps must not load them
+    version: 14,
+    up(issue) {
+      return issue;
+    },
+  },
+];
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+const isTimestamp = (value) => typeof value === "string" && !Number.isNaN(Date.parse(value));
+
+// { kind: "department", name } or { kind: "official", userId, name }, plus
+// when and by whom it was assigned (see categories.js).
+function isValidAssignee(assignee) {
+  if (typeof assignee !== "object" || !isText(assignee.name) || !isTimestamp(assignee.at)) return false;
+  return assignee.kind === "department" || (assignee.kind === "official" && isText(assignee.userId));
+}
+
+// Location is optional: { address, lat, lng }. Coordinates may be null when
+// the reporter only typed an address, but then the address is required.
+function isValidReportLocation(loc) {
+  if (typeof loc !== "object" || typeof loc.address !== "string") return false;
+  if (loc.lat == null && loc.lng == null) return isText(loc.address);
+  return isValidLocation(loc);
+}
+
+// Returns a description of what is wrong with a current-version item (a
+// report, a broadcast or a poll), or null when it is valid.
+export function validateIssue(issue) {
+  if (!issue || typeof issue !== "object" || Array.isArray(issue)) return "not an object";
+  for (const field of ["id", "title", "description", "category"]) {
+    if (!isText(issue[field])) return `missing or empty "${field}"`;
+  }
+  if (issue.type === "issue") {
+    if (!STATUSES.includes(issue.status)) return `unknown status "${issue.status}"`;
+    if (!Array.isArray(issue.history)) return `"history" is not a list`;
+    if (!Array.isArray(issue.supporters) || !issue.supporters.every((id) => typeof id === "string")) {
+      return `"supporters" is not a list of account ids`;
+    }
+    if (issue.assignee !== null && !isValidAssignee(issue.assignee)) return `invalid "assignee"`;
+    if (!Array.isArray(issue.escalations)) return `"escalations" is not a list`;
+    if (!Array.isArray(issue.feedback)) return `"feedback" is not a list`;
+  } else if (issue.type === "broadcast") {
+    if (!BROADCAST_STATES.includes(issue.state)) return `unknown state "${issue.state}"`;
+    if (issue.state === "scheduled" && !isTimestamp(issue.publishAt)) return `invalid "publishAt"`;
+    if (!AUDIENCES.includes(issue.audience)) return `unknown audience "${issue.audience}"`;
+    if (!Array.isArray(issue.relatedIssueIds)) return `"relatedIssueIds" is not a list`;
+    if (!Array.isArray(issue.changes)) return `"changes" is not a list`;
+  } else if (issue.type === "poll") {
+    if (!Array.isArray(issue.questions) || issue.questions.length === 0) return `"questions" is not a non-empty list`;
+    for (const q of issue.questions) {
+      if (!q || !isText(q.id) || !isText(q.prompt) || !QUESTION_KINDS.includes(q.kind) || !Array.isArray(q.options)) {
+        return "contains a malformed question";
+      }
+    }
+    if (!isTimestamp(issue.opensAt) || !isTimestamp(issue.closesAt)) return `invalid "opensAt" or "closesAt"`;
+    if (!Array.isArray(issue.responses)) return `"responses" is not a list`;
+  } else {
+    return `unknown type "${issue.type}"`;
+  }
+  if (!isTimestamp(issue.createdAt)) return `invalid "createdAt"`;
+  if (!Number.isInteger(issue.revision) || issue.revision < 0) return `invalid "revision"`;
+  if (issue.constituencyId !== null && !isText(issue.constituencyId)) return `invalid "constituencyId"`;
+  if (issue.language !== null && !isLanguageTag(issue.language)) return `invalid "language"`;
+  if (!Array.isArray(issue.flags)) return `"flags" is not a list`;
+  if (!Array.isArray(issue.moderationLog)) return `"moderationLog" is not a list`;
+  if (issue.location != null && !isValidReportLocation(issue.location)) return `invalid "location"`;
+  const attachmentProblem = validateAttachments(issue.attachments);
+  if (attachmentProblem) return attachmentProblem;
+  if (!Array.isArray(issue.comments)) return `"comments" is not a list`;
+  for (const c of issue.comments) {
+    if (!c || typeof c !== "object" || !isText(c.id) || typeof c.text !== "string" || !isTimestamp(c.at)) {
+      return "contains a malformed comment";
+    }
+    if (validateAttachments(c.attachments)) return "contains a comment with malformed attachments";
+    if (!Array.isArray(c.flags)) return "contains a comment with malformed flags";
+    if (!c.reactions || typeof c.reactions !== "object" || Array.isArray(c.reactions)) {
+      return "contains a comment with malformed reactions";
+    }
+  }
+  return null;
+}
+
+// Upgrades `records` written with schema `version` to SCHEMA_VERSION.
+// Returns { issues, quarantined }, where each quarantined entry is
+// { record, reason, version } holding the record exactly as it was stored.
+export function upgradeIssues(records, version = 1) {
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Stored data uses schema v${version}, newer than this app (v${SCHEMA_VERSION}). Please update the app.`);
+  }
+  if (!Array.isArray(records)) {
+    return { issues: [], quarantined: [{ record: records, reason: "stored data is not a list", version }] };
+  }
+
+  const pending = MIGRATIONS.filter((m) => m.version > version);
+  const issues = [];
+  const quarantined = [];
+  const seen = new Set();
+
+  for (const record of records) {
+    let issue = record;
+    let reason = null;
+    try {
+      for (const migration of pending) issue = migration.up(issue);
+      reason = validateIssue(issue);
+    } catch (err) {
+      reason = `migration failed: ${err.message}`;
+    }
+    if (!reason && seen.has(issue.id)) reason = `duplicate id "${issue.id}"`;
+
+    if (reason) {
+      quarantined.push({ record, reason, version });
+    } else {
+      seen.add(issue.id);
+      issues.push(issue);
+    }
+  }
+  return { issues, quarantined };
+}
@@ -0,0 +1,151 @@
+// Searching, filtering, sorting and paging of the report list. The query is a
+// plain object so it can round-trip through the URL and be shared as a link.
+
+import { inBounds, inGeometry, isValidLocation, parseBounds } from "../utils/geo.js";
+import { supportCount } from "./support.js";
+import { inScope } from "./constituencies.js";
+import { isOverdue } from "./sla.js";
+
+export const PAGE_SIZE = 20;
+
+export const SORT_OPTIONS = {
+  newest: "Newest first",
+  oldest: "Oldest first",
+  discussed: "Most discussed",
+  supported: "Most supported",
+  updated: "Recently updated",
+};
+
+export const DEFAULT_QUERY = {
+  q: "",
+  status: "all", // a status, "broadcast", "poll", "overdue" (past an SLA deadline), or "all"
+  category: "all",
+  reporterRole: "all",
+  from: "", // YYYY-MM-DD, inclusive
+  to: "", // YYYY-MM-DD, inclusive
+  responded: "all", // "yes" | "no" | "all": has a Politician commented?
+  area: "", // "south,west,north,east" drawn on the map
+  ward: "", // ward name from the map's ward boundaries
+  constituency: "", // a constituency id, "all", or "" for the viewer's own scope
+  sort: "newest",
+  page: 1,
+};
+
+// Latest moment anything happened to an item: filed, commented on, or moved.
+export function lastActivity(item) {
+  let latest = item.createdAt;
+  for (const c of item.comments) if (c.at > latest) latest = c.at;
+  for (const h of item.history || []) if (h.at > latest) latest = h.at;
+  return latest;
+}
+
+export function hasPoliticianResponse(item) {
+  return item.comments.some((c) => c.role === "Politician");
+}
+
+function searchText(item) {
+  const prompts = (item.questions || []).map((q) => q.prompt);
+  return [item.title, item.description, ...prompts, ...item.comments.map((c) => c.text)].join("\n").toLowerCase();
+}
+
+// Whether `ymd` is a YYYY-MM-DD date that exists (no 31st of February).
+function isCalendarDay(ymd) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(ymd);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Local-midnight bounds so a date picked in the UI covers that whole day.
+function dayStart(ymd) {
+  return new Date(`${ymd}T00:00:00`).toISOString();
+}
+
+function dayEnd(ymd) {
+  return new Date(`${ymd}T23:59:59.999`).toISOString();
+}
+
+const COMPARATORS = {
+  newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  discussed: (a, b) => b.comments.length - a.comments.length || b.createdAt.localeCompare(a.createdAt),
+  supported: (a, b) => supportCount(b) - supportCount(a) || b.createdAt.localeCompare(a.createdAt),
+  updated: (a, b) => lastActivity(b).localeCompare(lastActivity(a)),
+};
+
+// Returns every item matching `query`, sorted; paging is left to paginate().
+// `wards` are the GeoJSON features the ward filter is resolved against, and
+// `scope` the constituency ids used when no constituency is picked;
+// `categories` and `now` (ISO) decide which reports are overdue.
+export function queryIssues(items, query, { wards = [], scope = [], categories = [], now = new Date().toISOString() } = {}) {
+  const terms = query.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const from = query.from ? dayStart(query.from) : null;
+  const to = query.to ? dayEnd(query.to) : null;
+  const area = parseBounds(query.area);
+  const ward = query.ward ? wards.find((w) => w.properties.name === query.ward) : null;
+
+  const matches = items.filter((it) => {
+    if ((query.status === "broadcast" || query.status === "poll") && it.type !== query.status) return false;
+    if (query.status === "overdue" && !isOverdue(it, categories, now)) return false;
+    if (!["all", "broadcast", "poll", "overdue"].includes(query.status) && (it.type !== "issue" || it.status !== query.status)) {
+      return false;
+    }
+    if (query.category !== "all" && it.category !== query.category) return false;
+    if (query.constituency === "" ? !inScope(it, scope) : query.constituency !== "all" && it.constituencyId !== query.constituency) {
+      return false;
+    }
+    if (query.reporterRole !== "all" && it.reporterRole !== query.reporterRole) return false;
+    if (from && it.createdAt < from) return false;
+    if (to && it.createdAt > to) return false;
+    if (query.responded !== "all" && hasPoliticianResponse(it) !== (query.responded === "yes")) return false;
+    if (area && !(isValidLocation(it.location) && inBounds(it.location, area))) return false;
+    if (ward && !(isValidLocation(it.location) && inGeometry(it.location, ward.geometry))) return false;
+    if (terms.length > 0) {
+      const text = searchText(it);
+      if (!terms.every((term) => text.includes(term))) return false;
+    }
+    return true;
+  });
+
+  return matches.sort(COMPARATORS[query.sort] || COMPARATORS.newest);
+}
+
+// Slices one page out of `items`, clamping the requested page into range.
+export function paginate(items, page, pageSize = PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), pageCount);
+  return {
+    items: items.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount,
+    total: items.length,
+  };
+}
+
+// --- URL round-tripping ---
+
+export function parseQuery(search) {
+  const params = new URLSearchParams(search);
+  const query = { ...DEFAULT_QUERY };
+  for (const key of Object.keys(DEFAULT_QUERY)) {
+    if (params.has(key)) query[key] = params.get(key);
+  }
+  query.page = Math.max(1, parseInt(query.page, 10) || 1);
+  if (!SORT_OPTIONS[query.sort]) query.sort = DEFAULT_QUERY.sort;
+  // A hand-edited link may carry any text; only real calendar days are kept
+  for (const key of ["from", "to"]) {
+    if (!isCalendarDay(query[key])) query[key] = DEFAULT_QUERY[key];
+  }
+  return query;
+}
+
+// Only non-default values are written, so the plain URL means "everything".
+export function serializeQuery(query) {
+  const params = new URLSearchParams();
+  for (const [key, fallback] of Object.entries(DEFAULT_QUERY)) {
+    if (query[key] !== fallback && query[key] !== "") params.set(key, query[key]);
+  }
+  const text = params.toString();
+  return text ? `?${text}` : "";
+}
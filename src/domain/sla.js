@@ -0,0 +1,150 @@
+// Service-level targets for reports and the escalation of overdue ones.
+// Shared by the client (deadlines, overdue badges and filter) and every
+// storage backend (the scheduled deadline check).
+//
+// A category may carry `sla: { acknowledgeDays, resolveDays, since }` (either
+// target may be null; `since` is when they were set, null on categories saved
+// before it was recorded). The clock starts when a report is filed and starts
+// again when it is reopened, but never before the targets were set, so giving
+// a category targets does not make its older reports overdue at once. Until
+// acknowledged, a report has to be acknowledged within
+// `acknowledgeDays`; until resolved (or rejected, or marked duplicate), it has
+// to be resolved within `resolveDays`.
+//
+// When a deadline passes, the Politicians and Moderators who serve the report
+// (and the official it is assigned to) are alerted; if it is still overdue
+// ADMIN_ESCALATION_DAYS later, the Admins are too. Reports record each alert
+// so it goes out once per cycle:
+//   item.escalations  [{ stage: "acknowledge" | "resolve", level: 1 | 2, since, at }]
+// where `since` is the start of the cycle it belongs to.
+
+import { DomainError } from "./errors.js";
+import { OPEN_STATUSES } from "./lifecycle.js";
+import { SCOPED_ROLES, serves } from "./constituencies.js";
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ADMIN_ESCALATION_DAYS = 3;
+
+// How often the backends check deadlines
+export const SLA_CHECK_MS = 5 * 60 * 1000;
+
+const STAGE_STATUSES = {
+  acknowledge: ["Open", "Reopened"],
+  resolve: OPEN_STATUSES,
+};
+
+// The most pressing stage first, for badges that show only one
+const STAGES = ["resolve", "acknowledge"];
+
+export function slaFor(categories, name) {
+  const category = categories.find((c) => c.name === name);
+  return (category && category.sla) || null;
+}
+
+// Validated targets for a category, or null when it has none. `previous` is
+// what the category had: unchanged targets keep its `since`, new ones start
+// from `now`.
+export function slaFields(sla, previous = null, now = new Date().toISOString()) {
+  if (!sla) return null;
+  const days = (value, label) => {
+    if (value === null || value === undefined || value === "") return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw new DomainError("invalid", `${label} must be a positive number of days.`);
+    return n;
+  };
+  const acknowledgeDays = days(sla.acknowledgeDays, "The acknowledgement target");
+  const resolveDays = days(sla.resolveDays, "The resolution target");
+  if (acknowledgeDays && resolveDays && resolveDays < acknowledgeDays) {
+    throw new DomainError("invalid", "The resolution target cannot be shorter than the acknowledgement target.");
+  }
+  if (!acknowledgeDays && !resolveDays) return null;
+  const unchanged = previous && previous.acknowledgeDays === acknowledgeDays && previous.resolveDays === resolveDays;
+  return { acknowledgeDays, resolveDays, since: unchanged ? previous.since || null : now };
+}
+
+// When the current cycle started: filing, or the latest reopening, or when
+// the category's targets `sla` were set if that came later.
+export function slaStart(issue, sla = null) {
+  const reopened = (issue.history || []).filter((h) => h.to === "Reopened").map((h) => h.at).sort();
+  const start = reopened.length > 0 ? reopened[reopened.length - 1] : issue.createdAt;
+  return sla && sla.since && sla.since > start ? sla.since : start;
+}
+
+// The deadlines still running for `issue`: { acknowledge, resolve }, each an
+// ISO timestamp or null when that stage is done or has no target.
+export function deadlines(issue, categories) {
+  const result = { acknowledge: null, resolve: null };
+  const sla = issue.type === "issue" ? slaFor(categories, issue.category) : null;
+  if (!sla) return result;
+  const start = Date.parse(slaStart(issue, sla));
+  for (const stage of STAGES) {
+    const days = sla[`${stage}Days`];
+    if (days && STAGE_STATUSES[stage].includes(issue.status)) result[stage] = new Date(start + days * DAY_MS).toISOString();
+  }
+  return result;
+}
+
+// Stages whose deadline had passed at `now`, the most pressing first.
+export function overdueStages(issue, categories, now) {
+  const due = deadlines(issue, categories);
+  return STAGES.filter((stage) => due[stage] && due[stage] <= now);
+}
+
+export function isOverdue(issue, categories, now) {
+  return overdueStages(issue, categories, now).length > 0;
+}
+
+// --- Escalation ---
+
+// Who a level 1 or level 2 alert about `item` goes to.
+export function escalationRecipients(item, level, users) {
+  if (level === 2) return users.filter((u) => u.role === "Admin");
+  const assigned = item.assignee && item.assignee.kind === "official" ? item.assignee.userId : null;
+  return users.filter((u) => (SCOPED_ROLES.includes(u.role) && serves(u, item)) || u.id === assigned);
+}
+
+// Alerts due for `item` at `now` that have not gone out in this cycle.
+function dueEscalations(item, categories, now) {
+  const since = slaStart(item, slaFor(categories, item.category));
+  const sent = (item.escalations || []).filter((e) => e.since === since);
+  const due = deadlines(item, categories);
+  const fresh = [];
+  for (const stage of STAGES) {
+    if (!due[stage]) continue;
+    const missed = Date.parse(due[stage]);
+    const levels = [[1, missed], [2, missed + ADMIN_ESCALATION_DAYS * DAY_MS]];
+    for (const [level, from] of levels) {
+      if (Date.parse(now) >= from && !sent.some((e) => e.stage === stage && e.level === level)) {
+        fresh.push({ stage, level, since, at: now });
+      }
+    }
+  }
+  return fresh;
+}
+
+// The scheduled check. Returns the reports that escalated at `now`, with
+// their new `escalations` (callers bump their revisions), and the
+// notification events to send. Held and hidden reports wait until a
+// moderator has dealt with them.
+export function escalateOverdue({ issues, categories, users }, now = new Date().toISOString()) {
+  const escalated = [];
+  const events = [];
+  for (const item of issues) {
+    if (item.type !== "issue" || item.hidden || item.held) continue;
+    const fresh = dueEscalations(item, categories, now);
+    if (fresh.length === 0) continue;
+    const updated = { ...item, escalations: [...(item.escalations || []), ...fresh] };
+    escalated.push(updated);
+    // One alert per level and person, about the most pressing stage that is late
+    const alerted = new Set();
+    for (const level of [1, 2]) {
+      const first = fresh.find((e) => e.level === level);
+      if (!first) continue;
+      const recipients = escalationRecipients(updated, level, users).map((u) => u.id).filter((id) => !alerted.has(id));
+      recipients.forEach((id) => alerted.add(id));
+      if (recipients.length > 0) events.push({ kind: "overdue", item: updated, actor: null, stage: first.stage, level, recipients });
+    }
+  }
+  return { escalated, events };
+}
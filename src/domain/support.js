@@ -0,0 +1,111 @@
+// Citizen support ("me too") for reports, and merging duplicate reports so
+// their supporters and discussion end up on the original.
+
+import { DomainError } from "./errors.js";
+import { OPEN_STATUSES, applyTransition } from "./lifecycle.js";
+import { can, permissionMessage } from "./permissions.js";
+import { requireServes } from "./constituencies.js";
+
+export function supportCount(issue) {
+  return (issue.supporters || []).length;
+}
+
+export function hasSupported(issue, user) {
+  return Boolean(user) && (issue.supporters || []).includes(user.id);
+}
+
+// Why `user` cannot support `issue`, or null when they can.
+export function supportProblem(issue, user) {
+  if (!user || !can(user.role, "issue:support")) return permissionMessage("issue:support");
+  if (issue.type !== "issue") return "Only reports can be supported.";
+  if (issue.status === "Duplicate") return "This report was merged into another one; support that report instead.";
+  if (issue.reporterId === user.id) return "You reported this issue, so your support is already counted.";
+  return null;
+}
+
+// Adds or withdraws `user`'s support. Supporting twice is a no-op, so each
+// citizen counts once however often the request is repeated.
+export function setSupport(issue, user, supported) {
+  const problem = supportProblem(issue, user);
+  if (problem) throw new DomainError(user && can(user.role, "issue:support") ? "invalid" : "forbidden", problem);
+  const others = (issue.supporters || []).filter((id) => id !== user.id);
+  return { ...issue, supporters: supported ? [...others, user.id] : others };
+}
+
+// Folds `duplicate` into `original`: the duplicate is marked Duplicate (if it
+// is not already), its reporter and supporters become supporters of the
+// original, and its comments are copied over tagged with `mergedFrom`. Their
+// attachments move with them, so each upload still belongs to one record.
+// Returns { duplicate, original } with both records updated.
+export function mergeIssues(duplicate, original, user, note = "", at = new Date().toISOString()) {
+  if (!user || !can(user.role, "issue:merge")) throw new DomainError("forbidden", permissionMessage("issue:merge"));
+  if (duplicate.id === original.id) throw new DomainError("invalid", "A report cannot be merged into itself.");
+  if (duplicate.type !== "issue" || original.type !== "issue") throw new DomainError("invalid", "Only reports can be merged.");
+  if (duplicate.mergedInto) throw new DomainError("conflict", "This report has already been merged.");
+  if (original.mergedInto) throw new DomainError("invalid", "Merge into the report that is still active, not into another duplicate.");
+  requireServes(user, duplicate);
+  requireServes(user, original);
+
+  let marked = duplicate;
+  if (duplicate.status !== "Duplicate" || duplicate.duplicateOf !== original.id) {
+    marked = applyTransition(duplicate, user, { to: "Duplicate", duplicateOf: original.id, note }, at);
+  }
+
+  const supporters = new Set(original.supporters || []);
+  for (const id of [duplicate.reporterId, ...(duplicate.supporters || [])]) {
+    if (id && id !== original.reporterId) supporters.add(id);
+  }
+
+  const movedId = (id) => `${id}-m${duplicate.id}`;
+  const copied = duplicate.comments.map((c) => ({
+    ...c,
+    id: movedId(c.id),
+    parentId: c.parentId ? movedId(c.parentId) : null, // Threads stay intact
+    mergedFrom: duplicate.id,
+  }));
+  const comments = [...original.comments, ...copied].sort((a, b) => a.at.localeCompare(b.at));
+
+  return {
+    duplicate: {
+      ...marked,
+      supporters: [],
+      mergedInto: original.id,
+      comments: marked.comments.map((c) => (c.attachments && c.attachments.length > 0 ? { ...c, attachments: [] } : c)),
+    },
+    original: {
+      ...original,
+      supporters: [...supporters],
+      comments,
+      history: [...original.history, {
+        id: `${Date.now()}-${original.history.length}`,
+        type: "merge",
+        from: original.status,
+        to: original.status,
+        at,
+        byId: user.id,
+        byName: user.displayName,
+        byRole: user.role,
+        note: note.trim() || null,
+        mergedFrom: duplicate.id,
+      }],
+    },
+  };
+}
+
+// Highest-supported open reports, grouped by category:
+// [{ category, issues: [...] }] sorted by each category's total support.
+export function topConcerns(items, perCategory = 3) {
+  const groups = new Map();
+  for (const it of items) {
+    if (it.type !== "issue" || !OPEN_STATUSES.includes(it.status)) continue;
+    if (!groups.has(it.category)) groups.set(it.category, []);
+    groups.get(it.category).push(it);
+  }
+  return [...groups.entries()]
+    .map(([category, list]) => ({
+      category,
+      total: list.reduce((sum, it) => sum + supportCount(it), 0),
+      issues: list.sort((a, b) => supportCount(b) - supportCount(a) || a.createdAt.localeCompare(b.createdAt)).slice(0, perCategory),
+    }))
+    .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category));
+}
@@ -0,0 +1,55 @@
+// Live sync between tabs and clients. Every stored report and broadcast
+// carries a `revision` that the storage backends bump on each write, so a
+// client holding copies from several sources (its own responses, live events,
+// full reloads) keeps whichever is newest instead of the last one to arrive.
+// Writes apply one operation to the latest stored record, so concurrent
+// comments, support and reactions all survive; only edits that replace text
+// can collide, and those carry the text they started from (`expected`).
+
+import { DomainError } from "./errors.js";
+
+// The record with its revision bumped; call on every write to a stored item.
+export function bumpRevision(item) {
+  return { ...item, revision: (item.revision || 0) + 1 };
+}
+
+// `list` with `incoming` in place of the stored copy, unless that copy is
+// already newer. Items not yet in the list are added at the front.
+export function upsertIssue(list, incoming) {
+  const existing = list.find((it) => it.id === incoming.id);
+  if (!existing) return [incoming, ...list];
+  if ((existing.revision || 0) > (incoming.revision || 0)) return list;
+  return list.map((it) => (it.id === incoming.id ? incoming : it));
+}
+
+// A freshly loaded list, keeping any local copy that is newer than the
+// loaded one (a response that arrived while the list was in flight).
+export function mergeIssueLists(current, loaded) {
+  const byId = new Map(current.map((it) => [it.id, it]));
+  return loaded.map((it) => {
+    const mine = byId.get(it.id);
+    return mine && (mine.revision || 0) > (it.revision || 0) ? mine : it;
+  });
+}
+
+// Rejects an edit when someone else changed the fields it replaces since the
+// editor loaded them. `expected` maps field names to the values the editor
+// saw; omitting it skips the check (imports, scripted edits).
+export function requireUnchanged(current, expected) {
+  if (!expected) return;
+  if (Object.keys(expected).some((k) => current[k] !== expected[k])) {
+    throw new DomainError("conflict", "Someone else changed this while you were editing. Review the latest version and try again.");
+  }
+}
+
+// The time a record made by a client is stored under. Client clocks are not
+// trusted, so the payload's date is only used when the record was made earlier
+// than it reaches the store (`trusted`: an Admin import, or a change queued
+// offline and sent from the outbox). Even then it is read as an ISO date no
+// later than `now` and no earlier than `earliest` (a comment's report); any
+// other write is stamped `now`.
+export function clientTimestamp(value, { trusted = false, earliest = null, now = new Date().toISOString() } = {}) {
+  const parsed = trusted ? Date.parse(value) : NaN;
+  const at = Number.isNaN(parsed) ? now : new Date(Math.min(parsed, Date.parse(now))).toISOString();
+  return earliest && at < earliest ? earliest : at;
+}
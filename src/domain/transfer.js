@@ -0,0 +1,259 @@
+// Export of reports to CSV/JSON and validation of bulk imports, shared by the
+// Admin data screen and both storage backends.
+//
+// Exports include each report's comments and status history (as readable
+// text in CSV, as full records in JSON). Imports accept the same CSV columns,
+// or a JSON list of objects, and are checked row by row before anything is
+// saved; accepted rows are then created like any other report, carrying an
+// `imported` marker ({ status, reporterName }) that only Admins may send.
+
+import { STATUSES } from "./lifecycle.js";
+import { isLanguageTag } from "../i18n/languages.js";
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Statuses an imported report may start in; duplicates need a live original
+const IMPORT_STATUSES = STATUSES.filter((s) => s !== "Duplicate");
+
+export const EXPORT_COLUMNS = [
+  "id", "title", "description", "category", "language", "status", "createdAt",
+  "reporterName", "reporterRole", "address", "lat", "lng", "supporters", "comments", "history",
+];
+
+// --- CSV ---
+
+// Cells starting with these are formulas to spreadsheet apps; prefix them
+// with an apostrophe so exported text can never run as one.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+// RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines.
+// Returns a list of rows, each a list of cell strings.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("The CSV file ends inside a quoted field.");
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// --- Export ---
+
+function commentsText(item) {
+  return item.comments.map((c) => `${c.at} ${c.authorName || c.role} (${c.role}): ${c.text}`).join("\n");
+}
+
+function historyText(item) {
+  return (item.history || [])
+    .map((h) => `${h.at} ${h.from} -> ${h.to} by ${h.byName || h.byRole}${h.note ? `: ${h.note}` : ""}`)
+    .join("\n");
+}
+
+export function exportCsv(items) {
+  const rows = items.filter((it) => it.type === "issue").map((it) => ({
+    ...it,
+    address: it.location ? it.location.address : "",
+    lat: it.location && it.location.lat != null ? it.location.lat : "",
+    lng: it.location && it.location.lng != null ? it.location.lng : "",
+    supporters: (it.supporters || []).length,
+    comments: commentsText(it),
+    history: historyText(it),
+  }));
+  return toCsv(rows, EXPORT_COLUMNS);
+}
+
+export function exportJson(items) {
+  return JSON.stringify(items.filter((it) => it.type === "issue"), null, 2);
+}
+
+// --- Import ---
+
+// Turns a CSV or JSON file into plain row objects with lower-case keys.
+export function readImportFile(text, fileName) {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`The file is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(parsed)) throw new Error("A JSON import must be a list of reports.");
+    return parsed.map((row) => {
+      if (!row || typeof row !== "object") return {};
+      // Our own JSON export nests the location; flatten it like the CSV columns
+      const { location, ...rest } = row;
+      const flat = location && typeof location === "object" ? { ...location, ...rest } : rest;
+      return Object.fromEntries(Object.entries(flat).map(([k, v]) => [k.toLowerCase(), v]));
+    });
+  }
+  const [header, ...lines] = parseCsv(text);
+  if (!header) throw new Error("The file is empty.");
+  const keys = header.map((h) => h.trim().toLowerCase());
+  // Undo the apostrophe csvCell() puts in front of formula-like cells
+  const unescape = (cell) => cell.replace(/^'(?=[=+\-@\t\r])/, "");
+  return lines.map((cells) => Object.fromEntries(keys.map((k, i) => [k, unescape(cells[i] ?? "")])));
+}
+
+function text(value) {
+  return value === null || value === undefined ? "" : String(value).trim();
+}
+
+function pick(row, ...keys) {
+  for (const k of keys) {
+    if (text(row[k]) !== "") return row[k];
+  }
+  return "";
+}
+
+function duplicateKey(title, createdAt) {
+  return `${title.toLowerCase().replace(/\s+/g, " ")}|${createdAt.slice(0, 10)}`;
+}
+
+// Validates one row. Returns { fields, errors } where fields are the
+// arguments for creating the report: { title, description, category,
+// language, location, createdAt, imported: { status, reporterName } }.
+export function validateImportRow(row, now = new Date().toISOString()) {
+  const errors = [];
+  const title = text(pick(row, "title"));
+  const description = text(pick(row, "description"));
+  const category = text(pick(row, "category")) || "General";
+  const language = text(pick(row, "language")) || null;
+  const status = text(pick(row, "status")) || "Open";
+  const date = text(pick(row, "createdat", "created_at", "date"));
+  const address = text(pick(row, "address"));
+  const lat = text(pick(row, "lat", "latitude"));
+  const lng = text(pick(row, "lng", "lon", "longitude"));
+
+  if (!title) errors.push("title is required");
+  if (!description) errors.push("description is required");
+  if (!IMPORT_STATUSES.includes(status)) errors.push(`unknown status "${status}"`);
+  if (language && !isLanguageTag(language)) errors.push(`"${language}" is not a language tag such as "en" or "es-MX"`);
+
+  let createdAt = now;
+  if (date) {
+    const parsed = Date.parse(date);
+    if (Number.isNaN(parsed)) errors.push(`cannot read the date "${date}"`);
+    else if (parsed > Date.parse(now)) errors.push("the date is in the future");
+    else createdAt = new Date(parsed).toISOString();
+  }
+
+  let location = null;
+  if (lat || lng) {
+    const coords = { lat: Number(lat), lng: Number(lng) };
+    if (!lat || !lng || Number.isNaN(coords.lat) || Number.isNaN(coords.lng) || Math.abs(coords.lat) > 90 || Math.abs(coords.lng) > 180) {
+      errors.push("lat/lng must both be valid coordinates");
+    } else {
+      location = { address, ...coords };
+    }
+  } else if (address) {
+    location = { address, lat: null, lng: null };
+  }
+
+  return {
+    fields: {
+      title,
+      description,
+      category,
+      language,
+      location,
+      createdAt,
+      imported: { status, reporterName: text(pick(row, "reportername", "reporter")) || null },
+    },
+    errors,
+  };
+}
+
+// Checks every row of an import against each other and against `existing`
+// items. Returns [{ line, fields, errors, duplicateOf }] where duplicateOf is
+// the id of a report with the same title on the same day ("row N" when the
+// clash is with an earlier row of the same file).
+export function prepareImport(rows, existing, now = new Date().toISOString()) {
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`At most ${MAX_IMPORT_ROWS} rows can be imported at once; this file has ${rows.length}.`);
+  }
+  const known = new Map();
+  for (const it of existing) {
+    if (it.type === "issue") known.set(duplicateKey(it.title, it.createdAt), it.id);
+  }
+
+  return rows.map((row, i) => {
+    const { fields, errors } = validateImportRow(row, now);
+    const line = i + 2; // Spreadsheet row number, counting the header
+    let duplicateOf = null;
+    if (errors.length === 0) {
+      const key = duplicateKey(fields.title, fields.createdAt);
+      duplicateOf = known.get(key) || null;
+      if (!duplicateOf) known.set(key, `row ${line}`);
+    }
+    return { line, fields, errors, duplicateOf };
+  });
+}
+
+// Record fields for an imported report, applied by the storage backends in
+// place of the reporter stamp and automatic screening of a normal submission.
+// A starting status other than Open is recorded as an import step in history.
+export function importedIssueFields(imported, user, at = new Date().toISOString()) {
+  const status = IMPORT_STATUSES.includes(imported.status) ? imported.status : "Open";
+  return {
+    status,
+    held: null,
+    reporterId: null,
+    reporterName: text(imported.reporterName) || "Imported",
+    reporterRole: "Citizen",
+    history: status === "Open" ? [] : [{
+      id: `${Date.now()}-0`,
+      from: "Open",
+      to: status,
+      at,
+      byId: user.id,
+      byName: user.displayName,
+      byRole: user.role,
+      note: "Imported",
+      duplicateOf: null,
+    }],
+  };
+}
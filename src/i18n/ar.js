@@ -0,0 +1,893 @@
+// Arabic interface text (see en.js for the full key list). Arabic is written
+// right to left; setLanguage() switches the page direction to match.
+
+export default {
+  "app.title": "منصة المواطنين والسياسيين",
+  "app.language": "اللغة",
+  "app.loggedInAs": "تم تسجيل الدخول باسم:",
+  "app.logOut": "تسجيل الخروج",
+  "app.homeConstituency": "الدائرة الانتخابية للسكن...",
+  "app.homeConstituencyTitle": "دائرتك الانتخابية: تُعرض بلاغاتها وإعلاناتها افتراضيًا",
+  "app.offline": "أنت غير متصل بالإنترنت.",
+  "app.offlineLocal": "يُحفظ كل شيء في هذا المتصفح.",
+  "app.offlineQueued": "تُحفظ البلاغات والتعليقات والإعلانات وتغييرات الحالة الجديدة هنا وتُرسل عند عودة الاتصال.",
+  "app.error": "خطأ: {message}",
+  "app.flagged": "شكرًا. سيراجع أحد المشرفين ما أبلغت عنه.",
+  "app.itemDeleted": "تم حذف هذا العنصر منذ ذلك الحين.",
+
+  "a11y.skipToDetails": "الانتقال إلى تفاصيل البلاغ",
+  "a11y.highContrast": "تباين عالٍ",
+  "a11y.reportSubmitted": "تم إرسال البلاغ.",
+  "a11y.commentAdded": "تمت إضافة التعليق.",
+  "a11y.broadcastPosted": "تم نشر الإعلان.",
+  "a11y.broadcastSaved": "حُفظ البث كمسودة.",
+  "a11y.broadcastScheduled": "جُدول البث في {date}.",
+  "a11y.pollCreated": "بدأ الاستطلاع.",
+  "a11y.pollResponded": "تم تسجيل ردك.",
+  "a11y.statusChanged": "تغيرت الحالة إلى {status}.",
+
+  "submit.heading": "إرسال مشكلة أو ملاحظة",
+  "submit.intro": "أبلغ عن مشكلة مدنية أو قدّم ملاحظة عامة.",
+  "submit.unavailable": "غير متاح لغير المواطنين.",
+  "submit.citizensOnly": "نموذج البلاغ متاح فقط لمستخدمي **المواطن**.",
+  "submit.logIn": "سجّل الدخول بصفة **مواطن** لإرسال بلاغ.",
+  "updates.heading": "آخر المستجدات والبلاغات المفتوحة",
+  "updates.empty": "لا توجد مستجدات أو بلاغات بعد.",
+  "reports.heading": "جميع البلاغات العامة",
+  "reports.byline": "{date} بواسطة {name}",
+  "reports.awaitingReview": "⏳ بانتظار المراجعة",
+  "reports.hidden": "🚫 مخفي",
+  "reports.empty": "لا توجد بلاغات تطابق معايير التصفية.",
+  "map.heading": "خريطة المشكلات",
+  "map.intro": "البلاغات المفتوحة المطابقة لعوامل التصفية أعلاه، ملوّنة حسب الحالة. انقر على علامة لعرضها.",
+  "detail.heading": "تفاصيل البلاغ / النقاش",
+  "detail.empty": "اختر بلاغًا من القائمة لعرض التفاصيل والمشاركة.",
+  "broadcast.heading": "نشر إعلان عام (سياسي)",
+  "broadcast.intro": "يمكن لدور **السياسي** فقط نشر مستجدات عامة لمواطني الدوائر التي يمثلها.",
+  "moderation.heading": "قائمة الإشراف",
+  "moderation.intro": "المحتوى المُبلّغ عنه والمشاركات التي أوقفها المرشّح التلقائي.",
+  "concerns.heading": "أبرز المخاوف حسب الفئة",
+  "concerns.intro": "البلاغات المفتوحة الأكثر تأييدًا من المواطنين.",
+  "analytics.heading": "لوحة التحليلات",
+  "analytics.intro": "كيف تُعالج البلاغات: اتجاهات الحالة وأوقات الاستجابة والأعمال المتراكمة.",
+  "satisfaction.heading": "رضا المواطنين",
+  "satisfaction.intro": "كيف قيّم مقدمو البلاغات معالجة بلاغاتهم، وكم مرة اعترضوا عليها.",
+  "transfer.heading": "التصدير والاستيراد (المسؤول)",
+  "transfer.intro": "نزّل البلاغات المطابقة لعوامل التصفية الحالية، أو حمّل بلاغات من نظام آخر.",
+  "users.heading": "حسابات المستخدمين (المسؤول)",
+  "users.intro": "عيّن دورًا لكل حساب. تسري التغييرات عند الإجراء التالي للحساب.",
+  "constituencies.heading": "الدوائر الانتخابية (المسؤول)",
+  "constituencies.intro": "ينتمي كل بلاغ إلى دائرة انتخابية واحدة. عيّن السياسيين والمشرفين لها من حسابات المستخدمين.",
+  "categories.heading": "الفئات (المسؤول)",
+  "categories.intro": "الفئات المتاحة عند الإبلاغ والنشر. تُسند البلاغات الجديدة إلى القسم أو المسؤول الذي يتولى فئتها.",
+
+  "modal.title": "مطلوب تفويض",
+  "modal.close": "فهمت",
+
+  "form.titlePlaceholder": "عنوان قصير وواضح (مثل: أعمدة إنارة معطلة في الشارع الرئيسي)",
+  "form.title": "العنوان",
+  "form.description": "الوصف",
+  "form.descriptionPlaceholder": "وصف مفصل للمشكلة أو الملاحظة",
+  "form.category": "الفئة",
+  "form.constituency": "الدائرة الانتخابية",
+  "form.selectConstituency": "اختر دائرة انتخابية...",
+  "form.chooseConstituency": "اختر الدائرة الانتخابية التي ينتمي إليها هذا البلاغ.",
+  "form.language": "لغة الكتابة",
+  "form.submit": "إرسال بلاغ جديد",
+  "form.clear": "مسح",
+
+  "issue.reportedBy": "أبلغ عنه",
+  "issue.postedBy": "نشره",
+  "issue.allConstituencies": "جميع الدوائر الانتخابية",
+  "issue.noConstituency": "لم تُحدد دائرة انتخابية",
+  "issue.assignedTo": "مُسند إلى {name}",
+  "issue.assignedToDepartment": "مُسند إلى قسم {name}",
+  "issue.routedByCategory": "حسب الفئة",
+  "issue.reassignedBy": "أعاد {name} إسناده في {date}",
+  "issue.unassigned": "لم يُسند إلى أحد بعد",
+  "sla.overdue": "متأخر",
+  "sla.acknowledgeOverdue": "تأخر الإقرار بالاستلام",
+  "sla.resolveOverdue": "تأخرت المعالجة",
+  "sla.acknowledgeBy": "الإقرار بالاستلام قبل {date}",
+  "sla.resolveBy": "المعالجة قبل {date}",
+  "sla.escalatedOfficials": "{stage}: نُبّه المسؤولون المعنيون في {date}",
+  "sla.escalatedAdmins": "{stage}: نُبّه مسؤولو النظام في {date}",
+  "issue.follow": "🔔 متابعة",
+  "issue.unfollow": "🔕 إلغاء المتابعة",
+  "issue.followTitle": "تلقَّ إشعارات بتغييرات الحالة والتعليقات الجديدة",
+  "issue.unfollowTitle": "إيقاف الإشعارات حول هذا العنصر",
+  "issue.writtenIn": "🌐 مكتوب بـ{language}",
+  "issue.held": "⏳ محجوز لمراجعة المشرف ({reason}). لا يراه إلا أنت والمشرفون حتى تتم الموافقة عليه.",
+  "issue.hiddenNote": "🚫 أخفاه أحد المشرفين. لا يراه إلا المشرفون.",
+  "issue.outOfArea": "هذا خارج الدوائر التي تمثلها، لذا تُترك تغييرات الحالة والإشراف لممثليها.",
+  "issue.duplicateOf": "مكرر لـ",
+  "issue.deletedReport": "بلاغ محذوف",
+  "issue.description": "الوصف:",
+  "issue.editedBy": "عدّله {name} ({role}) في {date}: {reason}",
+  "issue.pinnedLocation": "الموقع المحدد",
+  "issue.support": "▲ أنا أيضًا",
+  "issue.supported": "✓ تم التأييد",
+  "issue.supportTitle": "هذا يؤثر عليّ أيضًا",
+  "issue.withdrawTitle": "سحب تأييدك",
+  "issue.supporters.zero": "لا يؤيد أي مواطن هذا البلاغ",
+  "issue.supporters.one": "يؤيد مواطن واحد هذا البلاغ",
+  "issue.supporters.two": "يؤيد مواطنان هذا البلاغ",
+  "issue.supporters.few": "يؤيد {count} مواطنين هذا البلاغ",
+  "issue.supporters.many": "يؤيد {count} مواطنًا هذا البلاغ",
+  "issue.supporters.other": "يؤيد {count} مواطن هذا البلاغ",
+  "issue.statusHistory": "سجل الحالة",
+  "issue.discussion": "النقاش ({count})",
+  "issue.locked": "🔒 أغلقه أحد المشرفين",
+  "issue.officialResponse": "🏛 رد رسمي من",
+  "issue.relatedUpdates": "📣 تحديثات حول هذا البلاغ",
+  "issue.openUpdate": "فتح التحديث",
+  "issue.noComments": "لا توجد تعليقات بعد. كن أول من يشارك!",
+  "issue.respondAs": "الرد بصفة {role}...",
+  "issue.logInToComment": "سجّل الدخول للانضمام إلى النقاش.",
+  "issue.commentLabel": "تعليقك",
+  "issue.addComment": "إضافة تعليق",
+  "issue.delete": "حذف (المسؤول)",
+  "issue.deleteTitle": "إجراء المسؤول: حذف هذا البلاغ نهائيًا.",
+
+  "broadcast.message": "نص الإعلان",
+  "broadcast.placeholder": "اكتب إعلانًا عامًا للمواطنين...",
+  "broadcast.politiciansOnly": "يمكن للسياسي فقط نشر المستجدات.",
+  "broadcast.denied": "تم رفض الوصول: {reason} الدور الحالي: {role}",
+  "broadcast.noAudience": "لم يتم تعيينك في أي دائرة انتخابية قائمة، لذا لا يوجد من يُرسل إليه الإعلان.",
+  "broadcast.audienceTitle": "لمن هذا الإعلان",
+  "broadcast.post": "نشر الإعلان",
+  "broadcast.notAllowed": "غير مسموح",
+  "broadcast.postTitle": "إرسال الإعلان إلى جميع المستخدمين.",
+  "broadcast.notAuthorized": "غير مصرح لك بإرسال الإعلانات.",
+  "broadcast.notifies": "من يتم إشعاره",
+  "broadcast.notifyFollowers": "متابعو الفئة",
+  "broadcast.notifyResidents": "جميع سكان الدائرة",
+  "broadcast.publishAt": "موعد النشر (اتركه فارغًا للنشر الآن)",
+  "broadcast.schedule": "جدولة البث",
+  "broadcast.saveDraft": "حفظ كمسودة",
+  "broadcast.drafts": "مسوداتك والبث المجدول",
+  "broadcast.scheduledFor": "مجدول في {date}",
+  "poll.heading": "بدء استطلاع أو استشارة (سياسي)",
+  "poll.intro": "اطرح سؤالًا على المواطنين: أضف أسئلة اختيار أو نص حر وحدد موعد فتح الردود وإغلاقها. يرد كل مواطن مرة واحدة دون الكشف عن هويته، وتُحدَّث النتائج مباشرة.",
+
+  "sync.pending.one": "⏳ في انتظار المزامنة",
+  "sync.pending.two": "⏳ في انتظار المزامنة (تغييران)",
+  "sync.pending.few": "⏳ في انتظار المزامنة ({count} تغييرات)",
+  "sync.pending.many": "⏳ في انتظار المزامنة ({count} تغييرًا)",
+  "sync.pending.other": "⏳ في انتظار المزامنة ({count} تغيير)",
+  "sync.failed": "⚠ لم يُحفظ {change}: {error}",
+  "sync.report": "البلاغ",
+  "sync.broadcast": "الإعلان",
+  "sync.comment": "التعليق",
+  "sync.statusChange": "تغيير الحالة",
+  "sync.change": "التغيير",
+  "sync.retry": "إعادة المحاولة",
+  "sync.discard": "تجاهل",
+
+  "auth.username": "اسم المستخدم",
+  "auth.displayName": "الاسم المعروض",
+  "auth.displayNamePlaceholder": "الاسم المعروض (يظهر على بلاغاتك)",
+  "auth.password": "كلمة المرور",
+  "auth.logIn": "تسجيل الدخول",
+  "auth.createAccount": "إنشاء الحساب",
+  "auth.register": "إنشاء حساب",
+  "auth.haveAccount": "لدي حساب",
+  "auth.registerHint": "تبدأ الحسابات الجديدة بدور مواطن؛ ويمكن للمسؤول إسناد أدوار أخرى.",
+  "auth.loginHint": "تصفح كزائر، أو سجّل الدخول لتقديم البلاغات والتعليق.",
+  "pagination.showing": "عرض {first}–{last} من {total}",
+  "pagination.page": "الصفحة {page} من {count}",
+  "pagination.previous": "السابق",
+  "pagination.next": "التالي",
+  "concerns.empty": "لا توجد بلاغات مفتوحة بعد.",
+  "concerns.supporters.one": "مؤيد واحد",
+  "concerns.supporters.two": "مؤيدان",
+  "concerns.supporters.few": "{count} مؤيدين",
+  "concerns.supporters.many": "{count} مؤيدًا",
+  "concerns.supporters.other": "{count} مؤيد",
+  "timeline.reported": "تم الإبلاغ",
+  "timeline.asStatus": "بحالة {status}",
+  "timeline.merged": "تم الدمج",
+  "timeline.mergedDuplicate": "البلاغ المكرر «{title}»",
+  "timeline.duplicateOf": "لـ«{title}»",
+  "attachments.close": "إغلاق",
+  "flag.open": "⚑ إبلاغ",
+  "flag.title": "أبلغ المشرفين عن هذا",
+  "flag.flagged": "⚑ أبلغت عن هذا",
+  "flag.reason": "سبب الإبلاغ",
+  "flag.details": "التفاصيل",
+  "flag.detailsPlaceholder": "التفاصيل (اختياري)",
+  "flag.submit": "إبلاغ",
+  "flag.cancel": "إلغاء",
+  "flagReason.abusive": "مسيء",
+  "flagReason.spam": "رسائل مزعجة",
+  "flagReason.off-topic": "خارج الموضوع",
+  "queue.empty": "لا يوجد شيء بانتظار المراجعة.",
+  "queue.commentOn": "تعليق على «{title}»",
+  "queue.held": "⏳ محتجز: {reason}",
+  "queue.open": "فتح",
+  "queue.keepTitle": "تجاهل الإبلاغات وإبقاء المحتوى ظاهرًا",
+  "queue.approve": "موافقة",
+  "queue.keep": "إبقاء",
+  "merge.title": "ضم مؤيدي هذا البلاغ وتعليقاته إلى بلاغ آخر",
+  "merge.open": "دمج في بلاغ آخر",
+  "merge.intro": "سيُضاف مؤيدو هذا البلاغ وتعليقاته إلى البلاغ الذي تختاره، وسيُعلَّم هذا البلاغ بأنه مكرر.",
+  "merge.into": "البلاغ الأصلي المراد الدمج فيه",
+  "merge.select": "اختر البلاغ الأصلي...",
+  "merge.notePlaceholder": "ملاحظة (اختيارية)",
+  "merge.note": "ملاحظة",
+  "merge.submit": "دمج",
+  "merge.cancel": "إلغاء",
+  "map.label": "خريطة. استخدم مفاتيح الأسهم للتحريك و+ أو - للتكبير والتصغير.",
+  "map.zoomIn": "تكبير",
+  "map.zoomOut": "تصغير",
+  "map.cancelDrawing": "إلغاء الرسم",
+  "map.drawArea": "رسم منطقة",
+  "map.clearArea": "مسح المنطقة",
+  "map.ward": "الحي",
+  "map.allWards": "كل الأحياء",
+  "map.drawHint": "اسحب على الخريطة لتحديد منطقة؛ ستعرض القائمة البلاغات الواقعة داخلها فقط.",
+  "commentModeration.text": "نص التعليق",
+  "commentModeration.hideReason": "سبب الإخفاء (مطلوب)",
+  "commentModeration.editReason": "سبب التعديل (مطلوب)",
+  "commentModeration.reason": "السبب",
+  "commentModeration.hide": "إخفاء",
+  "commentModeration.save": "حفظ",
+  "commentModeration.cancel": "إلغاء",
+  "commentModeration.approve": "موافقة",
+  "commentModeration.restore": "استعادة",
+  "commentModeration.edit": "تعديل",
+  "attachments.attach": "إرفاق ملفات",
+  "attachments.remove": "إزالة {name}",
+  "location.unsupported": "لا يستطيع هذا المتصفح مشاركة موقعه. اختر المكان على الخريطة بدلًا من ذلك.",
+  "location.failed": "تعذّر الحصول على موقعك: {message}",
+  "location.label": "الموقع (اختياري)",
+  "location.placeholder": "عنوان الشارع أو معلم قريب",
+  "location.locating": "جارٍ تحديد الموقع...",
+  "location.useMine": "استخدام موقعي",
+  "location.hideMap": "إخفاء الخريطة",
+  "location.pickOnMap": "الاختيار على الخريطة",
+  "location.clearPin": "إزالة الدبوس",
+  "location.mapHint": "انقر على الخريطة لوضع دبوس.",
+  "location.pin": "موقع البلاغ",
+  "filters.search": "البحث في البلاغات",
+  "filters.searchPlaceholder": "ابحث في العناوين والأوصاف والتعليقات...",
+  "filters.status": "الحالة:",
+  "filters.all": "الكل",
+  "filters.overdue": "متأخرة",
+  "filters.broadcasts": "الإعلانات",
+  "filters.polls": "الاستطلاعات",
+  "filters.category": "الفئة:",
+  "filters.constituency": "الدائرة:",
+  "filters.mine": "دائرتي",
+  "filters.reporter": "المُبلِّغ:",
+  "filters.anyRole": "أي دور",
+  "filters.response": "الرد:",
+  "filters.any": "أي",
+  "filters.responded": "ردّ السياسي",
+  "filters.awaiting": "بانتظار الرد",
+  "filters.from": "من:",
+  "filters.to": "إلى:",
+  "filters.sort": "الترتيب:",
+  "filters.reset": "إعادة ضبط",
+  "sort.newest": "الأحدث أولًا",
+  "sort.oldest": "الأقدم أولًا",
+  "sort.discussed": "الأكثر نقاشًا",
+  "sort.supported": "الأكثر تأييدًا",
+  "sort.updated": "المحدَّثة مؤخرًا",
+  "transition.Acknowledged": "تأكيد الاستلام",
+  "transition.In Progress": "تعليم قيد التنفيذ",
+  "transition.Resolved": "تعليم كمحلول",
+  "transition.Closed": "إغلاق",
+  "transition.Rejected": "رفض",
+  "transition.Duplicate": "تعليم كمكرر",
+  "transition.Reopened": "إعادة فتح",
+  "transition.moveTo": "نقل هذا البلاغ إلى «{status}»",
+  "transition.confirmIntro": "{action}: سينتقل البلاغ إلى {status}.",
+  "transition.original": "البلاغ الأصلي",
+  "transition.selectOriginal": "اختر البلاغ الأصلي...",
+  "transition.noteRequired": "ملاحظة (مطلوبة): اشرح هذا القرار",
+  "transition.noteOptional": "ملاحظة (اختيارية)",
+  "transition.note": "ملاحظة",
+  "transition.confirm": "تأكيد",
+  "transition.cancel": "إلغاء",
+  "notifications.title": "الإشعارات",
+  "notifications.markAllRead": "تعليم الكل كمقروء",
+  "notifications.back": "رجوع",
+  "notifications.settings": "الإعدادات",
+  "notifications.followed": "الفئات المتابَعة (البلاغات الجديدة والتعليقات وتغييرات الحالة والإعلانات):",
+  "notifications.noCategories": "لا توجد فئات بعد.",
+  "notifications.emailPlaceholder": "راسلني أيضًا على (اختياري)",
+  "notifications.email": "بريد الإشعارات",
+  "notifications.save": "حفظ",
+  "notifications.emailHint": "لا تُرسل الرسائل إلا إذا كان للخادم مُرحِّل بريد مُعَد.",
+  "notifications.empty": "لا شيء بعد. تابع بلاغًا أو فئة لتصلك التغييرات.",
+  "notice.report": "بلاغ جديد في {category} من {who}: «{title}».",
+  "notice.status": "غيّر {who} حالة «{title}» من {from} إلى {to}.",
+  "notice.comment": "علّق {who} على «{title}».",
+  "notice.official": "نشر {who} الرد الرسمي على «{title}».",
+  "notice.broadcast": "إعلان جديد في {category} من {who}.",
+  "notice.retract": "سحب {who} إعلانًا في {category}.",
+  "notice.poll": "يطلب {who} رأيك: «{title}».",
+  "notice.merge": "دمج {who} بلاغًا مكررًا في «{title}».",
+  "notice.assign": "أسند {who} «{title}» إلى {assignee}.",
+  "notice.unassign": "ألغى {who} إسناد «{title}».",
+  "notice.rate": "حدّد {who} بلاغك «{title}» على أنه محلول. هل حُلّت المشكلة؟ قيّم الحل.",
+  "notice.disputed": "اعترض {who} على حل «{title}»، وأُعيد فتحه.",
+  "notice.confirmed": "أكّد {who} حل «{title}» ({rating}/5).",
+  "notice.overdueAcknowledge": "لم يُستلم «{title}» في الوقت المحدد.",
+  "notice.overdueResolve": "لم يُحل «{title}» في الوقت المحدد.",
+  "notice.escalatedAcknowledge": "لم يُستلم «{title}» في الوقت المحدد وصُعّد إلى المسؤولين.",
+  "notice.escalatedResolve": "لم يُحل «{title}» في الوقت المحدد وصُعّد إلى المسؤولين.",
+  "notice.updated": "تم تحديث «{title}».",
+  "comment.official": "الرد الرسمي",
+  "comment.edited": "معدَّل",
+  "comment.editedAt": "عُدِّل في {date}",
+  "comment.merged": "من بلاغ مكرر مدموج",
+  "comment.held": "بانتظار المراجعة ({reason})",
+  "comment.hidden": "مخفي",
+  "comment.moderatorEdited": "عدّله مشرف",
+  "comment.deleted": "حذف كاتبُ التعليق تعليقَه.",
+  "comment.unreact": "إزالة تفاعلك",
+  "comment.react": "تفاعل",
+  "comment.addReaction": "إضافة تفاعل",
+  "comment.reply": "رد",
+  "comment.edit": "تعديل",
+  "comment.delete": "حذف",
+  "comment.unpinOfficial": "إلغاء تثبيت الرد الرسمي",
+  "comment.markOfficial": "تعليم كرد رسمي",
+  "comment.confirmDelete": "حذف هذا التعليق؟ تبقى الردود عليه.",
+  "comment.cancel": "إلغاء",
+  "comment.replyPlaceholder": "الرد على {author}...",
+  "comment.replyTo": "الرد على {author}",
+  "comment.editLabel": "عدّل تعليقك",
+  "comment.save": "حفظ",
+  "transfer.tooLarge": "«{name}» أكبر من 5 ميغابايت.",
+  "transfer.exportCsv": "تصدير CSV ({count})",
+  "transfer.exportJson": "تصدير JSON",
+  "transfer.import": "استيراد بلاغات (CSV أو JSON)",
+  "transfer.file": "ملف CSV أو JSON للاستيراد",
+  "transfer.columns": "الأعمدة: title وdescription (مطلوبان)، category، status، createdAt، reporterName، address، lat، lng. يمكن استيراد ملف مُصدَّر من هذا التطبيق كما هو.",
+  "transfer.rowError": "الصف {line}: {error}",
+  "transfer.row": "الصف",
+  "transfer.title": "العنوان",
+  "transfer.date": "التاريخ",
+  "transfer.status": "الحالة",
+  "transfer.check": "التحقق",
+  "transfer.duplicateOfRow": "مكرر للصف {line}",
+  "transfer.duplicateOfExisting": "مكرر لبلاغ موجود",
+  "transfer.ok": "سليم",
+  "transfer.includeDuplicates": "استيراد المكررات أيضًا",
+  "transfer.importing": "جارٍ الاستيراد...",
+  "transfer.cancel": "إلغاء",
+  "constituencies.namePlaceholder": "اسم الدائرة (مثل الحي الشمالي)",
+  "constituencies.name": "الاسم",
+  "constituencies.descriptionPlaceholder": "الوصف (اختياري)",
+  "constituencies.description": "الوصف",
+  "constituencies.add": "إضافة دائرة",
+  "constituencies.empty": "لا توجد دوائر بعد. إلى أن تُضاف دائرة، تشكّل كل البلاغات مجموعة واحدة.",
+  "constituencies.confirmRemove": "إزالة {name}؟",
+  "constituencies.accountsLose": "تفقد الحسابات التي تخدمها هذا التكليف.",
+  "constituencies.remove": "إزالة",
+  "constituencies.cancel": "إلغاء",
+  "constituencies.save": "حفظ",
+  "constituencies.edit": "تعديل",
+  "moderation.lock": "قفل النقاش",
+  "moderation.unlock": "فتح النقاش",
+  "moderation.approve": "موافقة",
+  "moderation.restore": "استعادة",
+  "moderation.hide": "إخفاء",
+  "moderation.edit": "تعديل",
+  "moderation.title": "العنوان",
+  "moderation.description": "الوصف",
+  "moderation.constituency": "الدائرة",
+  "moderation.unassigned": "بلا دائرة",
+  "moderation.category": "الفئة",
+  "moderation.hideReason": "سبب الإخفاء (مطلوب)",
+  "moderation.editReason": "سبب التعديل، يظهر للجميع (مطلوب)",
+  "moderation.reason": "السبب",
+  "moderation.saveEdit": "حفظ التعديل",
+  "moderation.cancel": "إلغاء",
+  "users.roleOf": "دور {name}",
+  "users.serves": "يخدم:",
+  "users.allConstituencies": "(كل الدوائر)",
+  "users.empty": "لا توجد حسابات بعد.",
+  "analytics.period": "الفترة",
+  "analytics.range30": "آخر 30 يومًا",
+  "analytics.range90": "آخر 90 يومًا",
+  "analytics.range365": "آخر 12 شهرًا",
+  "analytics.category": "الفئة",
+  "analytics.allCategories": "كل الفئات",
+  "analytics.filed": "البلاغات المقدَّمة",
+  "analytics.firstResponse": "وسيط زمن الرد الأول",
+  "analytics.resolution": "وسيط زمن الحل",
+  "analytics.stillOpen": "ما زالت مفتوحة",
+  "analytics.statusOverTime": "الحالة عبر الزمن",
+  "analytics.aging": "أعمار المتأخرات (البلاغات غير المنجزة)",
+  "analytics.reports": "البلاغات",
+  "analytics.byCategory": "حسب الفئة ({range})",
+  "analytics.firstResponseShort": "الرد الأول",
+  "analytics.resolutionShort": "الحل",
+  "analytics.mostDiscussed": "الأكثر نقاشًا",
+  "analytics.noDiscussions": "لا نقاشات في هذه الفترة.",
+  "age.< 1 week": "< أسبوع",
+  "age.1-4 weeks": "1-4 أسابيع",
+  "age.1-3 months": "1-3 أشهر",
+  "age.> 3 months": "> 3 أشهر",
+  "attachments.tooMany.zero": "لا يمكنك إرفاق ملفات.",
+  "attachments.tooMany.one": "يمكنك إرفاق ملف واحد.",
+  "attachments.tooMany.two": "يمكنك إرفاق ملفين كحد أقصى.",
+  "attachments.tooMany.few": "يمكنك إرفاق {count} ملفات كحد أقصى.",
+  "attachments.tooMany.many": "يمكنك إرفاق {count} ملفًا كحد أقصى.",
+  "attachments.tooMany.other": "يمكنك إرفاق {count} ملف كحد أقصى.",
+  "attachments.uploading.zero": "لا شيء قيد الرفع...",
+  "attachments.uploading.one": "جارٍ رفع ملف واحد...",
+  "attachments.uploading.two": "جارٍ رفع ملفين...",
+  "attachments.uploading.few": "جارٍ رفع {count} ملفات...",
+  "attachments.uploading.many": "جارٍ رفع {count} ملفًا...",
+  "attachments.uploading.other": "جارٍ رفع {count} ملف...",
+  "attachments.limits.zero": "صور أو PDF",
+  "attachments.limits.one": "صور أو PDF، ملف واحد حتى {size}",
+  "attachments.limits.two": "صور أو PDF، حتى ملفين بحجم {size}",
+  "attachments.limits.few": "صور أو PDF، حتى {count} ملفات بحجم {size}",
+  "attachments.limits.many": "صور أو PDF، حتى {count} ملفًا بحجم {size}",
+  "attachments.limits.other": "صور أو PDF، حتى {count} ملف بحجم {size}",
+  "map.count.zero": "لا بلاغات مفتوحة على الخريطة",
+  "map.count.one": "بلاغ مفتوح واحد على الخريطة",
+  "map.count.two": "بلاغان مفتوحان على الخريطة",
+  "map.count.few": "{count} بلاغات مفتوحة على الخريطة",
+  "map.count.many": "{count} بلاغًا مفتوحًا على الخريطة",
+  "map.count.other": "{count} بلاغ مفتوح على الخريطة",
+  "notifications.unread.zero": "الإشعارات، لا شيء غير مقروء",
+  "notifications.unread.one": "الإشعارات، واحد غير مقروء",
+  "notifications.unread.two": "الإشعارات، اثنان غير مقروءين",
+  "notifications.unread.few": "الإشعارات، {count} غير مقروءة",
+  "notifications.unread.many": "الإشعارات، {count} غير مقروء",
+  "notifications.unread.other": "الإشعارات، {count} غير مقروء",
+  "comment.reactions.zero": "لا تفاعلات",
+  "comment.reactions.one": "تفاعل واحد",
+  "comment.reactions.two": "تفاعلان",
+  "comment.reactions.few": "{count} تفاعلات",
+  "comment.reactions.many": "{count} تفاعلًا",
+  "comment.reactions.other": "{count} تفاعل",
+  "transfer.imported.zero": "لم يُستورد أي بلاغ.",
+  "transfer.imported.one": "استُورد بلاغ واحد.",
+  "transfer.imported.two": "استُورد بلاغان.",
+  "transfer.imported.few": "استُوردت {count} بلاغات.",
+  "transfer.imported.many": "استُورد {count} بلاغًا.",
+  "transfer.imported.other": "استُورد {count} بلاغ.",
+  "transfer.rows.zero": "لا صفوف",
+  "transfer.rows.one": "صف واحد",
+  "transfer.rows.two": "صفان",
+  "transfer.rows.few": "{count} صفوف",
+  "transfer.rows.many": "{count} صفًا",
+  "transfer.rows.other": "{count} صف",
+  "transfer.invalid.zero": "لا أخطاء",
+  "transfer.invalid.one": "واحد به أخطاء",
+  "transfer.invalid.two": "اثنان بهما أخطاء",
+  "transfer.invalid.few": "{count} بها أخطاء",
+  "transfer.invalid.many": "{count} بها أخطاء",
+  "transfer.invalid.other": "{count} بها أخطاء",
+  "transfer.duplicates.zero": "لا مكررات محتملة",
+  "transfer.duplicates.one": "مكرر محتمل واحد",
+  "transfer.duplicates.two": "مكرران محتملان",
+  "transfer.duplicates.few": "{count} مكررات محتملة",
+  "transfer.duplicates.many": "{count} مكررًا محتملًا",
+  "transfer.duplicates.other": "{count} مكرر محتمل",
+  "transfer.importCount.zero": "لا بلاغات للاستيراد",
+  "transfer.importCount.one": "استيراد بلاغ واحد",
+  "transfer.importCount.two": "استيراد بلاغين",
+  "transfer.importCount.few": "استيراد {count} بلاغات",
+  "transfer.importCount.many": "استيراد {count} بلاغًا",
+  "transfer.importCount.other": "استيراد {count} بلاغ",
+  "constituencies.unassigned.zero": "لا بلاغات فيها.",
+  "constituencies.unassigned.one": "سيصبح بلاغها الوحيد بلا دائرة.",
+  "constituencies.unassigned.two": "سيصبح بلاغاها بلا دائرة.",
+  "constituencies.unassigned.few": "ستصبح بلاغاتها الـ{count} بلا دائرة.",
+  "constituencies.unassigned.many": "ستصبح بلاغاتها الـ{count} بلا دائرة.",
+  "constituencies.unassigned.other": "ستصبح بلاغاتها الـ{count} بلا دائرة.",
+  "constituencies.reports.zero": "لا بلاغات",
+  "constituencies.reports.one": "بلاغ واحد",
+  "constituencies.reports.two": "بلاغان",
+  "constituencies.reports.few": "{count} بلاغات",
+  "constituencies.reports.many": "{count} بلاغًا",
+  "constituencies.reports.other": "{count} بلاغ",
+  "analytics.responded.zero": "لا ردود",
+  "analytics.responded.one": "واحد تلقى ردًا",
+  "analytics.responded.two": "اثنان تلقيا ردًا",
+  "analytics.responded.few": "{count} تلقت ردًا",
+  "analytics.responded.many": "{count} تلقت ردًا",
+  "analytics.responded.other": "{count} تلقت ردًا",
+  "analytics.resolved.zero": "لا شيء محلول",
+  "analytics.resolved.one": "واحد محلول",
+  "analytics.resolved.two": "اثنان محلولان",
+  "analytics.resolved.few": "{count} محلولة",
+  "analytics.resolved.many": "{count} محلولًا",
+  "analytics.resolved.other": "{count} محلول",
+  "duration.minutes.one": "{count} د",
+  "duration.minutes.other": "{count} د",
+  "duration.hours.one": "{count} س",
+  "duration.hours.other": "{count} س",
+  "duration.days.one": "يوم واحد",
+  "duration.days.two": "يومان",
+  "duration.days.few": "{count} أيام",
+  "duration.days.many": "{count} يومًا",
+  "duration.days.other": "{count} يوم",
+
+  "categories.add": "إضافة فئة",
+  "categories.icon": "الرمز",
+  "categories.name": "اسم الفئة",
+  "categories.namePlaceholder": "اسم الفئة (مثل الحدائق)",
+  "categories.color": "لون الشارة",
+  "categories.description": "الوصف",
+  "categories.descriptionPlaceholder": "وصف يظهر عند الإبلاغ (اختياري)",
+  "categories.owner": "تتولاها",
+  "categories.notRouted": "غير موجَّهة",
+  "categories.aDepartment": "إدارة…",
+  "categories.department": "اسم الإدارة",
+  "categories.acknowledgeDays": "تأكيد الاستلام خلال (أيام)",
+  "categories.resolveDays": "الحل خلال (أيام)",
+  "categories.save": "حفظ",
+  "categories.cancel": "إلغاء",
+  "categories.confirmRemove": "إزالة {name}؟",
+  "categories.remove": "إزالة",
+  "categories.edit": "تعديل",
+  "categories.lastOne": "يجب أن تبقى فئة واحدة على الأقل.",
+  "categories.routedTo": "موجَّهة إلى {name}",
+  "categories.routedToDepartment": "موجَّهة إلى {name} (إدارة)",
+  "categories.noDeadlines": "بلا مهل",
+  "assignee.reassign": "إعادة الإسناد",
+  "assignee.assignTo": "إسناد إلى",
+  "assignee.unassigned": "غير مُسنَد",
+  "assignee.departments": "الإدارات",
+  "assignee.officials": "المسؤولون",
+  "assignee.notePlaceholder": "ملاحظة للسجل (اختيارية)",
+  "assignee.note": "ملاحظة",
+  "assignee.assign": "إسناد",
+  "assignee.cancel": "إلغاء",
+  "categories.keepName.zero": "لن يعود بالإمكان اختيارها.",
+  "categories.keepName.one": "يحتفظ بلاغها الوحيد باسم الفئة والمسؤول، لكن لن يعود بالإمكان اختيارها.",
+  "categories.keepName.two": "يحتفظ بلاغاها باسم الفئة والمسؤول، لكن لن يعود بالإمكان اختيارها.",
+  "categories.keepName.few": "تحتفظ بلاغاتها الـ{count} باسم الفئة والمسؤول، لكن لن يعود بالإمكان اختيارها.",
+  "categories.keepName.many": "تحتفظ بلاغاتها الـ{count} باسم الفئة والمسؤول، لكن لن يعود بالإمكان اختيارها.",
+  "categories.keepName.other": "تحتفظ بلاغاتها الـ{count} باسم الفئة والمسؤول، لكن لن يعود بالإمكان اختيارها.",
+  "categories.acknowledgeIn.one": "تأكيد الاستلام خلال يوم",
+  "categories.acknowledgeIn.two": "تأكيد الاستلام خلال يومين",
+  "categories.acknowledgeIn.few": "تأكيد الاستلام خلال {count} أيام",
+  "categories.acknowledgeIn.many": "تأكيد الاستلام خلال {count} يومًا",
+  "categories.acknowledgeIn.other": "تأكيد الاستلام خلال {count} يوم",
+  "categories.resolveIn.one": "الحل خلال يوم",
+  "categories.resolveIn.two": "الحل خلال يومين",
+  "categories.resolveIn.few": "الحل خلال {count} أيام",
+  "categories.resolveIn.many": "الحل خلال {count} يومًا",
+  "categories.resolveIn.other": "الحل خلال {count} يوم",
+  "categories.reports.zero": "لا بلاغات",
+  "categories.reports.one": "بلاغ واحد",
+  "categories.reports.two": "بلاغان",
+  "categories.reports.few": "{count} بلاغات",
+  "categories.reports.many": "{count} بلاغًا",
+  "categories.reports.other": "{count} بلاغ",
+
+  "feedback.confirmed": "أكّد المُبلِّغ الحل",
+  "feedback.confirmedBy": "أكّد المُبلِّغ الحل الذي قدّمه {name}",
+  "feedback.disputed": "اعترض المُبلِّغ على الحل",
+  "feedback.disputedBy": "اعترض المُبلِّغ على الحل الذي قدّمه {name}",
+  "feedback.stars": "{rating} من 5",
+  "feedback.prompt": "عُلِّم بلاغك بأنه محلول. هل أُصلحت المشكلة؟",
+  "feedback.rate": "قيّم الحل",
+  "feedback.yes": "نعم، أُصلحت",
+  "feedback.no": "لا، أعد فتحه",
+  "feedback.whatIsWrong": "ما الذي ما زال خاطئًا؟ (مطلوب)",
+  "feedback.comments": "تعليقات (اختيارية)",
+  "feedback.note": "ملاحظة التقييم",
+  "feedback.dispute": "اعتراض وإعادة فتح",
+  "feedback.send": "إرسال التقييم",
+  "satisfaction.empty": "لم يُقيَّم أي حل بعد.",
+  "satisfaction.average": "متوسط التقييم",
+  "satisfaction.averageShort": "المتوسط",
+  "satisfaction.outOfFive": "{average} / 5",
+  "satisfaction.confirmedFixed": "أُكِّد إصلاحها",
+  "satisfaction.confirmed": "مؤكدة",
+  "satisfaction.disputed": "معترَض عليها",
+  "satisfaction.reopened": "أعاد المُبلِّغ فتحها",
+  "satisfaction.byCategory": "حسب الفئة",
+  "satisfaction.category": "الفئة",
+  "satisfaction.byPolitician": "حسب السياسي",
+  "satisfaction.politician": "السياسي",
+  "satisfaction.noPoliticians": "لم يُقيَّم أي حل قدّمه سياسي بعد.",
+  "satisfaction.rated": "المُقيَّمة",
+  "satisfaction.ratedCount.zero": "لا تقييمات",
+  "satisfaction.ratedCount.one": "تقييم واحد",
+  "satisfaction.ratedCount.two": "تقييمان",
+  "satisfaction.ratedCount.few": "{count} تقييمات",
+  "satisfaction.ratedCount.many": "{count} تقييمًا",
+  "satisfaction.ratedCount.other": "{count} تقييم",
+  "satisfaction.reports.zero": "لا بلاغات",
+  "satisfaction.reports.one": "بلاغ واحد",
+  "satisfaction.reports.two": "بلاغان",
+  "satisfaction.reports.few": "{count} بلاغات",
+  "satisfaction.reports.many": "{count} بلاغًا",
+  "satisfaction.reports.other": "{count} بلاغ",
+
+  "broadcast.draftNote": "مسودة: لا يراها غيرك حتى تُنشر.",
+  "broadcast.scheduledNote": "مجدول في {date}: لا يراه غيرك حتى ذلك الحين.",
+  "broadcast.retractedOn": "سحبه {name} في {date}.",
+  "broadcast.retractedWithReason": "سحبه {name} في {date}: {reason}",
+  "broadcast.notifiesWho": "يُبلَّغ: {audience}",
+  "broadcast.editedAt": "عُدِّل في {date}",
+  "broadcast.about": "بشأن:",
+  "broadcast.edit": "تعديل",
+  "broadcast.publishNow": "النشر الآن",
+  "broadcast.discard": "تجاهل",
+  "broadcast.retract": "سحب",
+  "broadcast.retractIntro": "عند السحب يبقى الإعلان في القائمة موسومًا بأنه مسحوب، ويُبلَّغ جمهوره.",
+  "broadcast.retractReasonPlaceholder": "سبب السحب (اختياري)",
+  "broadcast.reason": "السبب",
+  "broadcast.cancel": "إلغاء",
+  "broadcast.history": "سجل التغييرات ({count})",
+  "broadcast.retracted": "مسحوب",
+  "broadcast.edited": "معدَّل",
+  "broadcast.previously": "سابقًا: «{text}»",
+  "broadcast.alsoChanged": "تغيّر أيضًا: {fields}",
+  "broadcast.category": "الفئة",
+  "broadcast.publishAtDraft": "وقت النشر (اتركه فارغًا للإبقاء عليه مسودة)",
+  "broadcast.editReasonPlaceholder": "ما الذي تغيّر ولماذا (اختياري، يظهر في السجل)",
+  "broadcast.editReason": "سبب التعديل",
+  "broadcast.saveChanges": "حفظ التغييرات",
+  "broadcast.saveAndSchedule": "حفظ وجدولة",
+  "broadcastField.category": "الفئة",
+  "broadcastField.language": "اللغة",
+  "broadcastField.constituencyId": "الدائرة",
+  "broadcastField.audience": "الجمهور",
+  "broadcastField.relatedIssueIds": "البلاغات المرتبطة",
+  "related.fallbackTitle": "بلاغ {id}",
+  "related.remove": "إزالة {title}",
+  "related.placeholder": "اربط بلاغات ذات صلة: ابحث بالعنوان...",
+  "related.search": "البحث عن بلاغات ذات صلة",
+  "related.matching": "البلاغات المطابقة",
+  "related.none": "لا بلاغات مطابقة.",
+
+  "poll.kindSingle": "اختيار واحد",
+  "poll.kindMultiple": "اختيار متعدد",
+  "poll.kindText": "نص حر",
+  "poll.title": "عنوان الاستطلاع",
+  "poll.titlePlaceholder": "عمّ تسأل؟",
+  "poll.description": "وصف الاستطلاع",
+  "poll.descriptionPlaceholder": "خلفية للمواطنين: ما الذي يُقرَّر وكيف ستُستخدم الإجابات",
+  "poll.question": "السؤال {number}",
+  "poll.prompt": "السؤال",
+  "poll.questionKind": "نوع السؤال {number}",
+  "poll.options": "الخيارات، خيار في كل سطر",
+  "poll.questionOptions": "خيارات السؤال {number}، خيار في كل سطر",
+  "poll.removeQuestion": "إزالة السؤال",
+  "poll.addQuestion": "+ إضافة سؤال",
+  "poll.category": "الفئة",
+  "poll.audience": "لمن الاستطلاع",
+  "poll.allConstituencies": "كل الدوائر",
+  "poll.opensAt": "يُفتح (فارغ للآن)",
+  "poll.closesAt": "يُغلق",
+  "poll.start": "بدء الاستطلاع",
+  "poll.upcoming": "يُفتح في {opens} ويُغلق في {closes}",
+  "poll.openUntil": "مفتوح للردود حتى {date}",
+  "poll.closedAt": "أُغلق في {date}",
+  "poll.youResponded": "✅ رددت في {date}.",
+  "poll.closeNow": "إغلاق الاستطلاع الآن",
+  "poll.results": "النتائج",
+  "poll.resultsSoFar": "النتائج حتى الآن",
+  "poll.exportCsv": "تصدير CSV",
+  "poll.severalAllowed": "يُسمح بعدة إجابات",
+  "poll.answerPlaceholder": "إجابتك (اختيارية)",
+  "poll.submit": "إرسال الرد",
+  "poll.once": "يمكنك الرد مرة واحدة؛ والردود مجهولة الهوية.",
+  "poll.optionCount": "{count} ({percent})",
+  "poll.noWritten": "لا إجابات مكتوبة بعد.",
+  "poll.responses.zero": "لا ردود",
+  "poll.responses.one": "رد واحد",
+  "poll.responses.two": "ردّان",
+  "poll.responses.few": "{count} ردود",
+  "poll.responses.many": "{count} ردًا",
+  "poll.responses.other": "{count} رد",
+  "poll.answered.zero": "لم يُجب أحد",
+  "poll.answered.one": "أجاب شخص واحد",
+  "poll.answered.two": "أجاب شخصان",
+  "poll.answered.few": "أجاب {count} أشخاص",
+  "poll.answered.many": "أجاب {count} شخصًا",
+  "poll.answered.other": "أجاب {count} شخص",
+  "poll.showWritten.one": "عرض إجابة مكتوبة واحدة",
+  "poll.showWritten.two": "عرض إجابتين مكتوبتين",
+  "poll.showWritten.few": "عرض {count} إجابات مكتوبة",
+  "poll.showWritten.many": "عرض {count} إجابة مكتوبة",
+  "poll.showWritten.other": "عرض {count} إجابة مكتوبة",
+
+  "error.editConflict": "غيّر شخص آخر هذا أثناء تعديلك. راجع أحدث نسخة وحاول مرة أخرى.",
+  "error.commentAlreadyDeleted": "حُذف هذا التعليق من قبل.",
+  "error.alreadyMerged": "دُمج هذا البلاغ من قبل.",
+  "error.alreadyFlagged": "لقد أبلغت عن هذا من قبل.",
+  "error.alreadyRated": "لقد قيّمت هذا الحل من قبل.",
+  "error.categoryExists": "توجد فئة باسم «{name}» بالفعل.",
+  "error.constituencyExists": "توجد دائرة باسم «{name}» بالفعل.",
+  "error.usernameTaken": "اسم المستخدم «{name}» مستخدم بالفعل.",
+  "error.reportExists": "البلاغ {id} موجود بالفعل.",
+  "error.broadcastExists": "الإعلان {id} موجود بالفعل.",
+  "error.pollExists": "الاستطلاع {id} موجود بالفعل.",
+  "error.commentExists": "التعليق {id} موجود بالفعل.",
+  "error.rateOwnOnly": "لا يقيّم حل هذا البلاغ إلا المواطن الذي قدّمه.",
+  "error.closePollOwnOnly": "لا يغلق هذا الاستطلاع إلا السياسي الذي بدأه.",
+  "error.broadcastOwnOnly": "لا يغيّر هذا الإعلان إلا السياسي الذي كتبه.",
+  "error.broadcastScope": "لا يمكنك الإعلان إلا للدوائر التي تخدمها.",
+  "error.deleteOwnComments": "لا يمكنك حذف إلا تعليقاتك.",
+  "error.editOwnComments": "لا يمكنك تعديل إلا تعليقاتك.",
+  "error.constituencyScope": "ينتمي هذا البلاغ إلى دائرة لا تخدمها.",
+  "error.flagOwn": "لا يمكنك الإبلاغ عن محتواك.",
+  "error.permission.issueCreate": "لا يرسل البلاغات الجديدة إلا المستخدمون المواطنون.",
+  "error.permission.commentCreate": "سجّل الدخول للمشاركة في النقاش.",
+  "error.permission.commentReact": "سجّل الدخول للتفاعل مع التعليقات.",
+  "error.permission.commentOfficial": "لا يحدد الرد الرسمي إلا دور السياسي.",
+  "error.permission.notificationRead": "سجّل الدخول لمتابعة البلاغات ورؤية إشعاراتك.",
+  "error.permission.contentFlag": "لا يبلّغ عن المحتوى إلا المستخدمون المواطنون أو السياسيون.",
+  "error.permission.contentModerate": "لا يشرف على المحتوى إلا المشرفون أو المسؤولون.",
+  "error.permission.issueEdit": "لا يعدّل البلاغات إلا المشرفون أو المسؤولون.",
+  "error.permission.issueAssign": "لا يعيد إسناد البلاغات إلا المشرفون أو المسؤولون.",
+  "error.permission.issueDelete": "لا يحذف البلاغات إلا المسؤولون.",
+  "error.permission.issueSupport": "لا يدعم البلاغات إلا المستخدمون المواطنون.",
+  "error.permission.issueMerge": "لا يدمج البلاغات المكررة إلا السياسيون أو المشرفون أو المسؤولون.",
+  "error.permission.insightsView": "لا يطّلع على إحصاءات البلاغات إلا السياسيون أو المشرفون أو المسؤولون.",
+  "error.permission.broadcastCreate": "لا ينشر الإعلانات العامة إلا دور السياسي.",
+  "error.permission.pollCreate": "لا يبدأ الاستطلاعات إلا دور السياسي.",
+  "error.permission.pollRespond": "لا يجيب عن الاستطلاعات إلا المستخدمون المواطنون.",
+  "error.permission.reportsExport": "لا يصدّر البلاغات إلا المسؤولون.",
+  "error.permission.reportsImport": "لا يستورد البلاغات إلا المسؤولون.",
+  "error.permission.userManage": "لا يدير الحسابات إلا المسؤولون.",
+  "error.permission.constituencyManage": "لا يدير الدوائر إلا المسؤولون.",
+  "error.permission.categoryManage": "لا يدير الفئات إلا المسؤولون.",
+  "error.permission.feedbackSummary": "لا يطّلع على ملخص الرضا إلا المسؤولون.",
+  "error.broadcastStatus": "ليس للإعلانات حالة.",
+  "error.transition": "لا يمكن نقل البلاغ من «{from}» إلى «{to}».",
+  "error.only.acknowledge": "لا يستلم هذا البلاغ إلا السياسي أو المشرف أو المسؤول.",
+  "error.only.inProgress": "لا يحدد هذا البلاغ قيد التنفيذ إلا السياسي أو المسؤول.",
+  "error.only.resolved": "لا يحدد هذا البلاغ محلولًا إلا السياسي أو المسؤول.",
+  "error.only.close": "لا يغلق هذا البلاغ إلا السياسي أو المشرف أو المسؤول أو مقدّم البلاغ.",
+  "error.only.reject": "لا يرفض هذا البلاغ إلا السياسي أو المشرف أو المسؤول.",
+  "error.only.duplicate": "لا يحدد هذا البلاغ مكررًا إلا السياسي أو المشرف أو المسؤول.",
+  "error.only.reopen": "لا يعيد فتح هذا البلاغ إلا السياسي أو المشرف أو المسؤول أو مقدّم البلاغ.",
+  "error.noteReject": "يلزم توضيح السبب لرفض البلاغ.",
+  "error.noteReopen": "يلزم توضيح السبب لإعادة فتح البلاغ.",
+  "error.chooseOriginal": "اختر البلاغ الأصلي الذي يكرره هذا البلاغ.",
+  "error.issueFields": "لا يمكن ترك العنوان والوصف والفئة فارغة.",
+  "error.chooseConstituency": "اختر الدائرة التي ينتمي إليها هذا البلاغ.",
+  "error.unknownCategory": "فئة غير معروفة «{category}».",
+  "error.reportNotFound": "لم يُعثر على البلاغ {id}.",
+  "error.broadcastNotFound": "لم يُعثر على الإعلان {id}.",
+  "error.pollNotFound": "لم يُعثر على الاستطلاع {id}.",
+  "error.commentNotFound": "لم يُعثر على التعليق {id}.",
+  "error.reportGone": "البلاغ {id} لم يعد موجودًا.",
+  "error.broadcastGone": "الإعلان {id} لم يعد موجودًا.",
+  "error.notOffline": "البلاغ {id} غير متاح دون اتصال.",
+  "error.mergeSelf": "لا يمكن دمج البلاغ في نفسه.",
+  "error.mergeIntoActive": "ادمج في البلاغ الذي لا يزال نشطًا، لا في بلاغ مكرر آخر.",
+  "error.mergeReportsOnly": "لا يُدمج إلا البلاغات.",
+  "error.mergeBothExist": "يجب أن يكون البلاغان موجودين لدمجهما.",
+  "error.assignReportsOnly": "لا يُسند إلا البلاغات.",
+  "error.assigneeRoles": "لا تُسند البلاغات إلا لحسابات السياسيين أو المشرفين أو المسؤولين.",
+  "error.commentEmpty": "لا يمكن أن يكون نص التعليق فارغًا.",
+  "error.commentDeleted": "حُذف هذا التعليق.",
+  "error.commentNotPublic": "هذا التعليق غير ظاهر للعامة.",
+  "error.replyDeleted": "لا يمكنك الرد على تعليق محذوف.",
+  "error.locked": "أغلق مشرف هذا النقاش.",
+  "error.broadcastRetracted": "سُحب هذا الإعلان.",
+  "error.broadcastUnpublished": "لم يُنشر هذا الإعلان بعد.",
+  "error.officialPolitician": "لا يكون الرد الرسمي إلا تعليقًا لسياسي.",
+  "error.officialReportsOnly": "الرد الرسمي للبلاغات فقط.",
+  "error.supportReportsOnly": "لا يُدعم إلا البلاغات.",
+  "error.supportDuplicate": "دُمج هذا البلاغ في بلاغ آخر؛ ادعم ذلك البلاغ بدلًا منه.",
+  "error.supportOwn": "أنت من أبلغ عن هذه المشكلة، لذا دعمك محسوب بالفعل.",
+  "error.nothingChanged": "لم يتغير شيء.",
+  "error.hideReason": "اذكر سببًا لإخفاء هذا المحتوى.",
+  "error.editReason": "اذكر سببًا للتعديل؛ يظهر مع المحتوى.",
+  "error.rating": "اختر تقييمًا من 1 إلى 5.",
+  "error.rateResolved": "لا يُقيّم إلا البلاغ المحلول.",
+  "error.rateReportsOnly": "لا يُقيّم إلا البلاغات.",
+  "error.feedbackFixed": "اذكر ما إذا حُلّت المشكلة.",
+  "error.disputeComment": "أخبرنا بما لا يزال خاطئًا للاعتراض على الحل.",
+  "error.broadcastMessage": "يحتاج الإعلان إلى رسالة.",
+  "error.broadcastWhen": "اختر موعد نشر الإعلان.",
+  "error.broadcastPast": "لا يُجدول الإعلان إلا لوقت في المستقبل.",
+  "error.retractedBroadcast": "لا يمكن تغيير إعلان مسحوب.",
+  "error.retractPublished": "لا يُسحب إلا الإعلان المنشور؛ احذف المسودة بدلًا من ذلك.",
+  "error.retractNotDelete": "اسحب الإعلان المنشور بدلًا من حذفه.",
+  "error.retractNotUnpublish": "اسحب الإعلان المنشور بدلًا من إلغاء نشره.",
+  "error.pollTitle": "يحتاج الاستطلاع إلى عنوان.",
+  "error.pollDescription": "اذكر موضوع الاستطلاع.",
+  "error.pollQuestions": "يحتاج الاستطلاع إلى سؤال واحد على الأقل.",
+  "error.pollMaxQuestions": "يمكن أن يضم الاستطلاع {max} أسئلة على الأكثر.",
+  "error.questionPrompt": "يحتاج السؤال {number} إلى نص.",
+  "error.questionOptions": "يحتاج السؤال {number} إلى خيارين على الأقل.",
+  "error.questionOptionsMax": "يضم السؤال {number} أكثر من {max} خيارات.",
+  "error.questionRepeats": "يكرر السؤال {number} أحد الخيارات.",
+  "error.pollOpens": "اختر موعد فتح الاستطلاع.",
+  "error.pollCloses": "اختر موعد إغلاق الاستطلاع.",
+  "error.pollCloseAfterOpen": "يجب أن يُغلق الاستطلاع بعد فتحه.",
+  "error.pollCloseFuture": "يجب أن يُغلق الاستطلاع في المستقبل.",
+  "error.pollUpcoming": "لم يُفتح هذا الاستطلاع بعد.",
+  "error.pollClosed": "هذا الاستطلاع مغلق.",
+  "error.pollResponded": "لقد أجبت عن هذا الاستطلاع من قبل.",
+  "error.closeOpenPoll": "لا يُغلق إلا الاستطلاع المفتوح.",
+  "error.closePollsOnly": "لا يُغلق إلا الاستطلاعات.",
+  "error.chooseAnswer": "اختر إجابة عن «{prompt}».",
+  "error.chooseAnswers": "اختر إجابة واحدة على الأقل عن «{prompt}».",
+  "error.answerLength": "الإجابات محدودة بـ{max} حرف.",
+  "error.categoryName": "تحتاج الفئة إلى اسم.",
+  "error.categoryNotFound": "لم يُعثر على الفئة {id}.",
+  "error.lastCategory": "يجب أن تبقى فئة واحدة على الأقل.",
+  "error.departmentName": "يحتاج القسم إلى اسم.",
+  "error.noDepartment": "لا يتولى قسم باسم «{name}» أي فئة.",
+  "error.colour": "«{colour}» ليس لونًا مثل ‎#e0e7ff.",
+  "error.constituencyName": "تحتاج الدائرة إلى اسم.",
+  "error.constituencyNotFound": "لم يُعثر على الدائرة {id}.",
+  "error.assignableRoles": "لا تُسند إلى الدوائر إلا حسابات السياسيين والمشرفين.",
+  "error.slaAcknowledgeDays": "يجب أن تكون مهلة الاستلام عددًا موجبًا من الأيام.",
+  "error.slaResolveDays": "يجب أن تكون مهلة الحل عددًا موجبًا من الأيام.",
+  "error.slaOrder": "لا يمكن أن تكون مهلة الحل أقصر من مهلة الاستلام.",
+  "error.adminRemains": "يجب أن يبقى حساب مسؤول واحد على الأقل.",
+  "error.accountNotFound": "لم يُعثر على الحساب {id}.",
+  "error.email": "«{address}» ليس عنوان بريد إلكتروني صالحًا.",
+  "error.login": "اسم المستخدم أو كلمة المرور غير صحيحة.",
+  "error.loginRequired": "سجّل الدخول للمتابعة.",
+  "error.credentialsRequired": "اسم المستخدم وكلمة المرور مطلوبان.",
+  "error.usernameRules": "أسماء المستخدمين من 3 إلى 32 حرفًا: حروف أو أرقام أو نقطة أو شرطة أو شرطة سفلية.",
+  "error.passwordLength": "يجب ألا تقل كلمة المرور عن 8 أحرف.",
+  "error.secureContext": "تحتاج الحسابات المحلية إلى سياق آمن (https أو localhost).",
+  "error.forbidden": "غير مسموح.",
+  "error.fileType": "«{name}» ليس نوع ملف مدعومًا (صور أو PDF فقط).",
+  "error.fileSize": "حجم «{name}» {size}؛ والحد {limit}.",
+  "error.fileMismatch": "لا يبدو «{name}» ملفًا من نوع {type}.",
+  "error.maxAttachments": "يُسمح بـ{max} مرفقات على الأكثر.",
+  "error.attachmentInUse": "المرفق {id} مستخدم بالفعل. ارفعه مرة أخرى.",
+  "error.attachmentMissing": "لم يُعثر على المرفق {id}. ارفعه مرة أخرى.",
+  "error.attachmentNotFound": "لم يُعثر على المرفق {id}.",
+  "error.storageFull": "مساحة تخزين المتصفح ممتلئة. أزل بعض المرفقات، أو استخدم الخادم المشترك للملفات الأكبر.",
+  "error.tooLarge": "الطلب كبير جدًا.",
+  "error.internal": "خطأ داخلي في الخادم.",
+  "error.importNotJson": "الملف ليس JSON صالحًا: {detail}",
+  "error.importNotList": "يجب أن يكون استيراد JSON قائمة بلاغات.",
+  "error.importEmpty": "الملف فارغ.",
+  "error.importQuote": "ينتهي ملف CSV داخل حقل بين علامتي اقتباس.",
+  "error.importRows": "يمكن استيراد {max} صف على الأكثر في المرة الواحدة؛ وفي هذا الملف {count}.",
+  "error.rowTitle": "العنوان مطلوب",
+  "error.rowDescription": "الوصف مطلوب",
+  "error.rowStatus": "حالة غير معروفة «{status}»",
+  "error.rowLanguage": "«{language}» ليس وسم لغة مثل «en» أو «es-MX»",
+  "error.rowDate": "تعذّرت قراءة التاريخ «{date}»",
+  "error.rowFuture": "التاريخ في المستقبل",
+  "error.rowCoordinates": "يجب أن تكون lat وlng إحداثيات صالحة",
+  "error.offline": "تعذّر الوصول إلى الخادم. تحقق من اتصالك وحاول مرة أخرى.",
+  "error.requestFailed": "فشل الطلب بالحالة {status}",
+
+  "status.Open": "مفتوح",
+  "status.Acknowledged": "تم الاستلام",
+  "status.In Progress": "قيد التنفيذ",
+  "status.Resolved": "تم الحل",
+  "status.Closed": "مغلق",
+  "status.Rejected": "مرفوض",
+  "status.Duplicate": "مكرر",
+  "status.Reopened": "أعيد فتحه",
+  "status.Broadcast": "إعلان",
+  "status.Draft": "مسودة",
+  "status.Scheduled": "مجدول",
+  "status.Retracted": "مسحوب",
+  "status.Poll": "استطلاع",
+  "status.Upcoming": "قادم",
+  "status.Poll Closed": "استطلاع مغلق",
+
+  "category.General": "عام",
+  "category.Electricity": "الكهرباء",
+  "category.Roads": "الطرق",
+  "category.Sanitation": "الصرف الصحي",
+  "category.Water": "المياه",
+  "category.Other": "أخرى",
+
+  "role.Guest": "زائر",
+  "role.Citizen": "مواطن",
+  "role.Politician": "سياسي",
+  "role.Moderator": "مشرف",
+  "role.Admin": "المسؤول",
+};
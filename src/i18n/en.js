@@ -0,0 +1,787 @@
+// English interface text: the reference catalog. Every key used by the app is
+// defined here; the other catalogs fall back to it for anything missing.
+
+export default {
+  "app.title": "Citizen-Politician Platform",
+  "app.language": "Language",
+  "app.loggedInAs": "Logged in as:",
+  "app.logOut": "Log Out",
+  "app.homeConstituency": "Home constituency...",
+  "app.homeConstituencyTitle": "Your home constituency: reports and broadcasts from it are shown by default",
+  "app.offline": "You are offline.",
+  "app.offlineLocal": "Everything is saved in this browser.",
+  "app.offlineQueued": "New reports, comments, broadcasts and status changes are saved here and sent when the connection returns.",
+  "app.error": "Error: {message}",
+  "app.flagged": "Thanks. A moderator will review what you flagged.",
+  "app.itemDeleted": "That item has since been deleted.",
+
+  "a11y.skipToDetails": "Skip to report details",
+  "a11y.highContrast": "High contrast",
+  "a11y.reportSubmitted": "Report submitted.",
+  "a11y.commentAdded": "Comment added.",
+  "a11y.broadcastPosted": "Broadcast posted.",
+  "a11y.broadcastSaved": "Broadcast saved as a draft.",
+  "a11y.broadcastScheduled": "Broadcast scheduled for {date}.",
+  "a11y.pollCreated": "Poll started.",
+  "a11y.pollResponded": "Your response was recorded.",
+  "a11y.statusChanged": "Status changed to {status}.",
+
+  "submit.heading": "Submit Issue or Feedback",
+  "submit.intro": "Report a civic issue or provide public feedback.",
+  "submit.unavailable": "Not available for non-Citizen roles.",
+  "submit.citizensOnly": "The reporting form is only accessible to **Citizen** users.",
+  "submit.logIn": "Log in as a **Citizen** to submit a report.",
+  "updates.heading": "Recent Updates & Open Reports",
+  "updates.empty": "No updates or reports yet.",
+  "reports.heading": "All Public Reports",
+  "reports.byline": "{date} by {name}",
+  "reports.awaitingReview": "⏳ Awaiting review",
+  "reports.hidden": "🚫 Hidden",
+  "reports.empty": "No reports matching filter criteria.",
+  "map.heading": "Issue Map",
+  "map.intro": "Open reports matching the filters above, colored by status. Click a marker to view it.",
+  "detail.heading": "Report Details / Discussion",
+  "detail.empty": "Select a report from the list to view details and engage.",
+  "broadcast.heading": "Post Public Broadcast (Politician)",
+  "broadcast.intro": "Only the **Politician** role can post general updates to citizens of the constituencies they serve.",
+  "moderation.heading": "Moderation Queue",
+  "moderation.intro": "Flagged content and submissions held by the automatic filter.",
+  "concerns.heading": "Top Concerns by Category",
+  "concerns.intro": "Open reports with the most citizen support.",
+  "analytics.heading": "Analytics Dashboard",
+  "analytics.intro": "How reports are being handled: status trends, response times and the backlog.",
+  "satisfaction.heading": "Citizen Satisfaction",
+  "satisfaction.intro": "How reporters rated the resolution of their reports, and how often they disputed it.",
+  "transfer.heading": "Export & Import (Admin)",
+  "transfer.intro": "Download the reports matching the current filters, or load reports from another system.",
+  "users.heading": "User Accounts (Admin)",
+  "users.intro": "Assign a role to each account. Changes apply on the account's next action.",
+  "constituencies.heading": "Constituencies (Admin)",
+  "constituencies.intro": "Each report belongs to one constituency. Assign politicians and moderators to them under User Accounts.",
+  "categories.heading": "Categories (Admin)",
+  "categories.intro": "Categories offered when reporting and broadcasting. New reports are assigned to the department or official that handles their category.",
+
+  "modal.title": "Authorization Required",
+  "modal.close": "Understood",
+
+  "form.titlePlaceholder": "Short descriptive title (e.g. Broken street lights on Main St)",
+  "form.title": "Title",
+  "form.description": "Description",
+  "form.descriptionPlaceholder": "Detailed description of the issue or feedback",
+  "form.category": "Category",
+  "form.constituency": "Constituency",
+  "form.selectConstituency": "Select a constituency...",
+  "form.chooseConstituency": "Choose the constituency this report belongs to.",
+  "form.language": "Written in",
+  "form.submit": "Submit New Report",
+  "form.clear": "Clear",
+
+  "issue.reportedBy": "Reported by",
+  "issue.postedBy": "Posted by",
+  "issue.allConstituencies": "All constituencies",
+  "issue.noConstituency": "No constituency assigned",
+  "issue.assignedTo": "Assigned to {name}",
+  "issue.assignedToDepartment": "Assigned to the {name} department",
+  "issue.routedByCategory": "routed by category",
+  "issue.reassignedBy": "reassigned by {name} on {date}",
+  "issue.unassigned": "Not assigned to anyone yet",
+  "sla.overdue": "Overdue",
+  "sla.acknowledgeOverdue": "Acknowledgement overdue",
+  "sla.resolveOverdue": "Resolution overdue",
+  "sla.acknowledgeBy": "Acknowledge by {date}",
+  "sla.resolveBy": "Resolve by {date}",
+  "sla.escalatedOfficials": "{stage}: officials alerted {date}",
+  "sla.escalatedAdmins": "{stage}: Admins alerted {date}",
+  "issue.follow": "🔔 Follow",
+  "issue.unfollow": "🔕 Unfollow",
+  "issue.followTitle": "Get notified about status changes and new comments",
+  "issue.unfollowTitle": "Stop notifications about this item",
+  "issue.writtenIn": "🌐 Written in {language}",
+  "issue.held": "⏳ Held for moderator review ({reason}). Only you and the moderators can see it until it is approved.",
+  "issue.hiddenNote": "🚫 Hidden by a moderator. Only moderators can see it.",
+  "issue.outOfArea": "This is outside the constituencies you serve, so status changes and moderation are left to its own representatives.",
+  "issue.duplicateOf": "Duplicate of",
+  "issue.deletedReport": "a deleted report",
+  "issue.description": "Description:",
+  "issue.editedBy": "Edited by {name} ({role}) on {date}: {reason}",
+  "issue.pinnedLocation": "Pinned location",
+  "issue.support": "▲ Me Too",
+  "issue.supported": "✓ Supported",
+  "issue.supportTitle": "This affects me too",
+  "issue.withdrawTitle": "Withdraw your support",
+  "issue.supporters.one": "{count} citizen supports this report",
+  "issue.supporters.other": "{count} citizens support this report",
+  "issue.statusHistory": "Status History",
+  "issue.discussion": "Discussion ({count})",
+  "issue.locked": "🔒 locked by a moderator",
+  "issue.officialResponse": "🏛 Official response from",
+  "issue.relatedUpdates": "📣 Updates about this report",
+  "issue.openUpdate": "Open update",
+  "issue.noComments": "No comments yet. Be the first to engage!",
+  "issue.respondAs": "Respond as {role}...",
+  "issue.logInToComment": "Log in to join the discussion.",
+  "issue.commentLabel": "Your comment",
+  "issue.addComment": "Add Comment",
+  "issue.delete": "Delete (Admin)",
+  "issue.deleteTitle": "Admin Action: Permanently delete this report.",
+
+  "broadcast.message": "Broadcast message",
+  "broadcast.placeholder": "Write public broadcast update to citizens...",
+  "broadcast.politiciansOnly": "Only Politician can post updates.",
+  "broadcast.denied": "Access Denied: {reason} Current Role: {role}",
+  "broadcast.noAudience": "You are not assigned to any existing constituency, so there is nobody to broadcast to.",
+  "broadcast.audienceTitle": "Who the broadcast is for",
+  "broadcast.post": "Post Broadcast",
+  "broadcast.notAllowed": "Not Allowed",
+  "broadcast.postTitle": "Send broadcast to all users.",
+  "broadcast.notAuthorized": "Not authorized to send broadcasts.",
+  "broadcast.notifies": "Who is notified",
+  "broadcast.notifyFollowers": "Category followers",
+  "broadcast.notifyResidents": "Everyone in the constituency",
+  "broadcast.publishAt": "Publish at (leave empty to post now)",
+  "broadcast.schedule": "Schedule Broadcast",
+  "broadcast.saveDraft": "Save Draft",
+  "broadcast.drafts": "Your drafts and scheduled broadcasts",
+  "broadcast.scheduledFor": "Scheduled for {date}",
+  "poll.heading": "Start a Poll or Consultation (Politician)",
+  "poll.intro": "Ask citizens a question: add choice or free-text questions and set when responses open and close. Each citizen responds once, anonymously, and the results update live.",
+
+  "sync.pending.one": "⏳ Waiting to sync",
+  "sync.pending.other": "⏳ Waiting to sync ({count} changes)",
+  "sync.failed": "⚠ {change} not saved: {error}",
+  "sync.report": "Report",
+  "sync.broadcast": "Broadcast",
+  "sync.comment": "Comment",
+  "sync.statusChange": "Status change",
+  "sync.change": "Change",
+  "sync.retry": "Retry",
+  "sync.discard": "Discard",
+
+  "auth.username": "Username",
+  "auth.displayName": "Display name",
+  "auth.displayNamePlaceholder": "Display name (shown on your reports)",
+  "auth.password": "Password",
+  "auth.logIn": "Log In",
+  "auth.createAccount": "Create Account",
+  "auth.register": "Create an account",
+  "auth.haveAccount": "I have an account",
+  "auth.registerHint": "New accounts start as Citizen; an Admin can assign other roles.",
+  "auth.loginHint": "Browse as a guest, or log in to report and comment.",
+  "pagination.showing": "Showing {first}–{last} of {total}",
+  "pagination.page": "Page {page} of {count}",
+  "pagination.previous": "Previous",
+  "pagination.next": "Next",
+  "concerns.empty": "No open reports yet.",
+  "concerns.supporters.one": "{count} supporter",
+  "concerns.supporters.other": "{count} supporters",
+  "timeline.reported": "Reported",
+  "timeline.asStatus": "as {status}",
+  "timeline.merged": "Merged",
+  "timeline.mergedDuplicate": "duplicate “{title}”",
+  "timeline.duplicateOf": "of “{title}”",
+  "attachments.close": "Close",
+  "flag.open": "⚑ Flag",
+  "flag.title": "Report this to the moderators",
+  "flag.flagged": "⚑ You flagged this",
+  "flag.reason": "Reason for flagging",
+  "flag.details": "Details",
+  "flag.detailsPlaceholder": "Details (optional)",
+  "flag.submit": "Flag",
+  "flag.cancel": "Cancel",
+  "flagReason.abusive": "Abusive",
+  "flagReason.spam": "Spam",
+  "flagReason.off-topic": "Off-topic",
+  "queue.empty": "Nothing waiting for review.",
+  "queue.commentOn": "Comment on “{title}”",
+  "queue.held": "⏳ Held: {reason}",
+  "queue.open": "Open",
+  "queue.keepTitle": "Dismiss the flags and keep the content visible",
+  "queue.approve": "Approve",
+  "queue.keep": "Keep",
+  "merge.title": "Combine this report's supporters and comments into another report",
+  "merge.open": "Merge Into Another Report",
+  "merge.intro": "Supporters and comments of this report will be added to the one you pick, and this report will be marked Duplicate.",
+  "merge.into": "Original report to merge into",
+  "merge.select": "Select the original report...",
+  "merge.notePlaceholder": "Note (optional)",
+  "merge.note": "Note",
+  "merge.submit": "Merge",
+  "merge.cancel": "Cancel",
+  "map.label": "Map. Use the arrow keys to pan and + or - to zoom.",
+  "map.zoomIn": "Zoom in",
+  "map.zoomOut": "Zoom out",
+  "map.cancelDrawing": "Cancel Drawing",
+  "map.drawArea": "Draw Area",
+  "map.clearArea": "Clear Area",
+  "map.ward": "Ward",
+  "map.allWards": "All wards",
+  "map.drawHint": "Drag on the map to select an area; the report list will show only reports inside it.",
+  "commentModeration.text": "Comment text",
+  "commentModeration.hideReason": "Reason for hiding (required)",
+  "commentModeration.editReason": "Reason for the edit (required)",
+  "commentModeration.reason": "Reason",
+  "commentModeration.hide": "Hide",
+  "commentModeration.save": "Save",
+  "commentModeration.cancel": "Cancel",
+  "commentModeration.approve": "Approve",
+  "commentModeration.restore": "Restore",
+  "commentModeration.edit": "Edit",
+  "attachments.attach": "Attach Files",
+  "attachments.remove": "Remove {name}",
+  "location.unsupported": "This browser cannot share its location. Pick the spot on the map instead.",
+  "location.failed": "Could not get your location: {message}",
+  "location.label": "Location (optional)",
+  "location.placeholder": "Street address or landmark",
+  "location.locating": "Locating...",
+  "location.useMine": "Use My Location",
+  "location.hideMap": "Hide Map",
+  "location.pickOnMap": "Pick on Map",
+  "location.clearPin": "Clear Pin",
+  "location.mapHint": "Click the map to drop a pin.",
+  "location.pin": "Report location",
+  "filters.search": "Search reports",
+  "filters.searchPlaceholder": "Search titles, descriptions and comments...",
+  "filters.status": "Status:",
+  "filters.all": "All",
+  "filters.overdue": "Overdue",
+  "filters.broadcasts": "Broadcast Updates",
+  "filters.polls": "Polls",
+  "filters.category": "Category:",
+  "filters.constituency": "Constituency:",
+  "filters.mine": "Mine",
+  "filters.reporter": "Reporter:",
+  "filters.anyRole": "Any role",
+  "filters.response": "Response:",
+  "filters.any": "Any",
+  "filters.responded": "Politician responded",
+  "filters.awaiting": "Awaiting response",
+  "filters.from": "From:",
+  "filters.to": "To:",
+  "filters.sort": "Sort:",
+  "filters.reset": "Reset",
+  "sort.newest": "Newest first",
+  "sort.oldest": "Oldest first",
+  "sort.discussed": "Most discussed",
+  "sort.supported": "Most supported",
+  "sort.updated": "Recently updated",
+  "transition.Acknowledged": "Acknowledge",
+  "transition.In Progress": "Mark In Progress",
+  "transition.Resolved": "Mark Resolved",
+  "transition.Closed": "Close",
+  "transition.Rejected": "Reject",
+  "transition.Duplicate": "Mark Duplicate",
+  "transition.Reopened": "Reopen",
+  "transition.moveTo": "Move this report to “{status}”",
+  "transition.confirmIntro": "{action}: this will move the report to {status}.",
+  "transition.original": "Original report",
+  "transition.selectOriginal": "Select the original report...",
+  "transition.noteRequired": "Note (required): explain this decision",
+  "transition.noteOptional": "Note (optional)",
+  "transition.note": "Note",
+  "transition.confirm": "Confirm",
+  "transition.cancel": "Cancel",
+  "notifications.title": "Notifications",
+  "notifications.markAllRead": "Mark all read",
+  "notifications.back": "Back",
+  "notifications.settings": "Settings",
+  "notifications.followed": "Followed categories (new reports, comments, status changes and broadcasts):",
+  "notifications.noCategories": "No categories yet.",
+  "notifications.emailPlaceholder": "Also email me at (optional)",
+  "notifications.email": "Notification email",
+  "notifications.save": "Save",
+  "notifications.emailHint": "Emails are only sent when the server has a mail relay configured.",
+  "notifications.empty": "Nothing yet. Follow a report or category to hear about changes.",
+  "notice.report": "New {category} report from {who}: “{title}”.",
+  "notice.status": "{who} moved “{title}” from {from} to {to}.",
+  "notice.comment": "{who} commented on “{title}”.",
+  "notice.official": "{who} posted the official response on “{title}”.",
+  "notice.broadcast": "New {category} broadcast from {who}.",
+  "notice.retract": "{who} retracted a {category} broadcast.",
+  "notice.poll": "{who} asks for your views: “{title}”.",
+  "notice.merge": "{who} merged a duplicate report into “{title}”.",
+  "notice.assign": "{who} assigned “{title}” to {assignee}.",
+  "notice.unassign": "{who} unassigned “{title}”.",
+  "notice.rate": "{who} marked your report “{title}” Resolved. Was it fixed? Rate the resolution.",
+  "notice.disputed": "{who} disputed the resolution of “{title}”, which is reopened.",
+  "notice.confirmed": "{who} confirmed the resolution of “{title}” ({rating}/5).",
+  "notice.overdueAcknowledge": "“{title}” was not acknowledged in time.",
+  "notice.overdueResolve": "“{title}” was not resolved in time.",
+  "notice.escalatedAcknowledge": "“{title}” was not acknowledged in time and has been escalated to the Admins.",
+  "notice.escalatedResolve": "“{title}” was not resolved in time and has been escalated to the Admins.",
+  "notice.updated": "“{title}” was updated.",
+  "comment.official": "Official response",
+  "comment.edited": "edited",
+  "comment.editedAt": "Edited {date}",
+  "comment.merged": "from merged duplicate",
+  "comment.held": "awaiting review ({reason})",
+  "comment.hidden": "hidden",
+  "comment.moderatorEdited": "edited by a moderator",
+  "comment.deleted": "Comment deleted by its author.",
+  "comment.unreact": "Remove your reaction",
+  "comment.react": "React",
+  "comment.addReaction": "Add a reaction",
+  "comment.reply": "Reply",
+  "comment.edit": "Edit",
+  "comment.delete": "Delete",
+  "comment.unpinOfficial": "Unpin official response",
+  "comment.markOfficial": "Mark as official response",
+  "comment.confirmDelete": "Delete this comment? Replies to it stay.",
+  "comment.cancel": "Cancel",
+  "comment.replyPlaceholder": "Reply to {author}...",
+  "comment.replyTo": "Reply to {author}",
+  "comment.editLabel": "Edit your comment",
+  "comment.save": "Save",
+  "transfer.tooLarge": "“{name}” is larger than 5 MB.",
+  "transfer.exportCsv": "Export CSV ({count})",
+  "transfer.exportJson": "Export JSON",
+  "transfer.import": "Import reports (CSV or JSON)",
+  "transfer.file": "CSV or JSON file to import",
+  "transfer.columns": "Columns: title and description (required), category, status, createdAt, reporterName, address, lat, lng. An export from this app can be imported as is.",
+  "transfer.rowError": "Row {line}: {error}",
+  "transfer.row": "Row",
+  "transfer.title": "Title",
+  "transfer.date": "Date",
+  "transfer.status": "Status",
+  "transfer.check": "Check",
+  "transfer.duplicateOfRow": "Duplicate of row {line}",
+  "transfer.duplicateOfExisting": "Duplicate of an existing report",
+  "transfer.ok": "OK",
+  "transfer.includeDuplicates": "Import duplicates too",
+  "transfer.importing": "Importing...",
+  "transfer.cancel": "Cancel",
+  "constituencies.namePlaceholder": "Constituency name (e.g. North Ward)",
+  "constituencies.name": "Name",
+  "constituencies.descriptionPlaceholder": "Description (optional)",
+  "constituencies.description": "Description",
+  "constituencies.add": "Add Constituency",
+  "constituencies.empty": "No constituencies yet. Until one is added, all reports form a single pool.",
+  "constituencies.confirmRemove": "Remove {name}?",
+  "constituencies.accountsLose": "Accounts serving it lose the assignment.",
+  "constituencies.remove": "Remove",
+  "constituencies.cancel": "Cancel",
+  "constituencies.save": "Save",
+  "constituencies.edit": "Edit",
+  "moderation.lock": "Lock Discussion",
+  "moderation.unlock": "Unlock Discussion",
+  "moderation.approve": "Approve",
+  "moderation.restore": "Restore",
+  "moderation.hide": "Hide",
+  "moderation.edit": "Edit",
+  "moderation.title": "Title",
+  "moderation.description": "Description",
+  "moderation.constituency": "Constituency",
+  "moderation.unassigned": "Unassigned constituency",
+  "moderation.category": "Category",
+  "moderation.hideReason": "Reason for hiding (required)",
+  "moderation.editReason": "Reason for the edit, shown publicly (required)",
+  "moderation.reason": "Reason",
+  "moderation.saveEdit": "Save Edit",
+  "moderation.cancel": "Cancel",
+  "users.roleOf": "Role of {name}",
+  "users.serves": "Serves:",
+  "users.allConstituencies": "(all constituencies)",
+  "users.empty": "No accounts yet.",
+  "analytics.period": "Period",
+  "analytics.range30": "Last 30 days",
+  "analytics.range90": "Last 90 days",
+  "analytics.range365": "Last 12 months",
+  "analytics.category": "Category",
+  "analytics.allCategories": "All categories",
+  "analytics.filed": "Reports filed",
+  "analytics.firstResponse": "Median first response",
+  "analytics.resolution": "Median time to resolve",
+  "analytics.stillOpen": "Still open",
+  "analytics.statusOverTime": "Status over time",
+  "analytics.aging": "Backlog aging (unfinished reports)",
+  "analytics.reports": "Reports",
+  "analytics.byCategory": "By category ({range})",
+  "analytics.firstResponseShort": "First response",
+  "analytics.resolutionShort": "Resolution",
+  "analytics.mostDiscussed": "Most discussed",
+  "analytics.noDiscussions": "No discussions in this period.",
+  "age.< 1 week": "< 1 week",
+  "age.1-4 weeks": "1-4 weeks",
+  "age.1-3 months": "1-3 months",
+  "age.> 3 months": "> 3 months",
+  "attachments.tooMany.one": "You can attach up to {count} file.",
+  "attachments.tooMany.other": "You can attach up to {count} files.",
+  "attachments.uploading.one": "Uploading {count}...",
+  "attachments.uploading.other": "Uploading {count}...",
+  "attachments.limits.one": "Images or PDF, up to {count} file of {size}",
+  "attachments.limits.other": "Images or PDF, up to {count} files of {size}",
+  "map.count.one": "{count} open report on map",
+  "map.count.other": "{count} open reports on map",
+  "notifications.unread.one": "Notifications, {count} unread",
+  "notifications.unread.other": "Notifications, {count} unread",
+  "comment.reactions.one": "{count} reaction",
+  "comment.reactions.other": "{count} reactions",
+  "transfer.imported.one": "Imported {count} report.",
+  "transfer.imported.other": "Imported {count} reports.",
+  "transfer.rows.one": "{count} row",
+  "transfer.rows.other": "{count} rows",
+  "transfer.invalid.one": "{count} with errors",
+  "transfer.invalid.other": "{count} with errors",
+  "transfer.duplicates.one": "{count} possible duplicate",
+  "transfer.duplicates.other": "{count} possible duplicates",
+  "transfer.importCount.one": "Import {count} report",
+  "transfer.importCount.other": "Import {count} reports",
+  "constituencies.unassigned.one": "Its {count} report will become unassigned.",
+  "constituencies.unassigned.other": "Its {count} reports will become unassigned.",
+  "constituencies.reports.one": "{count} report",
+  "constituencies.reports.other": "{count} reports",
+  "analytics.responded.one": "{count} responded",
+  "analytics.responded.other": "{count} responded",
+  "analytics.resolved.one": "{count} resolved",
+  "analytics.resolved.other": "{count} resolved",
+  "duration.minutes.one": "{count} min",
+  "duration.minutes.other": "{count} min",
+  "duration.hours.one": "{count} h",
+  "duration.hours.other": "{count} h",
+  "duration.days.one": "{count} day",
+  "duration.days.other": "{count} days",
+
+  "categories.add": "Add Category",
+  "categories.icon": "Icon",
+  "categories.name": "Category name",
+  "categories.namePlaceholder": "Category name (e.g. Parks)",
+  "categories.color": "Badge colour",
+  "categories.description": "Description",
+  "categories.descriptionPlaceholder": "Description shown when reporting (optional)",
+  "categories.owner": "Handled by",
+  "categories.notRouted": "Not routed",
+  "categories.aDepartment": "A department…",
+  "categories.department": "Department name",
+  "categories.acknowledgeDays": "Acknowledge within (days)",
+  "categories.resolveDays": "Resolve within (days)",
+  "categories.save": "Save",
+  "categories.cancel": "Cancel",
+  "categories.confirmRemove": "Remove {name}?",
+  "categories.remove": "Remove",
+  "categories.edit": "Edit",
+  "categories.lastOne": "At least one category must remain.",
+  "categories.routedTo": "Routed to {name}",
+  "categories.routedToDepartment": "Routed to {name} (department)",
+  "categories.noDeadlines": "No deadlines",
+  "assignee.reassign": "Reassign",
+  "assignee.assignTo": "Assign to",
+  "assignee.unassigned": "Unassigned",
+  "assignee.departments": "Departments",
+  "assignee.officials": "Officials",
+  "assignee.notePlaceholder": "Note for the log (optional)",
+  "assignee.note": "Note",
+  "assignee.assign": "Assign",
+  "assignee.cancel": "Cancel",
+  "categories.keepName.one": "Its {count} report keeps the category name and assignee, but it can no longer be chosen.",
+  "categories.keepName.other": "Its {count} reports keep the category name and assignee, but it can no longer be chosen.",
+  "categories.acknowledgeIn.one": "acknowledge in {count} day",
+  "categories.acknowledgeIn.other": "acknowledge in {count} days",
+  "categories.resolveIn.one": "resolve in {count} day",
+  "categories.resolveIn.other": "resolve in {count} days",
+  "categories.reports.one": "{count} report",
+  "categories.reports.other": "{count} reports",
+
+  "feedback.confirmed": "The reporter confirmed the resolution",
+  "feedback.confirmedBy": "The reporter confirmed the resolution by {name}",
+  "feedback.disputed": "The reporter disputed the resolution",
+  "feedback.disputedBy": "The reporter disputed the resolution by {name}",
+  "feedback.stars": "{rating} of 5",
+  "feedback.prompt": "Your report was marked Resolved. Was it fixed?",
+  "feedback.rate": "Rate the resolution",
+  "feedback.yes": "Yes, it is fixed",
+  "feedback.no": "No, reopen it",
+  "feedback.whatIsWrong": "What is still wrong? (required)",
+  "feedback.comments": "Comments (optional)",
+  "feedback.note": "Feedback note",
+  "feedback.dispute": "Dispute and reopen",
+  "feedback.send": "Send feedback",
+  "satisfaction.empty": "No resolutions have been rated yet.",
+  "satisfaction.average": "Average rating",
+  "satisfaction.averageShort": "Average",
+  "satisfaction.outOfFive": "{average} / 5",
+  "satisfaction.confirmedFixed": "Confirmed fixed",
+  "satisfaction.confirmed": "Confirmed",
+  "satisfaction.disputed": "Disputed",
+  "satisfaction.reopened": "reopened by the reporter",
+  "satisfaction.byCategory": "By category",
+  "satisfaction.category": "Category",
+  "satisfaction.byPolitician": "By politician",
+  "satisfaction.politician": "Politician",
+  "satisfaction.noPoliticians": "No resolutions by Politicians have been rated yet.",
+  "satisfaction.rated": "Rated",
+  "satisfaction.ratedCount.one": "{count} rated",
+  "satisfaction.ratedCount.other": "{count} rated",
+  "satisfaction.reports.one": "{count} report",
+  "satisfaction.reports.other": "{count} reports",
+
+  "broadcast.draftNote": "Draft: only you can see it until it is published.",
+  "broadcast.scheduledNote": "Scheduled for {date}: only you can see it until then.",
+  "broadcast.retractedOn": "Retracted by {name} on {date}.",
+  "broadcast.retractedWithReason": "Retracted by {name} on {date}: {reason}",
+  "broadcast.notifiesWho": "Notifies: {audience}",
+  "broadcast.editedAt": "edited {date}",
+  "broadcast.about": "About:",
+  "broadcast.edit": "Edit",
+  "broadcast.publishNow": "Publish Now",
+  "broadcast.discard": "Discard",
+  "broadcast.retract": "Retract",
+  "broadcast.retractIntro": "Retracting keeps the broadcast listed, marked as withdrawn, and tells its audience.",
+  "broadcast.retractReasonPlaceholder": "Why it is withdrawn (optional)",
+  "broadcast.reason": "Reason",
+  "broadcast.cancel": "Cancel",
+  "broadcast.history": "Change history ({count})",
+  "broadcast.retracted": "Retracted",
+  "broadcast.edited": "Edited",
+  "broadcast.previously": "Previously: “{text}”",
+  "broadcast.alsoChanged": "Also changed: {fields}",
+  "broadcast.category": "Category",
+  "broadcast.publishAtDraft": "Publish at (leave empty to keep as a draft)",
+  "broadcast.editReasonPlaceholder": "What changed and why (optional, shown in the history)",
+  "broadcast.editReason": "Reason for the edit",
+  "broadcast.saveChanges": "Save Changes",
+  "broadcast.saveAndSchedule": "Save and Schedule",
+  "broadcastField.category": "category",
+  "broadcastField.language": "language",
+  "broadcastField.constituencyId": "constituency",
+  "broadcastField.audience": "audience",
+  "broadcastField.relatedIssueIds": "related reports",
+  "related.fallbackTitle": "Report {id}",
+  "related.remove": "Remove {title}",
+  "related.placeholder": "Link related reports: search by title...",
+  "related.search": "Search related reports",
+  "related.matching": "Matching reports",
+  "related.none": "No matching reports.",
+
+  "poll.kindSingle": "Single choice",
+  "poll.kindMultiple": "Multiple choice",
+  "poll.kindText": "Free text",
+  "poll.title": "Poll title",
+  "poll.titlePlaceholder": "What are you asking about?",
+  "poll.description": "Poll description",
+  "poll.descriptionPlaceholder": "Background for citizens: what is being decided and how the answers will be used",
+  "poll.question": "Question {number}",
+  "poll.prompt": "Question",
+  "poll.questionKind": "Question {number} type",
+  "poll.options": "Options, one per line",
+  "poll.questionOptions": "Question {number} options, one per line",
+  "poll.removeQuestion": "Remove question",
+  "poll.addQuestion": "+ Add Question",
+  "poll.category": "Category",
+  "poll.audience": "Who the poll is for",
+  "poll.allConstituencies": "All constituencies",
+  "poll.opensAt": "Opens (empty for now)",
+  "poll.closesAt": "Closes",
+  "poll.start": "Start Poll",
+  "poll.upcoming": "Opens {opens}, closes {closes}",
+  "poll.openUntil": "Open for responses until {date}",
+  "poll.closedAt": "Closed {date}",
+  "poll.youResponded": "✅ You responded on {date}.",
+  "poll.closeNow": "Close Poll Now",
+  "poll.results": "Results",
+  "poll.resultsSoFar": "Results so far",
+  "poll.exportCsv": "Export CSV",
+  "poll.severalAllowed": "Several answers allowed",
+  "poll.answerPlaceholder": "Your answer (optional)",
+  "poll.submit": "Submit Response",
+  "poll.once": "You can respond once; responses are anonymous.",
+  "poll.optionCount": "{count} ({percent})",
+  "poll.noWritten": "No written answers yet.",
+  "poll.responses.one": "{count} response",
+  "poll.responses.other": "{count} responses",
+  "poll.answered.one": "{count} answered",
+  "poll.answered.other": "{count} answered",
+  "poll.showWritten.one": "Show {count} written answer",
+  "poll.showWritten.other": "Show {count} written answers",
+
+  "error.editConflict": "Someone else changed this while you were editing. Review the latest version and try again.",
+  "error.commentAlreadyDeleted": "This comment was already deleted.",
+  "error.alreadyMerged": "This report has already been merged.",
+  "error.alreadyFlagged": "You have already flagged this.",
+  "error.alreadyRated": "You have already rated this resolution.",
+  "error.categoryExists": "A category called \"{name}\" already exists.",
+  "error.constituencyExists": "A constituency called \"{name}\" already exists.",
+  "error.usernameTaken": "The username \"{name}\" is already taken.",
+  "error.reportExists": "Report {id} already exists.",
+  "error.broadcastExists": "Broadcast {id} already exists.",
+  "error.pollExists": "Poll {id} already exists.",
+  "error.commentExists": "Comment {id} already exists.",
+  "error.rateOwnOnly": "Only the citizen who filed this report can rate its resolution.",
+  "error.closePollOwnOnly": "Only the politician who started this poll can close it.",
+  "error.broadcastOwnOnly": "Only the politician who wrote this broadcast can change it.",
+  "error.broadcastScope": "You can only broadcast to the constituencies you serve.",
+  "error.deleteOwnComments": "You can only delete your own comments.",
+  "error.editOwnComments": "You can only edit your own comments.",
+  "error.constituencyScope": "This report belongs to a constituency you do not serve.",
+  "error.flagOwn": "You cannot flag your own content.",
+  "error.permission.issueCreate": "Only Citizen users can submit new reports.",
+  "error.permission.commentCreate": "Please log in to join the discussion.",
+  "error.permission.commentReact": "Please log in to react to comments.",
+  "error.permission.commentOfficial": "Only the Politician role can mark the official response.",
+  "error.permission.notificationRead": "Please log in to follow reports and see your notifications.",
+  "error.permission.contentFlag": "Only Citizen or Politician users can flag content.",
+  "error.permission.contentModerate": "Only Moderator or Admin users can moderate content.",
+  "error.permission.issueEdit": "Only Moderator or Admin users can edit reports.",
+  "error.permission.issueAssign": "Only Moderator or Admin users can reassign reports.",
+  "error.permission.issueDelete": "Only Admin users are authorized to delete reports.",
+  "error.permission.issueSupport": "Only Citizen users can support reports.",
+  "error.permission.issueMerge": "Only Politician, Moderator, or Admin roles can merge duplicate reports.",
+  "error.permission.insightsView": "Only Politician, Moderator, or Admin roles can view report insights.",
+  "error.permission.broadcastCreate": "Only the Politician role can post public broadcasts.",
+  "error.permission.pollCreate": "Only the Politician role can start polls.",
+  "error.permission.pollRespond": "Only Citizen users can respond to polls.",
+  "error.permission.reportsExport": "Only Admin users can export reports.",
+  "error.permission.reportsImport": "Only Admin users can import reports.",
+  "error.permission.userManage": "Only Admin users can manage accounts.",
+  "error.permission.constituencyManage": "Only Admin users can manage constituencies.",
+  "error.permission.categoryManage": "Only Admin users can manage categories.",
+  "error.permission.feedbackSummary": "Only Admin users can view the satisfaction summary.",
+  "error.broadcastStatus": "Broadcasts do not have a status.",
+  "error.transition": "A report cannot move from \"{from}\" to \"{to}\".",
+  "error.only.acknowledge": "Only Politician, Moderator, Admin can acknowledge this report.",
+  "error.only.inProgress": "Only Politician, Admin can mark in progress this report.",
+  "error.only.resolved": "Only Politician, Admin can mark resolved this report.",
+  "error.only.close": "Only Politician, Moderator, Admin, the original reporter can close this report.",
+  "error.only.reject": "Only Politician, Moderator, Admin can reject this report.",
+  "error.only.duplicate": "Only Politician, Moderator, Admin can mark duplicate this report.",
+  "error.only.reopen": "Only Politician, Moderator, Admin, the original reporter can reopen this report.",
+  "error.noteReject": "A note explaining why is required to reject a report.",
+  "error.noteReopen": "A note explaining why is required to reopen a report.",
+  "error.chooseOriginal": "Choose the original report this one duplicates.",
+  "error.issueFields": "Title, description and category cannot be empty.",
+  "error.chooseConstituency": "Choose the constituency this report belongs to.",
+  "error.unknownCategory": "Unknown category \"{category}\".",
+  "error.reportNotFound": "Report {id} not found.",
+  "error.broadcastNotFound": "Broadcast {id} not found.",
+  "error.pollNotFound": "Poll {id} not found.",
+  "error.commentNotFound": "Comment {id} not found.",
+  "error.reportGone": "Report {id} no longer exists.",
+  "error.broadcastGone": "Broadcast {id} no longer exists.",
+  "error.notOffline": "Report {id} is not available offline.",
+  "error.mergeSelf": "A report cannot be merged into itself.",
+  "error.mergeIntoActive": "Merge into the report that is still active, not into another duplicate.",
+  "error.mergeReportsOnly": "Only reports can be merged.",
+  "error.mergeBothExist": "Both reports must still exist to merge them.",
+  "error.assignReportsOnly": "Only reports can be assigned.",
+  "error.assigneeRoles": "Reports can only be assigned to Politician, Moderator or Admin accounts.",
+  "error.commentEmpty": "Comment text cannot be empty.",
+  "error.commentDeleted": "This comment was deleted.",
+  "error.commentNotPublic": "That comment is not publicly visible.",
+  "error.replyDeleted": "You cannot reply to a deleted comment.",
+  "error.locked": "A moderator has locked this discussion.",
+  "error.broadcastRetracted": "This broadcast was retracted.",
+  "error.broadcastUnpublished": "This broadcast has not been published yet.",
+  "error.officialPolitician": "Only a politician's comment can be the official response.",
+  "error.officialReportsOnly": "Only reports have an official response.",
+  "error.supportReportsOnly": "Only reports can be supported.",
+  "error.supportDuplicate": "This report was merged into another one; support that report instead.",
+  "error.supportOwn": "You reported this issue, so your support is already counted.",
+  "error.nothingChanged": "Nothing was changed.",
+  "error.hideReason": "Give a reason for hiding this content.",
+  "error.editReason": "Give a reason for the edit; it is shown with the content.",
+  "error.rating": "Choose a rating from 1 to 5.",
+  "error.rateResolved": "Only a resolved report can be rated.",
+  "error.rateReportsOnly": "Only reports can be rated.",
+  "error.feedbackFixed": "Say whether the problem was fixed.",
+  "error.disputeComment": "Tell us what is still wrong to dispute the resolution.",
+  "error.broadcastMessage": "A broadcast needs a message.",
+  "error.broadcastWhen": "Choose when the broadcast should go out.",
+  "error.broadcastPast": "A broadcast can only be scheduled for a future time.",
+  "error.retractedBroadcast": "A retracted broadcast cannot be changed.",
+  "error.retractPublished": "Only a published broadcast can be retracted; delete the draft instead.",
+  "error.retractNotDelete": "Retract a published broadcast instead of deleting it.",
+  "error.retractNotUnpublish": "Retract a published broadcast instead of unpublishing it.",
+  "error.pollTitle": "A poll needs a title.",
+  "error.pollDescription": "Say what the poll is about.",
+  "error.pollQuestions": "A poll needs at least one question.",
+  "error.pollMaxQuestions": "A poll can have at most {max} questions.",
+  "error.questionPrompt": "Question {number} needs a prompt.",
+  "error.questionOptions": "Question {number} needs at least two options.",
+  "error.questionOptionsMax": "Question {number} has more than {max} options.",
+  "error.questionRepeats": "Question {number} repeats an option.",
+  "error.pollOpens": "Choose when the poll opens.",
+  "error.pollCloses": "Choose when the poll closes.",
+  "error.pollCloseAfterOpen": "A poll must close after it opens.",
+  "error.pollCloseFuture": "A poll must close in the future.",
+  "error.pollUpcoming": "This poll has not opened yet.",
+  "error.pollClosed": "This poll is closed.",
+  "error.pollResponded": "You have already responded to this poll.",
+  "error.closeOpenPoll": "Only an open poll can be closed.",
+  "error.closePollsOnly": "Only polls can be closed.",
+  "error.chooseAnswer": "Choose an answer to “{prompt}”.",
+  "error.chooseAnswers": "Choose at least one answer to “{prompt}”.",
+  "error.answerLength": "Answers are limited to {max} characters.",
+  "error.categoryName": "A category needs a name.",
+  "error.categoryNotFound": "Category {id} not found.",
+  "error.lastCategory": "At least one category must remain.",
+  "error.departmentName": "A department needs a name.",
+  "error.noDepartment": "No category is handled by a department called \"{name}\".",
+  "error.colour": "\"{colour}\" is not a colour like #e0e7ff.",
+  "error.constituencyName": "A constituency needs a name.",
+  "error.constituencyNotFound": "Constituency {id} not found.",
+  "error.assignableRoles": "Only Politician and Moderator accounts are assigned to constituencies.",
+  "error.slaAcknowledgeDays": "The acknowledgement target must be a positive number of days.",
+  "error.slaResolveDays": "The resolution target must be a positive number of days.",
+  "error.slaOrder": "The resolution target cannot be shorter than the acknowledgement target.",
+  "error.adminRemains": "At least one Admin account must remain.",
+  "error.accountNotFound": "Account {id} not found.",
+  "error.email": "\"{address}\" is not a valid email address.",
+  "error.login": "Incorrect username or password.",
+  "error.loginRequired": "Please log in to continue.",
+  "error.credentialsRequired": "Username and password are required.",
+  "error.usernameRules": "Usernames are 3-32 characters: letters, digits, dot, dash or underscore.",
+  "error.passwordLength": "Passwords must be at least 8 characters.",
+  "error.secureContext": "Local accounts need a secure context (https or localhost).",
+  "error.forbidden": "Forbidden.",
+  "error.fileType": "\"{name}\" is not a supported file type (images or PDF only).",
+  "error.fileSize": "\"{name}\" is {size}; the limit is {limit}.",
+  "error.fileMismatch": "\"{name}\" does not look like a {type} file.",
+  "error.maxAttachments": "At most {max} attachments are allowed.",
+  "error.attachmentInUse": "Attachment {id} is already in use. Upload it again.",
+  "error.attachmentMissing": "Attachment {id} was not found. Upload it again.",
+  "error.attachmentNotFound": "Attachment {id} not found.",
+  "error.storageFull": "Browser storage is full. Remove some attachments, or use the shared server backend for larger files.",
+  "error.tooLarge": "Request body is too large.",
+  "error.internal": "Internal server error.",
+  "error.importNotJson": "The file is not valid JSON: {detail}",
+  "error.importNotList": "A JSON import must be a list of reports.",
+  "error.importEmpty": "The file is empty.",
+  "error.importQuote": "The CSV file ends inside a quoted field.",
+  "error.importRows": "At most {max} rows can be imported at once; this file has {count}.",
+  "error.rowTitle": "title is required",
+  "error.rowDescription": "description is required",
+  "error.rowStatus": "unknown status \"{status}\"",
+  "error.rowLanguage": "\"{language}\" is not a language tag such as \"en\" or \"es-MX\"",
+  "error.rowDate": "cannot read the date \"{date}\"",
+  "error.rowFuture": "the date is in the future",
+  "error.rowCoordinates": "lat/lng must both be valid coordinates",
+  "error.offline": "Cannot reach the server. Check your connection and try again.",
+  "error.requestFailed": "Request failed with status {status}",
+
+  "status.Open": "Open",
+  "status.Acknowledged": "Acknowledged",
+  "status.In Progress": "In Progress",
+  "status.Resolved": "Resolved",
+  "status.Closed": "Closed",
+  "status.Rejected": "Rejected",
+  "status.Duplicate": "Duplicate",
+  "status.Reopened": "Reopened",
+  "status.Broadcast": "Broadcast",
+  "status.Draft": "Draft",
+  "status.Scheduled": "Scheduled",
+  "status.Retracted": "Retracted",
+  "status.Poll": "Poll",
+  "status.Upcoming": "Upcoming",
+  "status.Poll Closed": "Poll Closed",
+
+  "category.General": "General",
+  "category.Electricity": "Electricity",
+  "category.Roads": "Roads",
+  "category.Sanitation": "Sanitation",
+  "category.Water": "Water",
+  "category.Other": "Other",
+
+  "role.Guest": "Guest",
+  "role.Citizen": "Citizen",
+  "role.Politician": "Politician",
+  "role.Moderator": "Moderator",
+  "role.Admin": "Admin",
+};
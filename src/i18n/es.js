@@ -0,0 +1,786 @@
+// Spanish interface text (see en.js for the full key list).
+
+export default {
+  "app.title": "Plataforma Ciudadanía-Política",
+  "app.language": "Idioma",
+  "app.loggedInAs": "Sesión iniciada como:",
+  "app.logOut": "Cerrar sesión",
+  "app.homeConstituency": "Circunscripción de residencia...",
+  "app.homeConstituencyTitle": "Tu circunscripción de residencia: se muestran por defecto sus reportes y comunicados",
+  "app.offline": "Estás sin conexión.",
+  "app.offlineLocal": "Todo se guarda en este navegador.",
+  "app.offlineQueued": "Los nuevos reportes, comentarios, comunicados y cambios de estado se guardan aquí y se envían cuando vuelva la conexión.",
+  "app.error": "Error: {message}",
+  "app.flagged": "Gracias. Un moderador revisará lo que has señalado.",
+  "app.itemDeleted": "Ese elemento ya ha sido eliminado.",
+
+  "a11y.skipToDetails": "Ir a los detalles del reporte",
+  "a11y.highContrast": "Alto contraste",
+  "a11y.reportSubmitted": "Reporte enviado.",
+  "a11y.commentAdded": "Comentario añadido.",
+  "a11y.broadcastPosted": "Comunicado publicado.",
+  "a11y.broadcastSaved": "Comunicado guardado como borrador.",
+  "a11y.broadcastScheduled": "Comunicado programado para {date}.",
+  "a11y.pollCreated": "Encuesta iniciada.",
+  "a11y.pollResponded": "Tu respuesta fue registrada.",
+  "a11y.statusChanged": "El estado cambió a {status}.",
+
+  "submit.heading": "Enviar un problema o comentario",
+  "submit.intro": "Informa de un problema cívico o deja tu opinión pública.",
+  "submit.unavailable": "No disponible para roles distintos de Ciudadano.",
+  "submit.citizensOnly": "El formulario de reporte solo está disponible para usuarios **Ciudadanos**.",
+  "submit.logIn": "Inicia sesión como **Ciudadano** para enviar un reporte.",
+  "updates.heading": "Novedades recientes y reportes abiertos",
+  "updates.empty": "Aún no hay novedades ni reportes.",
+  "reports.heading": "Todos los reportes públicos",
+  "reports.byline": "{date} por {name}",
+  "reports.awaitingReview": "⏳ Pendiente de revisión",
+  "reports.hidden": "🚫 Oculto",
+  "reports.empty": "Ningún reporte coincide con los filtros.",
+  "map.heading": "Mapa de problemas",
+  "map.intro": "Reportes abiertos que coinciden con los filtros anteriores, coloreados por estado. Haz clic en un marcador para verlo.",
+  "detail.heading": "Detalles del reporte / Debate",
+  "detail.empty": "Selecciona un reporte de la lista para ver los detalles y participar.",
+  "broadcast.heading": "Publicar un comunicado (Político)",
+  "broadcast.intro": "Solo el rol **Político** puede publicar novedades para la ciudadanía de las circunscripciones que representa.",
+  "moderation.heading": "Cola de moderación",
+  "moderation.intro": "Contenido señalado y envíos retenidos por el filtro automático.",
+  "concerns.heading": "Principales preocupaciones por categoría",
+  "concerns.intro": "Reportes abiertos con más apoyo ciudadano.",
+  "analytics.heading": "Panel de análisis",
+  "analytics.intro": "Cómo se gestionan los reportes: evolución de estados, tiempos de respuesta y pendientes.",
+  "satisfaction.heading": "Satisfacción ciudadana",
+  "satisfaction.intro": "Cómo valoraron los autores la solución de sus reportes y cuántas veces la rechazaron.",
+  "transfer.heading": "Exportar e importar (Admin)",
+  "transfer.intro": "Descarga los reportes que coinciden con los filtros actuales o carga reportes de otro sistema.",
+  "users.heading": "Cuentas de usuario (Admin)",
+  "users.intro": "Asigna un rol a cada cuenta. Los cambios se aplican en la siguiente acción de la cuenta.",
+  "constituencies.heading": "Circunscripciones (Admin)",
+  "constituencies.intro": "Cada reporte pertenece a una circunscripción. Asigna políticos y moderadores en Cuentas de usuario.",
+  "categories.heading": "Categorías (Admin)",
+  "categories.intro": "Categorías disponibles al reportar y publicar. Los reportes nuevos se asignan al departamento o responsable de su categoría.",
+
+  "modal.title": "Autorización necesaria",
+  "modal.close": "Entendido",
+
+  "form.titlePlaceholder": "Título breve y descriptivo (p. ej. Farolas rotas en la calle Mayor)",
+  "form.title": "Título",
+  "form.description": "Descripción",
+  "form.descriptionPlaceholder": "Descripción detallada del problema o comentario",
+  "form.category": "Categoría",
+  "form.constituency": "Circunscripción",
+  "form.selectConstituency": "Selecciona una circunscripción...",
+  "form.chooseConstituency": "Elige la circunscripción a la que pertenece este reporte.",
+  "form.language": "Escrito en",
+  "form.submit": "Enviar nuevo reporte",
+  "form.clear": "Borrar",
+
+  "issue.reportedBy": "Reportado por",
+  "issue.postedBy": "Publicado por",
+  "issue.allConstituencies": "Todas las circunscripciones",
+  "issue.noConstituency": "Sin circunscripción asignada",
+  "issue.assignedTo": "Asignado a {name}",
+  "issue.assignedToDepartment": "Asignado al departamento {name}",
+  "issue.routedByCategory": "según su categoría",
+  "issue.reassignedBy": "reasignado por {name} el {date}",
+  "issue.unassigned": "Aún sin asignar",
+  "sla.overdue": "Vencido",
+  "sla.acknowledgeOverdue": "Acuse de recibo vencido",
+  "sla.resolveOverdue": "Resolución vencida",
+  "sla.acknowledgeBy": "Acusar recibo antes del {date}",
+  "sla.resolveBy": "Resolver antes del {date}",
+  "sla.escalatedOfficials": "{stage}: responsables avisados el {date}",
+  "sla.escalatedAdmins": "{stage}: administradores avisados el {date}",
+  "issue.follow": "🔔 Seguir",
+  "issue.unfollow": "🔕 Dejar de seguir",
+  "issue.followTitle": "Recibe avisos de cambios de estado y nuevos comentarios",
+  "issue.unfollowTitle": "Dejar de recibir avisos sobre este elemento",
+  "issue.writtenIn": "🌐 Escrito en {language}",
+  "issue.held": "⏳ Retenido para revisión de moderación ({reason}). Solo tú y los moderadores podéis verlo hasta que se apruebe.",
+  "issue.hiddenNote": "🚫 Ocultado por un moderador. Solo los moderadores pueden verlo.",
+  "issue.outOfArea": "Esto está fuera de las circunscripciones que representas, así que los cambios de estado y la moderación corresponden a sus propios representantes.",
+  "issue.duplicateOf": "Duplicado de",
+  "issue.deletedReport": "un reporte eliminado",
+  "issue.description": "Descripción:",
+  "issue.editedBy": "Editado por {name} ({role}) el {date}: {reason}",
+  "issue.pinnedLocation": "Ubicación marcada",
+  "issue.support": "▲ A mí también",
+  "issue.supported": "✓ Apoyado",
+  "issue.supportTitle": "Esto también me afecta",
+  "issue.withdrawTitle": "Retirar tu apoyo",
+  "issue.supporters.one": "{count} ciudadano apoya este reporte",
+  "issue.supporters.other": "{count} ciudadanos apoyan este reporte",
+  "issue.statusHistory": "Historial de estados",
+  "issue.discussion": "Debate ({count})",
+  "issue.locked": "🔒 bloqueado por un moderador",
+  "issue.officialResponse": "🏛 Respuesta oficial de",
+  "issue.relatedUpdates": "📣 Novedades sobre este reporte",
+  "issue.openUpdate": "Abrir novedad",
+  "issue.noComments": "Aún no hay comentarios. ¡Sé el primero en participar!",
+  "issue.respondAs": "Responder como {role}...",
+  "issue.logInToComment": "Inicia sesión para unirte al debate.",
+  "issue.commentLabel": "Tu comentario",
+  "issue.addComment": "Añadir comentario",
+  "issue.delete": "Eliminar (Admin)",
+  "issue.deleteTitle": "Acción de Admin: eliminar este reporte de forma permanente.",
+
+  "broadcast.message": "Mensaje del comunicado",
+  "broadcast.placeholder": "Escribe un comunicado público para la ciudadanía...",
+  "broadcast.politiciansOnly": "Solo un Político puede publicar novedades.",
+  "broadcast.denied": "Acceso denegado: {reason} Rol actual: {role}",
+  "broadcast.noAudience": "No tienes asignada ninguna circunscripción existente, así que no hay destinatarios para el comunicado.",
+  "broadcast.audienceTitle": "A quién va dirigido el comunicado",
+  "broadcast.post": "Publicar comunicado",
+  "broadcast.notAllowed": "No permitido",
+  "broadcast.postTitle": "Enviar el comunicado a todos los usuarios.",
+  "broadcast.notAuthorized": "No tienes autorización para enviar comunicados.",
+  "broadcast.notifies": "A quién se notifica",
+  "broadcast.notifyFollowers": "Seguidores de la categoría",
+  "broadcast.notifyResidents": "Todos en la circunscripción",
+  "broadcast.publishAt": "Publicar el (vacío para publicar ahora)",
+  "broadcast.schedule": "Programar comunicado",
+  "broadcast.saveDraft": "Guardar borrador",
+  "broadcast.drafts": "Tus borradores y comunicados programados",
+  "broadcast.scheduledFor": "Programado para {date}",
+  "poll.heading": "Iniciar una encuesta o consulta (Político)",
+  "poll.intro": "Pregunta a la ciudadanía: añade preguntas de opción o de texto libre y fija cuándo se abren y cierran las respuestas. Cada ciudadano responde una vez, de forma anónima, y los resultados se actualizan en vivo.",
+
+  "sync.pending.one": "⏳ Pendiente de sincronizar",
+  "sync.pending.other": "⏳ Pendiente de sincronizar ({count} cambios)",
+  "sync.failed": "⚠ {change} sin guardar: {error}",
+  "sync.report": "Reporte",
+  "sync.broadcast": "Comunicado",
+  "sync.comment": "Comentario",
+  "sync.statusChange": "Cambio de estado",
+  "sync.change": "Cambio",
+  "sync.retry": "Reintentar",
+  "sync.discard": "Descartar",
+
+  "auth.username": "Usuario",
+  "auth.displayName": "Nombre visible",
+  "auth.displayNamePlaceholder": "Nombre visible (aparece en tus reportes)",
+  "auth.password": "Contraseña",
+  "auth.logIn": "Iniciar sesión",
+  "auth.createAccount": "Crear cuenta",
+  "auth.register": "Crear una cuenta",
+  "auth.haveAccount": "Ya tengo una cuenta",
+  "auth.registerHint": "Las cuentas nuevas empiezan como Ciudadano; un Administrador puede asignar otros roles.",
+  "auth.loginHint": "Navega como invitado o inicia sesión para reportar y comentar.",
+  "pagination.showing": "Mostrando {first}–{last} de {total}",
+  "pagination.page": "Página {page} de {count}",
+  "pagination.previous": "Anterior",
+  "pagination.next": "Siguiente",
+  "concerns.empty": "Aún no hay reportes abiertos.",
+  "concerns.supporters.one": "{count} apoyo",
+  "concerns.supporters.other": "{count} apoyos",
+  "timeline.reported": "Reportado",
+  "timeline.asStatus": "como {status}",
+  "timeline.merged": "Fusionado",
+  "timeline.mergedDuplicate": "el duplicado «{title}»",
+  "timeline.duplicateOf": "de «{title}»",
+  "attachments.close": "Cerrar",
+  "flag.open": "⚑ Denunciar",
+  "flag.title": "Avisar a los moderadores sobre esto",
+  "flag.flagged": "⚑ Lo denunciaste",
+  "flag.reason": "Motivo de la denuncia",
+  "flag.details": "Detalles",
+  "flag.detailsPlaceholder": "Detalles (opcional)",
+  "flag.submit": "Denunciar",
+  "flag.cancel": "Cancelar",
+  "flagReason.abusive": "Ofensivo",
+  "flagReason.spam": "Spam",
+  "flagReason.off-topic": "Fuera de tema",
+  "queue.empty": "No hay nada pendiente de revisión.",
+  "queue.commentOn": "Comentario en «{title}»",
+  "queue.held": "⏳ Retenido: {reason}",
+  "queue.open": "Abrir",
+  "queue.keepTitle": "Descartar las marcas y mantener el contenido visible",
+  "queue.approve": "Aprobar",
+  "queue.keep": "Mantener",
+  "merge.title": "Unir los apoyos y comentarios de este reporte a otro reporte",
+  "merge.open": "Unir a otro reporte",
+  "merge.intro": "Los apoyos y comentarios de este reporte se añadirán al que elijas, y este reporte se marcará como Duplicado.",
+  "merge.into": "Reporte original al que unir",
+  "merge.select": "Elige el reporte original...",
+  "merge.notePlaceholder": "Nota (opcional)",
+  "merge.note": "Nota",
+  "merge.submit": "Unir",
+  "merge.cancel": "Cancelar",
+  "map.label": "Mapa. Usa las flechas para desplazarte y + o - para acercar o alejar.",
+  "map.zoomIn": "Acercar",
+  "map.zoomOut": "Alejar",
+  "map.cancelDrawing": "Cancelar dibujo",
+  "map.drawArea": "Dibujar área",
+  "map.clearArea": "Quitar área",
+  "map.ward": "Distrito",
+  "map.allWards": "Todos los distritos",
+  "map.drawHint": "Arrastra sobre el mapa para elegir un área; la lista mostrará solo los reportes dentro de ella.",
+  "commentModeration.text": "Texto del comentario",
+  "commentModeration.hideReason": "Motivo para ocultar (obligatorio)",
+  "commentModeration.editReason": "Motivo de la edición (obligatorio)",
+  "commentModeration.reason": "Motivo",
+  "commentModeration.hide": "Ocultar",
+  "commentModeration.save": "Guardar",
+  "commentModeration.cancel": "Cancelar",
+  "commentModeration.approve": "Aprobar",
+  "commentModeration.restore": "Restaurar",
+  "commentModeration.edit": "Editar",
+  "attachments.attach": "Adjuntar archivos",
+  "attachments.remove": "Quitar {name}",
+  "location.unsupported": "Este navegador no puede compartir su ubicación. Elige el lugar en el mapa.",
+  "location.failed": "No se pudo obtener tu ubicación: {message}",
+  "location.label": "Ubicación (opcional)",
+  "location.placeholder": "Dirección o punto de referencia",
+  "location.locating": "Ubicando...",
+  "location.useMine": "Usar mi ubicación",
+  "location.hideMap": "Ocultar mapa",
+  "location.pickOnMap": "Elegir en el mapa",
+  "location.clearPin": "Quitar marcador",
+  "location.mapHint": "Haz clic en el mapa para colocar un marcador.",
+  "location.pin": "Ubicación del reporte",
+  "filters.search": "Buscar reportes",
+  "filters.searchPlaceholder": "Buscar en títulos, descripciones y comentarios...",
+  "filters.status": "Estado:",
+  "filters.all": "Todos",
+  "filters.overdue": "Atrasados",
+  "filters.broadcasts": "Comunicados",
+  "filters.polls": "Encuestas",
+  "filters.category": "Categoría:",
+  "filters.constituency": "Circunscripción:",
+  "filters.mine": "La mía",
+  "filters.reporter": "Autor:",
+  "filters.anyRole": "Cualquier rol",
+  "filters.response": "Respuesta:",
+  "filters.any": "Cualquiera",
+  "filters.responded": "Respondido por un político",
+  "filters.awaiting": "Esperando respuesta",
+  "filters.from": "Desde:",
+  "filters.to": "Hasta:",
+  "filters.sort": "Ordenar:",
+  "filters.reset": "Restablecer",
+  "sort.newest": "Más recientes primero",
+  "sort.oldest": "Más antiguos primero",
+  "sort.discussed": "Más comentados",
+  "sort.supported": "Más apoyados",
+  "sort.updated": "Actualizados recientemente",
+  "transition.Acknowledged": "Confirmar recepción",
+  "transition.In Progress": "Marcar en curso",
+  "transition.Resolved": "Marcar resuelto",
+  "transition.Closed": "Cerrar",
+  "transition.Rejected": "Rechazar",
+  "transition.Duplicate": "Marcar duplicado",
+  "transition.Reopened": "Reabrir",
+  "transition.moveTo": "Pasar este reporte a «{status}»",
+  "transition.confirmIntro": "{action}: el reporte pasará a {status}.",
+  "transition.original": "Reporte original",
+  "transition.selectOriginal": "Elige el reporte original...",
+  "transition.noteRequired": "Nota (obligatoria): explica esta decisión",
+  "transition.noteOptional": "Nota (opcional)",
+  "transition.note": "Nota",
+  "transition.confirm": "Confirmar",
+  "transition.cancel": "Cancelar",
+  "notifications.title": "Notificaciones",
+  "notifications.markAllRead": "Marcar todo como leído",
+  "notifications.back": "Volver",
+  "notifications.settings": "Ajustes",
+  "notifications.followed": "Categorías seguidas (nuevos reportes, comentarios, cambios de estado y comunicados):",
+  "notifications.noCategories": "Aún no hay categorías.",
+  "notifications.emailPlaceholder": "Enviarme también un correo a (opcional)",
+  "notifications.email": "Correo de notificaciones",
+  "notifications.save": "Guardar",
+  "notifications.emailHint": "Los correos solo se envían si el servidor tiene configurado un relé de correo.",
+  "notifications.empty": "Nada todavía. Sigue un reporte o una categoría para enterarte de los cambios.",
+  "notice.report": "Nuevo reporte de {category} de {who}: «{title}».",
+  "notice.status": "{who} cambió «{title}» de {from} a {to}.",
+  "notice.comment": "{who} comentó en «{title}».",
+  "notice.official": "{who} publicó la respuesta oficial en «{title}».",
+  "notice.broadcast": "Nuevo comunicado de {category} de {who}.",
+  "notice.retract": "{who} retiró un comunicado de {category}.",
+  "notice.poll": "{who} quiere conocer tu opinión: «{title}».",
+  "notice.merge": "{who} fusionó un reporte duplicado con «{title}».",
+  "notice.assign": "{who} asignó «{title}» a {assignee}.",
+  "notice.unassign": "{who} quitó la asignación de «{title}».",
+  "notice.rate": "{who} marcó tu reporte «{title}» como Resuelto. ¿Se solucionó? Valora la resolución.",
+  "notice.disputed": "{who} cuestionó la resolución de «{title}», que se ha reabierto.",
+  "notice.confirmed": "{who} confirmó la resolución de «{title}» ({rating}/5).",
+  "notice.overdueAcknowledge": "«{title}» no se atendió a tiempo.",
+  "notice.overdueResolve": "«{title}» no se resolvió a tiempo.",
+  "notice.escalatedAcknowledge": "«{title}» no se atendió a tiempo y se ha escalado a los administradores.",
+  "notice.escalatedResolve": "«{title}» no se resolvió a tiempo y se ha escalado a los administradores.",
+  "notice.updated": "«{title}» se actualizó.",
+  "comment.official": "Respuesta oficial",
+  "comment.edited": "editado",
+  "comment.editedAt": "Editado el {date}",
+  "comment.merged": "de un duplicado unido",
+  "comment.held": "pendiente de revisión ({reason})",
+  "comment.hidden": "oculto",
+  "comment.moderatorEdited": "editado por un moderador",
+  "comment.deleted": "Comentario eliminado por su autor.",
+  "comment.unreact": "Quitar tu reacción",
+  "comment.react": "Reaccionar",
+  "comment.addReaction": "Añadir una reacción",
+  "comment.reply": "Responder",
+  "comment.edit": "Editar",
+  "comment.delete": "Eliminar",
+  "comment.unpinOfficial": "Quitar como respuesta oficial",
+  "comment.markOfficial": "Marcar como respuesta oficial",
+  "comment.confirmDelete": "¿Eliminar este comentario? Las respuestas se conservan.",
+  "comment.cancel": "Cancelar",
+  "comment.replyPlaceholder": "Responder a {author}...",
+  "comment.replyTo": "Responder a {author}",
+  "comment.editLabel": "Edita tu comentario",
+  "comment.save": "Guardar",
+  "transfer.tooLarge": "«{name}» ocupa más de 5 MB.",
+  "transfer.exportCsv": "Exportar CSV ({count})",
+  "transfer.exportJson": "Exportar JSON",
+  "transfer.import": "Importar reportes (CSV o JSON)",
+  "transfer.file": "Archivo CSV o JSON para importar",
+  "transfer.columns": "Columnas: title y description (obligatorias), category, status, createdAt, reporterName, address, lat, lng. Una exportación de esta aplicación se puede importar tal cual.",
+  "transfer.rowError": "Fila {line}: {error}",
+  "transfer.row": "Fila",
+  "transfer.title": "Título",
+  "transfer.date": "Fecha",
+  "transfer.status": "Estado",
+  "transfer.check": "Revisión",
+  "transfer.duplicateOfRow": "Duplicado de la fila {line}",
+  "transfer.duplicateOfExisting": "Duplicado de un reporte existente",
+  "transfer.ok": "Correcto",
+  "transfer.includeDuplicates": "Importar también los duplicados",
+  "transfer.importing": "Importando...",
+  "transfer.cancel": "Cancelar",
+  "constituencies.namePlaceholder": "Nombre de la circunscripción (p. ej. Distrito Norte)",
+  "constituencies.name": "Nombre",
+  "constituencies.descriptionPlaceholder": "Descripción (opcional)",
+  "constituencies.description": "Descripción",
+  "constituencies.add": "Añadir circunscripción",
+  "constituencies.empty": "Aún no hay circunscripciones. Hasta que se añada una, todos los reportes forman un único grupo.",
+  "constituencies.confirmRemove": "¿Quitar {name}?",
+  "constituencies.accountsLose": "Las cuentas que la atienden pierden la asignación.",
+  "constituencies.remove": "Quitar",
+  "constituencies.cancel": "Cancelar",
+  "constituencies.save": "Guardar",
+  "constituencies.edit": "Editar",
+  "moderation.lock": "Cerrar la conversación",
+  "moderation.unlock": "Reabrir la conversación",
+  "moderation.approve": "Aprobar",
+  "moderation.restore": "Restaurar",
+  "moderation.hide": "Ocultar",
+  "moderation.edit": "Editar",
+  "moderation.title": "Título",
+  "moderation.description": "Descripción",
+  "moderation.constituency": "Circunscripción",
+  "moderation.unassigned": "Sin circunscripción",
+  "moderation.category": "Categoría",
+  "moderation.hideReason": "Motivo para ocultar (obligatorio)",
+  "moderation.editReason": "Motivo de la edición, visible para todos (obligatorio)",
+  "moderation.reason": "Motivo",
+  "moderation.saveEdit": "Guardar edición",
+  "moderation.cancel": "Cancelar",
+  "users.roleOf": "Rol de {name}",
+  "users.serves": "Atiende:",
+  "users.allConstituencies": "(todas las circunscripciones)",
+  "users.empty": "Aún no hay cuentas.",
+  "analytics.period": "Periodo",
+  "analytics.range30": "Últimos 30 días",
+  "analytics.range90": "Últimos 90 días",
+  "analytics.range365": "Últimos 12 meses",
+  "analytics.category": "Categoría",
+  "analytics.allCategories": "Todas las categorías",
+  "analytics.filed": "Reportes presentados",
+  "analytics.firstResponse": "Mediana de primera respuesta",
+  "analytics.resolution": "Mediana de tiempo de resolución",
+  "analytics.stillOpen": "Aún abiertos",
+  "analytics.statusOverTime": "Estado a lo largo del tiempo",
+  "analytics.aging": "Antigüedad de pendientes (reportes sin terminar)",
+  "analytics.reports": "Reportes",
+  "analytics.byCategory": "Por categoría ({range})",
+  "analytics.firstResponseShort": "Primera respuesta",
+  "analytics.resolutionShort": "Resolución",
+  "analytics.mostDiscussed": "Más comentados",
+  "analytics.noDiscussions": "No hubo conversaciones en este periodo.",
+  "age.< 1 week": "< 1 semana",
+  "age.1-4 weeks": "1-4 semanas",
+  "age.1-3 months": "1-3 meses",
+  "age.> 3 months": "> 3 meses",
+  "attachments.tooMany.one": "Puedes adjuntar hasta {count} archivo.",
+  "attachments.tooMany.other": "Puedes adjuntar hasta {count} archivos.",
+  "attachments.uploading.one": "Subiendo {count}...",
+  "attachments.uploading.other": "Subiendo {count}...",
+  "attachments.limits.one": "Imágenes o PDF, hasta {count} archivo de {size}",
+  "attachments.limits.other": "Imágenes o PDF, hasta {count} archivos de {size}",
+  "map.count.one": "{count} reporte abierto en el mapa",
+  "map.count.other": "{count} reportes abiertos en el mapa",
+  "notifications.unread.one": "Notificaciones, {count} sin leer",
+  "notifications.unread.other": "Notificaciones, {count} sin leer",
+  "comment.reactions.one": "{count} reacción",
+  "comment.reactions.other": "{count} reacciones",
+  "transfer.imported.one": "Se importó {count} reporte.",
+  "transfer.imported.other": "Se importaron {count} reportes.",
+  "transfer.rows.one": "{count} fila",
+  "transfer.rows.other": "{count} filas",
+  "transfer.invalid.one": "{count} con errores",
+  "transfer.invalid.other": "{count} con errores",
+  "transfer.duplicates.one": "{count} posible duplicado",
+  "transfer.duplicates.other": "{count} posibles duplicados",
+  "transfer.importCount.one": "Importar {count} reporte",
+  "transfer.importCount.other": "Importar {count} reportes",
+  "constituencies.unassigned.one": "Su {count} reporte quedará sin asignar.",
+  "constituencies.unassigned.other": "Sus {count} reportes quedarán sin asignar.",
+  "constituencies.reports.one": "{count} reporte",
+  "constituencies.reports.other": "{count} reportes",
+  "analytics.responded.one": "{count} respondido",
+  "analytics.responded.other": "{count} respondidos",
+  "analytics.resolved.one": "{count} resuelto",
+  "analytics.resolved.other": "{count} resueltos",
+  "duration.minutes.one": "{count} min",
+  "duration.minutes.other": "{count} min",
+  "duration.hours.one": "{count} h",
+  "duration.hours.other": "{count} h",
+  "duration.days.one": "{count} día",
+  "duration.days.other": "{count} días",
+
+  "categories.add": "Añadir categoría",
+  "categories.icon": "Icono",
+  "categories.name": "Nombre de la categoría",
+  "categories.namePlaceholder": "Nombre de la categoría (p. ej. Parques)",
+  "categories.color": "Color de la etiqueta",
+  "categories.description": "Descripción",
+  "categories.descriptionPlaceholder": "Descripción que se muestra al reportar (opcional)",
+  "categories.owner": "Gestionada por",
+  "categories.notRouted": "Sin asignar",
+  "categories.aDepartment": "Un departamento…",
+  "categories.department": "Nombre del departamento",
+  "categories.acknowledgeDays": "Confirmar en (días)",
+  "categories.resolveDays": "Resolver en (días)",
+  "categories.save": "Guardar",
+  "categories.cancel": "Cancelar",
+  "categories.confirmRemove": "¿Quitar {name}?",
+  "categories.remove": "Quitar",
+  "categories.edit": "Editar",
+  "categories.lastOne": "Debe quedar al menos una categoría.",
+  "categories.routedTo": "Asignada a {name}",
+  "categories.routedToDepartment": "Asignada a {name} (departamento)",
+  "categories.noDeadlines": "Sin plazos",
+  "assignee.reassign": "Reasignar",
+  "assignee.assignTo": "Asignar a",
+  "assignee.unassigned": "Sin asignar",
+  "assignee.departments": "Departamentos",
+  "assignee.officials": "Responsables",
+  "assignee.notePlaceholder": "Nota para el registro (opcional)",
+  "assignee.note": "Nota",
+  "assignee.assign": "Asignar",
+  "assignee.cancel": "Cancelar",
+  "categories.keepName.one": "Su {count} reporte conserva el nombre de la categoría y el responsable, pero ya no se podrá elegir.",
+  "categories.keepName.other": "Sus {count} reportes conservan el nombre de la categoría y el responsable, pero ya no se podrá elegir.",
+  "categories.acknowledgeIn.one": "confirmar en {count} día",
+  "categories.acknowledgeIn.other": "confirmar en {count} días",
+  "categories.resolveIn.one": "resolver en {count} día",
+  "categories.resolveIn.other": "resolver en {count} días",
+  "categories.reports.one": "{count} reporte",
+  "categories.reports.other": "{count} reportes",
+
+  "feedback.confirmed": "El autor confirmó la resolución",
+  "feedback.confirmedBy": "El autor confirmó la resolución de {name}",
+  "feedback.disputed": "El autor rechazó la resolución",
+  "feedback.disputedBy": "El autor rechazó la resolución de {name}",
+  "feedback.stars": "{rating} de 5",
+  "feedback.prompt": "Tu reporte se marcó como Resuelto. ¿Se solucionó?",
+  "feedback.rate": "Valora la resolución",
+  "feedback.yes": "Sí, está solucionado",
+  "feedback.no": "No, reábrelo",
+  "feedback.whatIsWrong": "¿Qué sigue mal? (obligatorio)",
+  "feedback.comments": "Comentarios (opcional)",
+  "feedback.note": "Nota de valoración",
+  "feedback.dispute": "Rechazar y reabrir",
+  "feedback.send": "Enviar valoración",
+  "satisfaction.empty": "Aún no se ha valorado ninguna resolución.",
+  "satisfaction.average": "Valoración media",
+  "satisfaction.averageShort": "Media",
+  "satisfaction.outOfFive": "{average} / 5",
+  "satisfaction.confirmedFixed": "Confirmados como solucionados",
+  "satisfaction.confirmed": "Confirmados",
+  "satisfaction.disputed": "Rechazados",
+  "satisfaction.reopened": "reabiertos por su autor",
+  "satisfaction.byCategory": "Por categoría",
+  "satisfaction.category": "Categoría",
+  "satisfaction.byPolitician": "Por político",
+  "satisfaction.politician": "Político",
+  "satisfaction.noPoliticians": "Aún no se ha valorado ninguna resolución de un político.",
+  "satisfaction.rated": "Valorados",
+  "satisfaction.ratedCount.one": "{count} valorado",
+  "satisfaction.ratedCount.other": "{count} valorados",
+  "satisfaction.reports.one": "{count} reporte",
+  "satisfaction.reports.other": "{count} reportes",
+
+  "broadcast.draftNote": "Borrador: solo tú puedes verlo hasta que se publique.",
+  "broadcast.scheduledNote": "Programado para {date}: solo tú puedes verlo hasta entonces.",
+  "broadcast.retractedOn": "Retirado por {name} el {date}.",
+  "broadcast.retractedWithReason": "Retirado por {name} el {date}: {reason}",
+  "broadcast.notifiesWho": "Notifica a: {audience}",
+  "broadcast.editedAt": "editado el {date}",
+  "broadcast.about": "Sobre:",
+  "broadcast.edit": "Editar",
+  "broadcast.publishNow": "Publicar ahora",
+  "broadcast.discard": "Descartar",
+  "broadcast.retract": "Retirar",
+  "broadcast.retractIntro": "Al retirarlo, el comunicado sigue en la lista marcado como retirado, y se avisa a su público.",
+  "broadcast.retractReasonPlaceholder": "Por qué se retira (opcional)",
+  "broadcast.reason": "Motivo",
+  "broadcast.cancel": "Cancelar",
+  "broadcast.history": "Historial de cambios ({count})",
+  "broadcast.retracted": "Retirado",
+  "broadcast.edited": "Editado",
+  "broadcast.previously": "Antes: «{text}»",
+  "broadcast.alsoChanged": "También cambió: {fields}",
+  "broadcast.category": "Categoría",
+  "broadcast.publishAtDraft": "Publicar el (déjalo vacío para mantenerlo como borrador)",
+  "broadcast.editReasonPlaceholder": "Qué cambió y por qué (opcional, se muestra en el historial)",
+  "broadcast.editReason": "Motivo de la edición",
+  "broadcast.saveChanges": "Guardar cambios",
+  "broadcast.saveAndSchedule": "Guardar y programar",
+  "broadcastField.category": "categoría",
+  "broadcastField.language": "idioma",
+  "broadcastField.constituencyId": "circunscripción",
+  "broadcastField.audience": "público",
+  "broadcastField.relatedIssueIds": "reportes relacionados",
+  "related.fallbackTitle": "Reporte {id}",
+  "related.remove": "Quitar {title}",
+  "related.placeholder": "Vincular reportes relacionados: busca por título...",
+  "related.search": "Buscar reportes relacionados",
+  "related.matching": "Reportes que coinciden",
+  "related.none": "Ningún reporte coincide.",
+
+  "poll.kindSingle": "Opción única",
+  "poll.kindMultiple": "Opción múltiple",
+  "poll.kindText": "Texto libre",
+  "poll.title": "Título de la encuesta",
+  "poll.titlePlaceholder": "¿Sobre qué preguntas?",
+  "poll.description": "Descripción de la encuesta",
+  "poll.descriptionPlaceholder": "Contexto para la ciudadanía: qué se decide y cómo se usarán las respuestas",
+  "poll.question": "Pregunta {number}",
+  "poll.prompt": "Pregunta",
+  "poll.questionKind": "Tipo de la pregunta {number}",
+  "poll.options": "Opciones, una por línea",
+  "poll.questionOptions": "Opciones de la pregunta {number}, una por línea",
+  "poll.removeQuestion": "Quitar pregunta",
+  "poll.addQuestion": "+ Añadir pregunta",
+  "poll.category": "Categoría",
+  "poll.audience": "A quién va dirigida la encuesta",
+  "poll.allConstituencies": "Todas las circunscripciones",
+  "poll.opensAt": "Se abre (vacío para ahora)",
+  "poll.closesAt": "Se cierra",
+  "poll.start": "Iniciar encuesta",
+  "poll.upcoming": "Se abre el {opens}, se cierra el {closes}",
+  "poll.openUntil": "Abierta a respuestas hasta el {date}",
+  "poll.closedAt": "Cerrada el {date}",
+  "poll.youResponded": "✅ Respondiste el {date}.",
+  "poll.closeNow": "Cerrar la encuesta ahora",
+  "poll.results": "Resultados",
+  "poll.resultsSoFar": "Resultados hasta ahora",
+  "poll.exportCsv": "Exportar CSV",
+  "poll.severalAllowed": "Se permiten varias respuestas",
+  "poll.answerPlaceholder": "Tu respuesta (opcional)",
+  "poll.submit": "Enviar respuesta",
+  "poll.once": "Puedes responder una vez; las respuestas son anónimas.",
+  "poll.optionCount": "{count} ({percent})",
+  "poll.noWritten": "Aún no hay respuestas escritas.",
+  "poll.responses.one": "{count} respuesta",
+  "poll.responses.other": "{count} respuestas",
+  "poll.answered.one": "{count} respondió",
+  "poll.answered.other": "{count} respondieron",
+  "poll.showWritten.one": "Mostrar {count} respuesta escrita",
+  "poll.showWritten.other": "Mostrar {count} respuestas escritas",
+
+  "error.editConflict": "Otra persona cambió esto mientras lo editabas. Revisa la versión más reciente e inténtalo de nuevo.",
+  "error.commentAlreadyDeleted": "Este comentario ya se eliminó.",
+  "error.alreadyMerged": "Este reporte ya se fusionó.",
+  "error.alreadyFlagged": "Ya marcaste este contenido.",
+  "error.alreadyRated": "Ya valoraste esta resolución.",
+  "error.categoryExists": "Ya existe una categoría llamada «{name}».",
+  "error.constituencyExists": "Ya existe una circunscripción llamada «{name}».",
+  "error.usernameTaken": "El nombre de usuario «{name}» ya está en uso.",
+  "error.reportExists": "El reporte {id} ya existe.",
+  "error.broadcastExists": "El comunicado {id} ya existe.",
+  "error.pollExists": "La encuesta {id} ya existe.",
+  "error.commentExists": "El comentario {id} ya existe.",
+  "error.rateOwnOnly": "Solo la persona que presentó este reporte puede valorar su resolución.",
+  "error.closePollOwnOnly": "Solo el político que inició esta encuesta puede cerrarla.",
+  "error.broadcastOwnOnly": "Solo el político que escribió este comunicado puede cambiarlo.",
+  "error.broadcastScope": "Solo puedes enviar comunicados a las circunscripciones que atiendes.",
+  "error.deleteOwnComments": "Solo puedes eliminar tus propios comentarios.",
+  "error.editOwnComments": "Solo puedes editar tus propios comentarios.",
+  "error.constituencyScope": "Este reporte pertenece a una circunscripción que no atiendes.",
+  "error.flagOwn": "No puedes marcar tu propio contenido.",
+  "error.permission.issueCreate": "Solo los usuarios Ciudadano pueden enviar reportes nuevos.",
+  "error.permission.commentCreate": "Inicia sesión para participar en la conversación.",
+  "error.permission.commentReact": "Inicia sesión para reaccionar a los comentarios.",
+  "error.permission.commentOfficial": "Solo el rol Político puede marcar la respuesta oficial.",
+  "error.permission.notificationRead": "Inicia sesión para seguir reportes y ver tus notificaciones.",
+  "error.permission.contentFlag": "Solo los usuarios Ciudadano o Político pueden marcar contenido.",
+  "error.permission.contentModerate": "Solo los usuarios Moderador o Administrador pueden moderar contenido.",
+  "error.permission.issueEdit": "Solo los usuarios Moderador o Administrador pueden editar reportes.",
+  "error.permission.issueAssign": "Solo los usuarios Moderador o Administrador pueden reasignar reportes.",
+  "error.permission.issueDelete": "Solo los usuarios Administrador pueden eliminar reportes.",
+  "error.permission.issueSupport": "Solo los usuarios Ciudadano pueden apoyar reportes.",
+  "error.permission.issueMerge": "Solo los roles Político, Moderador o Administrador pueden fusionar reportes duplicados.",
+  "error.permission.insightsView": "Solo los roles Político, Moderador o Administrador pueden ver las estadísticas de reportes.",
+  "error.permission.broadcastCreate": "Solo el rol Político puede publicar comunicados.",
+  "error.permission.pollCreate": "Solo el rol Político puede iniciar encuestas.",
+  "error.permission.pollRespond": "Solo los usuarios Ciudadano pueden responder encuestas.",
+  "error.permission.reportsExport": "Solo los usuarios Administrador pueden exportar reportes.",
+  "error.permission.reportsImport": "Solo los usuarios Administrador pueden importar reportes.",
+  "error.permission.userManage": "Solo los usuarios Administrador pueden gestionar cuentas.",
+  "error.permission.constituencyManage": "Solo los usuarios Administrador pueden gestionar circunscripciones.",
+  "error.permission.categoryManage": "Solo los usuarios Administrador pueden gestionar categorías.",
+  "error.permission.feedbackSummary": "Solo los usuarios Administrador pueden ver el resumen de satisfacción.",
+  "error.broadcastStatus": "Los comunicados no tienen estado.",
+  "error.transition": "Un reporte no puede pasar de «{from}» a «{to}».",
+  "error.only.acknowledge": "Solo Político, Moderador o Administrador pueden atender este reporte.",
+  "error.only.inProgress": "Solo Político o Administrador pueden marcar este reporte En curso.",
+  "error.only.resolved": "Solo Político o Administrador pueden marcar este reporte como Resuelto.",
+  "error.only.close": "Solo Político, Moderador, Administrador o quien lo reportó pueden cerrar este reporte.",
+  "error.only.reject": "Solo Político, Moderador o Administrador pueden rechazar este reporte.",
+  "error.only.duplicate": "Solo Político, Moderador o Administrador pueden marcar este reporte como duplicado.",
+  "error.only.reopen": "Solo Político, Moderador, Administrador o quien lo reportó pueden reabrir este reporte.",
+  "error.noteReject": "Para rechazar un reporte hace falta una nota que explique el motivo.",
+  "error.noteReopen": "Para reabrir un reporte hace falta una nota que explique el motivo.",
+  "error.chooseOriginal": "Elige el reporte original del que este es duplicado.",
+  "error.issueFields": "El título, la descripción y la categoría no pueden estar vacíos.",
+  "error.chooseConstituency": "Elige la circunscripción a la que pertenece este reporte.",
+  "error.unknownCategory": "Categoría desconocida: «{category}».",
+  "error.reportNotFound": "No se encontró el reporte {id}.",
+  "error.broadcastNotFound": "No se encontró el comunicado {id}.",
+  "error.pollNotFound": "No se encontró la encuesta {id}.",
+  "error.commentNotFound": "No se encontró el comentario {id}.",
+  "error.reportGone": "El reporte {id} ya no existe.",
+  "error.broadcastGone": "El comunicado {id} ya no existe.",
+  "error.notOffline": "El reporte {id} no está disponible sin conexión.",
+  "error.mergeSelf": "Un reporte no puede fusionarse consigo mismo.",
+  "error.mergeIntoActive": "Fusiona con el reporte que sigue activo, no con otro duplicado.",
+  "error.mergeReportsOnly": "Solo se pueden fusionar reportes.",
+  "error.mergeBothExist": "Ambos reportes deben seguir existiendo para fusionarlos.",
+  "error.assignReportsOnly": "Solo se pueden asignar reportes.",
+  "error.assigneeRoles": "Los reportes solo se pueden asignar a cuentas Político, Moderador o Administrador.",
+  "error.commentEmpty": "El comentario no puede estar vacío.",
+  "error.commentDeleted": "Este comentario se eliminó.",
+  "error.commentNotPublic": "Ese comentario no es visible públicamente.",
+  "error.replyDeleted": "No puedes responder a un comentario eliminado.",
+  "error.locked": "Un moderador cerró esta conversación.",
+  "error.broadcastRetracted": "Este comunicado se retiró.",
+  "error.broadcastUnpublished": "Este comunicado aún no se ha publicado.",
+  "error.officialPolitician": "Solo el comentario de un político puede ser la respuesta oficial.",
+  "error.officialReportsOnly": "Solo los reportes tienen respuesta oficial.",
+  "error.supportReportsOnly": "Solo se pueden apoyar reportes.",
+  "error.supportDuplicate": "Este reporte se fusionó con otro; apoya ese reporte en su lugar.",
+  "error.supportOwn": "Tú reportaste este problema, así que tu apoyo ya cuenta.",
+  "error.nothingChanged": "No se cambió nada.",
+  "error.hideReason": "Indica un motivo para ocultar este contenido.",
+  "error.editReason": "Indica un motivo para la edición; se muestra junto al contenido.",
+  "error.rating": "Elige una valoración del 1 al 5.",
+  "error.rateResolved": "Solo se puede valorar un reporte resuelto.",
+  "error.rateReportsOnly": "Solo se pueden valorar reportes.",
+  "error.feedbackFixed": "Indica si el problema se solucionó.",
+  "error.disputeComment": "Cuéntanos qué sigue mal para cuestionar la resolución.",
+  "error.broadcastMessage": "Un comunicado necesita un mensaje.",
+  "error.broadcastWhen": "Elige cuándo debe salir el comunicado.",
+  "error.broadcastPast": "Un comunicado solo se puede programar para el futuro.",
+  "error.retractedBroadcast": "Un comunicado retirado no se puede cambiar.",
+  "error.retractPublished": "Solo se puede retirar un comunicado publicado; elimina el borrador en su lugar.",
+  "error.retractNotDelete": "Retira un comunicado publicado en lugar de eliminarlo.",
+  "error.retractNotUnpublish": "Retira un comunicado publicado en lugar de despublicarlo.",
+  "error.pollTitle": "Una encuesta necesita un título.",
+  "error.pollDescription": "Indica de qué trata la encuesta.",
+  "error.pollQuestions": "Una encuesta necesita al menos una pregunta.",
+  "error.pollMaxQuestions": "Una encuesta puede tener como máximo {max} preguntas.",
+  "error.questionPrompt": "La pregunta {number} necesita un enunciado.",
+  "error.questionOptions": "La pregunta {number} necesita al menos dos opciones.",
+  "error.questionOptionsMax": "La pregunta {number} tiene más de {max} opciones.",
+  "error.questionRepeats": "La pregunta {number} repite una opción.",
+  "error.pollOpens": "Elige cuándo se abre la encuesta.",
+  "error.pollCloses": "Elige cuándo se cierra la encuesta.",
+  "error.pollCloseAfterOpen": "Una encuesta debe cerrarse después de abrirse.",
+  "error.pollCloseFuture": "Una encuesta debe cerrarse en el futuro.",
+  "error.pollUpcoming": "Esta encuesta aún no se ha abierto.",
+  "error.pollClosed": "Esta encuesta está cerrada.",
+  "error.pollResponded": "Ya respondiste esta encuesta.",
+  "error.closeOpenPoll": "Solo se puede cerrar una encuesta abierta.",
+  "error.closePollsOnly": "Solo se pueden cerrar encuestas.",
+  "error.chooseAnswer": "Elige una respuesta para «{prompt}».",
+  "error.chooseAnswers": "Elige al menos una respuesta para «{prompt}».",
+  "error.answerLength": "Las respuestas tienen un límite de {max} caracteres.",
+  "error.categoryName": "Una categoría necesita un nombre.",
+  "error.categoryNotFound": "No se encontró la categoría {id}.",
+  "error.lastCategory": "Debe quedar al menos una categoría.",
+  "error.departmentName": "Un departamento necesita un nombre.",
+  "error.noDepartment": "Ninguna categoría la gestiona un departamento llamado «{name}».",
+  "error.colour": "«{colour}» no es un color como #e0e7ff.",
+  "error.constituencyName": "Una circunscripción necesita un nombre.",
+  "error.constituencyNotFound": "No se encontró la circunscripción {id}.",
+  "error.assignableRoles": "Solo las cuentas Político y Moderador se asignan a circunscripciones.",
+  "error.slaAcknowledgeDays": "El plazo de atención debe ser un número positivo de días.",
+  "error.slaResolveDays": "El plazo de resolución debe ser un número positivo de días.",
+  "error.slaOrder": "El plazo de resolución no puede ser más corto que el de atención.",
+  "error.adminRemains": "Debe quedar al menos una cuenta Administrador.",
+  "error.accountNotFound": "No se encontró la cuenta {id}.",
+  "error.email": "«{address}» no es un correo electrónico válido.",
+  "error.login": "Usuario o contraseña incorrectos.",
+  "error.loginRequired": "Inicia sesión para continuar.",
+  "error.credentialsRequired": "Se requieren usuario y contraseña.",
+  "error.usernameRules": "Los nombres de usuario tienen de 3 a 32 caracteres: letras, dígitos, punto, guion o guion bajo.",
+  "error.passwordLength": "Las contraseñas deben tener al menos 8 caracteres.",
+  "error.secureContext": "Las cuentas locales necesitan un contexto seguro (https o localhost).",
+  "error.forbidden": "Prohibido.",
+  "error.fileType": "«{name}» no es un tipo de archivo admitido (solo imágenes o PDF).",
+  "error.fileSize": "«{name}» ocupa {size}; el límite es {limit}.",
+  "error.fileMismatch": "«{name}» no parece un archivo {type}.",
+  "error.maxAttachments": "Se permiten como máximo {max} archivos adjuntos.",
+  "error.attachmentInUse": "El archivo adjunto {id} ya está en uso. Súbelo de nuevo.",
+  "error.attachmentMissing": "No se encontró el archivo adjunto {id}. Súbelo de nuevo.",
+  "error.attachmentNotFound": "No se encontró el archivo adjunto {id}.",
+  "error.storageFull": "El almacenamiento del navegador está lleno. Quita algunos archivos adjuntos o usa el servidor compartido para archivos más grandes.",
+  "error.tooLarge": "La solicitud es demasiado grande.",
+  "error.internal": "Error interno del servidor.",
+  "error.importNotJson": "El archivo no es un JSON válido: {detail}",
+  "error.importNotList": "Una importación JSON debe ser una lista de reportes.",
+  "error.importEmpty": "El archivo está vacío.",
+  "error.importQuote": "El archivo CSV termina dentro de un campo entre comillas.",
+  "error.importRows": "Se pueden importar como máximo {max} filas a la vez; este archivo tiene {count}.",
+  "error.rowTitle": "falta el título",
+  "error.rowDescription": "falta la descripción",
+  "error.rowStatus": "estado desconocido «{status}»",
+  "error.rowLanguage": "«{language}» no es una etiqueta de idioma como «en» o «es-MX»",
+  "error.rowDate": "no se puede leer la fecha «{date}»",
+  "error.rowFuture": "la fecha está en el futuro",
+  "error.rowCoordinates": "lat y lng deben ser coordenadas válidas",
+  "error.offline": "No se puede conectar con el servidor. Revisa tu conexión e inténtalo de nuevo.",
+  "error.requestFailed": "La solicitud falló con el estado {status}",
+
+  "status.Open": "Abierto",
+  "status.Acknowledged": "Recibido",
+  "status.In Progress": "En curso",
+  "status.Resolved": "Resuelto",
+  "status.Closed": "Cerrado",
+  "status.Rejected": "Rechazado",
+  "status.Duplicate": "Duplicado",
+  "status.Reopened": "Reabierto",
+  "status.Broadcast": "Comunicado",
+  "status.Draft": "Borrador",
+  "status.Scheduled": "Programado",
+  "status.Retracted": "Retirado",
+  "status.Poll": "Encuesta",
+  "status.Upcoming": "Próxima",
+  "status.Poll Closed": "Encuesta cerrada",
+
+  "category.General": "General",
+  "category.Electricity": "Electricidad",
+  "category.Roads": "Calles",
+  "category.Sanitation": "Saneamiento",
+  "category.Water": "Agua",
+  "category.Other": "Otro",
+
+  "role.Guest": "Invitado",
+  "role.Citizen": "Ciudadano",
+  "role.Politician": "Político",
+  "role.Moderator": "Moderador",
+  "role.Admin": "Admin",
+};
@@ -0,0 +1,786 @@
+// Hindi interface text (see en.js for the full key list).
+
+export default {
+  "app.title": "नागरिक-जनप्रतिनिधि मंच",
+  "app.language": "भाषा",
+  "app.loggedInAs": "लॉग इन:",
+  "app.logOut": "लॉग आउट",
+  "app.homeConstituency": "गृह निर्वाचन क्षेत्र...",
+  "app.homeConstituencyTitle": "आपका गृह निर्वाचन क्षेत्र: इसकी रिपोर्ट और प्रसारण डिफ़ॉल्ट रूप से दिखाए जाते हैं",
+  "app.offline": "आप ऑफ़लाइन हैं।",
+  "app.offlineLocal": "सब कुछ इसी ब्राउज़र में सहेजा जाता है।",
+  "app.offlineQueued": "नई रिपोर्ट, टिप्पणियाँ, प्रसारण और स्थिति बदलाव यहाँ सहेजे जाते हैं और कनेक्शन लौटने पर भेजे जाते हैं।",
+  "app.error": "त्रुटि: {message}",
+  "app.flagged": "धन्यवाद। एक मॉडरेटर आपकी चिह्नित सामग्री की समीक्षा करेगा।",
+  "app.itemDeleted": "वह आइटम अब हटाया जा चुका है।",
+
+  "a11y.skipToDetails": "रिपोर्ट विवरण पर जाएँ",
+  "a11y.highContrast": "उच्च कंट्रास्ट",
+  "a11y.reportSubmitted": "रिपोर्ट भेज दी गई।",
+  "a11y.commentAdded": "टिप्पणी जोड़ी गई।",
+  "a11y.broadcastPosted": "प्रसारण भेज दिया गया।",
+  "a11y.broadcastSaved": "प्रसारण ड्राफ़्ट के रूप में सहेजा गया।",
+  "a11y.broadcastScheduled": "प्रसारण {date} के लिए निर्धारित।",
+  "a11y.pollCreated": "सर्वेक्षण शुरू हुआ।",
+  "a11y.pollResponded": "आपका जवाब दर्ज किया गया।",
+  "a11y.statusChanged": "स्थिति बदलकर {status} हो गई।",
+
+  "submit.heading": "समस्या या सुझाव भेजें",
+  "submit.intro": "किसी नागरिक समस्या की रिपोर्ट करें या सार्वजनिक सुझाव दें।",
+  "submit.unavailable": "नागरिक के अलावा अन्य भूमिकाओं के लिए उपलब्ध नहीं।",
+  "submit.citizensOnly": "रिपोर्ट फ़ॉर्म केवल **नागरिक** उपयोगकर्ताओं के लिए है।",
+  "submit.logIn": "रिपोर्ट भेजने के लिए **नागरिक** के रूप में लॉग इन करें।",
+  "updates.heading": "हाल की सूचनाएँ और खुली रिपोर्टें",
+  "updates.empty": "अभी तक कोई सूचना या रिपोर्ट नहीं।",
+  "reports.heading": "सभी सार्वजनिक रिपोर्टें",
+  "reports.byline": "{date}, {name} द्वारा",
+  "reports.awaitingReview": "⏳ समीक्षा लंबित",
+  "reports.hidden": "🚫 छिपाया गया",
+  "reports.empty": "फ़िल्टर से मेल खाती कोई रिपोर्ट नहीं।",
+  "map.heading": "समस्या मानचित्र",
+  "map.intro": "ऊपर के फ़िल्टर से मेल खाती खुली रिपोर्टें, स्थिति के अनुसार रंगी हुई। देखने के लिए किसी मार्कर पर क्लिक करें।",
+  "detail.heading": "रिपोर्ट विवरण / चर्चा",
+  "detail.empty": "विवरण देखने और भाग लेने के लिए सूची से कोई रिपोर्ट चुनें।",
+  "broadcast.heading": "सार्वजनिक प्रसारण भेजें (जनप्रतिनिधि)",
+  "broadcast.intro": "केवल **जनप्रतिनिधि** भूमिका अपने निर्वाचन क्षेत्रों के नागरिकों के लिए सामान्य सूचनाएँ भेज सकती है।",
+  "moderation.heading": "मॉडरेशन कतार",
+  "moderation.intro": "चिह्नित सामग्री और स्वचालित फ़िल्टर द्वारा रोकी गई प्रविष्टियाँ।",
+  "concerns.heading": "श्रेणी के अनुसार प्रमुख चिंताएँ",
+  "concerns.intro": "सबसे अधिक नागरिक समर्थन वाली खुली रिपोर्टें।",
+  "analytics.heading": "विश्लेषण डैशबोर्ड",
+  "analytics.intro": "रिपोर्टों का निपटारा कैसे हो रहा है: स्थिति के रुझान, प्रतिक्रिया समय और लंबित कार्य।",
+  "satisfaction.heading": "नागरिक संतुष्टि",
+  "satisfaction.intro": "रिपोर्ट करने वालों ने अपनी रिपोर्टों के समाधान को कैसे आँका, और कितनी बार उस पर आपत्ति की।",
+  "transfer.heading": "निर्यात और आयात (एडमिन)",
+  "transfer.intro": "मौजूदा फ़िल्टर से मेल खाती रिपोर्टें डाउनलोड करें, या किसी अन्य सिस्टम से रिपोर्टें लोड करें।",
+  "users.heading": "उपयोगकर्ता खाते (एडमिन)",
+  "users.intro": "हर खाते को एक भूमिका दें। बदलाव खाते की अगली कार्रवाई पर लागू होते हैं।",
+  "constituencies.heading": "निर्वाचन क्षेत्र (एडमिन)",
+  "constituencies.intro": "हर रिपोर्ट एक निर्वाचन क्षेत्र से जुड़ी होती है। उपयोगकर्ता खातों में जनप्रतिनिधि और मॉडरेटर नियुक्त करें।",
+  "categories.heading": "श्रेणियाँ (एडमिन)",
+  "categories.intro": "रिपोर्ट और प्रसारण के समय उपलब्ध श्रेणियाँ। नई रिपोर्ट उस विभाग या अधिकारी को सौंपी जाती है जो उसकी श्रेणी संभालता है।",
+
+  "modal.title": "अनुमति आवश्यक",
+  "modal.close": "समझ गया",
+
+  "form.titlePlaceholder": "छोटा वर्णनात्मक शीर्षक (जैसे मुख्य सड़क पर स्ट्रीट लाइटें खराब)",
+  "form.title": "शीर्षक",
+  "form.description": "विवरण",
+  "form.descriptionPlaceholder": "समस्या या सुझाव का विस्तृत विवरण",
+  "form.category": "श्रेणी",
+  "form.constituency": "निर्वाचन क्षेत्र",
+  "form.selectConstituency": "निर्वाचन क्षेत्र चुनें...",
+  "form.chooseConstituency": "वह निर्वाचन क्षेत्र चुनें जिससे यह रिपोर्ट संबंधित है।",
+  "form.language": "लिखने की भाषा",
+  "form.submit": "नई रिपोर्ट भेजें",
+  "form.clear": "साफ़ करें",
+
+  "issue.reportedBy": "रिपोर्टकर्ता",
+  "issue.postedBy": "प्रकाशक",
+  "issue.allConstituencies": "सभी निर्वाचन क्षेत्र",
+  "issue.noConstituency": "कोई निर्वाचन क्षेत्र नियत नहीं",
+  "issue.assignedTo": "{name} को सौंपा गया",
+  "issue.assignedToDepartment": "{name} विभाग को सौंपा गया",
+  "issue.routedByCategory": "श्रेणी के अनुसार",
+  "issue.reassignedBy": "{name} ने {date} को फिर से सौंपा",
+  "issue.unassigned": "अभी किसी को नहीं सौंपा गया",
+  "sla.overdue": "समय सीमा पार",
+  "sla.acknowledgeOverdue": "स्वीकृति में देरी",
+  "sla.resolveOverdue": "समाधान में देरी",
+  "sla.acknowledgeBy": "{date} तक स्वीकार करें",
+  "sla.resolveBy": "{date} तक हल करें",
+  "sla.escalatedOfficials": "{stage}: अधिकारियों को {date} को सूचित किया गया",
+  "sla.escalatedAdmins": "{stage}: व्यवस्थापकों को {date} को सूचित किया गया",
+  "issue.follow": "🔔 फ़ॉलो करें",
+  "issue.unfollow": "🔕 अनफ़ॉलो करें",
+  "issue.followTitle": "स्थिति बदलाव और नई टिप्पणियों की सूचना पाएँ",
+  "issue.unfollowTitle": "इस आइटम की सूचनाएँ बंद करें",
+  "issue.writtenIn": "🌐 {language} में लिखा गया",
+  "issue.held": "⏳ मॉडरेटर समीक्षा के लिए रोका गया ({reason})। स्वीकृत होने तक केवल आप और मॉडरेटर इसे देख सकते हैं।",
+  "issue.hiddenNote": "🚫 एक मॉडरेटर ने छिपाया है। केवल मॉडरेटर इसे देख सकते हैं।",
+  "issue.outOfArea": "यह आपके निर्वाचन क्षेत्रों से बाहर है, इसलिए स्थिति बदलाव और मॉडरेशन वहाँ के प्रतिनिधियों पर छोड़ा गया है।",
+  "issue.duplicateOf": "इसकी प्रतिलिपि:",
+  "issue.deletedReport": "एक हटाई गई रिपोर्ट",
+  "issue.description": "विवरण:",
+  "issue.editedBy": "{name} ({role}) द्वारा {date} को संपादित: {reason}",
+  "issue.pinnedLocation": "चिह्नित स्थान",
+  "issue.support": "▲ मेरी भी समस्या",
+  "issue.supported": "✓ समर्थित",
+  "issue.supportTitle": "यह मुझे भी प्रभावित करता है",
+  "issue.withdrawTitle": "अपना समर्थन वापस लें",
+  "issue.supporters.one": "{count} नागरिक इस रिपोर्ट का समर्थन करता है",
+  "issue.supporters.other": "{count} नागरिक इस रिपोर्ट का समर्थन करते हैं",
+  "issue.statusHistory": "स्थिति इतिहास",
+  "issue.discussion": "चर्चा ({count})",
+  "issue.locked": "🔒 मॉडरेटर द्वारा बंद",
+  "issue.officialResponse": "🏛 आधिकारिक उत्तर:",
+  "issue.relatedUpdates": "📣 इस रिपोर्ट से जुड़े अपडेट",
+  "issue.openUpdate": "अपडेट खोलें",
+  "issue.noComments": "अभी कोई टिप्पणी नहीं। चर्चा शुरू करने वाले पहले व्यक्ति बनें!",
+  "issue.respondAs": "{role} के रूप में उत्तर दें...",
+  "issue.logInToComment": "चर्चा में शामिल होने के लिए लॉग इन करें।",
+  "issue.commentLabel": "आपकी टिप्पणी",
+  "issue.addComment": "टिप्पणी जोड़ें",
+  "issue.delete": "हटाएँ (एडमिन)",
+  "issue.deleteTitle": "एडमिन कार्रवाई: इस रिपोर्ट को स्थायी रूप से हटाएँ।",
+
+  "broadcast.message": "प्रसारण संदेश",
+  "broadcast.placeholder": "नागरिकों के लिए सार्वजनिक प्रसारण लिखें...",
+  "broadcast.politiciansOnly": "केवल जनप्रतिनिधि सूचनाएँ भेज सकते हैं।",
+  "broadcast.denied": "पहुँच अस्वीकृत: {reason} वर्तमान भूमिका: {role}",
+  "broadcast.noAudience": "आपको किसी मौजूदा निर्वाचन क्षेत्र में नियुक्त नहीं किया गया है, इसलिए प्रसारण पाने वाला कोई नहीं है।",
+  "broadcast.audienceTitle": "प्रसारण किसके लिए है",
+  "broadcast.post": "प्रसारण भेजें",
+  "broadcast.notAllowed": "अनुमति नहीं",
+  "broadcast.postTitle": "सभी उपयोगकर्ताओं को प्रसारण भेजें।",
+  "broadcast.notAuthorized": "प्रसारण भेजने की अनुमति नहीं है।",
+  "broadcast.notifies": "किसे सूचित किया जाए",
+  "broadcast.notifyFollowers": "श्रेणी के फ़ॉलोअर",
+  "broadcast.notifyResidents": "निर्वाचन क्षेत्र के सभी लोग",
+  "broadcast.publishAt": "प्रकाशन समय (अभी पोस्ट करने के लिए खाली छोड़ें)",
+  "broadcast.schedule": "प्रसारण निर्धारित करें",
+  "broadcast.saveDraft": "ड्राफ़्ट सहेजें",
+  "broadcast.drafts": "आपके ड्राफ़्ट और निर्धारित प्रसारण",
+  "broadcast.scheduledFor": "{date} के लिए निर्धारित",
+  "poll.heading": "सर्वेक्षण या परामर्श शुरू करें (राजनेता)",
+  "poll.intro": "नागरिकों से सवाल पूछें: विकल्प या खुले जवाब वाले प्रश्न जोड़ें और तय करें कि जवाब कब खुलें और बंद हों। हर नागरिक एक बार, गुमनाम रूप से जवाब देता है, और नतीजे तुरंत अपडेट होते हैं।",
+
+  "sync.pending.one": "⏳ सिंक होने की प्रतीक्षा में",
+  "sync.pending.other": "⏳ सिंक होने की प्रतीक्षा में ({count} बदलाव)",
+  "sync.failed": "⚠ {change} सहेजा नहीं गया: {error}",
+  "sync.report": "रिपोर्ट",
+  "sync.broadcast": "प्रसारण",
+  "sync.comment": "टिप्पणी",
+  "sync.statusChange": "स्थिति परिवर्तन",
+  "sync.change": "बदलाव",
+  "sync.retry": "फिर से कोशिश करें",
+  "sync.discard": "हटाएँ",
+
+  "auth.username": "उपयोगकर्ता नाम",
+  "auth.displayName": "प्रदर्शित नाम",
+  "auth.displayNamePlaceholder": "प्रदर्शित नाम (आपकी रिपोर्टों पर दिखेगा)",
+  "auth.password": "पासवर्ड",
+  "auth.logIn": "लॉग इन करें",
+  "auth.createAccount": "खाता बनाएँ",
+  "auth.register": "नया खाता बनाएँ",
+  "auth.haveAccount": "मेरा खाता पहले से है",
+  "auth.registerHint": "नए खाते नागरिक के रूप में शुरू होते हैं; व्यवस्थापक दूसरी भूमिकाएँ दे सकते हैं।",
+  "auth.loginHint": "अतिथि के रूप में देखें, या रिपोर्ट और टिप्पणी करने के लिए लॉग इन करें।",
+  "pagination.showing": "{total} में से {first}–{last} दिखाए जा रहे हैं",
+  "pagination.page": "पृष्ठ {page} / {count}",
+  "pagination.previous": "पिछला",
+  "pagination.next": "अगला",
+  "concerns.empty": "अभी कोई खुली रिपोर्ट नहीं है।",
+  "concerns.supporters.one": "{count} समर्थक",
+  "concerns.supporters.other": "{count} समर्थक",
+  "timeline.reported": "रिपोर्ट की गई",
+  "timeline.asStatus": "{status} के रूप में",
+  "timeline.merged": "विलय किया गया",
+  "timeline.mergedDuplicate": "डुप्लिकेट “{title}”",
+  "timeline.duplicateOf": "“{title}” का",
+  "attachments.close": "बंद करें",
+  "flag.open": "⚑ शिकायत करें",
+  "flag.title": "मॉडरेटरों को इसकी सूचना दें",
+  "flag.flagged": "⚑ आपने इसकी शिकायत की है",
+  "flag.reason": "शिकायत का कारण",
+  "flag.details": "विवरण",
+  "flag.detailsPlaceholder": "विवरण (वैकल्पिक)",
+  "flag.submit": "शिकायत करें",
+  "flag.cancel": "रद्द करें",
+  "flagReason.abusive": "अपमानजनक",
+  "flagReason.spam": "स्पैम",
+  "flagReason.off-topic": "विषय से हटकर",
+  "queue.empty": "समीक्षा के लिए कुछ भी लंबित नहीं है।",
+  "queue.commentOn": "“{title}” पर टिप्पणी",
+  "queue.held": "⏳ रोका गया: {reason}",
+  "queue.open": "खोलें",
+  "queue.keepTitle": "चिह्न हटाएँ और सामग्री दिखती रहने दें",
+  "queue.approve": "स्वीकृत करें",
+  "queue.keep": "रहने दें",
+  "merge.title": "इस रिपोर्ट के समर्थकों और टिप्पणियों को किसी दूसरी रिपोर्ट में जोड़ें",
+  "merge.open": "दूसरी रिपोर्ट में मिलाएँ",
+  "merge.intro": "इस रिपोर्ट के समर्थक और टिप्पणियाँ आपकी चुनी रिपोर्ट में जुड़ जाएँगी, और यह रिपोर्ट डुप्लिकेट चिह्नित होगी।",
+  "merge.into": "मूल रिपोर्ट जिसमें मिलाना है",
+  "merge.select": "मूल रिपोर्ट चुनें...",
+  "merge.notePlaceholder": "टिप्पणी (वैकल्पिक)",
+  "merge.note": "टिप्पणी",
+  "merge.submit": "मिलाएँ",
+  "merge.cancel": "रद्द करें",
+  "map.label": "नक्शा। खिसकाने के लिए तीर कुंजियाँ और ज़ूम के लिए + या - दबाएँ।",
+  "map.zoomIn": "ज़ूम इन",
+  "map.zoomOut": "ज़ूम आउट",
+  "map.cancelDrawing": "चित्रण रद्द करें",
+  "map.drawArea": "क्षेत्र बनाएँ",
+  "map.clearArea": "क्षेत्र हटाएँ",
+  "map.ward": "वार्ड",
+  "map.allWards": "सभी वार्ड",
+  "map.drawHint": "क्षेत्र चुनने के लिए नक्शे पर खींचें; सूची में केवल उसके भीतर की रिपोर्टें दिखेंगी।",
+  "commentModeration.text": "टिप्पणी का पाठ",
+  "commentModeration.hideReason": "छिपाने का कारण (आवश्यक)",
+  "commentModeration.editReason": "संपादन का कारण (आवश्यक)",
+  "commentModeration.reason": "कारण",
+  "commentModeration.hide": "छिपाएँ",
+  "commentModeration.save": "सहेजें",
+  "commentModeration.cancel": "रद्द करें",
+  "commentModeration.approve": "स्वीकृत करें",
+  "commentModeration.restore": "बहाल करें",
+  "commentModeration.edit": "संपादित करें",
+  "attachments.attach": "फ़ाइलें जोड़ें",
+  "attachments.remove": "{name} हटाएँ",
+  "location.unsupported": "यह ब्राउज़र अपना स्थान साझा नहीं कर सकता। इसके बजाय नक्शे पर जगह चुनें।",
+  "location.failed": "आपका स्थान नहीं मिल सका: {message}",
+  "location.label": "स्थान (वैकल्पिक)",
+  "location.placeholder": "सड़क का पता या पहचान चिह्न",
+  "location.locating": "स्थान खोजा जा रहा है...",
+  "location.useMine": "मेरा स्थान उपयोग करें",
+  "location.hideMap": "नक्शा छिपाएँ",
+  "location.pickOnMap": "नक्शे पर चुनें",
+  "location.clearPin": "पिन हटाएँ",
+  "location.mapHint": "पिन लगाने के लिए नक्शे पर क्लिक करें।",
+  "location.pin": "रिपोर्ट का स्थान",
+  "filters.search": "रिपोर्टें खोजें",
+  "filters.searchPlaceholder": "शीर्षक, विवरण और टिप्पणियाँ खोजें...",
+  "filters.status": "स्थिति:",
+  "filters.all": "सभी",
+  "filters.overdue": "समय सीमा पार",
+  "filters.broadcasts": "प्रसारण अपडेट",
+  "filters.polls": "मतदान",
+  "filters.category": "श्रेणी:",
+  "filters.constituency": "निर्वाचन क्षेत्र:",
+  "filters.mine": "मेरा",
+  "filters.reporter": "रिपोर्टकर्ता:",
+  "filters.anyRole": "कोई भी भूमिका",
+  "filters.response": "जवाब:",
+  "filters.any": "कोई भी",
+  "filters.responded": "नेता ने जवाब दिया",
+  "filters.awaiting": "जवाब की प्रतीक्षा",
+  "filters.from": "से:",
+  "filters.to": "तक:",
+  "filters.sort": "क्रम:",
+  "filters.reset": "रीसेट करें",
+  "sort.newest": "नई पहले",
+  "sort.oldest": "पुरानी पहले",
+  "sort.discussed": "सबसे ज़्यादा चर्चित",
+  "sort.supported": "सबसे ज़्यादा समर्थित",
+  "sort.updated": "हाल में अपडेट",
+  "transition.Acknowledged": "स्वीकार करें",
+  "transition.In Progress": "प्रगति पर चिह्नित करें",
+  "transition.Resolved": "हल चिह्नित करें",
+  "transition.Closed": "बंद करें",
+  "transition.Rejected": "अस्वीकार करें",
+  "transition.Duplicate": "डुप्लिकेट चिह्नित करें",
+  "transition.Reopened": "फिर से खोलें",
+  "transition.moveTo": "इस रिपोर्ट को “{status}” में ले जाएँ",
+  "transition.confirmIntro": "{action}: इससे रिपोर्ट {status} में चली जाएगी।",
+  "transition.original": "मूल रिपोर्ट",
+  "transition.selectOriginal": "मूल रिपोर्ट चुनें...",
+  "transition.noteRequired": "टिप्पणी (आवश्यक): यह निर्णय समझाएँ",
+  "transition.noteOptional": "टिप्पणी (वैकल्पिक)",
+  "transition.note": "टिप्पणी",
+  "transition.confirm": "पुष्टि करें",
+  "transition.cancel": "रद्द करें",
+  "notifications.title": "सूचनाएँ",
+  "notifications.markAllRead": "सभी को पढ़ा हुआ चिह्नित करें",
+  "notifications.back": "वापस",
+  "notifications.settings": "सेटिंग्स",
+  "notifications.followed": "फ़ॉलो की गई श्रेणियाँ (नई रिपोर्टें, टिप्पणियाँ, स्थिति परिवर्तन और प्रसारण):",
+  "notifications.noCategories": "अभी कोई श्रेणी नहीं है।",
+  "notifications.emailPlaceholder": "मुझे इस ईमेल पर भी भेजें (वैकल्पिक)",
+  "notifications.email": "सूचना ईमेल",
+  "notifications.save": "सहेजें",
+  "notifications.emailHint": "ईमेल तभी भेजे जाते हैं जब सर्वर पर मेल रिले सेट हो।",
+  "notifications.empty": "अभी कुछ नहीं। बदलावों की जानकारी के लिए कोई रिपोर्ट या श्रेणी फ़ॉलो करें।",
+  "notice.report": "{who} की नई {category} रिपोर्ट: “{title}”।",
+  "notice.status": "{who} ने “{title}” को {from} से {to} किया।",
+  "notice.comment": "{who} ने “{title}” पर टिप्पणी की।",
+  "notice.official": "{who} ने “{title}” पर आधिकारिक जवाब दिया।",
+  "notice.broadcast": "{who} का नया {category} प्रसारण।",
+  "notice.retract": "{who} ने एक {category} प्रसारण वापस लिया।",
+  "notice.poll": "{who} आपकी राय जानना चाहते हैं: “{title}”।",
+  "notice.merge": "{who} ने एक डुप्लिकेट रिपोर्ट को “{title}” में मिलाया।",
+  "notice.assign": "{who} ने “{title}” {assignee} को सौंपी।",
+  "notice.unassign": "{who} ने “{title}” का असाइनमेंट हटाया।",
+  "notice.rate": "{who} ने आपकी रिपोर्ट “{title}” को हल बताया। क्या समस्या ठीक हुई? समाधान को रेटिंग दें।",
+  "notice.disputed": "{who} ने “{title}” के समाधान पर आपत्ति की, इसलिए इसे फिर से खोला गया।",
+  "notice.confirmed": "{who} ने “{title}” के समाधान की पुष्टि की ({rating}/5)।",
+  "notice.overdueAcknowledge": "“{title}” को समय पर स्वीकार नहीं किया गया।",
+  "notice.overdueResolve": "“{title}” का समय पर समाधान नहीं हुआ।",
+  "notice.escalatedAcknowledge": "“{title}” को समय पर स्वीकार नहीं किया गया और इसे एडमिन को भेज दिया गया है।",
+  "notice.escalatedResolve": "“{title}” का समय पर समाधान नहीं हुआ और इसे एडमिन को भेज दिया गया है।",
+  "notice.updated": "“{title}” अपडेट हुई।",
+  "comment.official": "आधिकारिक जवाब",
+  "comment.edited": "संपादित",
+  "comment.editedAt": "{date} को संपादित",
+  "comment.merged": "मिलाई गई डुप्लिकेट से",
+  "comment.held": "समीक्षा की प्रतीक्षा में ({reason})",
+  "comment.hidden": "छिपा हुआ",
+  "comment.moderatorEdited": "मॉडरेटर द्वारा संपादित",
+  "comment.deleted": "टिप्पणी उसके लेखक ने हटा दी।",
+  "comment.unreact": "अपनी प्रतिक्रिया हटाएँ",
+  "comment.react": "प्रतिक्रिया दें",
+  "comment.addReaction": "प्रतिक्रिया जोड़ें",
+  "comment.reply": "जवाब दें",
+  "comment.edit": "संपादित करें",
+  "comment.delete": "हटाएँ",
+  "comment.unpinOfficial": "आधिकारिक जवाब से हटाएँ",
+  "comment.markOfficial": "आधिकारिक जवाब चिह्नित करें",
+  "comment.confirmDelete": "यह टिप्पणी हटाएँ? इसके जवाब बने रहेंगे।",
+  "comment.cancel": "रद्द करें",
+  "comment.replyPlaceholder": "{author} को जवाब दें...",
+  "comment.replyTo": "{author} को जवाब",
+  "comment.editLabel": "अपनी टिप्पणी संपादित करें",
+  "comment.save": "सहेजें",
+  "transfer.tooLarge": "“{name}” 5 MB से बड़ी है।",
+  "transfer.exportCsv": "CSV निर्यात करें ({count})",
+  "transfer.exportJson": "JSON निर्यात करें",
+  "transfer.import": "रिपोर्टें आयात करें (CSV या JSON)",
+  "transfer.file": "आयात के लिए CSV या JSON फ़ाइल",
+  "transfer.columns": "कॉलम: title और description (आवश्यक), category, status, createdAt, reporterName, address, lat, lng। इस ऐप का निर्यात सीधे आयात किया जा सकता है।",
+  "transfer.rowError": "पंक्ति {line}: {error}",
+  "transfer.row": "पंक्ति",
+  "transfer.title": "शीर्षक",
+  "transfer.date": "तारीख",
+  "transfer.status": "स्थिति",
+  "transfer.check": "जाँच",
+  "transfer.duplicateOfRow": "पंक्ति {line} की डुप्लिकेट",
+  "transfer.duplicateOfExisting": "मौजूदा रिपोर्ट की डुप्लिकेट",
+  "transfer.ok": "ठीक",
+  "transfer.includeDuplicates": "डुप्लिकेट भी आयात करें",
+  "transfer.importing": "आयात हो रहा है...",
+  "transfer.cancel": "रद्द करें",
+  "constituencies.namePlaceholder": "निर्वाचन क्षेत्र का नाम (जैसे उत्तर वार्ड)",
+  "constituencies.name": "नाम",
+  "constituencies.descriptionPlaceholder": "विवरण (वैकल्पिक)",
+  "constituencies.description": "विवरण",
+  "constituencies.add": "निर्वाचन क्षेत्र जोड़ें",
+  "constituencies.empty": "अभी कोई निर्वाचन क्षेत्र नहीं है। जब तक कोई नहीं जुड़ता, सभी रिपोर्टें एक ही समूह में रहती हैं।",
+  "constituencies.confirmRemove": "{name} हटाएँ?",
+  "constituencies.accountsLose": "इसकी सेवा करने वाले खातों का असाइनमेंट हट जाएगा।",
+  "constituencies.remove": "हटाएँ",
+  "constituencies.cancel": "रद्द करें",
+  "constituencies.save": "सहेजें",
+  "constituencies.edit": "संपादित करें",
+  "moderation.lock": "चर्चा बंद करें",
+  "moderation.unlock": "चर्चा खोलें",
+  "moderation.approve": "स्वीकृत करें",
+  "moderation.restore": "बहाल करें",
+  "moderation.hide": "छिपाएँ",
+  "moderation.edit": "संपादित करें",
+  "moderation.title": "शीर्षक",
+  "moderation.description": "विवरण",
+  "moderation.constituency": "निर्वाचन क्षेत्र",
+  "moderation.unassigned": "कोई निर्वाचन क्षेत्र नहीं",
+  "moderation.category": "श्रेणी",
+  "moderation.hideReason": "छिपाने का कारण (आवश्यक)",
+  "moderation.editReason": "संपादन का कारण, सबको दिखेगा (आवश्यक)",
+  "moderation.reason": "कारण",
+  "moderation.saveEdit": "संपादन सहेजें",
+  "moderation.cancel": "रद्द करें",
+  "users.roleOf": "{name} की भूमिका",
+  "users.serves": "सेवा क्षेत्र:",
+  "users.allConstituencies": "(सभी निर्वाचन क्षेत्र)",
+  "users.empty": "अभी कोई खाता नहीं है।",
+  "analytics.period": "अवधि",
+  "analytics.range30": "पिछले 30 दिन",
+  "analytics.range90": "पिछले 90 दिन",
+  "analytics.range365": "पिछले 12 महीने",
+  "analytics.category": "श्रेणी",
+  "analytics.allCategories": "सभी श्रेणियाँ",
+  "analytics.filed": "दर्ज रिपोर्टें",
+  "analytics.firstResponse": "पहले जवाब का माध्य समय",
+  "analytics.resolution": "हल होने का माध्य समय",
+  "analytics.stillOpen": "अब भी खुली",
+  "analytics.statusOverTime": "समय के साथ स्थिति",
+  "analytics.aging": "लंबित रिपोर्टों की उम्र (अधूरी रिपोर्टें)",
+  "analytics.reports": "रिपोर्टें",
+  "analytics.byCategory": "श्रेणी के अनुसार ({range})",
+  "analytics.firstResponseShort": "पहला जवाब",
+  "analytics.resolutionShort": "समाधान",
+  "analytics.mostDiscussed": "सबसे ज़्यादा चर्चित",
+  "analytics.noDiscussions": "इस अवधि में कोई चर्चा नहीं हुई।",
+  "age.< 1 week": "< 1 सप्ताह",
+  "age.1-4 weeks": "1-4 सप्ताह",
+  "age.1-3 months": "1-3 महीने",
+  "age.> 3 months": "> 3 महीने",
+  "attachments.tooMany.one": "आप अधिकतम {count} फ़ाइल जोड़ सकते हैं।",
+  "attachments.tooMany.other": "आप अधिकतम {count} फ़ाइलें जोड़ सकते हैं।",
+  "attachments.uploading.one": "{count} अपलोड हो रही है...",
+  "attachments.uploading.other": "{count} अपलोड हो रही हैं...",
+  "attachments.limits.one": "चित्र या PDF, {size} तक की अधिकतम {count} फ़ाइल",
+  "attachments.limits.other": "चित्र या PDF, {size} तक की अधिकतम {count} फ़ाइलें",
+  "map.count.one": "नक्शे पर {count} खुली रिपोर्ट",
+  "map.count.other": "नक्शे पर {count} खुली रिपोर्टें",
+  "notifications.unread.one": "सूचनाएँ, {count} अपठित",
+  "notifications.unread.other": "सूचनाएँ, {count} अपठित",
+  "comment.reactions.one": "{count} प्रतिक्रिया",
+  "comment.reactions.other": "{count} प्रतिक्रियाएँ",
+  "transfer.imported.one": "{count} रिपोर्ट आयात हुई।",
+  "transfer.imported.other": "{count} रिपोर्टें आयात हुईं।",
+  "transfer.rows.one": "{count} पंक्ति",
+  "transfer.rows.other": "{count} पंक्तियाँ",
+  "transfer.invalid.one": "{count} में त्रुटियाँ",
+  "transfer.invalid.other": "{count} में त्रुटियाँ",
+  "transfer.duplicates.one": "{count} संभावित डुप्लिकेट",
+  "transfer.duplicates.other": "{count} संभावित डुप्लिकेट",
+  "transfer.importCount.one": "{count} रिपोर्ट आयात करें",
+  "transfer.importCount.other": "{count} रिपोर्टें आयात करें",
+  "constituencies.unassigned.one": "इसकी {count} रिपोर्ट बिना निर्वाचन क्षेत्र की हो जाएगी।",
+  "constituencies.unassigned.other": "इसकी {count} रिपोर्टें बिना निर्वाचन क्षेत्र की हो जाएँगी।",
+  "constituencies.reports.one": "{count} रिपोर्ट",
+  "constituencies.reports.other": "{count} रिपोर्टें",
+  "analytics.responded.one": "{count} को जवाब मिला",
+  "analytics.responded.other": "{count} को जवाब मिला",
+  "analytics.resolved.one": "{count} हल हुई",
+  "analytics.resolved.other": "{count} हल हुईं",
+  "duration.minutes.one": "{count} मिनट",
+  "duration.minutes.other": "{count} मिनट",
+  "duration.hours.one": "{count} घंटा",
+  "duration.hours.other": "{count} घंटे",
+  "duration.days.one": "{count} दिन",
+  "duration.days.other": "{count} दिन",
+
+  "categories.add": "श्रेणी जोड़ें",
+  "categories.icon": "आइकन",
+  "categories.name": "श्रेणी का नाम",
+  "categories.namePlaceholder": "श्रेणी का नाम (जैसे पार्क)",
+  "categories.color": "बैज का रंग",
+  "categories.description": "विवरण",
+  "categories.descriptionPlaceholder": "रिपोर्ट करते समय दिखने वाला विवरण (वैकल्पिक)",
+  "categories.owner": "संभालने वाला",
+  "categories.notRouted": "किसी को नहीं भेजी जाती",
+  "categories.aDepartment": "कोई विभाग…",
+  "categories.department": "विभाग का नाम",
+  "categories.acknowledgeDays": "इतने दिनों में स्वीकार करें",
+  "categories.resolveDays": "इतने दिनों में हल करें",
+  "categories.save": "सहेजें",
+  "categories.cancel": "रद्द करें",
+  "categories.confirmRemove": "{name} हटाएँ?",
+  "categories.remove": "हटाएँ",
+  "categories.edit": "संपादित करें",
+  "categories.lastOne": "कम से कम एक श्रेणी रहनी चाहिए।",
+  "categories.routedTo": "{name} को भेजी जाती है",
+  "categories.routedToDepartment": "{name} (विभाग) को भेजी जाती है",
+  "categories.noDeadlines": "कोई समय सीमा नहीं",
+  "assignee.reassign": "फिर से सौंपें",
+  "assignee.assignTo": "किसे सौंपें",
+  "assignee.unassigned": "किसी को नहीं सौंपी गई",
+  "assignee.departments": "विभाग",
+  "assignee.officials": "अधिकारी",
+  "assignee.notePlaceholder": "लॉग के लिए टिप्पणी (वैकल्पिक)",
+  "assignee.note": "टिप्पणी",
+  "assignee.assign": "सौंपें",
+  "assignee.cancel": "रद्द करें",
+  "categories.keepName.one": "इसकी {count} रिपोर्ट में श्रेणी का नाम और ज़िम्मेदार बने रहेंगे, पर इसे फिर चुना नहीं जा सकेगा।",
+  "categories.keepName.other": "इसकी {count} रिपोर्टों में श्रेणी का नाम और ज़िम्मेदार बने रहेंगे, पर इसे फिर चुना नहीं जा सकेगा।",
+  "categories.acknowledgeIn.one": "{count} दिन में स्वीकार",
+  "categories.acknowledgeIn.other": "{count} दिनों में स्वीकार",
+  "categories.resolveIn.one": "{count} दिन में हल",
+  "categories.resolveIn.other": "{count} दिनों में हल",
+  "categories.reports.one": "{count} रिपोर्ट",
+  "categories.reports.other": "{count} रिपोर्टें",
+
+  "feedback.confirmed": "रिपोर्टकर्ता ने समाधान की पुष्टि की",
+  "feedback.confirmedBy": "रिपोर्टकर्ता ने {name} के समाधान की पुष्टि की",
+  "feedback.disputed": "रिपोर्टकर्ता ने समाधान पर आपत्ति की",
+  "feedback.disputedBy": "रिपोर्टकर्ता ने {name} के समाधान पर आपत्ति की",
+  "feedback.stars": "5 में से {rating}",
+  "feedback.prompt": "आपकी रिपोर्ट हल चिह्नित की गई। क्या समस्या ठीक हुई?",
+  "feedback.rate": "समाधान को रेटिंग दें",
+  "feedback.yes": "हाँ, ठीक हो गया",
+  "feedback.no": "नहीं, फिर से खोलें",
+  "feedback.whatIsWrong": "अब भी क्या गलत है? (आवश्यक)",
+  "feedback.comments": "टिप्पणियाँ (वैकल्पिक)",
+  "feedback.note": "प्रतिक्रिया टिप्पणी",
+  "feedback.dispute": "आपत्ति करें और फिर से खोलें",
+  "feedback.send": "प्रतिक्रिया भेजें",
+  "satisfaction.empty": "अभी तक किसी समाधान को रेटिंग नहीं मिली है।",
+  "satisfaction.average": "औसत रेटिंग",
+  "satisfaction.averageShort": "औसत",
+  "satisfaction.outOfFive": "{average} / 5",
+  "satisfaction.confirmedFixed": "ठीक होने की पुष्टि",
+  "satisfaction.confirmed": "पुष्टि",
+  "satisfaction.disputed": "आपत्ति",
+  "satisfaction.reopened": "रिपोर्टकर्ता ने फिर से खोलीं",
+  "satisfaction.byCategory": "श्रेणी के अनुसार",
+  "satisfaction.category": "श्रेणी",
+  "satisfaction.byPolitician": "नेता के अनुसार",
+  "satisfaction.politician": "नेता",
+  "satisfaction.noPoliticians": "अभी तक नेताओं के किसी समाधान को रेटिंग नहीं मिली है।",
+  "satisfaction.rated": "रेटिंग मिली",
+  "satisfaction.ratedCount.one": "{count} को रेटिंग मिली",
+  "satisfaction.ratedCount.other": "{count} को रेटिंग मिली",
+  "satisfaction.reports.one": "{count} रिपोर्ट",
+  "satisfaction.reports.other": "{count} रिपोर्टें",
+
+  "broadcast.draftNote": "ड्राफ़्ट: प्रकाशित होने तक केवल आप इसे देख सकते हैं।",
+  "broadcast.scheduledNote": "{date} के लिए निर्धारित: तब तक केवल आप इसे देख सकते हैं।",
+  "broadcast.retractedOn": "{name} ने {date} को वापस लिया।",
+  "broadcast.retractedWithReason": "{name} ने {date} को वापस लिया: {reason}",
+  "broadcast.notifiesWho": "सूचना किसे: {audience}",
+  "broadcast.editedAt": "{date} को संपादित",
+  "broadcast.about": "विषय:",
+  "broadcast.edit": "संपादित करें",
+  "broadcast.publishNow": "अभी प्रकाशित करें",
+  "broadcast.discard": "रद्द करें",
+  "broadcast.retract": "वापस लें",
+  "broadcast.retractIntro": "वापस लेने पर प्रसारण सूची में वापस लिया गया चिह्नित होकर रहता है, और उसके दर्शकों को बताया जाता है।",
+  "broadcast.retractReasonPlaceholder": "इसे क्यों वापस लिया गया (वैकल्पिक)",
+  "broadcast.reason": "कारण",
+  "broadcast.cancel": "रद्द करें",
+  "broadcast.history": "बदलाव का इतिहास ({count})",
+  "broadcast.retracted": "वापस लिया गया",
+  "broadcast.edited": "संपादित",
+  "broadcast.previously": "पहले: “{text}”",
+  "broadcast.alsoChanged": "यह भी बदला: {fields}",
+  "broadcast.category": "श्रेणी",
+  "broadcast.publishAtDraft": "प्रकाशन समय (ड्राफ़्ट रखने के लिए खाली छोड़ें)",
+  "broadcast.editReasonPlaceholder": "क्या बदला और क्यों (वैकल्पिक, इतिहास में दिखेगा)",
+  "broadcast.editReason": "संपादन का कारण",
+  "broadcast.saveChanges": "बदलाव सहेजें",
+  "broadcast.saveAndSchedule": "सहेजें और निर्धारित करें",
+  "broadcastField.category": "श्रेणी",
+  "broadcastField.language": "भाषा",
+  "broadcastField.constituencyId": "निर्वाचन क्षेत्र",
+  "broadcastField.audience": "दर्शक",
+  "broadcastField.relatedIssueIds": "संबंधित रिपोर्टें",
+  "related.fallbackTitle": "रिपोर्ट {id}",
+  "related.remove": "{title} हटाएँ",
+  "related.placeholder": "संबंधित रिपोर्टें जोड़ें: शीर्षक से खोजें...",
+  "related.search": "संबंधित रिपोर्टें खोजें",
+  "related.matching": "मिलती रिपोर्टें",
+  "related.none": "कोई मिलती रिपोर्ट नहीं।",
+
+  "poll.kindSingle": "एक विकल्प",
+  "poll.kindMultiple": "कई विकल्प",
+  "poll.kindText": "मुक्त पाठ",
+  "poll.title": "मतदान का शीर्षक",
+  "poll.titlePlaceholder": "आप किस बारे में पूछ रहे हैं?",
+  "poll.description": "मतदान का विवरण",
+  "poll.descriptionPlaceholder": "नागरिकों के लिए पृष्ठभूमि: क्या तय हो रहा है और जवाबों का उपयोग कैसे होगा",
+  "poll.question": "प्रश्न {number}",
+  "poll.prompt": "प्रश्न",
+  "poll.questionKind": "प्रश्न {number} का प्रकार",
+  "poll.options": "विकल्प, हर पंक्ति में एक",
+  "poll.questionOptions": "प्रश्न {number} के विकल्प, हर पंक्ति में एक",
+  "poll.removeQuestion": "प्रश्न हटाएँ",
+  "poll.addQuestion": "+ प्रश्न जोड़ें",
+  "poll.category": "श्रेणी",
+  "poll.audience": "मतदान किसके लिए है",
+  "poll.allConstituencies": "सभी निर्वाचन क्षेत्र",
+  "poll.opensAt": "खुलने का समय (अभी के लिए खाली)",
+  "poll.closesAt": "बंद होने का समय",
+  "poll.start": "मतदान शुरू करें",
+  "poll.upcoming": "{opens} को खुलेगा, {closes} को बंद होगा",
+  "poll.openUntil": "{date} तक जवाबों के लिए खुला",
+  "poll.closedAt": "{date} को बंद हुआ",
+  "poll.youResponded": "✅ आपने {date} को जवाब दिया।",
+  "poll.closeNow": "मतदान अभी बंद करें",
+  "poll.results": "परिणाम",
+  "poll.resultsSoFar": "अब तक के परिणाम",
+  "poll.exportCsv": "CSV निर्यात करें",
+  "poll.severalAllowed": "कई जवाब चुने जा सकते हैं",
+  "poll.answerPlaceholder": "आपका जवाब (वैकल्पिक)",
+  "poll.submit": "जवाब भेजें",
+  "poll.once": "आप एक बार जवाब दे सकते हैं; जवाब गुमनाम रहते हैं।",
+  "poll.optionCount": "{count} ({percent})",
+  "poll.noWritten": "अभी कोई लिखित जवाब नहीं।",
+  "poll.responses.one": "{count} जवाब",
+  "poll.responses.other": "{count} जवाब",
+  "poll.answered.one": "{count} ने जवाब दिया",
+  "poll.answered.other": "{count} ने जवाब दिया",
+  "poll.showWritten.one": "{count} लिखित जवाब दिखाएँ",
+  "poll.showWritten.other": "{count} लिखित जवाब दिखाएँ",
+
+  "error.editConflict": "आपके संपादन के दौरान किसी और ने इसे बदल दिया। नया संस्करण देखें और फिर कोशिश करें।",
+  "error.commentAlreadyDeleted": "यह टिप्पणी पहले ही हटाई जा चुकी है।",
+  "error.alreadyMerged": "यह रिपोर्ट पहले ही मिलाई जा चुकी है।",
+  "error.alreadyFlagged": "आप इसे पहले ही फ़्लैग कर चुके हैं।",
+  "error.alreadyRated": "आप इस समाधान को पहले ही रेटिंग दे चुके हैं।",
+  "error.categoryExists": "“{name}” नाम की श्रेणी पहले से मौजूद है।",
+  "error.constituencyExists": "“{name}” नाम का निर्वाचन क्षेत्र पहले से मौजूद है।",
+  "error.usernameTaken": "उपयोगकर्ता नाम “{name}” पहले से लिया जा चुका है।",
+  "error.reportExists": "रिपोर्ट {id} पहले से मौजूद है।",
+  "error.broadcastExists": "प्रसारण {id} पहले से मौजूद है।",
+  "error.pollExists": "पोल {id} पहले से मौजूद है।",
+  "error.commentExists": "टिप्पणी {id} पहले से मौजूद है।",
+  "error.rateOwnOnly": "केवल इस रिपोर्ट को दर्ज करने वाला नागरिक इसके समाधान को रेटिंग दे सकता है।",
+  "error.closePollOwnOnly": "केवल इस पोल को शुरू करने वाला राजनेता इसे बंद कर सकता है।",
+  "error.broadcastOwnOnly": "केवल इस प्रसारण को लिखने वाला राजनेता इसे बदल सकता है।",
+  "error.broadcastScope": "आप केवल उन्हीं निर्वाचन क्षेत्रों में प्रसारण कर सकते हैं जिनकी आप सेवा करते हैं।",
+  "error.deleteOwnComments": "आप केवल अपनी टिप्पणियाँ हटा सकते हैं।",
+  "error.editOwnComments": "आप केवल अपनी टिप्पणियाँ संपादित कर सकते हैं।",
+  "error.constituencyScope": "यह रिपोर्ट ऐसे निर्वाचन क्षेत्र की है जिसकी आप सेवा नहीं करते।",
+  "error.flagOwn": "आप अपनी सामग्री को फ़्लैग नहीं कर सकते।",
+  "error.permission.issueCreate": "केवल नागरिक उपयोगकर्ता नई रिपोर्ट भेज सकते हैं।",
+  "error.permission.commentCreate": "चर्चा में शामिल होने के लिए लॉग इन करें।",
+  "error.permission.commentReact": "टिप्पणियों पर प्रतिक्रिया देने के लिए लॉग इन करें।",
+  "error.permission.commentOfficial": "केवल राजनेता भूमिका आधिकारिक जवाब चिह्नित कर सकती है।",
+  "error.permission.notificationRead": "रिपोर्ट फ़ॉलो करने और अपनी सूचनाएँ देखने के लिए लॉग इन करें।",
+  "error.permission.contentFlag": "केवल नागरिक या राजनेता उपयोगकर्ता सामग्री को फ़्लैग कर सकते हैं।",
+  "error.permission.contentModerate": "केवल मॉडरेटर या एडमिन उपयोगकर्ता सामग्री मॉडरेट कर सकते हैं।",
+  "error.permission.issueEdit": "केवल मॉडरेटर या एडमिन उपयोगकर्ता रिपोर्ट संपादित कर सकते हैं।",
+  "error.permission.issueAssign": "केवल मॉडरेटर या एडमिन उपयोगकर्ता रिपोर्ट दोबारा सौंप सकते हैं।",
+  "error.permission.issueDelete": "केवल एडमिन उपयोगकर्ता रिपोर्ट हटा सकते हैं।",
+  "error.permission.issueSupport": "केवल नागरिक उपयोगकर्ता रिपोर्ट का समर्थन कर सकते हैं।",
+  "error.permission.issueMerge": "केवल राजनेता, मॉडरेटर या एडमिन भूमिकाएँ डुप्लिकेट रिपोर्ट मिला सकती हैं।",
+  "error.permission.insightsView": "केवल राजनेता, मॉडरेटर या एडमिन भूमिकाएँ रिपोर्ट विश्लेषण देख सकती हैं।",
+  "error.permission.broadcastCreate": "केवल राजनेता भूमिका सार्वजनिक प्रसारण कर सकती है।",
+  "error.permission.pollCreate": "केवल राजनेता भूमिका पोल शुरू कर सकती है।",
+  "error.permission.pollRespond": "केवल नागरिक उपयोगकर्ता पोल का जवाब दे सकते हैं।",
+  "error.permission.reportsExport": "केवल एडमिन उपयोगकर्ता रिपोर्ट निर्यात कर सकते हैं।",
+  "error.permission.reportsImport": "केवल एडमिन उपयोगकर्ता रिपोर्ट आयात कर सकते हैं।",
+  "error.permission.userManage": "केवल एडमिन उपयोगकर्ता खाते प्रबंधित कर सकते हैं।",
+  "error.permission.constituencyManage": "केवल एडमिन उपयोगकर्ता निर्वाचन क्षेत्र प्रबंधित कर सकते हैं।",
+  "error.permission.categoryManage": "केवल एडमिन उपयोगकर्ता श्रेणियाँ प्रबंधित कर सकते हैं।",
+  "error.permission.feedbackSummary": "केवल एडमिन उपयोगकर्ता संतुष्टि सारांश देख सकते हैं।",
+  "error.broadcastStatus": "प्रसारणों की कोई स्थिति नहीं होती।",
+  "error.transition": "रिपोर्ट “{from}” से “{to}” में नहीं जा सकती।",
+  "error.only.acknowledge": "केवल राजनेता, मॉडरेटर या एडमिन इस रिपोर्ट को स्वीकार कर सकते हैं।",
+  "error.only.inProgress": "केवल राजनेता या एडमिन इस रिपोर्ट को प्रगति में चिह्नित कर सकते हैं।",
+  "error.only.resolved": "केवल राजनेता या एडमिन इस रिपोर्ट को हल चिह्नित कर सकते हैं।",
+  "error.only.close": "केवल राजनेता, मॉडरेटर, एडमिन या मूल रिपोर्टर इस रिपोर्ट को बंद कर सकते हैं।",
+  "error.only.reject": "केवल राजनेता, मॉडरेटर या एडमिन इस रिपोर्ट को अस्वीकार कर सकते हैं।",
+  "error.only.duplicate": "केवल राजनेता, मॉडरेटर या एडमिन इस रिपोर्ट को डुप्लिकेट चिह्नित कर सकते हैं।",
+  "error.only.reopen": "केवल राजनेता, मॉडरेटर, एडमिन या मूल रिपोर्टर इस रिपोर्ट को फिर से खोल सकते हैं।",
+  "error.noteReject": "रिपोर्ट अस्वीकार करने के लिए कारण बताने वाला नोट ज़रूरी है।",
+  "error.noteReopen": "रिपोर्ट फिर से खोलने के लिए कारण बताने वाला नोट ज़रूरी है।",
+  "error.chooseOriginal": "वह मूल रिपोर्ट चुनें जिसकी यह डुप्लिकेट है।",
+  "error.issueFields": "शीर्षक, विवरण और श्रेणी खाली नहीं हो सकते।",
+  "error.chooseConstituency": "वह निर्वाचन क्षेत्र चुनें जिससे यह रिपोर्ट संबंधित है।",
+  "error.unknownCategory": "अज्ञात श्रेणी “{category}”।",
+  "error.reportNotFound": "रिपोर्ट {id} नहीं मिली।",
+  "error.broadcastNotFound": "प्रसारण {id} नहीं मिला।",
+  "error.pollNotFound": "पोल {id} नहीं मिला।",
+  "error.commentNotFound": "टिप्पणी {id} नहीं मिली।",
+  "error.reportGone": "रिपोर्ट {id} अब मौजूद नहीं है।",
+  "error.broadcastGone": "प्रसारण {id} अब मौजूद नहीं है।",
+  "error.notOffline": "रिपोर्ट {id} ऑफ़लाइन उपलब्ध नहीं है।",
+  "error.mergeSelf": "रिपोर्ट को खुद में नहीं मिलाया जा सकता।",
+  "error.mergeIntoActive": "उस रिपोर्ट में मिलाएँ जो अभी सक्रिय है, किसी दूसरी डुप्लिकेट में नहीं।",
+  "error.mergeReportsOnly": "केवल रिपोर्ट मिलाई जा सकती हैं।",
+  "error.mergeBothExist": "मिलाने के लिए दोनों रिपोर्ट का मौजूद होना ज़रूरी है।",
+  "error.assignReportsOnly": "केवल रिपोर्ट सौंपी जा सकती हैं।",
+  "error.assigneeRoles": "रिपोर्ट केवल राजनेता, मॉडरेटर या एडमिन खातों को सौंपी जा सकती हैं।",
+  "error.commentEmpty": "टिप्पणी खाली नहीं हो सकती।",
+  "error.commentDeleted": "यह टिप्पणी हटा दी गई थी।",
+  "error.commentNotPublic": "वह टिप्पणी सार्वजनिक रूप से नहीं दिखती।",
+  "error.replyDeleted": "आप हटाई गई टिप्पणी का जवाब नहीं दे सकते।",
+  "error.locked": "एक मॉडरेटर ने इस चर्चा को लॉक कर दिया है।",
+  "error.broadcastRetracted": "यह प्रसारण वापस ले लिया गया है।",
+  "error.broadcastUnpublished": "यह प्रसारण अभी प्रकाशित नहीं हुआ है।",
+  "error.officialPolitician": "केवल किसी राजनेता की टिप्पणी आधिकारिक जवाब हो सकती है।",
+  "error.officialReportsOnly": "केवल रिपोर्ट का आधिकारिक जवाब होता है।",
+  "error.supportReportsOnly": "केवल रिपोर्ट का समर्थन किया जा सकता है।",
+  "error.supportDuplicate": "यह रिपोर्ट दूसरी रिपोर्ट में मिला दी गई है; उसकी जगह उस रिपोर्ट का समर्थन करें।",
+  "error.supportOwn": "यह समस्या आपने दर्ज की है, इसलिए आपका समर्थन पहले से गिना गया है।",
+  "error.nothingChanged": "कुछ नहीं बदला गया।",
+  "error.hideReason": "इस सामग्री को छिपाने का कारण बताएँ।",
+  "error.editReason": "संपादन का कारण बताएँ; यह सामग्री के साथ दिखाया जाता है।",
+  "error.rating": "1 से 5 तक रेटिंग चुनें।",
+  "error.rateResolved": "केवल हल हुई रिपोर्ट को रेटिंग दी जा सकती है।",
+  "error.rateReportsOnly": "केवल रिपोर्ट को रेटिंग दी जा सकती है।",
+  "error.feedbackFixed": "बताएँ कि समस्या ठीक हुई या नहीं।",
+  "error.disputeComment": "समाधान पर आपत्ति करने के लिए बताएँ कि अब भी क्या गलत है।",
+  "error.broadcastMessage": "प्रसारण में संदेश होना चाहिए।",
+  "error.broadcastWhen": "चुनें कि प्रसारण कब भेजा जाए।",
+  "error.broadcastPast": "प्रसारण केवल भविष्य के समय के लिए निर्धारित किया जा सकता है।",
+  "error.retractedBroadcast": "वापस लिया गया प्रसारण बदला नहीं जा सकता।",
+  "error.retractPublished": "केवल प्रकाशित प्रसारण वापस लिया जा सकता है; इसकी जगह ड्राफ़्ट हटाएँ।",
+  "error.retractNotDelete": "प्रकाशित प्रसारण को हटाने के बजाय वापस लें।",
+  "error.retractNotUnpublish": "प्रकाशित प्रसारण को अप्रकाशित करने के बजाय वापस लें।",
+  "error.pollTitle": "पोल का शीर्षक होना चाहिए।",
+  "error.pollDescription": "बताएँ कि पोल किस बारे में है।",
+  "error.pollQuestions": "पोल में कम से कम एक सवाल होना चाहिए।",
+  "error.pollMaxQuestions": "पोल में अधिकतम {max} सवाल हो सकते हैं।",
+  "error.questionPrompt": "सवाल {number} में प्रश्न लिखा होना चाहिए।",
+  "error.questionOptions": "सवाल {number} में कम से कम दो विकल्प होने चाहिए।",
+  "error.questionOptionsMax": "सवाल {number} में {max} से ज़्यादा विकल्प हैं।",
+  "error.questionRepeats": "सवाल {number} में एक विकल्प दोहराया गया है।",
+  "error.pollOpens": "चुनें कि पोल कब खुलेगा।",
+  "error.pollCloses": "चुनें कि पोल कब बंद होगा।",
+  "error.pollCloseAfterOpen": "पोल खुलने के बाद ही बंद होना चाहिए।",
+  "error.pollCloseFuture": "पोल भविष्य में बंद होना चाहिए।",
+  "error.pollUpcoming": "यह पोल अभी खुला नहीं है।",
+  "error.pollClosed": "यह पोल बंद है।",
+  "error.pollResponded": "आप इस पोल का जवाब पहले ही दे चुके हैं।",
+  "error.closeOpenPoll": "केवल खुला पोल बंद किया जा सकता है।",
+  "error.closePollsOnly": "केवल पोल बंद किए जा सकते हैं।",
+  "error.chooseAnswer": "“{prompt}” का एक जवाब चुनें।",
+  "error.chooseAnswers": "“{prompt}” का कम से कम एक जवाब चुनें।",
+  "error.answerLength": "जवाब अधिकतम {max} अक्षरों के हो सकते हैं।",
+  "error.categoryName": "श्रेणी का नाम होना चाहिए।",
+  "error.categoryNotFound": "श्रेणी {id} नहीं मिली।",
+  "error.lastCategory": "कम से कम एक श्रेणी बची रहनी चाहिए।",
+  "error.departmentName": "विभाग का नाम होना चाहिए।",
+  "error.noDepartment": "“{name}” नाम का कोई विभाग किसी श्रेणी को नहीं संभालता।",
+  "error.colour": "“{colour}” #e0e7ff जैसा रंग नहीं है।",
+  "error.constituencyName": "निर्वाचन क्षेत्र का नाम होना चाहिए।",
+  "error.constituencyNotFound": "निर्वाचन क्षेत्र {id} नहीं मिला।",
+  "error.assignableRoles": "केवल राजनेता और मॉडरेटर खाते निर्वाचन क्षेत्रों को सौंपे जाते हैं।",
+  "error.slaAcknowledgeDays": "स्वीकृति लक्ष्य दिनों की धनात्मक संख्या होना चाहिए।",
+  "error.slaResolveDays": "समाधान लक्ष्य दिनों की धनात्मक संख्या होना चाहिए।",
+  "error.slaOrder": "समाधान लक्ष्य स्वीकृति लक्ष्य से छोटा नहीं हो सकता।",
+  "error.adminRemains": "कम से कम एक एडमिन खाता बचा रहना चाहिए।",
+  "error.accountNotFound": "खाता {id} नहीं मिला।",
+  "error.email": "“{address}” मान्य ईमेल पता नहीं है।",
+  "error.login": "उपयोगकर्ता नाम या पासवर्ड गलत है।",
+  "error.loginRequired": "जारी रखने के लिए लॉग इन करें।",
+  "error.credentialsRequired": "उपयोगकर्ता नाम और पासवर्ड ज़रूरी हैं।",
+  "error.usernameRules": "उपयोगकर्ता नाम 3-32 अक्षरों का होता है: अक्षर, अंक, बिंदु, डैश या अंडरस्कोर।",
+  "error.passwordLength": "पासवर्ड कम से कम 8 अक्षरों का होना चाहिए।",
+  "error.secureContext": "स्थानीय खातों के लिए सुरक्षित संदर्भ (https या localhost) ज़रूरी है।",
+  "error.forbidden": "अनुमति नहीं है।",
+  "error.fileType": "“{name}” समर्थित फ़ाइल प्रकार नहीं है (केवल चित्र या PDF)।",
+  "error.fileSize": "“{name}” {size} की है; सीमा {limit} है।",
+  "error.fileMismatch": "“{name}” {type} फ़ाइल जैसी नहीं लगती।",
+  "error.maxAttachments": "अधिकतम {max} अटैचमेंट की अनुमति है।",
+  "error.attachmentInUse": "अटैचमेंट {id} पहले से उपयोग में है। इसे फिर से अपलोड करें।",
+  "error.attachmentMissing": "अटैचमेंट {id} नहीं मिला। इसे फिर से अपलोड करें।",
+  "error.attachmentNotFound": "अटैचमेंट {id} नहीं मिला।",
+  "error.storageFull": "ब्राउज़र स्टोरेज भर गया है। कुछ अटैचमेंट हटाएँ, या बड़ी फ़ाइलों के लिए साझा सर्वर का उपयोग करें।",
+  "error.tooLarge": "अनुरोध बहुत बड़ा है।",
+  "error.internal": "सर्वर में आंतरिक त्रुटि।",
+  "error.importNotJson": "फ़ाइल मान्य JSON नहीं है: {detail}",
+  "error.importNotList": "JSON आयात रिपोर्ट की सूची होना चाहिए।",
+  "error.importEmpty": "फ़ाइल खाली है।",
+  "error.importQuote": "CSV फ़ाइल उद्धरण चिह्नों वाले फ़ील्ड के बीच में खत्म होती है।",
+  "error.importRows": "एक बार में अधिकतम {max} पंक्तियाँ आयात की जा सकती हैं; इस फ़ाइल में {count} हैं।",
+  "error.rowTitle": "शीर्षक ज़रूरी है",
+  "error.rowDescription": "विवरण ज़रूरी है",
+  "error.rowStatus": "अज्ञात स्थिति “{status}”",
+  "error.rowLanguage": "“{language}” “en” या “es-MX” जैसा भाषा टैग नहीं है",
+  "error.rowDate": "तारीख “{date}” पढ़ी नहीं जा सकी",
+  "error.rowFuture": "तारीख भविष्य की है",
+  "error.rowCoordinates": "lat और lng दोनों मान्य निर्देशांक होने चाहिए",
+  "error.offline": "सर्वर तक नहीं पहुँच पा रहे। अपना कनेक्शन जाँचें और फिर कोशिश करें।",
+  "error.requestFailed": "अनुरोध स्थिति {status} के साथ विफल हुआ",
+
+  "status.Open": "खुली",
+  "status.Acknowledged": "स्वीकार की गई",
+  "status.In Progress": "प्रगति पर",
+  "status.Resolved": "हल हुई",
+  "status.Closed": "बंद",
+  "status.Rejected": "अस्वीकृत",
+  "status.Duplicate": "प्रतिलिपि",
+  "status.Reopened": "फिर से खुली",
+  "status.Broadcast": "प्रसारण",
+  "status.Draft": "ड्राफ़्ट",
+  "status.Scheduled": "निर्धारित",
+  "status.Retracted": "वापस लिया गया",
+  "status.Poll": "सर्वेक्षण",
+  "status.Upcoming": "आगामी",
+  "status.Poll Closed": "सर्वेक्षण बंद",
+
+  "category.General": "सामान्य",
+  "category.Electricity": "बिजली",
+  "category.Roads": "सड़कें",
+  "category.Sanitation": "स्वच्छता",
+  "category.Water": "पानी",
+  "category.Other": "अन्य",
+
+  "role.Guest": "अतिथि",
+  "role.Citizen": "नागरिक",
+  "role.Politician": "जनप्रतिनिधि",
+  "role.Moderator": "मॉडरेटर",
+  "role.Admin": "एडमिन",
+};
@@ -0,0 +1,133 @@
+import ar from "./ar.js";
+import en from "./en.js";
+import es from "./es.js";
+import hi from "./hi.js";
+import { DEFAULT_LANGUAGE, LANGUAGES, baseLanguage, textDirection } from "./languages.js";
+
+// Interface translations. Catalogs map keys to text with {name} placeholders;
+// a key missing from a catalog falls back to English, then to the key itself.
+// The active language is module state so helpers and components can call t()
+// directly: App keeps it in React state too, and re-renders the whole tree
+// when it changes.
+//
+// Keys ending in ".one"/".other" (or any Intl.PluralRules category) are plural
+// forms used by tn(). Stored values such as statuses and categories are kept
+// in English and translated for display with translateValue(), and messages
+// from the domain rules, the server and the storage adapters with
+// translateMessage().
+
+const CATALOGS = { en, es, hi, ar };
+const STORAGE_KEY = "fedf_language";
+
+let active = null;
+
+function detect() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved && CATALOGS[saved]) return saved;
+  const preferred = (navigator.languages || [navigator.language]).map(baseLanguage);
+  return preferred.find((code) => CATALOGS[code]) || DEFAULT_LANGUAGE;
+}
+
+export function getLanguage() {
+  if (!active) active = detect();
+  return active;
+}
+
+// Marks up the page for the active language so text direction, fonts and
+// screen readers follow it.
+export function applyDocumentLanguage() {
+  document.documentElement.lang = getLanguage();
+  document.documentElement.dir = textDirection(getLanguage());
+}
+
+export function setLanguage(code) {
+  active = CATALOGS[code] ? code : DEFAULT_LANGUAGE;
+  localStorage.setItem(STORAGE_KEY, active);
+  applyDocumentLanguage();
+  return active;
+}
+
+function lookup(key) {
+  return CATALOGS[getLanguage()][key] ?? en[key];
+}
+
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function t(key, params = {}) {
+  const template = lookup(key);
+  return template === undefined ? key : interpolate(template, params);
+}
+
+// Plural-aware t(): picks `${key}.${category}` for `count`, falling back to
+// `${key}.other`. {count} in the text is the locale-formatted number.
+export function tn(key, count, params = {}) {
+  const category = new Intl.PluralRules(getLanguage()).select(count);
+  const template = lookup(`${key}.${category}`) ?? lookup(`${key}.other`);
+  return template === undefined ? key : interpolate(template, { ...params, count: formatNumber(count) });
+}
+
+// Display text for a stored value (a status, category or role), or the value
+// itself when the catalog has no entry, e.g. for a custom category.
+export function translateValue(group, value) {
+  return lookup(`${group}.${value}`) ?? value;
+}
+
+// Stored values a message can mention, by placeholder name
+const MESSAGE_VALUES = { from: "status", to: "status", status: "status", category: "category" };
+
+let messagePatterns = null;
+
+// One pattern per "error." key, matching its English text with any {name}
+// placeholder standing for whatever the message says there.
+function patterns() {
+  if (!messagePatterns) {
+    messagePatterns = Object.keys(en).filter((key) => key.startsWith("error.")).map((key) => {
+      const names = [];
+      const source = en[key].split(/\{(\w+)\}/).map((part, i) => {
+        if (i % 2) {
+          names.push(part);
+          return "(.+?)";
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }).join("");
+      return { key, names, regex: new RegExp(`^${source}$`) };
+    });
+  }
+  return messagePatterns;
+}
+
+// Display text for an error message, which the domain rules, the server and
+// the storage adapters word in English. Catalog keys starting with "error."
+// hold those messages; one that matches is shown in the active language, with
+// the statuses and categories it names translated too. Any other message
+// (a browser error, say) is shown as it is.
+export function translateMessage(message) {
+  const text = String(message ?? "");
+  for (const { key, names, regex } of patterns()) {
+    const match = regex.exec(text);
+    if (!match) continue;
+    const params = {};
+    names.forEach((name, i) => {
+      params[name] = MESSAGE_VALUES[name] ? translateValue(MESSAGE_VALUES[name], match[i + 1]) : match[i + 1];
+    });
+    return t(key, params);
+  }
+  return text;
+}
+
+export function formatNumber(value) {
+  return new Intl.NumberFormat(getLanguage()).format(value);
+}
+
+// The name of the language `tag`, in the active language
+export function languageName(tag) {
+  try {
+    return new Intl.DisplayNames([getLanguage()], { type: "language" }).of(tag) || tag;
+  } catch {
+    return tag;
+  }
+}
+
+export { LANGUAGES };
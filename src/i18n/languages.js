@@ -0,0 +1,29 @@
+// Languages the interface is translated into, and helpers for the language
+// tags that reports and broadcasts carry to record what they were written in.
+// Free of browser APIs so the server can validate tags with it too.
+
+export const DEFAULT_LANGUAGE = "en";
+
+// `name` is the language's own name, as shown in the switcher
+export const LANGUAGES = [
+  { code: "en", name: "English" },
+  { code: "es", name: "Español" },
+  { code: "hi", name: "हिन्दी" },
+  { code: "ar", name: "العربية" },
+];
+
+// Scripts written right to left, by base language
+const RTL_LANGUAGES = ["ar", "fa", "he", "ps", "sd", "ug", "ur", "yi"];
+
+// A BCP 47 tag such as "en", "es-MX" or "zh-Hant"
+export function isLanguageTag(value) {
+  return typeof value === "string" && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(value);
+}
+
+export function baseLanguage(tag) {
+  return String(tag || "").split("-")[0].toLowerCase();
+}
+
+export function textDirection(tag) {
+  return RTL_LANGUAGES.includes(baseLanguage(tag)) ? "rtl" : "ltr";
+}
@@ -0,0 +1,68 @@
+// Minimal promise wrapper over IndexedDB for the offline adapter. One
+// database holds three object stores:
+//   issues  the last reports and broadcasts seen, keyed by id
+//   outbox  changes waiting to be sent, keyed by an increasing `seq`
+//   meta    other cached reads (account, constituencies, categories, notifications)
+
+const DB_NAME = "fedf_offline";
+const DB_VERSION = 1;
+
+let opening = null;
+
+function openDb() {
+  if (!opening) {
+    opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("issues", { keyPath: "id" });
+        db.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+        db.createObjectStore("meta");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return opening;
+}
+
+// Runs `work(objectStore)` in one transaction and resolves, once it commits,
+// with the result of the request `work` returned (if any).
+async function run(storeName, mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = work(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function getAll(storeName) {
+  return run(storeName, "readonly", (store) => store.getAll());
+}
+
+export function getOne(storeName, key) {
+  return run(storeName, "readonly", (store) => store.get(key));
+}
+
+// `key` is only given for stores without a key path (meta).
+export function putOne(storeName, value, key) {
+  return run(storeName, "readwrite", (store) => store.put(value, key));
+}
+
+export function deleteOne(storeName, key) {
+  return run(storeName, "readwrite", (store) => store.delete(key));
+}
+
+export function replaceAll(storeName, values) {
+  return run(storeName, "readwrite", (store) => {
+    store.clear();
+    for (const value of values) store.put(value);
+  });
+}
+
+export function clearStore(storeName) {
+  return run(storeName, "readwrite", (store) => store.clear());
+}
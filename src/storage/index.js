@@ -0,0 +1,83 @@
+import { createLocalAdapter } from "./localAdapter.js";
+import { createRestAdapter } from "./restAdapter.js";
+import { createOfflineAdapter } from "./offlineAdapter.js";
+
+// Every adapter exposes the same promise-based interface:
+//   currentUser()                   -> logged-in account or null
+//   login(username, password)       -> account
+//   register({ username, displayName, password }) -> account (and logs in)
+//   logout()                        -> nothing
+//   listUsers()                     -> accounts (Admin only)
+//   setUserRole(userId, role)       -> updated account (Admin only)
+//   setUserConstituencies(userId, ids) -> updated account (Admin only; staff scope)
+//   setHomeConstituency(id)         -> updated account (null clears it)
+//   listConstituencies()            -> [{ id, name, description }]
+//   createConstituency({ name, description }) -> saved constituency (Admin only)
+//   updateConstituency(id, { name, description }) -> updated constituency (Admin only)
+//   deleteConstituency(id)          -> nothing; its reports become unassigned (Admin only)
+//   listCategories()                -> [{ id, name, color, icon, description, owner }]
+//   createCategory({ name, color, icon, description, owner }) -> saved category (Admin only)
+//   updateCategory(id, fields)      -> updated category; a rename carries over to reports (Admin only)
+//   deleteCategory(id)              -> nothing; its reports keep the name (Admin only)
+//   listOfficials()                 -> accounts reports can be assigned to (Moderator, Admin)
+//   uploadAttachment({ name, type, data, thumbnail }) -> attachment for a record's `attachments`
+//   attachmentUrl(url)              -> a URL the page can show an attachment's `url` or
+//                                      `thumbnailUrl` from (REST: an object URL to revoke)
+//   listIssues()                    -> issues[] the current user may see
+//   createIssue(issue)              -> saved issue (Admins may pass `imported`, see domain/transfer)
+//   createBroadcast(update)         -> saved broadcast (a draft, scheduled or published, see domain/broadcasts)
+//   updateBroadcast(broadcastId, { ...fields, state, publishAt, reason }) -> updated broadcast (its author)
+//   retractBroadcast(broadcastId, reason) -> updated broadcast (its author)
+//   discardBroadcast(broadcastId)   -> nothing (the author's unpublished draft, or any broadcast for Admins)
+//   createPoll(poll)                -> saved poll (see domain/polls)
+//   respondToPoll(pollId, answers)  -> updated poll (a citizen's one response)
+//   closePoll(pollId)               -> updated poll (its author ends it early)
+//   addComment(issueId, comment)    -> updated issue (`parentId` makes it a reply)
+//   updateIssue(issueId, { title, description, category, constituencyId, reason, expected }) -> updated issue (moderator edit)
+//   assignIssue(issueId, owner, reason) -> updated issue (moderator reassignment, see domain/categories)
+//   updateComment(issueId, commentId, { text, reason, expected }) -> updated issue (author edit, or moderator edit with reason)
+//   deleteComment(issueId, commentId) -> updated issue (author only)
+//   reactToComment(issueId, commentId, emoji, reacted) -> updated issue
+//   setOfficialResponse(issueId, commentId) -> updated issue (Politician; null unpins)
+//   transitionIssue(issueId, { to, note, duplicateOf }) -> updated issue
+//   giveFeedback(issueId, { rating, verdict, note }) -> updated issue (reporter rates the resolution, see domain/feedback)
+//   supportIssue(issueId, supported) -> updated issue (Citizen "me too")
+//   mergeIssue(duplicateId, originalId, note) -> { duplicate, original }
+//   flagContent(issueId, { reason, note, commentId }) -> updated issue
+//   moderateContent(issueId, { action, reason, commentId }) -> updated issue (hide/restore/lock/unlock)
+//   deleteIssue(issueId)            -> nothing
+//   listNotifications()             -> the user's notifications, newest first
+//   markNotificationsRead(ids)      -> the user's notifications (all read when ids is empty)
+//   getSubscription()               -> { issues, categories, email } the user follows
+//   setFollow({ issueId } | { category }, following) -> updated subscription
+//   setNotificationEmail(email)     -> updated subscription ("" turns email off)
+//   subscribe(onEvent)              -> unsubscribe function; onEvent receives live
+//                                      changes made elsewhere (see domain/sync):
+//                                      { kind: "issue", issue }, { kind: "issueRemoved", id },
+//                                      { kind: "constituencies", constituencies },
+//                                      { kind: "categories", categories },
+//                                      { kind: "notifications" }, { kind: "account" },
+//                                      { kind: "resync" } (reload everything),
+//                                      { kind: "outbox", entries }
+//   listOutbox()                    -> changes made offline and not yet sent:
+//                                      [{ seq, method, itemId, status: "pending" | "failed", error }]
+//   retryOutbox(seq)                -> nothing; sends a failed entry again
+//   discardOutbox(seq)              -> nothing; drops an entry and undoes it locally
+//
+// Mutations are permission-checked by the adapter itself (see domain/permissions)
+// and stamp the author from the session, so callers cannot forge either. They
+// are dated when they reach the backend; only imports and changes sent from
+// the offline outbox (marked `queued`) keep the date they were made. Each
+// one applies to the latest stored record and bumps its `revision`; edits that
+// replace text may pass `expected` (the values the editor started from) and are
+// rejected if those changed meanwhile.
+//
+// The backend is picked at build time with VITE_STORAGE ("local" or "rest");
+// VITE_API_URL overrides the REST base URL (defaults to the /api dev proxy).
+// The REST backend keeps working offline through an IndexedDB cache and outbox.
+export function createStore(env = import.meta.env) {
+  if (env.VITE_STORAGE === "rest") {
+    return createOfflineAdapter(createRestAdapter(env.VITE_API_URL || "/api"));
+  }
+  return createLocalAdapter();
+}
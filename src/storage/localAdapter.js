@@ -0,0 +1,855 @@
+import { ROLES, can, permissionMessage, toPublicUser } from "../domain/permissions.js";
+import { SCHEMA_VERSION, upgradeIssues, validateIssue } from "../domain/schema.js";
+import { alreadyApplied, applyTransition } from "../domain/lifecycle.js";
+import { mergeIssues, setSupport } from "../domain/support.js";
+import { attachmentProblem } from "../domain/attachments.js";
+import {
+  addFlag, assignIssue, commentProblem, editContent, moderate, redactFor, releasedEvent, screenContent, visibleTo,
+} from "../domain/moderation.js";
+import { importedIssueFields } from "../domain/transfer.js";
+import { deleteComment, editComment, replyProblem, setOfficialResponse, setReaction } from "../domain/comments.js";
+import { bumpRevision, clientTimestamp } from "../domain/sync.js";
+import {
+  assignmentIds, constituencyFields, detachConstituency, homeConstituencyId, reportConstituency,
+} from "../domain/constituencies.js";
+import {
+  DEFAULT_CATEGORIES, categoryFields, isOfficial, ownerFor, renameCategory, reportCategory, requireRemovable, rerouted, routeReport,
+} from "../domain/categories.js";
+import { appendNotifications, buildNotifications, markRead, setEmail, setFollow, subscriptionFor } from "../domain/notifications.js";
+import { SLA_CHECK_MS, escalateOverdue } from "../domain/sla.js";
+import { giveFeedback } from "../domain/feedback.js";
+import {
+  PUBLISH_CHECK_MS, broadcastEvent, broadcastFields, editBroadcast, publication, publishDue, requireDiscardable, retractBroadcast,
+} from "../domain/broadcasts.js";
+import { closePoll, pollFields, respondToPoll } from "../domain/polls.js";
+import { isLanguageTag } from "../i18n/languages.js";
+import { schedule } from "../utils/clock.js";
+import { dataUrlBytes } from "../utils/images.js";
+import { newId } from "../utils/ids.js";
+
+// Browser-only adapter: keeps the whole issues array in localStorage.
+// This is the original single-user demo behaviour, kept as the default backend.
+// Accounts live in the same browser, so the role checks below mirror the
+// server's but only protect against mistakes, not against a determined user.
+
+// Issues are stored as { schemaVersion, issues }. Data saved before versioning
+// was a bare v1 array under LEGACY_KEY and is migrated on first read.
+const STORAGE_KEY = "fedf_issues";
+const LEGACY_KEY = "fedf_issues_v1";
+const QUARANTINE_KEY = "fedf_quarantine";
+const USERS_KEY = "fedf_users_v1";
+const SESSION_KEY = "fedf_session_v1";
+const SUBSCRIPTIONS_KEY = "fedf_subscriptions";
+const NOTIFICATIONS_KEY = "fedf_notifications";
+const CONSTITUENCIES_KEY = "fedf_constituencies";
+const CATEGORIES_KEY = "fedf_categories";
+
+function readJson(key, fallback) {
+  const saved = localStorage.getItem(key);
+  return saved ? JSON.parse(saved) : fallback;
+}
+
+function writeIssues(issues) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, issues }));
+  } catch (err) {
+    if (err.name !== "QuotaExceededError") throw err;
+    throw new Error("Browser storage is full. Remove some attachments, or use the shared server backend for larger files.");
+  }
+}
+
+function quarantine(entries) {
+  if (entries.length === 0) return;
+  const at = new Date().toISOString();
+  const existing = readJson(QUARANTINE_KEY, []);
+  localStorage.setItem(QUARANTINE_KEY, JSON.stringify([...existing, ...entries.map((e) => ({ ...e, at }))]));
+}
+
+// Reads the stored envelope, migrating and validating it first if it was
+// written by an older schema version (or by the pre-versioning app).
+function readIssues() {
+  const raw = localStorage.getItem(STORAGE_KEY) ?? localStorage.getItem(LEGACY_KEY);
+  if (raw === null) return [];
+
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch {
+    quarantine([{ record: raw, reason: "stored data is not valid JSON", version: null }]);
+    writeIssues([]);
+    localStorage.removeItem(LEGACY_KEY);
+    return [];
+  }
+
+  const isEnvelope = stored && !Array.isArray(stored) && "schemaVersion" in stored;
+  if (isEnvelope && stored.schemaVersion === SCHEMA_VERSION) return stored.issues;
+
+  const { issues, quarantined } = isEnvelope
+    ? upgradeIssues(stored.issues, stored.schemaVersion)
+    : upgradeIssues(stored, 1);
+  quarantine(quarantined);
+  writeIssues(issues);
+  localStorage.removeItem(LEGACY_KEY);
+  return issues;
+}
+
+function readUsers() {
+  return readJson(USERS_KEY, []);
+}
+
+function writeUsers(users) {
+  localStorage.setItem(USERS_KEY, JSON.stringify(users));
+}
+
+function readConstituencies() {
+  return readJson(CONSTITUENCIES_KEY, []);
+}
+
+function writeConstituencies(constituencies) {
+  localStorage.setItem(CONSTITUENCIES_KEY, JSON.stringify(constituencies));
+}
+
+function readCategories() {
+  return readJson(CATEGORIES_KEY, structuredClone(DEFAULT_CATEGORIES));
+}
+
+function writeCategories(categories) {
+  localStorage.setItem(CATEGORIES_KEY, JSON.stringify(categories));
+}
+
+function sessionUser() {
+  const userId = localStorage.getItem(SESSION_KEY);
+  return userId ? readUsers().find((u) => u.id === userId) || null : null;
+}
+
+function authorize(action) {
+  const user = sessionUser();
+  if (!user) throw new Error("Please log in to continue.");
+  if (!can(user.role, action)) throw new Error(permissionMessage(action));
+  return user;
+}
+
+function requireText(value, field) {
+  if (typeof value !== "string" || !value.trim()) throw new Error(`Field "${field}" is required.`);
+  return value.trim();
+}
+
+const TYPE_NAMES = { issue: "report", broadcast: "broadcast", poll: "poll" };
+
+// The server's record check: `item` as it will be stored, or an error naming
+// what is wrong with it.
+function checked(item) {
+  const problem = validateIssue(item);
+  if (problem) throw new Error(`Invalid ${TYPE_NAMES[item.type] || "report"}: ${problem}.`);
+  return item;
+}
+
+// A new report built from the payload's known fields, with the same defaults
+// and validation the server applies: it starts Open, routed to its
+// category's owner, with no history, support or moderation. Admin imports
+// keep their historic status and dates (see domain/transfer).
+function toIssue(body, user) {
+  const title = requireText(body.title, "title");
+  const description = requireText(body.description, "description");
+  const categories = readCategories();
+  const category = reportCategory(categories, body.category, { required: !body.imported });
+  const issue = {
+    type: "issue",
+    id: body.id || newId(),
+    title,
+    description,
+    category,
+    language: isLanguageTag(body.language) ? body.language : null,
+    constituencyId: body.imported
+      ? reportConstituency(readConstituencies(), body.constituencyId, null, { required: false })
+      : reportConstituency(readConstituencies(), body.constituencyId, user),
+    status: "Open",
+    location: body.location || null,
+    attachments: body.attachments || [],
+    duplicateOf: null,
+    mergedInto: null,
+    supporters: [],
+    history: [],
+    comments: [],
+    officialResponseId: null,
+    assignee: routeReport(categories, category),
+    escalations: [],
+    feedback: [],
+    flags: [],
+    hidden: false,
+    held: screenContent(title, description),
+    locked: false,
+    moderationLog: [],
+    revision: 0,
+    createdAt: clientTimestamp(body.createdAt, { trusted: Boolean(body.imported) }),
+    reporterId: user.id,
+    reporterName: user.displayName,
+    reporterRole: user.role,
+    ...(body.imported ? importedIssueFields(body.imported, user) : {}),
+  };
+  return checked(issue);
+}
+
+// Broadcast content fields as the server checks them (see domain/broadcasts)
+function broadcastBody(body, context, user) {
+  return broadcastFields({ ...body, language: isLanguageTag(body.language) ? body.language : null }, context, user);
+}
+
+// A new broadcast built from the payload's known fields, as the server
+// builds it: published at once unless it is a draft or scheduled, with no
+// changes logged yet, and not screened as it comes from a politician.
+function toBroadcast(body, user, issues) {
+  return checked({
+    type: "broadcast",
+    id: body.id || newId(),
+    ...broadcastBody(body, { categories: readCategories(), constituencies: readConstituencies(), issues }, user),
+    createdAt: new Date().toISOString(),
+    ...publication({ state: body.state, publishAt: body.publishAt }),
+    changes: [],
+    attachments: body.attachments || [],
+    comments: [],
+    flags: [],
+    hidden: false,
+    held: null,
+    locked: false,
+    moderationLog: [],
+    revision: 0,
+    reporterId: user.id,
+    reporterName: user.displayName,
+    reporterRole: user.role,
+  });
+}
+
+// A new poll built from the payload's known fields, as the server builds it
+// (see domain/polls): no responses yet, and not screened as it comes from a
+// politician.
+function toPoll(body, user) {
+  return checked({
+    type: "poll",
+    id: body.id || newId(),
+    ...pollFields({ ...body, language: isLanguageTag(body.language) ? body.language : null }, { categories: readCategories(), constituencies: readConstituencies() }, user),
+    responses: [],
+    attachments: [],
+    comments: [],
+    flags: [],
+    hidden: false,
+    held: null,
+    locked: false,
+    moderationLog: [],
+    revision: 0,
+    createdAt: new Date().toISOString(),
+    reporterId: user.id,
+    reporterName: user.displayName,
+    reporterRole: user.role,
+  });
+}
+
+// A new comment built from the payload's known fields, as the server builds
+// it: non-empty text, screened like any submission, with no edits or
+// reactions yet.
+function toComment(body, user) {
+  const text = requireText(body.text, "text");
+  return {
+    id: body.id || newId(),
+    parentId: body.parentId ? String(body.parentId) : null,
+    authorId: user.id,
+    authorName: user.displayName,
+    role: user.role,
+    text,
+    attachments: body.attachments || [],
+    flags: [],
+    hidden: false,
+    held: screenContent(text),
+    editedAt: null,
+    deleted: false,
+    reactions: {},
+    at: new Date().toISOString(),
+  };
+}
+
+// Follows and notifications are shared by every account in this browser, so
+// logging in as another local user shows what they were notified about.
+function follow(userId, target, following) {
+  const subscriptions = setFollow(readJson(SUBSCRIPTIONS_KEY, []), userId, target, following);
+  localStorage.setItem(SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions));
+  return subscriptionFor(subscriptions, userId);
+}
+
+// The official an assignment names follows the report, so they hear about it.
+function followAssignee(issue) {
+  if (issue.assignee && issue.assignee.kind === "official") follow(issue.assignee.userId, { issueId: issue.id }, true);
+}
+
+// What broadcastEvent needs to address a broadcast to its audience
+function audienceData() {
+  return { users: readUsers(), subscriptions: readJson(SUBSCRIPTIONS_KEY, []) };
+}
+
+function notify(event) {
+  const fresh = buildNotifications(event, readJson(SUBSCRIPTIONS_KEY, []));
+  if (fresh.length === 0) return;
+  const stored = appendNotifications(readJson(NOTIFICATIONS_KEY, []), fresh);
+  localStorage.setItem(NOTIFICATIONS_KEY, JSON.stringify(stored));
+}
+
+// Turns a change to the stored issues made by another tab into live events
+// for this one, comparing revisions (see domain/sync). Data written by a
+// different app version cannot be compared and asks for a full reload.
+function storedIssues(raw) {
+  try {
+    const stored = JSON.parse(raw);
+    return stored && stored.schemaVersion === SCHEMA_VERSION ? stored.issues : null;
+  } catch {
+    return null;
+  }
+}
+
+function issueEvents(oldValue, newValue) {
+  const after = storedIssues(newValue);
+  if (!after) return [{ kind: "resync" }];
+  const before = storedIssues(oldValue) || [];
+  const revisions = new Map(before.map((it) => [it.id, it.revision]));
+  const user = sessionUser();
+  const events = after
+    .filter((it) => revisions.get(it.id) !== it.revision)
+    .map((it) => {
+      const issue = redactFor(it, user);
+      return issue ? { kind: "issue", issue } : { kind: "issueRemoved", id: it.id };
+    });
+  const remaining = new Set(after.map((it) => it.id));
+  for (const it of before) {
+    if (!remaining.has(it.id)) events.push({ kind: "issueRemoved", id: it.id });
+  }
+  return events;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function hashPassword(password, salt) {
+  if (!globalThis.crypto || !crypto.subtle) {
+    throw new Error("Local accounts need a secure context (https or localhost).");
+  }
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}:${password}`));
+  return toHex(new Uint8Array(digest));
+}
+
+// Deadline check (see domain/sla). There is no server here, so it runs while
+// the app is open; `onEvent` hears about the reports this tab escalated,
+// since storage events only reach the other tabs.
+function checkDeadlines(nowMs, onEvent) {
+  const now = new Date(nowMs).toISOString();
+  const { escalated, events } = escalateOverdue({ issues: readIssues(), categories: readCategories(), users: readUsers() }, now);
+  if (escalated.length === 0) return;
+  const updated = new Map(escalated.map((it) => [it.id, bumpRevision(it)]));
+  writeIssues(readIssues().map((it) => updated.get(it.id) || it));
+  events.forEach(notify);
+  const user = sessionUser();
+  for (const item of updated.values()) {
+    const issue = redactFor(item, user);
+    if (issue) onEvent({ kind: "issue", issue });
+  }
+  onEvent({ kind: "notifications" });
+}
+
+// Publishes the scheduled broadcasts that fell due, like checkDeadlines.
+function publishScheduled(nowMs, onEvent) {
+  const due = publishDue(readIssues(), new Date(nowMs).toISOString()).map(bumpRevision);
+  if (due.length === 0) return;
+  const published = new Map(due.map((it) => [it.id, it]));
+  writeIssues(readIssues().map((it) => published.get(it.id) || it));
+  for (const item of due) {
+    notify(broadcastEvent("broadcast", item, { id: item.reporterId, displayName: item.reporterName, role: item.reporterRole }, audienceData()));
+    const issue = redactFor(item, sessionUser());
+    if (issue) onEvent({ kind: "issue", issue });
+  }
+  onEvent({ kind: "notifications" });
+}
+
+function updateOne(issueId, update) {
+  let updated = null;
+  const issues = readIssues().map((it) => {
+    if (it.id !== issueId) return it;
+    updated = bumpRevision(update(it));
+    return updated;
+  });
+  if (!updated) throw new Error(`Report ${issueId} no longer exists.`);
+  writeIssues(issues);
+  return updated;
+}
+
+// updateOne() for an action on content `user` can see: as on the server,
+// hidden, held or unpublished items (and comments, with `commentId`) they
+// may not see read as missing.
+function updateVisible(issueId, user, update, commentId = null) {
+  return updateOne(issueId, (it) => {
+    const shown = redactFor(it, user);
+    if (!shown) throw new Error(`Report ${issueId} no longer exists.`);
+    if (commentId && !shown.comments.some((c) => c.id === commentId)) throw new Error(`Comment ${commentId} not found.`);
+    return update(it);
+  });
+}
+
+export function createLocalAdapter() {
+  return {
+    name: "local",
+
+    // --- Accounts ---
+
+    async currentUser() {
+      return toPublicUser(sessionUser());
+    },
+
+    async login(username, password) {
+      const user = readUsers().find((u) => u.username === String(username).trim().toLowerCase());
+      if (!user || (await hashPassword(password, user.salt)) !== user.passwordHash) {
+        throw new Error("Incorrect username or password.");
+      }
+      localStorage.setItem(SESSION_KEY, user.id);
+      return toPublicUser(user);
+    },
+
+    async register({ username, displayName, password }) {
+      const users = readUsers();
+      const name = String(username || "").trim().toLowerCase();
+      if (!name || !password) throw new Error("Username and password are required.");
+      if (users.some((u) => u.username === name)) throw new Error(`The username "${name}" is already taken.`);
+      const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+      const user = {
+        id: newId(),
+        username: name,
+        displayName: (displayName || "").trim() || name,
+        // The first account bootstraps the instance and becomes its Admin
+        role: users.length === 0 ? "Admin" : "Citizen",
+        salt,
+        passwordHash: await hashPassword(password, salt),
+      };
+      writeUsers([...users, user]);
+      localStorage.setItem(SESSION_KEY, user.id);
+      return toPublicUser(user);
+    },
+
+    async logout() {
+      localStorage.removeItem(SESSION_KEY);
+    },
+
+    async listUsers() {
+      authorize("user:manage");
+      return readUsers().map(toPublicUser);
+    },
+
+    async setUserRole(userId, role) {
+      authorize("user:manage");
+      if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}".`);
+      const users = readUsers();
+      const user = users.find((u) => u.id === userId);
+      if (!user) throw new Error(`Account ${userId} not found.`);
+      if (user.role === "Admin" && role !== "Admin" && users.filter((u) => u.role === "Admin").length === 1) {
+        throw new Error("At least one Admin account must remain.");
+      }
+      user.role = role;
+      writeUsers(users);
+      return toPublicUser(user);
+    },
+
+    async setUserConstituencies(userId, ids) {
+      authorize("user:manage");
+      const users = readUsers();
+      const user = users.find((u) => u.id === userId);
+      if (!user) throw new Error(`Account ${userId} not found.`);
+      user.constituencies = assignmentIds(readConstituencies(), user, ids);
+      writeUsers(users);
+      return toPublicUser(user);
+    },
+
+    async setHomeConstituency(constituencyId) {
+      const current = sessionUser();
+      if (!current) throw new Error("Please log in to continue.");
+      const users = readUsers();
+      const user = users.find((u) => u.id === current.id);
+      user.homeConstituency = homeConstituencyId(readConstituencies(), constituencyId);
+      writeUsers(users);
+      return toPublicUser(user);
+    },
+
+    // --- Constituencies ---
+
+    async listConstituencies() {
+      return readConstituencies();
+    },
+
+    async createConstituency(fields) {
+      authorize("constituency:manage");
+      const constituencies = readConstituencies();
+      const constituency = { id: newId(), ...constituencyFields(fields, constituencies) };
+      writeConstituencies([...constituencies, constituency]);
+      return constituency;
+    },
+
+    async updateConstituency(constituencyId, fields) {
+      authorize("constituency:manage");
+      const constituencies = readConstituencies();
+      const existing = constituencies.find((c) => c.id === constituencyId);
+      if (!existing) throw new Error(`Constituency ${constituencyId} not found.`);
+      const updated = { ...existing, ...constituencyFields({ ...existing, ...fields }, constituencies, constituencyId) };
+      writeConstituencies(constituencies.map((c) => (c.id === constituencyId ? updated : c)));
+      return updated;
+    },
+
+    async deleteConstituency(constituencyId) {
+      authorize("constituency:manage");
+      const { issues, users } = detachConstituency(constituencyId, { issues: readIssues(), users: readUsers() });
+      writeConstituencies(readConstituencies().filter((c) => c.id !== constituencyId));
+      writeIssues(issues);
+      writeUsers(users);
+    },
+
+    // --- Categories ---
+
+    async listCategories() {
+      return readCategories();
+    },
+
+    async createCategory(fields) {
+      authorize("category:manage");
+      const categories = readCategories();
+      const category = { id: newId(), ...categoryFields(fields, categories, readUsers()) };
+      writeCategories([...categories, category]);
+      return category;
+    },
+
+    async updateCategory(categoryId, fields) {
+      authorize("category:manage");
+      const categories = readCategories();
+      const existing = categories.find((c) => c.id === categoryId);
+      if (!existing) throw new Error(`Category ${categoryId} not found.`);
+      const updated = { ...existing, ...categoryFields({ ...existing, ...fields }, categories, readUsers(), categoryId) };
+      const { issues, subscriptions } = renameCategory(existing.name, updated.name, {
+        issues: readIssues(),
+        subscriptions: readJson(SUBSCRIPTIONS_KEY, []),
+      });
+      writeCategories(categories.map((c) => (c.id === categoryId ? updated : c)));
+      writeIssues(issues);
+      localStorage.setItem(SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions));
+      return updated;
+    },
+
+    async deleteCategory(categoryId) {
+      authorize("category:manage");
+      const categories = readCategories();
+      requireRemovable(categories, categoryId);
+      writeCategories(categories.filter((c) => c.id !== categoryId));
+    },
+
+    async listOfficials() {
+      authorize("issue:assign");
+      return readUsers().filter(isOfficial).map(toPublicUser);
+    },
+
+    // --- Attachments ---
+
+    // Files are kept inline as data URLs inside the records that use them,
+    // so they count against the browser's localStorage quota.
+    async uploadAttachment({ name, type, data, thumbnail }) {
+      authorize("comment:create");
+      const size = dataUrlBytes(data);
+      const problem = attachmentProblem({ name, type, size });
+      if (problem) throw new Error(problem);
+      return { id: newId(), name, type, size, url: data, thumbnailUrl: thumbnail || null };
+    },
+
+    async attachmentUrl(url) {
+      return url;
+    },
+
+    // --- Issues ---
+
+    async listIssues() {
+      return visibleTo(readIssues(), sessionUser());
+    },
+
+    async createIssue(issue) {
+      if (issue.imported) {
+        const saved = toIssue(issue, authorize("reports:import"));
+        writeIssues([saved, ...readIssues()]);
+        return redactFor(saved, sessionUser());
+      }
+      const user = authorize("issue:create");
+      const saved = toIssue(issue, user);
+      writeIssues([saved, ...readIssues()]);
+      follow(user.id, { issueId: saved.id }, true);
+      followAssignee(saved);
+      notify({ kind: "report", item: saved, actor: user });
+      return redactFor(saved, user);
+    },
+
+    async createBroadcast(update) {
+      const user = authorize("broadcast:create");
+      const issues = readIssues();
+      const saved = toBroadcast(update, user, issues);
+      writeIssues([saved, ...issues]);
+      if (saved.state === "published") notify(broadcastEvent("broadcast", saved, user, audienceData()));
+      return redactFor(saved, user);
+    },
+
+    async updateBroadcast(broadcastId, { state, publishAt, reason, ...patch }) {
+      const user = authorize("broadcast:create");
+      const context = { categories: readCategories(), constituencies: readConstituencies(), issues: readIssues() };
+      let published = false;
+      const updated = updateOne(broadcastId, (it) => {
+        const edited = editBroadcast(it, user, { fields: broadcastBody({ ...it, ...patch }, context, user), state, publishAt, reason });
+        published = edited.published;
+        return checked(edited.item);
+      });
+      if (published) notify(broadcastEvent("broadcast", updated, user, audienceData()));
+      return redactFor(updated, user);
+    },
+
+    async retractBroadcast(broadcastId, reason) {
+      const user = authorize("broadcast:create");
+      const updated = updateOne(broadcastId, (it) => retractBroadcast(it, user, reason));
+      notify(broadcastEvent("retract", updated, user, audienceData()));
+      return redactFor(updated, user);
+    },
+
+    async discardBroadcast(broadcastId) {
+      const user = sessionUser();
+      const item = readIssues().find((it) => it.id === broadcastId && it.type === "broadcast");
+      if (!item) throw new Error(`Broadcast ${broadcastId} no longer exists.`);
+      if (!user || !can(user.role, "issue:delete")) requireDiscardable(item, user);
+      writeIssues(readIssues().filter((it) => it.id !== broadcastId));
+    },
+
+    async createPoll(poll) {
+      const user = authorize("poll:create");
+      const saved = toPoll(poll, user);
+      if (readIssues().some((it) => it.id === saved.id)) throw new Error(`Poll ${saved.id} already exists.`);
+      writeIssues([saved, ...readIssues()]);
+      notify({ kind: "poll", item: saved, actor: user });
+      return redactFor(saved, user);
+    },
+
+    async respondToPoll(pollId, answers) {
+      const user = authorize("poll:respond");
+      const updated = updateVisible(pollId, user, (it) => {
+        if (it.type !== "poll") throw new Error(`Poll ${pollId} not found.`);
+        return respondToPoll(it, user, answers);
+      });
+      return redactFor(updated, user);
+    },
+
+    async closePoll(pollId) {
+      const user = authorize("poll:create");
+      return redactFor(updateOne(pollId, (it) => closePoll(it, user)), user);
+    },
+
+    async addComment(issueId, comment) {
+      const user = authorize("comment:create");
+      const saved = toComment(comment, user);
+      const updated = updateVisible(issueId, user, (it) => {
+        const problem = commentProblem(it, user) || replyProblem(it, saved.parentId);
+        if (problem) throw new Error(problem);
+        return { ...it, comments: [...it.comments, saved] };
+      });
+      follow(user.id, { issueId }, true);
+      if (!saved.held) notify({ kind: "comment", item: updated, actor: user });
+      return redactFor(updated, user);
+    },
+
+    async updateIssue(issueId, patch) {
+      const user = authorize("issue:edit");
+      const categories = readCategories();
+      const edit = {
+        ...patch,
+        ...(patch.constituencyId === undefined
+          ? {}
+          : { constituencyId: reportConstituency(readConstituencies(), patch.constituencyId, null, { required: false }) }),
+        ...(patch.category === undefined ? {} : { category: reportCategory(categories, patch.category) }),
+      };
+      const updated = updateOne(issueId, (it) => rerouted(it, editContent(it, user, edit), categories));
+      followAssignee(updated);
+      return redactFor(updated, user);
+    },
+
+    async assignIssue(issueId, owner, reason) {
+      const user = authorize("issue:assign");
+      const resolved = ownerFor(owner, { users: readUsers(), categories: readCategories() });
+      const updated = updateOne(issueId, (it) => assignIssue(it, user, resolved, reason));
+      followAssignee(updated);
+      notify({ kind: "assign", item: updated, actor: user });
+      return redactFor(updated, user);
+    },
+
+    async updateComment(issueId, commentId, { text, reason, expected }) {
+      const user = sessionUser();
+      if (!user) throw new Error("Please log in to continue.");
+      return redactFor(updateOne(issueId, (it) => editComment(it, user, { text, reason, expected, commentId })), user);
+    },
+
+    async deleteComment(issueId, commentId) {
+      const user = sessionUser();
+      if (!user) throw new Error("Please log in to continue.");
+      return redactFor(updateOne(issueId, (it) => deleteComment(it, user, commentId).item), user);
+    },
+
+    async reactToComment(issueId, commentId, emoji, reacted) {
+      const user = authorize("comment:react");
+      return redactFor(updateVisible(issueId, user, (it) => setReaction(it, user, { commentId, emoji, reacted }), commentId), user);
+    },
+
+    async setOfficialResponse(issueId, commentId) {
+      const user = authorize("comment:official");
+      const updated = updateVisible(issueId, user, (it) => setOfficialResponse(it, user, commentId));
+      if (updated.officialResponseId) notify({ kind: "official", item: updated, actor: user });
+      return redactFor(updated, user);
+    },
+
+    async transitionIssue(issueId, change) {
+      const user = sessionUser();
+      if (!user) throw new Error("Please log in to continue.");
+      const current = readIssues().find((it) => it.id === issueId);
+      if (current && redactFor(current, user) && alreadyApplied(current, user, change)) return redactFor(current, user);
+      if (change.duplicateOf && !readIssues().some((it) => it.id === change.duplicateOf && it.type === "issue" && redactFor(it, user))) {
+        throw new Error(`Report ${change.duplicateOf} not found.`);
+      }
+      let from = null;
+      const updated = updateVisible(issueId, user, (it) => {
+        from = it.status;
+        return applyTransition(it, user, change);
+      });
+      notify({ kind: "status", item: updated, actor: user, from });
+      if (updated.status === "Resolved" && updated.reporterId) {
+        notify({ kind: "rate", item: updated, actor: user, recipients: [updated.reporterId] });
+      }
+      return redactFor(updated, user);
+    },
+
+    async giveFeedback(issueId, { rating, verdict, note }) {
+      const user = sessionUser();
+      if (!user) throw new Error("Please log in to continue.");
+      const updated = updateVisible(issueId, user, (it) => giveFeedback(it, user, { rating, verdict, note }));
+      const { resolvedById } = updated.feedback[updated.feedback.length - 1];
+      notify({ kind: "feedback", item: updated, actor: user, rating: Number(rating), verdict, alsoTo: [resolvedById] });
+      return redactFor(updated, user);
+    },
+
+    async supportIssue(issueId, supported) {
+      const user = authorize("issue:support");
+      return redactFor(updateVisible(issueId, user, (it) => setSupport(it, user, supported)), user);
+    },
+
+    async mergeIssue(duplicateId, originalId, note) {
+      const user = authorize("issue:merge");
+      const issues = readIssues();
+      const duplicate = issues.find((it) => it.id === duplicateId);
+      const original = issues.find((it) => it.id === originalId);
+      if (!duplicate || !original) throw new Error("Both reports must still exist to merge them.");
+      const merged = mergeIssues(duplicate, original, user, note);
+      merged.duplicate = bumpRevision(merged.duplicate);
+      merged.original = bumpRevision(merged.original);
+      writeIssues(issues.map((it) => (it.id === duplicateId ? merged.duplicate : it.id === originalId ? merged.original : it)));
+      notify({ kind: "merge", item: merged.original, actor: user });
+      return { duplicate: redactFor(merged.duplicate, user), original: redactFor(merged.original, user) };
+    },
+
+    // --- Moderation ---
+
+    async flagContent(issueId, flag) {
+      const user = authorize("content:flag");
+      return redactFor(updateVisible(issueId, user, (it) => addFlag(it, user, flag), flag.commentId), user);
+    },
+
+    async moderateContent(issueId, change) {
+      const user = authorize("content:moderate");
+      let released = null;
+      const updated = updateOne(issueId, (it) => {
+        const next = moderate(it, user, change);
+        released = releasedEvent(it, next, change.commentId);
+        return next;
+      });
+      if (released) notify(released);
+      return redactFor(updated, user);
+    },
+
+    async deleteIssue(issueId) {
+      authorize("issue:delete");
+      writeIssues(readIssues().filter((it) => it.id !== issueId));
+    },
+
+    // --- Live updates ---
+
+    // Other tabs of this browser share localStorage, and the browser tells
+    // every tab except the writer about each change with a `storage` event.
+    // The session is shared too, so a login in one tab is an account change
+    // in the others. A null key means the storage was cleared. Deadlines are
+    // checked and scheduled broadcasts published for as long as someone is
+    // subscribed.
+    subscribe(onEvent) {
+      const onStorage = (e) => {
+        if (e.key === STORAGE_KEY) issueEvents(e.oldValue, e.newValue).forEach(onEvent);
+        else if (e.key === CONSTITUENCIES_KEY) onEvent({ kind: "constituencies", constituencies: readConstituencies() });
+        else if (e.key === CATEGORIES_KEY) onEvent({ kind: "categories", categories: readCategories() });
+        else if (e.key === NOTIFICATIONS_KEY || e.key === SUBSCRIPTIONS_KEY) onEvent({ kind: "notifications" });
+        else if (e.key === SESSION_KEY || e.key === USERS_KEY) onEvent({ kind: "account" });
+        else if (e.key === null) onEvent({ kind: "resync" });
+      };
+      window.addEventListener("storage", onStorage);
+      const stopChecks = schedule((now) => checkDeadlines(now, onEvent), { everyMs: SLA_CHECK_MS });
+      const stopPublishing = schedule((now) => publishScheduled(now, onEvent), { everyMs: PUBLISH_CHECK_MS });
+      return () => {
+        window.removeEventListener("storage", onStorage);
+        stopChecks();
+        stopPublishing();
+      };
+    },
+
+    // --- Offline outbox ---
+
+    // Everything is saved in this browser, so nothing ever waits for a
+    // connection (see ./offlineAdapter.js for the shared server).
+    async listOutbox() {
+      return [];
+    },
+
+    async retryOutbox() {},
+
+    async discardOutbox() {},
+
+    // --- Notifications ---
+
+    async listNotifications() {
+      const user = authorize("notification:read");
+      return readJson(NOTIFICATIONS_KEY, []).filter((n) => n.userId === user.id);
+    },
+
+    async markNotificationsRead(ids) {
+      const user = authorize("notification:read");
+      const stored = markRead(readJson(NOTIFICATIONS_KEY, []), user.id, ids);
+      localStorage.setItem(NOTIFICATIONS_KEY, JSON.stringify(stored));
+      return stored.filter((n) => n.userId === user.id);
+    },
+
+    async getSubscription() {
+      const user = authorize("notification:read");
+      return subscriptionFor(readJson(SUBSCRIPTIONS_KEY, []), user.id);
+    },
+
+    async setFollow(target, following) {
+      const user = authorize("notification:read");
+      if (target.issueId && !readIssues().some((it) => it.id === target.issueId)) {
+        throw new Error(`Report ${target.issueId} no longer exists.`);
+      }
+      return follow(user.id, target, following);
+    },
+
+    // There is no mail server in local mode; the address is kept so it carries
+    // over if the data is later moved to the shared server.
+    async setNotificationEmail(email) {
+      const user = authorize("notification:read");
+      const subscriptions = setEmail(readJson(SUBSCRIPTIONS_KEY, []), user.id, email);
+      localStorage.setItem(SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions));
+      return subscriptionFor(subscriptions, user.id);
+    },
+  };
+}
@@ -0,0 +1,253 @@
+import { applyTransition } from "../domain/lifecycle.js";
+import { NetworkError } from "./restAdapter.js";
+import { clearStore, deleteOne, getAll, getOne, putOne, replaceAll } from "./idb.js";
+
+// Offline support around the REST adapter, for reporting from the street with
+// a poor connection. Reads fall back to the last copy cached in IndexedDB when
+// the server cannot be reached. New reports, broadcasts, comments and status
+// changes made offline go to an outbox and show up at once in the cached
+// copy; they are sent in order when the browser is back online. Entries the
+// server then rejects stay in the outbox as "failed" until the user retries
+// or discards them. Everything else (moderation, uploads, Admin work) needs a
+// connection and reports the NetworkError as usual.
+//
+// Outbox entries: { seq, userId, method, args, itemId, status, error, at },
+// where status is "pending" or "failed". Entries are only sent while the
+// account that made them is logged in, so nothing goes out under another name.
+
+async function cachedIssue(issueId) {
+  const issue = await getOne("issues", issueId);
+  if (!issue) throw new Error(`Report ${issueId} is not available offline.`);
+  return issue;
+}
+
+function authored(item, user) {
+  return { ...item, reporterId: user.id, reporterName: user.displayName, reporterRole: user.role };
+}
+
+// The calls that may be queued. Each builds, from the cached copy, what the
+// server would return, which is shown until the server has the change.
+const QUEUED = {
+  createIssue: async (user, issue) => authored(issue, user),
+  createBroadcast: async (user, update) => authored(update, user),
+  addComment: async (user, issueId, comment) => {
+    const issue = await cachedIssue(issueId);
+    const saved = { ...comment, authorId: user.id, authorName: user.displayName, role: user.role };
+    return { ...issue, comments: [...issue.comments, saved] };
+  },
+  transitionIssue: async (user, issueId, change) => applyTransition(await cachedIssue(issueId), user, change),
+};
+
+// The calls whose payload, the last argument, carries when it was made
+const DATED = new Set(["createIssue", "createBroadcast", "addComment"]);
+
+function replayArgs({ method, args }) {
+  return DATED.has(method) ? [...args.slice(0, -1), { ...args.at(-1), queued: true }] : args;
+}
+
+function newestFirst(items) {
+  return [...items].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Cache writes are best effort: without IndexedDB (some private windows)
+// the app still works online, it just has nothing to show offline.
+function quietly(promise) {
+  return promise.catch(() => undefined);
+}
+
+export function createOfflineAdapter(inner) {
+  const listeners = new Set();
+  let flushing = null;
+
+  const emit = (event) => listeners.forEach((listener) => listener(event));
+  const cachedUser = () => quietly(getOne("meta", "user")).then((user) => user || null);
+
+  async function userEntries() {
+    const user = await cachedUser();
+    const entries = await quietly(getAll("outbox"));
+    return (entries || []).filter((e) => user && e.userId === user.id);
+  }
+
+  async function emitOutbox() {
+    emit({ kind: "outbox", entries: await userEntries() });
+  }
+
+  // Tries the server first, and serves the cached copy under `key` when it
+  // cannot be reached.
+  async function cachedRead(key, read) {
+    try {
+      const result = await read();
+      quietly(putOne("meta", result, key));
+      return result;
+    } catch (err) {
+      if (!(err instanceof NetworkError)) throw err;
+      const cached = await quietly(getOne("meta", key));
+      if (cached === undefined) throw err;
+      return cached;
+    }
+  }
+
+  async function enqueue(method, args) {
+    const user = await cachedUser();
+    if (!user) throw new Error("Please log in to continue.");
+    const item = await QUEUED[method](user, ...args);
+    await putOne("issues", item);
+    await putOne("outbox", { userId: user.id, method, args, itemId: item.id, status: "pending", error: null, at: new Date().toISOString() });
+    emitOutbox();
+    return item;
+  }
+
+  function queued(method) {
+    return async (...args) => {
+      if (navigator.onLine) {
+        try {
+          return await inner[method](...args);
+        } catch (err) {
+          if (!(err instanceof NetworkError)) throw err;
+        }
+      }
+      return enqueue(method, args);
+    };
+  }
+
+  // Sends pending entries in the order they were made, marked `queued` so the
+  // server keeps the dates they were made at (see clientTimestamp in
+  // domain/sync). A NetworkError means we are still offline, so the rest wait
+  // for the next attempt. Each entry carries the id the app gave it (the
+  // report's, broadcast's, comment's or status change's), so when the server
+  // saved an earlier attempt whose answer was lost, it recognises the id and
+  // returns the saved record unchanged.
+  async function replay() {
+    for (const entry of await userEntries()) {
+      if (entry.status !== "pending") continue;
+      try {
+        const result = await inner[entry.method](...replayArgs(entry));
+        await deleteOne("outbox", entry.seq);
+        await quietly(putOne("issues", result));
+        emit({ kind: "issue", issue: result });
+      } catch (err) {
+        if (err instanceof NetworkError) break;
+        await putOne("outbox", { ...entry, status: "failed", error: err.message });
+      }
+      await emitOutbox();
+    }
+  }
+
+  function flush() {
+    if (!flushing) flushing = replay().catch(() => undefined).finally(() => { flushing = null; });
+    return flushing;
+  }
+
+  window.addEventListener("online", () => { flush(); });
+
+  return {
+    ...inner,
+    name: `${inner.name}+offline`,
+
+    async currentUser() {
+      return cachedRead("user", () => inner.currentUser());
+    },
+
+    async login(username, password) {
+      const user = await inner.login(username, password);
+      await quietly(putOne("meta", user, "user"));
+      flush();
+      return user;
+    },
+
+    async register(account) {
+      const user = await inner.register(account);
+      await quietly(putOne("meta", user, "user"));
+      return user;
+    },
+
+    // The cache may hold what only this account could see; the outbox is kept
+    // for when it logs in again.
+    async logout() {
+      await inner.logout();
+      await quietly(clearStore("meta"));
+      await quietly(clearStore("issues"));
+    },
+
+    listConstituencies() {
+      return cachedRead("constituencies", () => inner.listConstituencies());
+    },
+
+    listCategories() {
+      return cachedRead("categories", () => inner.listCategories());
+    },
+
+    // Queued changes are sent first so the fresh list already includes them.
+    async listIssues() {
+      if (navigator.onLine) await flush();
+      try {
+        const issues = await inner.listIssues();
+        quietly(replaceAll("issues", issues));
+        return issues;
+      } catch (err) {
+        if (!(err instanceof NetworkError)) throw err;
+        const cached = await quietly(getAll("issues"));
+        if (!cached) throw err;
+        return newestFirst(cached);
+      }
+    },
+
+    createIssue: queued("createIssue"),
+    createBroadcast: queued("createBroadcast"),
+    addComment: queued("addComment"),
+    transitionIssue: queued("transitionIssue"),
+
+    listNotifications() {
+      return cachedRead("notifications", () => inner.listNotifications());
+    },
+
+    getSubscription() {
+      return cachedRead("subscription", () => inner.getSubscription());
+    },
+
+    // --- Offline outbox ---
+
+    listOutbox() {
+      return userEntries();
+    },
+
+    async retryOutbox(seq) {
+      const entry = await getOne("outbox", seq);
+      if (!entry) return;
+      await putOne("outbox", { ...entry, status: "pending", error: null });
+      await emitOutbox();
+      await flush();
+    },
+
+    // A discarded report or broadcast disappears; for other changes the
+    // server's copy is reloaded to undo what was shown locally.
+    async discardOutbox(seq) {
+      const entry = await getOne("outbox", seq);
+      if (!entry) return;
+      await deleteOne("outbox", seq);
+      await emitOutbox();
+      if (entry.method === "createIssue" || entry.method === "createBroadcast") {
+        await quietly(deleteOne("issues", entry.itemId));
+        emit({ kind: "issueRemoved", id: entry.itemId });
+      } else {
+        emit({ kind: "resync" });
+      }
+    },
+
+    subscribe(onEvent) {
+      // Live changes also refresh the offline copy
+      const onChange = (event) => {
+        if (event.kind === "issue") quietly(putOne("issues", event.issue));
+        if (event.kind === "issueRemoved") quietly(deleteOne("issues", event.id));
+        onEvent(event);
+      };
+      listeners.add(onEvent);
+      const unsubscribe = inner.subscribe(onChange);
+      if (navigator.onLine) flush();
+      return () => {
+        listeners.delete(onEvent);
+        unsubscribe();
+      };
+    },
+  };
+}
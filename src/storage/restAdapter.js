@@ -0,0 +1,283 @@
+// HTTP adapter for the bundled Node server (see server/index.js).
+// Lets several browsers on a LAN share one set of issues.
+
+const TOKEN_KEY = "fedf_session_v1";
+
+// The server could not be reached at all (offline, or the server is down), as
+// opposed to it rejecting the request. See ./offlineAdapter.js.
+export class NetworkError extends Error {}
+
+export function createRestAdapter(baseUrl = "/api") {
+  async function send(path, { method = "GET", body } = {}) {
+    const token = localStorage.getItem(TOKEN_KEY);
+    const headers = {};
+    if (body) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    try {
+      return await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch {
+      throw new NetworkError("Cannot reach the server. Check your connection and try again.");
+    }
+  }
+
+  async function request(path, options) {
+    const res = await send(path, options);
+    if (res.status === 204) return null;
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      throw new Error((data && data.error) || `Request failed with status ${res.status}`);
+    }
+    return data;
+  }
+
+  function startSession({ token, user }) {
+    localStorage.setItem(TOKEN_KEY, token);
+    return user;
+  }
+
+  return {
+    name: "rest",
+
+    // --- Accounts ---
+
+    async currentUser() {
+      const { user } = await request("/auth/me");
+      if (!user) localStorage.removeItem(TOKEN_KEY);
+      return user;
+    },
+
+    async login(username, password) {
+      return startSession(await request("/auth/login", { method: "POST", body: { username, password } }));
+    },
+
+    async register(account) {
+      return startSession(await request("/auth/register", { method: "POST", body: account }));
+    },
+
+    async logout() {
+      await request("/auth/logout", { method: "POST" }).catch(() => null);
+      localStorage.removeItem(TOKEN_KEY);
+    },
+
+    listUsers() {
+      return request("/users");
+    },
+
+    setUserRole(userId, role) {
+      return request(`/users/${encodeURIComponent(userId)}`, { method: "PATCH", body: { role } });
+    },
+
+    setUserConstituencies(userId, ids) {
+      return request(`/users/${encodeURIComponent(userId)}`, { method: "PATCH", body: { constituencies: ids } });
+    },
+
+    async setHomeConstituency(constituencyId) {
+      const { user } = await request("/auth/me", { method: "PATCH", body: { homeConstituency: constituencyId } });
+      return user;
+    },
+
+    // --- Constituencies ---
+
+    listConstituencies() {
+      return request("/constituencies");
+    },
+
+    createConstituency(fields) {
+      return request("/constituencies", { method: "POST", body: fields });
+    },
+
+    updateConstituency(constituencyId, fields) {
+      return request(`/constituencies/${encodeURIComponent(constituencyId)}`, { method: "PATCH", body: fields });
+    },
+
+    deleteConstituency(constituencyId) {
+      return request(`/constituencies/${encodeURIComponent(constituencyId)}`, { method: "DELETE" });
+    },
+
+    // --- Categories ---
+
+    listCategories() {
+      return request("/categories");
+    },
+
+    createCategory(fields) {
+      return request("/categories", { method: "POST", body: fields });
+    },
+
+    updateCategory(categoryId, fields) {
+      return request(`/categories/${encodeURIComponent(categoryId)}`, { method: "PATCH", body: fields });
+    },
+
+    deleteCategory(categoryId) {
+      return request(`/categories/${encodeURIComponent(categoryId)}`, { method: "DELETE" });
+    },
+
+    listOfficials() {
+      return request("/officials");
+    },
+
+    // --- Attachments ---
+
+    uploadAttachment(file) {
+      return request("/attachments", { method: "POST", body: file });
+    },
+
+    // Files need the session like any other request, which images and links
+    // cannot send, so they are fetched here and handed out as object URLs.
+    async attachmentUrl(url) {
+      const res = await send(url.replace(/^\/api/, ""));
+      if (!res.ok) throw new Error(`Request failed with status ${res.status}`);
+      return URL.createObjectURL(await res.blob());
+    },
+
+    // --- Issues ---
+
+    listIssues() {
+      return request("/issues");
+    },
+
+    createIssue(issue) {
+      return request("/issues", { method: "POST", body: issue });
+    },
+
+    createBroadcast(update) {
+      return request("/broadcasts", { method: "POST", body: update });
+    },
+
+    updateBroadcast(broadcastId, patch) {
+      return request(`/broadcasts/${encodeURIComponent(broadcastId)}`, { method: "PATCH", body: patch });
+    },
+
+    retractBroadcast(broadcastId, reason) {
+      return request(`/broadcasts/${encodeURIComponent(broadcastId)}/retract`, { method: "POST", body: { reason } });
+    },
+
+    discardBroadcast(broadcastId) {
+      return request(`/broadcasts/${encodeURIComponent(broadcastId)}`, { method: "DELETE" });
+    },
+
+    createPoll(poll) {
+      return request("/polls", { method: "POST", body: poll });
+    },
+
+    respondToPoll(pollId, answers) {
+      return request(`/polls/${encodeURIComponent(pollId)}/responses`, { method: "POST", body: { answers } });
+    },
+
+    closePoll(pollId) {
+      return request(`/polls/${encodeURIComponent(pollId)}/close`, { method: "POST" });
+    },
+
+    addComment(issueId, comment) {
+      return request(`/issues/${encodeURIComponent(issueId)}/comments`, { method: "POST", body: comment });
+    },
+
+    updateIssue(issueId, patch) {
+      return request(`/issues/${encodeURIComponent(issueId)}`, { method: "PATCH", body: patch });
+    },
+
+    assignIssue(issueId, owner, reason) {
+      return request(`/issues/${encodeURIComponent(issueId)}/assignee`, { method: "POST", body: { owner, reason } });
+    },
+
+    updateComment(issueId, commentId, edit) {
+      return request(`/issues/${encodeURIComponent(issueId)}/comments/${encodeURIComponent(commentId)}`, { method: "PATCH", body: edit });
+    },
+
+    deleteComment(issueId, commentId) {
+      return request(`/issues/${encodeURIComponent(issueId)}/comments/${encodeURIComponent(commentId)}`, { method: "DELETE" });
+    },
+
+    reactToComment(issueId, commentId, emoji, reacted) {
+      return request(`/issues/${encodeURIComponent(issueId)}/comments/${encodeURIComponent(commentId)}/reactions`, {
+        method: "POST",
+        body: { emoji, reacted },
+      });
+    },
+
+    setOfficialResponse(issueId, commentId) {
+      return request(`/issues/${encodeURIComponent(issueId)}/official`, { method: "POST", body: { commentId } });
+    },
+
+    transitionIssue(issueId, change) {
+      return request(`/issues/${encodeURIComponent(issueId)}/transitions`, { method: "POST", body: change });
+    },
+
+    giveFeedback(issueId, feedback) {
+      return request(`/issues/${encodeURIComponent(issueId)}/feedback`, { method: "POST", body: feedback });
+    },
+
+    supportIssue(issueId, supported) {
+      return request(`/issues/${encodeURIComponent(issueId)}/support`, { method: supported ? "POST" : "DELETE" });
+    },
+
+    mergeIssue(duplicateId, originalId, note) {
+      return request(`/issues/${encodeURIComponent(duplicateId)}/merge`, { method: "POST", body: { into: originalId, note } });
+    },
+
+    flagContent(issueId, flag) {
+      return request(`/issues/${encodeURIComponent(issueId)}/flags`, { method: "POST", body: flag });
+    },
+
+    moderateContent(issueId, change) {
+      return request(`/issues/${encodeURIComponent(issueId)}/moderation`, { method: "POST", body: change });
+    },
+
+    deleteIssue(issueId) {
+      return request(`/issues/${encodeURIComponent(issueId)}`, { method: "DELETE" });
+    },
+
+    // --- Live updates ---
+
+    // Changes pushed by the server (see server/events.js), plus logins and
+    // logouts in other tabs, which share the token in localStorage. After a
+    // dropped connection EventSource reconnects by itself; anything missed in
+    // between is recovered with a "resync".
+    subscribe(onEvent) {
+      const token = localStorage.getItem(TOKEN_KEY);
+      const source = new EventSource(`${baseUrl}/events${token ? `?token=${encodeURIComponent(token)}` : ""}`);
+      let dropped = false;
+      source.onmessage = (e) => onEvent(JSON.parse(e.data));
+      source.onerror = () => { dropped = true; };
+      source.onopen = () => {
+        if (dropped) onEvent({ kind: "resync" });
+        dropped = false;
+      };
+      const onStorage = (e) => {
+        if (e.key === TOKEN_KEY || e.key === null) onEvent({ kind: "account" });
+      };
+      window.addEventListener("storage", onStorage);
+      return () => {
+        source.close();
+        window.removeEventListener("storage", onStorage);
+      };
+    },
+
+    // --- Notifications ---
+
+    listNotifications() {
+      return request("/notifications");
+    },
+
+    markNotificationsRead(ids) {
+      return request("/notifications/read", { method: "POST", body: { ids } });
+    },
+
+    getSubscription() {
+      return request("/subscription");
+    },
+
+    setFollow(target, following) {
+      return request("/subscription", { method: "PATCH", body: { ...target, follow: following } });
+    },
+
+    setNotificationEmail(email) {
+      return request("/subscription", { method: "PATCH", body: { email } });
+    },
+  };
+}
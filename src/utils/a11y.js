@@ -0,0 +1,67 @@
+// Keyboard and focus helpers: focus trapping for dialogs, arrow-key movement
+// through lists, and the saved high-contrast preference.
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+export function focusableWithin(container) {
+  return [...container.querySelectorAll(FOCUSABLE)];
+}
+
+// Keeps Tab and Shift+Tab cycling inside `container`; call from its keydown
+// handler while it is a modal dialog.
+export function trapFocus(e, container) {
+  if (e.key !== "Tab") return;
+  const items = focusableWithin(container);
+  if (items.length === 0) {
+    e.preventDefault();
+    return;
+  }
+  const first = items[0];
+  const last = items[items.length - 1];
+  if (e.shiftKey && (document.activeElement === first || document.activeElement === container)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+// Up/Down move focus to the previous/next element matching `selector` within
+// `container`, Home/End to the first/last. Other keys are left alone.
+export function moveFocusInList(e, container, selector) {
+  const items = [...container.querySelectorAll(selector)];
+  const index = items.indexOf(document.activeElement);
+  if (index === -1) return;
+  const next = {
+    ArrowDown: Math.min(items.length - 1, index + 1),
+    ArrowUp: Math.max(0, index - 1),
+    Home: 0,
+    End: items.length - 1,
+  }[e.key];
+  if (next === undefined) return;
+  e.preventDefault();
+  items[next].focus();
+}
+
+// --- High contrast ---
+
+const CONTRAST_KEY = "fedf_contrast";
+
+// The saved choice, or the system setting when the user has not chosen
+export function prefersHighContrast() {
+  const saved = localStorage.getItem(CONTRAST_KEY);
+  if (saved !== null) return saved === "high";
+  return Boolean(window.matchMedia) && window.matchMedia("(prefers-contrast: more)").matches;
+}
+
+export function saveContrastPreference(high) {
+  localStorage.setItem(CONTRAST_KEY, high ? "high" : "normal");
+}
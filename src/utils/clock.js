@@ -0,0 +1,68 @@
+// Time source and timers behind scheduled work (the SLA deadline checks).
+// Code takes a clock instead of calling Date.now() and setTimeout directly,
+// so a fake clock can drive it: advancing the fake clock runs every timer
+// that falls due, in order, without waiting for real time to pass.
+//
+// A clock is { now() -> ms since the epoch, setTimeout(fn, ms) -> handle,
+// clearTimeout(handle) }.
+
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+// A clock that only moves when told to. `advance(ms)` moves it forward and
+// runs the timers due on the way; timers they set are honoured too.
+export function createFakeClock(start = Date.parse("2025-01-01T00:00:00Z")) {
+  let current = start;
+  let nextHandle = 1;
+  const timers = new Map();
+
+  return {
+    now: () => current,
+    setTimeout(fn, ms) {
+      const handle = nextHandle++;
+      timers.set(handle, { fn, at: current + Math.max(0, ms) });
+      return handle;
+    },
+    clearTimeout(handle) {
+      timers.delete(handle);
+    },
+    advance(ms) {
+      const target = current + ms;
+      for (;;) {
+        const due = [...timers.entries()]
+          .filter(([, t]) => t.at <= target)
+          .sort((a, b) => a[1].at - b[1].at || a[0] - b[0])[0];
+        if (!due) break;
+        const [handle, timer] = due;
+        timers.delete(handle);
+        current = timer.at;
+        timer.fn();
+      }
+      current = target;
+    },
+  };
+}
+
+// Runs `task(now)` at once and then every `everyMs` on `clock` until the
+// returned stop function is called. A task that throws is reported to
+// `onError` and the schedule carries on.
+export function schedule(task, { everyMs, clock = systemClock, onError = (err) => console.error(err) }) {
+  let handle = null;
+  let stopped = false;
+  const tick = () => {
+    try {
+      task(clock.now());
+    } catch (err) {
+      onError(err);
+    }
+    if (!stopped) handle = clock.setTimeout(tick, everyMs);
+  };
+  tick();
+  return () => {
+    stopped = true;
+    clock.clearTimeout(handle);
+  };
+}
@@ -0,0 +1,16 @@
+// Saves the file at `url` (an object or data URL) as `fileName`.
+export function downloadUrl(fileName, url) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+// Saves generated text as a file through a temporary object URL.
+export function downloadText(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  downloadUrl(fileName, url);
+  URL.revokeObjectURL(url);
+}
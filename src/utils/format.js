@@ -0,0 +1,37 @@
+import { getLanguage, tn } from "../i18n/index.js";
+
+// Display helpers. Timestamps are stored as ISO-8601 strings and only turned
+// into locale text, in the interface language, at render time.
+
+export function formatDateTime(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? String(iso) : date.toLocaleString(getLanguage());
+}
+
+// Month and day only, for chart axes
+export function formatShortDate(iso) {
+  return new Date(iso).toLocaleDateString(getLanguage(), { month: "short", day: "numeric" });
+}
+
+// Compact human duration for metrics, e.g. "45 min", "6.5 h", "3.2 days".
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "—";
+  const minutes = ms / 60000;
+  if (minutes < 60) return tn("duration.minutes", Math.max(1, Math.round(minutes)));
+  const hours = minutes / 60;
+  if (hours < 48) return tn("duration.hours", Number(hours.toFixed(1)));
+  return tn("duration.days", Number((hours / 24).toFixed(1)));
+}
+
+// An ISO timestamp as the local "YYYY-MM-DDTHH:mm" a datetime-local input
+// shows, and back; empty input means no time.
+export function toLocalInput(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+export function fromLocalInput(value) {
+  return value ? new Date(value).toISOString() : null;
+}
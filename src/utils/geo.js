@@ -0,0 +1,75 @@
+// Web Mercator helpers for the built-in tile map, plus the geometry used to
+// filter reports by a drawn area or a ward polygon.
+
+export const TILE_SIZE = 256;
+const MAX_LAT = 85.05112878;
+
+// Lat/lng to global pixel coordinates at `zoom` (the slippy-map tile scheme).
+export function project({ lat, lng }, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const clamped = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+}
+
+export function unproject({ x, y }, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * y) / scale;
+  return {
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    lng: (x / scale) * 360 - 180,
+  };
+}
+
+export function isValidLocation(loc) {
+  return Boolean(loc) && Number.isFinite(loc.lat) && Number.isFinite(loc.lng)
+    && Math.abs(loc.lat) <= 90 && Math.abs(loc.lng) <= 180;
+}
+
+// Bounds are { south, west, north, east }; stored in URLs as "s,w,n,e".
+export function boundsFromPoints(a, b) {
+  return {
+    south: Math.min(a.lat, b.lat),
+    west: Math.min(a.lng, b.lng),
+    north: Math.max(a.lat, b.lat),
+    east: Math.max(a.lng, b.lng),
+  };
+}
+
+export function inBounds(loc, bounds) {
+  return loc.lat >= bounds.south && loc.lat <= bounds.north && loc.lng >= bounds.west && loc.lng <= bounds.east;
+}
+
+export function formatBounds(bounds) {
+  return [bounds.south, bounds.west, bounds.north, bounds.east].map((n) => n.toFixed(5)).join(",");
+}
+
+export function parseBounds(text) {
+  // Number("") is 0, so an empty part would otherwise read as the equator
+  const parts = String(text || "").split(",").map((part) => (part.trim() ? Number(part) : NaN));
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) return null;
+  const [south, west, north, east] = parts;
+  return { south, west, north, east };
+}
+
+// Ray casting over a GeoJSON ring ([[lng, lat], ...]).
+function inRing(loc, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > loc.lat) !== (yj > loc.lat) && loc.lng < ((xj - xi) * (loc.lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Point-in-polygon for GeoJSON Polygon and MultiPolygon geometries; holes count as outside.
+export function inGeometry(loc, geometry) {
+  const polygons = geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(([outer, ...holes]) => inRing(loc, outer) && !holes.some((hole) => inRing(loc, hole)));
+}
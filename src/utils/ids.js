@@ -0,0 +1,7 @@
+// Ids for new records made in the browser. Two tabs or devices can create
+// one in the same millisecond, so a random part follows the time. Not
+// crypto.randomUUID(), which browsers only offer on https pages.
+export function newId() {
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(6)), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${Date.now()}-${random}`;
+}
@@ -0,0 +1,76 @@
+import { ATTACHMENT_LIMITS, attachmentProblem, isImageType } from "../domain/attachments.js";
+
+// Browser-side preparation of files before upload: images are scaled down
+// (and re-encoded) on a canvas and get a small thumbnail; other files are
+// read as-is. The result is { name, type, size, data, thumbnail } with data
+// URLs, ready for a storage adapter's uploadAttachment().
+
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`"${file.name}" could not be read as an image.`));
+    };
+    img.src = url;
+  });
+}
+
+function renderScaled(img, maxDimension, type, quality) {
+  const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  const ctx = canvas.getContext("2d");
+  if (type === "image/jpeg") {
+    // JPEG has no transparency; paint a white background instead of black
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL(type, quality);
+}
+
+export function dataUrlBytes(dataUrl) {
+  const base64 = dataUrl.slice(dataUrl.indexOf(",") + 1);
+  return Math.floor((base64.length * 3) / 4) - (base64.endsWith("==") ? 2 : base64.endsWith("=") ? 1 : 0);
+}
+
+export async function prepareAttachment(file) {
+  // Type is checked first; the size limit applies after resizing
+  const typeProblem = attachmentProblem({ name: file.name, type: file.type, size: 0 });
+  if (typeProblem) throw new Error(typeProblem);
+
+  if (!isImageType(file.type)) {
+    const problem = attachmentProblem(file);
+    if (problem) throw new Error(problem);
+    return { name: file.name, type: file.type, size: file.size, data: await readAsDataUrl(file), thumbnail: null };
+  }
+
+  // PNG keeps transparency; everything else (including GIF, which loses its
+  // animation) is re-encoded as JPEG, which is far smaller for photos
+  const img = await loadImage(file);
+  const type = file.type === "image/png" ? "image/png" : "image/jpeg";
+  const data = renderScaled(img, ATTACHMENT_LIMITS.maxImageDimension, type, 0.85);
+  const thumbnail = renderScaled(img, ATTACHMENT_LIMITS.thumbnailDimension, "image/jpeg", 0.7);
+  const name = type === file.type ? file.name : file.name.replace(/\.[^.]*$/, "") + ".jpg";
+  const size = dataUrlBytes(data);
+
+  const problem = attachmentProblem({ name, type, size });
+  if (problem) throw new Error(problem);
+  return { name, type, size, data, thumbnail };
+}
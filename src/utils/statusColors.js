@@ -0,0 +1,55 @@
+// Badge colors per workflow status, shared by StatusBadge and the map markers.
+// Values are [background, foreground].
+
+export const STATUS_COLORS = {
+  'Open': ['#fee2e2', '#b91c1c'], // red
+  'Reopened': ['#ffedd5', '#c2410c'], // orange
+  'Acknowledged': ['#ede9fe', '#6d28d9'], // violet
+  'In Progress': ['#fef9c3', '#a16207'], // yellow
+  'Resolved': ['#dcfce7', '#15803d'], // green
+  'Closed': ['#d1fae5', '#047857'], // emerald
+  'Broadcast': ['#eff6ff', '#2563eb'], // blue
+  'Scheduled': ['#e0f2fe', '#0369a1'], // sky
+  'Poll': ['#fce7f3', '#be185d'], // pink
+  'Upcoming': ['#e0f2fe', '#0369a1'], // sky
+};
+
+// A symbol per status, shown next to the color so that status never relies
+// on color alone (WCAG 1.4.1)
+export const STATUS_SYMBOLS = {
+  'Open': '●',
+  'Reopened': '↻',
+  'Acknowledged': '◔',
+  'In Progress': '◑',
+  'Resolved': '✓',
+  'Closed': '■',
+  'Rejected': '✕',
+  'Duplicate': '⧉',
+  'Broadcast': '📣',
+  'Draft': '✎',
+  'Scheduled': '⏱',
+  'Retracted': '⊘',
+  'Poll': '🗳',
+  'Upcoming': '⏱',
+  'Poll Closed': '■',
+};
+
+// Rejected, Duplicate, drafts, retracted broadcasts, closed polls and
+// anything unknown fall back to neutral gray
+export function statusColors(status) {
+  return STATUS_COLORS[status] || ['#e5e7eb', '#4b5563'];
+}
+
+// Broadcasts have no workflow status; they are badged by their type, or by
+// their publication state until published and once retracted. Polls are
+// badged by their response window at `now` (ISO).
+const BROADCAST_LABELS = { draft: 'Draft', scheduled: 'Scheduled', retracted: 'Retracted' };
+
+export function statusLabel(item, now = new Date().toISOString()) {
+  if (item.type === 'poll') return now < item.opensAt ? 'Upcoming' : now < item.closesAt ? 'Poll' : 'Poll Closed';
+  return item.type === 'broadcast' ? BROADCAST_LABELS[item.state] || 'Broadcast' : item.status;
+}
+
+export function statusSymbol(status) {
+  return STATUS_SYMBOLS[status] || '•';
+}
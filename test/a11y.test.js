@@ -0,0 +1,149 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { JSDOM } from "jsdom";
+import { createServer } from "vite";
+
+// Renders the app in a simulated browser and runs axe over the main screens:
+// the report list with the report form, a report's details and a dialog for a
+// citizen, the dashboard and analytics for a politician, and the management
+// screens for an Admin.
+// axe cannot measure colour contrast without a layout engine, so contrast is
+// left to manual checks (see README "Accessibility").
+
+// The app's own page, without the script tag: the test mounts the app itself
+const html = readFileSync(new URL("../index.html", import.meta.url), "utf8").replace(/<script[^>]*><\/script>/, "");
+const dom = new JSDOM(html, {
+  url: "http://localhost/",
+  pretendToBeVisual: true,
+});
+const { window } = dom;
+
+// The globals the app and React DOM expect from a browser
+for (const key of ["window", "document", "navigator", "localStorage", "sessionStorage", "location", "history", "getComputedStyle", "requestAnimationFrame", "cancelAnimationFrame"]) {
+  Object.defineProperty(globalThis, key, { value: key === "window" ? window : window[key], configurable: true, writable: true });
+}
+for (const key of Object.getOwnPropertyNames(window)) {
+  if (/^(HTML|SVG)\w*Element$|^(Node|Element|Event|KeyboardEvent|MouseEvent|FocusEvent|InputEvent|DocumentFragment|Text|MutationObserver)$/.test(key) && !(key in globalThis)) {
+    globalThis[key] = window[key];
+  }
+}
+// jsdom has no layout, so nothing is ever resized
+window.ResizeObserver = globalThis.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+let vite;
+let act;
+let axe;
+let root;
+let store;
+let mount;
+
+before(async () => {
+  vite = await createServer({ logLevel: "error", server: { middlewareMode: true, hmr: false }, appType: "custom", optimizeDeps: { noDiscovery: true, include: [] } });
+  ({ act } = await import("react"));
+  axe = (await import("axe-core")).default;
+
+  // One citizen's report, seen by another who may flag it, and a second one
+  // a politician resolved and its reporter rated. The first account is the Admin.
+  const { createLocalAdapter } = await vite.ssrLoadModule("/src/storage/localAdapter.js");
+  store = createLocalAdapter();
+  const register = (username, displayName) => store.register({ username, displayName, password: "secret123" });
+  await register("admin", "Asha Admin");
+  await store.logout();
+  const politician = await register("politician", "Priya Politician");
+  await store.login("admin", "secret123");
+  await store.setUserRole(politician.id, "Politician");
+  await store.logout();
+  await register("reporter", "Ravi Reporter");
+  await store.createIssue({ title: "Broken streetlight", description: "The light on Main Street has been out for a week.", category: "Electricity", location: { address: "Main Street" } });
+  await store.createIssue({ id: "bin", title: "Overflowing bin", description: "The bin by the bus stop has not been emptied.", category: "Sanitation" });
+  await store.login("politician", "secret123");
+  await store.transitionIssue("bin", { to: "In Progress" });
+  await store.transitionIssue("bin", { to: "Resolved", note: "Emptied and collection day fixed" });
+  await store.login("reporter", "secret123");
+  await store.giveFeedback("bin", { rating: 4, verdict: "confirmed" });
+  await store.logout();
+  await register("neighbour", "Nia Neighbour");
+
+  const [{ createRoot }, { default: App }] = await Promise.all([
+    import("react-dom/client"),
+    vite.ssrLoadModule("/src/App.jsx"),
+  ]);
+  const { createElement } = await import("react");
+  mount = async () => {
+    root = createRoot(document.getElementById("root"));
+    await act(async () => root.render(createElement(App)));
+    await settle();
+  };
+  await mount();
+});
+
+after(async () => {
+  if (root) await act(async () => root.unmount());
+  await vite.close();
+  window.close();
+});
+
+// Lets the store's promises resolve and React apply what they set
+async function settle() {
+  for (let i = 0; i < 5; i++) await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+}
+
+async function click(element) {
+  await act(async () => element.click());
+  await settle();
+}
+
+// Starts the app afresh as another account
+async function signInAs(username) {
+  await act(async () => root.unmount());
+  await store.login(username, "secret123");
+  await mount();
+}
+
+function byText(selector, text) {
+  const found = [...document.querySelectorAll(selector)].find((el) => el.textContent.includes(text));
+  assert.ok(found, `no ${selector} with "${text}"`);
+  return found;
+}
+
+// The axe violations within `context`, one line each, so a failure names them
+async function violations(context = document) {
+  const results = await axe.run(context, { rules: { "color-contrast": { enabled: false } } });
+  return results.violations.map((v) => `${v.id}: ${v.help} (${v.nodes.map((n) => n.target.join(" ")).join(", ")})`);
+}
+
+test("the report list and report form have no axe violations", async () => {
+  byText("button.row-link", "Broken streetlight");
+  assert.ok(document.querySelector("form textarea, form input"), "the report form is shown");
+  assert.deepEqual(await violations(), []);
+});
+
+test("a report's details have no axe violations", async () => {
+  await click(byText("button.row-link", "Broken streetlight"));
+  assert.ok(byText("h2, h3", "Broken streetlight"));
+  assert.deepEqual(await violations(), []);
+});
+
+test("a dialog has no axe violations and takes focus", async () => {
+  await click(byText("button", "Flag"));
+  await click(byText("form button[type=submit]", "Flag"));
+  const dialog = document.querySelector("[role=alertdialog]");
+  assert.ok(dialog, "the confirmation dialog is open");
+  assert.ok(dialog.contains(document.activeElement));
+  assert.deepEqual(await violations(), []);
+});
+
+test("a politician's dashboard and analytics have no axe violations", async () => {
+  await signInAs("politician");
+  assert.ok(byText("h2", "Top Concerns"));
+  assert.ok(byText("h2", "Analytics Dashboard"));
+  assert.deepEqual(await violations(), []);
+});
+
+test("the Admin screens have no axe violations", async () => {
+  await signInAs("admin");
+  for (const heading of ["Moderation Queue", "Citizen Satisfaction", "Export & Import", "User Accounts", "Constituencies", "Categories"]) assert.ok(byText("h2", heading));
+  assert.deepEqual(await violations(), []);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  backlogAging, firstResponseAt, median, mostDiscussed, resolvedAt, responseMetrics, statusAt, statusTimeline,
+} from "../src/domain/analytics.js";
+
+const now = "2025-06-30T12:00:00.000Z";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.parse(now) - days * DAY_MS).toISOString();
+
+const move = (to, days, byRole = "Politician", fields = {}) => ({ to, at: daysAgo(days), byRole, ...fields });
+const report = (id, fields = {}) => ({
+  id, type: "issue", status: "Open", category: "Roads", createdAt: daysAgo(30), comments: [], history: [], ...fields,
+});
+
+// Filed 30 days ago, acknowledged at 20, in progress at 10, resolved at 5
+const worked = report("a", {
+  status: "Resolved",
+  history: [move("Acknowledged", 20), move("In Progress", 10), move("Resolved", 5)],
+});
+
+test("a report's status at a moment is replayed from its history, skipping merges", () => {
+  assert.equal(statusAt(worked, daysAgo(31)), null);
+  assert.equal(statusAt(worked, daysAgo(25)), "Open");
+  assert.equal(statusAt(worked, daysAgo(20)), "Acknowledged");
+  assert.equal(statusAt(worked, daysAgo(7)), "In Progress");
+  assert.equal(statusAt(worked, now), "Resolved");
+  const merged = report("m", { history: [move("Acknowledged", 20), move("Duplicate", 10, "Admin", { type: "merge" })] });
+  assert.equal(statusAt(merged, now), "Acknowledged");
+});
+
+test("the timeline counts each group at evenly spaced points up to now", () => {
+  const items = [worked, report("b", { createdAt: daysAgo(15) }), report("c", { category: "Water" }), { ...worked, id: "x", type: "broadcast" }];
+  const timeline = statusTimeline(items, { now, days: 30, steps: 4 });
+  assert.deepEqual(timeline.map((p) => p.at), [daysAgo(30), daysAgo(20), daysAgo(10), now]);
+  assert.deepEqual(timeline.map(({ open, inProgress, resolved }) => [open, inProgress, resolved]), [[2, 0, 0], [2, 0, 0], [2, 1, 0], [2, 0, 1]]);
+  const roads = statusTimeline(items, { now, days: 30, steps: 4, category: "Roads" });
+  assert.deepEqual(roads.at(-1), { at: now, open: 1, inProgress: 0, resolved: 1 });
+  assert.deepEqual(statusTimeline([], { now, steps: 1 }), [{ at: now, open: 0, inProgress: 0, resolved: 0 }]);
+});
+
+test("the first response is staff's earliest comment or move, and resolution the first Resolved or Closed", () => {
+  const issue = report("d", {
+    comments: [{ role: "Citizen", at: daysAgo(29) }, { role: "Moderator", at: daysAgo(22) }],
+    history: [
+      move("Duplicate", 25, "Admin", { type: "merge" }),
+      move("Closed", 24, "Citizen"),
+      move("Reopened", 23, "Citizen"),
+      move("Acknowledged", 21),
+      move("Resolved", 3),
+    ],
+  });
+  assert.equal(firstResponseAt(issue), daysAgo(22));
+  assert.equal(resolvedAt(issue), daysAgo(24));
+  assert.equal(firstResponseAt(report("e")), null);
+  assert.equal(resolvedAt(report("e", { history: [move("Resolved", 2, "Admin", { type: "merge" })] })), null);
+});
+
+test("the median of an odd count is the middle value and of an even count the mean of the two", () => {
+  assert.equal(median([]), null);
+  assert.equal(median([4]), 4);
+  assert.equal(median([9, 1, 5]), 5);
+  assert.equal(median([8, 1, 4, 2]), 3);
+  assert.equal(median([10, 20]), 15);
+});
+
+test("response metrics are given overall and per category", () => {
+  const metrics = responseMetrics([worked, report("b", { category: "Water" }), report("c", { category: "Water", status: "Rejected" })]);
+  assert.deepEqual(metrics.overall, {
+    total: 3, open: 1, inProgress: 0, resolved: 1,
+    medianFirstResponse: 10 * DAY_MS, responded: 1, medianResolution: 25 * DAY_MS, resolvedCount: 1,
+  });
+  assert.deepEqual(metrics.categories.map((c) => [c.category, c.total]), [["Water", 2], ["Roads", 1]]);
+});
+
+test("the backlog is bucketed by age, each edge starting the next bucket", () => {
+  const ages = [0, 6.99, 7, 29.99, 30, 89.99, 90, 400];
+  const items = [...ages.map((days, i) => report(`r${i}`, { createdAt: daysAgo(days) })), report("done", { status: "Closed", createdAt: daysAgo(1) })];
+  assert.deepEqual(backlogAging(items, now).map((b) => [b.label, b.count]), [["< 1 week", 2], ["1-4 weeks", 2], ["1-3 months", 2], ["> 3 months", 2]]);
+});
+
+test("the most discussed reports come first, ties broken by recent activity", () => {
+  const talk = (days) => ({ role: "Citizen", at: daysAgo(days) });
+  const items = [
+    report("quiet"),
+    report("busy", { comments: [talk(5), talk(4), talk(3)] }),
+    report("older", { comments: [talk(20)] }),
+    report("newer", { comments: [talk(2)] }),
+  ];
+  assert.deepEqual(mostDiscussed(items).map((it) => it.id), ["busy", "newer", "older"]);
+  assert.deepEqual(mostDiscussed(items, 1).map((it) => it.id), ["busy"]);
+});
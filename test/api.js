@@ -0,0 +1,48 @@
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { Readable } from "node:stream";
+import { openDatabase } from "../server/db.js";
+import { createSession } from "../server/auth.js";
+import { authRoutes } from "../server/routes/auth.js";
+import { categoryRoutes } from "../server/routes/categories.js";
+import { constituencyRoutes } from "../server/routes/constituencies.js";
+import { issueRoutes } from "../server/routes/issues.js";
+import { notificationRoutes } from "../server/routes/notifications.js";
+
+// Drives the server's routes the way server/index.js does, without a socket:
+// a fresh data file, accounts added straight to it, and requests made from
+// plain objects. `call` resolves to what the route returns and rejects with
+// its HttpError or DomainError.
+
+const ROUTES = [...authRoutes, ...categoryRoutes, ...constituencyRoutes, ...issueRoutes, ...notificationRoutes];
+
+export async function withApi(run) {
+  const dir = await mkdtemp(join(tmpdir(), "api-test-"));
+  try {
+    const db = await openDatabase(join(dir, "db.json"));
+
+    // The account and a session token for it; `as` in call() takes the result
+    const addUser = (username, role, fields = {}) =>
+      db.update((data) => {
+        const user = { id: `u-${username}`, username, displayName: username, role, constituencies: [], homeConstituency: null, ...fields };
+        data.users.push(user);
+        return { ...user, token: createSession(data, user.id) };
+      });
+
+    const call = async (method, path, { body, as } = {}) => {
+      for (const [routeMethod, pattern, handler] of ROUTES) {
+        const match = path.match(pattern);
+        if (!match || routeMethod !== method) continue;
+        const req = Readable.from(body === undefined ? [] : [Buffer.from(JSON.stringify(body))]);
+        Object.assign(req, { method, url: path, headers: as ? { authorization: `Bearer ${as.token}` } : {} });
+        return handler(db, req, ...match.slice(1).map(decodeURIComponent));
+      }
+      throw new Error(`No route for ${method} ${path}.`);
+    };
+
+    return await run({ db, addUser, call });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
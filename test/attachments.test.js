@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createFakeClock } from "../src/utils/clock.js";
+import { UPLOAD_TTL_MS, attachmentRoutes, resolveAttachments, startUploadExpiry } from "../server/routes/attachments.js";
+
+const START = Date.parse("2025-01-01T00:00:00Z");
+const HOUR_MS = 60 * 60 * 1000;
+
+const asha = { id: "asha" };
+
+function upload(id, createdAt = new Date().toISOString(), uploaderId = "asha") {
+  return { id, name: `${id}.png`, type: "image/png", size: 10, file: `${id}.png`, thumbnailFile: null, uploaderId, createdAt };
+}
+
+// The files in `dir` once there are `count` of them (the sweep deletes them
+// after saving), or after a second.
+async function filesOnceSettled(dir, count) {
+  for (let tries = 0; tries < 100; tries++) {
+    const files = await readdir(dir);
+    if (files.length === count) return files.sort();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return (await readdir(dir)).sort();
+}
+
+function report(id, attachments = [], comments = []) {
+  return { id, type: "issue", attachments, comments };
+}
+
+test("an upload is claimed by one record, once", () => {
+  const data = { attachments: [upload("a"), upload("b")], issues: [report("r1", [{ id: "a" }])] };
+  assert.throws(() => resolveAttachments(data, ["a"], asha), { status: 400, message: /already in use/ });
+  assert.throws(() => resolveAttachments(data, ["b", { id: "b" }], asha), { status: 400, message: /already in use/ });
+  assert.deepEqual(resolveAttachments(data, ["b"], asha).map((a) => a.url), ["/api/attachments/b"]);
+
+  data.issues.push(report("r2", [], [{ id: "c1", attachments: [{ id: "b" }] }]));
+  assert.throws(() => resolveAttachments(data, ["b"], asha), { status: 400 });
+});
+
+test("only the uploader can claim an upload, and not once it expired", () => {
+  const old = new Date(Date.now() - UPLOAD_TTL_MS - 1).toISOString();
+  const data = { attachments: [upload("mine"), upload("old", old), upload("theirs", undefined, "ben")], issues: [] };
+  assert.throws(() => resolveAttachments(data, ["theirs"], asha), { status: 400, message: /not found/ });
+  assert.throws(() => resolveAttachments(data, ["old"], asha), { status: 400, message: /not found/ });
+  assert.equal(resolveAttachments(data, ["mine"], asha).length, 1);
+});
+
+test("unclaimed uploads are deleted once they expire", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "uploads-test-"));
+  try {
+    const clock = createFakeClock(START);
+    const at = (ms) => new Date(START + ms).toISOString();
+    const data = {
+      attachments: [upload("claimed", at(0)), upload("early", at(0)), upload("late", at(12 * HOUR_MS))],
+      issues: [report("r1", [{ id: "claimed" }])],
+    };
+    await mkdir(join(dir, "uploads"));
+    for (const meta of data.attachments) await writeFile(join(dir, "uploads", meta.file), "x");
+    let pending = Promise.resolve();
+    const db = { dir, data, update: (mutate) => (pending = Promise.resolve(mutate(data))) };
+
+    const stop = startUploadExpiry(db, { clock, everyMs: HOUR_MS });
+    try {
+      clock.advance(UPLOAD_TTL_MS);
+      await pending;
+      assert.deepEqual(data.attachments.map((a) => a.id), ["claimed", "late"]);
+      assert.deepEqual(await filesOnceSettled(join(dir, "uploads"), 2), ["claimed.png", "late.png"]);
+
+      clock.advance(12 * HOUR_MS);
+      assert.deepEqual(data.attachments.map((a) => a.id), ["claimed"]);
+    } finally {
+      stop();
+    }
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("files are served for the session header, never for a token in the URL", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "uploads-test-"));
+  try {
+    await mkdir(join(dir, "uploads"));
+    await writeFile(join(dir, "uploads", "a.png"), "x");
+    const db = {
+      dir,
+      data: {
+        users: [{ id: "asha", role: "Citizen" }],
+        sessions: [{ token: "t1", userId: "asha", expiresAt: Date.now() + HOUR_MS }],
+        attachments: [upload("a")],
+        issues: [],
+      },
+    };
+    const [, , serve] = attachmentRoutes.find(([method, path]) => method === "GET" && path.test("/api/attachments/a"));
+
+    const res = await serve(db, { url: "/api/attachments/a", headers: { authorization: "Bearer t1" } }, "a");
+    assert.equal(res.body.toString(), "x");
+    assert.equal(res.headers["Cache-Control"], "private, max-age=300");
+
+    await assert.rejects(serve(db, { url: "/api/attachments/a?token=t1", headers: {} }, "a"), { status: 404 });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { withApi } from "./api.js";
+
+const register = (call, username, password = "correct horse") =>
+  call("POST", "/api/auth/register", { body: { username, password, displayName: ` ${username} ` } });
+
+test("the first account registered becomes the Admin and later ones citizens", () =>
+  withApi(async ({ db, call }) => {
+    const first = await register(call, "Asha");
+    assert.equal(first.user.username, "asha");
+    assert.equal(first.user.displayName, "Asha");
+    assert.equal(first.user.role, "Admin");
+    assert.equal(first.user.passwordHash, undefined);
+    const second = await register(call, "ben");
+    assert.equal(second.user.role, "Citizen");
+    assert.notEqual(second.user.id, first.user.id);
+
+    assert.deepEqual(await call("GET", "/api/auth/me", { as: first }), { user: first.user });
+    assert.equal(db.data.users.length, 2);
+    assert.doesNotMatch(db.data.users[0].passwordHash, /correct horse/);
+  }));
+
+test("registration checks the username, the password and taken names", () =>
+  withApi(async ({ call }) => {
+    const badRequest = (err) => err.status === 400;
+    await assert.rejects(register(call, "a"), badRequest);
+    await assert.rejects(register(call, "has space"), badRequest);
+    await assert.rejects(register(call, "asha", "short"), badRequest);
+    await register(call, "asha");
+    await assert.rejects(register(call, "ASHA"), (err) => err.status === 409);
+  }));
+
+test("logging in needs the right password and gives a new session", () =>
+  withApi(async ({ call }) => {
+    const registered = await register(call, "asha");
+    const login = (username, password) => call("POST", "/api/auth/login", { body: { username, password } });
+    const unauthorized = (err) => err.status === 401 && /Incorrect username or password/.test(err.message);
+    await assert.rejects(login("asha", "wrong horse"), unauthorized);
+    await assert.rejects(login("nobody", "correct horse"), unauthorized);
+    await assert.rejects(login("asha"), unauthorized);
+    await assert.rejects(call("POST", "/api/auth/login", { body: null }), { status: 400 });
+
+    const session = await login(" Asha ", "correct horse");
+    assert.notEqual(session.token, registered.token);
+    assert.deepEqual(session.user, registered.user);
+    assert.deepEqual(await call("GET", "/api/auth/me", { as: session }), { user: registered.user });
+  }));
+
+test("a password with surrounding spaces is kept exactly as typed", () =>
+  withApi(async ({ call }) => {
+    await register(call, "asha", "  secretpw  ");
+    const login = (password) => call("POST", "/api/auth/login", { body: { username: "asha", password } });
+    assert.equal((await login("  secretpw  ")).user.username, "asha");
+    await assert.rejects(login("secretpw"), (err) => err.status === 401);
+  }));
+
+test("a session ends on logout or when it expires", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const asha = await addUser("asha", "Citizen");
+    const other = await addUser("asha2", "Citizen");
+    await call("POST", "/api/auth/logout", { as: asha });
+    assert.deepEqual(await call("GET", "/api/auth/me", { as: asha }), { user: null });
+    await assert.rejects(call("POST", "/api/issues/r-1/support", { as: asha }), (err) => err.status === 401);
+    assert.equal((await call("GET", "/api/auth/me", { as: other })).user.username, "asha2");
+
+    await db.update((data) => {
+      data.sessions.find((s) => s.token === other.token).expiresAt = Date.now() - 1;
+    });
+    assert.deepEqual(await call("GET", "/api/auth/me", { as: other }), { user: null });
+    await assert.rejects(call("PATCH", "/api/auth/me", { body: { homeConstituency: null }, as: other }), (err) => err.status === 401);
+  }));
+
+test("anonymous callers get a 401 and accounts without the permission a 403", () =>
+  withApi(async ({ addUser, call }) => {
+    const citizen = await addUser("asha", "Citizen");
+    const admin = await addUser("ada", "Admin");
+    await assert.rejects(call("GET", "/api/users"), (err) => err.status === 401);
+    await assert.rejects(call("GET", "/api/users", { as: citizen }), (err) => err.status === 403);
+    await assert.rejects(call("GET", "/api/users", { as: { token: "not-a-session" } }), (err) => err.status === 401);
+    assert.deepEqual((await call("GET", "/api/users", { as: admin })).map((u) => u.username), ["asha", "ada"]);
+  }));
+
+test("Admins manage roles, but the last Admin cannot be demoted", () =>
+  withApi(async ({ addUser, call }) => {
+    const ada = await addUser("ada", "Admin");
+    const ben = await addUser("ben", "Citizen");
+    await assert.rejects(call("PATCH", "/api/users/u-ada", { body: { role: "Citizen" }, as: ada }), /At least one Admin account must remain/);
+    await assert.rejects(call("PATCH", "/api/users/u-ben", { body: { role: "Mayor" }, as: ada }), (err) => err.status === 400);
+    await assert.rejects(call("PATCH", "/api/users/u-nobody", { body: { role: "Citizen" }, as: ada }), (err) => err.status === 404);
+    await assert.rejects(call("PATCH", "/api/users/u-ada", { body: { role: "Citizen" }, as: ben }), (err) => err.status === 403);
+
+    assert.equal((await call("PATCH", "/api/users/u-ben", { body: { role: "Admin" }, as: ada })).role, "Admin");
+    assert.equal((await call("PATCH", "/api/users/u-ada", { body: { role: "Citizen" }, as: ben })).role, "Citizen");
+    await assert.rejects(call("PATCH", "/api/users/u-ben", { body: { role: "Moderator" }, as: ben }), (err) => err.status === 400);
+  }));
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CATEGORIES } from "../src/domain/categories.js";
+import {
+  broadcastEvent, broadcastFields, editBroadcast, publication, publishDue, relatedUpdates, requireDiscardable, retractBroadcast,
+} from "../src/domain/broadcasts.js";
+import { withApi } from "./api.js";
+
+const pia = { id: "p1", displayName: "Pia", role: "Politician", constituencies: [] };
+const raj = { id: "p2", displayName: "Raj", role: "Politician", constituencies: [] };
+
+const now = "2025-01-01T10:00:00.000Z";
+const context = { categories: DEFAULT_CATEGORIES, constituencies: [], issues: [{ id: "r1", type: "issue" }, { id: "b0", type: "broadcast" }] };
+const broadcast = (fields = {}) => ({
+  type: "broadcast", id: "b1", reporterId: "p1", state: "published", publishAt: null, changes: [], createdAt: now,
+  ...broadcastFields({ description: "Water is off on Friday.", category: "Water" }, context, pia),
+  ...fields,
+});
+
+test("a broadcast needs a message, a known category and audience, and real related reports", () => {
+  const fields = broadcastFields({ description: " Water is off. ", category: "Water", relatedIssueIds: ["r1", "r1"] }, context, pia);
+  assert.deepEqual(fields, {
+    title: "Broadcast - Water", description: "Water is off.", category: "Water", language: null,
+    constituencyId: null, audience: "followers", relatedIssueIds: ["r1"],
+  });
+  assert.throws(() => broadcastFields({ description: " ", category: "Water" }, context, pia), /needs a message/);
+  assert.throws(() => broadcastFields({ description: "Hi", category: "Weather" }, context, pia), /Unknown category/);
+  assert.throws(() => broadcastFields({ description: "Hi", category: "Water", audience: "everyone" }, context, pia), /Unknown audience/);
+  assert.throws(() => broadcastFields({ description: "Hi", category: "Water", relatedIssueIds: ["b0"] }, context, pia), /Report b0 not found/);
+  const outside = { ...pia, constituencies: ["north"] };
+  const served = { ...context, constituencies: [{ id: "north", name: "North" }, { id: "south", name: "South" }] };
+  assert.throws(() => broadcastFields({ description: "Hi", category: "Water", constituencyId: "south" }, served, outside), (err) => err.kind === "forbidden");
+});
+
+test("a broadcast is published at once, kept as a draft or scheduled for later", () => {
+  assert.deepEqual(publication({}, now), { state: "published", publishAt: null, createdAt: now });
+  assert.deepEqual(publication({ state: "draft", publishAt: "2025-02-01" }, now), { state: "draft", publishAt: null });
+  assert.deepEqual(publication({ state: "scheduled", publishAt: "2025-01-02T10:00:00Z" }, now), { state: "scheduled", publishAt: "2025-01-02T10:00:00.000Z" });
+  assert.throws(() => publication({ state: "scheduled", publishAt: "2024-12-31T10:00:00Z" }, now), /future time/);
+  assert.throws(() => publication({ state: "scheduled" }, now), /when the broadcast should go out/);
+  assert.throws(() => publication({ state: "retracted" }, now), /cannot be "retracted"/);
+
+  const due = publishDue([broadcast({ state: "scheduled", publishAt: "2025-01-01T09:00:00.000Z" }), broadcast({ id: "b2", state: "scheduled", publishAt: "2025-01-02T09:00:00.000Z" })], now);
+  assert.deepEqual(due.map((it) => [it.id, it.state, it.createdAt]), [["b1", "published", "2025-01-01T09:00:00.000Z"]]);
+});
+
+test("edits to a published broadcast are logged with what they replaced; only its author may make them", () => {
+  const fields = broadcastFields({ description: "Water is off on Saturday.", category: "Water" }, context, pia);
+  const { item, published } = editBroadcast(broadcast(), pia, { fields, reason: "Wrong day" }, now);
+  assert.equal(published, false);
+  assert.equal(item.description, "Water is off on Saturday.");
+  assert.deepEqual(item.changes.map((c) => [c.action, c.reason, c.before]), [["edit", "Wrong day", { description: "Water is off on Friday." }]]);
+  assert.throws(() => editBroadcast(item, pia, { fields }, now), /Nothing was changed/);
+  assert.throws(() => editBroadcast(item, pia, { fields, state: "draft" }, now), /instead of unpublishing/);
+  assert.throws(() => editBroadcast(item, raj, { fields }, now), (err) => err.kind === "forbidden");
+});
+
+test("a draft is published by an edit, without a change logged", () => {
+  const draft = broadcast({ state: "draft" });
+  const { item, published } = editBroadcast(draft, pia, { fields: broadcastFields(draft, context, pia), state: "published" }, now);
+  assert.equal(published, true);
+  assert.equal(item.state, "published");
+  assert.deepEqual(item.changes, []);
+});
+
+test("only a published broadcast is retracted, and only a draft is discarded", () => {
+  const retracted = retractBroadcast(broadcast(), pia, " Sent by mistake ", now);
+  assert.equal(retracted.state, "retracted");
+  assert.equal(retracted.changes[0].reason, "Sent by mistake");
+  assert.throws(() => retractBroadcast(retracted, pia, "", now), /retracted broadcast cannot be changed/);
+  assert.throws(() => retractBroadcast(broadcast({ state: "draft" }), pia, "", now), /delete the draft instead/);
+  assert.throws(() => requireDiscardable(broadcast(), pia), /instead of deleting/);
+  assert.doesNotThrow(() => requireDiscardable(broadcast({ state: "draft" }), pia));
+  assert.deepEqual(relatedUpdates([broadcast({ relatedIssueIds: ["r1"] }), broadcast({ id: "b2", state: "draft", relatedIssueIds: ["r1"] })], "r1").map((it) => it.id), ["b1"]);
+});
+
+test("a broadcast reaches its audience and the followers of its related reports", () => {
+  const users = [{ id: "c1", homeConstituency: "north" }, { id: "c2", homeConstituency: "south" }];
+  const subscriptions = [{ userId: "c3", issues: ["r1"], categories: [] }];
+  const toFollowers = broadcastEvent("broadcast", broadcast({ relatedIssueIds: ["r1"] }), pia, { users, subscriptions });
+  assert.deepEqual(toFollowers.alsoTo, ["c3"]);
+  const toResidents = broadcastEvent("broadcast", broadcast({ audience: "constituency", constituencyId: "north", relatedIssueIds: ["r1"] }), pia, { users, subscriptions });
+  assert.deepEqual(toResidents.recipients, ["c1", "c3"]);
+});
+
+test("the broadcast routes: drafts stay private until published, and only their author changes them", () =>
+  withApi(async ({ addUser, call }) => {
+    const author = await addUser("pia", "Politician");
+    const other = await addUser("raj", "Politician");
+    const citizen = await addUser("asha", "Citizen");
+    const body = { id: "b-1", description: "Water is off on Friday.", category: "Water", state: "draft" };
+
+    await assert.rejects(call("POST", "/api/broadcasts", { body, as: citizen }), (err) => err.status === 403);
+    await assert.rejects(call("POST", "/api/broadcasts", { body: { ...body, description: "" }, as: author }), (err) => err.kind === "invalid");
+    const draft = await call("POST", "/api/broadcasts", { body, as: author });
+    assert.equal(draft.state, "draft");
+    assert.deepEqual(await call("GET", "/api/broadcasts", { as: citizen }), []);
+
+    await assert.rejects(call("PATCH", "/api/broadcasts/b-1", { body: { state: "published" }, as: other }), (err) => err.kind === "forbidden");
+    const published = await call("PATCH", "/api/broadcasts/b-1", { body: { state: "published" }, as: author });
+    assert.equal(published.state, "published");
+    assert.deepEqual((await call("GET", "/api/broadcasts", { as: citizen })).map((it) => it.id), ["b-1"]);
+
+    await assert.rejects(call("DELETE", "/api/broadcasts/b-1", { as: author }), /instead of deleting/);
+    const retracted = await call("POST", "/api/broadcasts/b-1/retract", { body: { reason: "Fixed early" }, as: author });
+    assert.equal(retracted.state, "retracted");
+    assert.deepEqual(retracted.changes.map((c) => c.action), ["retract"]);
+  }));
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CATEGORIES, ownerFor, renameCategory, requireRemovable, rerouted, routeReport } from "../src/domain/categories.js";
+import { withApi } from "./api.js";
+
+const at = "2025-01-01T10:00:00.000Z";
+const highways = { kind: "department", name: "Highways" };
+const categories = [
+  { id: "roads", name: "Roads", owner: highways },
+  { id: "water", name: "Water", owner: { kind: "official", userId: "p1", name: "Pia" } },
+  { id: "general", name: "General", owner: null },
+];
+const users = [{ id: "p1", displayName: "Pia", role: "Politician" }, { id: "c1", displayName: "Asha", role: "Citizen" }];
+
+const report = (fields = {}) => ({ id: "r1", type: "issue", category: "Roads", assignee: routeReport(categories, "Roads", at), ...fields });
+
+test("a new report goes to its category's owner, or to nobody", () => {
+  assert.deepEqual(routeReport(categories, "Roads", at), { ...highways, at, byId: null, byName: null });
+  assert.deepEqual(routeReport(categories, "Water", at), { kind: "official", userId: "p1", name: "Pia", at, byId: null, byName: null });
+  assert.equal(routeReport(categories, "General", at), null);
+  assert.equal(routeReport(categories, "Weather", at), null);
+});
+
+test("a change of category reroutes a report unless someone assigned it by hand", () => {
+  const before = report();
+  assert.equal(rerouted(before, { ...before, category: "Water" }, categories).assignee.userId, "p1");
+  assert.equal(rerouted(before, { ...before, category: "General" }, categories).assignee, null);
+  const edited = { ...before, title: "Renamed" };
+  assert.equal(rerouted(before, edited, categories), edited);
+
+  const byHand = report({ assignee: { ...highways, at, byId: "m1", byName: "Mo" } });
+  assert.equal(rerouted(byHand, { ...byHand, category: "Water" }, categories).assignee, byHand.assignee);
+  const broadcast = { id: "b1", type: "broadcast", category: "Roads" };
+  assert.equal(rerouted(broadcast, { ...broadcast, category: "Water" }, categories).assignee, undefined);
+});
+
+test("an owner is resolved against the stored accounts and departments", () => {
+  assert.equal(ownerFor(null, { users }), null);
+  assert.deepEqual(ownerFor({ kind: "department", name: " Highways " }, { users, categories }), highways);
+  assert.deepEqual(ownerFor({ kind: "department", name: "Parks" }, { users }), { kind: "department", name: "Parks" });
+  assert.throws(() => ownerFor({ kind: "department", name: "Parks" }, { users, categories }), /No category is handled by a department called "Parks"/);
+  assert.throws(() => ownerFor({ kind: "department", name: " " }, { users }), /needs a name/);
+  assert.deepEqual(ownerFor({ kind: "official", userId: "p1", name: "Old name" }, { users }), { kind: "official", userId: "p1", name: "Pia" });
+  assert.throws(() => ownerFor({ kind: "official", userId: "c1" }, { users }), /Politician, Moderator or Admin/);
+  assert.throws(() => ownerFor({ kind: "team", name: "Roads" }, { users }), /Unknown owner kind/);
+});
+
+test("a rename carries over to reports and follows; the last category cannot be removed", () => {
+  const issues = [report({ revision: 2 }), report({ id: "r2", category: "Water", revision: 0 })];
+  const subscriptions = [{ userId: "c1", issues: [], categories: ["Roads", "Water"] }, { userId: "c2", issues: [], categories: ["Water"] }];
+  const renamed = renameCategory("Roads", "Streets", { issues, subscriptions });
+  assert.deepEqual(renamed.issues.map((it) => [it.category, it.revision]), [["Streets", 3], ["Water", 0]]);
+  assert.deepEqual(renamed.subscriptions.map((s) => s.categories), [["Streets", "Water"], ["Water"]]);
+  assert.equal(renamed.subscriptions[1], subscriptions[1]);
+  assert.equal(renameCategory("Roads", "Roads", { issues, subscriptions }).issues, issues);
+
+  assert.doesNotThrow(() => requireRemovable(categories, "roads"));
+  assert.throws(() => requireRemovable(categories, "weather"), /not found/);
+  assert.throws(() => requireRemovable([categories[0]], "roads"), /At least one category must remain/);
+});
+
+test("reports are routed and reassigned through the server, which keeps its own copy of the defaults", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const defaults = structuredClone(DEFAULT_CATEGORIES);
+    const admin = await addUser("ada", "Admin");
+    const mod = await addUser("mo", "Moderator");
+    const pia = await addUser("pia", "Politician");
+    const citizen = await addUser("asha", "Citizen");
+
+    await call("PATCH", "/api/categories/roads", { body: { owner: highways }, as: admin });
+    await call("POST", "/api/categories", { body: { name: "Parks", owner: { kind: "official", userId: pia.id } }, as: admin });
+    assert.deepEqual(DEFAULT_CATEGORIES, defaults);
+
+    const routed = await call("POST", "/api/issues", { body: { id: "r-1", title: "Pothole", description: "Deep one on Main St.", category: "Roads" }, as: citizen });
+    assert.deepEqual([routed.assignee.kind, routed.assignee.name, routed.assignee.byId], ["department", "Highways", null]);
+
+    // A moderator's choice sticks through a later change of category
+    await assert.rejects(call("POST", "/api/issues/r-1/assignee", { body: { owner: { kind: "official", userId: pia.id } }, as: citizen }), (err) => err.status === 403);
+    await assert.rejects(call("POST", "/api/issues/r-1/assignee", { body: { owner: { kind: "official", userId: citizen.id } }, as: mod }), (err) => err.kind === "invalid");
+    const assigned = await call("POST", "/api/issues/r-1/assignee", { body: { owner: { kind: "official", userId: pia.id }, reason: "Ward issue" }, as: mod });
+    assert.deepEqual([assigned.assignee.userId, assigned.assignee.byId], [pia.id, mod.id]);
+    const moved = await call("PATCH", "/api/issues/r-1", { body: { category: "Parks", reason: "Wrong category" }, as: mod });
+    assert.deepEqual([moved.category, moved.assignee.userId, moved.assignee.byId], ["Parks", pia.id, mod.id]);
+    assert.ok(db.data.subscriptions.some((s) => s.userId === pia.id && s.issues.includes("r-1")));
+
+    await call("PATCH", "/api/categories/roads", { body: { name: "Streets" }, as: admin });
+    await call("POST", "/api/issues", { body: { id: "r-2", title: "Cracked kerb", description: "Outside the school.", category: "Streets" }, as: citizen });
+    assert.deepEqual(db.data.issues.map((it) => [it.id, it.category, it.assignee.name]), [["r-2", "Streets", "Highways"], ["r-1", "Parks", "pia"]]);
+    assert.deepEqual(DEFAULT_CATEGORIES, defaults);
+  }));
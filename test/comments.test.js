@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  commentThreads, deleteComment, editComment, reactionCounts, replyProblem, setOfficialResponse, setReaction,
+} from "../src/domain/comments.js";
+import { withApi } from "./api.js";
+
+const asha = { id: "c1", displayName: "Asha", role: "Citizen" };
+const ben = { id: "c2", displayName: "Ben", role: "Citizen" };
+const pia = { id: "p1", displayName: "Pia", role: "Politician" };
+const mo = { id: "m1", displayName: "Mo", role: "Moderator" };
+
+const comment = (id, author, fields = {}) => ({
+  id, parentId: null, authorId: author.id, authorName: author.displayName, role: author.role, text: `Comment ${id}`,
+  attachments: [], flags: [], hidden: false, held: null, editedAt: null, deleted: false, reactions: {}, at: "2025-01-01T10:00:00.000Z",
+  ...fields,
+});
+
+const report = (comments) => ({ id: "r1", type: "issue", constituencyId: null, locked: false, officialResponseId: null, moderationLog: [], comments });
+
+const shape = (threads) => threads.map(({ comment: c, replies }) => (replies.length ? [c.id, shape(replies)] : c.id));
+
+test("comments are arranged in threads in posting order", () => {
+  const comments = [
+    comment("a", asha),
+    comment("b", ben, { parentId: "a" }),
+    comment("c", pia),
+    comment("d", asha, { parentId: "b" }),
+    comment("e", ben, { parentId: "a" }),
+    comment("f", ben, { parentId: "gone" }),
+  ];
+  assert.deepEqual(shape(commentThreads(comments)), [["a", [["b", ["d"]], "e"]], "c", "f"]);
+  assert.deepEqual(commentThreads([]), []);
+});
+
+test("replies need a parent that exists and was not deleted", () => {
+  const item = report([comment("a", asha), comment("b", ben, { deleted: true, text: "" })]);
+  assert.equal(replyProblem(item, null), null);
+  assert.equal(replyProblem(item, "a"), null);
+  assert.equal(replyProblem(item, "zz"), "Comment zz not found.");
+  assert.equal(replyProblem(item, "b"), "You cannot reply to a deleted comment.");
+});
+
+test("authors edit their own comments, which are marked edited and screened again", () => {
+  const item = report([comment("a", asha)]);
+  const edited = editComment(item, asha, { commentId: "a", text: " Fixed typo " }, "2025-01-02T10:00:00.000Z");
+  assert.equal(edited.comments[0].text, "Fixed typo");
+  assert.equal(edited.comments[0].editedAt, "2025-01-02T10:00:00.000Z");
+  assert.equal(edited.comments[0].held, null);
+  assert.ok(editComment(item, asha, { commentId: "a", text: "Click here for free money" }).comments[0].held);
+  assert.throws(() => editComment(item, asha, { commentId: "a", text: "  " }), /cannot be empty/);
+  assert.throws(() => editComment(item, ben, { commentId: "a", text: "Mine now" }), (err) => err.kind === "forbidden");
+  assert.throws(() => editComment(item, asha, { commentId: "a", text: "Late", expected: { text: "Something else" } }), (err) => err.kind === "conflict");
+  assert.throws(() => editComment(report([comment("a", asha, { deleted: true })]), asha, { commentId: "a", text: "Back" }), /was deleted/);
+  assert.throws(() => editComment({ ...item, locked: true }, asha, { commentId: "a", text: "Late" }), /locked this discussion/);
+});
+
+test("a moderator edits someone else's comment only with a logged reason", () => {
+  const item = report([comment("a", asha)]);
+  assert.throws(() => editComment(item, mo, { commentId: "a", text: "Tidied" }), /Give a reason/);
+  const edited = editComment(item, mo, { commentId: "a", text: "Tidied", reason: "Removed a phone number" });
+  assert.equal(edited.comments[0].text, "Tidied");
+  assert.deepEqual(edited.moderationLog.map((e) => [e.action, e.commentId, e.reason, e.before]), [["edit", "a", "Removed a phone number", { text: "Comment a" }]]);
+});
+
+test("deleting keeps the entry for its replies and unpins an official response", () => {
+  const item = { ...report([comment("a", pia, { reactions: { "👍": ["c1"] } }), comment("b", asha, { parentId: "a" })]), officialResponseId: "a" };
+  const { item: updated, removed } = deleteComment(item, pia, "a");
+  assert.deepEqual(updated.comments[0], { ...item.comments[0], text: "", attachments: [], reactions: {}, flags: [], deleted: true });
+  assert.equal(removed.text, "Comment a");
+  assert.equal(updated.officialResponseId, null);
+  assert.deepEqual(shape(commentThreads(updated.comments)), [["a", ["b"]]]);
+  assert.throws(() => deleteComment(updated, pia, "a"), (err) => err.kind === "conflict");
+  assert.throws(() => deleteComment(item, asha, "a"), (err) => err.kind === "forbidden");
+});
+
+test("reactions toggle per person, and only a politician's visible comment is the official response", () => {
+  let item = report([comment("a", pia), comment("b", asha)]);
+  item = setReaction(item, asha, { commentId: "a", emoji: "👍", reacted: true });
+  item = setReaction(item, ben, { commentId: "a", emoji: "👍", reacted: true });
+  item = setReaction(item, asha, { commentId: "a", emoji: "👍", reacted: true });
+  assert.deepEqual(reactionCounts(item.comments[0], asha), [{ emoji: "👍", count: 2, reacted: true }]);
+  item = setReaction(item, asha, { commentId: "a", emoji: "👍", reacted: false });
+  item = setReaction(item, ben, { commentId: "a", emoji: "👍", reacted: false });
+  assert.deepEqual(item.comments[0].reactions, {});
+  assert.throws(() => setReaction(item, asha, { commentId: "a", emoji: "🍕", reacted: true }), /Unknown reaction/);
+
+  assert.equal(setOfficialResponse(item, pia, "a").officialResponseId, "a");
+  assert.throws(() => setOfficialResponse(item, pia, "b"), /politician's comment/);
+  assert.throws(() => setOfficialResponse(report([comment("a", pia, { held: "possible profanity" })]), pia, "a"), /not publicly visible/);
+  assert.throws(() => setOfficialResponse(item, asha, "a"), (err) => err.kind === "forbidden");
+});
+
+test("the comment route rejects empty text and threads replies", () =>
+  withApi(async ({ addUser, call }) => {
+    const author = await addUser("asha", "Citizen");
+    const other = await addUser("ben", "Citizen");
+    await call("POST", "/api/issues", { body: { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" }, as: author });
+    await assert.rejects(call("POST", "/api/issues/r-1/comments", { body: { text: "   " }, as: other }), (err) => err.status === 400);
+    await call("POST", "/api/issues/r-1/comments", { body: { id: "k-1", text: "Mine too" }, as: other });
+    const replied = await call("POST", "/api/issues/r-1/comments", { body: { id: "k-2", text: "Reported it twice", parentId: "k-1" }, as: author });
+    assert.deepEqual(shape(commentThreads(replied.comments)), [["k-1", ["k-2"]]]);
+    await assert.rejects(call("POST", "/api/issues/r-1/comments", { body: { id: "k-3", text: "Hm", parentId: "k-9" }, as: author }), (err) => err.status === 400);
+    const edited = await call("PATCH", "/api/issues/r-1/comments/k-2", { body: { text: "Reported it three times" }, as: author });
+    assert.equal(edited.comments[1].text, "Reported it three times");
+    assert.ok(edited.comments[1].editedAt);
+  }));
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  assignmentIds, broadcastConstituency, broadcastTargets, constituencyFields, constituencyName, detachConstituency, homeConstituencyId,
+  inScope, reportConstituency, requireServes, serves, viewScope,
+} from "../src/domain/constituencies.js";
+import { withApi } from "./api.js";
+
+const constituencies = [{ id: "north", name: "North Ward", description: "" }, { id: "south", name: "South Ward", description: "" }];
+
+const asha = { id: "c1", role: "Citizen", constituencies: [], homeConstituency: "north" };
+const pia = { id: "p1", role: "Politician", constituencies: ["north"], homeConstituency: null };
+const raj = { id: "p2", role: "Politician", constituencies: [], homeConstituency: null };
+const ada = { id: "a1", role: "Admin", constituencies: ["south"], homeConstituency: null };
+
+const at = (constituencyId) => ({ id: `r-${constituencyId}`, constituencyId });
+
+test("staff serve their assigned constituencies, or everywhere when they have none", () => {
+  assert.deepEqual([at("north"), at("south"), at(null)].map((it) => serves(pia, it)), [true, false, true]);
+  assert.ok([at("north"), at("south")].every((it) => serves(raj, it) && serves(ada, it)));
+  assert.throws(() => requireServes(pia, at("south")), (err) => err.kind === "forbidden");
+  assert.doesNotThrow(() => requireServes(pia, at(null)));
+});
+
+test("the default view is a citizen's home or the constituencies a staff member serves", () => {
+  assert.deepEqual(viewScope(asha), ["north"]);
+  assert.deepEqual(viewScope({ ...asha, homeConstituency: null }), []);
+  assert.deepEqual(viewScope(pia), ["north"]);
+  assert.deepEqual(viewScope(ada), []);
+  assert.deepEqual(viewScope(null), []);
+  assert.deepEqual([at("north"), at("south"), at(null)].map((it) => inScope(it, ["north"])), [true, false, true]);
+  assert.ok(inScope(at("south"), []));
+  assert.equal(constituencyName(constituencies, "south"), "South Ward");
+  assert.equal(constituencyName(constituencies, "east"), null);
+  assert.equal(constituencyName(constituencies, null), null);
+});
+
+test("a report is filed under the constituency chosen, else the reporter's home", () => {
+  assert.equal(reportConstituency(constituencies, "south", asha), "south");
+  assert.equal(reportConstituency(constituencies, null, asha), "north");
+  assert.throws(() => reportConstituency(constituencies, null, raj), /Choose the constituency/);
+  assert.equal(reportConstituency(constituencies, null, raj, { required: false }), null);
+  assert.equal(reportConstituency([], null, raj), null);
+  assert.throws(() => reportConstituency(constituencies, "east", asha), (err) => err.kind === "invalid" && /east not found/.test(err.message));
+});
+
+test("a broadcast goes only to constituencies its author serves; everywhere needs an unassigned author", () => {
+  assert.deepEqual(broadcastTargets(constituencies, raj), [null, "north", "south"]);
+  assert.deepEqual(broadcastTargets(constituencies, pia), ["north"]);
+  assert.equal(broadcastConstituency(constituencies, "north", pia), "north");
+  assert.equal(broadcastConstituency(constituencies, "", raj), null);
+  assert.throws(() => broadcastConstituency(constituencies, null, pia), (err) => err.kind === "forbidden");
+  assert.throws(() => broadcastConstituency(constituencies, "south", pia), (err) => err.kind === "forbidden");
+  assert.throws(() => broadcastConstituency(constituencies, "east", raj), /not found/);
+});
+
+test("assignments and homes name existing constituencies; removing one detaches it everywhere", () => {
+  assert.deepEqual(assignmentIds(constituencies, pia, ["south", "north", "south"]), ["south", "north"]);
+  assert.deepEqual(assignmentIds(constituencies, asha, []), []);
+  assert.throws(() => assignmentIds(constituencies, asha, ["north"]), /Only Politician and Moderator accounts/);
+  assert.throws(() => assignmentIds(constituencies, ada, ["north"]), /Only Politician and Moderator accounts/);
+  assert.throws(() => assignmentIds(constituencies, pia, "north"), /must be a list/);
+  assert.throws(() => assignmentIds(constituencies, pia, ["east"]), /east not found/);
+  assert.equal(homeConstituencyId(constituencies, "south"), "south");
+  assert.equal(homeConstituencyId(constituencies, ""), null);
+  assert.throws(() => homeConstituencyId(constituencies, "east"), /east not found/);
+
+  assert.deepEqual(constituencyFields({ name: " East Ward ", description: " New " }, constituencies), { name: "East Ward", description: "New" });
+  assert.deepEqual(constituencyFields({ name: "north ward" }, constituencies, "north"), { name: "north ward", description: "" });
+  assert.throws(() => constituencyFields({ name: "north ward" }, constituencies), (err) => err.kind === "conflict");
+
+  const detached = detachConstituency("north", { issues: [{ ...at("north"), revision: 1 }, at("south")], users: [asha, pia, ada] });
+  assert.deepEqual(detached.issues.map((it) => [it.constituencyId, it.revision]), [[null, 2], ["south", undefined]]);
+  assert.deepEqual(detached.users.map((u) => [u.constituencies, u.homeConstituency]), [[[], null], [[], null], [["south"], null]]);
+});
+
+test("homes, assignments and removal through the server", () =>
+  withApi(async ({ db, addUser, call }) => {
+    await db.update((data) => { data.constituencies.push(...structuredClone(constituencies)); });
+    const admin = await addUser("ada", "Admin");
+    const politician = await addUser("pia", "Politician");
+    const citizen = await addUser("asha", "Citizen");
+
+    await assert.rejects(call("PATCH", "/api/auth/me", { body: { homeConstituency: "east" }, as: citizen }), (err) => err.kind === "invalid");
+    const { user } = await call("PATCH", "/api/auth/me", { body: { homeConstituency: "north" }, as: citizen });
+    assert.equal(user.homeConstituency, "north");
+    const filed = await call("POST", "/api/issues", { body: { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" }, as: citizen });
+    assert.equal(filed.constituencyId, "north");
+    await call("POST", "/api/issues", { body: { id: "r-2", title: "Pothole", description: "On the ring road.", category: "Roads", constituencyId: "south" }, as: citizen });
+
+    await assert.rejects(call("PATCH", `/api/users/${politician.id}`, { body: { constituencies: ["south"] }, as: politician }), (err) => err.status === 403);
+    await assert.rejects(call("PATCH", `/api/users/${citizen.id}`, { body: { constituencies: ["south"] }, as: admin }), (err) => err.kind === "invalid");
+    const assigned = await call("PATCH", `/api/users/${politician.id}`, { body: { constituencies: ["south"] }, as: admin });
+    assert.deepEqual(assigned.constituencies, ["south"]);
+    await assert.rejects(call("POST", "/api/issues/r-1/transitions", { body: { to: "Acknowledged" }, as: politician }), (err) => err.kind === "forbidden");
+    assert.equal((await call("POST", "/api/issues/r-2/transitions", { body: { to: "Acknowledged" }, as: politician })).status, "Acknowledged");
+
+    await call("DELETE", "/api/constituencies/south", { as: admin });
+    assert.deepEqual(db.data.constituencies.map((c) => c.id), ["north"]);
+    assert.deepEqual(db.data.issues.map((it) => [it.id, it.constituencyId]), [["r-2", null], ["r-1", "north"]]);
+    assert.deepEqual(db.data.users.find((u) => u.id === politician.id).constituencies, []);
+    await assert.rejects(call("DELETE", "/api/constituencies/south", { as: admin }), (err) => err.status === 404);
+  }));
@@ -0,0 +1,96 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer as createHttpServer } from "node:http";
+import { createServer as createTcpServer } from "node:net";
+import { once } from "node:events";
+
+// Delivery of notifications to a local webhook and SMTP sink. server/notify.js
+// reads its settings when loaded, so the sinks start and the environment is
+// set before it is imported.
+
+const posts = [];
+const webhook = createHttpServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => { body += chunk; });
+  req.on("end", () => {
+    posts.push(JSON.parse(body));
+    res.end();
+  });
+});
+
+// Just enough SMTP to accept one message per connection
+const mails = [];
+const smtp = createTcpServer((socket) => {
+  let buffer = "";
+  let data = null;
+  socket.setEncoding("utf8");
+  socket.write("220 sink ready\r\n");
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (data !== null) {
+        if (line === ".") {
+          mails.push(data.join("\n"));
+          data = null;
+          socket.write("250 queued\r\n");
+        } else {
+          data.push(line);
+        }
+      } else if (line === "DATA") {
+        data = [];
+        socket.write("354 go ahead\r\n");
+      } else if (line === "QUIT") {
+        socket.end("221 bye\r\n");
+      } else {
+        socket.write("250 ok\r\n");
+      }
+    }
+  });
+});
+
+webhook.listen(0, "127.0.0.1");
+smtp.listen(0, "127.0.0.1");
+await Promise.all([once(webhook, "listening"), once(smtp, "listening")]);
+process.env.NOTIFY_WEBHOOK_URL = `http://127.0.0.1:${webhook.address().port}/hook`;
+process.env.NOTIFY_SMTP_HOST = "127.0.0.1";
+process.env.NOTIFY_SMTP_PORT = String(smtp.address().port);
+const { notify } = await import("../server/notify.js");
+
+after(() => {
+  webhook.close();
+  smtp.close();
+});
+
+async function until(ready) {
+  for (let waited = 0; !ready(); waited += 10) {
+    if (waited > 5000) throw new Error("Nothing was delivered.");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("notifications are posted to the webhook and mailed to those with an address", async () => {
+  const data = {
+    users: [{ id: "u-asha", username: "asha", displayName: "Asha" }, { id: "u-ben", username: "ben", displayName: "Ben" }],
+    subscriptions: [
+      { userId: "u-asha", issues: ["r-1"], categories: [], email: "asha@example.test" },
+      { userId: "u-ben", issues: ["r-1"], categories: [], email: "" },
+    ],
+    notifications: [],
+  };
+  const item = { id: "r-1", type: "issue", title: "Pothole on “Main” Street", category: "Roads", status: "Acknowledged" };
+  const fresh = notify(data, { kind: "status", item, actor: { id: "u-pia", displayName: "Pia", role: "Politician" }, from: "Open" });
+  assert.equal(data.notifications.length, 2);
+
+  await until(() => posts.length === 2 && mails.length === 1);
+  assert.deepEqual(posts.map((p) => p.recipient.username).sort(), ["asha", "ben"]);
+  const toAsha = posts.find((p) => p.recipient.id === "u-asha");
+  assert.deepEqual(toAsha, { event: "status", notification: fresh.find((n) => n.userId === "u-asha"), recipient: { id: "u-asha", username: "asha", displayName: "Asha" } });
+
+  const [mail] = mails;
+  assert.match(mail, /^To: asha@example\.test$/m);
+  assert.match(mail, /^Subject: =\?UTF-8\?B\?.+\?=$/m);
+  assert.match(mail, /because you follow this report or its category\./);
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { currentFeedback, feedbackDue, giveFeedback, satisfactionSummary } from "../src/domain/feedback.js";
+import { applyTransition } from "../src/domain/lifecycle.js";
+import { withApi } from "./api.js";
+
+const asha = { id: "c1", displayName: "Asha", role: "Citizen" };
+const ben = { id: "c2", displayName: "Ben", role: "Citizen" };
+const pia = { id: "p1", displayName: "Pia", role: "Politician" };
+const raj = { id: "p2", displayName: "Raj", role: "Politician" };
+const ada = { id: "a1", displayName: "Ada", role: "Admin" };
+
+const at = "2025-01-01T10:00:00.000Z";
+
+// A report filed by Asha and resolved by `by`
+const resolved = (by = pia, fields = {}) =>
+  applyTransition({ id: "r1", type: "issue", status: "In Progress", reporterId: "c1", constituencyId: null, category: "Roads", history: [], ...fields }, by, { to: "Resolved", note: "Fixed" }, at);
+
+test("only the reporter rates a resolution, once, with a rating and a verdict", () => {
+  const issue = resolved();
+  assert.equal(feedbackDue(issue, asha), true);
+  assert.equal(feedbackDue(issue, ben), false);
+  assert.equal(feedbackDue({ ...issue, status: "Closed" }, asha), false);
+
+  assert.throws(() => giveFeedback(issue, ben, { rating: 5, verdict: "confirmed" }), (err) => err.kind === "forbidden");
+  assert.throws(() => giveFeedback({ ...issue, status: "In Progress" }, asha, { rating: 5, verdict: "confirmed" }), /Only a resolved report/);
+  assert.throws(() => giveFeedback(issue, asha, { rating: 6, verdict: "confirmed" }), /rating from 1 to 5/);
+  assert.throws(() => giveFeedback(issue, asha, { rating: 4, verdict: "maybe" }), /was fixed/);
+
+  const rated = giveFeedback(issue, asha, { rating: "4", verdict: "confirmed", note: " " }, at);
+  assert.equal(rated.status, "Resolved");
+  assert.deepEqual(currentFeedback(rated), {
+    ...rated.feedback[0], resolutionId: issue.history[0].id, resolvedById: "p1", resolvedByName: "Pia", resolvedByRole: "Politician",
+    rating: 4, verdict: "confirmed", note: null, at,
+  });
+  assert.equal(feedbackDue(rated, asha), false);
+  assert.throws(() => giveFeedback(rated, asha, { rating: 5, verdict: "confirmed" }), (err) => err.kind === "conflict");
+});
+
+test("a dispute needs a note and reopens the report with it; the next resolution is rated afresh", () => {
+  const issue = resolved();
+  assert.throws(() => giveFeedback(issue, asha, { rating: 1, verdict: "disputed", note: "  " }), /what is still wrong/);
+
+  const disputed = giveFeedback(issue, asha, { rating: 1, verdict: "disputed", note: " Still leaking " }, at);
+  assert.equal(disputed.status, "Reopened");
+  assert.deepEqual(disputed.history.map((h) => [h.from, h.to, h.byId, h.note]), [
+    ["In Progress", "Resolved", "p1", "Fixed"],
+    ["Resolved", "Reopened", "c1", "Resolution disputed: Still leaking"],
+  ]);
+  assert.equal(disputed.feedback[0].note, "Still leaking");
+  assert.equal(currentFeedback(disputed).verdict, "disputed");
+
+  const again = applyTransition(applyTransition(disputed, raj, { to: "In Progress" }, at), raj, { to: "Resolved", note: "Relaid" }, at);
+  assert.equal(feedbackDue(again, asha), true);
+  const confirmed = giveFeedback(again, asha, { rating: 5, verdict: "confirmed" }, at);
+  assert.deepEqual(confirmed.feedback.map((f) => [f.resolvedById, f.verdict]), [["p1", "disputed"], ["p2", "confirmed"]]);
+});
+
+test("the satisfaction summary totals ratings overall, by category and by the politician who resolved", () => {
+  const rate = (issue, rating, verdict) => giveFeedback(issue, asha, { rating, verdict, note: "Not fixed" }, at);
+  const items = [
+    rate(resolved(pia), 5, "confirmed"),
+    rate(resolved(pia, { id: "r2", category: "Water" }), 2, "disputed"),
+    rate(resolved(raj, { id: "r3", category: "Water" }), 4, "confirmed"),
+    rate(resolved(ada, { id: "r4" }), 3, "confirmed"),
+    resolved(pia, { id: "r5" }),
+    { id: "b1", type: "broadcast", category: "Roads", feedback: [{ rating: 1, verdict: "disputed", resolvedByRole: "Politician" }] },
+  ];
+  const summary = satisfactionSummary(items);
+  assert.deepEqual(summary.overall, { count: 4, average: 3.5, confirmed: 3, disputed: 1 });
+  assert.deepEqual(summary.byCategory, [
+    { key: "Roads", label: "Roads", count: 2, average: 4, confirmed: 2, disputed: 0 },
+    { key: "Water", label: "Water", count: 2, average: 3, confirmed: 1, disputed: 1 },
+  ]);
+  // Admin resolutions count overall but credit no politician
+  assert.deepEqual(summary.byPolitician, [
+    { key: "p1", label: "Pia", count: 2, average: 3.5, confirmed: 1, disputed: 1 },
+    { key: "p2", label: "Raj", count: 1, average: 4, confirmed: 1, disputed: 0 },
+  ]);
+  assert.deepEqual(satisfactionSummary([]), { overall: { count: 0, average: null, confirmed: 0, disputed: 0 }, byCategory: [], byPolitician: [] });
+});
+
+test("the feedback route reopens a disputed report and tells the politician who resolved it", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const reporter = await addUser("asha", "Citizen");
+    const politician = await addUser("pia", "Politician");
+    await call("POST", "/api/issues", { body: { id: "r-1", title: "Leaking main", description: "Water on Station Rd.", category: "Water" }, as: reporter });
+    await call("POST", "/api/issues/r-1/transitions", { body: { to: "In Progress" }, as: politician });
+    await call("POST", "/api/issues/r-1/transitions", { body: { to: "Resolved", note: "Valve replaced" }, as: politician });
+
+    await assert.rejects(call("POST", "/api/issues/r-1/feedback", { body: { rating: 5, verdict: "confirmed" }, as: politician }), (err) => err.kind === "forbidden");
+    const reopened = await call("POST", "/api/issues/r-1/feedback", { body: { rating: 2, verdict: "disputed", note: "Still leaking" }, as: reporter });
+    assert.equal(reopened.status, "Reopened");
+    assert.deepEqual(reopened.feedback.map((f) => [f.resolvedById, f.rating, f.verdict]), [[politician.id, 2, "disputed"]]);
+    assert.ok(db.data.notifications.some((n) => n.userId === politician.id && n.kind === "feedback"));
+    await assert.rejects(call("POST", "/api/issues/r-1/feedback", { body: { rating: 2, verdict: "disputed", note: "Again" }, as: reporter }), /Only a resolved report/);
+  }));
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  boundsFromPoints, formatBounds, inBounds, inGeometry, isValidLocation, parseBounds, project, unproject,
+} from "../src/utils/geo.js";
+
+const square = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+const at = (lng, lat) => ({ lat, lng });
+
+test("a polygon excludes the points inside its holes", () => {
+  const ward = { type: "Polygon", coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] };
+  assert.equal(inGeometry(at(2, 2), ward), true);
+  assert.equal(inGeometry(at(5, 5), ward), false);
+  assert.equal(inGeometry(at(7, 5), ward), true);
+  assert.equal(inGeometry(at(11, 5), ward), false);
+  assert.equal(inGeometry(at(-1, -1), ward), false);
+});
+
+test("a multipolygon contains the points of any of its parts", () => {
+  const ward = {
+    type: "MultiPolygon",
+    coordinates: [[square(0, 0, 2, 2)], [square(10, 10, 20, 20), square(14, 14, 16, 16)]],
+  };
+  assert.equal(inGeometry(at(1, 1), ward), true);
+  assert.equal(inGeometry(at(12, 12), ward), true);
+  assert.equal(inGeometry(at(15, 15), ward), false);
+  assert.equal(inGeometry(at(5, 5), ward), false);
+});
+
+test("a concave ward only contains the points inside its outline", () => {
+  // An L shape: the top right corner is outside
+  const ward = { type: "Polygon", coordinates: [[[0, 0], [10, 0], [10, 5], [5, 5], [5, 10], [0, 10], [0, 0]]] };
+  assert.equal(inGeometry(at(2, 8), ward), true);
+  assert.equal(inGeometry(at(8, 2), ward), true);
+  assert.equal(inGeometry(at(8, 8), ward), false);
+});
+
+test("bounds round-trip through their URL form", () => {
+  const bounds = boundsFromPoints(at(77.6, 13.1), at(77.5, 12.9));
+  assert.deepEqual(bounds, { south: 12.9, west: 77.5, north: 13.1, east: 77.6 });
+  assert.equal(formatBounds(bounds), "12.90000,77.50000,13.10000,77.60000");
+  assert.deepEqual(parseBounds(formatBounds(bounds)), bounds);
+  assert.equal(inBounds(at(77.55, 13), bounds), true);
+  assert.equal(inBounds(at(77.6, 13.1), bounds), true);
+  assert.equal(inBounds(at(77.7, 13), bounds), false);
+});
+
+test("malformed bounds are ignored", () => {
+  for (const text of ["", null, undefined, "1,2,3", "1,2,3,4,5", "a,b,c,d", "1,2,,4", "1,2,3,Infinity"]) {
+    assert.equal(parseBounds(text), null, String(text));
+  }
+  assert.deepEqual(parseBounds(" -1.5, 2 ,3,4"), { south: -1.5, west: 2, north: 3, east: 4 });
+});
+
+test("only finite coordinates on the globe are valid locations", () => {
+  for (const loc of [at(0, 0), at(180, 90), at(-180, -90), at(77.59, 12.97)]) assert.equal(isValidLocation(loc), true);
+  for (const loc of [null, undefined, {}, at(181, 0), at(0, -90.1), at(NaN, 0), at(0, Infinity), { lat: "12", lng: "77" }]) {
+    assert.equal(isValidLocation(loc), false, JSON.stringify(loc));
+  }
+});
+
+test("projecting to map pixels and back returns the same place", () => {
+  const place = at(77.5946, 12.9716);
+  const back = unproject(project(place, 12), 12);
+  assert.ok(Math.abs(back.lat - place.lat) < 1e-9);
+  assert.ok(Math.abs(back.lng - place.lng) < 1e-9);
+  assert.deepEqual(project(at(0, 0), 0), { x: 128, y: 128 });
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { decodeParam, readJson } from "../server/http.js";
+
+// A request body arriving in the given chunks
+function body(...chunks) {
+  return Readable.from(chunks.map((c) => Buffer.from(c)));
+}
+
+test("a character split across chunks is decoded whole", async () => {
+  const bytes = Buffer.from(JSON.stringify({ title: "Straße – “Nagar”" }));
+  const cut = bytes.indexOf(Buffer.from("ß")) + 1;
+  assert.deepEqual(await readJson(body(bytes.subarray(0, cut), bytes.subarray(cut))), { title: "Straße – “Nagar”" });
+});
+
+test("the size limit counts bytes, not characters", async () => {
+  const text = JSON.stringify({ text: "न".repeat(10) }); // 3 bytes per character
+  await assert.rejects(readJson(body(text), { limit: 40 }), { status: 413 });
+  assert.deepEqual(await readJson(body(text), { limit: Buffer.byteLength(text) }), { text: "न".repeat(10) });
+});
+
+test("an empty body is an empty object and a malformed one is a 400", async () => {
+  assert.deepEqual(await readJson(body()), {});
+  await assert.rejects(readJson(body("{nope")), { status: 400 });
+});
+
+test("a body that is not a JSON object is a 400", async () => {
+  for (const text of ["null", "[]", "[{}]", "42", "\"text\"", "true"]) {
+    await assert.rejects(readJson(body(text)), { status: 400, message: "Request body must be a JSON object." }, text);
+  }
+});
+
+test("a malformed escape in a path segment is a 400", () => {
+  assert.equal(decodeParam("r%20%E0%A4%A8"), "r न");
+  assert.throws(() => decodeParam("%E0%A4%A"), { status: 400 });
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// The language switch keeps its choice in localStorage and marks up the page;
+// a plain object stands in for each outside a browser.
+const saved = new Map();
+globalThis.localStorage = { getItem: (key) => saved.get(key) ?? null, setItem: (key, value) => saved.set(key, String(value)) };
+globalThis.document = { documentElement: {} };
+
+const { setLanguage, tn, translateMessage } = await import("../src/i18n/index.js");
+const catalogs = Object.fromEntries(await Promise.all(["en", "es", "hi", "ar"].map(async (code) => [code, (await import(`../src/i18n/${code}.js`)).default])));
+const { applyTransition } = await import("../src/domain/lifecycle.js");
+const { slaFields } = await import("../src/domain/sla.js");
+const { pollFields } = await import("../src/domain/polls.js");
+const { DomainError } = await import("../src/domain/errors.js");
+const { commentProblem } = await import("../src/domain/moderation.js");
+const { prepareImport, readImportFile } = await import("../src/domain/transfer.js");
+
+function messageOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof DomainError, err.message);
+    return err.message;
+  }
+  assert.fail("expected an error");
+}
+
+test("domain messages are shown in the active language, with the values they name", () => {
+  setLanguage("es");
+  const issue = { id: "r1", type: "issue", status: "Resolved", reporterId: "c1", history: [] };
+  const moved = messageOf(() => applyTransition(issue, { id: "a1", role: "Admin" }, { to: "Acknowledged" }));
+  assert.equal(moved, 'A report cannot move from "Resolved" to "Acknowledged".');
+  assert.equal(translateMessage(moved), "Un reporte no puede pasar de «Resuelto» a «Recibido».");
+  assert.equal(translateMessage("Report r-17 not found."), "No se encontró el reporte r-17.");
+  setLanguage("en");
+});
+
+test("every message the lifecycle, deadlines and poll rules word has a translation", () => {
+  setLanguage("ar");
+  const issue = (status) => ({ id: "r1", type: "issue", status, reporterId: "c1", constituencyId: null, history: [] });
+  const citizen = { id: "c2", role: "Citizen" };
+  const admin = { id: "a1", role: "Admin" };
+  const messages = [
+    ...["Acknowledged", "Rejected", "Duplicate"].map((to) => messageOf(() => applyTransition(issue("Open"), citizen, { to }))),
+    ...["In Progress"].map((to) => messageOf(() => applyTransition(issue("Acknowledged"), citizen, { to }))),
+    ...["Resolved"].map((to) => messageOf(() => applyTransition(issue("In Progress"), citizen, { to }))),
+    ...["Closed", "Reopened"].map((to) => messageOf(() => applyTransition(issue("Resolved"), citizen, { to }))),
+    messageOf(() => applyTransition(issue("Open"), admin, { to: "Rejected" })),
+    messageOf(() => applyTransition(issue("Closed"), admin, { to: "Reopened" })),
+    messageOf(() => applyTransition(issue("Open"), admin, { to: "Duplicate" })),
+    messageOf(() => slaFields({ acknowledgeDays: -1 })),
+    messageOf(() => slaFields({ resolveDays: 0 })),
+    messageOf(() => slaFields({ acknowledgeDays: 5, resolveDays: 2 })),
+    commentProblem({ type: "broadcast", state: "draft" }, citizen),
+    commentProblem({ type: "broadcast", state: "retracted" }, citizen),
+    ...prepareImport([{ status: "Lost", date: "someday", lat: "91", language: "x_y" }, { title: "Bench", description: "Split", date: "2999-01-01" }], []).flatMap((row) => row.errors),
+    ...["[", "{}", "", "title\n\"open"].map((text) => { try { readImportFile(text, "import.csv"); } catch (err) { return err.message; } return "parsed"; }),
+    messageOf(() => pollFields({ title: "Parks", description: "Which park first?", questions: [{ kind: "single", prompt: "Which?", options: ["A", "B"] }], opensAt: "soon" }, { categories: [], constituencies: [] }, { id: "p1", role: "Politician" })),
+  ];
+  for (const message of messages) assert.notEqual(translateMessage(message), message, message);
+  setLanguage("en");
+});
+
+test("messages without a catalog entry are shown as they are", () => {
+  setLanguage("hi");
+  assert.equal(translateMessage("Failed to fetch"), "Failed to fetch");
+  assert.equal(translateMessage(undefined), "");
+  setLanguage("en");
+});
+
+// A missing form falls back to English before the language's own "other"
+test("every plural a language translates has each form English has", () => {
+  const englishForms = Object.keys(catalogs.en).filter((key) => /\.(one|other)$/.test(key));
+  for (const [code, catalog] of Object.entries(catalogs)) {
+    const missing = englishForms.filter((key) => `${key.replace(/\.\w+$/, "")}.other` in catalog && !(key in catalog));
+    assert.deepEqual(missing, [], code);
+  }
+  setLanguage("ar");
+  assert.equal(tn("duration.minutes", 1), "1 د");
+  setLanguage("en");
+});
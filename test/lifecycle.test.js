@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DomainError } from "../src/domain/errors.js";
+import { STATUSES, TransitionError, alreadyApplied, applyTransition, availableTransitions } from "../src/domain/lifecycle.js";
+
+const users = {
+  reporter: { id: "c1", displayName: "Asha", role: "Citizen" },
+  citizen: { id: "c2", displayName: "Ben", role: "Citizen" },
+  politician: { id: "p1", displayName: "R. Mehta", role: "Politician" },
+  moderator: { id: "m1", displayName: "Mo", role: "Moderator" },
+  admin: { id: "a1", displayName: "Ada", role: "Admin" },
+};
+
+const report = (status, fields = {}) => ({ id: "r1", type: "issue", status, reporterId: "c1", constituencyId: null, history: [], ...fields });
+
+// Who may apply each transition, by the status it starts from
+const triage = { Acknowledged: ["politician", "moderator", "admin"], "In Progress": ["politician", "admin"], Rejected: ["politician", "moderator", "admin"], Duplicate: ["politician", "moderator", "admin"] };
+const allowed = {
+  "Open": triage,
+  "Reopened": triage,
+  "Acknowledged": { "In Progress": ["politician", "admin"], Rejected: ["politician", "moderator", "admin"], Duplicate: ["politician", "moderator", "admin"] },
+  "In Progress": { Resolved: ["politician", "admin"], Rejected: ["politician", "moderator", "admin"], Duplicate: ["politician", "moderator", "admin"] },
+  "Resolved": { Closed: ["reporter", "politician", "moderator", "admin"], Reopened: ["reporter", "politician", "moderator", "admin"] },
+  "Closed": { Reopened: ["reporter", "politician", "moderator", "admin"] },
+  "Rejected": { Reopened: ["reporter", "politician", "moderator", "admin"] },
+  "Duplicate": { Reopened: ["reporter", "politician", "moderator", "admin"] },
+};
+
+const change = (to) => ({ to, note: "Checked on site", duplicateOf: "r0" });
+
+test("each role may apply exactly its transitions", () => {
+  for (const [from, targets] of Object.entries(allowed)) {
+    for (const [to, who] of Object.entries(targets)) {
+      for (const [name, user] of Object.entries(users)) {
+        const issue = report(from);
+        if (who.includes(name)) {
+          const updated = applyTransition(issue, user, change(to), "2025-01-01T10:00:00.000Z");
+          assert.equal(updated.status, to, `${name}: ${from} → ${to}`);
+          assert.deepEqual(updated.history.map((h) => [h.from, h.to, h.byId]), [[from, to, user.id]]);
+        } else {
+          assert.throws(() => applyTransition(issue, user, change(to)), (err) => err instanceof TransitionError, `${name}: ${from} → ${to}`);
+        }
+      }
+    }
+  }
+});
+
+test("the transitions offered match the ones allowed", () => {
+  for (const [from, targets] of Object.entries(allowed)) {
+    for (const [name, user] of Object.entries(users)) {
+      const expected = Object.entries(targets).filter(([, who]) => who.includes(name)).map(([to]) => to);
+      assert.deepEqual(availableTransitions(report(from), user).map((t) => t.to).sort(), expected.sort(), `${name} on ${from}`);
+    }
+  }
+  assert.deepEqual(availableTransitions(report("Open"), null), []);
+});
+
+test("moves the workflow does not have are invalid for everyone", () => {
+  for (const from of STATUSES) {
+    for (const to of STATUSES) {
+      if (allowed[from][to]) continue;
+      assert.throws(() => applyTransition(report(from), users.admin, change(to)), (err) => err instanceof DomainError && err.kind === "invalid", `${from} → ${to}`);
+    }
+  }
+  assert.throws(() => applyTransition({ ...report("Open"), type: "broadcast" }, users.admin, change("Acknowledged")), /Broadcasts do not have a status/);
+});
+
+test("a guest or a citizen who did not file the report is forbidden", () => {
+  assert.throws(() => applyTransition(report("Resolved"), null, change("Closed")), (err) => err.kind === "forbidden");
+  assert.throws(() => applyTransition(report("Resolved"), users.citizen, change("Closed")), (err) => err.kind === "forbidden" && /the original reporter/.test(err.message));
+});
+
+test("staff outside the report's constituency are forbidden", () => {
+  const outside = { ...users.politician, constituencies: ["north"] };
+  assert.throws(() => applyTransition(report("Open", { constituencyId: "south" }), outside, change("Acknowledged")), /constituency you do not serve/);
+  assert.equal(applyTransition(report("Open", { constituencyId: "north" }), outside, change("Acknowledged")).status, "Acknowledged");
+});
+
+test("rejecting and reopening need a note", () => {
+  for (const [from, to] of [["Open", "Rejected"], ["Resolved", "Reopened"], ["Closed", "Reopened"]]) {
+    assert.throws(() => applyTransition(report(from), users.admin, { to, note: "  " }), (err) => err.kind === "invalid" && /note explaining why/.test(err.message));
+    const updated = applyTransition(report(from), users.admin, { to, note: " Not fixed " });
+    assert.equal(updated.history[0].note, "Not fixed");
+  }
+  assert.equal(applyTransition(report("Open"), users.admin, { to: "Acknowledged" }).history[0].note, null);
+});
+
+test("marking a duplicate needs the original, which cannot be the report itself", () => {
+  assert.throws(() => applyTransition(report("Open"), users.admin, { to: "Duplicate" }), /Choose the original report/);
+  assert.throws(() => applyTransition(report("Open"), users.admin, { to: "Duplicate", duplicateOf: "r1" }), /Choose the original report/);
+  const updated = applyTransition(report("Open"), users.admin, { to: "Duplicate", duplicateOf: "r0" });
+  assert.equal(updated.duplicateOf, "r0");
+  assert.equal(updated.history[0].duplicateOf, "r0");
+  const reopened = applyTransition(updated, users.reporter, { to: "Reopened", note: "Not the same problem" });
+  assert.equal(reopened.duplicateOf, null);
+});
+
+test("a change made with an id records it and is recognised when resent", () => {
+  const updated = applyTransition(report("Open"), users.admin, { id: "t-1", to: "Acknowledged" });
+  assert.equal(updated.history[0].id, "t-1");
+  assert.equal(alreadyApplied(updated, users.admin, { id: "t-1" }), true);
+  assert.equal(alreadyApplied(updated, users.politician, { id: "t-1" }), false);
+  assert.equal(alreadyApplied(updated, users.admin, {}), false);
+  assert.throws(() => applyTransition(report("Open"), users.admin, { id: 7, to: "Acknowledged" }), (err) => err.kind === "invalid");
+});
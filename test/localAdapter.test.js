@@ -0,0 +1,108 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CATEGORIES } from "../src/domain/categories.js";
+import { createLocalAdapter } from "../src/storage/localAdapter.js";
+
+// The browser-only adapter over an in-memory localStorage. Accounts are added
+// straight to storage and `as(user)` switches the session, like test/api.js.
+
+const saved = new Map();
+globalThis.localStorage = {
+  getItem: (key) => saved.get(key) ?? null,
+  setItem: (key, value) => saved.set(key, String(value)),
+  removeItem: (key) => saved.delete(key),
+};
+
+const account = (username, role) => ({ id: `u-${username}`, username, displayName: username, role, constituencies: [], homeConstituency: null });
+const asha = account("asha", "Citizen");
+const ben = account("ben", "Citizen");
+const pia = account("pia", "Politician");
+const mo = account("mo", "Moderator");
+
+const as = (user) => localStorage.setItem("fedf_session_v1", user.id);
+const store = createLocalAdapter();
+
+beforeEach(() => {
+  saved.clear();
+  localStorage.setItem("fedf_users_v1", JSON.stringify([asha, ben, pia, mo]));
+});
+
+test("hidden or held content reads as missing to those who cannot see it", async () => {
+  as(asha);
+  const created = await store.createIssue({ id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" });
+  assert.deepEqual(created, (await store.listIssues())[0]);
+  as(pia);
+  await store.addComment("r-1", { id: "k-1", text: "On it" });
+
+  as(mo);
+  await store.moderateContent("r-1", { action: "hide", reason: "Off topic", commentId: "k-1" });
+  as(asha);
+  await assert.rejects(store.reactToComment("r-1", "k-1", "👍", true), /Comment k-1 not found/);
+  await assert.rejects(store.flagContent("r-1", { reason: "spam", commentId: "k-1" }), /Comment k-1 not found/);
+
+  as(mo);
+  await store.moderateContent("r-1", { action: "hide", reason: "Duplicate of another", commentId: null });
+  as(ben);
+  const missing = /Report r-1 no longer exists/;
+  await assert.rejects(store.addComment("r-1", { id: "k-2", text: "Any news?" }), missing);
+  await assert.rejects(store.supportIssue("r-1", true), missing);
+  await assert.rejects(store.flagContent("r-1", { reason: "spam" }), missing);
+  as(pia);
+  await assert.rejects(store.transitionIssue("r-1", { to: "Acknowledged" }), missing);
+  await assert.rejects(store.setOfficialResponse("r-1", "k-1"), missing);
+
+  as(mo);
+  const [stored] = await store.listIssues();
+  assert.deepEqual(stored.comments.map((c) => c.id), ["k-1"]);
+  assert.deepEqual([stored.supporters, stored.flags, stored.status], [[], [], "Open"]);
+});
+
+test("changing the categories read before any are saved leaves the defaults alone", async () => {
+  const original = structuredClone(DEFAULT_CATEGORIES);
+  const categories = await store.listCategories();
+  assert.deepEqual(categories, original);
+  categories[0].name = "Changed";
+  categories.push({ id: "extra" });
+  assert.deepEqual(DEFAULT_CATEGORIES, original);
+  assert.deepEqual(await store.listCategories(), original);
+});
+
+test("reports and comments made in the same moment get distinct ids", async () => {
+  as(asha);
+  const fields = { title: "Broken bench", description: "The slats are split.", category: "Roads" };
+  const [first, second] = await Promise.all([store.createIssue(fields), store.createIssue(fields)]);
+  assert.notEqual(first.id, second.id);
+  await store.addComment(first.id, { text: "One" });
+  const updated = await store.addComment(first.id, { text: "Two" });
+  assert.equal(new Set(updated.comments.map((c) => c.id)).size, 2);
+});
+
+test("a poll cannot take an id already in use", async () => {
+  as(asha);
+  await store.createIssue({ id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" });
+  as(pia);
+  const poll = {
+    id: "r-1", title: "Park hours", description: "When should the park open?", category: "General",
+    closesAt: new Date(Date.now() + 86400000).toISOString(), questions: [{ kind: "text", prompt: "Anything else?" }],
+  };
+  await assert.rejects(store.createPoll(poll), /Poll r-1 already exists/);
+  assert.deepEqual((await store.listIssues()).map((it) => it.type), ["issue"]);
+});
+
+test("only a poll the citizen can see can be answered", async () => {
+  as(asha);
+  await store.createIssue({ id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" });
+  as(pia);
+  await store.createPoll({
+    id: "poll-1", title: "Park hours", description: "When should the park open?", category: "General",
+    closesAt: new Date(Date.now() + 86400000).toISOString(), questions: [{ kind: "text", prompt: "Anything else?" }],
+  });
+  as(asha);
+  await assert.rejects(store.respondToPoll("r-1", { q1: "Later" }), /Poll r-1 not found/);
+  as(mo);
+  await store.moderateContent("poll-1", { action: "hide", reason: "Misleading", commentId: null });
+  as(asha);
+  await assert.rejects(store.respondToPoll("poll-1", { q1: "Later" }), /Report poll-1 no longer exists/);
+  as(mo);
+  assert.deepEqual((await store.listIssues()).find((it) => it.id === "poll-1").responses, []);
+});
@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { editContent, redactFor, visibleTo } from "../src/domain/moderation.js";
+import { withApi } from "./api.js";
+
+const asha = { id: "c1", displayName: "Asha", role: "Citizen" };
+const ben = { id: "c2", displayName: "Ben", role: "Citizen" };
+const pia = { id: "p1", displayName: "Pia", role: "Politician" };
+const mo = { id: "m1", displayName: "Mo", role: "Moderator" };
+const ada = { id: "a1", displayName: "Ada", role: "Admin" };
+
+const flag = (userId) => ({ id: `f-${userId}`, userId, reason: "spam", note: null, at: "2025-01-01T10:00:00.000Z" });
+const comment = (id, authorId, fields = {}) => ({ id, authorId, text: id, flags: [], hidden: false, held: false, ...fields });
+
+const report = (fields = {}) => ({
+  id: "r1", type: "issue", reporterId: "c1", hidden: false, held: false,
+  flags: [flag("c2"), flag("p1")],
+  comments: [
+    comment("shown", "c2", { flags: [flag("c1")] }),
+    comment("hidden", "c2", { hidden: true }),
+    comment("held", "c1", { held: "possible profanity" }),
+  ],
+  ...fields,
+});
+
+const commentIds = (item) => item.comments.map((c) => c.id);
+
+test("moderators and admins see everything, flags included", () => {
+  for (const user of [mo, ada]) {
+    const shown = redactFor(report({ held: "looks like advertising" }), user);
+    assert.deepEqual(commentIds(shown), ["shown", "hidden", "held"]);
+    assert.equal(shown.flags.length, 2);
+  }
+});
+
+test("others see public comments, their own held ones and only their own flags", () => {
+  assert.deepEqual(commentIds(redactFor(report(), asha)), ["shown", "held"]);
+  assert.deepEqual(commentIds(redactFor(report(), ben)), ["shown"]);
+  assert.deepEqual(commentIds(redactFor(report(), pia)), ["shown"]);
+  assert.deepEqual(commentIds(redactFor(report(), null)), ["shown"]);
+  assert.deepEqual(redactFor(report(), ben).flags.map((f) => f.userId), ["c2"]);
+  assert.deepEqual(redactFor(report(), asha).comments[0].flags.map((f) => f.userId), ["c1"]);
+  assert.deepEqual(redactFor(report(), null).flags, []);
+});
+
+test("a held item reaches its author and moderators; a hidden one only moderators", () => {
+  const held = report({ held: "possible profanity" });
+  assert.ok(redactFor(held, asha));
+  assert.equal(redactFor(held, ben), null);
+  assert.equal(redactFor(held, pia), null);
+  const hidden = report({ hidden: true });
+  assert.equal(redactFor(hidden, asha), null);
+  assert.equal(redactFor(hidden, null), null);
+  assert.ok(redactFor(hidden, mo));
+  assert.deepEqual(visibleTo([report(), hidden], ben).length, 1);
+});
+
+test("unpublished broadcasts reach only their author", () => {
+  const draft = { ...report({ reporterId: "p1", flags: [], comments: [] }), type: "broadcast", state: "draft" };
+  assert.ok(redactFor(draft, pia));
+  for (const user of [asha, mo, ada, null]) assert.equal(redactFor(draft, user), null);
+  assert.ok(redactFor({ ...draft, state: "published" }, asha));
+});
+
+test("a scoped moderator cannot move a report to a constituency they do not serve", () => {
+  const scoped = { ...mo, constituencies: ["north"] };
+  const item = report({ constituencyId: "north", moderationLog: [] });
+  const edit = (constituencyId) => editContent(item, scoped, { constituencyId, reason: "Wrong ward" });
+  assert.throws(() => edit("south"), (err) => err.kind === "forbidden");
+  assert.equal(edit(null).constituencyId, null);
+  assert.equal(editContent(item, mo, { constituencyId: "south", reason: "Wrong ward" }).constituencyId, "south");
+});
+
+test("content the caller cannot see cannot be commented on, reacted to or flagged", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const author = await addUser("asha", "Citizen");
+    const other = await addUser("ben", "Citizen");
+    const mod = await addUser("mo", "Moderator");
+    await call("POST", "/api/issues", { body: { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" }, as: author });
+    await call("POST", "/api/issues/r-1/comments", { body: { id: "k-1", text: "Mine too" }, as: other });
+    await call("POST", "/api/issues/r-1/moderation", { body: { action: "hide", reason: "Off topic", commentId: "k-1" }, as: mod });
+
+    const notFound = (err) => err.status === 404;
+    await assert.rejects(call("POST", "/api/issues/r-1/comments/k-1/reactions", { body: { emoji: "👍", reacted: true }, as: author }), notFound);
+    await assert.rejects(call("POST", "/api/issues/r-1/flags", { body: { reason: "spam", commentId: "k-1" }, as: author }), notFound);
+
+    await call("POST", "/api/issues/r-1/moderation", { body: { action: "hide", reason: "Duplicate of another", commentId: null }, as: mod });
+    await assert.rejects(call("POST", "/api/issues/r-1/comments", { body: { id: "k-2", text: "Any news?" }, as: other }), notFound);
+    await assert.rejects(call("POST", "/api/issues/r-1/flags", { body: { reason: "spam" }, as: other }), notFound);
+    assert.equal(db.data.issues[0].comments.length, 1);
+    assert.deepEqual(db.data.issues[0].flags, []);
+
+    const seen = await call("POST", "/api/issues/r-1/comments", { body: { id: "k-3", text: "Hidden pending review" }, as: mod });
+    assert.deepEqual(seen.comments.map((c) => c.id), ["k-1", "k-3"]);
+  }));
+
+test("hidden or held reports cannot be supported, moved on or answered by those who cannot see them", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const author = await addUser("asha", "Citizen");
+    const other = await addUser("ben", "Citizen");
+    const pol = await addUser("pia", "Politician");
+    const mod = await addUser("mo", "Moderator");
+    const report = { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" };
+    const created = await call("POST", "/api/issues", { body: report, as: author });
+    assert.deepEqual(created, await call("GET", "/api/issues/r-1", { as: author }));
+    await call("POST", "/api/issues/r-1/comments", { body: { id: "k-1", text: "On it" }, as: pol });
+
+    const notFound = (err) => err.status === 404;
+    const attempts = [
+      ["POST", "/api/issues/r-1/support", {}, other],
+      ["DELETE", "/api/issues/r-1/support", undefined, other],
+      ["POST", "/api/issues/r-1/transitions", { to: "Acknowledged" }, pol],
+      ["POST", "/api/issues/r-1/official", { commentId: "k-1" }, pol],
+      ["POST", "/api/issues/r-1/feedback", { rating: 1, verdict: "disputed", note: "Still broken" }, other],
+    ];
+    await db.update((data) => { data.issues[0].held = "possible advertising"; });
+    for (const [method, path, body, as] of attempts) await assert.rejects(call(method, path, { body, as }), notFound);
+    await call("POST", "/api/issues/r-1/moderation", { body: { action: "hide", reason: "Off topic", commentId: null }, as: mod });
+    for (const [method, path, body, as] of attempts) await assert.rejects(call(method, path, { body, as }), notFound);
+    await assert.rejects(call("POST", "/api/issues/r-1/feedback", { body: { rating: 1, verdict: "disputed", note: "Still broken" }, as: author }), notFound);
+    assert.equal(db.data.issues[0].status, "Open");
+    assert.equal(db.data.issues[0].officialResponseId ?? null, null);
+
+    const moved = await call("POST", "/api/issues/r-1/transitions", { body: { to: "Acknowledged" }, as: mod });
+    assert.equal(moved.status, "Acknowledged");
+  }));
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_NOTIFICATIONS_PER_USER, appendNotifications, buildNotifications, isFollowing, markRead, setFollow, subscriptionFor,
+} from "../src/domain/notifications.js";
+import { withApi } from "./api.js";
+
+const item = { id: "r1", type: "issue", title: "Pothole on Main Street", category: "Roads", status: "Resolved" };
+const actor = { id: "mp", displayName: "R. Mehta", role: "Politician" };
+const subscriptions = [{ userId: "citizen", issues: ["r1"], categories: [] }];
+
+test("events raised together about one item get distinct ids", () => {
+  const at = "2025-01-01T10:00:00.000Z";
+  const fresh = [
+    ...buildNotifications({ kind: "status", item, actor, from: "In Progress" }, subscriptions, at),
+    ...buildNotifications({ kind: "rate", item, actor, recipients: ["citizen"] }, subscriptions, at),
+  ];
+  assert.deepEqual(fresh.map((n) => n.kind), ["status", "rate"]);
+  assert.equal(new Set(fresh.map((n) => n.id)).size, 2);
+  assert.equal(appendNotifications([], fresh).length, 2);
+});
+
+test("the actor is not told about their own change", () => {
+  const mine = buildNotifications({ kind: "status", item, actor, from: "Open" }, [...subscriptions, { userId: "mp", issues: ["r1"], categories: [] }]);
+  assert.deepEqual(mine.map((n) => n.userId), ["citizen"]);
+});
+
+test("notifications carry what the reader's language needs to word them", () => {
+  const [status] = buildNotifications({ kind: "status", item, actor, from: "In Progress" }, subscriptions);
+  assert.deepEqual(status.params, { who: "R. Mehta", role: "Politician", title: "Pothole on Main Street", category: "Roads", from: "In Progress", to: "Resolved" });
+  const [overdue] = buildNotifications({ kind: "overdue", item, actor: null, stage: "resolve", level: 2, recipients: ["citizen"] }, subscriptions);
+  assert.deepEqual(overdue.params, { who: null, role: null, title: "Pothole on Main Street", category: "Roads", stage: "resolve", level: 2 });
+  assert.equal(overdue.message, "“Pothole on Main Street” was not resolved in time and has been escalated to the Admins.");
+});
+
+test("follows are kept per item and per category", () => {
+  let subs = setFollow([], "asha", { issueId: "r1" }, true);
+  subs = setFollow(subs, "asha", { category: "Water" }, true);
+  subs = setFollow(subs, "asha", { issueId: "r1" }, true);
+  subs = setFollow(subs, "ben", { category: "Roads" }, true);
+  const asha = subscriptionFor(subs, "asha");
+  assert.deepEqual([asha.issues, asha.categories], [["r1"], ["Water"]]);
+  assert.equal(isFollowing(asha, { issueId: "r1" }), true);
+  assert.equal(isFollowing(asha, { category: "Roads" }), false);
+
+  subs = setFollow(subs, "asha", { issueId: "r1" }, false);
+  subs = setFollow(subs, "asha", { category: "Roads" }, false);
+  assert.deepEqual(subscriptionFor(subs, "asha").issues, []);
+  assert.deepEqual(subscriptionFor(subs, "asha").categories, ["Water"]);
+  assert.deepEqual(subscriptionFor(subs, "ben").categories, ["Roads"]);
+  assert.deepEqual(subscriptionFor(subs, "carl"), { userId: "carl", issues: [], categories: [], email: "" });
+});
+
+test("marking read touches only the reader's notifications", () => {
+  const stored = [
+    { id: "n1", userId: "asha", read: false },
+    { id: "n2", userId: "asha", read: false },
+    { id: "n3", userId: "ben", read: false },
+  ];
+  assert.deepEqual(markRead(stored, "asha", ["n2", "n3"]).map((n) => n.read), [false, true, false]);
+  assert.deepEqual(markRead(stored, "asha").map((n) => n.read), [true, true, false]);
+  assert.deepEqual(markRead(stored, "asha", []).map((n) => n.read), [true, true, false]);
+  assert.equal(stored[0].read, false);
+});
+
+test("each reader keeps only their newest notifications", () => {
+  const old = Array.from({ length: MAX_NOTIFICATIONS_PER_USER }, (_, i) => ({ id: `old-${i}`, userId: "asha" }));
+  const kept = appendNotifications([...old, { id: "ben-1", userId: "ben" }], [{ id: "new", userId: "asha" }]);
+  const ashas = kept.filter((n) => n.userId === "asha");
+  assert.equal(ashas.length, MAX_NOTIFICATIONS_PER_USER);
+  assert.equal(ashas[0].id, "new");
+  assert.equal(ashas.at(-1).id, `old-${MAX_NOTIFICATIONS_PER_USER - 2}`);
+  assert.ok(kept.some((n) => n.id === "ben-1"));
+});
+
+test("followers of an item or its category hear about it, but not whoever acted", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const asha = await addUser("asha", "Citizen");
+    const ben = await addUser("ben", "Citizen");
+    const carl = await addUser("carl", "Citizen");
+    const pia = await addUser("pia", "Politician");
+    await call("PATCH", "/api/subscription", { body: { category: "Roads", follow: true }, as: ben });
+    await call("PATCH", "/api/subscription", { body: { category: "Roads", follow: true }, as: pia });
+    await call("PATCH", "/api/subscription", { body: { category: "Water", follow: true }, as: carl });
+    await call("POST", "/api/issues", { body: { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" }, as: asha });
+    const inbox = async (user) => (await call("GET", "/api/notifications", { as: user })).map((n) => n.kind);
+    assert.deepEqual([await inbox(asha), await inbox(ben), await inbox(carl), await inbox(pia)], [[], ["report"], [], ["report"]]);
+
+    // The reporter follows their report, and commenters the discussion
+    await call("POST", "/api/issues/r-1/comments", { body: { id: "k-1", text: "Crew sent" }, as: pia });
+    assert.deepEqual([await inbox(asha), await inbox(ben), await inbox(pia)], [["comment"], ["comment", "report"], ["report"]]);
+
+    await call("PATCH", "/api/subscription", { body: { category: "Roads", follow: false }, as: ben });
+    await call("POST", "/api/issues/r-1/comments", { body: { id: "k-2", text: "Thank you" }, as: asha });
+    assert.deepEqual([await inbox(asha), await inbox(ben), await inbox(pia)], [["comment"], ["comment", "report"], ["comment", "report"]]);
+    await assert.rejects(call("PATCH", "/api/subscription", { body: { issueId: "r-9", follow: true }, as: ben }), (err) => err.status === 404);
+
+    const [unread] = await call("GET", "/api/notifications", { as: ben });
+    const after = await call("POST", "/api/notifications/read", { body: { ids: [unread.id] }, as: ben });
+    assert.deepEqual(after.map((n) => n.read), [true, false]);
+    assert.deepEqual((await call("POST", "/api/notifications/read", { body: {}, as: ben })).map((n) => n.read), [true, true]);
+    assert.ok(db.data.notifications.filter((n) => n.userId !== ben.id).every((n) => !n.read));
+  }));
@@ -0,0 +1,218 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createOfflineAdapter } from "../src/storage/offlineAdapter.js";
+import { NetworkError } from "../src/storage/restAdapter.js";
+
+// The offline adapter against an in-memory IndexedDB and a stand-in for the
+// REST adapter that records what reaches the "server" and can be taken down.
+
+const stores = new Map();
+
+function request(result) {
+  return { result };
+}
+
+globalThis.indexedDB = {
+  open() {
+    const req = {};
+    setTimeout(() => {
+      req.result = {
+        createObjectStore(name, { keyPath = null, autoIncrement = false } = {}) {
+          stores.set(name, { keyPath, autoIncrement, rows: new Map(), next: 1 });
+        },
+        transaction(name) {
+          const store = stores.get(name);
+          const sorted = () => [...store.rows.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+          const tx = {
+            objectStore: () => ({
+              getAll: () => request(sorted().map(([, value]) => structuredClone(value))),
+              get: (key) => request(structuredClone(store.rows.get(key))),
+              put(value, key) {
+                const row = structuredClone(value);
+                if (store.keyPath) {
+                  if (row[store.keyPath] === undefined && store.autoIncrement) row[store.keyPath] = store.next++;
+                  key = row[store.keyPath];
+                }
+                store.rows.set(key, row);
+                return request(key);
+              },
+              delete(key) {
+                store.rows.delete(key);
+                return request(undefined);
+              },
+              clear() {
+                store.rows.clear();
+                return request(undefined);
+              },
+            }),
+          };
+          setTimeout(() => tx.oncomplete());
+          return tx;
+        },
+      };
+      req.onupgradeneeded();
+      req.onsuccess();
+    });
+    return req;
+  },
+};
+
+let goOnline = null;
+globalThis.window = { addEventListener: (type, listener) => { if (type === "online") goOnline = listener; } };
+globalThis.navigator = { onLine: true };
+
+const asha = { id: "u-asha", displayName: "Asha", role: "Admin" };
+const ben = { id: "u-ben", displayName: "Ben", role: "Citizen" };
+
+// The "server": `calls` lists what reached it, `down` makes every call fail as
+// unreachable and `failNext(method, error)` makes the next such call throw.
+function fakeServer() {
+  const server = { calls: [], down: false, failures: new Map() };
+  const reach = (method, result) => async (...args) => {
+    if (server.down) throw new NetworkError("Cannot reach the server.");
+    const failure = server.failures.get(method);
+    if (failure) {
+      server.failures.delete(method);
+      throw failure;
+    }
+    server.calls.push([method, ...args]);
+    return result(...args);
+  };
+  server.failNext = (method, error) => server.failures.set(method, error);
+  server.adapter = {
+    name: "rest",
+    login: async (username) => (username === "asha" ? asha : ben),
+    logout: async () => undefined,
+    currentUser: reach("currentUser", () => null),
+    listIssues: reach("listIssues", () => []),
+    createIssue: reach("createIssue", (issue) => ({ ...issue, saved: true })),
+    addComment: reach("addComment", (issueId, comment) => ({ id: issueId, comments: [comment], saved: true })),
+    transitionIssue: reach("transitionIssue", (issueId, change) => ({ id: issueId, status: change.to, saved: true })),
+    subscribe: () => () => undefined,
+  };
+  return server;
+}
+
+const report = (id) => ({ id, type: "issue", title: `Report ${id}`, status: "Open", comments: [], history: [], createdAt: new Date().toISOString() });
+
+let server;
+let store;
+
+beforeEach(async () => {
+  for (const { rows } of stores.values()) rows.clear();
+  navigator.onLine = true;
+  server = fakeServer();
+  store = createOfflineAdapter(server.adapter);
+  await store.login("asha");
+  navigator.onLine = false;
+});
+
+const sent = () => server.calls.map(([method]) => method);
+
+// Back online: the browser event starts the replay, which listIssues waits for
+async function reconnect() {
+  navigator.onLine = true;
+  goOnline();
+  await store.listIssues();
+}
+
+test("changes made offline are queued and shown from the cache", async () => {
+  const created = await store.createIssue(report("r-1"));
+  assert.equal(created.reporterId, "u-asha");
+  const updated = await store.transitionIssue("r-1", { id: "t-1", to: "Acknowledged" });
+  assert.equal(updated.status, "Acknowledged");
+  assert.equal(updated.history.at(-1).id, "t-1");
+
+  assert.deepEqual(sent(), []);
+  const outbox = await store.listOutbox();
+  assert.deepEqual(outbox.map((e) => [e.method, e.itemId, e.status]), [["createIssue", "r-1", "pending"], ["transitionIssue", "r-1", "pending"]]);
+
+  server.down = true;
+  const cached = await store.listIssues();
+  assert.equal(cached[0].status, "Acknowledged");
+});
+
+test("a call that cannot reach the server is queued instead of failing", async () => {
+  navigator.onLine = true;
+  server.down = true;
+  await store.createIssue(report("r-1"));
+  assert.equal((await store.listOutbox()).length, 1);
+});
+
+test("queued changes are sent in the order they were made, with their ids", async () => {
+  await store.createIssue(report("r-1"));
+  await store.addComment("r-1", { id: "c-1", text: "Still broken" });
+  await store.transitionIssue("r-1", { id: "t-1", to: "Acknowledged" });
+
+  await reconnect();
+  assert.deepEqual(sent(), ["createIssue", "addComment", "transitionIssue", "listIssues"]);
+  assert.equal(server.calls[0][1].queued, true);
+  assert.deepEqual(server.calls[1], ["addComment", "r-1", { id: "c-1", text: "Still broken", queued: true }]);
+  assert.deepEqual(server.calls[2], ["transitionIssue", "r-1", { id: "t-1", to: "Acknowledged" }]);
+  assert.deepEqual(await store.listOutbox(), []);
+});
+
+test("losing the connection mid-replay leaves the rest queued", async () => {
+  await store.createIssue(report("r-1"));
+  await store.createIssue(report("r-2"));
+  server.failNext("createIssue", new NetworkError("Cannot reach the server."));
+
+  await reconnect();
+  assert.deepEqual(sent(), ["listIssues"]);
+  const outbox = await store.listOutbox();
+  assert.deepEqual(outbox.map((e) => [e.itemId, e.status]), [["r-1", "pending"], ["r-2", "pending"]]);
+
+  await store.listIssues();
+  assert.deepEqual(server.calls.slice(1, 3).map(([method, issue]) => [method, issue.id]), [["createIssue", "r-1"], ["createIssue", "r-2"]]);
+  assert.deepEqual(await store.listOutbox(), []);
+});
+
+test("a rejected change is kept as failed until retried", async () => {
+  await store.createIssue(report("r-1"));
+  await store.createIssue(report("r-2"));
+  server.failNext("createIssue", new Error("A title is required."));
+
+  await reconnect();
+  const [failed] = await store.listOutbox();
+  assert.deepEqual([failed.itemId, failed.status, failed.error], ["r-1", "failed", "A title is required."]);
+  assert.deepEqual(server.calls.filter(([method]) => method === "createIssue").map(([, issue]) => issue.id), ["r-2"]);
+
+  await store.retryOutbox(failed.seq);
+  assert.deepEqual(await store.listOutbox(), []);
+  assert.equal(server.calls.at(-1)[1].id, "r-1");
+});
+
+test("discarding a change drops it and undoes what the cache shows", async () => {
+  const events = [];
+  store.subscribe((event) => events.push(event));
+  await store.createIssue(report("r-1"));
+  await store.addComment("r-1", { id: "c-1", text: "Still broken" });
+  const [created, comment] = await store.listOutbox();
+
+  await store.discardOutbox(comment.seq);
+  assert.ok(events.some((e) => e.kind === "resync"));
+  await store.discardOutbox(created.seq);
+  assert.ok(events.some((e) => e.kind === "issueRemoved" && e.id === "r-1"));
+
+  server.down = true;
+  assert.deepEqual(await store.listIssues(), []);
+  server.down = false;
+  await reconnect();
+  assert.deepEqual(sent(), ["listIssues"]);
+});
+
+test("queued changes are only sent while the account that made them is logged in", async () => {
+  await store.createIssue(report("r-1"));
+  navigator.onLine = true;
+  await store.logout();
+  await store.login("ben");
+  assert.deepEqual(await store.listOutbox(), []);
+  await store.listIssues();
+  assert.deepEqual(sent(), ["listIssues"]);
+
+  await store.logout();
+  await store.login("asha");
+  await store.listIssues();
+  assert.deepEqual(sent(), ["listIssues", "createIssue", "listIssues"]);
+  assert.deepEqual(await store.listOutbox(), []);
+});
@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CATEGORIES } from "../src/domain/categories.js";
+import { DomainError } from "../src/domain/errors.js";
+import { pollFields, pollResults, redactResponses, respondToPoll } from "../src/domain/polls.js";
+import { withApi } from "./api.js";
+
+const pia = { id: "p1", displayName: "Pia", role: "Politician", constituencies: [] };
+const asha = { id: "c1", displayName: "Asha", role: "Citizen" };
+const ben = { id: "c2", displayName: "Ben", role: "Citizen" };
+
+const now = "2025-01-01T10:00:00.000Z";
+const context = { categories: DEFAULT_CATEGORIES, constituencies: [] };
+const fields = {
+  title: "Park hours",
+  description: "When should the park open?",
+  category: "General",
+  closesAt: "2025-01-08T10:00:00.000Z",
+  questions: [
+    { kind: "single", prompt: "Opening time", options: ["6am", "8am"] },
+    { kind: "multiple", prompt: "Which days", options: ["Weekdays", "Weekends"] },
+    { kind: "text", prompt: "Anything else?" },
+  ],
+};
+
+const invalid = (pattern) => (err) => err instanceof DomainError && err.kind === "invalid" && pattern.test(err.message);
+
+test("a poll's fields are cleaned and its questions numbered", () => {
+  const poll = pollFields({ ...fields, title: "  Park hours " }, context, pia, now);
+  assert.equal(poll.title, "Park hours");
+  assert.equal(poll.opensAt, now);
+  assert.deepEqual(poll.questions.map((q) => [q.id, q.kind, q.options.length]), [["q1", "single", 2], ["q2", "multiple", 2], ["q3", "text", 0]]);
+});
+
+test("a poll needs a title, a description, sensible questions and an open window", () => {
+  const check = (patch, pattern) => assert.throws(() => pollFields({ ...fields, ...patch }, context, pia, now), invalid(pattern));
+  check({ title: " " }, /needs a title/);
+  check({ description: "" }, /what the poll is about/);
+  check({ questions: [] }, /at least one question/);
+  check({ questions: Array(11).fill(fields.questions[2]) }, /at most 10 questions/);
+  check({ questions: [{ kind: "single", prompt: " ", options: ["a", "b"] }] }, /Question 1 needs a prompt/);
+  check({ questions: [{ kind: "single", prompt: "Pick", options: ["a", " "] }] }, /at least two options/);
+  check({ questions: [{ kind: "single", prompt: "Pick", options: ["a", "a"] }] }, /repeats an option/);
+  check({ questions: [{ kind: "ranking", prompt: "Pick", options: ["a", "b"] }] }, /Unknown question kind/);
+  check({ closesAt: "" }, /when the poll closes/);
+  check({ closesAt: "2024-12-31T10:00:00.000Z" }, /close in the future/);
+  check({ opensAt: "2025-01-09T10:00:00.000Z" }, /close after it opens/);
+  check({ category: "Weather" }, /Unknown category/);
+});
+
+test("answers must fit their questions, and each citizen answers once", () => {
+  const poll = { type: "poll", ...pollFields(fields, context, pia, now), responses: [] };
+  const later = "2025-01-02T10:00:00.000Z";
+  assert.throws(() => respondToPoll(poll, asha, { q1: 5, q2: [0] }, later), invalid(/answer to “Opening time”/));
+  assert.throws(() => respondToPoll(poll, asha, { q1: 0, q2: [] }, later), invalid(/at least one answer to “Which days”/));
+  const answered = respondToPoll(poll, asha, { q1: 1, q2: [1, 0, 1], q3: " Dogs " }, later);
+  assert.deepEqual(answered.responses[0].answers, { q1: 1, q2: [0, 1], q3: "Dogs" });
+  assert.throws(() => respondToPoll(answered, asha, { q1: 0, q2: [0] }, later), (err) => err.kind === "conflict");
+  assert.throws(() => respondToPoll(answered, pia, { q1: 0, q2: [0] }, later), (err) => err.kind === "forbidden");
+  assert.throws(() => respondToPoll(poll, ben, { q1: 0, q2: [0] }, "2025-01-09T10:00:00.000Z"), /poll is closed/);
+});
+
+test("nobody can tell who answered what, or when, from someone else's copy", () => {
+  let poll = { type: "poll", ...pollFields(fields, context, pia, now), responses: [] };
+  poll = respondToPoll(poll, asha, { q1: 0, q2: [0] }, "2025-01-02T10:00:00.000Z");
+  poll = respondToPoll(poll, ben, { q1: 1, q2: [1] }, "2025-01-03T10:00:00.000Z");
+
+  const forAsha = redactResponses(poll, asha);
+  assert.deepEqual(forAsha.responses[0], poll.responses[0]);
+  assert.deepEqual(forAsha.responses[1], { id: null, userId: null, at: null, answers: poll.responses[1].answers });
+  for (const user of [pia, null]) {
+    assert.ok(redactResponses(poll, user).responses.every((r) => r.id === null && r.userId === null && r.at === null));
+  }
+  assert.deepEqual(pollResults(redactResponses(poll, null)), pollResults(poll));
+});
+
+test("the polls route serves every caller the anonymous copy", () =>
+  withApi(async ({ addUser, call }) => {
+    const politician = await addUser("pia", "Politician");
+    const citizen = await addUser("asha", "Citizen");
+    const other = await addUser("ben", "Citizen");
+    const closesAt = new Date(Date.now() + 86400000).toISOString();
+    const poll = await call("POST", "/api/polls", { body: { ...fields, id: "poll-1", closesAt }, as: politician });
+    assert.deepEqual(poll.responses, []);
+    await call("POST", "/api/polls/poll-1/responses", { body: { answers: { q1: 0, q2: [1] } }, as: citizen });
+    const mine = await call("POST", "/api/polls/poll-1/responses", { body: { answers: { q1: 1, q2: [0] } }, as: other });
+    assert.deepEqual(mine.responses.map((r) => r.userId), [null, other.id]);
+    assert.equal(mine.responses[0].at, null);
+    for (const as of [politician, undefined]) {
+      const [listed] = await call("GET", "/api/polls", { as });
+      assert.ok(listed.responses.every((r) => r.userId === null && r.at === null));
+    }
+    await assert.rejects(call("POST", "/api/polls", { body: { ...fields, closesAt, questions: [] }, as: politician }), (err) => err.kind === "invalid");
+  }));
+
+test("a poll cannot take an id already in use", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const politician = await addUser("pia", "Politician");
+    const other = await addUser("raj", "Politician");
+    const citizen = await addUser("asha", "Citizen");
+    const closesAt = new Date(Date.now() + 86400000).toISOString();
+    await call("POST", "/api/issues", { body: { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" }, as: citizen });
+    await assert.rejects(call("POST", "/api/polls", { body: { ...fields, id: "r-1", closesAt }, as: politician }), (err) => err.status === 409);
+    assert.equal((await call("GET", "/api/issues/r-1")).type, "issue");
+
+    const first = await call("POST", "/api/polls", { body: { ...fields, id: "poll-1", closesAt }, as: politician });
+    assert.deepEqual(await call("POST", "/api/polls", { body: { ...fields, id: "poll-1", closesAt }, as: politician }), first);
+    await assert.rejects(call("POST", "/api/polls", { body: { ...fields, id: "poll-1", closesAt }, as: other }), (err) => err.status === 409);
+    assert.equal(db.data.issues.length, 2);
+  }));
+
+test("only a poll the citizen can see can be answered", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const politician = await addUser("pia", "Politician");
+    const moderator = await addUser("mo", "Moderator");
+    const citizen = await addUser("asha", "Citizen");
+    const closesAt = new Date(Date.now() + 86400000).toISOString();
+    await call("POST", "/api/issues", { body: { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" }, as: citizen });
+    await call("POST", "/api/polls", { body: { ...fields, id: "poll-1", closesAt }, as: politician });
+    const answer = (id) => call("POST", `/api/polls/${id}/responses`, { body: { answers: { q1: 0 } }, as: citizen });
+    await assert.rejects(answer("r-1"), (err) => err.status === 404);
+
+    await call("POST", "/api/issues/poll-1/moderation", { body: { action: "hide", reason: "Misleading" }, as: moderator });
+    await assert.rejects(answer("poll-1"), (err) => err.status === 404);
+    assert.deepEqual(db.data.issues.find((it) => it.id === "poll-1").responses, []);
+  }));
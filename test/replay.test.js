@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { withApi } from "./api.js";
+
+// The offline outbox sends a queued write again, under the same id, when the
+// answer to the first attempt was lost (see src/storage/offlineAdapter.js).
+
+const report = { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" };
+
+test("a report sent again by its author is saved once", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const asha = await addUser("asha", "Citizen");
+    const first = await call("POST", "/api/issues", { body: report, as: asha });
+    const notified = db.data.notifications.length;
+    const again = await call("POST", "/api/issues", { body: report, as: asha });
+    assert.deepEqual(again, first);
+    assert.equal(db.data.issues.filter((it) => it.id === "r-1").length, 1);
+    assert.equal(db.data.notifications.length, notified);
+  }));
+
+test("a comment sent again by its author is added once", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const asha = await addUser("asha", "Citizen");
+    const ben = await addUser("ben", "Citizen");
+    await call("POST", "/api/issues", { body: report, as: asha });
+    const comment = { id: "c-1", text: "Same on my street" };
+    await call("POST", "/api/issues/r-1/comments", { body: comment, as: ben });
+    const again = await call("POST", "/api/issues/r-1/comments", { body: comment, as: ben });
+    assert.deepEqual(again.comments.map((c) => c.id), ["c-1"]);
+    assert.equal(db.data.issues[0].comments.length, 1);
+  }));
+
+test("a broadcast sent again by its author is posted once", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const pia = await addUser("pia", "Politician");
+    const broadcast = { id: "b-1", title: "Water off", description: "Supply is off on Friday.", category: "Water" };
+    const first = await call("POST", "/api/broadcasts", { body: broadcast, as: pia });
+    const again = await call("POST", "/api/broadcasts", { body: broadcast, as: pia });
+    assert.deepEqual(again, first);
+    assert.equal(db.data.issues.filter((it) => it.id === "b-1").length, 1);
+  }));
+
+test("someone else reusing an id is a conflict", () =>
+  withApi(async ({ addUser, call }) => {
+    const asha = await addUser("asha", "Citizen");
+    const ben = await addUser("ben", "Citizen");
+    await call("POST", "/api/issues", { body: report, as: asha });
+    await assert.rejects(call("POST", "/api/issues", { body: report, as: ben }), { status: 409 });
+
+    await call("POST", "/api/issues/r-1/comments", { body: { id: "c-1", text: "First" }, as: asha });
+    await assert.rejects(call("POST", "/api/issues/r-1/comments", { body: { id: "c-1", text: "Mine" }, as: ben }), { status: 409 });
+  }));
+
+test("a status change sent again by the same account is applied once", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const asha = await addUser("asha", "Citizen");
+    const ada = await addUser("ada", "Admin");
+    await call("POST", "/api/issues", { body: report, as: asha });
+    const change = { id: "t-1", to: "Acknowledged" };
+    const first = await call("POST", "/api/issues/r-1/transitions", { body: change, as: ada });
+    assert.equal(first.history.at(-1).id, "t-1");
+    const notified = db.data.notifications.length;
+    const again = await call("POST", "/api/issues/r-1/transitions", { body: change, as: ada });
+    assert.deepEqual(again, first);
+    assert.equal(db.data.issues[0].history.length, 1);
+    assert.equal(db.data.notifications.length, notified);
+    // A fresh id is a new change, checked against the current status
+    await assert.rejects(call("POST", "/api/issues/r-1/transitions", { body: { id: "t-2", to: "Acknowledged" }, as: ada }), { kind: "invalid" });
+  }));
+
+test("items sent without an id are each given a distinct one", () =>
+  withApi(async ({ addUser, call }) => {
+    const asha = await addUser("asha", "Citizen");
+    const { id: _, ...unnamed } = report;
+    const created = await Promise.all([1, 2, 3].map(() => call("POST", "/api/issues", { body: unnamed, as: asha })));
+    assert.equal(new Set(created.map((it) => it.id)).size, 3);
+  }));
+
+test("client dates are the server's unless the write was queued offline, and never in the future", () =>
+  withApi(async ({ addUser, call }) => {
+    const asha = await addUser("asha", "Citizen");
+    const ben = await addUser("ben", "Citizen");
+    const pia = await addUser("pia", "Politician");
+    const before = new Date().toISOString();
+    const past = "2025-01-01T09:00:00.000Z";
+    const future = new Date(Date.now() + 86400000).toISOString();
+
+    const live = await call("POST", "/api/issues", { body: { ...report, id: "r-live", createdAt: past }, as: asha });
+    assert.ok(live.createdAt >= before);
+    const ahead = await call("POST", "/api/issues", { body: { ...report, id: "r-ahead", createdAt: future, queued: true }, as: asha });
+    assert.ok(ahead.createdAt >= before && ahead.createdAt <= new Date().toISOString());
+    const queued = await call("POST", "/api/issues", { body: { ...report, createdAt: "2025-01-01T10:00:00+01:00", queued: true }, as: asha });
+    assert.equal(queued.createdAt, past);
+
+    // A comment is never dated before its report
+    const commented = await call("POST", `/api/issues/${queued.id}/comments`, { body: { text: "Me too", at: "2024-12-31T00:00:00.000Z", queued: true }, as: ben });
+    assert.equal(commented.comments[0].at, past);
+    const draft = { id: "b-1", title: "Water off", description: "Supply is off on Friday.", category: "Water", state: "draft", createdAt: past };
+    assert.ok((await call("POST", "/api/broadcasts", { body: draft, as: pia })).createdAt >= before);
+  }));
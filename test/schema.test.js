@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { SCHEMA_VERSION, upgradeIssues, validateIssue } from "../src/domain/schema.js";
+import { openDatabase } from "../server/db.js";
+
+// test/fixtures/schema-vN.json holds items as schema vN stored them: two
+// reports (one dated in a locale Date.parse cannot read) and a broadcast.
+const OLD_VERSIONS = Array.from({ length: SCHEMA_VERSION - 1 }, (_, i) => i + 1);
+
+async function fixture(version) {
+  return JSON.parse(await readFile(new URL(`./fixtures/schema-v${version}.json`, import.meta.url), "utf8"));
+}
+
+async function withTempDir(run) {
+  const dir = await mkdtemp(join(tmpdir(), "schema-test-"));
+  try {
+    return await run(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+for (const version of OLD_VERSIONS) {
+  test(`upgrades schema v${version} to v${SCHEMA_VERSION}`, async () => {
+    const records = await fixture(version);
+    const { issues, quarantined } = upgradeIssues(records, version);
+    assert.deepEqual(quarantined, []);
+    assert.deepEqual(issues.map((it) => it.id), records.map((r) => r.id));
+    for (const issue of issues) assert.equal(validateIssue(issue), null);
+
+    const [report, localized, broadcast] = issues;
+    assert.deepEqual(issues.map((it) => it.type), ["issue", "issue", "broadcast"]);
+    assert.equal(report.createdAt, "2025-01-01T10:00:00.000Z");
+    assert.equal(report.comments[0].at, "2025-01-01T11:00:00.000Z");
+    assert.equal(localized.createdAt, "2025-01-02T09:00:00.000Z");
+    assert.equal(broadcast.status, undefined);
+    assert.equal(broadcast.state, "published");
+    assert.deepEqual(report.escalations, []);
+    assert.deepEqual(report.feedback, []);
+  });
+
+  test(`schema v${version} data already at v${SCHEMA_VERSION} is left as it was`, async () => {
+    const current = upgradeIssues(await fixture(version), version).issues;
+    assert.deepEqual(upgradeIssues(current, SCHEMA_VERSION), { issues: current, quarantined: [] });
+  });
+}
+
+test("later fields written by an older version are kept through the upgrade", async () => {
+  const [report] = upgradeIssues(await fixture(10), 10).issues;
+  assert.deepEqual(report.supporters, ["u-neighbour"]);
+  assert.equal(report.language, "en");
+  assert.equal(report.assignee.name, "Public Works");
+  assert.deepEqual(report.comments[0].reactions, { "👍": ["u-citizen"] });
+});
+
+test("malformed records are quarantined exactly as stored, with a reason", async () => {
+  const [report] = await fixture(1);
+  const broken = [
+    "not a record",
+    { ...report, id: "legacy", createdAt: "sometime last week" },
+    { ...report, id: "1735725600001", title: "  " },
+    { ...report, id: "1735725600002", status: "Lost" },
+    { ...report, id: "1735725600003", comments: [{ id: "c1", text: "Hi", at: "yesterday" }] },
+    report,
+    { ...report },
+  ];
+  const { issues, quarantined } = upgradeIssues(broken, 1);
+
+  assert.deepEqual(issues.map((it) => it.id), [report.id]);
+  assert.deepEqual(quarantined.map((q) => q.record), [broken[0], broken[1], broken[2], broken[3], broken[4], broken[6]]);
+  assert.ok(quarantined.every((q) => q.version === 1));
+  assert.deepEqual(quarantined.map((q) => q.reason), [
+    `migration failed: Cannot recover a timestamp from "undefined".`,
+    `migration failed: Cannot recover a timestamp from "sometime last week".`,
+    `missing or empty "title"`,
+    `unknown status "Lost"`,
+    `migration failed: Cannot recover a timestamp from "yesterday".`,
+    `duplicate id "${report.id}"`,
+  ]);
+});
+
+test("stored data that is not a list is quarantined whole", () => {
+  assert.deepEqual(upgradeIssues({ issues: [] }, 1), {
+    issues: [],
+    quarantined: [{ record: { issues: [] }, reason: "stored data is not a list", version: 1 }],
+  });
+});
+
+test("data from a newer schema is refused", () => {
+  assert.throws(() => upgradeIssues([], SCHEMA_VERSION + 1), /newer than this app/);
+});
+
+test("the server upgrades an old file in place and keeps a backup", () =>
+  withTempDir(async (dir) => {
+    const file = join(dir, "db.json");
+    const stored = JSON.stringify({ issues: [...(await fixture(1)), { id: "bad" }] });
+    await writeFile(file, stored);
+
+    const db = await openDatabase(file);
+    assert.equal(db.data.schemaVersion, SCHEMA_VERSION);
+    assert.equal(db.data.issues.length, 3);
+    assert.deepEqual(db.data.quarantine.map((q) => q.record), [{ id: "bad" }]);
+
+    const saved = JSON.parse(await readFile(file, "utf8"));
+    assert.equal(saved.schemaVersion, SCHEMA_VERSION);
+    assert.equal(saved.quarantine.length, 1);
+    assert.equal(await readFile(`${file}.v1.bak`, "utf8"), stored);
+  }));
+
+test("the server refuses a file from a newer schema and leaves it untouched", () =>
+  withTempDir(async (dir) => {
+    const file = join(dir, "db.json");
+    const stored = JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, issues: [] });
+    await writeFile(file, stored);
+
+    await assert.rejects(openDatabase(file), /newer than this app/);
+    assert.equal(await readFile(file, "utf8"), stored);
+  }));
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_QUERY, PAGE_SIZE, paginate, parseQuery, queryIssues, serializeQuery } from "../src/domain/search.js";
+
+// Dates are local, like the ones picked in the UI
+const at = (ymd, time = "12:00:00") => new Date(`${ymd}T${time}`).toISOString();
+
+const item = (id, fields = {}) => ({
+  id, type: "issue", title: `Report ${id}`, description: "", status: "Open", category: "Roads", constituencyId: null,
+  reporterRole: "Citizen", location: null, comments: [], history: [], supporters: [], createdAt: at("2025-03-10"), ...fields,
+});
+
+const items = [
+  item("a", { title: "Pothole on Main Street", createdAt: at("2025-03-01"), supporters: ["u1"] }),
+  item("b", { status: "Resolved", category: "Water", createdAt: at("2025-03-05"), constituencyId: "north",
+    comments: [{ text: "Crew sent to the main", role: "Politician", at: at("2025-03-20") }] }),
+  item("c", { type: "broadcast", status: undefined, reporterRole: "Politician", createdAt: at("2025-03-10"),
+    comments: [{ text: "Thanks", role: "Citizen", at: at("2025-03-11") }, { text: "When?", role: "Citizen", at: at("2025-03-12") }] }),
+  item("d", { createdAt: at("2025-03-15"), location: { lat: 12.5, lng: 77.5 }, constituencyId: "south", supporters: ["u1", "u2"] }),
+];
+
+const ids = (query, options) => queryIssues(items, { ...DEFAULT_QUERY, ...query }, options).map((it) => it.id);
+
+test("filters by text, status, category, role and response", () => {
+  assert.deepEqual(ids({ q: "MAIN" }), ["b", "a"]);
+  assert.deepEqual(ids({ q: "main pothole" }), ["a"]);
+  assert.deepEqual(ids({ status: "Resolved" }), ["b"]);
+  assert.deepEqual(ids({ status: "broadcast" }), ["c"]);
+  assert.deepEqual(ids({ status: "Open" }), ["d", "a"]);
+  assert.deepEqual(ids({ category: "Water" }), ["b"]);
+  assert.deepEqual(ids({ reporterRole: "Politician" }), ["c"]);
+  assert.deepEqual(ids({ responded: "yes" }), ["b"]);
+  assert.deepEqual(ids({ responded: "no" }), ["d", "c", "a"]);
+});
+
+test("filters by date range, whole days inclusive", () => {
+  assert.deepEqual(ids({ from: "2025-03-05", to: "2025-03-10" }), ["c", "b"]);
+  assert.deepEqual(ids({ from: "2025-03-15" }), ["d"]);
+  const edges = [item("early", { createdAt: at("2025-03-05", "00:00:00") }), item("late", { createdAt: at("2025-03-05", "23:59:59.999") })];
+  assert.equal(queryIssues(edges, { ...DEFAULT_QUERY, from: "2025-03-05", to: "2025-03-05" }).length, 2);
+});
+
+test("filters by map area, ward and constituency", () => {
+  const ward = { properties: { name: "Ward 1" }, geometry: { type: "Polygon", coordinates: [[[77, 12], [78, 12], [78, 13], [77, 13], [77, 12]]] } };
+  assert.deepEqual(ids({ area: "12,77,13,78" }), ["d"]);
+  assert.deepEqual(ids({ area: "0,0,1,1" }), []);
+  assert.deepEqual(ids({ ward: "Ward 1" }, { wards: [ward] }), ["d"]);
+  assert.deepEqual(ids({ constituency: "north" }), ["b"]);
+  assert.deepEqual(ids({ constituency: "all" }), ["d", "c", "b", "a"]);
+  // No constituency picked: the viewer's scope, plus reports outside any constituency
+  assert.deepEqual(ids({}, { scope: ["south"] }), ["d", "c", "a"]);
+});
+
+test("sorts by each option, newest first by default", () => {
+  assert.deepEqual(ids({}), ["d", "c", "b", "a"]);
+  assert.deepEqual(ids({ sort: "oldest" }), ["a", "b", "c", "d"]);
+  assert.deepEqual(ids({ sort: "discussed" }), ["c", "b", "d", "a"]);
+  assert.deepEqual(ids({ sort: "supported" }), ["d", "a", "c", "b"]);
+  assert.deepEqual(ids({ sort: "updated" }), ["b", "d", "c", "a"]);
+  assert.deepEqual(ids({ sort: "bogus" }), ["d", "c", "b", "a"]);
+});
+
+test("pages are clamped into range", () => {
+  const many = Array.from({ length: PAGE_SIZE * 2 + 1 }, (_, i) => i);
+  assert.deepEqual(paginate(many, 1).items, many.slice(0, PAGE_SIZE));
+  assert.deepEqual(paginate(many, 3), { items: [PAGE_SIZE * 2], page: 3, pageCount: 3, total: PAGE_SIZE * 2 + 1 });
+  assert.equal(paginate(many, 99).page, 3);
+  assert.equal(paginate(many, 0).page, 1);
+  assert.equal(paginate(many, -4).page, 1);
+  assert.deepEqual(paginate([], 2), { items: [], page: 1, pageCount: 1, total: 0 });
+});
+
+test("a query survives the round trip through the URL", () => {
+  assert.equal(serializeQuery(DEFAULT_QUERY), "");
+  assert.deepEqual(parseQuery(""), DEFAULT_QUERY);
+  const query = { ...DEFAULT_QUERY, q: "broken light", status: "In Progress", from: "2025-02-28", area: "12,77,13,78", sort: "supported", page: 3 };
+  const search = serializeQuery(query);
+  assert.equal(search, "?q=broken+light&status=In+Progress&from=2025-02-28&area=12%2C77%2C13%2C78&sort=supported&page=3");
+  assert.deepEqual(parseQuery(search), query);
+});
+
+test("bad values in a hand-edited link fall back to the defaults", () => {
+  const query = parseQuery("?page=-2&sort=loudest&from=2025-02-31&to=yesterday&unknown=1");
+  assert.deepEqual(query, DEFAULT_QUERY);
+  assert.equal(parseQuery("?page=abc").page, 1);
+  assert.equal(parseQuery("?from=2024-02-29").from, "2024-02-29");
+  assert.equal(parseQuery("?from=2025-02-29").from, "");
+  assert.equal(parseQuery("?to=2025-13-01").to, "");
+});
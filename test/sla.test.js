@@ -0,0 +1,237 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeClock, schedule } from "../src/utils/clock.js";
+import {
+  ADMIN_ESCALATION_DAYS, DAY_MS, deadlines, escalateOverdue, isOverdue, overdueStages, slaFields, slaStart,
+} from "../src/domain/sla.js";
+import { startEscalation } from "../server/escalation.js";
+
+const START = Date.parse("2025-01-01T00:00:00Z");
+const HOUR_MS = 60 * 60 * 1000;
+
+const categories = [
+  { id: "roads", name: "Roads", sla: { acknowledgeDays: 2, resolveDays: 10 } },
+  { id: "water", name: "Water", sla: null },
+];
+
+const users = [
+  { id: "admin", role: "Admin" },
+  { id: "mp", role: "Politician", constituencies: ["north"] },
+  { id: "mod", role: "Moderator", constituencies: ["south"] },
+  { id: "official", role: "Official" },
+  { id: "citizen", role: "Citizen" },
+];
+
+function report(fields = {}) {
+  return {
+    id: "r1",
+    type: "issue",
+    title: "Pothole on Main Street",
+    category: "Roads",
+    constituencyId: "north",
+    status: "Open",
+    createdAt: new Date(START).toISOString(),
+    history: [],
+    ...fields,
+  };
+}
+
+function at(ms) {
+  return new Date(ms).toISOString();
+}
+
+// The database interface startEscalation uses, held in memory
+function memoryDb(data) {
+  return {
+    data,
+    async update(mutate) {
+      return mutate(data);
+    },
+  };
+}
+
+function seed(issues) {
+  return { issues, categories, users, subscriptions: [], notifications: [] };
+}
+
+test("slaFields keeps positive targets and drops empty ones", () => {
+  const now = at(START);
+  assert.deepEqual(slaFields({ acknowledgeDays: "2", resolveDays: 30 }, null, now), { acknowledgeDays: 2, resolveDays: 30, since: now });
+  assert.deepEqual(slaFields({ acknowledgeDays: "", resolveDays: 5 }, null, now), { acknowledgeDays: null, resolveDays: 5, since: now });
+  assert.equal(slaFields({ acknowledgeDays: "", resolveDays: null }), null);
+  assert.equal(slaFields(null), null);
+});
+
+test("slaFields keeps when unchanged targets were set and restarts it for new ones", () => {
+  const previous = { acknowledgeDays: 2, resolveDays: 10, since: at(START) };
+  const later = at(START + DAY_MS);
+  assert.deepEqual(slaFields({ acknowledgeDays: "2", resolveDays: "10", since: later }, previous, later), previous);
+  assert.deepEqual(slaFields({ acknowledgeDays: 2, resolveDays: 5 }, previous, later), { acknowledgeDays: 2, resolveDays: 5, since: later });
+  assert.deepEqual(slaFields({ acknowledgeDays: 2, resolveDays: 10 }, { acknowledgeDays: 2, resolveDays: 10 }, later), { acknowledgeDays: 2, resolveDays: 10, since: null });
+});
+
+test("slaFields rejects bad targets", () => {
+  assert.throws(() => slaFields({ acknowledgeDays: 0 }), { kind: "invalid" });
+  assert.throws(() => slaFields({ resolveDays: "soon" }), { kind: "invalid" });
+  assert.throws(() => slaFields({ acknowledgeDays: 5, resolveDays: 2 }), { kind: "invalid" });
+});
+
+test("the cycle starts at filing and again at the latest reopening", () => {
+  assert.equal(slaStart(report()), at(START));
+  const reopened = report({
+    history: [
+      { to: "Resolved", at: at(START + DAY_MS) },
+      { to: "Reopened", at: at(START + 2 * DAY_MS) },
+      { to: "Resolved", at: at(START + 3 * DAY_MS) },
+      { to: "Reopened", at: at(START + 4 * DAY_MS) },
+    ],
+  });
+  assert.equal(slaStart(reopened), at(START + 4 * DAY_MS));
+});
+
+test("the cycle never starts before the category's targets were set", () => {
+  const since = at(START + 3 * DAY_MS);
+  const sla = { acknowledgeDays: 2, resolveDays: 10, since };
+  assert.equal(slaStart(report(), sla), since);
+  assert.equal(slaStart(report({ createdAt: at(START + 5 * DAY_MS) }), sla), at(START + 5 * DAY_MS));
+
+  // Reports filed before the targets are not escalated at once when they are set
+  const data = { ...seed([report()]), categories: [{ id: "roads", name: "Roads", sla }] };
+  assert.deepEqual(deadlines(report(), data.categories), { acknowledge: at(START + 5 * DAY_MS), resolve: at(START + 13 * DAY_MS) });
+  assert.deepEqual(escalateOverdue(data, at(START + 4 * DAY_MS)), { escalated: [], events: [] });
+  const { escalated } = escalateOverdue(data, at(START + 5 * DAY_MS));
+  assert.deepEqual(escalated[0].escalations.map((e) => [e.stage, e.level, e.since]), [["acknowledge", 1, since]]);
+});
+
+test("deadlines run only while their stage is open", () => {
+  assert.deepEqual(deadlines(report(), categories), {
+    acknowledge: at(START + 2 * DAY_MS),
+    resolve: at(START + 10 * DAY_MS),
+  });
+  assert.deepEqual(deadlines(report({ status: "Acknowledged" }), categories), {
+    acknowledge: null,
+    resolve: at(START + 10 * DAY_MS),
+  });
+  assert.deepEqual(deadlines(report({ status: "Resolved" }), categories), { acknowledge: null, resolve: null });
+  assert.deepEqual(deadlines(report({ category: "Water" }), categories), { acknowledge: null, resolve: null });
+  assert.deepEqual(deadlines(report({ type: "broadcast" }), categories), { acknowledge: null, resolve: null });
+});
+
+test("a report is overdue once a deadline passes, the most pressing stage first", () => {
+  const clock = createFakeClock(START);
+  const issue = report();
+  clock.advance(2 * DAY_MS - 1);
+  assert.equal(isOverdue(issue, categories, at(clock.now())), false);
+  clock.advance(1);
+  assert.deepEqual(overdueStages(issue, categories, at(clock.now())), ["acknowledge"]);
+  clock.advance(8 * DAY_MS);
+  assert.deepEqual(overdueStages(issue, categories, at(clock.now())), ["resolve", "acknowledge"]);
+});
+
+test("escalateOverdue alerts the people who serve the report, then the Admins", () => {
+  const data = seed([report({ assignee: { kind: "official", userId: "official", name: "Roads Office" } })]);
+
+  const early = escalateOverdue(data, at(START + DAY_MS));
+  assert.deepEqual(early, { escalated: [], events: [] });
+
+  const first = escalateOverdue(data, at(START + 2 * DAY_MS));
+  assert.equal(first.events.length, 1);
+  assert.deepEqual(first.events[0].recipients, ["mp", "official"]);
+  assert.equal(first.events[0].level, 1);
+  assert.equal(first.events[0].stage, "acknowledge");
+
+  data.issues = first.escalated;
+  assert.deepEqual(escalateOverdue(data, at(START + 3 * DAY_MS)).events, []);
+
+  const second = escalateOverdue(data, at(START + (2 + ADMIN_ESCALATION_DAYS) * DAY_MS));
+  assert.deepEqual(second.events.map((e) => [e.level, e.recipients]), [[2, ["admin"]]]);
+});
+
+test("held and hidden reports are not escalated", () => {
+  const data = seed([report({ id: "held", held: true }), report({ id: "hidden", hidden: true })]);
+  assert.deepEqual(escalateOverdue(data, at(START + 30 * DAY_MS)).escalated, []);
+});
+
+test("schedule runs a task at once and then on every interval until stopped", () => {
+  const clock = createFakeClock(START);
+  const runs = [];
+  const stop = schedule((now) => runs.push(now), { everyMs: HOUR_MS, clock });
+  clock.advance(3 * HOUR_MS);
+  stop();
+  clock.advance(3 * HOUR_MS);
+  assert.deepEqual(runs, [0, 1, 2, 3].map((n) => START + n * HOUR_MS));
+});
+
+test("schedule keeps going after a task throws", () => {
+  const clock = createFakeClock(START);
+  const errors = [];
+  let runs = 0;
+  const stop = schedule(() => {
+    runs++;
+    throw new Error("boom");
+  }, { everyMs: HOUR_MS, clock, onError: (err) => errors.push(err.message) });
+  clock.advance(HOUR_MS);
+  stop();
+  assert.equal(runs, 2);
+  assert.deepEqual(errors, ["boom", "boom"]);
+});
+
+test("startEscalation escalates a late report once per level as the clock moves", () => {
+  const clock = createFakeClock(START);
+  const db = memoryDb(seed([report()]));
+  const stop = startEscalation(db, { clock, everyMs: HOUR_MS });
+  try {
+    assert.equal(db.data.notifications.length, 0);
+
+    clock.advance(2 * DAY_MS);
+    const issue = db.data.issues[0];
+    assert.deepEqual(issue.escalations.map((e) => [e.stage, e.level]), [["acknowledge", 1]]);
+    assert.equal(issue.revision, 1);
+    assert.deepEqual(db.data.notifications.map((n) => [n.userId, n.kind]), [["mp", "overdue"]]);
+
+    // Checks in between find nothing new to send
+    clock.advance(DAY_MS);
+    assert.equal(db.data.notifications.length, 1);
+
+    clock.advance((ADMIN_ESCALATION_DAYS - 1) * DAY_MS);
+    assert.deepEqual(db.data.issues[0].escalations.map((e) => [e.stage, e.level]), [["acknowledge", 1], ["acknowledge", 2]]);
+    assert.deepEqual(db.data.notifications.map((n) => n.userId), ["admin", "mp"]);
+  } finally {
+    stop();
+  }
+});
+
+test("startEscalation leaves reports without targets alone", () => {
+  const clock = createFakeClock(START);
+  const db = memoryDb(seed([report({ category: "Water" })]));
+  let writes = 0;
+  const update = db.update;
+  db.update = (mutate) => {
+    writes++;
+    return update(mutate);
+  };
+  const stop = startEscalation(db, { clock, everyMs: HOUR_MS });
+  clock.advance(60 * DAY_MS);
+  stop();
+  assert.equal(writes, 0);
+  assert.equal(db.data.issues[0].escalations, undefined);
+});
+
+test("startEscalation starts a new cycle when a report is reopened", () => {
+  const clock = createFakeClock(START);
+  const db = memoryDb(seed([report()]));
+  const stop = startEscalation(db, { clock, everyMs: HOUR_MS });
+  try {
+    clock.advance(2 * DAY_MS);
+    Object.assign(db.data.issues[0], { status: "Resolved", history: [{ to: "Resolved", at: at(clock.now()) }] });
+    clock.advance(18 * DAY_MS);
+    const reopenedAt = clock.now();
+    db.data.issues[0].status = "Reopened";
+    db.data.issues[0].history.push({ to: "Reopened", at: at(reopenedAt) });
+    clock.advance(2 * DAY_MS);
+    const cycles = db.data.issues[0].escalations.filter((e) => e.level === 1).map((e) => e.since);
+    assert.deepEqual(cycles, [at(START), at(reopenedAt)]);
+  } finally {
+    stop();
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { mergeIssues } from "../src/domain/support.js";
+import { releaseAttachments } from "../server/routes/attachments.js";
+
+const moderator = { id: "mo", role: "Moderator", displayName: "Mo Moderator", constituencies: [] };
+
+function report(id, fields = {}) {
+  return { id, type: "issue", status: "Open", reporterId: null, supporters: [], history: [], comments: [], attachments: [], constituencyId: null, ...fields };
+}
+
+function upload(id) {
+  return { id, name: `${id}.png`, type: "image/png", size: 1, file: `${id}.png`, thumbnailFile: null, uploaderId: "ben", createdAt: new Date().toISOString() };
+}
+
+const duplicate = report("dup", {
+  reporterId: "ben",
+  supporters: ["cy"],
+  attachments: [{ id: "a-report" }],
+  comments: [
+    { id: "c1", text: "Photo from this morning", at: "2025-01-01T10:00:00.000Z", parentId: null, attachments: [{ id: "a-comment" }] },
+    { id: "c2", text: "Same here", at: "2025-01-01T11:00:00.000Z", parentId: "c1", attachments: [] },
+  ],
+});
+const original = report("orig", { reporterId: "asha", supporters: ["ben"] });
+
+test("merging marks the duplicate and carries its support and threads over", () => {
+  const merged = mergeIssues(duplicate, original, moderator, "Same pothole");
+  assert.equal(merged.duplicate.status, "Duplicate");
+  assert.equal(merged.duplicate.mergedInto, "orig");
+  assert.deepEqual(merged.duplicate.supporters, []);
+  assert.deepEqual(merged.original.supporters.sort(), ["ben", "cy"]);
+  assert.deepEqual(merged.original.comments.map((c) => [c.id, c.parentId, c.mergedFrom]), [
+    ["c1-mdup", null, "dup"],
+    ["c2-mdup", "c1-mdup", "dup"],
+  ]);
+  assert.equal(merged.original.history.at(-1).mergedFrom, "dup");
+});
+
+test("copied comments take their attachments, so each upload keeps one record", () => {
+  const merged = mergeIssues(duplicate, original, moderator);
+  assert.deepEqual(merged.original.comments[0].attachments, [{ id: "a-comment" }]);
+  assert.deepEqual(merged.duplicate.comments.map((c) => c.attachments), [[], []]);
+  assert.deepEqual(merged.duplicate.attachments, [{ id: "a-report" }]);
+});
+
+test("deleting a merged duplicate leaves the original's attachments in place", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "merge-test-"));
+  try {
+    await mkdir(join(dir, "uploads"));
+    const data = { attachments: [upload("a-report"), upload("a-comment")], issues: [] };
+    for (const meta of data.attachments) await writeFile(join(dir, "uploads", meta.file), "x");
+    const db = { dir, data, update: async (mutate) => mutate(data) };
+
+    const merged = mergeIssues(duplicate, original, moderator);
+    data.issues = [merged.original];
+    await releaseAttachments(db, merged.duplicate);
+
+    assert.deepEqual(data.attachments.map((a) => a.id), ["a-comment"]);
+    assert.deepEqual(await readdir(join(dir, "uploads")), ["a-comment.png"]);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bumpRevision, clientTimestamp, mergeIssueLists, requireUnchanged, upsertIssue } from "../src/domain/sync.js";
+import { withApi } from "./api.js";
+
+const copy = (id, revision, title = `Report ${id}`) => ({ id, revision, title });
+
+test("every write bumps the revision, starting from records that have none", () => {
+  assert.deepEqual(bumpRevision(copy("r1", 3)), copy("r1", 4));
+  assert.equal(bumpRevision({ id: "r1" }).revision, 1);
+});
+
+test("an incoming copy replaces the stored one unless the stored one is newer", () => {
+  const list = [copy("r1", 2, "Stored"), copy("r2", 0)];
+  assert.equal(upsertIssue(list, copy("r1", 1, "Stale")), list);
+  assert.deepEqual(upsertIssue(list, copy("r1", 2, "Same revision")).map((it) => it.title), ["Same revision", "Report r2"]);
+  assert.deepEqual(upsertIssue(list, copy("r1", 3, "Newer")).map((it) => it.title), ["Newer", "Report r2"]);
+  assert.deepEqual(upsertIssue(list, copy("r3", 0)).map((it) => it.id), ["r3", "r1", "r2"]);
+  assert.deepEqual(upsertIssue([{ id: "r1", title: "Old" }], copy("r1", 0, "Unversioned")).map((it) => it.title), ["Unversioned"]);
+});
+
+test("a reload takes the loaded list but keeps local copies that are newer", () => {
+  const current = [copy("r1", 5, "Answered meanwhile"), copy("r2", 1, "Local"), copy("gone", 9)];
+  const loaded = [copy("r3", 0), copy("r2", 2, "Loaded"), copy("r1", 4, "Loaded")];
+  assert.deepEqual(mergeIssueLists(current, loaded).map((it) => [it.id, it.title]), [
+    ["r3", "Report r3"], ["r2", "Loaded"], ["r1", "Answered meanwhile"],
+  ]);
+});
+
+test("an edit is rejected only when a field it replaces changed since it was loaded", () => {
+  const current = { title: "Broken bench", description: "The slats are split." };
+  assert.doesNotThrow(() => requireUnchanged(current, undefined));
+  assert.doesNotThrow(() => requireUnchanged(current, { title: "Broken bench" }));
+  assert.doesNotThrow(() => requireUnchanged(current, { title: "Broken bench", description: "The slats are split." }));
+  assert.throws(() => requireUnchanged(current, { title: "Broken bench", description: "Split slats" }), (err) => err.kind === "conflict");
+});
+
+test("a client's date is only kept when trusted, and then read as ISO between the earliest time and now", () => {
+  const now = "2025-06-30T12:00:00.000Z";
+  assert.equal(clientTimestamp("2025-06-01T08:00:00.000Z", { now }), now);
+  assert.equal(clientTimestamp("2025-06-01T10:00:00+02:00", { trusted: true, now }), "2025-06-01T08:00:00.000Z");
+  assert.equal(clientTimestamp("2030-01-01T00:00:00.000Z", { trusted: true, now }), now);
+  assert.equal(clientTimestamp("yesterday", { trusted: true, now }), now);
+  assert.equal(clientTimestamp(undefined, { trusted: true, now }), now);
+  const earliest = "2025-06-10T00:00:00.000Z";
+  assert.equal(clientTimestamp("2025-06-01T08:00:00.000Z", { trusted: true, earliest, now }), earliest);
+  assert.equal(clientTimestamp("2025-06-20T08:00:00.000Z", { trusted: true, earliest, now }), "2025-06-20T08:00:00.000Z");
+});
+
+test("concurrent writes to one report all survive; a stale text edit is refused", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const author = await addUser("asha", "Citizen");
+    const other = await addUser("ben", "Citizen");
+    const mod = await addUser("mo", "Moderator");
+    const created = await call("POST", "/api/issues", { body: { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" }, as: author });
+    assert.equal(created.revision, 0);
+
+    // Both clients write from the copy they loaded; neither write is lost
+    const first = await call("POST", "/api/issues/r-1/comments", { body: { id: "k-1", text: "Mine too" }, as: other });
+    const second = await call("POST", "/api/issues/r-1/support", { as: other });
+    const third = await call("POST", "/api/issues/r-1/comments", { body: { id: "k-2", text: "Still broken" }, as: author });
+    assert.deepEqual([first, second, third].map((it) => it.revision), [1, 2, 3]);
+    assert.deepEqual(third.comments.map((c) => c.id), ["k-1", "k-2"]);
+    assert.deepEqual(third.supporters, [other.id]);
+    assert.equal(upsertIssue([third], first)[0], third);
+
+    // Two moderators edit the text they both loaded; the second one is told
+    const base = { title: created.title, description: created.description };
+    await call("PATCH", "/api/issues/r-1", { body: { ...base, title: "Broken park bench", reason: "Clearer title", expected: base }, as: mod });
+    await assert.rejects(
+      call("PATCH", "/api/issues/r-1", { body: { ...base, description: "Split slats.", reason: "Shorter", expected: base }, as: mod }),
+      (err) => err.kind === "conflict",
+    );
+    assert.deepEqual([db.data.issues[0].title, db.data.issues[0].description, db.data.issues[0].revision], ["Broken park bench", "The slats are split.", 4]);
+
+    await call("PATCH", "/api/issues/r-1/comments/k-2", { body: { text: "Still broken today", expected: { text: "Still broken" } }, as: author });
+    await assert.rejects(
+      call("PATCH", "/api/issues/r-1/comments/k-2", { body: { text: "Fixed now", expected: { text: "Still broken" } }, as: author }),
+      (err) => err.kind === "conflict",
+    );
+  }));
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportCsv, exportJson, prepareImport, readImportFile } from "../src/domain/transfer.js";
+import { withApi } from "./api.js";
+
+const now = "2025-03-01T10:00:00.000Z";
+
+// Stored reports as an export sees them, including text a spreadsheet or a
+// CSV parser could trip over
+const stored = [
+  {
+    id: "r1", type: "issue", title: "Broken bench", description: "Slats split, \"dangerous\",\nplease fix", category: "Roads",
+    language: "en", status: "In Progress", createdAt: "2025-01-05T09:30:00.000Z", reporterName: "Asha", reporterRole: "Citizen",
+    location: { address: "Park Rd, gate 2", lat: 51.5, lng: -0.12 }, supporters: ["c2"], comments: [], history: [],
+  },
+  {
+    id: "r2", type: "issue", title: "=SUM(A1:A2)", description: "Formula-like title", category: "General",
+    language: null, status: "Open", createdAt: "2025-02-10T12:00:00.000Z", reporterName: "Ben", reporterRole: "Citizen",
+    location: null, supporters: [], comments: [], history: [],
+  },
+  { id: "b1", type: "broadcast", title: "Broadcast - Water", description: "Not exported", category: "Water", createdAt: now },
+];
+
+const imported = (rows) => rows.map((r) => r.fields);
+
+for (const [format, file, text] of [["CSV", "reports.csv", exportCsv(stored)], ["JSON", "reports.json", exportJson(stored)]]) {
+  test(`a ${format} export imports back as the same reports`, () => {
+    const rows = prepareImport(readImportFile(text, file), [], now);
+    assert.deepEqual(rows.map((r) => [r.line, r.errors, r.duplicateOf]), [[2, [], null], [3, [], null]]);
+    assert.deepEqual(imported(rows), [
+      {
+        title: "Broken bench", description: "Slats split, \"dangerous\",\nplease fix", category: "Roads", language: "en",
+        location: { address: "Park Rd, gate 2", lat: 51.5, lng: -0.12 }, createdAt: "2025-01-05T09:30:00.000Z",
+        imported: { status: "In Progress", reporterName: "Asha" },
+      },
+      {
+        title: "=SUM(A1:A2)", description: "Formula-like title", category: "General", language: null,
+        location: null, createdAt: "2025-02-10T12:00:00.000Z",
+        imported: { status: "Open", reporterName: "Ben" },
+      },
+    ]);
+  });
+
+  test(`a ${format} export imported into the same data is flagged as duplicates`, () => {
+    const rows = prepareImport(readImportFile(text, file), stored, now);
+    assert.deepEqual(rows.map((r) => r.duplicateOf), ["r1", "r2"]);
+  });
+}
+
+test("an export survives the trip through the server", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const admin = await addUser("ada", "Admin");
+    const rows = prepareImport(readImportFile(exportJson(stored), "reports.json"), [], now);
+    for (const [i, row] of rows.entries()) await call("POST", "/api/issues", { body: { ...row.fields, id: `imp-${i}` }, as: admin });
+    const again = prepareImport(readImportFile(exportJson(db.data.issues), "again.json"), [], now);
+    // New reports are listed first, so the second export is in reverse order
+    assert.deepEqual(imported(again).reverse(), imported(rows));
+    assert.deepEqual(db.data.issues.map((it) => [it.status, it.reporterName, it.reporterId]), [["Open", "Ben", null], ["In Progress", "Asha", null]]);
+  }));
+
+test("a malformed file is rejected before anything is read from it", () => {
+  assert.throws(() => readImportFile("[{\"title\": ", "broken.json"), /not valid JSON/);
+  assert.throws(() => readImportFile("{\"title\": \"Bench\"}", "one.json"), /must be a list of reports/);
+  assert.throws(() => readImportFile("", "empty.csv"), /file is empty/);
+  assert.throws(() => readImportFile("title,description\n\"Bench,Split\n", "open.csv"), /inside a quoted field/);
+  assert.throws(() => prepareImport(Array(1001).fill({ title: "A", description: "B" }), [], now), /At most 1000 rows/);
+});
+
+test("rows with errors are reported with their line and never imported", () => {
+  const rows = prepareImport(readImportFile([
+    "title,description,status,createdAt,lat,lng,language",
+    "Bench,Split,Open,2025-01-01,,,",
+    ",No title,Lost,yesterday,91,0,x_y",
+    "Late,From the future,Open,2999-01-01,1,,",
+  ].join("\n"), "rows.csv"), [], now);
+  assert.deepEqual(rows.map((r) => [r.line, r.errors]), [
+    [2, []],
+    [3, ["title is required", "unknown status \"Lost\"", "\"x_y\" is not a language tag such as \"en\" or \"es-MX\"", "cannot read the date \"yesterday\"", "lat/lng must both be valid coordinates"]],
+    [4, ["the date is in the future", "lat/lng must both be valid coordinates"]],
+  ]);
+});
+
+test("a rejected import leaves the stored data as it was", () =>
+  withApi(async ({ db, addUser, call }) => {
+    const admin = await addUser("ada", "Admin");
+    const citizen = await addUser("asha", "Citizen");
+    await call("POST", "/api/issues", { body: { id: "r-1", title: "Broken bench", description: "The slats are split.", category: "Roads" }, as: citizen });
+    const before = structuredClone(db.data.issues);
+    const row = { title: "Bench", description: "Split", category: "Roads", imported: { status: "Open", reporterName: "X" } };
+    await assert.rejects(call("POST", "/api/issues", { body: { ...row, id: "imp-1", title: "" }, as: admin }), (err) => err.status === 400);
+    await assert.rejects(call("POST", "/api/issues", { body: { ...row, id: "imp-2", location: { lat: 200, lng: 0 } }, as: admin }), (err) => err.status === 400);
+    await assert.rejects(call("POST", "/api/issues", { body: { ...row, id: "imp-3" }, as: citizen }), (err) => err.status === 403);
+    await assert.rejects(call("POST", "/api/issues", { body: { ...row, id: "r-1" }, as: admin }), (err) => err.status === 409);
+    assert.deepEqual(db.data.issues, before);
+  }));
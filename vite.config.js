@@ -1,7 +1,48 @@
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Fills in the service worker's precache list (public/sw.js) with the files
+// the build emitted, so an installed app has all of them before it first
+// goes offline, and versions its cache by that list.
+function precacheShell() {
+  let outDir
+  let assets = []
+  return {
+    name: 'precache-shell',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    generateBundle(options, bundle) {
+      assets = Object.keys(bundle)
+        .filter((name) => !name.endsWith('.html') && !name.endsWith('.map'))
+        .sort()
+        .map((name) => `./${name}`)
+    },
+    async closeBundle() {
+      const file = resolve(outDir, 'sw.js')
+      const source = await readFile(file, 'utf8')
+      if (!source.includes('const ASSETS = [];') || !source.includes('const VERSION = "dev";')) {
+        throw new Error('public/sw.js no longer has the ASSETS and VERSION placeholders.')
+      }
+      const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+      await writeFile(file, source
+        .replace('const ASSETS = [];', `const ASSETS = ${JSON.stringify(assets)};`)
+        .replace('const VERSION = "dev";', `const VERSION = "${version}";`))
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheShell()],
+  server: {
+    // Forward API calls to the bundled Node server (`npm run server`)
+    proxy: {
+      '/api': 'http://localhost:4000',
+    },
+  },
 })